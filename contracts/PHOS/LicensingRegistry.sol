@@ -78,6 +78,9 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
     /// @notice Total licensing revenue through platform
     uint256 public totalRevenue;
     
+    /// @notice Addresses allowed to record off-chain licenses (the platform API)
+    mapping(address => bool) public registrars;
+    
     // Events
     event PieceRegistered(
         string indexed pieceId,
@@ -94,6 +97,15 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
         uint256 price,
         uint256 expirationTime
     );
+    event LicenseRecorded(
+        uint256 indexed licenseId,
+        string indexed pieceId,
+        address indexed licensee,
+        LicenseType licenseType,
+        uint256 expirationTime,
+        bytes32 externalId
+    );
+    event LicenseExpirationUpdated(uint256 indexed licenseId, uint256 expirationTime);
     event LicenseRevoked(uint256 indexed licenseId, string reason);
     event RevenueDistributed(
         string indexed pieceId,
@@ -103,6 +115,7 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
     );
     event PlatformFeeUpdated(uint256 newFeeBps);
     event PlatformTreasuryUpdated(address indexed treasury);
+    event RegistrarUpdated(address indexed registrar, bool allowed);
     
     // Errors
     error PieceNotAvailable();
@@ -115,6 +128,12 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
     error InvalidPrice();
     error PieceAlreadyRegistered();
     error LicenseNotActive();
+    error NotRegistrar();
+    
+    modifier onlyRegistrar() {
+        if (!registrars[msg.sender] && msg.sender != owner()) revert NotRegistrar();
+        _;
+    }
     
     /**
      * @notice Deploy the licensing registry
@@ -253,6 +272,64 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
         );
     }
     
+    /**
+     * @notice Record a license granted and paid for off-chain (registrar only)
+     * @dev No tokens move: payment was settled by the platform. The piece
+     *      doesn't need to be registered here.
+     * @param licensee License holder
+     * @param pieceId The licensed piece
+     * @param licenseType Type of license granted
+     * @param expirationTime Expiry timestamp (type(uint256).max for perpetual)
+     * @param pricePaid Price paid off-chain, in $PHOS units (0 for other currencies)
+     * @param externalId Off-chain license ID, so the record can be matched back
+     */
+    function recordLicense(
+        address licensee,
+        string calldata pieceId,
+        LicenseType licenseType,
+        uint256 expirationTime,
+        uint256 pricePaid,
+        bytes32 externalId
+    ) external onlyRegistrar returns (uint256 licenseId) {
+        if (licensee == address(0)) revert InvalidAddress();
+        if (expirationTime <= block.timestamp) revert LicenseExpired();
+        
+        licenseId = nextLicenseId++;
+        
+        licenses[licenseId] = License({
+            licensee: licensee,
+            pieceId: pieceId,
+            licenseType: licenseType,
+            purchaseTime: block.timestamp,
+            expirationTime: expirationTime,
+            pricePaid: pricePaid,
+            isActive: true
+        });
+        
+        licenseeToLicenses[licensee].push(licenseId);
+        pieceToLicenses[pieceId].push(licenseId);
+        
+        if (licenseType == LicenseType.Exclusive) {
+            pieces[pieceId].exclusiveLicensed = true;
+        }
+        
+        emit LicenseRecorded(licenseId, pieceId, licensee, licenseType, expirationTime, externalId);
+    }
+    
+    /**
+     * @notice Move a license's expiry, e.g. after an off-chain renewal (registrar only)
+     * @param licenseId The license to update
+     * @param expirationTime New expiry timestamp
+     */
+    function updateLicenseExpiration(uint256 licenseId, uint256 expirationTime) external onlyRegistrar {
+        License storage license = licenses[licenseId];
+        if (!license.isActive) revert LicenseNotActive();
+        
+        license.expirationTime = expirationTime;
+        
+        emit LicenseExpirationUpdated(licenseId, expirationTime);
+    }
+    
     /**
      * @notice Check if a license is valid
      * @param licenseId The license to check
@@ -353,11 +430,12 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @notice Revoke a license (admin only, for policy violations)
+     * @notice Revoke a license (admin or registrar, for policy violations
+     *         and licenses ended off-chain)
      * @param licenseId The license to revoke
      * @param reason Reason for revocation
      */
-    function revokeLicense(uint256 licenseId, string calldata reason) external onlyOwner {
+    function revokeLicense(uint256 licenseId, string calldata reason) external onlyRegistrar {
         License storage license = licenses[licenseId];
         if (!license.isActive) revert LicenseNotActive();
         
@@ -400,6 +478,15 @@ contract LicensingRegistry is Ownable, ReentrancyGuard {
         emit PlatformFeeUpdated(newFeeBps);
     }
     
+    /**
+     * @notice Allow or disallow a registrar
+     */
+    function setRegistrar(address registrar, bool allowed) external onlyOwner {
+        if (registrar == address(0)) revert InvalidAddress();
+        registrars[registrar] = allowed;
+        emit RegistrarUpdated(registrar, allowed);
+    }
+    
     /**
      * @notice Update platform treasury
      */
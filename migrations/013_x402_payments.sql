@@ -0,0 +1,63 @@
+-- Migration: x402 signed payment authorizations (EIP-3009)
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- X402 PAYMENTS TABLE
+-- =============================================================================
+-- One row per transferWithAuthorization presented to /api/buy.
+-- The (payer, nonce) pair is claimed before settlement so the same signed
+-- authorization can never be settled twice, even across function instances.
+CREATE TABLE IF NOT EXISTS x402_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payer TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  value_atomic TEXT NOT NULL,
+  valid_before TIMESTAMPTZ NOT NULL,
+  network TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'settling' CHECK (status IN ('settling', 'settled', 'failed')),
+  tx_hash TEXT,
+  error TEXT,
+  resource TEXT,
+  piece_id TEXT,
+  amount_usdc DECIMAL(20, 6),
+  facilitator TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Replay protection: an authorization nonce is single-use per payer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_x402_payments_payer_nonce ON x402_payments(payer, nonce);
+CREATE INDEX IF NOT EXISTS idx_x402_payments_status ON x402_payments(status);
+CREATE INDEX IF NOT EXISTS idx_x402_payments_tx_hash ON x402_payments(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_x402_payments_created ON x402_payments(created_at DESC);
+
+-- =============================================================================
+-- PURCHASES: PAYMENT METHOD
+-- =============================================================================
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS payment_method TEXT DEFAULT 'transfer';
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE x402_payments ENABLE ROW LEVEL SECURITY;
+
+-- Public can read settlements (transparency)
+CREATE POLICY "Anyone can view x402 payments" ON x402_payments
+  FOR SELECT USING (true);
+
+-- Service role can insert/update settlements
+CREATE POLICY "Service role can insert x402 payments" ON x402_payments
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update x402 payments" ON x402_payments
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE x402_payments IS 'EIP-3009 payment authorizations settled through the x402 facilitator';
+COMMENT ON COLUMN x402_payments.nonce IS 'bytes32 authorization nonce (single-use per payer)';
+COMMENT ON COLUMN x402_payments.value_atomic IS 'Authorized USDC amount in atomic units (6 decimals)';
+COMMENT ON COLUMN x402_payments.status IS 'settling: claimed, settled: transfer mined, failed: settlement rejected';
+COMMENT ON COLUMN purchases.payment_method IS 'transfer: buyer-broadcast tx hash, x402_authorization: facilitator-settled EIP-3009';
@@ -0,0 +1,47 @@
+-- Migration: Artist-set piece pricing and price history
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- SUBMISSIONS: LIVE PRICE
+-- =============================================================================
+-- NULL means "never priced" and falls back to the platform default ($1.00).
+-- Min/max are enforced in the API (MIN_PRICE_USDC / MAX_PRICE_USDC env).
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS price_usdc DECIMAL(20, 6) CHECK (price_usdc IS NULL OR price_usdc > 0),
+ADD COLUMN IF NOT EXISTS price_updated_at TIMESTAMPTZ;
+
+-- =============================================================================
+-- PRICE HISTORY TABLE
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS price_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL,
+  old_price_usdc DECIMAL(20, 6),
+  new_price_usdc DECIMAL(20, 6) NOT NULL,
+  changed_by UUID,
+  changed_by_username TEXT,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_submission ON price_history(submission_id, created_at DESC);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE price_history ENABLE ROW LEVEL SECURITY;
+
+-- Public can read price history (transparency)
+CREATE POLICY "Anyone can view price history" ON price_history
+  FOR SELECT USING (true);
+
+-- Only service role can insert
+CREATE POLICY "Service role can insert price history" ON price_history
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN submissions.price_usdc IS 'Artist-set price in USDC (NULL = platform default)';
+COMMENT ON TABLE price_history IS 'Every price change per piece, including the initial price';
+COMMENT ON COLUMN price_history.old_price_usdc IS 'Previous price (NULL for the initial price)';
@@ -0,0 +1,170 @@
+-- Migration: Limited editions and per-edition ownership
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- SUBMISSIONS: EDITION SIZE
+-- =============================================================================
+-- edition_size: 1 = 1/1, N = limited edition of N, NULL = open edition
+-- editions_sold: denormalized count of claimed editions (kept by claim_edition)
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS edition_size INTEGER CHECK (edition_size IS NULL OR edition_size > 0),
+ADD COLUMN IF NOT EXISTS editions_sold INTEGER NOT NULL DEFAULT 0;
+
+-- =============================================================================
+-- PIECE OWNERSHIPS TABLE
+-- =============================================================================
+-- One row per edition. A row is 'pending' while the payment settles and
+-- becomes 'owned' once the purchase is recorded.
+CREATE TABLE IF NOT EXISTS piece_ownerships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL,
+  edition_number INTEGER NOT NULL CHECK (edition_number > 0),
+  owner_wallet TEXT NOT NULL,
+  owner_username TEXT,
+  purchase_id UUID,
+  tx_hash TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'owned')),
+  acquired_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An edition number can only be held once per piece
+CREATE UNIQUE INDEX IF NOT EXISTS idx_piece_ownerships_edition ON piece_ownerships(submission_id, edition_number);
+CREATE INDEX IF NOT EXISTS idx_piece_ownerships_owner ON piece_ownerships(owner_wallet);
+CREATE INDEX IF NOT EXISTS idx_piece_ownerships_status ON piece_ownerships(status);
+
+-- =============================================================================
+-- PURCHASES: EDITION SNAPSHOT
+-- =============================================================================
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS edition_number INTEGER,
+ADD COLUMN IF NOT EXISTS edition_size INTEGER;
+
+-- =============================================================================
+-- ATOMIC EDITION CLAIM
+-- =============================================================================
+-- Locks the piece row, picks the lowest free edition number and inserts a
+-- pending ownership row. Returns no rows when the piece is sold out.
+-- Pending claims older than 10 minutes are treated as abandoned.
+CREATE OR REPLACE FUNCTION claim_edition(
+  p_submission_id UUID,
+  p_owner_wallet TEXT,
+  p_owner_username TEXT DEFAULT NULL
+)
+RETURNS SETOF piece_ownerships AS $$
+DECLARE
+  v_size INTEGER;
+  v_taken INTEGER;
+  v_edition INTEGER;
+BEGIN
+  SELECT edition_size INTO v_size FROM submissions WHERE id = p_submission_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  DELETE FROM piece_ownerships
+  WHERE submission_id = p_submission_id
+    AND status = 'pending'
+    AND created_at < NOW() - INTERVAL '10 minutes';
+
+  SELECT COUNT(*) INTO v_taken FROM piece_ownerships WHERE submission_id = p_submission_id;
+
+  SELECT MIN(n) INTO v_edition
+  FROM generate_series(1, COALESCE(v_size, v_taken + 1)) AS n
+  WHERE NOT EXISTS (
+    SELECT 1 FROM piece_ownerships o
+    WHERE o.submission_id = p_submission_id AND o.edition_number = n
+  );
+
+  IF v_edition IS NULL THEN
+    RETURN;
+  END IF;
+
+  UPDATE submissions SET editions_sold = v_taken + 1 WHERE id = p_submission_id;
+
+  RETURN QUERY
+  INSERT INTO piece_ownerships (submission_id, edition_number, owner_wallet, owner_username)
+  VALUES (p_submission_id, v_edition, LOWER(p_owner_wallet), p_owner_username)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Release a pending claim (payment failed) and free its edition number
+CREATE OR REPLACE FUNCTION release_edition(p_ownership_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_submission_id UUID;
+BEGIN
+  DELETE FROM piece_ownerships
+  WHERE id = p_ownership_id AND status = 'pending'
+  RETURNING submission_id INTO v_submission_id;
+
+  IF v_submission_id IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE submissions
+  SET editions_sold = (SELECT COUNT(*) FROM piece_ownerships WHERE submission_id = v_submission_id)
+  WHERE id = v_submission_id;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION claim_edition(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_edition(UUID) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- BACKFILL
+-- =============================================================================
+-- Existing completed purchases become numbered editions in purchase order.
+-- Legacy pieces stay open editions (edition_size NULL).
+INSERT INTO piece_ownerships (submission_id, edition_number, owner_wallet, owner_username, purchase_id, tx_hash, status, acquired_at)
+SELECT
+  p.submission_id,
+  ROW_NUMBER() OVER (PARTITION BY p.submission_id ORDER BY p.created_at, p.id),
+  LOWER(p.buyer_wallet),
+  p.buyer_username,
+  p.id,
+  p.tx_hash,
+  'owned',
+  p.created_at
+FROM purchases p
+WHERE p.status = 'completed'
+  AND p.submission_id IS NOT NULL
+  AND p.buyer_wallet IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM piece_ownerships o WHERE o.purchase_id = p.id);
+
+UPDATE purchases p
+SET edition_number = o.edition_number
+FROM piece_ownerships o
+WHERE o.purchase_id = p.id AND p.edition_number IS NULL;
+
+UPDATE submissions s
+SET editions_sold = (SELECT COUNT(*) FROM piece_ownerships o WHERE o.submission_id = s.id);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE piece_ownerships ENABLE ROW LEVEL SECURITY;
+
+-- Public can read ownership (provenance)
+CREATE POLICY "Anyone can view piece ownerships" ON piece_ownerships
+  FOR SELECT USING (true);
+
+-- Service role can insert/update ownership
+CREATE POLICY "Service role can insert piece ownerships" ON piece_ownerships
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update piece ownerships" ON piece_ownerships
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN submissions.edition_size IS '1 = 1/1, N = limited edition, NULL = open edition';
+COMMENT ON COLUMN submissions.editions_sold IS 'Claimed editions (maintained by claim_edition / release_edition)';
+COMMENT ON TABLE piece_ownerships IS 'One row per edition of a piece and its current owner';
+COMMENT ON COLUMN piece_ownerships.status IS 'pending: payment settling, owned: purchase recorded';
+COMMENT ON COLUMN purchases.edition_number IS 'Edition assigned to this purchase';
+COMMENT ON COLUMN purchases.edition_size IS 'Edition size at time of purchase (NULL = open)';
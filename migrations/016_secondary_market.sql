@@ -0,0 +1,87 @@
+-- Migration: Secondary market (collector resales with artist royalties)
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- SUBMISSIONS: ROYALTY
+-- =============================================================================
+-- Fraction of each resale paid to the artist (NULL = platform default)
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS royalty_percent DECIMAL(5, 4) CHECK (royalty_percent IS NULL OR (royalty_percent >= 0 AND royalty_percent <= 0.5));
+
+-- =============================================================================
+-- LISTINGS TABLE
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS listings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL,
+  ownership_id UUID NOT NULL REFERENCES piece_ownerships(id) ON DELETE CASCADE,
+  edition_number INTEGER,
+  piece_title TEXT,
+  seller_wallet TEXT NOT NULL,
+  seller_username TEXT,
+  price_usdc DECIMAL(20, 6) NOT NULL CHECK (price_usdc > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'pending', 'sold', 'cancelled')),
+  buyer_wallet TEXT,
+  reserved_at TIMESTAMPTZ,
+  purchase_id UUID,
+  sold_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An edition can only have one open listing at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listings_open_ownership
+ON listings(ownership_id)
+WHERE status IN ('active', 'pending');
+
+CREATE INDEX IF NOT EXISTS idx_listings_status ON listings(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_listings_submission ON listings(submission_id);
+CREATE INDEX IF NOT EXISTS idx_listings_seller ON listings(seller_wallet);
+
+-- =============================================================================
+-- PURCHASES: PRIMARY VS SECONDARY
+-- =============================================================================
+-- For secondary sales seller_* is the reselling collector and artist_* the
+-- original artist. For primary sales both refer to the artist.
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS sale_type TEXT NOT NULL DEFAULT 'primary' CHECK (sale_type IN ('primary', 'secondary')),
+ADD COLUMN IF NOT EXISTS listing_id UUID,
+ADD COLUMN IF NOT EXISTS artist_wallet TEXT,
+ADD COLUMN IF NOT EXISTS artist_username TEXT,
+ADD COLUMN IF NOT EXISTS royalty_percent DECIMAL(5, 4),
+ADD COLUMN IF NOT EXISTS royalty_amount DECIMAL(20, 6),
+ADD COLUMN IF NOT EXISTS seller_payout DECIMAL(20, 6),
+ADD COLUMN IF NOT EXISTS seller_payout_tx_hash TEXT;
+
+UPDATE purchases
+SET artist_wallet = seller_wallet, artist_username = seller_username
+WHERE sale_type = 'primary' AND artist_wallet IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_purchases_sale_type ON purchases(sale_type);
+CREATE INDEX IF NOT EXISTS idx_purchases_artist_wallet ON purchases(artist_wallet);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE listings ENABLE ROW LEVEL SECURITY;
+
+-- Public can read listings (marketplace)
+CREATE POLICY "Anyone can view listings" ON listings
+  FOR SELECT USING (true);
+
+-- Service role can insert/update listings
+CREATE POLICY "Service role can insert listings" ON listings
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update listings" ON listings
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN submissions.royalty_percent IS 'Artist royalty on resales as a fraction (NULL = platform default)';
+COMMENT ON TABLE listings IS 'Collector resale listings for owned editions';
+COMMENT ON COLUMN listings.status IS 'active: for sale, pending: payment settling, sold, cancelled';
+COMMENT ON COLUMN purchases.sale_type IS 'primary: sold by the artist, secondary: resold by a collector';
+COMMENT ON COLUMN purchases.royalty_amount IS 'Artist royalty paid on a secondary sale';
+COMMENT ON COLUMN purchases.seller_payout IS 'Proceeds paid to the reselling collector';
@@ -0,0 +1,75 @@
+-- Migration: Offers with escrowed USDC
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- OFFERS TABLE
+-- =============================================================================
+-- An offer's USDC is settled into the platform wallet when it is placed
+-- (escrow) and either pays out the sale on accept or is refunded.
+CREATE TABLE IF NOT EXISTS offers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL,
+  piece_title TEXT,
+  -- Optional target edition (NULL = any edition, or a new one from the artist)
+  ownership_id UUID REFERENCES piece_ownerships(id) ON DELETE SET NULL,
+  edition_number INTEGER,
+  buyer_wallet TEXT NOT NULL,
+  buyer_username TEXT,
+  amount_usdc DECIMAL(20, 6) NOT NULL CHECK (amount_usdc > 0),
+  protocol_fee DECIMAL(20, 6) NOT NULL DEFAULT 0,
+  escrow_amount DECIMAL(20, 6) NOT NULL CHECK (escrow_amount > 0),
+  escrow_tx_hash TEXT NOT NULL,
+  topup_tx_hash TEXT,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'countered', 'accepted', 'rejected', 'cancelled', 'expired')),
+  counter_amount DECIMAL(20, 6) CHECK (counter_amount IS NULL OR counter_amount > 0),
+  countered_by_wallet TEXT,
+  countered_at TIMESTAMPTZ,
+  accepted_by_wallet TEXT,
+  sale_type TEXT CHECK (sale_type IS NULL OR sale_type IN ('primary', 'secondary')),
+  purchase_id UUID,
+  refund_amount DECIMAL(20, 6),
+  refund_tx_hash TEXT,
+  refund_error TEXT,
+  refunded_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An escrow transfer can only back one offer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_escrow_tx ON offers(escrow_tx_hash);
+
+CREATE INDEX IF NOT EXISTS idx_offers_submission ON offers(submission_id, status);
+CREATE INDEX IF NOT EXISTS idx_offers_buyer ON offers(buyer_wallet, status);
+CREATE INDEX IF NOT EXISTS idx_offers_open_expiry ON offers(expires_at)
+  WHERE status IN ('active', 'countered');
+
+-- Closed offers whose escrow still has to go back
+CREATE INDEX IF NOT EXISTS idx_offers_refund_due ON offers(updated_at)
+  WHERE status IN ('rejected', 'cancelled', 'expired') AND refunded_at IS NULL;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE offers ENABLE ROW LEVEL SECURITY;
+
+-- Public can read offers (order book)
+CREATE POLICY "Anyone can view offers" ON offers
+  FOR SELECT USING (true);
+
+-- Service role can insert/update offers
+CREATE POLICY "Service role can insert offers" ON offers
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update offers" ON offers
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE offers IS 'Time-limited USDC offers on pieces, escrowed in the platform wallet';
+COMMENT ON COLUMN offers.amount_usdc IS 'Offered price (before protocol fee)';
+COMMENT ON COLUMN offers.escrow_amount IS 'USDC held in escrow (offer + protocol fee, plus any counter top-up)';
+COMMENT ON COLUMN offers.status IS 'active, countered (awaiting buyer), accepted, rejected, cancelled, expired';
+COMMENT ON COLUMN offers.refunded_at IS 'When the escrow went back to the buyer (NULL on a closed offer = refund pending)';
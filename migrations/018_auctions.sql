@@ -0,0 +1,233 @@
+-- Migration: English and Dutch auctions
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- AUCTIONS TABLE
+-- =============================================================================
+-- An artist releases one edition of a piece as a timed auction.
+-- english: ascending bids, reserve, minimum increment, anti-sniping extension
+-- dutch:   price decays from start_price to end_price; first bid wins
+CREATE TABLE IF NOT EXISTS auctions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL,
+  piece_title TEXT,
+  artist_username TEXT NOT NULL,
+  artist_wallet TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('english', 'dutch')),
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'settling', 'settled', 'ended', 'cancelled')),
+  start_price DECIMAL(20, 6) NOT NULL CHECK (start_price > 0),
+  -- English
+  reserve_price DECIMAL(20, 6) CHECK (reserve_price IS NULL OR reserve_price > 0),
+  min_increment DECIMAL(20, 6) CHECK (min_increment IS NULL OR min_increment > 0),
+  extension_seconds INTEGER NOT NULL DEFAULT 0 CHECK (extension_seconds >= 0),
+  -- Dutch
+  end_price DECIMAL(20, 6) CHECK (end_price IS NULL OR end_price > 0),
+  decay TEXT CHECK (decay IS NULL OR decay IN ('linear', 'exponential')),
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ends_at TIMESTAMPTZ NOT NULL,
+  original_ends_at TIMESTAMPTZ NOT NULL,
+  -- Leading / winning bid
+  highest_bid_id UUID,
+  highest_bid_amount DECIMAL(20, 6),
+  highest_bidder_wallet TEXT,
+  highest_bidder_username TEXT,
+  bid_count INTEGER NOT NULL DEFAULT 0,
+  -- Settlement
+  ownership_id UUID,
+  edition_number INTEGER,
+  purchase_id UUID,
+  mint_token_id INTEGER,
+  mint_tx_hash TEXT,
+  settle_error TEXT,
+  settled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  CHECK (type <> 'dutch' OR (end_price IS NOT NULL AND end_price < start_price AND decay IS NOT NULL))
+);
+
+-- One running auction per piece
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auctions_open_piece ON auctions(submission_id)
+  WHERE status IN ('active', 'settling');
+
+CREATE INDEX IF NOT EXISTS idx_auctions_status_end ON auctions(status, ends_at);
+CREATE INDEX IF NOT EXISTS idx_auctions_artist ON auctions(artist_username);
+
+-- =============================================================================
+-- AUCTION BIDS TABLE
+-- =============================================================================
+-- Every bid is paid up front (amount + protocol fee) to the platform wallet.
+-- Outbid, losing and rejected bids are refunded.
+CREATE TABLE IF NOT EXISTS auction_bids (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  bidder_wallet TEXT NOT NULL,
+  bidder_username TEXT,
+  amount_usdc DECIMAL(20, 6) NOT NULL CHECK (amount_usdc > 0),
+  paid_amount DECIMAL(20, 6) NOT NULL CHECK (paid_amount > 0),
+  tx_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'leading'
+    CHECK (status IN ('leading', 'outbid', 'won', 'lost', 'rejected')),
+  reject_reason TEXT,
+  refund_amount DECIMAL(20, 6),
+  refund_tx_hash TEXT,
+  refund_error TEXT,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A payment can only back one bid
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auction_bids_tx ON auction_bids(tx_hash);
+
+CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids(auction_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auction_bids_bidder ON auction_bids(bidder_wallet);
+
+-- Bids whose payment still has to go back
+CREATE INDEX IF NOT EXISTS idx_auction_bids_refund_due ON auction_bids(updated_at)
+  WHERE status IN ('outbid', 'lost', 'rejected') AND refunded_at IS NULL;
+
+-- =============================================================================
+-- ATOMIC BID PLACEMENT
+-- =============================================================================
+-- Locks the auction row so concurrent bids are ordered. The bid is always
+-- inserted (its payment has already landed): as 'leading'/'won' when it is
+-- accepted, otherwise as 'rejected' with a reason so it gets refunded.
+--
+-- English: must reach start_price (first bid) or highest + min_increment.
+--          The previous leader becomes 'outbid'. A bid inside the last
+--          extension_seconds pushes ends_at out (anti-sniping).
+-- Dutch:   the first bid at or above p_min_amount (the current price,
+--          computed by the API from the decay curve) wins at that price and
+--          moves the auction to 'settling'.
+CREATE OR REPLACE FUNCTION place_auction_bid(
+  p_auction_id UUID,
+  p_bidder_wallet TEXT,
+  p_bidder_username TEXT,
+  p_amount DECIMAL,
+  p_paid_amount DECIMAL,
+  p_tx_hash TEXT,
+  p_min_amount DECIMAL DEFAULT NULL
+)
+RETURNS TABLE (bid_id UUID, bid_status TEXT, bid_reject_reason TEXT, outbid_bid_id UUID, auction_ends_at TIMESTAMPTZ) AS $$
+DECLARE
+  v_auction auctions%ROWTYPE;
+  v_min DECIMAL;
+  v_status TEXT := 'leading';
+  v_reason TEXT;
+  v_outbid UUID;
+  v_ends TIMESTAMPTZ;
+  v_bid UUID;
+BEGIN
+  SELECT * INTO v_auction FROM auctions WHERE id = p_auction_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  v_ends := v_auction.ends_at;
+
+  IF v_auction.status <> 'active' OR NOW() < v_auction.starts_at OR NOW() >= v_auction.ends_at THEN
+    v_status := 'rejected';
+    v_reason := 'Auction is not open for bids';
+  ELSIF LOWER(p_bidder_wallet) = v_auction.artist_wallet THEN
+    v_status := 'rejected';
+    v_reason := 'Artists cannot bid on their own auction';
+  ELSIF v_auction.type = 'english' THEN
+    v_min := CASE
+      WHEN v_auction.highest_bid_amount IS NULL THEN v_auction.start_price
+      ELSE v_auction.highest_bid_amount + COALESCE(v_auction.min_increment, 0.01)
+    END;
+    IF p_amount < v_min THEN
+      v_status := 'rejected';
+      v_reason := 'Bid must be at least ' || v_min || ' USDC';
+    END IF;
+  ELSIF p_amount < COALESCE(p_min_amount, p_amount) THEN
+    v_status := 'rejected';
+    v_reason := 'Bid is below the current price of ' || p_min_amount || ' USDC';
+  ELSE
+    v_status := 'won';
+  END IF;
+
+  INSERT INTO auction_bids (auction_id, bidder_wallet, bidder_username, amount_usdc, paid_amount, tx_hash, status, reject_reason)
+  VALUES (p_auction_id, LOWER(p_bidder_wallet), p_bidder_username, p_amount, p_paid_amount, LOWER(p_tx_hash), v_status, v_reason)
+  RETURNING id INTO v_bid;
+
+  IF v_status = 'leading' THEN
+    v_outbid := v_auction.highest_bid_id;
+    IF v_outbid IS NOT NULL THEN
+      UPDATE auction_bids SET status = 'outbid', updated_at = NOW() WHERE id = v_outbid;
+    END IF;
+
+    IF v_auction.extension_seconds > 0
+       AND v_auction.ends_at - NOW() < make_interval(secs => v_auction.extension_seconds) THEN
+      v_ends := NOW() + make_interval(secs => v_auction.extension_seconds);
+    END IF;
+
+    UPDATE auctions SET
+      highest_bid_id = v_bid,
+      highest_bid_amount = p_amount,
+      highest_bidder_wallet = LOWER(p_bidder_wallet),
+      highest_bidder_username = p_bidder_username,
+      bid_count = bid_count + 1,
+      ends_at = v_ends,
+      updated_at = NOW()
+    WHERE id = p_auction_id;
+  ELSIF v_status = 'won' THEN
+    UPDATE auctions SET
+      status = 'settling',
+      highest_bid_id = v_bid,
+      highest_bid_amount = COALESCE(p_min_amount, p_amount),
+      highest_bidder_wallet = LOWER(p_bidder_wallet),
+      highest_bidder_username = p_bidder_username,
+      bid_count = bid_count + 1,
+      updated_at = NOW()
+    WHERE id = p_auction_id;
+  END IF;
+
+  RETURN QUERY SELECT v_bid, v_status, v_reason, v_outbid, v_ends;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION place_auction_bid(UUID, TEXT, TEXT, DECIMAL, DECIMAL, TEXT, DECIMAL) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE auctions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auction_bids ENABLE ROW LEVEL SECURITY;
+
+-- Public can read auctions and bid history
+CREATE POLICY "Anyone can view auctions" ON auctions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view auction bids" ON auction_bids
+  FOR SELECT USING (true);
+
+-- Service role can insert/update auctions and bids
+CREATE POLICY "Service role can insert auctions" ON auctions
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update auctions" ON auctions
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can insert auction bids" ON auction_bids
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update auction bids" ON auction_bids
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE auctions IS 'Timed English and Dutch auctions of a single edition';
+COMMENT ON COLUMN auctions.status IS 'active, settling (closed, sale in progress), settled, ended (no sale), cancelled';
+COMMENT ON COLUMN auctions.extension_seconds IS 'English: a bid this close to the end pushes ends_at out to now + extension';
+COMMENT ON COLUMN auctions.decay IS 'Dutch price curve between start_price and end_price: linear or exponential';
+COMMENT ON COLUMN auctions.highest_bid_amount IS 'English: leading bid. Dutch: clearing price of the winning bid';
+COMMENT ON COLUMN auctions.original_ends_at IS 'End time before any anti-sniping extensions';
+COMMENT ON COLUMN auctions.mint_tx_hash IS 'Set when settlement minted the token to the winner';
+COMMENT ON TABLE auction_bids IS 'Paid bids on auctions; everything but the winning bid is refunded';
+COMMENT ON COLUMN auction_bids.amount_usdc IS 'Bid price (before protocol fee)';
+COMMENT ON COLUMN auction_bids.paid_amount IS 'USDC transferred with the bid (bid + protocol fee)';
+COMMENT ON COLUMN auction_bids.refunded_at IS 'When the payment went back (NULL on a non-winning bid = refund pending)';
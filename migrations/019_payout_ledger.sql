@@ -0,0 +1,95 @@
+-- Migration: Payout ledger
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PAYOUTS TABLE
+-- =============================================================================
+-- Every sale records what the platform owes the artist (and, on resales, the
+-- selling collector). Transfers are retried until they confirm.
+--
+-- pending   → owed; waiting for its first attempt or a retry (next_attempt_at)
+-- sent      → transfer submitted, tx_hash known
+-- confirmed → transfer receipt succeeded on-chain
+-- failed    → retries exhausted (or no wallet to pay); needs an admin retry
+CREATE TABLE IF NOT EXISTS payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id UUID,
+  sale_tx_hash TEXT NOT NULL,
+  submission_id UUID,
+  piece_title TEXT,
+  role TEXT NOT NULL CHECK (role IN ('artist', 'royalty', 'seller')),
+  recipient_wallet TEXT,
+  recipient_username TEXT,
+  amount_usdc DECIMAL(20, 6) NOT NULL CHECK (amount_usdc > 0),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'confirmed', 'failed')),
+  tx_hash TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A sale owes each party once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_sale_role ON payouts(sale_tx_hash, role);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_purchase ON payouts(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_recipient ON payouts(recipient_wallet, status);
+CREATE INDEX IF NOT EXISTS idx_payouts_due ON payouts(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_payouts_unconfirmed ON payouts(sent_at) WHERE status = 'sent';
+
+-- =============================================================================
+-- BACKFILL
+-- =============================================================================
+-- Completed sales whose artist payout never went out. They are recorded as
+-- 'failed' so they show as owed without being paid automatically: an admin
+-- reviews and retries them.
+INSERT INTO payouts (purchase_id, sale_tx_hash, submission_id, piece_title, role, recipient_wallet, recipient_username, amount_usdc, status, last_error, next_attempt_at, created_at)
+SELECT
+  p.id,
+  LOWER(p.tx_hash),
+  p.submission_id,
+  p.piece_title,
+  CASE WHEN p.sale_type = 'secondary' THEN 'royalty' ELSE 'artist' END,
+  LOWER(p.artist_wallet),
+  p.artist_username,
+  CASE WHEN p.sale_type = 'secondary' THEN p.royalty_amount ELSE p.base_price END,
+  'failed',
+  'Unpaid before the payout ledger existed',
+  NULL,
+  p.created_at
+FROM purchases p
+WHERE p.status = 'completed'
+  AND p.tx_hash IS NOT NULL
+  AND COALESCE(p.artist_payout, 0) = 0
+  AND p.payout_tx_hash IS NULL
+  AND CASE WHEN p.sale_type = 'secondary' THEN p.royalty_amount ELSE p.base_price END > 0
+ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE payouts ENABLE ROW LEVEL SECURITY;
+
+-- Public can read payouts (artists can audit what they are owed)
+CREATE POLICY "Anyone can view payouts" ON payouts
+  FOR SELECT USING (true);
+
+-- Service role can insert/update payouts
+CREATE POLICY "Service role can insert payouts" ON payouts
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update payouts" ON payouts
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE payouts IS 'USDC the platform owes artists and sellers for each sale, with transfer status';
+COMMENT ON COLUMN payouts.sale_tx_hash IS 'Payment that funded the sale (purchases.tx_hash)';
+COMMENT ON COLUMN payouts.role IS 'artist: primary sale price, royalty: artist share of a resale, seller: resale proceeds';
+COMMENT ON COLUMN payouts.status IS 'pending (owed / retrying), sent, confirmed, failed (needs admin retry)';
+COMMENT ON COLUMN payouts.next_attempt_at IS 'When the worker may next try a pending payout (backoff)';
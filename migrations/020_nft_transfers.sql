@@ -0,0 +1,118 @@
+-- Migration: NFT delivery to buyers
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- EDITION TOKENS
+-- =============================================================================
+-- Each edition is one ERC-721 token. Edition #1 is the token minted when the
+-- piece was submitted; later editions are minted to their first buyer.
+ALTER TABLE piece_ownerships ADD COLUMN IF NOT EXISTS token_id INTEGER;
+
+UPDATE piece_ownerships o
+SET token_id = s.token_id
+FROM submissions s
+WHERE o.submission_id = s.id
+  AND o.edition_number = 1
+  AND o.token_id IS NULL
+  AND s.token_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_piece_ownerships_token ON piece_ownerships(token_id);
+
+-- =============================================================================
+-- NFT TRANSFERS TABLE
+-- =============================================================================
+-- Every sale moves the edition's token to the buyer. Transfers are retried
+-- until they confirm, like payouts.
+--
+-- pending   → waiting for its first attempt or a retry (next_attempt_at)
+-- sent      → transaction submitted, tx_hash known
+-- confirmed → receipt succeeded on-chain (or the buyer already held the token)
+-- failed    → retries exhausted; needs an admin retry
+--
+-- method: mint     → edition had no token yet, minted straight to the buyer
+--         custody  → token was held by the platform wallet
+--         approval → holder approved the platform wallet as operator
+CREATE TABLE IF NOT EXISTS nft_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id UUID,
+  sale_tx_hash TEXT NOT NULL,
+  submission_id UUID,
+  ownership_id UUID,
+  edition_number INTEGER,
+  piece_title TEXT,
+  token_id INTEGER,
+  method TEXT CHECK (method IS NULL OR method IN ('mint', 'custody', 'approval')),
+  from_wallet TEXT,
+  to_wallet TEXT NOT NULL,
+  to_username TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'confirmed', 'failed')),
+  tx_hash TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A sale delivers one token
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nft_transfers_sale ON nft_transfers(sale_tx_hash);
+
+CREATE INDEX IF NOT EXISTS idx_nft_transfers_purchase ON nft_transfers(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_nft_transfers_recipient ON nft_transfers(to_wallet, status);
+CREATE INDEX IF NOT EXISTS idx_nft_transfers_due ON nft_transfers(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_nft_transfers_unconfirmed ON nft_transfers(sent_at) WHERE status = 'sent';
+
+-- =============================================================================
+-- BACKFILL
+-- =============================================================================
+-- Editions sold before delivery existed. They are recorded as 'failed' so
+-- nothing moves on-chain until an admin reviews and retries them.
+INSERT INTO nft_transfers (purchase_id, sale_tx_hash, submission_id, ownership_id, edition_number, piece_title, token_id, to_wallet, to_username, status, last_error, next_attempt_at, created_at)
+SELECT
+  p.id,
+  LOWER(p.tx_hash),
+  o.submission_id,
+  o.id,
+  o.edition_number,
+  p.piece_title,
+  o.token_id,
+  LOWER(o.owner_wallet),
+  o.owner_username,
+  'failed',
+  'Sold before NFT delivery existed',
+  NULL,
+  p.created_at
+FROM piece_ownerships o
+JOIN purchases p ON p.id = o.purchase_id
+WHERE o.status = 'owned'
+  AND p.tx_hash IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE nft_transfers ENABLE ROW LEVEL SECURITY;
+
+-- Public can read transfers (collectors can audit delivery)
+CREATE POLICY "Anyone can view nft transfers" ON nft_transfers
+  FOR SELECT USING (true);
+
+-- Service role can insert/update transfers
+CREATE POLICY "Service role can insert nft transfers" ON nft_transfers
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update nft transfers" ON nft_transfers
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN piece_ownerships.token_id IS 'ERC-721 token for this edition (NULL until minted)';
+COMMENT ON TABLE nft_transfers IS 'On-chain delivery of each sold edition to its buyer, with transfer status';
+COMMENT ON COLUMN nft_transfers.sale_tx_hash IS 'Payment that funded the sale (purchases.tx_hash)';
+COMMENT ON COLUMN nft_transfers.token_id IS 'Token delivered; NULL until a new edition is minted';
+COMMENT ON COLUMN nft_transfers.method IS 'mint, custody (platform-held token) or approval (holder-approved operator)';
+COMMENT ON COLUMN nft_transfers.status IS 'pending (retrying), sent, confirmed, failed (needs admin retry)';
@@ -0,0 +1,49 @@
+-- Migration: Idempotency-Key support
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- IDEMPOTENCY KEYS TABLE
+-- =============================================================================
+-- First response to each (caller, Idempotency-Key), replayed on retries.
+--
+-- in_progress → the first request is still running (locked_at)
+-- completed   → response stored; replayed until expires_at
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  principal TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_headers JSONB,
+  response_body TEXT,
+  locked_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A key means one request per caller
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_key ON idempotency_keys(principal, idempotency_key);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+-- Stored responses can hold API keys (registration), so only the service
+-- role can read them.
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage idempotency keys" ON idempotency_keys
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE idempotency_keys IS 'First response per caller and Idempotency-Key, replayed byte-for-byte on retries';
+COMMENT ON COLUMN idempotency_keys.principal IS 'key:<sha256 of the API key / bearer token> or ip:<client IP>';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'Fingerprint of endpoint, method, URL, body and payment headers';
+COMMENT ON COLUMN idempotency_keys.response_body IS 'Exact bytes sent the first time';
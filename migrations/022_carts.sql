@@ -0,0 +1,133 @@
+-- Migration: Cart checkout (several pieces, one payment)
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- CARTS TABLE
+-- =============================================================================
+-- One USDC payment covering several primary sales. Each line becomes its own
+-- purchase, payouts and NFT transfer, all sharing the cart's tx_hash.
+--
+-- paid           → payment in hand, editions reserved, lines being recorded
+-- completed      → every line recorded as a purchase
+-- refund_pending → a piece sold out after payment; whole payment owed back
+-- refunded       → refund sent (refund_tx_hash)
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  buyer_wallet TEXT NOT NULL,
+  buyer_username TEXT,
+  items JSONB NOT NULL,
+  base_total DECIMAL(20, 6) NOT NULL,
+  protocol_fee DECIMAL(20, 6) NOT NULL,
+  total_usdc DECIMAL(20, 6) NOT NULL,
+  tx_hash TEXT NOT NULL,
+  payment_method TEXT NOT NULL DEFAULT 'transfer',
+  network TEXT NOT NULL DEFAULT 'base-sepolia',
+  status TEXT NOT NULL DEFAULT 'paid'
+    CHECK (status IN ('paid', 'completed', 'refund_pending', 'refunded')),
+  unavailable JSONB,
+  refund_amount DECIMAL(20, 6),
+  refund_tx_hash TEXT,
+  refund_error TEXT,
+  refunded_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A payment pays for one cart
+CREATE UNIQUE INDEX IF NOT EXISTS idx_carts_tx_hash ON carts(tx_hash);
+
+CREATE INDEX IF NOT EXISTS idx_carts_buyer ON carts(buyer_wallet, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_carts_refunds ON carts(updated_at) WHERE status = 'refund_pending';
+
+-- =============================================================================
+-- CART LINES
+-- =============================================================================
+-- Single sales keep cart_line 0; cart lines are numbered from 1 so each line
+-- gets its own purchase, payouts and transfer under the shared payment.
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS cart_id UUID REFERENCES carts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS cart_line INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS unique_tx_hash;
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_tx_hash_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchases_tx_line ON purchases(tx_hash, cart_line);
+CREATE INDEX IF NOT EXISTS idx_purchases_cart ON purchases(cart_id) WHERE cart_id IS NOT NULL;
+
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS cart_line INTEGER NOT NULL DEFAULT 0;
+DROP INDEX IF EXISTS idx_payouts_sale_role;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_sale_line_role ON payouts(sale_tx_hash, cart_line, role);
+
+ALTER TABLE nft_transfers ADD COLUMN IF NOT EXISTS cart_line INTEGER NOT NULL DEFAULT 0;
+DROP INDEX IF EXISTS idx_nft_transfers_sale;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nft_transfers_sale_line ON nft_transfers(sale_tx_hash, cart_line);
+
+-- =============================================================================
+-- ATOMIC CART CLAIM
+-- =============================================================================
+-- Claims one edition of every piece, or nothing: if any piece is sold out or
+-- being auctioned, the block's claims are rolled back and no rows return.
+-- Pieces are locked in id order so concurrent carts cannot deadlock.
+CREATE OR REPLACE FUNCTION claim_cart_editions(
+  p_submission_ids UUID[],
+  p_owner_wallet TEXT,
+  p_owner_username TEXT DEFAULT NULL
+)
+RETURNS SETOF piece_ownerships AS $$
+DECLARE
+  v_id UUID;
+  v_row piece_ownerships%ROWTYPE;
+  v_rows piece_ownerships[] := '{}';
+BEGIN
+  BEGIN
+    FOR v_id IN SELECT DISTINCT s FROM unnest(p_submission_ids) AS s ORDER BY s LOOP
+      IF EXISTS (
+        SELECT 1 FROM auctions
+        WHERE submission_id = v_id AND status IN ('active', 'settling')
+      ) THEN
+        RAISE EXCEPTION 'cart_piece_unavailable';
+      END IF;
+
+      SELECT * INTO v_row FROM claim_edition(v_id, p_owner_wallet, p_owner_username);
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'cart_piece_unavailable';
+      END IF;
+
+      v_rows := v_rows || v_row;
+    END LOOP;
+  EXCEPTION WHEN raise_exception THEN
+    RETURN;
+  END;
+
+  RETURN QUERY SELECT * FROM unnest(v_rows);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION claim_cart_editions(UUID[], TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+
+-- Public can read carts (buyers can audit refunds)
+CREATE POLICY "Anyone can view carts" ON carts
+  FOR SELECT USING (true);
+
+-- Service role can insert/update carts
+CREATE POLICY "Service role can insert carts" ON carts
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update carts" ON carts
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE carts IS 'Multi-piece checkouts paid with a single USDC payment';
+COMMENT ON COLUMN carts.items IS 'Quoted lines: [{ line, pieceId, title, artist, basePrice, protocolFee, total }]';
+COMMENT ON COLUMN carts.unavailable IS 'Pieces that sold out after payment (cart refunded)';
+COMMENT ON COLUMN carts.status IS 'paid, completed, refund_pending (retrying), refunded';
+COMMENT ON COLUMN purchases.cart_line IS '0 for single sales; 1..n for the lines of a cart sharing tx_hash';
+COMMENT ON COLUMN payouts.cart_line IS 'Cart line of the sale this payout belongs to (0 outside carts)';
+COMMENT ON COLUMN nft_transfers.cart_line IS 'Cart line of the sale this transfer delivers (0 outside carts)';
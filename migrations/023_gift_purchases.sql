@@ -0,0 +1,35 @@
+-- Migration: Gift purchases and paying from another wallet
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PURCHASES: PAYER AND GIFT
+-- =============================================================================
+-- buyer_wallet / buyer_username stay the collector who received the edition.
+-- payer_wallet is where the USDC came from (the buyer, or e.g. a treasury
+-- sent as X-Payer). A gift records the agent who bought it for the collector.
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS payer_wallet TEXT,
+ADD COLUMN IF NOT EXISTS gift_from_wallet TEXT,
+ADD COLUMN IF NOT EXISTS gift_from_username TEXT,
+ADD COLUMN IF NOT EXISTS gift_message TEXT,
+ADD COLUMN IF NOT EXISTS gift_signature TEXT,
+ADD COLUMN IF NOT EXISTS gift_signer TEXT;
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_gift_message_length;
+ALTER TABLE purchases ADD CONSTRAINT purchases_gift_message_length
+  CHECK (gift_message IS NULL OR char_length(gift_message) <= 280);
+
+-- Until now the collector always paid
+UPDATE purchases SET payer_wallet = LOWER(buyer_wallet)
+WHERE payer_wallet IS NULL AND buyer_wallet IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_purchases_payer ON purchases(payer_wallet);
+CREATE INDEX IF NOT EXISTS idx_purchases_gift_from ON purchases(gift_from_wallet) WHERE gift_from_wallet IS NOT NULL;
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN purchases.payer_wallet IS 'Wallet the USDC payment came from (X-Payer, defaults to the buyer)';
+COMMENT ON COLUMN purchases.gift_from_wallet IS 'Agent who bought the piece for buyer_wallet (NULL unless a gift)';
+COMMENT ON COLUMN purchases.gift_message IS 'Optional note from the gifting agent (max 280 chars)';
+COMMENT ON COLUMN purchases.gift_signer IS 'Wallet that personal_signed the gift message, if signed';
@@ -0,0 +1,40 @@
+-- Migration: Signed purchase receipts
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- RECEIPTS TABLE
+-- =============================================================================
+-- One EIP-712 receipt per completed purchase, signed with RECEIPT_SIGNER_KEY.
+-- message is the exact typed message that was signed (uint256 values as
+-- decimal strings), so the stored row verifies as-is.
+CREATE TABLE IF NOT EXISTS receipts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id UUID NOT NULL REFERENCES purchases(id),
+  message JSONB NOT NULL,
+  signature TEXT NOT NULL,
+  signer TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A purchase gets exactly one receipt
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_purchase ON receipts(purchase_id);
+
+CREATE INDEX IF NOT EXISTS idx_receipts_signer ON receipts(signer);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE receipts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view receipts" ON receipts
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can insert receipts" ON receipts
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE receipts IS 'Platform-signed EIP-712 receipts of completed purchases (verifiable offline)';
+COMMENT ON COLUMN receipts.message IS 'Signed Receipt message: piece, edition, buyer, payer, seller, atomic USDC amounts, payment tx';
+COMMENT ON COLUMN receipts.signer IS 'Receipt signer address (lowercase) at signing time';
@@ -0,0 +1,51 @@
+-- Migration: Payment confirmation depth and reorg reconciliation
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PURCHASES: CONFIRMATION STATE
+-- =============================================================================
+-- pending_confirmation → a broadcast transfer short of its required depth;
+--                        the edition is recorded, payouts / token / receipt wait
+-- reorged              → its payment vanished before it reached that depth
+-- A completed purchase whose payment later vanishes keeps its status and
+-- gets reorged_at (admin follow-up).
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_status_check;
+ALTER TABLE purchases ADD CONSTRAINT purchases_status_check
+  CHECK (status IN ('pending', 'pending_confirmation', 'completed', 'failed', 'refunded', 'reorged'));
+
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS block_number BIGINT,
+ADD COLUMN IF NOT EXISTS block_hash TEXT,
+ADD COLUMN IF NOT EXISTS confirmations INTEGER,
+ADD COLUMN IF NOT EXISTS required_confirmations TEXT,
+ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reorged_at TIMESTAMPTZ;
+
+-- Purchases recorded before confirmations were tracked counted on receipt
+UPDATE purchases SET confirmed_at = created_at
+WHERE confirmed_at IS NULL AND status = 'completed';
+
+-- Reconciliation job: pending ones, and recent ones not yet final
+CREATE INDEX IF NOT EXISTS idx_purchases_pending_confirmation ON purchases(created_at)
+  WHERE status = 'pending_confirmation';
+CREATE INDEX IF NOT EXISTS idx_purchases_unfinalized ON purchases(created_at)
+  WHERE finalized_at IS NULL AND reorged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_purchases_reorged ON purchases(reorged_at) WHERE reorged_at IS NOT NULL;
+
+-- =============================================================================
+-- LEDGERS: HELD ENTRIES
+-- =============================================================================
+-- A pending entry with no next_attempt_at is held: the worker skips it until
+-- its sale's payment is confirmed. Nothing to migrate; documented here.
+COMMENT ON COLUMN payouts.next_attempt_at IS 'When the worker may next try a pending payout (backoff); NULL while held for payment confirmations';
+COMMENT ON COLUMN nft_transfers.next_attempt_at IS 'When the worker may next try a pending transfer (backoff); NULL while held for payment confirmations';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN purchases.required_confirmations IS 'Depth the payment needed for its amount tier: a block count or ''finalized''';
+COMMENT ON COLUMN purchases.confirmations IS 'Confirmations seen at the last check';
+COMMENT ON COLUMN purchases.confirmed_at IS 'When the payment reached its required depth and the sale completed';
+COMMENT ON COLUMN purchases.finalized_at IS 'When the reconciliation job saw the payment block finalized';
+COMMENT ON COLUMN purchases.reorged_at IS 'When the payment transaction was found reorganized out of the chain';
@@ -0,0 +1,69 @@
+-- Migration: Solana SPL-USDC payments
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- SOLANA PAYMENTS TABLE
+-- =============================================================================
+-- One row per Solana transaction signature presented to /api/buy.
+-- The signature is claimed before the sale is recorded so one transfer can
+-- never pay for two sales, even across function instances.
+--
+-- claimed     → verified and claimed, sale being recorded
+-- used        → paid for purchase_id
+-- refund_due  → funds arrived but the sale could not be assigned
+CREATE TABLE IF NOT EXISTS solana_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  signature TEXT NOT NULL,
+  network TEXT NOT NULL,
+  mint TEXT NOT NULL,
+  payer TEXT NOT NULL,
+  pay_to TEXT NOT NULL,
+  amount_usdc DECIMAL(20, 6) NOT NULL,
+  slot BIGINT,
+  status TEXT NOT NULL DEFAULT 'claimed' CHECK (status IN ('claimed', 'used', 'refund_due')),
+  purchase_id UUID REFERENCES purchases(id) ON DELETE SET NULL,
+  resource TEXT,
+  piece_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Replay protection: a signature pays once (base58 is case-sensitive, so no LOWER())
+CREATE UNIQUE INDEX IF NOT EXISTS idx_solana_payments_signature ON solana_payments(signature);
+CREATE INDEX IF NOT EXISTS idx_solana_payments_payer ON solana_payments(payer);
+CREATE INDEX IF NOT EXISTS idx_solana_payments_status ON solana_payments(status);
+
+-- =============================================================================
+-- PURCHASES: SOURCE CHAIN
+-- =============================================================================
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS payment_chain TEXT NOT NULL DEFAULT 'base';
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_payment_chain_check;
+ALTER TABLE purchases ADD CONSTRAINT purchases_payment_chain_check
+  CHECK (payment_chain IN ('base', 'solana'));
+
+CREATE INDEX IF NOT EXISTS idx_purchases_payment_chain ON purchases(payment_chain) WHERE payment_chain <> 'base';
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE solana_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view solana payments" ON solana_payments
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can insert solana payments" ON solana_payments
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update solana payments" ON solana_payments
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE solana_payments IS 'SPL USDC transfers on Solana claimed as payment for a sale';
+COMMENT ON COLUMN solana_payments.signature IS 'Base58 transaction signature (single-use)';
+COMMENT ON COLUMN solana_payments.slot IS 'Slot of the finalized transaction';
+COMMENT ON COLUMN purchases.payment_chain IS 'Chain the payment came from: base (tx_hash is a 0x hash) or solana (tx_hash is a base58 signature)';
+COMMENT ON COLUMN purchases.payment_method IS 'transfer: buyer-broadcast tx hash, x402_authorization: facilitator-settled EIP-3009, solana_transfer: SPL USDC on Solana';
@@ -0,0 +1,62 @@
+-- Migration: Collaborative pieces with multi-artist revenue splits
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- SUBMISSION COLLABORATORS TABLE
+-- =============================================================================
+-- One row per co-artist of a collaborative piece. The submitting artist
+-- (submissions.moltbook) is the lead and is confirmed on submission; every
+-- other co-artist confirms or declines through /api/collaborations.
+--
+-- pending   → invited, share goes to the lead until confirmed
+-- confirmed → paid their share of every later sale
+-- declined  → share goes to the lead
+CREATE TABLE IF NOT EXISTS submission_collaborators (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  username TEXT NOT NULL,
+  wallet TEXT NOT NULL,
+  share_percent DECIMAL(5, 2) NOT NULL CHECK (share_percent > 0 AND share_percent <= 100),
+  is_lead BOOLEAN NOT NULL DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'declined')),
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A co-artist appears once per piece
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collaborators_submission_wallet ON submission_collaborators(submission_id, wallet);
+CREATE INDEX IF NOT EXISTS idx_collaborators_wallet ON submission_collaborators(wallet, status);
+
+-- =============================================================================
+-- PAYOUTS: ONE ENTRY PER CO-ARTIST
+-- =============================================================================
+-- A collaborative sale owes the artist (or royalty) role to several wallets
+DROP INDEX IF EXISTS idx_payouts_sale_line_role;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_sale_line_role_recipient
+  ON payouts(sale_tx_hash, cart_line, role, COALESCE(recipient_wallet, ''));
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE submission_collaborators ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view submission collaborators" ON submission_collaborators
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can insert submission collaborators" ON submission_collaborators
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update submission collaborators" ON submission_collaborators
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can delete submission collaborators" ON submission_collaborators
+  FOR DELETE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE submission_collaborators IS 'Co-artists of a collaborative piece and their share of its sales';
+COMMENT ON COLUMN submission_collaborators.share_percent IS 'Percent of the artist payout and resale royalty (all co-artists add up to 100)';
+COMMENT ON COLUMN submission_collaborators.is_lead IS 'The submitting artist; receives the shares of co-artists who have not confirmed';
+COMMENT ON COLUMN submission_collaborators.status IS 'pending, confirmed (paid their share) or declined';
@@ -0,0 +1,109 @@
+-- Migration: Recurring patronage subscriptions to artists
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PATRONAGES TABLE
+-- =============================================================================
+-- One row per patron → artist subscription. Each period is paid straight to
+-- the artist's wallet with an EIP-3009 authorization settled by the platform.
+--
+-- active    → paid through current_period_end
+-- past_due  → renewal missed, perks kept for the grace period
+-- cancelled → no more renewals, perks kept until current_period_end
+-- lapsed    → grace period ran out without a renewal
+CREATE TABLE IF NOT EXISTS patronages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  patron_wallet TEXT NOT NULL,
+  patron_username TEXT,
+  artist_wallet TEXT NOT NULL,
+  artist_username TEXT NOT NULL,
+  amount_usdc DECIMAL(20, 6) NOT NULL CHECK (amount_usdc > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'past_due', 'cancelled', 'lapsed')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  current_period_end TIMESTAMPTZ NOT NULL,
+  periods_paid INTEGER NOT NULL DEFAULT 1,
+  renewal_notified_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  lapsed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A patron has one running subscription per artist
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patronages_running
+  ON patronages(patron_wallet, artist_wallet) WHERE status IN ('active', 'past_due');
+CREATE INDEX IF NOT EXISTS idx_patronages_artist ON patronages(artist_wallet, status);
+CREATE INDEX IF NOT EXISTS idx_patronages_due ON patronages(current_period_end) WHERE status IN ('active', 'past_due');
+
+-- =============================================================================
+-- PATRONAGE PAYMENTS TABLE
+-- =============================================================================
+-- One row per paid or pre-authorized period.
+--
+-- scheduled → signed authorization waiting for its period to start
+-- paid      → settled (tx_hash)
+-- failed    → settlement failed, the patron is asked to renew by hand
+-- void      → subscription cancelled before the period started
+CREATE TABLE IF NOT EXISTS patronage_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  patronage_id UUID NOT NULL REFERENCES patronages(id) ON DELETE CASCADE,
+  period_start TIMESTAMPTZ NOT NULL,
+  period_end TIMESTAMPTZ NOT NULL,
+  amount_usdc DECIMAL(20, 6) NOT NULL,
+  method TEXT NOT NULL CHECK (method IN ('preauthorized', 'x402')),
+  status TEXT NOT NULL CHECK (status IN ('scheduled', 'paid', 'failed', 'void')),
+  authorization_payload JSONB,
+  valid_before TIMESTAMPTZ,
+  tx_hash TEXT,
+  error TEXT,
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A period is paid (or pre-authorized) once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patronage_payments_period ON patronage_payments(patronage_id, period_start);
+CREATE INDEX IF NOT EXISTS idx_patronage_payments_status ON patronage_payments(status);
+
+-- =============================================================================
+-- SUBMISSIONS: PATRON EARLY ACCESS
+-- =============================================================================
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS patron_only_until TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_patron_only ON submissions(patron_only_until) WHERE patron_only_until IS NOT NULL;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE patronages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE patronage_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view patronages" ON patronages
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can insert patronages" ON patronages
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update patronages" ON patronages
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- Payments hold signed authorizations: service role only
+CREATE POLICY "Service role can view patronage payments" ON patronage_payments
+  FOR SELECT USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can insert patronage payments" ON patronage_payments
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update patronage payments" ON patronage_payments
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE patronages IS 'Monthly USDC patronage of an artist by a collector';
+COMMENT ON COLUMN patronages.current_period_end IS 'End of the last paid period; renewal is due from here';
+COMMENT ON COLUMN patronages.renewal_notified_at IS 'When the patron was last asked to renew by hand';
+COMMENT ON TABLE patronage_payments IS 'Paid and pre-authorized patronage periods';
+COMMENT ON COLUMN patronage_payments.authorization_payload IS 'x402 exact payload (EIP-3009) pre-signed for this period';
+COMMENT ON COLUMN submissions.patron_only_until IS 'Only the artist''s patrons can buy the piece until this time';
@@ -0,0 +1,47 @@
+-- Migration: Signed license certificates
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSE CERTIFICATES TABLE
+-- =============================================================================
+-- One EIP-712 certificate per granted license, signed with the platform
+-- license key (LICENSE_SIGNER_KEY, else RECEIPT_SIGNER_KEY). message is the
+-- exact typed message that was signed, so the stored row verifies as-is.
+-- The artist can countersign the same message with their wallet.
+CREATE TABLE IF NOT EXISTS license_certificates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id UUID NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  message JSONB NOT NULL,
+  signature TEXT NOT NULL,
+  signer TEXT NOT NULL,
+  artist_signature TEXT,
+  artist_signer TEXT,
+  countersigned_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A license has one current certificate
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_certificates_license ON license_certificates(license_id);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE license_certificates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view license certificates" ON license_certificates
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can insert license certificates" ON license_certificates
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can update license certificates" ON license_certificates
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE license_certificates IS 'Platform-signed EIP-712 certificates of granted licenses (verifiable offline)';
+COMMENT ON COLUMN license_certificates.message IS 'Signed License message: piece, artist, licensee, type, scope, terms, issue and expiry time';
+COMMENT ON COLUMN license_certificates.signer IS 'Platform license signer address (lowercase) at signing time';
+COMMENT ON COLUMN license_certificates.artist_signature IS 'Optional countersignature of the same message by the artist wallet';
@@ -0,0 +1,73 @@
+-- Migration: Exclusive licenses
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSE TYPES, SCOPES AND RELEASE
+-- =============================================================================
+-- 010 only allowed personal and commercial, but the API also grants
+-- commercial_extended; add it along with exclusive.
+ALTER TABLE licenses DROP CONSTRAINT IF EXISTS licenses_license_type_check;
+ALTER TABLE licenses ADD CONSTRAINT licenses_license_type_check
+  CHECK (license_type IN ('personal', 'commercial', 'commercial_extended', 'exclusive'));
+
+-- released: an exclusive license its holder gave up before expiry
+ALTER TABLE licenses DROP CONSTRAINT IF EXISTS licenses_status_check;
+ALTER TABLE licenses ADD CONSTRAINT licenses_status_check
+  CHECK (status IN ('active', 'expired', 'revoked', 'released'));
+
+-- Usage scope of a commercial license; 'all' overlaps every other scope
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS scope TEXT NOT NULL DEFAULT 'all'
+  CHECK (scope IN ('all', 'apps', 'signage', 'marketing', 'products'));
+
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS released_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_licenses_piece_active ON licenses(piece_id, license_type)
+  WHERE status = 'active';
+
+-- =============================================================================
+-- CONFLICT GUARD
+-- =============================================================================
+-- The API checks for conflicts before taking payment; this closes the race
+-- between two concurrent grants. Grants of one piece are serialized with an
+-- advisory lock, then an exclusive license is refused while another
+-- commercial license overlaps its scope, and any commercial license is
+-- refused while an exclusive one overlaps it. A licensee's own licenses
+-- don't block them.
+CREATE OR REPLACE FUNCTION check_exclusive_license_conflict()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.license_type NOT IN ('commercial', 'commercial_extended', 'exclusive') OR NEW.status <> 'active' THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('license:' || NEW.piece_id::text));
+
+  IF EXISTS (
+    SELECT 1 FROM licenses l
+    WHERE l.piece_id = NEW.piece_id
+      AND l.status = 'active'
+      AND l.expires_at > NOW()
+      AND l.license_type IN ('commercial', 'commercial_extended', 'exclusive')
+      AND (NEW.license_type = 'exclusive' OR l.license_type = 'exclusive')
+      AND (l.scope = NEW.scope OR l.scope = 'all' OR NEW.scope = 'all')
+      AND LOWER(l.licensee_wallet) <> LOWER(NEW.licensee_wallet)
+  ) THEN
+    RAISE EXCEPTION 'exclusive_license_conflict: piece % scope %', NEW.piece_id, NEW.scope;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_exclusive_license_conflict_trigger ON licenses;
+CREATE TRIGGER check_exclusive_license_conflict_trigger
+  BEFORE INSERT ON licenses
+  FOR EACH ROW
+  EXECUTE FUNCTION check_exclusive_license_conflict();
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN licenses.license_type IS 'personal = free; commercial, commercial_extended and exclusive require $PHOS payment';
+COMMENT ON COLUMN licenses.scope IS 'Usage scope of a commercial license (all, apps, signage, marketing, products)';
+COMMENT ON COLUMN licenses.released_at IS 'When the holder released an exclusive license early (status = released)';
@@ -0,0 +1,51 @@
+-- Migration: License renewal, expiry reminders and grace periods
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSE RENEWAL COLUMNS
+-- =============================================================================
+-- last_reminder_days: smallest reminder threshold (30, 7, 1 days before
+-- expiry) already sent for the current term; cleared on renewal
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS last_reminder_days INTEGER;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS renewed_at TIMESTAMPTZ;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS renewal_count INTEGER NOT NULL DEFAULT 0;
+
+-- Reminder and expiry job scans
+CREATE INDEX IF NOT EXISTS idx_licenses_active_expiry ON licenses(expires_at)
+  WHERE status = 'active';
+
+-- =============================================================================
+-- LICENSE RENEWALS TABLE
+-- =============================================================================
+-- One row per renewal. tx_hash is the $PHOS payment (NULL for free personal
+-- renewals) and is unique, so one payment can't renew twice.
+CREATE TABLE IF NOT EXISTS license_renewals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id UUID NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  phos_paid NUMERIC(20, 8) DEFAULT 0,
+  tx_hash TEXT UNIQUE,
+  previous_expires_at TIMESTAMPTZ NOT NULL,
+  new_expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_renewals_license ON license_renewals(license_id);
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE license_renewals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view license renewals" ON license_renewals
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can manage license renewals" ON license_renewals
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE license_renewals IS 'Renewals of licenses, each extending expires_at by the license duration';
+COMMENT ON COLUMN licenses.last_reminder_days IS 'Smallest expiry reminder threshold (days) already sent for the current term';
+COMMENT ON COLUMN licenses.renewal_count IS 'Number of times the license has been renewed';
+COMMENT ON COLUMN license_renewals.previous_expires_at IS 'Expiry before renewal; the new term starts here so grace-period renewals leave no gap';
@@ -0,0 +1,110 @@
+-- Migration: Artist license offerings
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSE OFFERINGS TABLE
+-- =============================================================================
+-- Artist-defined license terms and pricing per piece. A piece with active
+-- offerings is licensed only through them; pieces without any keep the
+-- platform's default catalog.
+CREATE TABLE IF NOT EXISTS license_offerings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  piece_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  license_type TEXT NOT NULL DEFAULT 'commercial'
+    CHECK (license_type IN ('personal', 'commercial', 'commercial_extended', 'exclusive')),
+  scope TEXT NOT NULL DEFAULT 'all'
+    CHECK (scope IN ('all', 'apps', 'signage', 'marketing', 'products')),
+  allowed_uses TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (allowed_uses <@ ARRAY['print', 'merchandise', 'ai_training', 'derivative_works']),
+  territory TEXT NOT NULL DEFAULT 'worldwide',
+  duration_days INTEGER NOT NULL DEFAULT 365 CHECK (duration_days BETWEEN 1 AND 3650),
+  price NUMERIC(20, 8) NOT NULL DEFAULT 0 CHECK (price >= 0),
+  currency TEXT NOT NULL DEFAULT 'PHOS' CHECK (currency IN ('PHOS', 'USDC')),
+  max_licensees INTEGER CHECK (max_licensees IS NULL OR max_licensees > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_offerings_piece ON license_offerings(piece_id)
+  WHERE status = 'active';
+
+-- =============================================================================
+-- LICENSES: OFFERING, CURRENCY AND TERMS
+-- =============================================================================
+-- terms is a snapshot of the offering (name, allowed uses, territory) at
+-- grant time, so later edits to the offering don't change the license.
+-- USDC payments are recorded in usdc_equivalent.
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS offering_id UUID REFERENCES license_offerings(id) ON DELETE SET NULL;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'PHOS'
+  CHECK (currency IN ('PHOS', 'USDC'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS terms JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_licenses_offering ON licenses(offering_id)
+  WHERE offering_id IS NOT NULL;
+
+ALTER TABLE license_renewals ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'PHOS'
+  CHECK (currency IN ('PHOS', 'USDC'));
+ALTER TABLE license_renewals ADD COLUMN IF NOT EXISTS usdc_paid NUMERIC(20, 6) DEFAULT 0;
+
+-- =============================================================================
+-- LICENSEE CAP GUARD
+-- =============================================================================
+-- The API checks max_licensees before taking payment; this closes the race
+-- between concurrent grants (same per-piece lock as the exclusivity guard).
+CREATE OR REPLACE FUNCTION check_license_offering_cap()
+RETURNS TRIGGER AS $$
+DECLARE
+  cap INTEGER;
+BEGIN
+  IF NEW.offering_id IS NULL OR NEW.status <> 'active' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT max_licensees INTO cap FROM license_offerings WHERE id = NEW.offering_id;
+  IF cap IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('license:' || NEW.piece_id::text));
+
+  IF (
+    SELECT COUNT(*) FROM licenses l
+    WHERE l.offering_id = NEW.offering_id
+      AND l.status = 'active'
+      AND l.expires_at > NOW()
+  ) >= cap THEN
+    RAISE EXCEPTION 'license_offering_full: offering %', NEW.offering_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_license_offering_cap_trigger ON licenses;
+CREATE TRIGGER check_license_offering_cap_trigger
+  BEFORE INSERT ON licenses
+  FOR EACH ROW
+  EXECUTE FUNCTION check_license_offering_cap();
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE license_offerings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view license offerings" ON license_offerings
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can manage license offerings" ON license_offerings
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE license_offerings IS 'Artist-defined license terms and pricing per piece';
+COMMENT ON COLUMN license_offerings.license_type IS 'Base license type; drives exclusivity and conflict rules';
+COMMENT ON COLUMN license_offerings.territory IS 'worldwide, or comma-separated ISO 3166-1 alpha-2 country codes';
+COMMENT ON COLUMN license_offerings.max_licensees IS 'Cap on licenses in force through this offering (NULL = no cap)';
+COMMENT ON COLUMN licenses.terms IS 'Snapshot of the offering terms at grant time (NULL for the default catalog)';
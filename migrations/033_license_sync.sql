@@ -0,0 +1,94 @@
+-- Migration: LicensingRegistry sync
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSES: ON-CHAIN LINK
+-- =============================================================================
+-- source: 'api' for licenses granted through /api/license, 'chain' for
+-- licenses bought directly on LicensingRegistry and indexed from its events.
+-- onchain_license_id links a row to its registry license (either way).
+-- onchain_status tracks mirroring an API license onto the registry:
+-- pending → sent → synced, or failed after retries; NULL = not mirrored.
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'api'
+  CHECK (source IN ('api', 'chain'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_license_id BIGINT UNIQUE;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_status TEXT
+  CHECK (onchain_status IN ('pending', 'sent', 'synced', 'failed'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_tx_hash TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_error TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_next_attempt_at TIMESTAMPTZ;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_synced_at TIMESTAMPTZ;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS onchain_checked_at TIMESTAMPTZ;
+
+-- Sync worker scans
+CREATE INDEX IF NOT EXISTS idx_licenses_onchain_due ON licenses(onchain_next_attempt_at)
+  WHERE onchain_status IN ('pending', 'sent');
+
+-- Integrity job rotation
+CREATE INDEX IF NOT EXISTS idx_licenses_onchain_checked ON licenses(onchain_checked_at NULLS FIRST)
+  WHERE onchain_license_id IS NOT NULL;
+
+-- =============================================================================
+-- SYNC CURSORS
+-- =============================================================================
+-- Last block whose registry events were indexed, per registry contract
+CREATE TABLE IF NOT EXISTS license_sync_state (
+  id TEXT PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =============================================================================
+-- DIVERGENCES
+-- =============================================================================
+-- One row per (subject, kind) found by the integrity job. subject is
+-- 'license:<uuid>' for a licenses row or 'onchain:<id>' for a registry
+-- license with no row. A later run that no longer sees the divergence sets
+-- resolved_at; seeing it again reopens it.
+CREATE TABLE IF NOT EXISTS license_sync_issues (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN (
+    'missing_onchain',
+    'missing_offchain',
+    'unindexable',
+    'licensee_mismatch',
+    'piece_mismatch',
+    'type_mismatch',
+    'expiry_mismatch',
+    'status_mismatch',
+    'registration_failed'
+  )),
+  license_id UUID REFERENCES licenses(id) ON DELETE CASCADE,
+  onchain_license_id BIGINT,
+  details JSONB,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  UNIQUE (subject, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_sync_issues_open ON license_sync_issues(last_seen_at DESC)
+  WHERE resolved_at IS NULL;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE license_sync_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE license_sync_issues ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage license sync state" ON license_sync_state
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage license sync issues" ON license_sync_issues
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN licenses.source IS 'api (granted through /api/license) or chain (bought on LicensingRegistry)';
+COMMENT ON COLUMN licenses.onchain_license_id IS 'LicensingRegistry license ID';
+COMMENT ON COLUMN licenses.onchain_status IS 'Mirroring onto LicensingRegistry: pending, sent, synced, failed (NULL = not mirrored)';
+COMMENT ON TABLE license_sync_state IS 'Block cursors of the LicensingRegistry event indexer';
+COMMENT ON TABLE license_sync_issues IS 'Divergences between licenses and LicensingRegistry found by the integrity job';
@@ -0,0 +1,87 @@
+-- Migration: License disputes, revocation and refunds
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- ADMIN SESSIONS
+-- =============================================================================
+-- Sessions issued by /api/auth/admin, so any function can check an admin
+-- Bearer token (the in-memory store only lives in one instance). Only the
+-- SHA-256 of the token is stored.
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash TEXT PRIMARY KEY,
+  ip TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
+
+-- =============================================================================
+-- LICENSES: REVOCATION AND REFUNDS
+-- =============================================================================
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS revocation_reason TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(20, 8);
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_currency TEXT
+  CHECK (refund_currency IN ('PHOS', 'USDC'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_tx_hash TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_error TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+-- =============================================================================
+-- LICENSE DISPUTES TABLE
+-- =============================================================================
+-- An artist's complaint about misuse of a license of their piece:
+-- open → responded (licensee answered) → resolved (revoke, refund or dismiss)
+CREATE TABLE IF NOT EXISTS license_disputes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id UUID NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  piece_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  artist_agent_id INTEGER,
+  artist TEXT NOT NULL,
+  licensee_wallet TEXT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN (
+    'out_of_scope', 'prohibited_use', 'territory', 'attribution', 'resale', 'other'
+  )),
+  description TEXT NOT NULL,
+  evidence JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'responded', 'resolved')),
+  respond_by TIMESTAMPTZ NOT NULL,
+  response TEXT,
+  response_evidence JSONB,
+  responded_at TIMESTAMPTZ,
+  outcome TEXT CHECK (outcome IN ('revoke', 'refund', 'dismiss')),
+  resolution_note TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_disputes_license ON license_disputes(license_id);
+CREATE INDEX IF NOT EXISTS idx_license_disputes_artist ON license_disputes(artist);
+CREATE INDEX IF NOT EXISTS idx_license_disputes_status ON license_disputes(status, created_at);
+
+-- One unresolved dispute per license
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_disputes_one_open ON license_disputes(license_id)
+  WHERE status <> 'resolved';
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE license_disputes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage admin sessions" ON admin_sessions
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage license disputes" ON license_disputes
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE admin_sessions IS 'Admin sessions from /api/auth/admin (token hashes only)';
+COMMENT ON TABLE license_disputes IS 'Artist disputes against licenses of their pieces, reviewed by admins';
+COMMENT ON COLUMN license_disputes.respond_by IS 'Until when the licensee can respond; revoke/refund wait for it unless they responded';
+COMMENT ON COLUMN license_disputes.resolved_by IS 'Admin that resolved it (session IP or "admin-secret")';
+COMMENT ON COLUMN licenses.refund_amount IS 'Amount refunded (or owed) to the licensee after a revocation with refund';
@@ -0,0 +1,78 @@
+-- Migration: $PHOS bounty payouts
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- BOUNTY PAYOUTS TABLE
+-- =============================================================================
+-- One $PHOS transfer from the rewards wallet, covering every pending bounty
+-- event of a wallet that fit in the day's emission cap:
+-- sending → paid, or failed (its events go back to pending for a retry)
+CREATE TABLE IF NOT EXISTS bounty_payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_address TEXT NOT NULL,
+  phos_amount DECIMAL(20, 6) NOT NULL,
+  event_count INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'paid', 'failed')),
+  tx_hash TEXT UNIQUE,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  paid_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_bounty_payouts_wallet ON bounty_payouts(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_bounty_payouts_status ON bounty_payouts(status, created_at);
+
+-- =============================================================================
+-- BOUNTY EVENTS: PAYOUT TRACKING
+-- =============================================================================
+-- pending → paid, or failed after MAX_PAYOUT_ATTEMPTS. payout_id is set
+-- while a batch is sending and kept once paid.
+ALTER TABLE bounty_events DROP CONSTRAINT IF EXISTS bounty_events_status_check;
+ALTER TABLE bounty_events ADD CONSTRAINT bounty_events_status_check
+  CHECK (status IN ('pending', 'paid', 'failed'));
+
+ALTER TABLE bounty_events ADD COLUMN IF NOT EXISTS payout_id UUID REFERENCES bounty_payouts(id) ON DELETE SET NULL;
+ALTER TABLE bounty_events ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bounty_events ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE bounty_events ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+ALTER TABLE bounty_events ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+-- Executor scans
+CREATE INDEX IF NOT EXISTS idx_bounty_events_payable ON bounty_events(created_at)
+  WHERE status = 'pending' AND payout_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_bounty_events_payout ON bounty_events(payout_id);
+
+-- =============================================================================
+-- VIEWS
+-- =============================================================================
+CREATE OR REPLACE VIEW bounty_stats AS
+SELECT
+  COUNT(*) as total_bounty_events,
+  COUNT(*) FILTER (WHERE status = 'pending') as pending_bounties,
+  COUNT(*) FILTER (WHERE status = 'paid') as paid_bounties,
+  COALESCE(SUM(phos_amount), 0) as total_phos_issued,
+  COALESCE(SUM(phos_amount) FILTER (WHERE status = 'paid'), 0) as total_phos_paid,
+  COALESCE(SUM(phos_amount) FILTER (WHERE status = 'pending'), 0) as total_phos_pending,
+  COUNT(*) FILTER (WHERE status = 'failed') as failed_bounties,
+  COALESCE(SUM(phos_amount) FILTER (WHERE status = 'failed'), 0) as total_phos_failed
+FROM bounty_events;
+
+-- =============================================================================
+-- RLS POLICIES
+-- =============================================================================
+ALTER TABLE bounty_payouts ENABLE ROW LEVEL SECURITY;
+
+-- Public can read bounty payouts (transparency)
+CREATE POLICY "Anyone can view bounty payouts" ON bounty_payouts
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role can manage bounty payouts" ON bounty_payouts
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON TABLE bounty_payouts IS '$PHOS transfers from the rewards wallet, one per wallet batch of bounty events';
+COMMENT ON COLUMN bounty_payouts.status IS 'sending (transfer in flight), paid, failed';
+COMMENT ON COLUMN bounty_events.status IS 'pending (owed), paid, failed (gave up after retries; admin retry)';
+COMMENT ON COLUMN bounty_events.payout_id IS 'Batch transfer that is paying or paid this event';
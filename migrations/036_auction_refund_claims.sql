@@ -0,0 +1,29 @@
+-- Migration: Claim auction bid refunds before sending them
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- AUCTION BIDS: REFUND STATE
+-- =============================================================================
+-- A bid, settlement and the scheduler can all reach the same refund. Each
+-- claims it first (pending → sending) and only the claimant sends it:
+-- pending  → nothing sent yet (owed once the bid is outbid, lost or rejected)
+-- sending  → a request is sending it; one left here by a crashed request may
+--            or may not have gone out and is checked by hand
+-- refunded → sent (refund_tx_hash)
+ALTER TABLE auction_bids ADD COLUMN IF NOT EXISTS refund_status TEXT NOT NULL DEFAULT 'pending'
+  CHECK (refund_status IN ('pending', 'sending', 'refunded'));
+ALTER TABLE auction_bids ADD COLUMN IF NOT EXISTS refund_claimed_at TIMESTAMPTZ;
+
+UPDATE auction_bids SET refund_status = 'refunded' WHERE refunded_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_auction_bids_refund_due;
+CREATE INDEX IF NOT EXISTS idx_auction_bids_refund_due ON auction_bids(updated_at)
+  WHERE status IN ('outbid', 'lost', 'rejected') AND refund_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_auction_bids_refund_sending ON auction_bids(refund_claimed_at)
+  WHERE refund_status = 'sending';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN auction_bids.refund_status IS 'pending, sending (claimed by a request), refunded';
+COMMENT ON COLUMN auction_bids.refund_claimed_at IS 'When the refund was claimed for sending';
@@ -0,0 +1,44 @@
+-- Migration: Reserve bounty payouts against the daily emission cap
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- ATOMIC PAYOUT RESERVATION
+-- =============================================================================
+-- Two payout runs must not both spend the day's remaining budget. The
+-- reservation takes an advisory lock, sums what was sent (or is sending)
+-- since p_since and inserts the `sending` row only if it still fits under
+-- p_cap. Returns no rows when it doesn't.
+CREATE OR REPLACE FUNCTION reserve_bounty_payout(
+  p_wallet TEXT,
+  p_amount DECIMAL(20, 6),
+  p_event_count INTEGER,
+  p_cap DECIMAL(20, 6),
+  p_since TIMESTAMPTZ
+)
+RETURNS SETOF bounty_payouts AS $$
+DECLARE
+  v_emitted DECIMAL(20, 6);
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('bounty_payouts:emission'));
+
+  SELECT COALESCE(SUM(phos_amount), 0) INTO v_emitted
+  FROM bounty_payouts
+  WHERE status IN ('sending', 'paid') AND created_at >= p_since;
+
+  IF v_emitted + p_amount > p_cap THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO bounty_payouts (wallet_address, phos_amount, event_count, status)
+  VALUES (LOWER(p_wallet), p_amount, p_event_count, 'sending')
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON FUNCTION reserve_bounty_payout IS 'Insert a sending bounty payout if it fits under the day''s emission cap';
+COMMENT ON COLUMN bounty_payouts.status IS 'sending (reserved, or broadcast and awaiting its receipt), paid, failed';
+COMMENT ON COLUMN bounty_payouts.tx_hash IS 'Transfer hash, recorded as soon as it is broadcast';
@@ -0,0 +1,35 @@
+-- Migration: Claim offer refunds before sending them
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- OFFERS: REFUND STATE
+-- =============================================================================
+-- Closing an offer, settling it (unused escrow) and the expiry scheduler can
+-- all reach the same refund. Each claims it first (pending → sending) and only
+-- the claimant sends it:
+-- none     → nothing owed (open offer, or accepted with no unused escrow)
+-- pending  → owed, nothing sent yet (refund_amount, or the full escrow)
+-- sending  → claimed; once broadcast refund_tx_hash is set and its receipt
+--            settles it. One with no hash may or may not have gone out and
+--            is checked by hand
+-- refunded → sent and confirmed (refund_tx_hash)
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS refund_status TEXT NOT NULL DEFAULT 'none'
+  CHECK (refund_status IN ('none', 'pending', 'sending', 'refunded'));
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS refund_claimed_at TIMESTAMPTZ;
+
+UPDATE offers SET refund_status = 'refunded' WHERE refunded_at IS NOT NULL;
+UPDATE offers SET refund_status = 'pending'
+  WHERE refunded_at IS NULL AND status IN ('rejected', 'cancelled', 'expired');
+
+DROP INDEX IF EXISTS idx_offers_refund_due;
+CREATE INDEX IF NOT EXISTS idx_offers_refund_due ON offers(updated_at)
+  WHERE refund_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_offers_refund_sending ON offers(refund_claimed_at)
+  WHERE refund_status = 'sending';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN offers.refund_status IS 'none, pending, sending (claimed by a request), refunded';
+COMMENT ON COLUMN offers.refund_claimed_at IS 'When the refund was claimed for sending';
+COMMENT ON COLUMN offers.refund_amount IS 'Amount owed back (null: the full escrow); the amount sent once refunded';
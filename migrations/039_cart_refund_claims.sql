@@ -0,0 +1,25 @@
+-- Migration: Claim cart refunds before sending them
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- CARTS: REFUND SENDING
+-- =============================================================================
+-- Checkout and the refund worker can both reach the same refund. Each claims
+-- it first (refund_pending → refund_sending) and only the claimant sends it:
+-- refund_sending → claimed; once broadcast refund_tx_hash is set and its
+--                  receipt settles it. One with no hash may or may not have
+--                  gone out and is checked by hand
+ALTER TABLE carts DROP CONSTRAINT IF EXISTS carts_status_check;
+ALTER TABLE carts ADD CONSTRAINT carts_status_check
+  CHECK (status IN ('paid', 'completed', 'refund_pending', 'refund_sending', 'refunded'));
+
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS refund_claimed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_carts_refund_sending ON carts(refund_claimed_at)
+  WHERE status = 'refund_sending';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN carts.status IS 'paid, completed, refund_pending (retrying), refund_sending (claimed by a request), refunded';
+COMMENT ON COLUMN carts.refund_claimed_at IS 'When the refund was claimed for sending';
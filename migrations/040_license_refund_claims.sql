@@ -0,0 +1,29 @@
+-- Migration: Claim license refunds before sending them
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- LICENSES: REFUND STATE
+-- =============================================================================
+-- A dispute resolution, a revocation and an admin retry can all reach the
+-- same refund. A USDC refund is claimed first (pending → sending) and only
+-- the claimant sends it:
+-- NULL     → nothing owed
+-- pending  → owed (refund_amount), nothing sent yet; $PHOS stays here until
+--            recorded
+-- sending  → claimed; once broadcast refund_tx_hash is set and its receipt
+--            settles it. One with no hash may or may not have gone out and
+--            is checked by hand before recording it
+-- refunded → sent (refund_tx_hash)
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_status TEXT
+  CHECK (refund_status IN ('pending', 'sending', 'refunded'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS refund_claimed_at TIMESTAMPTZ;
+
+UPDATE licenses SET refund_status = 'refunded' WHERE refunded_at IS NOT NULL;
+UPDATE licenses SET refund_status = 'pending'
+  WHERE refund_amount IS NOT NULL AND refunded_at IS NULL;
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN licenses.refund_status IS 'pending, sending (claimed by a request), refunded; NULL when nothing is owed';
+COMMENT ON COLUMN licenses.refund_claimed_at IS 'When the refund was claimed for sending';
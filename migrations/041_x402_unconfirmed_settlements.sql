@@ -0,0 +1,21 @@
+-- Migration: Unconfirmed x402 settlements
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- X402 PAYMENTS: SETTLED_UNCONFIRMED
+-- =============================================================================
+-- transferWithAuthorization was broadcast (tx_hash) but not confirmed in
+-- time. It may still land, so what it paid for is kept and the row is
+-- settled from its receipt by the confirmation job: settled once it landed,
+-- failed (audited) if it reverted or its authorization expired unused.
+ALTER TABLE x402_payments DROP CONSTRAINT IF EXISTS x402_payments_status_check;
+ALTER TABLE x402_payments ADD CONSTRAINT x402_payments_status_check
+  CHECK (status IN ('settling', 'settled', 'settled_unconfirmed', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_x402_payments_unconfirmed ON x402_payments(updated_at)
+  WHERE status = 'settled_unconfirmed';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN x402_payments.status IS 'settling: claimed, settled: transfer mined, settled_unconfirmed: broadcast, awaiting its receipt, failed: settlement rejected';
@@ -0,0 +1,18 @@
+-- Migration: Take back the edition of a reorged purchase
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PIECE OWNERSHIPS: DISPUTED
+-- =============================================================================
+-- When a purchase's payment is reorganized away its edition can't stay with
+-- the buyer. A primary edition whose token never moved is released (its
+-- number can be sold again); any other is marked disputed, so it can't be
+-- listed, offered on or resold until an admin settles who owns it.
+ALTER TABLE piece_ownerships DROP CONSTRAINT IF EXISTS piece_ownerships_status_check;
+ALTER TABLE piece_ownerships ADD CONSTRAINT piece_ownerships_status_check
+  CHECK (status IN ('pending', 'owned', 'disputed'));
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN piece_ownerships.status IS 'pending: payment settling, owned: purchase recorded, disputed: its payment was reorged (admin follow-up)';
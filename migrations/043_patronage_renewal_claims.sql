@@ -0,0 +1,24 @@
+-- Migration: Claim pre-authorized patronage renewals before settling them
+-- Run this on Supabase SQL editor
+
+-- =============================================================================
+-- PATRONAGE PAYMENTS: SETTLING, PAID UNCONFIRMED
+-- =============================================================================
+-- The renewal worker claims a scheduled authorization before settling it, so
+-- two runs never settle the same one:
+-- settling         → claimed by a worker
+-- paid_unconfirmed → settlement broadcast but not confirmed in time; the
+--                    period is renewed, and the row becomes paid (or failed,
+--                    rolling the period back) once its x402 authorization is
+--                    settled by the payment confirmation job
+ALTER TABLE patronage_payments DROP CONSTRAINT IF EXISTS patronage_payments_status_check;
+ALTER TABLE patronage_payments ADD CONSTRAINT patronage_payments_status_check
+  CHECK (status IN ('scheduled', 'settling', 'paid', 'paid_unconfirmed', 'failed', 'void'));
+
+CREATE INDEX IF NOT EXISTS idx_patronage_payments_unconfirmed ON patronage_payments(updated_at)
+  WHERE status = 'paid_unconfirmed';
+
+-- =============================================================================
+-- COMMENTS
+-- =============================================================================
+COMMENT ON COLUMN patronage_payments.status IS 'scheduled, settling (claimed by the renewal worker), paid, paid_unconfirmed (settlement not confirmed yet), failed, void';
@@ -0,0 +1,145 @@
+/**
+ * Admin Sessions for Phosphors
+ *
+ * Session tokens issued by /api/auth/admin after a password login. They
+ * are kept in memory for the instance that issued them and, as a SHA-256
+ * hash, in the `admin_sessions` table so every other function can accept
+ * them as `Authorization: Bearer <token>`.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getAdminSession } from './_lib/admin-sessions.js';
+ *
+ * const admin = await getAdminSession(req);
+ * if (!admin) return unauthorized(res, 'Admin session required');
+ * ```
+ *
+ * @module admin-sessions
+ */
+
+import crypto from 'crypto';
+import { supabaseRequest } from './supabase.js';
+import { secretsMatch } from './security.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * How long a session lasts (ms)
+ * @constant {number}
+ */
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Sessions issued by this instance: token -> { createdAt, ip }
+const sessions = new Map();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function pruneSessions(now = Date.now()) {
+  for (const [token, data] of sessions.entries()) {
+    if (now - data.createdAt > SESSION_TTL_MS) {
+      sessions.delete(token);
+    }
+  }
+}
+
+// ==================== SESSIONS ====================
+
+/**
+ * Issue a session for an admin who just logged in
+ *
+ * @param {string} ip - Login IP
+ * @returns {Promise<{ token: string, expiresIn: number, stored: boolean }>} stored is false when
+ *   only this instance knows the session (admin_sessions unavailable)
+ */
+export async function createAdminSession(ip) {
+  pruneSessions();
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const data = { createdAt: Date.now(), ip };
+  sessions.set(token, data);
+
+  let stored = false;
+  try {
+    const res = await supabaseRequest('/rest/v1/admin_sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Prefer': 'return=minimal' },
+      body: JSON.stringify({
+        token_hash: hashToken(token),
+        ip,
+        created_at: new Date(data.createdAt).toISOString(),
+        expires_at: new Date(data.createdAt + SESSION_TTL_MS).toISOString()
+      })
+    });
+    stored = res.ok;
+  } catch (err) {
+    // Table might not exist - fall back to memory
+    console.log('Supabase session storage not available, using memory');
+  }
+
+  return { token, expiresIn: SESSION_TTL_MS, stored };
+}
+
+/**
+ * Look up a session token
+ *
+ * @param {string} token
+ * @returns {Promise<{ ip: string|null, createdAt: number, expiresIn: number }|null>} null if
+ *   unknown or expired
+ */
+export async function verifyAdminSession(token) {
+  if (!token) return null;
+  const now = Date.now();
+
+  const local = sessions.get(token);
+  if (local) {
+    if (now - local.createdAt <= SESSION_TTL_MS) {
+      return { ip: local.ip, createdAt: local.createdAt, expiresIn: SESSION_TTL_MS - (now - local.createdAt) };
+    }
+    sessions.delete(token);
+    return null;
+  }
+
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/admin_sessions?token_hash=eq.${hashToken(token)}&expires_at=gt.${new Date(now).toISOString()}&select=ip,created_at,expires_at&limit=1`
+    );
+    if (!res.ok) return null;
+    const [row] = await res.json();
+    if (!row) return null;
+
+    return {
+      ip: row.ip || null,
+      createdAt: new Date(row.created_at).getTime(),
+      expiresIn: new Date(row.expires_at).getTime() - now
+    };
+  } catch (err) {
+    console.error('Admin session lookup failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Admin identity of a request: a Bearer session token, or X-Admin-Secret
+ * (scripts and schedulers)
+ *
+ * @param {object} req
+ * @returns {Promise<{ via: 'session'|'secret', actor: string }|null>} actor names the admin
+ *   in audit logs and records
+ */
+export async function getAdminSession(req) {
+  const secret = process.env.ADMIN_SECRET;
+  // Fail closed: if ADMIN_SECRET is not configured, nobody is admin
+  if (!secret) return null;
+
+  if (secretsMatch(req.headers['x-admin-secret'], secret)) {
+    return { via: 'secret', actor: 'admin-secret' };
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+
+  const session = await verifyAdminSession(authHeader.slice(7));
+  return session ? { via: 'session', actor: `admin-session@${session.ip || 'unknown'}` } : null;
+}
@@ -0,0 +1,1036 @@
+/**
+ * Auctions for Phosphors
+ *
+ * An artist can release a piece as a timed auction instead of a fixed-price
+ * sale. Each auction sells one edition.
+ *
+ * ## Types:
+ * - english: ascending bids from start_price, optional reserve, minimum
+ *   increment and anti-sniping extension (a late bid pushes the end out)
+ * - dutch: the price falls from start_price to end_price along a linear or
+ *   exponential curve; the first bid at the current price wins
+ *
+ * ## Flow:
+ * 1. Bidder transfers bid + protocol fee to the platform wallet and sends
+ *    the tx hash (verified with payment-verify, like /api/buy)
+ * 2. place_auction_bid records the bid atomically; outbid and rejected
+ *    bids are refunded straight away
+ * 3. At close the auction is settled through the normal sale path: the
+ *    winner gets an edition and its token (minted to them if the edition
+ *    has none yet), and the artist is paid
+ *
+ * ## Lifecycle:
+ * active → settling → settled
+ *        → ended (no bids / reserve not met, all bids refunded)
+ *        → cancelled (artist, before the first bid)
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getAuction, placeBid, settleAuction } from './_lib/auctions.js';
+ *
+ * const auction = await getAuction(id);
+ * const result = await placeBid(auction, { wallet, username, amount, paidAmount, txHash });
+ * await settleAuction(auction);
+ * ```
+ *
+ * @module auctions
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { validatePrice, quotePurchase, roundUsdc } from './pricing.js';
+import { claimEdition, releaseEdition } from './editions.js';
+import { executeSale, recordSale } from './sales.js';
+import { isPayoutConfigured, sendUsdcPayout, getTransferOutcome } from './payouts.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Auction types
+ * @constant {string[]}
+ */
+export const AUCTION_TYPES = ['english', 'dutch'];
+
+/**
+ * Dutch auction price curves
+ * @constant {string[]}
+ */
+export const DECAY_CURVES = ['linear', 'exponential'];
+
+/**
+ * Auction length when none is given (hours)
+ * @constant {number}
+ */
+export const DEFAULT_AUCTION_HOURS = 24;
+
+/**
+ * Shortest allowed auction (hours)
+ * @constant {number}
+ */
+export const MIN_AUCTION_HOURS = 1;
+
+/**
+ * Longest allowed auction (hours)
+ * @constant {number}
+ */
+export const MAX_AUCTION_HOURS = 14 * 24;
+
+/**
+ * How far ahead an auction can be scheduled (days)
+ * @constant {number}
+ */
+export const MAX_SCHEDULE_DAYS = 30;
+
+/**
+ * English anti-sniping window when none is given (minutes)
+ * @constant {number}
+ */
+export const DEFAULT_EXTENSION_MINUTES = 10;
+
+/**
+ * Longest allowed anti-sniping window (minutes)
+ * @constant {number}
+ */
+export const MAX_EXTENSION_MINUTES = 60;
+
+/**
+ * Default English minimum increment, as a share of the start price
+ * @constant {number}
+ */
+export const DEFAULT_INCREMENT_PERCENT = 0.05;
+
+/**
+ * A 'settling' auction untouched this long is assumed to have crashed
+ * mid-settlement and is retried by the sweep (ms)
+ * @constant {number}
+ */
+const STALE_SETTLEMENT_MS = 10 * 60 * 1000;
+
+/**
+ * Minimum gap before the scheduler retries a bid refund (ms)
+ * @constant {number}
+ */
+const REFUND_RETRY_MS = 5 * 60 * 1000;
+
+// ==================== HELPERS ====================
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'string' ? Number(value.trim()) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Validate an auction configuration from a request body
+ *
+ * @param {object} body - { type, start_price, duration_hours, starts_at,
+ *   reserve_price, min_increment, extension_minutes, end_price, decay }
+ * @returns {{ valid: boolean, config?: object, error?: string }}
+ */
+export function validateAuctionConfig(body) {
+  const type = body.type || 'english';
+  if (!AUCTION_TYPES.includes(type)) {
+    return { valid: false, error: `type must be one of: ${AUCTION_TYPES.join(', ')}` };
+  }
+
+  const start = validatePrice(body.start_price);
+  if (!start.valid) {
+    return { valid: false, error: start.error.replace(/^Price/, 'start_price') };
+  }
+
+  const hours = parseNumber(body.duration_hours) ?? DEFAULT_AUCTION_HOURS;
+  if (!(hours >= MIN_AUCTION_HOURS && hours <= MAX_AUCTION_HOURS)) {
+    return { valid: false, error: `duration_hours must be between ${MIN_AUCTION_HOURS} and ${MAX_AUCTION_HOURS}` };
+  }
+
+  let startsAt = Date.now();
+  if (body.starts_at) {
+    startsAt = new Date(body.starts_at).getTime();
+    if (Number.isNaN(startsAt)) {
+      return { valid: false, error: 'starts_at must be an ISO date' };
+    }
+    if (startsAt < Date.now() - 60 * 1000 || startsAt > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return { valid: false, error: `starts_at must be within the next ${MAX_SCHEDULE_DAYS} days` };
+    }
+    startsAt = Math.max(startsAt, Date.now());
+  }
+
+  const config = {
+    type,
+    start_price: start.price,
+    starts_at: new Date(startsAt).toISOString(),
+    ends_at: new Date(startsAt + hours * 60 * 60 * 1000).toISOString()
+  };
+
+  if (type === 'english') {
+    if (body.reserve_price !== undefined && body.reserve_price !== null) {
+      const reserve = validatePrice(body.reserve_price);
+      if (!reserve.valid) {
+        return { valid: false, error: reserve.error.replace(/^Price/, 'reserve_price') };
+      }
+      if (reserve.price < start.price) {
+        return { valid: false, error: 'reserve_price cannot be below start_price' };
+      }
+      config.reserve_price = reserve.price;
+    }
+
+    const increment = parseNumber(body.min_increment);
+    if (increment !== null && !(increment >= 0.01)) {
+      return { valid: false, error: 'min_increment must be at least 0.01 USDC' };
+    }
+    config.min_increment = roundUsdc(increment ?? Math.max(start.price * DEFAULT_INCREMENT_PERCENT, 0.01));
+
+    const extension = parseNumber(body.extension_minutes) ?? DEFAULT_EXTENSION_MINUTES;
+    if (!(extension >= 0 && extension <= MAX_EXTENSION_MINUTES)) {
+      return { valid: false, error: `extension_minutes must be between 0 and ${MAX_EXTENSION_MINUTES}` };
+    }
+    config.extension_seconds = Math.round(extension * 60);
+  } else {
+    const end = validatePrice(body.end_price);
+    if (!end.valid) {
+      return { valid: false, error: end.error.replace(/^Price/, 'end_price') };
+    }
+    if (end.price >= start.price) {
+      return { valid: false, error: 'end_price must be below start_price' };
+    }
+
+    const decay = body.decay || 'linear';
+    if (!DECAY_CURVES.includes(decay)) {
+      return { valid: false, error: `decay must be one of: ${DECAY_CURVES.join(', ')}` };
+    }
+
+    config.end_price = end.price;
+    config.decay = decay;
+  }
+
+  return { valid: true, config };
+}
+
+/**
+ * Dutch auction price at a point in time
+ *
+ * linear:      start - (start - end) * t
+ * exponential: start * (end / start) ^ t   (same % drop per unit of time)
+ *
+ * where t is the elapsed share of the auction (0..1).
+ *
+ * @param {object} auction - { start_price, end_price, decay, starts_at, ends_at }
+ * @param {number} [at=Date.now()] - Timestamp (ms)
+ * @returns {number} Price in USDC
+ */
+export function getDutchPrice(auction, at = Date.now()) {
+  const start = parseFloat(auction.start_price);
+  const end = parseFloat(auction.end_price);
+  const startsAt = new Date(auction.starts_at).getTime();
+  const endsAt = new Date(auction.ends_at).getTime();
+  const t = Math.min(Math.max((at - startsAt) / (endsAt - startsAt), 0), 1);
+
+  const price = auction.decay === 'exponential'
+    ? start * Math.pow(end / start, t)
+    : start - (start - end) * t;
+
+  return Math.max(roundUsdc(price), end);
+}
+
+/**
+ * Lowest bid the auction accepts right now
+ *
+ * @param {object} auction
+ * @returns {number} USDC (before protocol fee)
+ */
+export function getMinimumBid(auction) {
+  if (auction.type === 'dutch') {
+    return getDutchPrice(auction);
+  }
+  if (auction.highest_bid_amount === null || auction.highest_bid_amount === undefined) {
+    return parseFloat(auction.start_price);
+  }
+  return roundUsdc(parseFloat(auction.highest_bid_amount) + parseFloat(auction.min_increment || 0.01));
+}
+
+/**
+ * Whether an auction is taking bids right now
+ * @param {object} auction
+ * @returns {boolean}
+ */
+export function isAuctionOpen(auction) {
+  const now = Date.now();
+  return auction.status === 'active'
+    && new Date(auction.starts_at).getTime() <= now
+    && new Date(auction.ends_at).getTime() > now;
+}
+
+/**
+ * Public shape of an auction
+ *
+ * @param {object} auction - auctions row
+ * @param {Array} [bids] - auction_bids rows to include
+ * @returns {object}
+ */
+export function formatAuction(auction, bids) {
+  const open = isAuctionOpen(auction);
+  const closedUnsettled = auction.status === 'active' && new Date(auction.ends_at).getTime() <= Date.now();
+  const leading = auction.highest_bid_amount !== null && auction.highest_bid_amount !== undefined;
+
+  return {
+    id: auction.id,
+    pieceId: auction.submission_id,
+    title: auction.piece_title,
+    artist: auction.artist_username,
+    type: auction.type,
+    status: closedUnsettled ? 'closed' : open || auction.status !== 'active' ? auction.status : 'scheduled',
+    startPrice: parseFloat(auction.start_price),
+    ...(auction.type === 'english' ? {
+      reserveMet: auction.reserve_price ? leading && parseFloat(auction.highest_bid_amount) >= parseFloat(auction.reserve_price) : true,
+      minIncrement: parseFloat(auction.min_increment),
+      extensionMinutes: auction.extension_seconds / 60
+    } : {
+      endPrice: parseFloat(auction.end_price),
+      decay: auction.decay
+    }),
+    currentPrice: open ? getMinimumBid(auction) : null,
+    currentTotal: open ? quotePurchase(getMinimumBid(auction)).totalPrice : null,
+    currency: 'USDC',
+    highestBid: leading ? {
+      amount: parseFloat(auction.highest_bid_amount),
+      bidder: auction.highest_bidder_username || auction.highest_bidder_wallet
+    } : null,
+    bidCount: auction.bid_count,
+    startsAt: auction.starts_at,
+    endsAt: auction.ends_at,
+    extended: auction.ends_at !== auction.original_ends_at,
+    edition: auction.edition_number || null,
+    purchaseId: auction.purchase_id || null,
+    settledAt: auction.settled_at || null,
+    ...(bids ? {
+      bids: bids.map(b => ({
+        id: b.id,
+        bidder: b.bidder_username || b.bidder_wallet,
+        amount: parseFloat(b.amount_usdc),
+        status: b.status,
+        refunded: b.refund_status === 'refunded' || !!b.refunded_at,
+        createdAt: b.created_at
+      }))
+    } : {})
+  };
+}
+
+// ==================== DATABASE ====================
+
+/**
+ * Create an auction
+ *
+ * @param {object} params
+ * @param {object} params.submission - { id, title, moltbook }
+ * @param {object} params.artist - { username, wallet }
+ * @param {object} params.config - From validateAuctionConfig
+ * @returns {Promise<{ success: boolean, auction?: object, conflict?: boolean, error?: string }>}
+ */
+export async function createAuction({ submission, artist, config }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/auctions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        submission_id: submission.id,
+        piece_title: submission.title,
+        artist_username: artist.username,
+        artist_wallet: artist.wallet.toLowerCase(),
+        ...config,
+        original_ends_at: config.ends_at,
+        status: 'active'
+      })
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      // idx_auctions_open_piece: another auction is already running
+      if (res.status === 409 || text.includes('duplicate')) {
+        return { success: false, conflict: true, error: 'This piece already has an auction running' };
+      }
+      console.error('Auction insert failed:', text);
+      return { success: false, error: 'Failed to create auction' };
+    }
+
+    const [auction] = await res.json();
+    return { success: true, auction };
+  } catch (err) {
+    console.error('Create auction error:', err.message);
+    return { success: false, error: 'Failed to create auction' };
+  }
+}
+
+/**
+ * Get an auction by ID
+ *
+ * @param {string} auctionId
+ * @returns {Promise<object|null>}
+ */
+export async function getAuction(auctionId) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/auctions?id=eq.${encodeURIComponent(auctionId)}&select=*`);
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get auction error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * List auctions
+ *
+ * @param {object} [filters] - { pieceId, artist, status, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getAuctions({ pieceId, artist, status = 'active', limit = 50 } = {}) {
+  let query = `/rest/v1/auctions?select=*&order=ends_at.asc&limit=${Math.min(limit, 100)}`;
+  if (pieceId) query += `&submission_id=eq.${encodeURIComponent(pieceId)}`;
+  if (artist) query += `&artist_username=ilike.${encodeURIComponent(artist)}`;
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get auctions error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * The running (active or settling) auction on a piece, if any
+ *
+ * @param {string} submissionId
+ * @returns {Promise<object|null>}
+ */
+export async function getOpenAuction(submissionId) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/auctions?submission_id=eq.${encodeURIComponent(submissionId)}&status=in.(active,settling)&select=*&limit=1`
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get open auction error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Bids on an auction, newest first
+ *
+ * @param {string} auctionId
+ * @param {number} [limit=50]
+ * @returns {Promise<Array>}
+ */
+export async function getAuctionBids(auctionId, limit = 50) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/auction_bids?auction_id=eq.${encodeURIComponent(auctionId)}&select=*&order=created_at.desc&limit=${Math.min(limit, 100)}`
+    );
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get auction bids error:', err.message);
+    return [];
+  }
+}
+
+async function getBid(bidId) {
+  const res = await supabaseRequest(`/rest/v1/auction_bids?id=eq.${encodeURIComponent(bidId)}&select=*`);
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Atomically move an auction between statuses
+ *
+ * @param {string} auctionId
+ * @param {string} filter - Extra PostgREST filter the row must match
+ * @param {object} updates - Columns to set
+ * @returns {Promise<object|null>} Updated auction, or null if the filter didn't match
+ */
+async function transitionAuction(auctionId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/auctions?id=eq.${encodeURIComponent(auctionId)}&${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+
+    if (!res.ok) {
+      console.error('Auction transition failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Auction transition error:', err.message);
+    return null;
+  }
+}
+
+async function updateBid(bidId, updates) {
+  try {
+    await supabaseRequest(`/rest/v1/auction_bids?id=eq.${encodeURIComponent(bidId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+  } catch (err) {
+    console.error('Bid update error:', err.message);
+  }
+}
+
+// Only moves a refund its holder still has in `sending`
+async function updateSendingRefund(bidId, updates) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/auction_bids?id=eq.${encodeURIComponent(bidId)}&refund_status=eq.sending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+      }
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Bid refund update error:', err.message);
+    return null;
+  }
+}
+
+// pending → sending; null when another request already claimed (or sent) it
+async function claimBidRefund(bidId) {
+  const now = new Date().toISOString();
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/auction_bids?id=eq.${encodeURIComponent(bidId)}&refund_status=eq.pending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ refund_status: 'sending', refund_claimed_at: now, updated_at: now })
+      }
+    );
+    if (!res.ok) {
+      console.error('Bid refund claim failed:', await res.text());
+      return null;
+    }
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Bid refund claim error:', err.message);
+    return null;
+  }
+}
+
+// ==================== BIDDING ====================
+
+/**
+ * Record a paid bid
+ *
+ * The payment must already be verified. The bid is always stored so its
+ * funds can be traced; a bid that loses the race (too low, auction closed)
+ * comes back as 'rejected' and is refunded here. An outbid leader is
+ * refunded and notified.
+ *
+ * @param {object} auction
+ * @param {object} bid
+ * @param {string} bid.wallet
+ * @param {string} [bid.username]
+ * @param {number} bid.amount - Bid price (before fee)
+ * @param {number} bid.paidAmount - USDC transferred
+ * @param {string} bid.txHash
+ * @returns {Promise<{ success: boolean, bid?: object, auction?: object, refund?: object, error?: string }>}
+ */
+export async function placeBid(auction, { wallet, username, amount, paidAmount, txHash }) {
+  let row;
+  try {
+    const res = await supabaseRequest('/rest/v1/rpc/place_auction_bid', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        p_auction_id: auction.id,
+        p_bidder_wallet: wallet,
+        p_bidder_username: username || null,
+        p_amount: amount,
+        p_paid_amount: paidAmount,
+        p_tx_hash: txHash,
+        p_min_amount: auction.type === 'dutch' ? getDutchPrice(auction) : null
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Bid placement failed:', await res.text());
+      return { success: false, error: 'Failed to record bid' };
+    }
+
+    [row] = await res.json();
+  } catch (err) {
+    console.error('Bid placement error:', err.message);
+    return { success: false, error: 'Failed to record bid' };
+  }
+
+  if (!row) {
+    return { success: false, error: 'Auction not found' };
+  }
+
+  const bid = await getBid(row.bid_id);
+
+  if (row.bid_status === 'rejected') {
+    const refund = await refundBid(bid);
+    return { success: false, bid, refund, error: row.bid_reject_reason };
+  }
+
+  const updated = await getAuction(auction.id);
+
+  if (row.outbid_bid_id) {
+    const outbid = await getBid(row.outbid_bid_id);
+    if (outbid) {
+      const refund = await refundBid(outbid);
+      await notifyAgent({
+        wallet: outbid.bidder_wallet,
+        type: 'auction_outbid',
+        title: 'You were outbid ⚡',
+        message: `Someone bid ${amount} USDC on "${auction.piece_title}". ${refund.success ? `Your ${outbid.paid_amount} USDC has been refunded.` : 'Your refund is queued.'}`,
+        data: { auction_id: auction.id, piece_id: auction.submission_id, piece_title: auction.piece_title, min_bid: getMinimumBid(updated || auction) }
+      });
+    }
+  }
+
+  return { success: true, bid, auction: updated };
+}
+
+/**
+ * Send a bid's payment (or part of it) back to the bidder
+ *
+ * The refund is claimed first (refund_status pending → sending): placing a
+ * bid, settlement and the scheduler can all reach the same bid, and only
+ * the request holding the claim sends it. Its hash is stored on broadcast:
+ * a transfer that isn't confirmed in time stays `sending` for
+ * `confirmBidRefund`, and only one that sent nothing goes back to pending
+ * for the scheduler.
+ *
+ * @param {object} bid - auction_bids row
+ * @param {number} [amount] - Amount to refund (default: everything paid)
+ * @returns {Promise<{ success: boolean, claimed?: boolean, unconfirmed?: boolean, txHash?: string, error?: string }>}
+ *   `claimed: false` when another request holds (or already sent) the refund
+ */
+export async function refundBid(bid, amount = parseFloat(bid.paid_amount)) {
+  const refundAmount = roundUsdc(amount);
+  if (!(refundAmount > 0)) {
+    return { success: true };
+  }
+
+  if (!isPayoutConfigured()) {
+    await updateBid(bid.id, { refund_error: 'Payout wallet not configured' });
+    return { success: false, error: 'Payout wallet not configured' };
+  }
+
+  const claimed = await claimBidRefund(bid.id);
+  if (!claimed) {
+    return { success: false, claimed: false, error: 'Refund is already being sent' };
+  }
+
+  const payout = await sendUsdcPayout(bid.bidder_wallet, refundAmount, {
+    onBroadcast: txHash => updateSendingRefund(bid.id, { refund_amount: refundAmount, refund_tx_hash: txHash })
+  });
+
+  if (payout.unconfirmed) {
+    // May still land: its receipt decides, it is never sent again
+    await updateSendingRefund(bid.id, {
+      refund_amount: refundAmount,
+      refund_tx_hash: payout.txHash,
+      refund_error: payout.txHash
+        ? `Unconfirmed: ${payout.error}`
+        : 'Transfer may have been sent, check before retrying'
+    });
+    return { success: false, unconfirmed: true, txHash: payout.txHash, error: payout.error };
+  }
+
+  if (!payout.success) {
+    await updateSendingRefund(bid.id, { refund_status: 'pending', refund_tx_hash: null, refund_error: payout.error });
+    return { success: false, error: payout.error };
+  }
+
+  await updateSendingRefund(bid.id, {
+    refund_status: 'refunded',
+    refund_amount: refundAmount,
+    refund_tx_hash: payout.txHash,
+    refund_error: null,
+    refunded_at: new Date().toISOString()
+  });
+
+  return { success: true, txHash: payout.txHash };
+}
+
+/**
+ * Settle a bid refund left `sending` with a broadcast hash from its receipt
+ *
+ * A confirmed transfer marks it refunded; a reverted one sent nothing and
+ * goes back to pending.
+ *
+ * @param {object} bid - auction_bids row in refund_status 'sending' with refund_tx_hash
+ * @returns {Promise<'refunded'|'pending'|null>} New refund status, or null while unknown
+ */
+export async function confirmBidRefund(bid) {
+  const outcome = await getTransferOutcome(bid.refund_tx_hash);
+  if (!outcome) return null;
+
+  if (outcome === 'confirmed') {
+    const refunded = await updateSendingRefund(bid.id, {
+      refund_status: 'refunded',
+      refund_error: null,
+      refunded_at: new Date().toISOString()
+    });
+    return refunded ? 'refunded' : null;
+  }
+
+  const reverted = await updateSendingRefund(bid.id, {
+    refund_status: 'pending',
+    refund_tx_hash: null,
+    refund_error: `Transfer ${bid.refund_tx_hash} reverted`
+  });
+  return reverted ? 'pending' : null;
+}
+
+/**
+ * Refund every non-winning bid on an auction that hasn't been refunded yet
+ *
+ * @param {string} auctionId
+ * @returns {Promise<{ refunded: number, failed: number }>}
+ */
+export async function refundAuctionBids(auctionId) {
+  const results = { refunded: 0, failed: 0 };
+
+  const res = await supabaseRequest(
+    `/rest/v1/auction_bids?auction_id=eq.${encodeURIComponent(auctionId)}&status=in.(outbid,lost,rejected)&refund_status=eq.pending&select=*`
+  );
+  const bids = res.ok ? await res.json() : [];
+
+  for (const bid of bids) {
+    const refund = await refundBid(bid);
+    if (refund.success) {
+      results.refunded++;
+    } else if (refund.claimed !== false) {
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+// ==================== SETTLEMENT ====================
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,token_id,edition_size,editions_sold,royalty_percent`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+async function getOwnership(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(id)}&select=*`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+// The winning bid's tx pays for exactly one purchase
+async function getSalePurchase(txHash) {
+  const res = await supabaseRequest(
+    `/rest/v1/purchases?tx_hash=eq.${encodeURIComponent(txHash)}&cart_line=eq.0&select=*`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Close an auction without a sale and refund everyone
+ */
+async function endWithoutSale(auction, reason) {
+  if (auction.highest_bid_id) {
+    await updateBid(auction.highest_bid_id, { status: 'lost' });
+  }
+
+  const ended = await transitionAuction(auction.id, 'status=eq.settling', {
+    status: 'ended',
+    settle_error: reason,
+    settled_at: new Date().toISOString()
+  });
+
+  const refunds = await refundAuctionBids(auction.id);
+
+  await notifyAgent({
+    wallet: auction.artist_wallet,
+    type: 'auction_ended',
+    title: 'Auction ended',
+    message: `Your auction of "${auction.piece_title}" ended without a sale: ${reason}`,
+    data: { auction_id: auction.id, piece_id: auction.submission_id, piece_title: auction.piece_title }
+  });
+
+  if (auction.highest_bidder_wallet) {
+    await notifyAgent({
+      wallet: auction.highest_bidder_wallet,
+      type: 'auction_ended',
+      title: 'Auction ended',
+      message: `The auction of "${auction.piece_title}" ended without a sale (${reason}). Your bid has been refunded.`,
+      data: { auction_id: auction.id, piece_id: auction.submission_id, piece_title: auction.piece_title }
+    });
+  }
+
+  return { success: true, sold: false, auction: ended || auction, reason, refunds };
+}
+
+/**
+ * Settle an auction that has closed
+ *
+ * Claims the auction first (active past its end → settling, or a stale
+ * settling row), so concurrent callers never settle twice. A stale row
+ * carries on from the edition and purchase it already saved. Safe to call
+ * on any auction: one that isn't due is left alone.
+ *
+ * @param {object} auction
+ * @param {object} [options] - { justWon: true when the caller's own bid just
+ *   moved this Dutch auction to settling }
+ * @returns {Promise<{ success: boolean, sold?: boolean, auction?: object, purchase?: object, reason?: string, error?: string }>}
+ */
+export async function settleAuction(auction, { justWon = false } = {}) {
+  const now = new Date().toISOString();
+  const stale = new Date(Date.now() - STALE_SETTLEMENT_MS).toISOString();
+
+  let claimed;
+  if (auction.status === 'active') {
+    claimed = await transitionAuction(auction.id, `status=eq.active&ends_at=lte.${now}`, { status: 'settling' });
+  } else if (auction.status === 'settling') {
+    // A Dutch win moves the auction to settling inside the bid and the
+    // bidding request settles it straight away. Anyone else only picks up
+    // rows that have been stuck for a while.
+    claimed = justWon
+      ? auction
+      : await transitionAuction(auction.id, `status=eq.settling&updated_at=lt.${stale}`, {});
+  }
+
+  if (!claimed) {
+    return { success: false, error: 'Auction is not due for settlement' };
+  }
+
+  // English: highest bid must meet the reserve
+  if (!claimed.highest_bid_id) {
+    return endWithoutSale(claimed, 'no bids');
+  }
+  const price = parseFloat(claimed.highest_bid_amount);
+  if (claimed.type === 'english' && claimed.reserve_price && price < parseFloat(claimed.reserve_price)) {
+    return endWithoutSale(claimed, 'reserve not met');
+  }
+
+  const winningBid = await getBid(claimed.highest_bid_id);
+  const submission = await getSubmission(claimed.submission_id);
+  if (!winningBid || !submission) {
+    await transitionAuction(claimed.id, 'status=eq.settling', { settle_error: 'Missing bid or piece' });
+    return { success: false, error: 'Missing bid or piece' };
+  }
+
+  const winner = { wallet: winningBid.bidder_wallet, username: winningBid.bidder_username };
+
+  // The edition and the purchase are saved on the auction as soon as they
+  // exist, so a settlement picked up again after a crash reuses them
+  // instead of claiming a second edition and paying the artist twice.
+
+  // 1. Assign the edition
+  let ownership = claimed.ownership_id ? await getOwnership(claimed.ownership_id) : null;
+  if (!ownership) {
+    const claim = await claimEdition({
+      submissionId: submission.id,
+      wallet: winner.wallet,
+      username: winner.username
+    });
+    if (!claim.success) {
+      return endWithoutSale(claimed, claim.soldOut ? 'piece sold out' : 'edition could not be assigned');
+    }
+    ownership = claim.ownership;
+
+    const saved = await transitionAuction(claimed.id, 'status=eq.settling', {
+      ownership_id: ownership.id,
+      edition_number: ownership.edition_number
+    });
+    if (!saved) {
+      await releaseEdition(ownership.id);
+      return { success: false, error: 'Could not save the assigned edition' };
+    }
+  }
+
+  const sale = {
+    submission,
+    saleType: 'primary',
+    ownership,
+    buyer: winner,
+    seller: { wallet: claimed.artist_wallet, username: claimed.artist_username },
+    price,
+    txHash: winningBid.tx_hash,
+    paymentMethod: 'auction'
+  };
+
+  // 2. Record the purchase. An earlier attempt may have written it without
+  //    saving purchase_id; the bid's tx is unique to it, so look it up.
+  let purchase = claimed.purchase_id ? await getSalePurchase(winningBid.tx_hash) : null;
+  if (!purchase) {
+    purchase = await recordSale(sale) || await getSalePurchase(winningBid.tx_hash);
+    if (!purchase) {
+      // Nothing was handed over: stay in settling so the scheduler retries
+      await releaseEdition(ownership.id);
+      await transitionAuction(claimed.id, 'status=eq.settling', {
+        ownership_id: null,
+        edition_number: null,
+        settle_error: 'Failed to record sale'
+      });
+      return { success: false, error: 'Failed to record sale' };
+    }
+    await transitionAuction(claimed.id, 'status=eq.settling', { purchase_id: purchase.id });
+  }
+
+  // 3. Pay the artist, confirm and deliver the edition (the ledger and the
+  //    transfer queue ignore entries a previous attempt already created)
+  const { transfer } = await executeSale({ ...sale, purchase });
+
+  await updateBid(winningBid.id, { status: 'won' });
+
+  const settled = await transitionAuction(claimed.id, 'status=eq.settling', {
+    status: 'settled',
+    ownership_id: ownership.id,
+    edition_number: ownership.edition_number,
+    purchase_id: purchase.id,
+    mint_token_id: transfer?.method === 'mint' ? transfer.token_id : null,
+    mint_tx_hash: transfer?.method === 'mint' ? transfer.tx_hash : null,
+    settle_error: transfer?.status === 'pending' ? `Delivery pending: ${transfer.last_error}` : null,
+    settled_at: new Date().toISOString()
+  });
+
+  // 4. Dutch bidders may have paid for a higher price than the one they won at
+  const overpaid = parseFloat(winningBid.paid_amount) - quotePurchase(price).totalPrice;
+  const refund = overpaid > 0 ? await refundBid(winningBid, overpaid) : null;
+
+  // Anything left from outbid / rejected bids whose refund failed earlier
+  await refundAuctionBids(claimed.id);
+
+  await notifyAgent({
+    wallet: winner.wallet,
+    type: 'auction_won',
+    title: 'You won the auction! 🏆',
+    message: `"${claimed.piece_title}" is yours for ${price} USDC.`,
+    data: { auction_id: claimed.id, piece_id: submission.id, piece_title: claimed.piece_title, purchase_id: purchase.id }
+  });
+
+  await notifyAgent({
+    wallet: claimed.artist_wallet,
+    type: 'auction_sold',
+    title: 'Auction sold! 🔨',
+    message: `${winner.username || winner.wallet} won "${claimed.piece_title}" for ${price} USDC.`,
+    data: { auction_id: claimed.id, piece_id: submission.id, piece_title: claimed.piece_title, purchase_id: purchase.id }
+  });
+
+  return { success: true, sold: true, auction: settled || claimed, purchase, refund };
+}
+
+/**
+ * Settle every auction past its end, retry pending bid refunds and settle
+ * unconfirmed ones from their receipts (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ settled: number, ended: number, failed: number, refunded: number, stuckRefunds: number }>}
+ */
+export async function settleDueAuctions({ limit = 25 } = {}) {
+  const now = new Date().toISOString();
+  const stale = new Date(Date.now() - STALE_SETTLEMENT_MS).toISOString();
+  const results = { settled: 0, ended: 0, failed: 0, refunded: 0 };
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/auctions?or=(and(status.eq.active,ends_at.lte.${now}),and(status.eq.settling,updated_at.lt.${stale}))&select=*&order=ends_at.asc&limit=${limit}`
+  );
+  const due = dueRes.ok ? await dueRes.json() : [];
+
+  for (const auction of due) {
+    const result = await settleAuction(auction);
+    if (!result.success) {
+      results.failed++;
+    } else if (result.sold) {
+      results.settled++;
+    } else {
+      results.ended++;
+    }
+  }
+
+  // Refunds that failed a while ago (a fresh one may still be in its bid request)
+  const retryBefore = new Date(Date.now() - REFUND_RETRY_MS).toISOString();
+  const retryRes = await supabaseRequest(
+    `/rest/v1/auction_bids?status=in.(outbid,lost,rejected)&refund_status=eq.pending&updated_at=lt.${retryBefore}&select=*&order=updated_at.asc&limit=${limit}`
+  );
+  const retries = retryRes.ok ? await retryRes.json() : [];
+
+  for (const bid of retries) {
+    const refund = await refundBid(bid);
+    if (refund.success) results.refunded++;
+  }
+
+  // Broadcast but unconfirmed: the receipt settles them
+  const sentRes = await supabaseRequest(
+    `/rest/v1/auction_bids?refund_status=eq.sending&refund_tx_hash=not.is.null&select=*&order=refund_claimed_at.asc&limit=${limit}`
+  );
+  const sent = sentRes.ok ? await sentRes.json() : [];
+
+  for (const bid of sent) {
+    if (await confirmBidRefund(bid) === 'refunded') results.refunded++;
+  }
+
+  // A refund still sending long after its claim with no hash may or may not
+  // have gone out: it is never resent automatically, only reported for a
+  // manual check
+  const stuckRes = await supabaseRequest(
+    `/rest/v1/auction_bids?refund_status=eq.sending&refund_tx_hash=is.null&refund_claimed_at=lt.${stale}&select=id,tx_hash,bidder_wallet&limit=${limit}`
+  );
+  const stuck = stuckRes.ok ? await stuckRes.json() : [];
+  results.stuckRefunds = stuck.length;
+  if (stuck.length > 0) {
+    console.error(`${stuck.length} auction bid refund(s) stuck in sending: ${stuck.map(b => b.id).join(', ')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Cancel an auction that has no bids yet
+ *
+ * @param {object} auction
+ * @returns {Promise<object|null>} Cancelled auction, or null if it already has bids or closed
+ */
+export async function cancelAuction(auction) {
+  return transitionAuction(auction.id, 'status=eq.active&bid_count=eq.0', { status: 'cancelled' });
+}
@@ -20,6 +20,8 @@
  * - referral_first_collect: 2,500 $PHOS - Referee collects first piece
  * - referral_ten_sales: 15,000 $PHOS - Referee reaches 10 sales
  * 
+ * Events start `pending`; bounty-payouts.js pays them from the rewards wallet.
+ * 
  * ## Usage:
  * ```javascript
  * import { handleSaleBounties, createReferral, lookupReferralCode } from './_lib/bounties.js';
@@ -27,6 +29,9 @@
  * // Process bounties after a sale
  * await handleSaleBounties(sellerWallet, buyerWallet, submissionId);
  * 
+ * // Resales only reward the buyer's referrer (sale milestones are for artists)
+ * await handleSaleBounties(sellerWallet, buyerWallet, submissionId, { saleType: 'secondary' });
+ * 
  * // Create referral link
  * const code = generateReferralCode('myagent');  // "myagent-XK9J"
  * ```
@@ -35,6 +40,7 @@
  */
 
 import { supabaseRequest } from './supabase.js';
+import { getCollaborators, getCollaborationsForWallet } from './collaborations.js';
 
 // ==================== CONFIGURATION ====================
 
@@ -273,12 +279,20 @@ export async function getBountyHistory(walletAddress, limit = 50) {
 }
 
 /**
- * Get total sales count for a wallet (as seller)
+ * Get total primary sales count for a wallet (as artist)
+ * Resales by collectors don't count towards sale milestones
+ * Sales of collaborative pieces count for every confirmed co-artist
  */
 export async function getSellerSalesCount(walletAddress) {
   try {
+    const collaborations = await getCollaborationsForWallet(walletAddress, { status: 'confirmed' });
+    const pieceIds = collaborations.map(c => c.submission_id);
+    const filter = pieceIds.length > 0
+      ? `or=(seller_wallet.ilike.${encodeURIComponent(walletAddress)},submission_id.in.(${pieceIds.join(',')}))`
+      : `seller_wallet=ilike.${encodeURIComponent(walletAddress)}`;
+    
     const response = await supabaseRequest(
-      `/rest/v1/purchases?seller_wallet=ilike.${encodeURIComponent(walletAddress)}&status=eq.completed&select=id`
+      `/rest/v1/purchases?${filter}&status=eq.completed&sale_type=eq.primary&select=id`
     );
     
     if (!response.ok) return 0;
@@ -358,35 +372,55 @@ export async function checkMilestoneBounties(sellerWallet, submissionId = null)
 /**
  * Handle bounties triggered by a sale
  * This should be called after a successful purchase
+ * 
+ * @param {string} sellerWallet - Artist (primary) or reselling collector (secondary).
+ *   Confirmed co-artists of a collaborative piece earn primary sale milestones too.
+ * @param {string} buyerWallet
+ * @param {string} submissionId
+ * @param {object} [options] - { saleType: 'primary' | 'secondary' }
  */
-export async function handleSaleBounties(sellerWallet, buyerWallet, submissionId) {
+export async function handleSaleBounties(sellerWallet, buyerWallet, submissionId, { saleType = 'primary' } = {}) {
   const results = {
     seller: [],
     referrer: []
   };
   
-  // 1. Check seller milestone bounties (first sale, 5 sales, 10 sales)
-  const milestones = await checkMilestoneBounties(sellerWallet, submissionId);
-  results.seller.push(...milestones);
+  // Sale milestones and seller referrals reward artists, not resellers
+  const isPrimary = saleType === 'primary';
   
-  // 2. Check if seller was referred and this is their first sale
-  const sellerReferral = await getReferrer(sellerWallet);
-  if (sellerReferral) {
-    const salesCount = await getSellerSalesCount(sellerWallet);
+  // Every confirmed co-artist of a collaborative piece made this sale
+  const artistWallets = [sellerWallet];
+  if (isPrimary && submissionId) {
+    const collaborators = await getCollaborators(submissionId, { status: 'confirmed' });
+    for (const c of collaborators) {
+      if (!artistWallets.some(w => w.toLowerCase() === c.wallet)) artistWallets.push(c.wallet);
+    }
+  }
+  
+  for (const artistWallet of isPrimary ? artistWallets : []) {
+    // 1. Check seller milestone bounties (first sale, 5 sales, 10 sales)
+    const milestones = await checkMilestoneBounties(artistWallet, submissionId);
+    results.seller.push(...milestones.map(m => ({ ...m, wallet: artistWallet })));
+    
+    // 2. Check if seller was referred and this is their first sale
+    const sellerReferral = await getReferrer(artistWallet);
+    if (!sellerReferral) continue;
+    
+    const salesCount = await getSellerSalesCount(artistWallet);
     
     // First sale by referred agent = referral_first_sale for referrer
     if (salesCount === 1) {
       const result = await createBountyEvent({
         walletAddress: sellerReferral.referrer_wallet,
         eventType: 'referral_first_sale',
-        referredWallet: sellerWallet
+        referredWallet: artistWallet
       });
       if (result.success) {
         results.referrer.push({ eventType: 'referral_first_sale', amount: result.amount });
       }
       
       // Mark referral as converted
-      await updateReferralStatus(sellerWallet, 'converted');
+      await updateReferralStatus(artistWallet, 'converted');
     }
     
     // 10 sales by referred agent = referral_ten_sales for referrer
@@ -394,7 +428,7 @@ export async function handleSaleBounties(sellerWallet, buyerWallet, submissionId
       const result = await createBountyEvent({
         walletAddress: sellerReferral.referrer_wallet,
         eventType: 'referral_ten_sales',
-        referredWallet: sellerWallet
+        referredWallet: artistWallet
       });
       if (result.success) {
         results.referrer.push({ eventType: 'referral_ten_sales', amount: result.amount });
@@ -0,0 +1,627 @@
+/**
+ * $PHOS Bounty Payouts for Phosphors
+ *
+ * Pays the bounty events created by bounties.js. Each run groups the
+ * pending events per wallet and sends one $PHOS transfer per wallet from
+ * the rewards wallet (REWARDS_WALLET_ID / REWARDS_SEED), until the day's
+ * emission cap (BOUNTY_DAILY_CAP, UTC day) is used up. Events that don't
+ * fit wait for the next day, oldest first.
+ *
+ * ## Event states:
+ * pending → paid
+ * pending → (retry with backoff) → ... → failed (admin retry)
+ *
+ * A batch (`bounty_payouts` row) is reserved in the database against the
+ * day's cap, so concurrent runs can't both spend the same budget. It is
+ * `sending` while its transfer is in flight, then `paid` or `failed`. The
+ * transfer's hash is saved as soon as it is broadcast; a transfer that was
+ * broadcast but not confirmed leaves its batch in `sending` rather than
+ * re-queueing it. A batch stuck in `sending` is settled from its receipt
+ * when it has a hash, and otherwise reported and left for an admin: only
+ * they can tell whether the transfer went out.
+ *
+ * Dry-run mode (BOUNTY_PAYOUT_DRY_RUN=true, or per run) plans the batches
+ * against the cap without writing or sending anything.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { processBountyPayouts } from './_lib/bounty-payouts.js';
+ *
+ * const plan = await processBountyPayouts({ dryRun: true });
+ * console.log(plan.batches, plan.remaining);
+ * ```
+ *
+ * @module bounty-payouts
+ */
+
+import { Interface, parseUnits, formatUnits } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+import { getRewardsWallet } from './wallet.js';
+import { notifyAgent } from './notifications.js';
+import { getRetryDelay, MAX_PAYOUT_ATTEMPTS } from './payouts.js';
+import { auditLog } from './security.js';
+import { getChainClient } from './chain.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * $PHOS token contract
+ * @constant {string}
+ */
+export const PHOS_TOKEN = process.env.PHOS_TOKEN_ADDRESS || '0x08f3e9972eb2f9f129f05b58db335d764ec9e471';
+
+const PHOS_DECIMALS = 18;
+
+/**
+ * Most $PHOS sent per UTC day
+ * @constant {number}
+ */
+export const DAILY_EMISSION_CAP = Math.max(0, Number(process.env.BOUNTY_DAILY_CAP ?? 250000) || 0);
+
+/**
+ * Plan payouts without sending them (can also be asked for per run)
+ * @constant {boolean}
+ */
+export const DRY_RUN = process.env.BOUNTY_PAYOUT_DRY_RUN === 'true';
+
+/**
+ * Attempts before an event is marked failed and left for an admin
+ * @constant {number}
+ */
+export const MAX_BOUNTY_ATTEMPTS = MAX_PAYOUT_ATTEMPTS;
+
+/**
+ * How long a batch may stay `sending` before it is reported as stuck (ms)
+ * @constant {number}
+ */
+const STUCK_AFTER_MS = 15 * 60 * 1000;
+
+/**
+ * Pending events read per run
+ * @constant {number}
+ */
+const SCAN_LIMIT = 500;
+
+/**
+ * Transfers per run
+ * @constant {number}
+ */
+const MAX_BATCHES_PER_RUN = 25;
+
+const ERC20_ABI = JSON.parse(new Interface([
+  'function transfer(address to, uint256 value) returns (bool)'
+]).formatJson());
+
+// ==================== HELPERS ====================
+
+/**
+ * Whether the rewards wallet can send payouts in this environment
+ * @returns {boolean}
+ */
+export function isRewardsConfigured() {
+  return !!(
+    process.env.CDP_API_KEY_ID &&
+    process.env.CDP_API_KEY_SECRET &&
+    process.env.REWARDS_WALLET_ID &&
+    process.env.REWARDS_SEED
+  );
+}
+
+function toWei(amount) {
+  return parseUnits(String(amount), PHOS_DECIMALS);
+}
+
+function fromWei(wei) {
+  return parseFloat(formatUnits(wei, PHOS_DECIMALS));
+}
+
+function startOfUtcDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Payout status of a bounty event, for /api/bounties
+ *
+ * @param {object} event - bounty_events row
+ * @returns {object}
+ */
+export function getPayoutStatus(event) {
+  let state = event.status;
+  if (state === 'pending') {
+    state = event.payout_id ? 'sending' : event.attempts > 0 ? 'retrying' : 'queued';
+  }
+
+  return {
+    state,
+    payoutId: event.payout_id || null,
+    txHash: event.tx_hash || null,
+    attempts: event.attempts || 0,
+    lastError: event.last_error || null,
+    nextAttemptAt: state === 'retrying' ? event.next_attempt_at : null,
+    paidAt: event.paid_at || null
+  };
+}
+
+/**
+ * Group events into one batch per wallet within an emission budget
+ *
+ * Events are taken oldest first; a wallet's batch holds the events that
+ * still fit, so one large bounty doesn't hold back smaller ones.
+ *
+ * @param {object[]} events - Pending bounty_events rows, oldest first
+ * @param {bigint} budgetWei - $PHOS left today (wei)
+ * @returns {{ batches: Array<{ wallet: string, events: object[], amountWei: bigint }>, deferred: number }}
+ */
+export function planBatches(events, budgetWei) {
+  const batches = new Map();
+  let remaining = budgetWei;
+  let deferred = 0;
+
+  for (const event of events) {
+    const amountWei = toWei(event.phos_amount);
+    const wallet = event.wallet_address.toLowerCase();
+    const batch = batches.get(wallet);
+
+    if (amountWei > remaining || (!batch && batches.size >= MAX_BATCHES_PER_RUN)) {
+      deferred++;
+      continue;
+    }
+
+    remaining -= amountWei;
+    if (batch) {
+      batch.events.push(event);
+      batch.amountWei += amountWei;
+    } else {
+      batches.set(wallet, { wallet, events: [event], amountWei });
+    }
+  }
+
+  return { batches: [...batches.values()], deferred };
+}
+
+// ==================== QUERIES ====================
+
+async function updatePayout(payoutId, filter, updates) {
+  const res = await supabaseRequest(
+    `/rest/v1/bounty_payouts?id=eq.${encodeURIComponent(payoutId)}${filter}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(updates)
+    }
+  );
+  if (!res.ok) {
+    console.error('Bounty payout update failed:', await res.text());
+    return null;
+  }
+  const [payout] = await res.json();
+  return payout || null;
+}
+
+async function updateEvents(filter, updates) {
+  const res = await supabaseRequest(`/rest/v1/bounty_events?${filter}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify(updates)
+  });
+  if (!res.ok) {
+    console.error('Bounty event update failed:', await res.text());
+    return [];
+  }
+  return res.json();
+}
+
+/**
+ * $PHOS sent (or being sent) since the start of the UTC day
+ *
+ * @param {Date} [now]
+ * @returns {Promise<bigint>} wei
+ */
+export async function getEmittedToday(now = new Date()) {
+  const res = await supabaseRequest(
+    `/rest/v1/bounty_payouts?status=in.(sending,paid)&created_at=gte.${startOfUtcDay(now).toISOString()}&select=phos_amount`
+  );
+  if (!res.ok) {
+    throw new Error(`Emission lookup failed: ${await res.text()}`);
+  }
+  const rows = await res.json();
+  return rows.reduce((sum, row) => sum + toWei(row.phos_amount), 0n);
+}
+
+async function getPayableEvents(now) {
+  const res = await supabaseRequest(
+    `/rest/v1/bounty_events?status=eq.pending&payout_id=is.null&or=(next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()})&select=*&order=created_at.asc&limit=${SCAN_LIMIT}`
+  );
+  if (!res.ok) {
+    throw new Error(`Bounty event lookup failed: ${await res.text()}`);
+  }
+  return res.json();
+}
+
+async function getPayoutEvents(payoutId) {
+  const res = await supabaseRequest(`/rest/v1/bounty_events?payout_id=eq.${payoutId}&select=*`);
+  return res.ok ? res.json() : [];
+}
+
+/**
+ * Batches that have been `sending` for longer than STUCK_AFTER_MS
+ *
+ * @param {Date} [now]
+ * @returns {Promise<object[]>} bounty_payouts rows
+ */
+export async function getStuckPayouts(now = new Date()) {
+  const res = await supabaseRequest(
+    `/rest/v1/bounty_payouts?status=eq.sending&created_at=lt.${new Date(now.getTime() - STUCK_AFTER_MS).toISOString()}&select=*&order=created_at.asc`
+  );
+  if (!res.ok) return [];
+  return res.json();
+}
+
+// ==================== TRANSFERS ====================
+
+/**
+ * Send $PHOS from the rewards wallet
+ *
+ * A failure before the transfer is broadcast means nothing was sent. Once
+ * it is broadcast its hash goes to `onBroadcast`, and a failure to confirm
+ * it (e.g. a wait() timeout) comes back `unconfirmed`: it may still land.
+ * A transfer that reverted on chain sent nothing.
+ *
+ * @param {string} destination
+ * @param {bigint} amountWei
+ * @param {object} [options]
+ * @param {Function} [options.onBroadcast] - (txHash) => Promise, before waiting for the receipt
+ * @returns {Promise<{ success: boolean, unconfirmed?: boolean, txHash?: string, error?: string }>}
+ */
+export async function sendPhos(destination, amountWei, { onBroadcast } = {}) {
+  let invocation;
+  try {
+    const { wallet, error } = await getRewardsWallet();
+    if (!wallet) {
+      return { success: false, error: error || 'Rewards wallet unavailable' };
+    }
+
+    invocation = await wallet.invokeContract({
+      contractAddress: PHOS_TOKEN,
+      method: 'transfer',
+      args: { to: destination, value: amountWei.toString() },
+      abi: ERC20_ABI
+    });
+  } catch (err) {
+    console.error(`$PHOS payout to ${destination} failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+
+  const txHash = invocation.getTransactionHash()?.toLowerCase() || null;
+  if (txHash && onBroadcast) {
+    await onBroadcast(txHash);
+  }
+
+  try {
+    const result = await invocation.wait();
+
+    if (result.getStatus() !== 'complete') {
+      return { success: false, txHash, error: `Transfer failed with status: ${result.getStatus()}` };
+    }
+
+    return { success: true, txHash: result.getTransaction().getTransactionHash().toLowerCase() };
+  } catch (err) {
+    console.error(`$PHOS payout to ${destination} unconfirmed:`, err.message);
+    return { success: false, unconfirmed: true, txHash, error: err.message };
+  }
+}
+
+// Mark a batch paid, with all of its events
+async function completePayout(payout, txHash) {
+  const paidAt = new Date().toISOString();
+  const paid = await updatePayout(payout.id, '', { status: 'paid', tx_hash: txHash, error: null, paid_at: paidAt });
+  const events = await updateEvents(`payout_id=eq.${payout.id}`, {
+    status: 'paid',
+    tx_hash: txHash,
+    last_error: null,
+    next_attempt_at: null,
+    paid_at: paidAt
+  });
+  return { payout: paid || { ...payout, status: 'paid', tx_hash: txHash }, events };
+}
+
+// Mark a batch failed; its events go back to pending with backoff, or to
+// failed once they are out of attempts
+async function failPayout(payout, events, error) {
+  await updatePayout(payout.id, '', { status: 'failed', error });
+
+  let retrying = 0;
+  let failed = 0;
+  for (const event of events) {
+    const attempts = (event.attempts || 0) + 1;
+    const exhausted = attempts >= MAX_BOUNTY_ATTEMPTS;
+    await updateEvents(`id=eq.${event.id}&payout_id=eq.${payout.id}`, {
+      status: exhausted ? 'failed' : 'pending',
+      payout_id: null,
+      attempts,
+      last_error: error,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+    });
+    if (exhausted) failed++;
+    else retrying++;
+  }
+  return { retrying, failed };
+}
+
+// Tell the earner their batch was paid
+async function announcePayout(payout, events, txHash) {
+  const amount = parseFloat(payout.phos_amount);
+  await notifyAgent({
+    wallet: payout.wallet_address,
+    type: 'bounty_paid',
+    title: 'Bounty paid 🎁',
+    message: `${amount.toLocaleString()} $PHOS was sent to your wallet for ${events.length} ${events.length === 1 ? 'bounty' : 'bounties'}.`,
+    data: { payout_id: payout.id, tx_hash: txHash, event_types: events.map(e => e.event_type) }
+  });
+}
+
+/**
+ * Pay one wallet's batch
+ *
+ * The batch row is reserved against the day's cap (reserve_bounty_payout)
+ * before its events are claimed, so the day's emission already counts it
+ * while the transfer is in flight. Events another worker claimed first are
+ * left out of the transfer.
+ *
+ * @param {{ wallet: string, events: object[], amountWei: bigint }} batch
+ * @param {Date} [now]
+ * @returns {Promise<{ status: 'paid'|'retrying'|'failed'|'unconfirmed'|'skipped'|'deferred', payout?: object, error?: string }>}
+ *   `deferred` when the cap has no room left for it
+ */
+export async function payBatch(batch, now = new Date()) {
+  const reserve = await supabaseRequest('/rest/v1/rpc/reserve_bounty_payout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      p_wallet: batch.wallet,
+      p_amount: fromWei(batch.amountWei),
+      p_event_count: batch.events.length,
+      p_cap: DAILY_EMISSION_CAP,
+      p_since: startOfUtcDay(now).toISOString()
+    })
+  });
+  if (!reserve.ok) {
+    throw new Error(`Bounty payout reservation failed: ${await reserve.text()}`);
+  }
+  let [payout] = await reserve.json();
+  if (!payout) {
+    return { status: 'deferred' };
+  }
+
+  const ids = batch.events.map(e => e.id).join(',');
+  const claimed = await updateEvents(`id=in.(${ids})&status=eq.pending&payout_id=is.null`, { payout_id: payout.id });
+
+  if (claimed.length === 0) {
+    await updatePayout(payout.id, '', { status: 'failed', error: 'Events were claimed by another run' });
+    return { status: 'skipped' };
+  }
+
+  let amountWei = batch.amountWei;
+  if (claimed.length !== batch.events.length) {
+    amountWei = claimed.reduce((sum, e) => sum + toWei(e.phos_amount), 0n);
+    payout = await updatePayout(payout.id, '', { phos_amount: fromWei(amountWei), event_count: claimed.length }) || payout;
+  }
+
+  console.log(`🎁 Paying ${fromWei(amountWei).toLocaleString()} $PHOS to ${batch.wallet} (${claimed.length} bounties)...`);
+  const transfer = await sendPhos(batch.wallet, amountWei, {
+    onBroadcast: txHash => updatePayout(payout.id, '&status=eq.sending', { tx_hash: txHash })
+      .catch(err => console.error(`Bounty payout ${payout.id} tx hash not saved:`, err.message))
+  });
+
+  if (transfer.unconfirmed) {
+    // Broadcast but not confirmed: it may still land, so the batch stays sending
+    await updatePayout(payout.id, '&status=eq.sending', { tx_hash: transfer.txHash, error: transfer.error });
+    await auditLog('BOUNTY_PAYOUT_UNCONFIRMED', {
+      payoutId: payout.id,
+      wallet: batch.wallet,
+      amount: fromWei(amountWei),
+      events: claimed.length,
+      txHash: transfer.txHash,
+      error: transfer.error
+    });
+    return { status: 'unconfirmed', payout, error: transfer.error };
+  }
+
+  if (!transfer.success) {
+    const { failed } = await failPayout(payout, claimed, transfer.error);
+    await auditLog('BOUNTY_PAYOUT_FAILED', {
+      payoutId: payout.id,
+      wallet: batch.wallet,
+      amount: fromWei(amountWei),
+      events: claimed.length,
+      error: transfer.error
+    });
+    return { status: failed === claimed.length ? 'failed' : 'retrying', payout, error: transfer.error };
+  }
+
+  const result = await completePayout(payout, transfer.txHash);
+
+  await auditLog('BOUNTY_PAYOUT_SENT', {
+    payoutId: payout.id,
+    wallet: batch.wallet,
+    amount: fromWei(amountWei),
+    events: claimed.length,
+    txHash: transfer.txHash
+  });
+
+  await announcePayout(result.payout, claimed, transfer.txHash);
+
+  return { status: 'paid', payout: result.payout };
+}
+
+/**
+ * Settle a stuck batch from its transfer's receipt
+ *
+ * A successful receipt pays the batch; a reverted transfer sent nothing and
+ * its events go back to the queue. Batches with no hash, or whose receipt
+ * isn't found, stay stuck for an admin.
+ *
+ * @param {object} payout - bounty_payouts row in status 'sending'
+ * @returns {Promise<object|null>} The settled batch, or null if it is still stuck
+ */
+export async function reconcileStuckPayout(payout) {
+  if (!payout.tx_hash) return null;
+
+  try {
+    const receipt = await getChainClient().getTransactionReceipt(payout.tx_hash);
+    if (!receipt) return null;
+
+    if (receipt.status === '0x1') {
+      const { payout: paid, events } = await completePayout(payout, payout.tx_hash);
+      await auditLog('BOUNTY_PAYOUT_RECONCILED', { payoutId: payout.id, status: 'paid', txHash: payout.tx_hash });
+      await announcePayout(paid, events, payout.tx_hash);
+      return paid;
+    }
+
+    const events = await getPayoutEvents(payout.id);
+    await failPayout(payout, events, `Transfer ${payout.tx_hash} reverted`);
+    await auditLog('BOUNTY_PAYOUT_RECONCILED', { payoutId: payout.id, status: 'failed', txHash: payout.tx_hash });
+    return { ...payout, status: 'failed' };
+  } catch (err) {
+    console.error('Bounty payout receipt check failed:', err.message);
+    return null;
+  }
+}
+
+// ==================== SCHEDULED JOB ====================
+
+/**
+ * Pay pending bounties within today's emission cap (scheduler)
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=DRY_RUN] - Only plan the batches
+ * @returns {Promise<object>} Cap usage, the planned batches and per-state counts
+ */
+export async function processBountyPayouts({ dryRun = DRY_RUN } = {}) {
+  const now = new Date();
+
+  // Batches whose broadcast transfer has a receipt by now are settled first
+  const stuck = [];
+  let reconciled = 0;
+  for (const payout of await getStuckPayouts(now)) {
+    if (!dryRun && await reconcileStuckPayout(payout)) reconciled++;
+    else stuck.push(payout);
+  }
+
+  const capWei = toWei(DAILY_EMISSION_CAP);
+  const emittedWei = await getEmittedToday(now);
+  const budgetWei = capWei > emittedWei ? capWei - emittedWei : 0n;
+
+  const events = await getPayableEvents(now);
+  const { batches, deferred } = planBatches(events, budgetWei);
+
+  const results = {
+    dryRun,
+    configured: isRewardsConfigured(),
+    dailyCap: DAILY_EMISSION_CAP,
+    emittedToday: fromWei(emittedWei),
+    remainingToday: fromWei(budgetWei - batches.reduce((sum, b) => sum + b.amountWei, 0n)),
+    batches: batches.map(b => ({
+      wallet: b.wallet,
+      amount: fromWei(b.amountWei),
+      events: b.events.map(e => e.id)
+    })),
+    deferred,
+    paid: 0,
+    retrying: 0,
+    failed: 0,
+    unconfirmed: 0,
+    reconciled,
+    stuck: stuck.map(p => ({
+      payoutId: p.id,
+      wallet: p.wallet_address,
+      amount: parseFloat(p.phos_amount),
+      txHash: p.tx_hash || null,
+      since: p.created_at
+    }))
+  };
+
+  if (stuck.length) {
+    console.warn(`⚠️ ${stuck.length} bounty payout(s) stuck in sending; resolve them before the wallet is paid again`);
+  }
+
+  if (dryRun || batches.length === 0) {
+    return results;
+  }
+  if (!results.configured) {
+    return { ...results, skipped: 'Rewards wallet not configured' };
+  }
+
+  for (const batch of batches) {
+    // Skip wallets with a stuck batch: their last transfer may have gone out
+    if (stuck.some(p => p.wallet_address === batch.wallet)) {
+      results.deferred += batch.events.length;
+      continue;
+    }
+
+    try {
+      const outcome = await payBatch(batch, now);
+      if (outcome.status === 'deferred') results.deferred += batch.events.length;
+      else if (outcome.status in results) results[outcome.status]++;
+    } catch (err) {
+      console.error(`Bounty payout to ${batch.wallet} failed:`, err.message);
+      results.retrying++;
+    }
+  }
+
+  return results;
+}
+
+// ==================== ADMIN ====================
+
+/**
+ * Put a failed event back in the queue with fresh attempts
+ *
+ * @param {string} eventId
+ * @returns {Promise<object|null>} The event, or null if it isn't failed
+ */
+export async function retryBountyEvent(eventId) {
+  const [event] = await updateEvents(`id=eq.${encodeURIComponent(eventId)}&status=eq.failed`, {
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    next_attempt_at: new Date().toISOString()
+  });
+  return event || null;
+}
+
+/**
+ * Settle a batch stuck in `sending`
+ *
+ * With the transfer's tx hash (found in the rewards wallet history) the
+ * batch and its events are paid; without it the transfer is taken as never
+ * sent and the events go back to the queue.
+ *
+ * @param {string} payoutId
+ * @param {string|null} txHash
+ * @returns {Promise<object|null>} The batch, or null if it isn't sending
+ */
+export async function resolveStuckPayout(payoutId, txHash = null) {
+  const res = await supabaseRequest(
+    `/rest/v1/bounty_payouts?id=eq.${encodeURIComponent(payoutId)}&status=eq.sending&select=*&limit=1`
+  );
+  if (!res.ok) {
+    throw new Error(`Bounty payout lookup failed: ${await res.text()}`);
+  }
+  const [payout] = await res.json();
+  if (!payout) return null;
+
+  if (txHash) {
+    return (await completePayout(payout, txHash.toLowerCase())).payout;
+  }
+
+  const events = await getPayoutEvents(payout.id);
+  await failPayout(payout, events, 'Transfer not sent (resolved by admin)');
+  return { ...payout, status: 'failed' };
+}
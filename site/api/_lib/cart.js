@@ -0,0 +1,617 @@
+/**
+ * Cart Checkout for Phosphors
+ *
+ * Buy several pieces with a single USDC payment. The cart is quoted as one
+ * x402 payment (sum of every line's price + protocol fee); once paid, each
+ * line is recorded as its own purchase with its own payouts and NFT delivery.
+ *
+ * ## All or nothing:
+ * One edition of every piece is claimed in a single database call
+ * (claim_cart_editions). If any piece sold out or went to auction, no
+ * edition is claimed:
+ * - Signed (x402) payments are never settled, so no funds move
+ * - Broadcast transfers are already on-chain, so the whole payment is
+ *   refunded (retried by the worker until it goes out)
+ * The same refund applies when a paid cart's lines can't all be recorded.
+ *
+ * ## Lifecycle:
+ * paid → completed
+ * paid → refund_pending → refund_sending → refunded
+ *
+ * A refund is claimed (refund_pending → refund_sending) before it is sent
+ * and its hash kept once broadcast. One that isn't confirmed in time stays
+ * in refund_sending until its receipt settles it; it is never sent again.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getCartPieces, quoteCart, reserveCart, openCart, completeCart } from './_lib/cart.js';
+ *
+ * const pieces = await getCartPieces(pieceIds);
+ * const quote = quoteCart(pieces, pieceIds);
+ * const { cart } = await openCart({ buyer, quote, txHash, paymentMethod });
+ * const { ownerships } = await reserveCart(pieceIds, buyer);
+ * const { lines } = await completeCart(cart, { quote, pieces, ownerships, artistWallets, buyer });
+ * ```
+ *
+ * @module cart
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { quotePurchase, getPiecePrice, roundUsdc } from './pricing.js';
+import { getEditionInfo, releaseEdition } from './editions.js';
+import { executeSale, recordSale } from './sales.js';
+import { isPayoutConfigured, sendUsdcPayout, getTransferOutcome } from './payouts.js';
+import { getOpenAuction } from './auctions.js';
+import { hasEarlyAccess } from './patronage.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Most pieces in one cart (each line is recorded in the same request)
+ * @constant {number}
+ */
+export const MAX_CART_ITEMS = 10;
+
+/**
+ * Minimum gap between refund attempts of the worker (ms)
+ * @constant {number}
+ */
+const REFUND_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * A refund claimed this long ago with no broadcast hash is reported as
+ * stuck (ms)
+ * @constant {number}
+ */
+const STUCK_REFUND_MS = 10 * 60 * 1000;
+
+const NETWORK_ID = process.env.NETWORK_ID === 'base-mainnet' ? 'base-mainnet' : 'base-sepolia';
+
+// ==================== QUOTES ====================
+
+/**
+ * Validate the piece IDs of a cart
+ *
+ * @param {*} items - Array of piece IDs
+ * @param {function(string): boolean} isValidId - Piece ID validator
+ * @returns {{ valid: boolean, ids?: string[], error?: string }}
+ */
+export function validateCartItems(items, isValidId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { valid: false, error: 'items must be a non-empty array of piece IDs' };
+  }
+  if (items.length > MAX_CART_ITEMS) {
+    return { valid: false, error: `A cart holds at most ${MAX_CART_ITEMS} pieces` };
+  }
+  if (!items.every(id => isValidId(id))) {
+    return { valid: false, error: 'items contains an invalid piece ID' };
+  }
+  if (new Set(items).size !== items.length) {
+    return { valid: false, error: 'Each piece can only be in a cart once' };
+  }
+
+  return { valid: true, ids: items };
+}
+
+/**
+ * Load the pieces of a cart
+ *
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, object>>} piece ID → submission
+ */
+export async function getCartPieces(ids) {
+  const pieces = new Map();
+
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=in.(${ids.map(encodeURIComponent).join(',')})&select=id,title,moltbook,status,price_usdc,edition_size,editions_sold,royalty_percent,token_id,patron_only_until`
+  );
+  if (!res.ok) {
+    throw new Error(`Cart pieces lookup failed: ${await res.text()}`);
+  }
+
+  for (const row of await res.json()) {
+    pieces.set(row.id, row);
+  }
+  return pieces;
+}
+
+/**
+ * Price a cart: one line per piece, totals are the sum of the lines
+ *
+ * @param {Map<string, object>} pieces - From getCartPieces
+ * @param {string[]} ids - Piece IDs in cart order
+ * @returns {{ lines: Array<object>, baseTotal: number, protocolFee: number, total: number }}
+ */
+export function quoteCart(pieces, ids) {
+  const lines = ids.map((id, index) => {
+    const submission = pieces.get(id);
+    const { basePrice, protocolFee, totalPrice } = quotePurchase(getPiecePrice(submission));
+    return {
+      line: index + 1,
+      pieceId: id,
+      title: submission?.title || id,
+      artist: submission?.moltbook || 'Unknown',
+      basePrice,
+      protocolFee,
+      total: totalPrice
+    };
+  });
+
+  return {
+    lines,
+    baseTotal: roundUsdc(lines.reduce((sum, l) => sum + l.basePrice, 0)),
+    protocolFee: roundUsdc(lines.reduce((sum, l) => sum + l.protocolFee, 0)),
+    total: roundUsdc(lines.reduce((sum, l) => sum + l.total, 0))
+  };
+}
+
+/**
+ * Pieces of a cart that can't be bought right now
+ *
+ * @param {Map<string, object>} pieces
+ * @param {string[]} ids
+ * @param {string} [buyerWallet] - Checked against patron-only windows
+ * @returns {Promise<Array<{ pieceId: string, title: string, reason: string }>>}
+ */
+export async function findUnavailable(pieces, ids, buyerWallet) {
+  const unavailable = [];
+
+  for (const id of ids) {
+    const submission = pieces.get(id);
+    if (!submission) {
+      unavailable.push({ pieceId: id, title: id, reason: 'not_found' });
+    } else if (getEditionInfo(submission).soldOut) {
+      unavailable.push({ pieceId: id, title: submission.title, reason: 'sold_out' });
+    } else if (await getOpenAuction(id)) {
+      unavailable.push({ pieceId: id, title: submission.title, reason: 'auction_in_progress' });
+    } else if (!(await hasEarlyAccess(submission, buyerWallet))) {
+      unavailable.push({ pieceId: id, title: submission.title, reason: 'patrons_only', until: submission.patron_only_until });
+    }
+  }
+
+  return unavailable;
+}
+
+// ==================== RESERVATION ====================
+
+/**
+ * Claim one edition of every piece for the buyer, or none at all
+ *
+ * @param {string[]} ids
+ * @param {object} buyer - { wallet, username }
+ * @returns {Promise<{ success: boolean, ownerships?: Map<string, object>, unavailable?: boolean, error?: string }>}
+ */
+export async function reserveCart(ids, buyer) {
+  try {
+    const res = await supabaseRequest('/rest/v1/rpc/claim_cart_editions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        p_submission_ids: ids,
+        p_owner_wallet: buyer.wallet,
+        p_owner_username: buyer.username || null
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Cart claim failed:', await res.text());
+      return { success: false, error: 'Failed to reserve cart' };
+    }
+
+    const rows = await res.json();
+    if (!rows || rows.length === 0) {
+      return { success: false, unavailable: true, error: 'A piece in this cart is no longer available' };
+    }
+
+    return { success: true, ownerships: new Map(rows.map(row => [row.submission_id, row])) };
+  } catch (err) {
+    console.error('Cart claim error:', err.message);
+    return { success: false, error: 'Failed to reserve cart' };
+  }
+}
+
+/**
+ * Release every edition claimed for a cart (payment failed)
+ *
+ * @param {Map<string, object>} ownerships - From reserveCart
+ */
+export async function releaseCart(ownerships) {
+  for (const ownership of ownerships.values()) {
+    await releaseEdition(ownership.id);
+  }
+}
+
+// ==================== CARTS ====================
+
+/**
+ * Public shape of a cart
+ *
+ * @param {object} cart - carts row
+ * @returns {object}
+ */
+export function formatCart(cart) {
+  return {
+    id: cart.id,
+    buyer: {
+      username: cart.buyer_username,
+      wallet: cart.buyer_wallet
+    },
+    items: cart.items,
+    baseTotal: parseFloat(cart.base_total),
+    protocolFee: parseFloat(cart.protocol_fee),
+    total: parseFloat(cart.total_usdc),
+    currency: 'USDC',
+    txHash: cart.tx_hash,
+    paymentMethod: cart.payment_method,
+    status: cart.status,
+    unavailable: cart.unavailable || null,
+    refund: ['refund_pending', 'refund_sending', 'refunded'].includes(cart.status) ? {
+      amount: cart.refund_amount !== null && cart.refund_amount !== undefined
+        ? parseFloat(cart.refund_amount)
+        : parseFloat(cart.total_usdc),
+      txHash: cart.refund_tx_hash || null,
+      error: cart.refund_error || null,
+      at: cart.refunded_at || null
+    } : null,
+    completedAt: cart.completed_at || null,
+    createdAt: cart.created_at
+  };
+}
+
+async function updateCart(cartId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/carts?id=eq.${encodeURIComponent(cartId)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+
+    if (!res.ok) {
+      console.error('Cart update failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Cart update error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Get a cart by ID
+ *
+ * @param {string} cartId
+ * @returns {Promise<object|null>}
+ */
+export async function getCart(cartId) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/carts?id=eq.${encodeURIComponent(cartId)}&select=*`);
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get cart error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Record a paid cart
+ *
+ * tx_hash is unique, so this is also the replay guard for a broadcast
+ * payment: the same transaction can only ever open one cart.
+ *
+ * @param {object} params
+ * @param {object} params.buyer - { wallet, username }
+ * @param {object} params.quote - From quoteCart
+ * @param {string} params.txHash - Payment transaction
+ * @param {string} params.paymentMethod - 'transfer' or 'x402_authorization'
+ * @returns {Promise<{ success: boolean, cart?: object, duplicate?: boolean, error?: string }>}
+ */
+export async function openCart({ buyer, quote, txHash, paymentMethod }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/carts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        buyer_wallet: buyer.wallet,
+        buyer_username: buyer.username || null,
+        items: quote.lines,
+        base_total: quote.baseTotal,
+        protocol_fee: quote.protocolFee,
+        total_usdc: quote.total,
+        tx_hash: txHash.toLowerCase(),
+        payment_method: paymentMethod,
+        network: NETWORK_ID,
+        status: 'paid'
+      })
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      if (res.status === 409 || errorText.includes('duplicate') || errorText.includes('unique')) {
+        return { success: false, duplicate: true, error: 'Transaction already used for a previous purchase' };
+      }
+      console.error('Cart insert failed:', errorText);
+      return { success: false, error: 'Failed to record cart' };
+    }
+
+    const [cart] = await res.json();
+    return { success: true, cart };
+  } catch (err) {
+    console.error('Open cart error:', err.message);
+    return { success: false, error: 'Failed to record cart' };
+  }
+}
+
+/**
+ * Record every line of a paid, reserved cart as its own sale
+ *
+ * All or nothing here too: every line's purchase is written before any
+ * line is settled. If one can't be written, the lines written so far are
+ * marked failed, every edition is released and the cart is left in `paid`
+ * for the caller to refund (cancelCart).
+ *
+ * @param {object} cart - carts row
+ * @param {object} params
+ * @param {object} params.quote - From quoteCart
+ * @param {Map<string, object>} params.pieces - From getCartPieces
+ * @param {Map<string, object>} params.ownerships - From reserveCart
+ * @param {Map<string, string|null>} params.artistWallets - artist username → wallet
+ * @param {object} params.buyer - { wallet, username }
+ * @param {object} [params.confirmation] - { requiredConfirmations } while the payment is unconfirmed
+ *   (lines are recorded pending_confirmation, see executeSale)
+ * @returns {Promise<{ success: boolean, cart: object, lines: Array<object>, error?: string }>}
+ */
+export async function completeCart(cart, { quote, pieces, ownerships, artistWallets, buyer, confirmation = null }) {
+  const sales = quote.lines.map(line => {
+    const submission = pieces.get(line.pieceId);
+    return {
+      line,
+      params: {
+        submission,
+        saleType: 'primary',
+        ownership: ownerships.get(line.pieceId),
+        buyer,
+        seller: { wallet: artistWallets.get(submission.moltbook) || null, username: submission.moltbook },
+        price: line.basePrice,
+        txHash: cart.tx_hash,
+        paymentMethod: cart.payment_method,
+        cart: { id: cart.id, line: line.line },
+        confirmation
+      }
+    };
+  });
+
+  // 1. Write every purchase first
+  for (const sale of sales) {
+    sale.purchase = await recordSale(sale.params);
+    if (!sale.purchase) {
+      await undoCartLines(cart, sales, ownerships);
+      return { success: false, cart, lines: [], error: `Line ${sale.line.line} could not be recorded` };
+    }
+  }
+
+  // 2. Pay out and deliver each line
+  const lines = [];
+  for (const { line, params, purchase } of sales) {
+    const sale = await executeSale({ ...params, purchase });
+    lines.push({ ...line, ownership: params.ownership, ...sale });
+  }
+
+  const completed = await updateCart(cart.id, '&status=eq.paid', {
+    status: 'completed',
+    completed_at: new Date().toISOString()
+  });
+
+  return { success: true, cart: completed || cart, lines };
+}
+
+// Take back a cart whose lines could not all be recorded
+async function undoCartLines(cart, sales, ownerships) {
+  const written = sales.filter(sale => sale.purchase).map(sale => sale.purchase.id);
+  if (written.length > 0) {
+    try {
+      await supabaseRequest(`/rest/v1/purchases?id=in.(${written.map(encodeURIComponent).join(',')})`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ status: 'failed' })
+      });
+    } catch (err) {
+      console.error('Cart line undo error:', err.message);
+    }
+  }
+
+  for (const ownership of ownerships.values()) {
+    await releaseEdition(ownership.id);
+  }
+}
+
+// ==================== REFUNDS ====================
+
+/**
+ * Send a cart's whole payment back to the buyer
+ *
+ * The refund is claimed first (refund_pending → refund_sending), so checkout
+ * and the worker never both send it. Its hash is stored on broadcast: a
+ * transfer that isn't confirmed in time stays in refund_sending for
+ * `confirmCartRefund`, and only one that sent nothing goes back to
+ * refund_pending.
+ *
+ * @param {object} cart - carts row in refund_pending
+ * @returns {Promise<{ success: boolean, claimed?: boolean, unconfirmed?: boolean, txHash?: string, error?: string }>}
+ *   `claimed: false` when another request holds (or already sent) the refund
+ */
+export async function refundCart(cart) {
+  const amount = roundUsdc(parseFloat(cart.total_usdc));
+
+  if (!isPayoutConfigured()) {
+    await updateCart(cart.id, '', { refund_error: 'Payout wallet not configured' });
+    return { success: false, error: 'Payout wallet not configured' };
+  }
+
+  const claimed = await updateCart(cart.id, '&status=eq.refund_pending', {
+    status: 'refund_sending',
+    refund_claimed_at: new Date().toISOString()
+  });
+  if (!claimed) {
+    return { success: false, claimed: false, error: 'Refund is already being sent' };
+  }
+
+  const sending = '&status=eq.refund_sending';
+  const payout = await sendUsdcPayout(cart.buyer_wallet, amount, {
+    onBroadcast: txHash => updateCart(cart.id, sending, { refund_amount: amount, refund_tx_hash: txHash })
+  });
+
+  if (payout.unconfirmed) {
+    // May still land: its receipt decides, it is never sent again
+    await updateCart(cart.id, sending, {
+      refund_amount: amount,
+      refund_tx_hash: payout.txHash,
+      refund_error: payout.txHash
+        ? `Unconfirmed: ${payout.error}`
+        : 'Transfer may have been sent, check before retrying'
+    });
+    return { success: false, unconfirmed: true, txHash: payout.txHash, error: payout.error };
+  }
+
+  if (!payout.success) {
+    await updateCart(cart.id, sending, { status: 'refund_pending', refund_tx_hash: null, refund_error: payout.error });
+    return { success: false, error: payout.error };
+  }
+
+  await updateCart(cart.id, sending, {
+    status: 'refunded',
+    refund_amount: amount,
+    refund_tx_hash: payout.txHash,
+    refund_error: null,
+    refunded_at: new Date().toISOString()
+  });
+
+  return { success: true, txHash: payout.txHash };
+}
+
+/**
+ * Settle a refund left in refund_sending with a broadcast hash from its
+ * receipt
+ *
+ * A confirmed transfer marks the cart refunded; a reverted one sent
+ * nothing and goes back to refund_pending.
+ *
+ * @param {object} cart - carts row in refund_sending with refund_tx_hash
+ * @returns {Promise<object|null>} The cart after the check, or null while unknown
+ */
+export async function confirmCartRefund(cart) {
+  const outcome = await getTransferOutcome(cart.refund_tx_hash);
+  if (!outcome) return null;
+
+  if (outcome === 'confirmed') {
+    return updateCart(cart.id, '&status=eq.refund_sending', {
+      status: 'refunded',
+      refund_error: null,
+      refunded_at: new Date().toISOString()
+    });
+  }
+
+  return updateCart(cart.id, '&status=eq.refund_sending', {
+    status: 'refund_pending',
+    refund_tx_hash: null,
+    refund_error: `Transfer ${cart.refund_tx_hash} reverted`
+  });
+}
+
+/**
+ * Give up on a paid cart because some pieces can't be assigned (or its
+ * lines couldn't be recorded), and refund it
+ *
+ * @param {object} cart - carts row in paid
+ * @param {Array<object>} unavailable - From findUnavailable (empty when nothing sold out)
+ * @returns {Promise<{ cart: object, refund: object }>}
+ */
+export async function cancelCart(cart, unavailable) {
+  const cancelled = await updateCart(cart.id, '&status=eq.paid', {
+    status: 'refund_pending',
+    unavailable
+  });
+  if (!cancelled) {
+    return { cart, refund: { success: false, error: 'Cart is no longer awaiting assignment' } };
+  }
+
+  const refund = await refundCart(cancelled);
+
+  await notifyAgent({
+    wallet: cart.buyer_wallet,
+    type: 'cart_refunded',
+    title: 'Cart refunded',
+    message: `${unavailable.length > 0 ? 'Some pieces in your cart sold out before it could be completed.' : 'Your cart could not be completed.'} ${refund.success ? `${cart.total_usdc} USDC has been refunded.` : 'Your refund is queued.'}`,
+    data: { cart_id: cart.id, unavailable, refund_tx: refund.txHash || null }
+  });
+
+  return {
+    cart: refund.success && refund.txHash
+      ? { ...cancelled, status: 'refunded', refund_amount: cancelled.total_usdc, refund_tx_hash: refund.txHash, refunded_at: new Date().toISOString() }
+      : cancelled,
+    refund
+  };
+}
+
+/**
+ * Retry cart refunds that failed earlier and settle unconfirmed ones from
+ * their receipts (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ refunded: number, failed: number, stuckRefunds: number }>}
+ */
+export async function processCartRefunds({ limit = 25 } = {}) {
+  const results = { refunded: 0, failed: 0 };
+  const before = new Date(Date.now() - REFUND_RETRY_MS).toISOString();
+
+  const res = await supabaseRequest(
+    `/rest/v1/carts?status=eq.refund_pending&updated_at=lt.${before}&select=*&order=updated_at.asc&limit=${limit}`
+  );
+
+  for (const cart of res.ok ? await res.json() : []) {
+    const refund = await refundCart(cart);
+    if (refund.success) {
+      results.refunded++;
+    } else if (refund.claimed !== false) {
+      results.failed++;
+    }
+  }
+
+  // Broadcast but unconfirmed: the receipt settles them
+  const sentRes = await supabaseRequest(
+    `/rest/v1/carts?status=eq.refund_sending&refund_tx_hash=not.is.null&select=*&order=refund_claimed_at.asc&limit=${limit}`
+  );
+
+  for (const cart of sentRes.ok ? await sentRes.json() : []) {
+    const settled = await confirmCartRefund(cart);
+    if (settled?.status === 'refunded') results.refunded++;
+  }
+
+  // Claimed long ago with no hash: it may or may not have gone out, so it
+  // is never resent automatically, only reported for a manual check
+  const stale = new Date(Date.now() - STUCK_REFUND_MS).toISOString();
+  const stuckRes = await supabaseRequest(
+    `/rest/v1/carts?status=eq.refund_sending&refund_tx_hash=is.null&refund_claimed_at=lt.${stale}&select=id,buyer_wallet&limit=${limit}`
+  );
+  const stuck = stuckRes.ok ? await stuckRes.json() : [];
+  results.stuckRefunds = stuck.length;
+  if (stuck.length > 0) {
+    console.error(`${stuck.length} cart refund(s) stuck in refund_sending: ${stuck.map(c => c.id).join(', ')}`);
+  }
+
+  return results;
+}
@@ -0,0 +1,710 @@
+/**
+ * Chain Client for Phosphors
+ *
+ * One place for every on-chain read the API makes (payment receipts,
+ * confirmation depth, NFT ownership, balances, contract events). The
+ * default client speaks JSON-RPC to the configured network's providers
+ * with failover, retry and a short response cache. A deterministic
+ * in-memory chain implements the same interface so payment, license and
+ * mint paths run fully offline.
+ *
+ * ## Providers:
+ * Each network lists RPC URLs in priority order (CHAIN_RPC_URLS overrides
+ * them, comma-separated). Only an error every provider would give for the
+ * same call (execution reverted, invalid params) is the chain's answer and
+ * is thrown as-is. Anything else may be this provider's problem (network
+ * error, timeout, any HTTP error, rate limits like -32005, a node behind
+ * with "header not found") and moves on to the next provider. After every
+ * provider has failed the round is retried with backoff, up to RPC_RETRIES
+ * times, unless each of them refused for good (HTTP 4xx other than 429).
+ *
+ * ## Caching:
+ * Non-empty results are cached per method for CACHE_TTL_MS. TTLs are short
+ * on purpose: a receipt can disappear in a reorg, so nothing but the chain
+ * ID is cached for long.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getChainClient, setChainClient, createMemoryChain } from './_lib/chain.js';
+ *
+ * const receipt = await getChainClient().getTransactionReceipt(txHash);
+ *
+ * // Offline
+ * const chain = createMemoryChain();
+ * setChainClient(chain);
+ * const txHash = chain.transferErc20({ token: USDC, from: buyer, to: platform, amount: 1_050_000n });
+ * chain.mine(3);
+ * ```
+ *
+ * @module chain
+ */
+
+import { Interface, id, zeroPadValue, toBeHex, getAddress } from 'ethers';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Supported networks
+ * @constant {object}
+ */
+export const NETWORKS = {
+  'base-mainnet': {
+    name: 'base-mainnet',
+    chainId: 8453,
+    rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+    usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    explorer: 'https://basescan.org'
+  },
+  'base-sepolia': {
+    name: 'base-sepolia',
+    chainId: 84532,
+    rpcUrls: ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com'],
+    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    explorer: 'https://sepolia.basescan.org'
+  }
+};
+
+/**
+ * Network the API runs against
+ * @constant {string}
+ */
+export const NETWORK_ID = process.env.NETWORK_ID === 'base-mainnet' ? 'base-mainnet' : 'base-sepolia';
+
+/**
+ * Per-request timeout for one provider
+ * @constant {number}
+ */
+const RPC_TIMEOUT_MS = 8000;
+
+/**
+ * Extra rounds over all providers after the first fails
+ * @constant {number}
+ */
+const RPC_RETRIES = 2;
+
+/**
+ * Delay before retry round n is (RETRY_BASE_MS * 2^n)
+ * @constant {number}
+ */
+const RETRY_BASE_MS = 250;
+
+/**
+ * How long a non-empty result is reused, by method (uncached if absent)
+ * @constant {object}
+ */
+const CACHE_TTL_MS = {
+  eth_chainId: Infinity,
+  eth_blockNumber: 1000,
+  eth_getBlockByNumber: 1000,
+  eth_getTransactionReceipt: 3000,
+  eth_getBalance: 5000,
+  eth_call: 2000
+};
+
+/**
+ * Most entries kept in the response cache
+ * @constant {number}
+ */
+const CACHE_MAX_ENTRIES = 500;
+
+/**
+ * ERC-20 / ERC-721 Transfer(address,address,uint256) topic
+ * @constant {string}
+ */
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const tokenInterface = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)'
+]);
+
+/**
+ * Config of a network, with CHAIN_RPC_URLS applied to the active one
+ *
+ * @param {string} [network=NETWORK_ID]
+ * @returns {{ name: string, chainId: number, rpcUrls: string[], usdc: string, explorer: string }}
+ */
+export function getNetworkConfig(network = NETWORK_ID) {
+  const config = NETWORKS[network];
+  if (!config) {
+    throw new Error(`Unknown network: ${network}`);
+  }
+
+  const override = network === NETWORK_ID && process.env.CHAIN_RPC_URLS
+    ? process.env.CHAIN_RPC_URLS.split(',').map(u => u.trim()).filter(Boolean)
+    : [];
+
+  return { ...config, rpcUrls: override.length > 0 ? override : config.rpcUrls };
+}
+
+// ==================== SHARED HELPERS ====================
+
+function chainError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Typed helpers over a raw `request(method, params)`
+ *
+ * Both the RPC client and the memory chain are built from this, so code
+ * under test takes the same parsing paths as production.
+ *
+ * @param {object} base - { network, request }
+ * @returns {ChainClient}
+ */
+function withHelpers(base) {
+  const client = {
+    ...base,
+
+    /**
+     * @param {string} txHash
+     * @returns {Promise<object|null>} Raw receipt, null if unknown (or reorged out)
+     */
+    getTransactionReceipt(txHash) {
+      return base.request('eth_getTransactionReceipt', [txHash]);
+    },
+
+    /** @returns {Promise<number>} */
+    async getBlockNumber() {
+      return parseInt(await base.request('eth_blockNumber', []), 16);
+    },
+
+    /**
+     * @param {number|'latest'|'finalized'} tag
+     * @returns {Promise<object|null>}
+     */
+    getBlock(tag) {
+      const param = typeof tag === 'number' ? toBeHex(tag) : tag;
+      return base.request('eth_getBlockByNumber', [param, false]);
+    },
+
+    /** @returns {Promise<number|null>} */
+    async getFinalizedBlockNumber() {
+      const block = await client.getBlock('finalized');
+      return block ? parseInt(block.number, 16) : null;
+    },
+
+    /**
+     * eth_call at the latest block
+     * @param {{ to: string, data: string }} tx
+     * @returns {Promise<string>} Return data
+     */
+    call(tx) {
+      return base.request('eth_call', [tx, 'latest']);
+    },
+
+    /**
+     * @param {string} address
+     * @returns {Promise<bigint>} Native balance in wei
+     */
+    async getBalance(address) {
+      return BigInt(await base.request('eth_getBalance', [address, 'latest']));
+    },
+
+    /**
+     * @param {string} token - ERC-20 contract
+     * @param {string} owner
+     * @returns {Promise<bigint>} Atomic units
+     */
+    async getErc20Balance(token, owner) {
+      const data = await client.call({ to: token, data: tokenInterface.encodeFunctionData('balanceOf', [owner]) });
+      return tokenInterface.decodeFunctionResult('balanceOf', data)[0];
+    },
+
+    /**
+     * Event logs of a contract in a block range
+     * @param {object} filter
+     * @param {string} filter.address - Contract
+     * @param {Array<string|string[]|null>} [filter.topics] - null matches any, an array any of
+     * @param {number} filter.fromBlock
+     * @param {number} filter.toBlock
+     * @returns {Promise<Array<object>>} Raw logs, in chain order
+     */
+    async getLogs({ address, topics = [], fromBlock, toBlock }) {
+      return await base.request('eth_getLogs', [{
+        address,
+        topics,
+        fromBlock: toBeHex(fromBlock),
+        toBlock: toBeHex(toBlock)
+      }]) || [];
+    }
+  };
+  return client;
+}
+
+/**
+ * Transfer logs of one token contract in a receipt, decoded
+ *
+ * @param {object} receipt - Raw receipt
+ * @param {string} contract - Token contract
+ * @returns {Array<{ from: string, to: string, value: bigint|null, tokenId: number|null }>} Addresses
+ *   lowercased; ERC-721 logs (indexed third topic) carry tokenId instead of value
+ */
+export function decodeTransferLogs(receipt, contract) {
+  const address = contract.toLowerCase();
+  return (receipt?.logs || [])
+    .filter(log => log.topics?.[0] === TRANSFER_TOPIC && log.address?.toLowerCase() === address)
+    .map(log => ({
+      from: '0x' + log.topics[1].slice(26).toLowerCase(),
+      to: '0x' + log.topics[2].slice(26).toLowerCase(),
+      value: log.topics[3] ? null : BigInt(log.data),
+      tokenId: log.topics[3] ? parseInt(log.topics[3], 16) : null
+    }));
+}
+
+// ==================== RPC CLIENT ====================
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// The same call fails the same way on every provider
+function isDeterministicRpcError(error) {
+  if (error.code === 3 || error.code === -32602) return true;
+  return /execution reverted|invalid (argument|params)/i.test(error.message || '');
+}
+
+/**
+ * JSON-RPC client with provider failover, retry and caching
+ *
+ * @param {object} [options]
+ * @param {string} [options.network=NETWORK_ID]
+ * @param {string[]} [options.urls] - Providers in priority order (defaults to the network's)
+ * @param {number} [options.retries=RPC_RETRIES]
+ * @param {number} [options.timeoutMs=RPC_TIMEOUT_MS]
+ * @returns {ChainClient}
+ */
+export function createRpcClient({ network = NETWORK_ID, urls, retries = RPC_RETRIES, timeoutMs = RPC_TIMEOUT_MS } = {}) {
+  const providers = urls || getNetworkConfig(network).rpcUrls;
+  const cache = new Map();
+  // Start with the provider that answered last, so one outage doesn't cost every call a timeout
+  let preferred = 0;
+  let nextId = 1;
+
+  async function send(url, method, params) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!res.ok) {
+      throw chainError(`HTTP ${res.status} from ${new URL(url).host}`, 'CHAIN_UNAVAILABLE', { retryable: isRetryableStatus(res.status) });
+    }
+
+    const data = await res.json();
+    if (data.error) {
+      throw chainError(data.error.message || `${method} failed`, 'CHAIN_RPC_ERROR', {
+        rpcCode: data.error.code,
+        data: data.error.data,
+        deterministic: isDeterministicRpcError(data.error)
+      });
+    }
+    return data.result;
+  }
+
+  async function request(method, params = []) {
+    const ttl = CACHE_TTL_MS[method];
+    const key = ttl ? `${method}:${JSON.stringify(params)}` : null;
+    if (key) {
+      const hit = cache.get(key);
+      if (hit && hit.expires > Date.now()) return hit.value;
+    }
+
+    let lastError;
+    for (let round = 0; round <= retries; round++) {
+      if (round > 0) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (round - 1)));
+      }
+
+      let retryable = false;
+      for (let i = 0; i < providers.length; i++) {
+        const index = (preferred + i) % providers.length;
+        try {
+          const result = await send(providers[index], method, params);
+          preferred = index;
+
+          if (key && result !== null && result !== undefined) {
+            if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+            cache.set(key, { value: result, expires: Date.now() + ttl });
+          }
+          return result;
+        } catch (err) {
+          if (err.deterministic) throw err;
+          lastError = err;
+          retryable = retryable || err.retryable !== false;
+          console.warn(`RPC ${method} failed on ${new URL(providers[index]).host}: ${err.message}`);
+        }
+      }
+
+      // Every provider refused for good (e.g. 401/404): waiting won't help
+      if (!retryable) break;
+    }
+
+    throw chainError(`All RPC providers failed for ${method}: ${lastError?.message}`, 'CHAIN_UNAVAILABLE');
+  }
+
+  return withHelpers({
+    network,
+    request,
+    /** Drop cached responses */
+    clearCache() {
+      cache.clear();
+    }
+  });
+}
+
+// ==================== MEMORY CHAIN ====================
+
+function topicFor(address) {
+  return zeroPadValue(address.toLowerCase(), 32);
+}
+
+function hex(n) {
+  return toBeHex(n);
+}
+
+/**
+ * Deterministic in-memory chain
+ *
+ * Answers the JSON-RPC methods the API uses (receipts, blocks, eth_call
+ * balanceOf / ownerOf / getApproved / isApprovedForAll, eth_getBalance,
+ * eth_getLogs)
+ * from fabricated state. Transaction hashes derive from a counter, so the
+ * same script always produces the same hashes.
+ *
+ * @param {object} [options]
+ * @param {string} [options.network=NETWORK_ID]
+ * @param {number} [options.blockNumber=1000] - Starting head
+ * @returns {MemoryChain}
+ */
+export function createMemoryChain({ network = NETWORK_ID, blockNumber = 1000 } = {}) {
+  const config = getNetworkConfig(network);
+  const state = {
+    head: blockNumber,
+    finalized: blockNumber,
+    txCount: 0,
+    receipts: new Map(),
+    balances: new Map(),
+    erc20: new Map(),
+    nfts: new Map(),
+    operators: new Set(),
+    calls: new Map()
+  };
+
+  const key = address => address.toLowerCase();
+
+  function tokenBalances(token) {
+    if (!state.erc20.has(key(token))) state.erc20.set(key(token), new Map());
+    return state.erc20.get(key(token));
+  }
+
+  function nftTokens(contract) {
+    if (!state.nfts.has(key(contract))) state.nfts.set(key(contract), new Map());
+    return state.nfts.get(key(contract));
+  }
+
+  function blockHash(number) {
+    return id(`memory-block:${config.chainId}:${number}`);
+  }
+
+  /**
+   * Fabricate a transaction receipt mined in the next block
+   *
+   * @param {object} tx
+   * @param {string} tx.from
+   * @param {string} tx.to
+   * @param {Array<object>} [tx.logs] - { address, topics, data }
+   * @param {boolean} [tx.success=true]
+   * @returns {string} Transaction hash
+   */
+  function addTransaction({ from, to, logs = [], success = true }) {
+    const txHash = id(`memory-tx:${config.chainId}:${++state.txCount}`);
+    const number = ++state.head;
+
+    state.receipts.set(txHash, {
+      transactionHash: txHash,
+      transactionIndex: '0x0',
+      blockNumber: hex(number),
+      blockHash: blockHash(number),
+      from: key(from),
+      to: key(to),
+      status: success ? '0x1' : '0x0',
+      gasUsed: hex(success ? 65000 : 30000),
+      logs: success ? logs.map((log, i) => ({
+        ...log,
+        address: key(log.address),
+        logIndex: hex(i),
+        blockNumber: hex(number),
+        blockHash: blockHash(number),
+        transactionHash: txHash,
+        removed: false
+      })) : []
+    });
+
+    return txHash;
+  }
+
+  function nftOwner(contract, tokenId) {
+    return nftTokens(contract).get(String(tokenId)) || null;
+  }
+
+  function handleCall({ to, data }) {
+    const custom = state.calls.get(key(to));
+    if (custom) {
+      const result = custom(data);
+      if (result !== undefined) return result;
+    }
+
+    let parsed;
+    try {
+      parsed = tokenInterface.parseTransaction({ data });
+    } catch {
+      parsed = null;
+    }
+    const revert = () => { throw chainError('execution reverted', 'CHAIN_RPC_ERROR', { rpcCode: 3 }); };
+    if (!parsed) revert();
+
+    const encode = value => tokenInterface.encodeFunctionResult(parsed.name, [value]);
+    switch (parsed.name) {
+      case 'balanceOf':
+        return encode(tokenBalances(to).get(key(parsed.args[0])) || 0n);
+      case 'ownerOf': {
+        const token = nftOwner(to, parsed.args[0]);
+        return token ? encode(token.owner) : revert();
+      }
+      case 'getApproved': {
+        const token = nftOwner(to, parsed.args[0]);
+        return token ? encode(token.approved || '0x0000000000000000000000000000000000000000') : revert();
+      }
+      case 'isApprovedForAll':
+        return encode(state.operators.has(`${key(to)}:${key(parsed.args[0])}:${key(parsed.args[1])}`));
+      default:
+        return revert();
+    }
+  }
+
+  function matchesTopics(log, topics) {
+    return topics.every((topic, i) => {
+      if (topic === null || topic === undefined) return true;
+      const wanted = Array.isArray(topic) ? topic : [topic];
+      return wanted.some(t => t.toLowerCase() === log.topics[i]?.toLowerCase());
+    });
+  }
+
+  function getLogs({ address, topics = [], fromBlock, toBlock }) {
+    const from = parseInt(fromBlock, 16);
+    const to = toBlock === 'latest' ? state.head : parseInt(toBlock, 16);
+    const logs = [];
+    for (const receipt of state.receipts.values()) {
+      const number = parseInt(receipt.blockNumber, 16);
+      if (number < from || number > to) continue;
+      for (const log of receipt.logs) {
+        if (address && log.address !== key(address)) continue;
+        if (matchesTopics(log, topics)) logs.push(log);
+      }
+    }
+    return logs;
+  }
+
+  async function request(method, params = []) {
+    switch (method) {
+      case 'eth_chainId':
+        return hex(config.chainId);
+      case 'eth_blockNumber':
+        return hex(state.head);
+      case 'eth_getBlockByNumber': {
+        const [tag] = params;
+        const number = tag === 'latest' ? state.head
+          : tag === 'finalized' || tag === 'safe' ? state.finalized
+          : parseInt(tag, 16);
+        if (number > state.head) return null;
+        return { number: hex(number), hash: blockHash(number), timestamp: hex(1700000000 + number * 2) };
+      }
+      case 'eth_getTransactionReceipt':
+        return state.receipts.get(params[0]?.toLowerCase()) || null;
+      case 'eth_getBalance':
+        return hex(state.balances.get(key(params[0])) || 0n);
+      case 'eth_call':
+        return handleCall(params[0]);
+      case 'eth_getLogs':
+        return getLogs(params[0]);
+      default:
+        throw chainError(`Method ${method} not supported by the memory chain`, 'CHAIN_RPC_ERROR', { rpcCode: -32601 });
+    }
+  }
+
+  return withHelpers({
+    network,
+    request,
+    addTransaction,
+
+    /**
+     * Fabricate an ERC-20 transfer (moves the fabricated balance too)
+     *
+     * @param {object} params
+     * @param {string} params.token - Contract (defaults to the network's USDC)
+     * @param {string} params.from
+     * @param {string} params.to
+     * @param {bigint|number|string} params.amount - Atomic units
+     * @param {boolean} [params.success=true] - false fabricates a reverted tx
+     * @returns {string} Transaction hash
+     */
+    transferErc20({ token = config.usdc, from, to, amount, success = true }) {
+      const value = BigInt(amount);
+      if (success) {
+        const balances = tokenBalances(token);
+        balances.set(key(from), (balances.get(key(from)) || 0n) - value);
+        balances.set(key(to), (balances.get(key(to)) || 0n) + value);
+      }
+      return addTransaction({
+        from,
+        to: token,
+        success,
+        logs: [{ address: token, topics: [TRANSFER_TOPIC, topicFor(from), topicFor(to)], data: zeroPadValue(toBeHex(value), 32) }]
+      });
+    },
+
+    /**
+     * Fabricate an ERC-721 transfer (a mint when `from` is omitted)
+     *
+     * @param {object} params
+     * @param {string} params.contract
+     * @param {string} [params.from] - Current owner (zero address for a mint)
+     * @param {string} params.to
+     * @param {number} params.tokenId
+     * @param {string} [params.sender] - Tx sender (defaults to `from` or `to`)
+     * @returns {string} Transaction hash
+     */
+    transferErc721({ contract, from = '0x0000000000000000000000000000000000000000', to, tokenId, sender }) {
+      nftTokens(contract).set(String(tokenId), { owner: getAddress(key(to)), approved: null });
+      return addTransaction({
+        from: sender || (BigInt(from) === 0n ? to : from),
+        to: contract,
+        logs: [{ address: contract, topics: [TRANSFER_TOPIC, topicFor(from), topicFor(to), zeroPadValue(toBeHex(tokenId), 32)], data: '0x' }]
+      });
+    },
+
+    /**
+     * Approve an operator for all of an owner's tokens in a contract
+     * @param {string} contract
+     * @param {string} owner
+     * @param {string} operator
+     */
+    setApprovalForAll(contract, owner, operator) {
+      state.operators.add(`${key(contract)}:${key(owner)}:${key(operator)}`);
+    },
+
+    /**
+     * @param {string} address
+     * @param {bigint|number|string} wei
+     */
+    setBalance(address, wei) {
+      state.balances.set(key(address), BigInt(wei));
+    },
+
+    /**
+     * @param {string} token
+     * @param {string} owner
+     * @param {bigint|number|string} amount - Atomic units
+     */
+    setErc20Balance(token, owner, amount) {
+      tokenBalances(token).set(key(owner), BigInt(amount));
+    },
+
+    /**
+     * Answer eth_call to a contract; return undefined from the handler to
+     * fall through to the built-in token calls
+     * @param {string} contract
+     * @param {Function} handler - (data) => hex return data
+     */
+    onCall(contract, handler) {
+      state.calls.set(key(contract), handler);
+    },
+
+    /**
+     * Advance the head
+     * @param {number} [count=1]
+     * @returns {number} New head
+     */
+    mine(count = 1) {
+      state.head += count;
+      return state.head;
+    },
+
+    /**
+     * Move the finalized head (defaults to the current head)
+     * @param {number} [number]
+     */
+    finalize(number = state.head) {
+      state.finalized = Math.min(number, state.head);
+    },
+
+    /**
+     * Drop a transaction as a reorg would (its receipt disappears)
+     * @param {string} txHash
+     * @returns {boolean} Whether it existed
+     */
+    reorgOut(txHash) {
+      return state.receipts.delete(txHash.toLowerCase());
+    }
+  });
+}
+
+// ==================== ACTIVE CLIENT ====================
+
+let activeClient = null;
+
+/**
+ * Client every module reads the chain through
+ * @returns {ChainClient}
+ */
+export function getChainClient() {
+  if (!activeClient) {
+    activeClient = createRpcClient();
+  }
+  return activeClient;
+}
+
+/**
+ * Replace the active client (e.g. with createMemoryChain() in tests);
+ * null restores the default RPC client
+ * @param {ChainClient|null} client
+ */
+export function setChainClient(client) {
+  activeClient = client;
+}
+
+/**
+ * @typedef {object} ChainClient
+ * @property {string} network
+ * @property {Function} request - (method, params) => Promise<result>
+ * @property {Function} getTransactionReceipt
+ * @property {Function} getBlockNumber
+ * @property {Function} getBlock
+ * @property {Function} getFinalizedBlockNumber
+ * @property {Function} call
+ * @property {Function} getBalance
+ * @property {Function} getErc20Balance
+ * @property {Function} getLogs
+ */
+
+/**
+ * @typedef {ChainClient} MemoryChain
+ * @property {Function} addTransaction
+ * @property {Function} transferErc20
+ * @property {Function} transferErc721
+ * @property {Function} setApprovalForAll
+ * @property {Function} setBalance
+ * @property {Function} setErc20Balance
+ * @property {Function} onCall
+ * @property {Function} mine
+ * @property {Function} finalize
+ * @property {Function} reorgOut
+ */
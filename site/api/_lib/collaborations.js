@@ -0,0 +1,397 @@
+/**
+ * Collaborative Pieces for Phosphors
+ *
+ * A piece can be submitted by several co-artists who split its revenue.
+ * The submitting artist is the lead (submissions.moltbook); every other
+ * co-artist is invited and confirms or declines through /api/collaborations.
+ *
+ * ## Flow:
+ * 1. /api/submit with `collaborators` → shares validated (must add up to 100)
+ * 2. Lead recorded as confirmed, co-artists as pending (and notified)
+ * 3. Co-artists confirm or decline
+ * 4. Each sale owes the artist payout (primary) or royalty (secondary) per
+ *    share. Shares of co-artists who have not confirmed go to the lead.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getArtistPayoutEntries } from './_lib/collaborations.js';
+ *
+ * const entries = await getArtistPayoutEntries({
+ *   submissionId: submission.id,
+ *   role: 'artist',
+ *   amount: basePrice,
+ *   lead: { wallet: artistWallet, username: submission.moltbook }
+ * });
+ * // [{ role: 'artist', wallet, username, amount, sharePercent }, ...] lead first
+ * ```
+ *
+ * @module collaborations
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { roundUsdc } from './pricing.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Most co-artists on one piece (lead included)
+ * @constant {number}
+ */
+export const MAX_COLLABORATORS = 10;
+
+/**
+ * Collaborator states
+ * @constant {string[]}
+ */
+export const COLLABORATOR_STATUSES = ['pending', 'confirmed', 'declined'];
+
+// ==================== VALIDATION ====================
+
+async function getAgentByUsername(username) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=id,username,wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Validate the co-artists of a submission and resolve their wallets
+ *
+ * The submitting agent must be in the list with their own share; all shares
+ * (up to two decimals) must add up to 100.
+ *
+ * @param {*} value - [{ username, share_percent }]
+ * @param {object} lead - Submitting agent { username, wallet }
+ * @returns {Promise<{ valid: boolean, collaborators?: Array<object>|null, error?: string }>}
+ *   collaborators: [{ username, wallet, sharePercent, isLead }] lead first, or null for a solo piece
+ */
+export async function resolveCollaborators(value, lead) {
+  if (value === undefined || value === null) {
+    return { valid: true, collaborators: null };
+  }
+  if (!Array.isArray(value) || value.length < 2) {
+    return { valid: false, error: 'collaborators must list at least two co-artists (including you)' };
+  }
+  if (value.length > MAX_COLLABORATORS) {
+    return { valid: false, error: `A piece can have at most ${MAX_COLLABORATORS} co-artists` };
+  }
+
+  const seen = new Set();
+  const collaborators = [];
+  let totalCents = 0;
+
+  for (const entry of value) {
+    const username = typeof entry?.username === 'string' ? entry.username.trim() : '';
+    if (!username) {
+      return { valid: false, error: 'Each collaborator needs a username' };
+    }
+    if (seen.has(username.toLowerCase())) {
+      return { valid: false, error: `${username} is listed more than once` };
+    }
+    seen.add(username.toLowerCase());
+
+    const raw = entry.share_percent ?? entry.share;
+    const share = typeof raw === 'string' ? Number(raw.trim()) : raw;
+    if (typeof share !== 'number' || !Number.isFinite(share) || share <= 0 || share > 100) {
+      return { valid: false, error: `Share for ${username} must be a percent between 0 and 100` };
+    }
+    const cents = Math.round(share * 100);
+    if (Math.abs(cents - share * 100) > 1e-6) {
+      return { valid: false, error: `Share for ${username} can have at most two decimals` };
+    }
+    totalCents += cents;
+
+    collaborators.push({ username, sharePercent: cents / 100 });
+  }
+
+  if (totalCents !== 10000) {
+    return { valid: false, error: `Collaborator shares must add up to 100 (got ${totalCents / 100})` };
+  }
+
+  const leadEntry = collaborators.find(c => c.username.toLowerCase() === lead.username.toLowerCase());
+  if (!leadEntry) {
+    return { valid: false, error: 'Include yourself in collaborators with your own share' };
+  }
+
+  const wallets = new Set();
+  for (const collaborator of collaborators) {
+    if (collaborator === leadEntry) {
+      collaborator.username = lead.username;
+      collaborator.wallet = lead.wallet.toLowerCase();
+      collaborator.isLead = true;
+    } else {
+      const agent = await getAgentByUsername(collaborator.username);
+      if (!agent) {
+        return { valid: false, error: `Unknown artist: ${collaborator.username}` };
+      }
+      if (!agent.wallet) {
+        return { valid: false, error: `${agent.username} has no wallet on file` };
+      }
+      collaborator.username = agent.username;
+      collaborator.wallet = agent.wallet.toLowerCase();
+      collaborator.isLead = false;
+    }
+
+    if (wallets.has(collaborator.wallet)) {
+      return { valid: false, error: `${collaborator.username} shares a wallet with another co-artist` };
+    }
+    wallets.add(collaborator.wallet);
+  }
+
+  collaborators.sort((a, b) => Number(b.isLead) - Number(a.isLead));
+  return { valid: true, collaborators };
+}
+
+// ==================== RECORDS ====================
+
+/**
+ * Public shape of a collaborator row
+ *
+ * @param {object} row - submission_collaborators row
+ * @returns {object}
+ */
+export function formatCollaborator(row) {
+  return {
+    username: row.username,
+    wallet: row.wallet,
+    sharePercent: parseFloat(row.share_percent),
+    isLead: row.is_lead,
+    status: row.status,
+    respondedAt: row.responded_at || null
+  };
+}
+
+/**
+ * Record a new piece's co-artists and invite everyone but the lead
+ *
+ * @param {object} submission - { id, title }
+ * @param {Array<object>} collaborators - From resolveCollaborators()
+ * @returns {Promise<{ success: boolean, collaborators?: Array<object>, error?: string }>}
+ */
+export async function recordCollaborators(submission, collaborators) {
+  const now = new Date().toISOString();
+  const rows = collaborators.map(c => ({
+    submission_id: submission.id,
+    username: c.username,
+    wallet: c.wallet,
+    share_percent: c.sharePercent,
+    is_lead: c.isLead,
+    status: c.isLead ? 'confirmed' : 'pending',
+    responded_at: c.isLead ? now : null
+  }));
+
+  try {
+    const res = await supabaseRequest('/rest/v1/submission_collaborators', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(rows)
+    });
+
+    if (!res.ok) {
+      const error = await res.text();
+      console.error('Collaborator insert failed:', error);
+      return { success: false, error: 'Failed to record collaborators' };
+    }
+
+    const recorded = await res.json();
+    const lead = collaborators.find(c => c.isLead);
+
+    for (const row of recorded.filter(r => !r.is_lead)) {
+      await notifyAgent({
+        wallet: row.wallet,
+        type: 'collaboration_invite',
+        title: 'Collaboration invite 🤝',
+        message: `${lead.username} listed you as a co-artist of "${submission.title}" with a ${parseFloat(row.share_percent)}% share`,
+        data: { submission_id: submission.id, share_percent: parseFloat(row.share_percent) }
+      });
+    }
+
+    return { success: true, collaborators: recorded };
+  } catch (err) {
+    console.error('Collaborator insert error:', err.message);
+    return { success: false, error: 'Failed to record collaborators' };
+  }
+}
+
+/**
+ * Co-artists of a piece, lead first
+ *
+ * @param {string} submissionId
+ * @param {object} [options] - { status }
+ * @returns {Promise<Array<object>>} submission_collaborators rows
+ */
+export async function getCollaborators(submissionId, { status } = {}) {
+  if (!submissionId) return [];
+
+  let query = `/rest/v1/submission_collaborators?submission_id=eq.${encodeURIComponent(submissionId)}&select=*&order=is_lead.desc,created_at.asc`;
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return await res.json();
+  } catch (err) {
+    console.error('Get collaborators error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Pieces a wallet is a co-artist of
+ *
+ * @param {string} wallet
+ * @param {object} [options] - { status, limit }
+ * @returns {Promise<Array<object>>} submission_collaborators rows
+ */
+export async function getCollaborationsForWallet(wallet, { status, limit = 200 } = {}) {
+  if (!wallet) return [];
+
+  let query = `/rest/v1/submission_collaborators?wallet=eq.${encodeURIComponent(wallet.toLowerCase())}&select=*&order=created_at.desc&limit=${Math.min(limit, 500)}`;
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return await res.json();
+  } catch (err) {
+    console.error('Get collaborations error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Confirm or decline an invitation
+ *
+ * Only a pending invitation can be answered, so the answer is final.
+ *
+ * @param {string} submissionId
+ * @param {string} wallet - Co-artist wallet
+ * @param {boolean} accept
+ * @returns {Promise<object|null>} Updated row, or null if there was no pending invitation
+ */
+export async function respondToCollaboration(submissionId, wallet, accept) {
+  const now = new Date().toISOString();
+
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/submission_collaborators?submission_id=eq.${encodeURIComponent(submissionId)}&wallet=eq.${encodeURIComponent(wallet.toLowerCase())}&status=eq.pending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({
+          status: accept ? 'confirmed' : 'declined',
+          responded_at: now,
+          updated_at: now
+        })
+      }
+    );
+
+    if (!res.ok) {
+      console.error('Collaboration response failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Collaboration response error:', err.message);
+    return null;
+  }
+}
+
+// ==================== SPLITS ====================
+
+/**
+ * Split an artist payout between a piece's confirmed co-artists
+ *
+ * Each co-artist gets their share rounded to USDC precision; the lead gets
+ * the rest, which includes the shares of anyone who has not confirmed.
+ *
+ * @param {object} params
+ * @param {'artist'|'royalty'} params.role
+ * @param {number} params.amount - Whole artist payout
+ * @param {object} params.lead - { wallet, username }
+ * @param {Array<object>} params.collaborators - Confirmed submission_collaborators rows
+ * @returns {Array<{ role: string, wallet: string|null, username: string, amount: number, sharePercent: number }>}
+ *   Lead first
+ */
+export function splitArtistPayout({ role, amount, lead, collaborators }) {
+  const coArtists = (collaborators || []).filter(c =>
+    !c.is_lead && c.status === 'confirmed' && c.wallet !== lead.wallet?.toLowerCase()
+  );
+
+  const entries = coArtists.map(c => ({
+    role,
+    wallet: c.wallet,
+    username: c.username,
+    amount: roundUsdc(amount * parseFloat(c.share_percent) / 100),
+    sharePercent: parseFloat(c.share_percent)
+  }));
+
+  const coArtistTotal = entries.reduce((sum, e) => sum + e.amount, 0);
+  const coArtistShare = entries.reduce((sum, e) => sum + e.sharePercent, 0);
+
+  return [
+    {
+      role,
+      wallet: lead.wallet,
+      username: lead.username,
+      amount: roundUsdc(amount - coArtistTotal),
+      sharePercent: Math.round((100 - coArtistShare) * 100) / 100
+    },
+    ...entries
+  ];
+}
+
+/**
+ * Payout ledger entries for a piece's artist side of a sale
+ *
+ * A solo piece (or one whose co-artists haven't confirmed) yields a single
+ * entry for the lead.
+ *
+ * @param {object} params
+ * @param {string} params.submissionId
+ * @param {'artist'|'royalty'} params.role
+ * @param {number} params.amount - Whole artist payout
+ * @param {object} params.lead - { wallet, username }
+ * @returns {Promise<Array<object>>} Entries for queueSalePayouts(), lead first
+ */
+export async function getArtistPayoutEntries({ submissionId, role, amount, lead }) {
+  const collaborators = await getCollaborators(submissionId, { status: 'confirmed' });
+  return splitArtistPayout({ role, amount, lead, collaborators });
+}
+
+/**
+ * Per co-artist view of a collaborative sale's payouts
+ *
+ * @param {Array<object>} payouts - Ledger rows from queueSalePayouts().entries
+ * @param {Array<object>} entries - Entries that were queued (from getArtistPayoutEntries)
+ * @returns {Array<object>|null} null unless the artist side was split
+ */
+export function formatPayoutSplits(payouts, entries) {
+  const splits = (entries || []).filter(e => e.sharePercent !== undefined);
+  if (splits.length < 2) return null;
+
+  return splits.map(entry => {
+    const payout = (payouts || []).find(p =>
+      p.role === entry.role && p.recipient_wallet === (entry.wallet?.toLowerCase() || null)
+    );
+    return {
+      username: entry.username,
+      wallet: entry.wallet,
+      sharePercent: entry.sharePercent,
+      amount: entry.amount,
+      status: payout?.status || null,
+      txHash: payout?.tx_hash || null
+    };
+  });
+}
@@ -0,0 +1,358 @@
+/**
+ * Payment Confirmations and Reorg Reconciliation for Phosphors
+ *
+ * A broadcast USDC payment is accepted once its receipt exists, but a block
+ * can still be reorganized away until the chain finalizes it. Payments need
+ * a confirmation depth that grows with the amount (CONFIRMATION_TIERS in
+ * payment-verify.js); large ones wait for finality.
+ *
+ * ## Lifecycle of a purchase:
+ * pending_confirmation → completed → (finalized_at set)
+ * pending_confirmation → reorged             (payment vanished before it counted)
+ * completed            → (reorged_at set)    (payment vanished after the sale; admin follow-up)
+ *
+ * While pending_confirmation the edition is already recorded to the
+ * collector, but payouts and the NFT transfer are held in their ledgers
+ * (no due time) and no receipt is issued.
+ *
+ * ## Reconciliation job (processPaymentConfirmations):
+ * 1. Pending purchases that reached their depth complete: held payouts and
+ *    transfers are released, the receipt is issued, bounties are paid
+ * 2. Completed purchases are re-checked until their block is finalized
+ * 3. A payment whose receipt is gone for longer than REORG_GRACE_MS is
+ *    flagged: unsent payouts and transfers are cancelled, the edition is
+ *    released or disputed, the purchase is marked and audited for an admin
+ * 4. Signed (x402) settlements that were broadcast but not confirmed in
+ *    time are settled from their receipts (facilitator.reconcileSettlements)
+ *
+ * @module confirmations
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { recheckPayment } from './payment-verify.js';
+import { releaseHeldPayouts, cancelUnsentPayouts } from './payouts.js';
+import { releaseHeldTransfers, cancelUnsentTransfers } from './nft-transfers.js';
+import { releaseEdition } from './editions.js';
+import { cancelOpenListings } from './sales.js';
+import { issueReceipt } from './receipts.js';
+import { handleSaleBounties } from './bounties.js';
+import { notifyAgent } from './notifications.js';
+import { auditLog } from './security.js';
+import { reconcileSettlements } from './facilitator.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * How long a payment may be missing before it counts as reorged out
+ * (a reorged tx is usually re-mined within a few blocks)
+ * @constant {number}
+ */
+export const REORG_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * How far back completed purchases are re-checked for finality
+ * @constant {number}
+ */
+export const RECONCILE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Platform wallet (stands in as seller when an artist has no wallet)
+ * @constant {string}
+ */
+const PAY_TO = (process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281').toLowerCase();
+
+/**
+ * Stored on ledger entries cancelled by a reorg
+ * @constant {string}
+ */
+const REORG_REASON = 'Payment transaction was reorganized out of the chain';
+
+// ==================== HELPERS ====================
+
+/**
+ * Parse a stored required_confirmations value
+ * @param {string|number|null} value
+ * @returns {number|'finalized'}
+ */
+export function parseRequiredConfirmations(value) {
+  if (value === 'finalized' || value === null || value === undefined) return 'finalized';
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 'finalized';
+}
+
+async function updatePurchase(purchaseId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/purchases?id=eq.${encodeURIComponent(purchaseId)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(updates)
+    });
+
+    if (!res.ok) {
+      console.error('Purchase confirmation update failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Purchase confirmation update error:', err.message);
+    return null;
+  }
+}
+
+// ==================== TRANSITIONS ====================
+
+/**
+ * Complete a pending_confirmation purchase whose payment is now deep enough
+ *
+ * @param {object} purchase - purchases row
+ * @param {object} check - From recheckPayment
+ * @returns {Promise<object|null>} Completed row, or null if another worker got there first
+ */
+export async function completeConfirmedPurchase(purchase, check) {
+  const completed = await updatePurchase(purchase.id, '&status=eq.pending_confirmation', {
+    status: 'completed',
+    block_number: check.blockNumber,
+    block_hash: check.blockHash,
+    confirmations: check.confirmations,
+    confirmed_at: new Date().toISOString()
+  });
+  if (!completed) return null;
+
+  const cartLine = purchase.cart_line || 0;
+  await releaseHeldPayouts(purchase.tx_hash, cartLine);
+  await releaseHeldTransfers(purchase.tx_hash, cartLine);
+  await issueReceipt(completed);
+
+  // Bounties were held back with the payouts
+  try {
+    const seller = purchase.seller_wallet?.toLowerCase();
+    if (seller && seller !== PAY_TO) {
+      await handleSaleBounties(
+        seller,
+        purchase.gift_from_wallet || purchase.buyer_wallet,
+        purchase.submission_id,
+        { saleType: purchase.sale_type }
+      );
+    }
+  } catch (err) {
+    console.error('Bounty processing error (non-critical):', err.message);
+  }
+
+  await notifyAgent({
+    wallet: purchase.gift_from_wallet || purchase.buyer_wallet,
+    type: 'purchase_confirmed',
+    title: 'Payment confirmed ✅',
+    message: `Your payment for "${purchase.piece_title}" is confirmed. The piece is on its way.`,
+    data: { purchase_id: purchase.id, piece_id: purchase.submission_id, tx_hash: purchase.tx_hash }
+  });
+
+  return completed;
+}
+
+async function updateOwnership(ownershipId, filter, updates) {
+  const res = await supabaseRequest(`/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(ownershipId)}${filter}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify(updates)
+  });
+  if (!res.ok) return null;
+  const [row] = await res.json();
+  return row || null;
+}
+
+/**
+ * Take back the edition of a reorged purchase
+ *
+ * Its open listings are cancelled. A primary edition whose token never
+ * moved is released, so its number can be sold again; any other (a resale,
+ * or a token already delivered) is marked disputed for an admin.
+ *
+ * @param {object} purchase - purchases row
+ * @returns {Promise<'released'|'disputed'|null>} null if there was no edition to take back
+ */
+async function reclaimEdition(purchase) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/piece_ownerships?purchase_id=eq.${encodeURIComponent(purchase.id)}&status=eq.owned&select=*`
+    );
+    const [ownership] = res.ok ? await res.json() : [];
+    if (!ownership) return null;
+
+    await cancelOpenListings(ownership.id);
+
+    const deliveredRes = await supabaseRequest(
+      `/rest/v1/nft_transfers?sale_tx_hash=eq.${encodeURIComponent(purchase.tx_hash.toLowerCase())}` +
+      `&cart_line=eq.${purchase.cart_line || 0}&status=in.(sent,confirmed)&select=id&limit=1`
+    );
+    const delivered = deliveredRes.ok ? (await deliveredRes.json()).length > 0 : true;
+
+    const owned = `&purchase_id=eq.${encodeURIComponent(purchase.id)}&status=eq.owned`;
+    if (purchase.sale_type !== 'secondary' && !delivered) {
+      // release_edition only frees a pending claim
+      if (await updateOwnership(ownership.id, owned, { status: 'pending' })) {
+        await releaseEdition(ownership.id);
+        return 'released';
+      }
+      return null;
+    }
+
+    return await updateOwnership(ownership.id, owned, { status: 'disputed' }) ? 'disputed' : null;
+  } catch (err) {
+    console.error('Reorged edition error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Flag a purchase whose payment transaction is gone
+ *
+ * Nothing unsent goes out for it any more, and its edition is taken back
+ * (reclaimEdition). A purchase that never completed becomes reorged; a
+ * completed one keeps its status and gets reorged_at so an admin can
+ * recover what was already paid out or delivered.
+ *
+ * @param {object} purchase - purchases row
+ * @param {string} chainStatus - 'missing' or 'failed'
+ * @returns {Promise<object|null>} Flagged row
+ */
+export async function flagReorgedPurchase(purchase, chainStatus) {
+  const wasPending = purchase.status === 'pending_confirmation';
+  const flagged = await updatePurchase(purchase.id, `&status=eq.${purchase.status}&reorged_at=is.null`, {
+    ...(wasPending ? { status: 'reorged' } : {}),
+    reorged_at: new Date().toISOString()
+  });
+  if (!flagged) return null;
+
+  const cartLine = purchase.cart_line || 0;
+  const payouts = await cancelUnsentPayouts(purchase.tx_hash, cartLine, REORG_REASON);
+  const transfers = await cancelUnsentTransfers(purchase.tx_hash, cartLine, REORG_REASON);
+  const edition = await reclaimEdition(purchase);
+
+  await auditLog('PAYMENT_REORGED', {
+    purchaseId: purchase.id,
+    txHash: purchase.tx_hash,
+    cartLine,
+    chainStatus,
+    previousStatus: purchase.status,
+    buyer: purchase.buyer_wallet,
+    amount: purchase.amount_usdc,
+    cancelledPayouts: payouts.length,
+    cancelledTransfers: transfers.length,
+    edition
+  });
+
+  return flagged;
+}
+
+// ==================== RECONCILIATION ====================
+
+/**
+ * Re-check one purchase's payment and move it along
+ *
+ * @param {object} purchase - purchases row (pending_confirmation or completed)
+ * @param {Map<string, object>} [checks] - Per-run cache (cart lines share a tx)
+ * @returns {Promise<'completed'|'finalized'|'waiting'|'reorged'|'missing'|'error'>}
+ */
+export async function reconcilePurchase(purchase, checks = new Map()) {
+  const pending = purchase.status === 'pending_confirmation';
+  const required = pending ? parseRequiredConfirmations(purchase.required_confirmations) : 'finalized';
+  const key = `${purchase.tx_hash.toLowerCase()}:${required}`;
+
+  let check = checks.get(key);
+  if (!check) {
+    try {
+      check = await recheckPayment(purchase.tx_hash, required);
+    } catch (err) {
+      console.error('Payment recheck error:', err.message);
+      return 'error';
+    }
+    checks.set(key, check);
+  }
+
+  if (check.status === 'missing' || check.status === 'failed') {
+    const seenAt = new Date(purchase.confirmed_at || purchase.created_at).getTime();
+    if (Date.now() - seenAt < REORG_GRACE_MS) {
+      return 'missing';
+    }
+    return await flagReorgedPurchase(purchase, check.status) ? 'reorged' : 'error';
+  }
+
+  if (check.status === 'pending') {
+    await updatePurchase(purchase.id, '', {
+      block_number: check.blockNumber,
+      block_hash: check.blockHash,
+      confirmations: check.confirmations
+    });
+    return 'waiting';
+  }
+
+  if (pending) {
+    return await completeConfirmedPurchase(purchase, check) ? 'completed' : 'error';
+  }
+
+  await updatePurchase(purchase.id, '&finalized_at=is.null', {
+    block_number: check.blockNumber,
+    block_hash: check.blockHash,
+    confirmations: check.confirmations,
+    finalized_at: new Date().toISOString()
+  });
+  return 'finalized';
+}
+
+/**
+ * Advance pending payments, re-check recent ones for finality and settle
+ * unconfirmed x402 settlements (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ completed: number, finalized: number, waiting: number, reorged: number, missing: number, errors: number, settlements: object }>}
+ */
+export async function processPaymentConfirmations({ limit = 50 } = {}) {
+  const results = { completed: 0, finalized: 0, waiting: 0, reorged: 0, missing: 0, errors: 0 };
+  const since = new Date(Date.now() - RECONCILE_WINDOW_MS).toISOString();
+
+  const res = await supabaseRequest(
+    `/rest/v1/purchases?or=(status.eq.pending_confirmation,and(status.eq.completed,created_at.gte.${since}))` +
+    `&finalized_at=is.null&reorged_at=is.null&select=*&order=created_at.asc&limit=${limit}`
+  );
+
+  const checks = new Map();
+  for (const purchase of res.ok ? await res.json() : []) {
+    const outcome = await reconcilePurchase(purchase, checks);
+    if (outcome === 'error') {
+      results.errors++;
+    } else {
+      results[outcome]++;
+    }
+  }
+
+  results.settlements = await reconcileSettlements({ limit });
+
+  return results;
+}
+
+/**
+ * List purchases waiting on confirmations or flagged by a reorg (admin)
+ *
+ * @param {object} [options]
+ * @param {'pending_confirmation'|'reorged'} [options.state='pending_confirmation']
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<object>>}
+ */
+export async function getConfirmationQueue({ state = 'pending_confirmation', limit = 50 } = {}) {
+  const filter = state === 'reorged'
+    ? 'reorged_at=not.is.null&order=reorged_at.desc'
+    : 'status=eq.pending_confirmation&order=created_at.asc';
+
+  const res = await supabaseRequest(
+    `/rest/v1/purchases?${filter}&select=id,tx_hash,cart_line,status,submission_id,piece_title,buyer_wallet,amount_usdc,block_number,confirmations,required_confirmations,created_at,confirmed_at,reorged_at&limit=${Math.min(limit, 200)}`
+  );
+  return res.ok ? await res.json() : [];
+}
@@ -0,0 +1,182 @@
+/**
+ * Limited Editions for Phosphors
+ *
+ * Each piece has an edition size (1/1, N, or open). Every sale claims the
+ * lowest free edition number atomically (Postgres `claim_edition`) and gets
+ * its own row in piece_ownerships.
+ *
+ * ## Flow:
+ * 1. `getEditionInfo(submission)` - reject sold-out pieces before quoting
+ * 2. `claimEdition(...)` - reserve an edition number (status 'pending')
+ * 3a. Payment settles → `confirmEdition(...)` (status 'owned')
+ * 3b. Payment fails → `releaseEdition(...)` (number becomes free again)
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getEditionInfo, claimEdition, formatEdition } from './_lib/editions.js';
+ *
+ * const edition = getEditionInfo(submission);
+ * if (edition.soldOut) return sendError(res, 'SOLD_OUT');
+ *
+ * const claim = await claimEdition({ submissionId, wallet, username });
+ * formatEdition(claim.ownership.edition_number, edition.size); // "#3/10"
+ * ```
+ *
+ * @module editions
+ */
+
+import { supabaseRequest } from './supabase.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Largest edition an artist can create
+ * @constant {number}
+ */
+export const MAX_EDITION_SIZE = 10000;
+
+// ==================== HELPERS ====================
+
+/**
+ * Validate an artist-supplied edition size
+ *
+ * @param {*} value - Positive integer, or 'open' / null for an open edition
+ * @returns {{ valid: boolean, size?: number|null, error?: string }}
+ */
+export function validateEditionSize(value) {
+  if (value === undefined || value === null || value === 'open') {
+    return { valid: true, size: null };
+  }
+
+  const size = typeof value === 'string' ? Number(value.trim()) : value;
+
+  if (!Number.isInteger(size) || size < 1 || size > MAX_EDITION_SIZE) {
+    return {
+      valid: false,
+      error: `edition_size must be 'open' or an integer between 1 and ${MAX_EDITION_SIZE}`
+    };
+  }
+
+  return { valid: true, size };
+}
+
+/**
+ * Edition state of a submission row
+ *
+ * @param {object|null} submission - Row with edition_size, editions_sold
+ * @returns {{ size: number|null, sold: number, remaining: number|null, soldOut: boolean, label: string }}
+ */
+export function getEditionInfo(submission) {
+  const size = submission?.edition_size ? parseInt(submission.edition_size, 10) : null;
+  const sold = parseInt(submission?.editions_sold || 0, 10);
+  const remaining = size === null ? null : Math.max(size - sold, 0);
+
+  return {
+    size,
+    sold,
+    remaining,
+    soldOut: size !== null && sold >= size,
+    label: size === null ? 'Open edition' : size === 1 ? '1/1' : `Edition of ${size}`
+  };
+}
+
+/**
+ * Format an edition number for display
+ *
+ * @param {number|null} number - Edition number
+ * @param {number|null} size - Edition size (null = open)
+ * @returns {string|null} "#3/10", "1/1", "#3" or null
+ */
+export function formatEdition(number, size) {
+  if (!number) return null;
+  if (size === 1) return '1/1';
+  return size ? `#${number}/${size}` : `#${number}`;
+}
+
+// ==================== DATABASE ====================
+
+/**
+ * Atomically claim the next free edition of a piece
+ *
+ * @param {object} params
+ * @param {string} params.submissionId
+ * @param {string} params.wallet - New owner wallet
+ * @param {string} [params.username] - New owner username
+ * @returns {Promise<{ success: boolean, ownership?: object, soldOut?: boolean, error?: string }>}
+ */
+export async function claimEdition({ submissionId, wallet, username }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/rpc/claim_edition', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        p_submission_id: submissionId,
+        p_owner_wallet: wallet,
+        p_owner_username: username || null
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Edition claim failed:', await res.text());
+      return { success: false, error: 'Failed to claim edition' };
+    }
+
+    const rows = await res.json();
+    if (!rows || rows.length === 0) {
+      return { success: false, soldOut: true, error: 'This piece is sold out' };
+    }
+
+    return { success: true, ownership: rows[0] };
+  } catch (err) {
+    console.error('Edition claim error:', err.message);
+    return { success: false, error: 'Failed to claim edition' };
+  }
+}
+
+/**
+ * Mark a claimed edition as owned once the purchase is recorded
+ *
+ * @param {string} ownershipId
+ * @param {object} data - { purchaseId, txHash, username }
+ */
+export async function confirmEdition(ownershipId, { purchaseId, txHash, username }) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(ownershipId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        status: 'owned',
+        purchase_id: purchaseId || null,
+        tx_hash: txHash || null,
+        ...(username ? { owner_username: username } : {}),
+        acquired_at: new Date().toISOString()
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Edition confirm failed:', await res.text());
+    }
+  } catch (err) {
+    console.error('Edition confirm error:', err.message);
+  }
+}
+
+/**
+ * Release a pending edition claim (payment failed)
+ *
+ * @param {string} ownershipId
+ */
+export async function releaseEdition(ownershipId) {
+  try {
+    await supabaseRequest('/rest/v1/rpc/release_edition', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ p_ownership_id: ownershipId })
+    });
+  } catch (err) {
+    console.error('Edition release error:', err.message);
+  }
+}
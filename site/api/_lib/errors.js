@@ -18,6 +18,7 @@ export const ERROR_CODES = {
   // Authorization errors (403)
   FORBIDDEN: 'Access denied',
   INSUFFICIENT_PERMISSIONS: 'Insufficient permissions',
+  PATRON_EARLY_ACCESS: 'This piece is available to the artist\'s patrons first',
   
   // Validation errors (400)
   BAD_REQUEST: 'Invalid request',
@@ -26,6 +27,9 @@ export const ERROR_CODES = {
   INVALID_ADDRESS: 'Invalid wallet address',
   INVALID_TX_HASH: 'Invalid transaction hash',
   INVALID_PIECE_ID: 'Invalid piece ID',
+  INVALID_IDEMPOTENCY_KEY: 'Idempotency-Key must be 1-255 characters',
+  QUOTE_INVALID: 'Price quote is not valid',
+  QUOTE_REQUIRED: 'A payment must be sent with its price quote',
   
   // Payment errors (402)
   PAYMENT_REQUIRED: 'Payment required',
@@ -37,6 +41,23 @@ export const ERROR_CODES = {
   AGENT_NOT_FOUND: 'Agent not found',
   PIECE_NOT_FOUND: 'Art piece not found',
   
+  // Conflict (409)
+  OFFER_CLOSED: 'This offer is no longer open',
+  AUCTION_IN_PROGRESS: 'This piece is being sold by auction',
+  AUCTION_CLOSED: 'This auction is not open for bids',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'A request with this Idempotency-Key is still being processed',
+  QUOTE_MISMATCH: 'Price quote was issued for a different purchase',
+  ALREADY_RESPONDED: 'This collaboration invitation has already been answered',
+  PATRONAGE_EXISTS: 'You are already a patron of this artist',
+  
+  // Gone (410)
+  SOLD_OUT: 'All editions of this piece have been sold',
+  LISTING_UNAVAILABLE: 'This listing is no longer available',
+  QUOTE_EXPIRED: 'Price quote has expired',
+  
+  // Unprocessable (422)
+  IDEMPOTENCY_KEY_REUSED: 'This Idempotency-Key was already used for a different request',
+  
   // Rate limiting (429)
   RATE_LIMITED: 'Too many requests',
   
@@ -89,6 +110,9 @@ export function getStatusCode(code) {
     INVALID_ADDRESS: 400,
     INVALID_TX_HASH: 400,
     INVALID_PIECE_ID: 400,
+    INVALID_IDEMPOTENCY_KEY: 400,
+    QUOTE_INVALID: 400,
+    QUOTE_REQUIRED: 400,
     
     // 401 Unauthorized
     AUTH_REQUIRED: 401,
@@ -104,12 +128,30 @@ export function getStatusCode(code) {
     // 403 Forbidden
     FORBIDDEN: 403,
     INSUFFICIENT_PERMISSIONS: 403,
+    PATRON_EARLY_ACCESS: 403,
     
     // 404 Not Found
     NOT_FOUND: 404,
     AGENT_NOT_FOUND: 404,
     PIECE_NOT_FOUND: 404,
     
+    // 409 Conflict
+    OFFER_CLOSED: 409,
+    AUCTION_IN_PROGRESS: 409,
+    AUCTION_CLOSED: 409,
+    IDEMPOTENCY_KEY_IN_PROGRESS: 409,
+    QUOTE_MISMATCH: 409,
+    ALREADY_RESPONDED: 409,
+    PATRONAGE_EXISTS: 409,
+    
+    // 410 Gone
+    SOLD_OUT: 410,
+    LISTING_UNAVAILABLE: 410,
+    QUOTE_EXPIRED: 410,
+    
+    // 422 Unprocessable Entity
+    IDEMPOTENCY_KEY_REUSED: 422,
+    
     // 429 Too Many Requests
     RATE_LIMITED: 429,
     
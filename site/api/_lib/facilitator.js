@@ -0,0 +1,474 @@
+/**
+ * x402 Facilitators for Phosphors
+ *
+ * A facilitator verifies signed x402 payments and settles them on-chain.
+ * Endpoints talk to the `Facilitator` interface only, so the settlement
+ * backend can be swapped without touching purchase logic.
+ *
+ * ## Implementations:
+ * - local: in-process. Verifies the EIP-712 signature, checks the nonce and
+ *   payer balance on-chain, then submits `transferWithAuthorization` from the
+ *   platform minter wallet (platform pays gas).
+ * - http: delegates to a remote facilitator exposing `/verify` and `/settle`
+ *   (e.g. https://x402.org/facilitator).
+ *
+ * A local settlement that was broadcast but not confirmed in time comes back
+ * `unconfirmed` with its hash: the payment may still land, so the caller
+ * keeps what it reserved and records the authorization as
+ * `settled_unconfirmed`; reconcileSettlements settles it from the receipt.
+ *
+ * ## Configuration:
+ * - X402_FACILITATOR: 'local' (default), 'remote', or a facilitator base URL
+ * - X402_FACILITATOR_URL: remote URL used when X402_FACILITATOR=remote
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getFacilitator } from './_lib/facilitator.js';
+ *
+ * const facilitator = getFacilitator();
+ * const check = await facilitator.verify(payment, requirements);
+ * if (check.isValid) {
+ *   const settlement = await facilitator.settle(payment, requirements);
+ * }
+ * ```
+ *
+ * @module facilitator
+ */
+
+import { Interface, Signature } from 'ethers';
+import {
+  verifyExactPayment,
+  claimAuthorization,
+  updateAuthorization,
+  X402_VERSION,
+  X402_NETWORK,
+  USDC_ADDRESS
+} from './x402.js';
+import { getMinterWallet } from './wallet.js';
+import { getChainClient } from './chain.js';
+import { supabaseRequest } from './supabase.js';
+import { auditLog } from './security.js';
+
+/**
+ * @typedef {object} VerifyResult
+ * @property {boolean} isValid
+ * @property {string} [invalidReason]
+ * @property {string} [payer]
+ */
+
+/**
+ * @typedef {object} SettleResult
+ * @property {boolean} success
+ * @property {boolean} [unconfirmed] - Broadcast (transaction set) but not confirmed in time
+ * @property {string} [transaction] - Settlement transaction hash
+ * @property {string} network
+ * @property {string} [payer]
+ * @property {string} [errorReason]
+ */
+
+/**
+ * @typedef {object} Facilitator
+ * @property {string} name
+ * @property {(payment: object, requirements: object) => Promise<VerifyResult>} verify
+ * @property {(payment: object, requirements: object) => Promise<SettleResult>} settle
+ */
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Default public facilitator
+ * @constant {string}
+ */
+const DEFAULT_FACILITATOR_URL = 'https://x402.org/facilitator';
+
+/**
+ * Minimal USDC (FiatTokenV2) ABI for EIP-3009 settlement
+ * @constant {Array}
+ */
+const USDC_ABI = [
+  {
+    "inputs": [
+      {"name": "from", "type": "address"},
+      {"name": "to", "type": "address"},
+      {"name": "value", "type": "uint256"},
+      {"name": "validAfter", "type": "uint256"},
+      {"name": "validBefore", "type": "uint256"},
+      {"name": "nonce", "type": "bytes32"},
+      {"name": "v", "type": "uint8"},
+      {"name": "r", "type": "bytes32"},
+      {"name": "s", "type": "bytes32"}
+    ],
+    "name": "transferWithAuthorization",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"name": "authorizer", "type": "address"},
+      {"name": "nonce", "type": "bytes32"}
+    ],
+    "name": "authorizationState",
+    "outputs": [{"name": "", "type": "bool"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"name": "account", "type": "address"}],
+    "name": "balanceOf",
+    "outputs": [{"name": "", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+const usdcInterface = new Interface(USDC_ABI);
+
+/**
+ * eth_call against the USDC contract
+ */
+async function callUsdc(method, args) {
+  const result = await getChainClient().call({ to: USDC_ADDRESS, data: usdcInterface.encodeFunctionData(method, args) });
+  if (!result) {
+    throw new Error(`eth_call ${method} failed`);
+  }
+
+  return usdcInterface.decodeFunctionResult(method, result)[0];
+}
+
+// ==================== LOCAL FACILITATOR ====================
+
+/**
+ * Create an in-process facilitator that settles from the platform wallet
+ *
+ * @param {object} [options]
+ * @param {Function} [options.readContract] - (method, args) => Promise<value>, defaults to an eth_call through the chain client
+ * @param {Function} [options.submitAuthorization] - (args) => Promise<txHash>, defaults to CDP minter wallet;
+ *   throws an error with `transaction` set when it was broadcast but not confirmed
+ * @returns {Facilitator}
+ */
+export function createLocalFacilitator(options = {}) {
+  const readContract = options.readContract || callUsdc;
+  const submitAuthorization = options.submitAuthorization || submitWithMinterWallet;
+
+  async function verify(payment, requirements) {
+    const check = verifyExactPayment(payment, requirements);
+    if (!check.isValid) return check;
+
+    const { from, value, nonce } = payment.payload.authorization;
+
+    try {
+      // Nonce must not have been used (or cancelled) on-chain
+      const used = await readContract('authorizationState', [from, nonce]);
+      if (used) {
+        return { isValid: false, invalidReason: 'nonce_already_used', payer: check.payer };
+      }
+
+      // Payer must hold enough USDC for the transfer to succeed
+      const balance = await readContract('balanceOf', [from]);
+      if (BigInt(balance) < BigInt(value)) {
+        return { isValid: false, invalidReason: 'insufficient_funds', payer: check.payer };
+      }
+    } catch (err) {
+      console.error('Facilitator on-chain check failed:', err.message);
+      return { isValid: false, invalidReason: 'verification_unavailable', payer: check.payer };
+    }
+
+    return check;
+  }
+
+  async function settle(payment, requirements) {
+    const check = await verify(payment, requirements);
+    if (!check.isValid) {
+      return { success: false, errorReason: check.invalidReason, network: X402_NETWORK, payer: check.payer };
+    }
+
+    const { authorization, signature } = payment.payload;
+    const { v, r, s } = Signature.from(signature);
+
+    try {
+      const transaction = await submitAuthorization({
+        from: authorization.from,
+        to: authorization.to,
+        value: String(authorization.value),
+        validAfter: String(authorization.validAfter),
+        validBefore: String(authorization.validBefore),
+        nonce: authorization.nonce,
+        v: String(v),
+        r,
+        s
+      });
+
+      return { success: true, transaction, network: X402_NETWORK, payer: check.payer };
+    } catch (err) {
+      if (err.transaction) {
+        console.error('Facilitator settlement unconfirmed:', err.message);
+        return {
+          success: false,
+          unconfirmed: true,
+          transaction: err.transaction,
+          errorReason: 'settlement_unconfirmed',
+          network: X402_NETWORK,
+          payer: check.payer
+        };
+      }
+      console.error('Facilitator settlement failed:', err.message);
+      return { success: false, errorReason: 'settlement_failed', network: X402_NETWORK, payer: check.payer };
+    }
+  }
+
+  return { name: 'local', verify, settle };
+}
+
+/**
+ * Submit transferWithAuthorization from the platform minter wallet
+ *
+ * A wait() failure after the broadcast is thrown with the broadcast hash as
+ * `err.transaction`: the transfer may still land.
+ *
+ * @returns {string} Transaction hash
+ */
+async function submitWithMinterWallet(args) {
+  const { wallet, error } = await getMinterWallet();
+  if (error) {
+    throw new Error(error);
+  }
+
+  const invocation = await wallet.invokeContract({
+    contractAddress: USDC_ADDRESS,
+    method: 'transferWithAuthorization',
+    args,
+    abi: USDC_ABI
+  });
+
+  const transaction = invocation.getTransactionHash()?.toLowerCase() || null;
+
+  let result;
+  try {
+    result = await invocation.wait();
+  } catch (err) {
+    if (!transaction) throw err;
+    throw Object.assign(new Error(`Settlement ${transaction} unconfirmed: ${err.message}`), { transaction });
+  }
+
+  if (result.getStatus() !== 'complete') {
+    throw new Error(`Settlement failed with status: ${result.getStatus()}`);
+  }
+
+  return result.getTransaction().getTransactionHash();
+}
+
+// ==================== HTTP FACILITATOR ====================
+
+/**
+ * Create a facilitator backed by a remote x402 facilitator service
+ *
+ * @param {string} baseUrl - Facilitator base URL (without trailing slash)
+ * @returns {Facilitator}
+ */
+export function createHttpFacilitator(baseUrl = DEFAULT_FACILITATOR_URL) {
+  async function post(path, payment, requirements) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        x402Version: X402_VERSION,
+        paymentPayload: payment,
+        paymentRequirements: requirements
+      }),
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Facilitator ${path} returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async function verify(payment, requirements) {
+    try {
+      const result = await post('/verify', payment, requirements);
+      return {
+        isValid: !!result.isValid,
+        invalidReason: result.invalidReason,
+        payer: result.payer?.toLowerCase()
+      };
+    } catch (err) {
+      console.error('Remote facilitator verify failed:', err.message);
+      return { isValid: false, invalidReason: 'verification_unavailable' };
+    }
+  }
+
+  async function settle(payment, requirements) {
+    try {
+      const result = await post('/settle', payment, requirements);
+      return {
+        success: !!result.success,
+        transaction: result.transaction || result.txHash,
+        network: result.network || X402_NETWORK,
+        payer: result.payer?.toLowerCase(),
+        errorReason: result.errorReason
+      };
+    } catch (err) {
+      console.error('Remote facilitator settle failed:', err.message);
+      return { success: false, errorReason: 'settlement_failed', network: X402_NETWORK };
+    }
+  }
+
+  return { name: `http:${baseUrl}`, verify, settle };
+}
+
+// ==================== SELECTION ====================
+
+/**
+ * Active facilitator (memoized per function instance)
+ * @type {Facilitator|null}
+ */
+let activeFacilitator = null;
+
+/**
+ * Get the configured facilitator
+ * @returns {Facilitator}
+ */
+export function getFacilitator() {
+  if (activeFacilitator) return activeFacilitator;
+
+  const mode = (process.env.X402_FACILITATOR || 'local').trim();
+
+  if (mode === 'local') {
+    activeFacilitator = createLocalFacilitator();
+  } else if (mode === 'remote') {
+    activeFacilitator = createHttpFacilitator(process.env.X402_FACILITATOR_URL?.trim() || DEFAULT_FACILITATOR_URL);
+  } else {
+    activeFacilitator = createHttpFacilitator(mode.replace(/\/+$/, ''));
+  }
+
+  return activeFacilitator;
+}
+
+/**
+ * Replace the active facilitator (custom backends, tests)
+ * @param {Facilitator|null} facilitator - null resets to configured default
+ */
+export function setFacilitator(facilitator) {
+  activeFacilitator = facilitator;
+}
+
+// ==================== COLLECTION ====================
+
+/**
+ * Verify, claim and settle a signed payment in one step
+ *
+ * For flows with nothing to reserve between claim and settlement (e.g. offer
+ * escrow). /api/buy runs the steps itself so it can reserve an edition
+ * before funds move.
+ *
+ * @param {object} payment - Decoded payment payload
+ * @param {object} requirements - PaymentRequirements the payment must satisfy
+ * @param {object} options
+ * @param {string} options.payer - Expected payer wallet (lowercased)
+ * @param {object} [options.record] - Extra x402_payments columns
+ * @returns {Promise<{ success: boolean, unconfirmed?: boolean, transaction?: string, settlement?: SettleResult, stage?: string, error?: string }>}
+ *   A settlement broadcast but not confirmed in time is collected with
+ *   `unconfirmed: true`; the nonce is spent, so it can't be signed again
+ */
+export async function collectSignedPayment(payment, requirements, { payer, record = {} }) {
+  const facilitator = getFacilitator();
+
+  const verification = await facilitator.verify(payment, requirements);
+  if (!verification.isValid) {
+    return { success: false, stage: 'verify', error: verification.invalidReason || 'invalid_payment' };
+  }
+  if (payer && verification.payer !== payer) {
+    return { success: false, stage: 'verify', error: 'payer_mismatch' };
+  }
+
+  const claim = await claimAuthorization(payment, { ...record, facilitator: facilitator.name });
+  if (!claim.success) {
+    return { success: false, stage: 'claim', error: claim.error };
+  }
+
+  const settlement = await facilitator.settle(payment, requirements);
+  if (settlement.unconfirmed && /^0x[a-fA-F0-9]{64}$/.test(settlement.transaction || '')) {
+    const transaction = settlement.transaction.toLowerCase();
+    await updateAuthorization(claim.record.id, { status: 'settled_unconfirmed', tx_hash: transaction, error: settlement.errorReason });
+    return { success: true, unconfirmed: true, transaction, settlement };
+  }
+  if (!settlement.success || !/^0x[a-fA-F0-9]{64}$/.test(settlement.transaction || '')) {
+    const error = settlement.errorReason || 'settlement_failed';
+    await updateAuthorization(claim.record.id, { status: 'failed', error });
+    return { success: false, stage: 'settle', error };
+  }
+
+  const transaction = settlement.transaction.toLowerCase();
+  await updateAuthorization(claim.record.id, { status: 'settled', tx_hash: transaction });
+
+  return { success: true, transaction, settlement };
+}
+
+// ==================== RECONCILIATION ====================
+
+/**
+ * Settle authorizations left `settled_unconfirmed` from their receipts
+ * (scheduler)
+ *
+ * A confirmed transfer becomes `settled`. A reverted one, or one that never
+ * landed before its authorization expired, moved no funds: it is marked
+ * failed and audited, since whatever the payment bought was kept for it
+ * (purchases are also caught by the confirmation job).
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ settled: number, failed: number, waiting: number }>}
+ */
+export async function reconcileSettlements({ limit = 50 } = {}) {
+  const results = { settled: 0, failed: 0, waiting: 0 };
+
+  const res = await supabaseRequest(
+    `/rest/v1/x402_payments?status=eq.settled_unconfirmed&select=*&order=updated_at.asc&limit=${limit}`
+  );
+
+  for (const row of res.ok ? await res.json() : []) {
+    let receipt;
+    try {
+      receipt = await getChainClient().getTransactionReceipt(row.tx_hash);
+    } catch (err) {
+      console.error('Settlement receipt check failed:', err.message);
+    }
+
+    // No receipt: once the authorization has expired unused it can never land
+    let dropped = false;
+    if (!receipt && new Date(row.valid_before).getTime() < Date.now()) {
+      try {
+        dropped = !(await callUsdc('authorizationState', [row.payer, row.nonce]));
+      } catch (err) {
+        console.error('Settlement nonce check failed:', err.message);
+      }
+    }
+    if (!receipt && !dropped) {
+      results.waiting++;
+      continue;
+    }
+
+    if (receipt?.status === '0x1') {
+      await updateAuthorization(row.id, { status: 'settled', error: null });
+      results.settled++;
+      continue;
+    }
+
+    const error = dropped ? `Settlement ${row.tx_hash} was dropped` : `Settlement ${row.tx_hash} reverted`;
+    await updateAuthorization(row.id, { status: 'failed', error });
+    await auditLog('PAYMENT_SETTLEMENT_REVERTED', {
+      authorizationId: row.id,
+      txHash: row.tx_hash,
+      payer: row.payer,
+      resource: row.resource,
+      pieceId: row.piece_id,
+      amount: row.amount_usdc,
+      error
+    });
+    results.failed++;
+  }
+
+  return results;
+}
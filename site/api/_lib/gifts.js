@@ -0,0 +1,256 @@
+/**
+ * Gift and On-Behalf Purchases for Phosphors
+ *
+ * A purchase has three parties that are usually the same wallet:
+ * - buyer: the agent making the request (bounties, CSRF session)
+ * - payer: the wallet the USDC comes from (X-Payer, e.g. an agent treasury)
+ * - recipient: the new collector (recipient / recipient_username)
+ *
+ * A purchase whose recipient is not the buyer is a gift. It can carry a short
+ * message, optionally signed by the buyer or payer (EIP-191 personal_sign)
+ * so the recipient can prove who it came from.
+ *
+ * A broadcast transfer only proves who sent it, so one paid from another
+ * wallet than the buyer's must come with the payer's signature over the
+ * sale it pays for. Otherwise anyone who saw the transfer could claim it.
+ *
+ * ## Signed payer authorization:
+ * ```
+ * Phosphors payment
+ * Tx: <tx hash, lowercased>
+ * Buyer: <buyer wallet, lowercased>
+ * To: <recipient wallet, lowercased>
+ * Piece: <pieceId>            (or "Listing: <listingId>")
+ * ```
+ *
+ * ## Signed gift message:
+ * ```
+ * Phosphors gift
+ * Piece: <pieceId>            (or "Listing: <listingId>")
+ * To: <recipient wallet, lowercased>
+ * Message: <message>
+ * ```
+ *
+ * ## Usage:
+ * ```javascript
+ * import { resolveRecipient, validateGiftMessage, notifyGiftRecipient } from './_lib/gifts.js';
+ *
+ * const recipient = await resolveRecipient({ wallet: req.query.recipient, username: req.query.recipient_username });
+ * const gift = validateGiftMessage({ message, signature, target: { pieceId }, recipient: recipient.wallet, signers: [buyer, payer] });
+ * ```
+ *
+ * @module gifts
+ */
+
+import { verifyMessage } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Longest gift message (characters)
+ * @constant {number}
+ */
+export const MAX_GIFT_MESSAGE_LENGTH = 280;
+
+// ==================== PARTIES ====================
+
+/**
+ * Resolve a gift recipient from a wallet or an agent username
+ *
+ * @param {object} params
+ * @param {string} [params.wallet] - Validated recipient wallet
+ * @param {string} [params.username] - Recipient agent username
+ * @returns {Promise<{ success: boolean, wallet?: string, username?: string|null, error?: string }>}
+ */
+export async function resolveRecipient({ wallet, username }) {
+  if (wallet) {
+    const normalized = wallet.toLowerCase();
+    try {
+      const res = await supabaseRequest(
+        `/rest/v1/agents?wallet=ilike.${encodeURIComponent(normalized)}&select=username&limit=1`
+      );
+      const rows = res.ok ? await res.json() : [];
+      return { success: true, wallet: normalized, username: rows[0]?.username || null };
+    } catch (err) {
+      return { success: true, wallet: normalized, username: null };
+    }
+  }
+
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=username,wallet&limit=1`
+    );
+    const rows = res.ok ? await res.json() : [];
+    if (!rows[0]) {
+      return { success: false, error: `No agent named ${username}` };
+    }
+    if (!rows[0].wallet) {
+      return { success: false, error: `${rows[0].username} has no wallet to receive the piece` };
+    }
+    return { success: true, wallet: rows[0].wallet.toLowerCase(), username: rows[0].username };
+  } catch (err) {
+    console.error('Recipient lookup error:', err.message);
+    return { success: false, error: 'Failed to look up recipient' };
+  }
+}
+
+// ==================== MESSAGES ====================
+
+/**
+ * Text a gift message signature covers
+ *
+ * @param {object} params
+ * @param {object} params.target - { pieceId } or { listingId }
+ * @param {string} params.recipient - Recipient wallet
+ * @param {string} params.message - Gift message
+ * @returns {string}
+ */
+export function buildGiftMessage({ target, recipient, message }) {
+  return [
+    'Phosphors gift',
+    target.listingId ? `Listing: ${target.listingId}` : `Piece: ${target.pieceId}`,
+    `To: ${recipient.toLowerCase()}`,
+    `Message: ${message}`
+  ].join('\n');
+}
+
+/**
+ * Validate a gift message and its optional signature
+ *
+ * @param {object} params
+ * @param {string} [params.message]
+ * @param {string} [params.signature] - personal_sign over buildGiftMessage()
+ * @param {object} params.target - { pieceId } or { listingId }
+ * @param {string} params.recipient - Recipient wallet
+ * @param {string[]} params.signers - Wallets allowed to sign (buyer, payer)
+ * @returns {{ valid: boolean, message?: string|null, signature?: string|null, signer?: string|null, error?: string }}
+ */
+export function validateGiftMessage({ message, signature, target, recipient, signers }) {
+  if (message === undefined || message === null || message === '') {
+    if (signature) {
+      return { valid: false, error: 'gift_signature requires a gift_message' };
+    }
+    return { valid: true, message: null, signature: null, signer: null };
+  }
+
+  if (typeof message !== 'string' || message.length > MAX_GIFT_MESSAGE_LENGTH) {
+    return { valid: false, error: `gift_message must be at most ${MAX_GIFT_MESSAGE_LENGTH} characters` };
+  }
+
+  if (!signature) {
+    return { valid: true, message, signature: null, signer: null };
+  }
+
+  if (typeof signature !== 'string' || !/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+    return { valid: false, error: 'Invalid gift_signature format (expected 0x + 130 hex chars)' };
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(buildGiftMessage({ target, recipient, message }), signature).toLowerCase();
+  } catch (err) {
+    return { valid: false, error: 'gift_signature could not be verified' };
+  }
+
+  if (!signers.map(s => s.toLowerCase()).includes(signer)) {
+    return { valid: false, error: 'gift_signature must be signed by the buyer or payer wallet' };
+  }
+
+  return { valid: true, message, signature: signature.toLowerCase(), signer };
+}
+
+// ==================== PAYER AUTHORIZATION ====================
+
+/**
+ * Text a payer signs to hand a broadcast transfer to a buyer
+ *
+ * @param {object} params
+ * @param {string} params.txHash - Payment transaction
+ * @param {string} params.buyer - Buyer wallet
+ * @param {string} params.recipient - Recipient wallet
+ * @param {object} params.target - { pieceId } or { listingId }
+ * @returns {string}
+ */
+export function buildPayerMessage({ txHash, buyer, recipient, target }) {
+  return [
+    'Phosphors payment',
+    `Tx: ${txHash.toLowerCase()}`,
+    `Buyer: ${buyer.toLowerCase()}`,
+    `To: ${recipient.toLowerCase()}`,
+    target.listingId ? `Listing: ${target.listingId}` : `Piece: ${target.pieceId}`
+  ].join('\n');
+}
+
+/**
+ * Check that the payer signed a broadcast transfer over to this sale
+ *
+ * @param {object} params
+ * @param {string} [params.signature] - personal_sign over buildPayerMessage()
+ * @param {string} params.payer - Wallet the transfer came from
+ * @param {string} params.txHash
+ * @param {string} params.buyer
+ * @param {string} params.recipient
+ * @param {object} params.target - { pieceId } or { listingId }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validatePayerSignature({ signature, payer, txHash, buyer, recipient, target }) {
+  if (!signature) {
+    return { valid: false, error: 'A transfer from another wallet than the buyer needs X-Payer-Signature from the payer' };
+  }
+
+  if (typeof signature !== 'string' || !/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+    return { valid: false, error: 'Invalid X-Payer-Signature format (expected 0x + 130 hex chars)' };
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(buildPayerMessage({ txHash, buyer, recipient, target }), signature).toLowerCase();
+  } catch (err) {
+    return { valid: false, error: 'X-Payer-Signature could not be verified' };
+  }
+
+  if (signer !== payer.toLowerCase()) {
+    return { valid: false, error: 'X-Payer-Signature must be signed by the payer wallet for this transaction, buyer, recipient and piece' };
+  }
+
+  return { valid: true };
+}
+
+// ==================== NOTIFICATIONS ====================
+
+/**
+ * Tell a recipient they were gifted a piece
+ *
+ * @param {object} params
+ * @param {object} params.recipient - { wallet, username }
+ * @param {object} params.sender - { wallet, username }
+ * @param {object} params.piece - { id, title, artist }
+ * @param {string|null} [params.edition] - Edition label (e.g. "#3/10")
+ * @param {object} [params.gift] - From validateGiftMessage
+ * @param {string} params.purchaseId
+ * @param {string} params.txHash
+ * @returns {Promise<boolean>}
+ */
+export async function notifyGiftRecipient({ recipient, sender, piece, edition, gift, purchaseId, txHash }) {
+  const from = sender.username || `${sender.wallet.slice(0, 6)}…${sender.wallet.slice(-4)}`;
+  const note = gift?.message ? ` "${gift.message}"` : '';
+
+  return notifyAgent({
+    wallet: recipient.wallet,
+    type: 'gift_received',
+    title: 'You received a gift 🎁',
+    message: `${from} gifted you "${piece.title}"${edition ? ` ${edition}` : ''} by ${piece.artist}.${note}`,
+    data: {
+      purchase_id: purchaseId || null,
+      piece_id: piece.id,
+      piece_title: piece.title,
+      from_wallet: sender.wallet,
+      from_username: sender.username || null,
+      gift_message: gift?.message || null,
+      gift_signed_by: gift?.signer || null,
+      tx_hash: txHash
+    }
+  });
+}
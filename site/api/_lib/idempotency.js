@@ -0,0 +1,331 @@
+/**
+ * Idempotent Requests for Phosphors
+ *
+ * Agents retry mutating calls (buy, submit, register...) when a network
+ * hiccup eats the response. With an `Idempotency-Key` header, the first
+ * response for a key is stored and every retry gets exactly the same bytes
+ * back instead of running the request again.
+ *
+ * ## Rules:
+ * - Keys are scoped to the caller: a hash of their API key / bearer token,
+ *   or, for unauthenticated endpoints, their IP plus the buyer wallet the
+ *   request names (so buyers sharing an IP don't share keys)
+ * - Same key, different request (endpoint, query, body or payment
+ *   headers) → 422 IDEMPOTENCY_KEY_REUSED
+ * - Same key while the first request is still running → 409
+ *   IDEMPOTENCY_KEY_IN_PROGRESS (retry shortly)
+ * - 402, 429 and 5xx responses are not stored: nothing was done, so the
+ *   retry runs for real
+ * - Stored responses expire after IDEMPOTENCY_TTL_MS
+ *
+ * ## Usage:
+ * ```javascript
+ * import { handleIdempotency } from './_lib/idempotency.js';
+ *
+ * export default async function handler(req, res) {
+ *   if (handleCors(req, res)) return;
+ *   if (await handleIdempotency(req, res, 'submit')) return;
+ *   // ... normal handling; the response is recorded when it is sent
+ * }
+ * ```
+ *
+ * @module idempotency
+ */
+
+import crypto from 'crypto';
+import { supabaseRequest } from './supabase.js';
+import { getClientIP } from './rate-limit.js';
+import { normalizeAddress } from './security.js';
+import { sendError } from './errors.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * How long a stored response is replayed (ms)
+ * @constant {number}
+ */
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A request still "in progress" after this long died mid-flight (ms).
+ * Longer than the functions' maxDuration.
+ * @constant {number}
+ */
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Longest accepted key
+ * @constant {number}
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Request headers that change what a request does (part of its fingerprint)
+ * @constant {string[]}
+ */
+const FINGERPRINT_HEADERS = ['x-payment', 'x-payment-tx', 'payment-signature', 'x-payer', 'x-quote'];
+
+/**
+ * Response headers replayed with the stored body
+ * @constant {string[]}
+ */
+const REPLAYED_HEADERS = ['content-type', 'x-payment-response', 'location'];
+
+// ==================== HELPERS ====================
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseBody(req) {
+  let body = req.body ?? null;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { /* hash the raw string */ }
+  }
+  return body;
+}
+
+// JSON with sorted keys, so { a, b } and { b, a } are the same request
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Who a key belongs to: the caller's credential, or their IP and the buyer
+ * wallet named in the query or body (?buyer=, { buyer })
+ *
+ * @param {object} req
+ * @returns {string}
+ */
+export function getIdempotencyPrincipal(req) {
+  const credential = req.headers['x-api-key'] || req.headers['authorization'];
+  if (credential) {
+    return `key:${sha256(credential)}`;
+  }
+
+  const body = parseBody(req);
+  const buyer = normalizeAddress(req.query?.buyer) || normalizeAddress(body?.buyer);
+  return buyer ? `ip:${getClientIP(req)}:buyer:${buyer}` : `ip:${getClientIP(req)}`;
+}
+
+/**
+ * Fingerprint of what a request asks for
+ *
+ * @param {object} req
+ * @param {string} scope - Endpoint name
+ * @returns {string}
+ */
+export function getRequestFingerprint(req, scope) {
+  const body = parseBody(req);
+  const headers = FINGERPRINT_HEADERS.map(h => req.headers[h] || '');
+  return sha256(canonicalJson([scope, req.method, req.url, body, headers]));
+}
+
+async function updateRecord(id, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/idempotency_keys?id=eq.${encodeURIComponent(id)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Idempotency update error:', err.message);
+    return null;
+  }
+}
+
+async function releaseRecord(id) {
+  try {
+    await supabaseRequest(`/rest/v1/idempotency_keys?id=eq.${encodeURIComponent(id)}&status=eq.in_progress`, {
+      method: 'DELETE'
+    });
+  } catch (err) {
+    console.error('Idempotency release error:', err.message);
+  }
+}
+
+// Try to become the request that runs for this key
+async function lockKey(principal, key, scope, fingerprint) {
+  const now = Date.now();
+  const res = await supabaseRequest('/rest/v1/idempotency_keys', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation,resolution=ignore-duplicates'
+    },
+    body: JSON.stringify({
+      principal,
+      idempotency_key: key,
+      scope,
+      request_hash: fingerprint,
+      status: 'in_progress',
+      locked_at: new Date(now).toISOString(),
+      expires_at: new Date(now + IDEMPOTENCY_TTL_MS).toISOString()
+    })
+  });
+  if (!res.ok) {
+    throw new Error(`Idempotency insert failed: ${await res.text()}`);
+  }
+
+  const [inserted] = await res.json();
+  if (inserted) return { record: inserted, locked: true };
+
+  const existingRes = await supabaseRequest(
+    `/rest/v1/idempotency_keys?principal=eq.${encodeURIComponent(principal)}&idempotency_key=eq.${encodeURIComponent(key)}&select=*`
+  );
+  const [existing] = existingRes.ok ? await existingRes.json() : [];
+  if (!existing) return { record: null, locked: false };
+
+  const nowIso = new Date(now).toISOString();
+
+  // An expired key is free again
+  if (new Date(existing.expires_at).getTime() <= now) {
+    const taken = await updateRecord(existing.id, `&expires_at=lte.${nowIso}`, {
+      scope,
+      request_hash: fingerprint,
+      status: 'in_progress',
+      response_status: null,
+      response_headers: null,
+      response_body: null,
+      locked_at: nowIso,
+      expires_at: new Date(now + IDEMPOTENCY_TTL_MS).toISOString()
+    });
+    return taken ? { record: taken, locked: true } : { record: existing, locked: false };
+  }
+
+  // The request holding the key died before answering
+  if (existing.status === 'in_progress' && existing.request_hash === fingerprint &&
+      new Date(existing.locked_at).getTime() < now - STALE_LOCK_MS) {
+    const stale = new Date(now - STALE_LOCK_MS).toISOString();
+    const taken = await updateRecord(existing.id, `&status=eq.in_progress&locked_at=lt.${stale}`, {
+      locked_at: nowIso
+    });
+    if (taken) return { record: taken, locked: true };
+  }
+
+  return { record: existing, locked: false };
+}
+
+function replay(res, record) {
+  for (const [name, value] of Object.entries(record.response_headers || {})) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.statusCode = record.response_status;
+  res.end(record.response_body ?? '');
+}
+
+// Record the response before it goes out, so a retry that races the
+// client's receipt still finds it
+function captureResponse(res, record) {
+  const originalWrite = res.write.bind(res);
+  const originalEnd = res.end.bind(res);
+  const chunks = [];
+
+  res.write = (chunk, ...args) => {
+    if (chunk) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    return originalWrite(chunk, ...args);
+  };
+
+  res.end = (chunk, ...args) => {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    }
+
+    const status = res.statusCode;
+    const store = status !== 402 && status !== 429 && status < 500;
+
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      const value = res.getHeader(name);
+      if (value !== undefined) headers[name] = value;
+    }
+
+    const saved = store
+      ? updateRecord(record.id, '&status=eq.in_progress', {
+        status: 'completed',
+        response_status: status,
+        response_headers: headers,
+        response_body: Buffer.concat(chunks).toString('utf8')
+      })
+      : releaseRecord(record.id);
+
+    saved.finally(() => originalEnd(chunk, ...args));
+    return res;
+  };
+}
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Apply Idempotency-Key semantics to a request
+ *
+ * Without the header this does nothing. With it, a retry is answered from
+ * the stored response (or rejected), and a first request is set up so its
+ * response gets stored.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {string} scope - Endpoint name (e.g. 'buy')
+ * @returns {Promise<boolean>} true if a response was already sent
+ */
+export async function handleIdempotency(req, res, scope) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return false;
+
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    sendError(res, 'INVALID_IDEMPOTENCY_KEY');
+    return true;
+  }
+
+  const principal = getIdempotencyPrincipal(req);
+  const fingerprint = getRequestFingerprint(req, scope);
+
+  let lock;
+  try {
+    lock = await lockKey(principal, key.trim(), scope, fingerprint);
+  } catch (err) {
+    // Without the store we can't promise a safe retry; don't run the request twice blindly
+    console.error('Idempotency lookup failed:', err.message);
+    sendError(res, 'SERVICE_UNAVAILABLE', 'Idempotency store unavailable, retry with the same key');
+    return true;
+  }
+
+  const { record, locked } = lock;
+
+  if (locked) {
+    captureResponse(res, record);
+    return false;
+  }
+
+  if (!record) {
+    sendError(res, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    return true;
+  }
+
+  if (record.request_hash !== fingerprint) {
+    sendError(res, 'IDEMPOTENCY_KEY_REUSED');
+    return true;
+  }
+
+  if (record.status !== 'completed') {
+    res.setHeader('Retry-After', '1');
+    sendError(res, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    return true;
+  }
+
+  replay(res, record);
+  return true;
+}
@@ -0,0 +1,550 @@
+/**
+ * Signed License Certificates for Phosphors
+ *
+ * Every granted license gets an EIP-712 certificate signed by the platform
+ * license key. Like a purchase receipt it is self-contained (domain, types,
+ * message and signature), so a licensee can show it to anyone: the piece,
+ * artist, licensee, scope, terms and expiry are all covered by the
+ * signature. The artist can countersign the same message with their wallet.
+ *
+ * ## Flow:
+ * 1. /api/license grants a license
+ * 2. issueCertificate() builds the typed message, signs it with
+ *    LICENSE_SIGNER_KEY (falls back to RECEIPT_SIGNER_KEY) and stores it
+ *    in `license_certificates`
+ * 3. Optionally the artist signs the message and posts the signature to
+ *    /api/license/:id (countersignCertificate)
+ * 4. Third parties check it with /api/license/verify: the signatures
+ *    prove it is authentic, the license row says whether it is still valid
+ *
+ * ## Usage:
+ * ```javascript
+ * import { verifyCertificate } from './_lib/license-certificates.js';
+ *
+ * const { valid, signer, artistSigned, error } = verifyCertificate(certificate, '0xPlatformLicenseSigner');
+ * ```
+ *
+ * @module license-certificates
+ */
+
+import { Wallet, verifyTypedData, getAddress, ZeroAddress } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+import { CHAIN_ID } from './x402.js';
+import { LICENSE_SCOPES, isLicenseInForce, isInGrace, getGraceEndsAt } from './licenses.js';
+import { getOfferingRights } from './license-offerings.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * EIP-712 domain of Phosphors license certificates (checked off-chain)
+ * @constant {object}
+ */
+export const CERTIFICATE_DOMAIN = {
+  name: 'Phosphors License',
+  version: '1',
+  chainId: CHAIN_ID
+};
+
+/**
+ * EIP-712 certificate type. Times are unix seconds; artistWallet is the
+ * zero address when the artist has no wallet on file.
+ * @constant {object}
+ */
+export const CERTIFICATE_TYPES = {
+  License: [
+    { name: 'licenseId', type: 'string' },
+    { name: 'pieceId', type: 'string' },
+    { name: 'pieceTitle', type: 'string' },
+    { name: 'artist', type: 'string' },
+    { name: 'artistWallet', type: 'address' },
+    { name: 'licensee', type: 'address' },
+    { name: 'licenseType', type: 'string' },
+    { name: 'scope', type: 'string' },
+    { name: 'terms', type: 'string' },
+    { name: 'issuedAt', type: 'uint256' },
+    { name: 'expiresAt', type: 'uint256' }
+  ]
+};
+
+/**
+ * What each license type allows
+ * @constant {object}
+ */
+export const LICENSE_TERMS = {
+  personal: {
+    description: 'Personal, non-commercial use',
+    allowed: ['Personal displays', 'Non-commercial websites', 'Educational use'],
+    notAllowed: ['Commercial products', 'Advertising', 'Resale']
+  },
+  commercial: {
+    description: 'Full commercial rights',
+    allowed: ['Commercial apps', 'Digital signage', 'Marketing materials', 'Products'],
+    notAllowed: ['Resale as standalone art', 'NFT minting']
+  },
+  commercial_extended: {
+    description: 'Extended commercial rights for long-term projects',
+    allowed: ['All commercial uses', 'Multi-year campaigns', 'Enterprise deployments'],
+    notAllowed: ['Resale as standalone art', 'NFT minting']
+  },
+  exclusive: {
+    description: 'Exclusive commercial rights: the sole commercial licensee of the piece within the licensed scope',
+    allowed: ['All commercial uses within the scope', 'No other commercial licensees within the scope'],
+    notAllowed: ['Resale as standalone art', 'NFT minting', 'Sublicensing']
+  }
+};
+
+/**
+ * Private key that signs certificates (never the minter wallet)
+ * @constant {string|undefined}
+ */
+const LICENSE_SIGNER_KEY = process.env.LICENSE_SIGNER_KEY || process.env.RECEIPT_SIGNER_KEY;
+
+let signerWallet = null;
+
+// ==================== SIGNING ====================
+
+function getSignerWallet() {
+  if (!LICENSE_SIGNER_KEY) return null;
+  if (!signerWallet) {
+    signerWallet = new Wallet(LICENSE_SIGNER_KEY);
+  }
+  return signerWallet;
+}
+
+/**
+ * Public address certificates are signed with (null if signing is not configured)
+ * @returns {string|null}
+ */
+export function getLicenseSignerAddress() {
+  return getSignerWallet()?.address || null;
+}
+
+function toAddress(wallet) {
+  try {
+    return wallet ? getAddress(wallet.toLowerCase()) : ZeroAddress;
+  } catch {
+    return ZeroAddress;
+  }
+}
+
+function toUnix(value) {
+  return String(Math.floor(new Date(value).getTime() / 1000));
+}
+
+/**
+ * Terms of a license type
+ *
+ * @param {string} licenseType
+ * @returns {{ description: string, allowed: string[], notAllowed: string[] }}
+ */
+export function getLicenseTerms(licenseType) {
+  return LICENSE_TERMS[licenseType] || LICENSE_TERMS.personal;
+}
+
+/**
+ * Allowed uses and terms text of a license: the artist offering's terms
+ * snapshot when it has one, otherwise the default catalog terms
+ */
+function describeTerms(license) {
+  if (license.terms) {
+    const rights = getOfferingRights(license.terms);
+    const description = license.terms.description ? ` ${license.terms.description}` : '';
+    return {
+      allowed: rights.allowed,
+      terms: `${license.terms.name}.${description} Territory: ${rights.territory}. Not allowed: ${rights.notAllowed.join('; ')}.`
+    };
+  }
+
+  const terms = getLicenseTerms(license.license_type);
+  return {
+    allowed: terms.allowed,
+    terms: `${terms.description}. Not allowed: ${terms.notAllowed.join('; ')}.`
+  };
+}
+
+/**
+ * Typed certificate message for a granted license
+ *
+ * @param {object} license - licenses row
+ * @param {object} piece - { id, title, moltbook }
+ * @param {string|null} artistWallet
+ * @param {Date} [issuedAt]
+ * @returns {object} EIP-712 message (uint256 values as decimal strings)
+ */
+export function buildCertificateMessage(license, piece, artistWallet, issuedAt = new Date()) {
+  const { allowed, terms } = describeTerms(license);
+  const scope = license.scope && license.scope !== 'all'
+    ? `${allowed.join('; ')} (limited to: ${LICENSE_SCOPES[license.scope]})`
+    : allowed.join('; ');
+
+  return {
+    licenseId: license.id,
+    pieceId: piece.id,
+    pieceTitle: piece.title || '',
+    artist: piece.moltbook || '',
+    artistWallet: toAddress(artistWallet),
+    licensee: toAddress(license.licensee_wallet),
+    licenseType: license.license_type,
+    scope,
+    terms,
+    issuedAt: String(Math.floor(issuedAt.getTime() / 1000)),
+    expiresAt: toUnix(license.expires_at)
+  };
+}
+
+/**
+ * Sign a certificate message with the platform license key
+ *
+ * @param {object} message - From buildCertificateMessage
+ * @returns {Promise<{ signature: string, signer: string }|null>} null if no key is configured
+ */
+export async function signCertificate(message) {
+  const wallet = getSignerWallet();
+  if (!wallet) return null;
+
+  const signature = await wallet.signTypedData(CERTIFICATE_DOMAIN, CERTIFICATE_TYPES, message);
+  return { signature, signer: wallet.address };
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Check a certificate's signatures offline
+ *
+ * The certificate's own domain and types are ignored in favour of the
+ * canonical ones. An artist countersignature, when present, must recover
+ * to the artistWallet in the message.
+ *
+ * @param {object} certificate - { message, signature, artistSignature? } as returned by /api/license/:id
+ * @param {string} expectedSigner - Platform license signer address
+ * @returns {{ valid: boolean, signer?: string, artistSigned?: boolean, error?: string }}
+ */
+export function verifyCertificate(certificate, expectedSigner) {
+  if (!certificate || typeof certificate !== 'object' || !certificate.message || !certificate.signature) {
+    return { valid: false, error: 'Certificate must include message and signature' };
+  }
+  if (!expectedSigner) {
+    return { valid: false, error: 'No license signer to verify against' };
+  }
+
+  let signer;
+  try {
+    signer = verifyTypedData(CERTIFICATE_DOMAIN, CERTIFICATE_TYPES, certificate.message, certificate.signature);
+  } catch (err) {
+    return { valid: false, error: `Malformed certificate: ${err.shortMessage || err.message}` };
+  }
+
+  if (signer.toLowerCase() !== expectedSigner.toLowerCase()) {
+    return { valid: false, signer, error: 'Certificate was not signed by the platform license key' };
+  }
+
+  if (certificate.artistSignature) {
+    const artist = recoverArtistSigner(certificate.message, certificate.artistSignature);
+    if (!artist || artist.toLowerCase() !== String(certificate.message.artistWallet).toLowerCase()) {
+      return { valid: false, signer, error: 'Artist countersignature does not match the artist wallet' };
+    }
+  }
+
+  return { valid: true, signer, artistSigned: !!certificate.artistSignature };
+}
+
+/**
+ * Address that signed a certificate message, or null
+ *
+ * @param {object} message
+ * @param {string} signature
+ * @returns {string|null}
+ */
+export function recoverArtistSigner(message, signature) {
+  try {
+    return verifyTypedData(CERTIFICATE_DOMAIN, CERTIFICATE_TYPES, message, signature);
+  } catch {
+    return null;
+  }
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Public, self-contained shape of a certificate
+ *
+ * @param {object} row - license_certificates row
+ * @returns {object}
+ */
+export function formatCertificate(row) {
+  return {
+    id: row.id,
+    licenseId: row.license_id,
+    domain: CERTIFICATE_DOMAIN,
+    types: CERTIFICATE_TYPES,
+    primaryType: 'License',
+    message: row.message,
+    signature: row.signature,
+    signer: row.signer,
+    artistSignature: row.artist_signature || null,
+    artistSigner: row.artist_signer || null,
+    countersignedAt: row.countersigned_at || null,
+    issuedAt: row.created_at
+  };
+}
+
+/**
+ * Get a certificate by certificate ID or license ID
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>} license_certificates row
+ */
+export async function getCertificate(id) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/license_certificates?or=(id.eq.${encodeURIComponent(id)},license_id.eq.${encodeURIComponent(id)})&select=*&limit=1`
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get certificate error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Sign and store the certificate of a granted license
+ *
+ * Replaces an earlier certificate of the same license (its terms or expiry
+ * changed). Never throws: a license must not fail because its certificate
+ * couldn't be issued (it can be issued later from /api/license/:id).
+ *
+ * @param {object} license - licenses row
+ * @param {object} piece - { id, title, moltbook }
+ * @param {object} [options]
+ * @param {string} [options.artistWallet] - Looked up from the artist when omitted
+ * @returns {Promise<object|null>} license_certificates row
+ */
+export async function issueCertificate(license, piece, { artistWallet } = {}) {
+  if (!license?.id || !piece?.id) return null;
+
+  try {
+    const wallet = artistWallet ?? await getArtistWallet(piece.moltbook);
+    const message = buildCertificateMessage(license, piece, wallet);
+    const signed = await signCertificate(message);
+    if (!signed) {
+      console.warn('LICENSE_SIGNER_KEY not configured; certificate not issued');
+      return null;
+    }
+
+    const res = await supabaseRequest('/rest/v1/license_certificates?on_conflict=license_id', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=merge-duplicates'
+      },
+      body: JSON.stringify({
+        license_id: license.id,
+        message,
+        signature: signed.signature,
+        signer: signed.signer.toLowerCase(),
+        artist_signature: null,
+        artist_signer: null,
+        countersigned_at: null,
+        updated_at: new Date().toISOString()
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Certificate insert failed:', await res.text());
+      return null;
+    }
+
+    const [created] = await res.json();
+    return created || await getCertificate(license.id);
+  } catch (err) {
+    console.error('Certificate issue error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Store the artist's countersignature of a certificate
+ *
+ * @param {object} row - license_certificates row
+ * @param {string} signature - EIP-712 signature of row.message by the artist wallet
+ * @returns {Promise<{ success: boolean, certificate?: object, error?: string }>}
+ */
+export async function countersignCertificate(row, signature) {
+  if (typeof signature !== 'string' || !/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+    return { success: false, error: 'signature must be a 65-byte hex signature' };
+  }
+
+  const artistWallet = row.message?.artistWallet;
+  if (!artistWallet || artistWallet === ZeroAddress) {
+    return { success: false, error: 'The artist has no wallet on this certificate' };
+  }
+
+  const signer = recoverArtistSigner(row.message, signature);
+  if (!signer || signer.toLowerCase() !== artistWallet.toLowerCase()) {
+    return { success: false, error: 'Signature does not recover to the artist wallet' };
+  }
+
+  const res = await supabaseRequest(`/rest/v1/license_certificates?id=eq.${encodeURIComponent(row.id)}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({
+      artist_signature: signature,
+      artist_signer: signer.toLowerCase(),
+      countersigned_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+  });
+
+  if (!res.ok) {
+    console.error('Countersignature update failed:', await res.text());
+    return { success: false, error: 'Failed to store countersignature' };
+  }
+
+  const [updated] = await res.json();
+  return { success: true, certificate: updated || row };
+}
+
+async function getArtistWallet(username) {
+  if (!username) return null;
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0]?.wallet || null;
+}
+
+// ==================== STATUS ====================
+
+/**
+ * Whether the license behind a certificate is still in force
+ *
+ * @param {object|null} license - licenses row
+ * @param {object} message - Certificate message
+ * @returns {{ valid: boolean, status: string, reason?: string }}
+ */
+export function getCertificateStatus(license, message) {
+  if (!license) {
+    return { valid: false, status: 'unknown', reason: 'License not found' };
+  }
+  if (license.id !== message.licenseId || license.piece_id !== message.pieceId) {
+    return { valid: false, status: 'unknown', reason: 'Certificate does not match the license record' };
+  }
+  if (license.licensee_wallet?.toLowerCase() !== String(message.licensee).toLowerCase()) {
+    return { valid: false, status: 'superseded', reason: 'The license now belongs to another wallet' };
+  }
+  if (license.status === 'revoked') {
+    return {
+      valid: false,
+      status: 'revoked',
+      reason: license.revocation_reason ? `The license was revoked: ${license.revocation_reason}` : 'The license was revoked'
+    };
+  }
+  if (license.status === 'released') {
+    return { valid: false, status: 'released', reason: 'The holder released this exclusive license' };
+  }
+  if (!isLicenseInForce(license)) {
+    return { valid: false, status: 'expired', reason: 'The license has expired' };
+  }
+  if (toUnix(license.expires_at) !== String(message.expiresAt)) {
+    return { valid: false, status: 'superseded', reason: 'A newer certificate was issued for this license' };
+  }
+  if (isInGrace(license)) {
+    return {
+      valid: true,
+      status: 'grace',
+      reason: `Past expiry; in force until its grace period ends ${getGraceEndsAt(license).toISOString()}`
+    };
+  }
+
+  return { valid: true, status: 'active' };
+}
+
+// ==================== RENDERING ====================
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Printable HTML page of a certificate (print to PDF from the browser)
+ *
+ * @param {object} certificate - From formatCertificate
+ * @param {object} [status] - From getCertificateStatus
+ * @returns {string} HTML document
+ */
+export function renderCertificateHtml(certificate, status = null) {
+  const m = certificate.message;
+  const date = unix => new Date(Number(unix) * 1000).toISOString().slice(0, 10);
+  const json = escapeHtml(JSON.stringify({
+    domain: certificate.domain,
+    types: certificate.types,
+    primaryType: certificate.primaryType,
+    message: m,
+    signature: certificate.signature,
+    artistSignature: certificate.artistSignature
+  }, null, 2));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <link rel="icon" type="image/svg+xml" href="/favicon.svg">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>License Certificate — ${escapeHtml(m.pieceTitle)} — Phosphors</title>
+  <meta name="robots" content="noindex">
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { background: #050508; color: #fafafa; font-family: 'Chakra Petch', system-ui, sans-serif; padding: 3rem 1.5rem; }
+    .cert { max-width: 760px; margin: 0 auto; border: 1px solid rgba(160,128,192,0.5); border-radius: 8px; padding: 2.5rem; }
+    .brand { font-size: 0.8rem; letter-spacing: 0.15em; text-transform: uppercase; color: #a080c0; }
+    h1 { font-size: 1.8rem; font-weight: 600; margin: 0.5rem 0 2rem; }
+    dl { display: grid; grid-template-columns: 10rem 1fr; gap: 0.6rem 1.5rem; margin-bottom: 2rem; }
+    dt { color: #888; font-size: 0.85rem; }
+    dd { word-break: break-all; }
+    .status { display: inline-block; padding: 0.2rem 0.6rem; border-radius: 3px; font-size: 0.8rem; text-transform: uppercase; }
+    .status.active { background: rgba(80,200,120,0.15); color: #50c878; }
+    .status.inactive { background: rgba(220,80,80,0.15); color: #dc5050; }
+    pre { background: #0d0d12; border-radius: 4px; padding: 1rem; font-size: 0.7rem; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+    footer { margin-top: 1.5rem; font-size: 0.75rem; color: #888; }
+    @media print {
+      body { background: #fff; color: #000; padding: 0; }
+      .cert { border-color: #999; }
+      pre { background: #f4f4f4; }
+    }
+  </style>
+</head>
+<body>
+  <div class="cert">
+    <div class="brand">Phosphors · License Certificate</div>
+    <h1>${escapeHtml(m.pieceTitle)}</h1>
+    <dl>
+      ${status ? `<dt>Status</dt><dd><span class="status ${status.valid ? 'active' : 'inactive'}">${escapeHtml(status.status)}</span>${status.reason ? ` ${escapeHtml(status.reason)}` : ''}</dd>` : ''}
+      <dt>License</dt><dd>${escapeHtml(m.licenseId)}</dd>
+      <dt>Type</dt><dd>${escapeHtml(m.licenseType)}</dd>
+      <dt>Piece</dt><dd>${escapeHtml(m.pieceId)}</dd>
+      <dt>Artist</dt><dd>${escapeHtml(m.artist)} (${escapeHtml(m.artistWallet)})</dd>
+      <dt>Licensee</dt><dd>${escapeHtml(m.licensee)}</dd>
+      <dt>Issued</dt><dd>${date(m.issuedAt)}</dd>
+      <dt>Expires</dt><dd>${date(m.expiresAt)}</dd>
+      <dt>Scope</dt><dd>${escapeHtml(m.scope)}</dd>
+      <dt>Terms</dt><dd>${escapeHtml(m.terms)}</dd>
+      <dt>Platform signer</dt><dd>${escapeHtml(certificate.signer)}</dd>
+      <dt>Artist countersigned</dt><dd>${certificate.artistSignature ? `Yes (${escapeHtml(certificate.artistSigner)})` : 'No'}</dd>
+    </dl>
+    <pre>${json}</pre>
+    <footer>Verify this certificate: POST the JSON above to https://phosphors.xyz/api/license/verify, or recover the EIP-712 signer and compare it to GET /api/license/verify.</footer>
+  </div>
+</body>
+</html>`;
+}
@@ -0,0 +1,652 @@
+/**
+ * License Disputes for Phosphors
+ *
+ * An artist who finds a license of their piece being misused files a
+ * dispute with evidence. The licensee is notified and can respond; an
+ * admin then resolves it with one of three outcomes:
+ * - `revoke`: the license is revoked (no refund)
+ * - `refund`: the license is revoked and its price refunded to the licensee
+ * - `dismiss`: nothing changes
+ *
+ * ## Flow:
+ * open → responded (licensee answered) → resolved
+ *
+ * Revoke and refund wait until the licensee has responded or
+ * RESPONSE_WINDOW_DAYS have passed; a dispute can be dismissed any time.
+ * A revoked license fails certificate verification and, when it is on
+ * LicensingRegistry, the revocation is pushed there by the sync worker.
+ *
+ * USDC refunds are sent from the platform wallet. $PHOS refunds are paid
+ * from the treasury by hand and recorded afterwards (recordRefund).
+ *
+ * ## Refunds (refund_status):
+ * pending → sending → refunded
+ *
+ * A USDC refund is claimed (pending → sending) before it is sent and its
+ * hash kept once broadcast. One that isn't confirmed in time stays
+ * `sending` until its receipt settles it (confirmLicenseRefund); it is
+ * never sent again.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { resolveDispute } from './_lib/license-disputes.js';
+ *
+ * const result = await resolveDispute(dispute, { outcome: 'refund', note, actor: admin.actor });
+ * if (!result.success) return res.status(result.status).json({ ... });
+ * ```
+ *
+ * @module license-disputes
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { notifyAgent } from './notifications.js';
+import { isPayoutConfigured, sendUsdcPayout, getTransferOutcome } from './payouts.js';
+import { roundUsdc } from './pricing.js';
+import { getResyncFields } from './license-sync.js';
+import { sanitizeText } from './security.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * What a dispute can be about
+ * @constant {object}
+ */
+export const DISPUTE_REASONS = {
+  out_of_scope: 'Used outside the licensed scope or allowed uses',
+  prohibited_use: 'Used in a way the license terms prohibit',
+  territory: 'Used outside the licensed territory',
+  attribution: 'Missing or false attribution',
+  resale: 'Resold or sublicensed',
+  other: 'Other misuse'
+};
+
+/**
+ * How a dispute can be resolved
+ * @constant {string[]}
+ */
+export const DISPUTE_OUTCOMES = ['revoke', 'refund', 'dismiss'];
+
+/**
+ * Days the licensee has to respond before a dispute can end in revocation
+ * @constant {number}
+ */
+export const RESPONSE_WINDOW_DAYS = Math.max(0, parseInt(process.env.LICENSE_DISPUTE_RESPONSE_DAYS ?? '7', 10) || 0);
+
+/**
+ * Most evidence items per filing or response
+ * @constant {number}
+ */
+export const MAX_EVIDENCE_ITEMS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a license can be revoked from
+const REVOCABLE_STATUSES = ['active', 'expired'];
+
+// ==================== HELPERS ====================
+
+/**
+ * Validate evidence: a list of { url, description? } with http(s) URLs
+ *
+ * @param {any} evidence
+ * @returns {{ valid: boolean, evidence?: object[], error?: string }}
+ */
+export function validateEvidence(evidence) {
+  if (evidence == null) return { valid: true, evidence: [] };
+  if (!Array.isArray(evidence) || evidence.length > MAX_EVIDENCE_ITEMS) {
+    return { valid: false, error: `evidence must be a list of at most ${MAX_EVIDENCE_ITEMS} items` };
+  }
+
+  const items = [];
+  for (const item of evidence) {
+    let url;
+    try {
+      url = new URL(typeof item === 'string' ? item : item?.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.href.length > 500) {
+      return { valid: false, error: 'Each evidence item needs an http(s) url (max 500 characters)' };
+    }
+    items.push({ url: url.href, description: sanitizeText(item?.description, 300) });
+  }
+
+  return { valid: true, evidence: items };
+}
+
+/**
+ * Whether an outcome can be applied yet
+ *
+ * @param {object} dispute - license_disputes row
+ * @param {string} outcome
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function canResolve(dispute, outcome, now = new Date()) {
+  if (dispute.status === 'resolved') return false;
+  if (outcome === 'dismiss' || dispute.status === 'responded') return true;
+  return now >= new Date(dispute.respond_by);
+}
+
+/**
+ * Price the licensee paid for the license
+ *
+ * @param {object} license - licenses row
+ * @returns {{ amount: number, currency: 'PHOS'|'USDC' }}
+ */
+export function getLicensePrice(license) {
+  const currency = license.currency || 'PHOS';
+  const amount = parseFloat(currency === 'USDC' ? license.usdc_equivalent : license.phos_paid) || 0;
+  return { amount, currency };
+}
+
+/**
+ * API shape of a dispute
+ *
+ * @param {object} row - license_disputes row
+ * @returns {object}
+ */
+export function formatDispute(row) {
+  return {
+    id: row.id,
+    licenseId: row.license_id,
+    pieceId: row.piece_id,
+    artist: row.artist,
+    licensee: row.licensee_wallet,
+    reason: row.reason,
+    description: row.description,
+    evidence: row.evidence || [],
+    status: row.status,
+    respondBy: row.respond_by,
+    response: row.responded_at
+      ? { text: row.response, evidence: row.response_evidence || [], respondedAt: row.responded_at }
+      : null,
+    resolution: row.resolved_at
+      ? { outcome: row.outcome, note: row.resolution_note, resolvedAt: row.resolved_at }
+      : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Revocation info of a license for listings and verification
+ *
+ * @param {object} license - licenses row
+ * @returns {object|null} null unless revoked
+ */
+export function formatRevocation(license) {
+  if (license.status !== 'revoked') return null;
+  return {
+    revokedAt: license.revoked_at || null,
+    reason: license.revocation_reason || null,
+    refund: license.refund_amount != null
+      ? {
+          amount: parseFloat(license.refund_amount),
+          currency: license.refund_currency,
+          status: license.refund_status || null,
+          txHash: license.refund_tx_hash || null,
+          refundedAt: license.refunded_at || null
+        }
+      : null
+  };
+}
+
+// ==================== QUERIES ====================
+
+export async function getLicense(licenseId) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(licenseId)}&select=*&limit=1`
+  );
+  if (!res.ok) {
+    throw new Error(`License lookup failed: ${await res.text()}`);
+  }
+  const [license] = await res.json();
+  return license || null;
+}
+
+export async function getDispute(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_disputes?id=eq.${encodeURIComponent(id)}&select=*&limit=1`
+  );
+  if (!res.ok) {
+    throw new Error(`Dispute lookup failed: ${await res.text()}`);
+  }
+  const [dispute] = await res.json();
+  return dispute || null;
+}
+
+/**
+ * List disputes, newest first
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.status] - open, responded or resolved
+ * @param {string} [filters.artist] - Artist username
+ * @param {string} [filters.wallet] - Licensee wallet
+ * @param {string} [filters.licenseId]
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<object[]>} license_disputes rows
+ */
+export async function getDisputes({ status, artist, wallet, licenseId, limit = 50 } = {}) {
+  let query = '/rest/v1/license_disputes?select=*';
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+  if (artist) query += `&artist=eq.${encodeURIComponent(artist)}`;
+  if (wallet) query += `&licensee_wallet=eq.${encodeURIComponent(wallet.toLowerCase())}`;
+  if (licenseId) query += `&license_id=eq.${encodeURIComponent(licenseId)}`;
+  query += `&order=created_at.desc&limit=${Math.min(Math.max(limit, 1), 100)}`;
+
+  const res = await supabaseRequest(query);
+  if (!res.ok) {
+    throw new Error(`Dispute listing failed: ${await res.text()}`);
+  }
+  return res.json();
+}
+
+/**
+ * Unresolved dispute of each license
+ *
+ * @param {string[]} licenseIds
+ * @returns {Promise<Map<string, object>>} license ID → license_disputes row
+ */
+export async function getOpenDisputes(licenseIds) {
+  const disputes = new Map();
+  if (!licenseIds.length) return disputes;
+
+  const res = await supabaseRequest(
+    `/rest/v1/license_disputes?license_id=in.(${licenseIds.map(encodeURIComponent).join(',')})&status=neq.resolved&select=*`
+  );
+  if (!res.ok) {
+    console.error('Open dispute lookup failed:', await res.text());
+    return disputes;
+  }
+  for (const dispute of await res.json()) {
+    disputes.set(dispute.license_id, dispute);
+  }
+  return disputes;
+}
+
+async function updateDispute(id, filter, updates) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_disputes?id=eq.${encodeURIComponent(id)}${filter}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(updates)
+    }
+  );
+  if (!res.ok) {
+    throw new Error(`Dispute update failed: ${await res.text()}`);
+  }
+  const [dispute] = await res.json();
+  return dispute || null;
+}
+
+async function updateLicense(id, filter, updates) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(id)}${filter}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(updates)
+    }
+  );
+  if (!res.ok) {
+    throw new Error(`License update failed: ${await res.text()}`);
+  }
+  const [license] = await res.json();
+  return license || null;
+}
+
+// ==================== FILING AND RESPONSES ====================
+
+/**
+ * File a dispute against a license
+ *
+ * @param {object} params
+ * @param {object} params.license - licenses row
+ * @param {object} params.piece - submissions row (id, title)
+ * @param {object} params.agent - Artist agent (id, username)
+ * @param {string} params.reason - Key of DISPUTE_REASONS
+ * @param {string} params.description
+ * @param {object[]} params.evidence - From validateEvidence
+ * @returns {Promise<{ success: boolean, dispute?: object, error?: string, status?: number }>}
+ */
+export async function fileDispute({ license, piece, agent, reason, description, evidence }) {
+  if (!REVOCABLE_STATUSES.includes(license.status)) {
+    return { success: false, error: `License is ${license.status}; only active or expired licenses can be disputed`, status: 409 };
+  }
+
+  const respondBy = new Date(Date.now() + RESPONSE_WINDOW_DAYS * DAY_MS).toISOString();
+
+  const res = await supabaseRequest('/rest/v1/license_disputes', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({
+      license_id: license.id,
+      piece_id: license.piece_id,
+      artist_agent_id: agent.id,
+      artist: agent.username,
+      licensee_wallet: license.licensee_wallet.toLowerCase(),
+      reason,
+      description,
+      evidence,
+      respond_by: respondBy
+    })
+  });
+
+  if (!res.ok) {
+    const error = await res.text();
+    if (res.status === 409 || error.includes('duplicate')) {
+      return { success: false, error: 'This license already has an open dispute', status: 409 };
+    }
+    console.error('Dispute insert failed:', error);
+    return { success: false, error: 'Failed to file dispute', status: 500 };
+  }
+
+  const [dispute] = await res.json();
+
+  await notifyAgent({
+    wallet: dispute.licensee_wallet,
+    type: 'license_dispute_filed',
+    title: 'Your license is disputed ⚠️',
+    message: `${agent.username} disputed your license of "${piece.title}": ${DISPUTE_REASONS[reason]}. Respond by ${respondBy.slice(0, 10)} or an admin may revoke it.`,
+    data: { dispute_id: dispute.id, license_id: license.id, piece_id: license.piece_id, reason, respond_by: respondBy }
+  });
+
+  return { success: true, dispute };
+}
+
+/**
+ * Record the licensee's response (can be updated until resolution)
+ *
+ * @param {object} dispute - license_disputes row
+ * @param {object} params
+ * @param {string} params.response
+ * @param {object[]} params.evidence - From validateEvidence
+ * @returns {Promise<{ success: boolean, dispute?: object, error?: string, status?: number }>}
+ */
+export async function respondToDispute(dispute, { response, evidence }) {
+  const updated = await updateDispute(dispute.id, '&status=in.(open,responded)', {
+    status: 'responded',
+    response,
+    response_evidence: evidence,
+    responded_at: new Date().toISOString()
+  });
+
+  if (!updated) {
+    return { success: false, error: 'Dispute is already resolved', status: 409 };
+  }
+
+  await notifyAgent({
+    agentId: updated.artist_agent_id,
+    type: 'license_dispute_response',
+    title: 'Licensee responded to your dispute',
+    message: `The licensee responded to your dispute of license ${updated.license_id.slice(0, 8)}. An admin will review both sides.`,
+    data: { dispute_id: updated.id, license_id: updated.license_id, piece_id: updated.piece_id }
+  });
+
+  return { success: true, dispute: updated };
+}
+
+// ==================== REVOCATION AND REFUNDS ====================
+
+/**
+ * Revoke a license
+ *
+ * @param {object} license - licenses row
+ * @param {string} reason - Shown to the licensee and in verification
+ * @returns {Promise<{ success: boolean, license?: object, error?: string, status?: number }>}
+ */
+export async function revokeLicense(license, reason) {
+  const revoked = await updateLicense(license.id, `&status=in.(${REVOCABLE_STATUSES.join(',')})`, {
+    status: 'revoked',
+    revoked_at: new Date().toISOString(),
+    revocation_reason: reason,
+    ...getResyncFields(license)
+  });
+
+  if (!revoked) {
+    return { success: false, error: 'License is no longer active or expired', status: 409 };
+  }
+
+  await notifyAgent({
+    wallet: revoked.licensee_wallet,
+    type: 'license_revoked',
+    title: 'License revoked',
+    message: `Your ${revoked.license_type} license ${revoked.id.slice(0, 8)} was revoked: ${reason}`,
+    data: { license_id: revoked.id, piece_id: revoked.piece_id, reason }
+  });
+
+  return { success: true, license: revoked };
+}
+
+// Refunds nobody has claimed yet
+const UNCLAIMED_REFUND = '&refunded_at=is.null&or=(refund_status.is.null,refund_status.eq.pending)';
+
+/**
+ * Refund a revoked license to its licensee
+ *
+ * USDC is sent from the platform wallet once the refund is claimed
+ * (pending → sending), so two admin calls never both send it. Its hash is
+ * stored on broadcast: a transfer that isn't confirmed in time stays
+ * `sending` for confirmLicenseRefund, and only one that sent nothing goes
+ * back to pending with refund_error for an admin retry. $PHOS is owed until
+ * recordRefund.
+ *
+ * @param {object} license - licenses row (revoked)
+ * @param {number} [amount] - Defaults to the price paid
+ * @returns {Promise<{ success: boolean, license?: object, txHash?: string, pending?: boolean, unconfirmed?: boolean, claimed?: boolean, error?: string }>}
+ *   `claimed: false` when the refund is already being sent or was sent
+ */
+export async function refundLicense(license, amount = getLicensePrice(license).amount) {
+  const { currency } = getLicensePrice(license);
+  const refundAmount = currency === 'USDC' ? roundUsdc(amount) : amount;
+  if (!(refundAmount > 0)) {
+    return { success: true, license };
+  }
+
+  if (currency === 'PHOS') {
+    const owed = await updateLicense(license.id, UNCLAIMED_REFUND, {
+      refund_amount: refundAmount,
+      refund_currency: 'PHOS',
+      refund_status: 'pending',
+      refund_error: null
+    });
+    return { success: true, license: owed || license, pending: true };
+  }
+
+  if (!isPayoutConfigured()) {
+    const failed = await updateLicense(license.id, UNCLAIMED_REFUND, {
+      refund_amount: refundAmount,
+      refund_currency: 'USDC',
+      refund_status: 'pending',
+      refund_error: 'Payout wallet not configured'
+    });
+    return { success: false, license: failed || license, error: 'Payout wallet not configured' };
+  }
+
+  const claimed = await updateLicense(license.id, UNCLAIMED_REFUND, {
+    refund_amount: refundAmount,
+    refund_currency: 'USDC',
+    refund_status: 'sending',
+    refund_claimed_at: new Date().toISOString()
+  });
+  if (!claimed) {
+    return { success: false, claimed: false, license, error: 'Refund is already being sent or was sent' };
+  }
+
+  const sending = '&refund_status=eq.sending';
+  const payout = await sendUsdcPayout(license.licensee_wallet, refundAmount, {
+    onBroadcast: txHash => updateLicense(license.id, sending, { refund_tx_hash: txHash })
+      .catch(err => console.error('License refund hash not stored:', err.message))
+  });
+
+  if (payout.unconfirmed) {
+    // May still land: its receipt decides, it must not be sent again
+    const unconfirmed = await updateLicense(license.id, sending, {
+      refund_tx_hash: payout.txHash,
+      refund_error: payout.txHash
+        ? `Unconfirmed: ${payout.error}`
+        : 'Transfer may have been sent, check before retrying'
+    });
+    return { success: false, license: unconfirmed || claimed, unconfirmed: true, txHash: payout.txHash, error: payout.error };
+  }
+
+  if (!payout.success) {
+    const failed = await updateLicense(license.id, sending, {
+      refund_status: 'pending',
+      refund_tx_hash: null,
+      refund_error: payout.error
+    });
+    return { success: false, license: failed || claimed, error: payout.error };
+  }
+
+  const refunded = await updateLicense(license.id, sending, {
+    refund_status: 'refunded',
+    refund_tx_hash: payout.txHash,
+    refund_error: null,
+    refunded_at: new Date().toISOString()
+  });
+
+  return { success: true, license: refunded || claimed, txHash: payout.txHash };
+}
+
+/**
+ * Settle a refund left `sending` with a broadcast hash from its receipt
+ *
+ * A confirmed transfer marks it refunded; a reverted one sent nothing and
+ * goes back to pending for an admin retry.
+ *
+ * @param {object} license - licenses row in refund_status 'sending' with refund_tx_hash
+ * @returns {Promise<{ success: boolean, license: object, txHash?: string, unconfirmed?: boolean, error?: string }>}
+ */
+export async function confirmLicenseRefund(license) {
+  const outcome = await getTransferOutcome(license.refund_tx_hash);
+  if (!outcome) {
+    return { success: false, license, unconfirmed: true, txHash: license.refund_tx_hash, error: 'Refund is not confirmed yet' };
+  }
+
+  if (outcome === 'confirmed') {
+    const refunded = await updateLicense(license.id, '&refund_status=eq.sending', {
+      refund_status: 'refunded',
+      refund_error: null,
+      refunded_at: new Date().toISOString()
+    });
+    return { success: true, license: refunded || license, txHash: license.refund_tx_hash };
+  }
+
+  const error = `Transfer ${license.refund_tx_hash} reverted`;
+  const reverted = await updateLicense(license.id, '&refund_status=eq.sending', {
+    refund_status: 'pending',
+    refund_tx_hash: null,
+    refund_error: error
+  });
+  return { success: false, license: reverted || license, error };
+}
+
+/**
+ * Record a refund paid outside the platform wallet ($PHOS from the treasury)
+ *
+ * @param {object} license - licenses row with refund_amount set
+ * @param {string} txHash
+ * @returns {Promise<object|null>} Updated row, or null if already refunded
+ */
+export async function recordRefund(license, txHash) {
+  return updateLicense(license.id, '&refunded_at=is.null', {
+    refund_status: 'refunded',
+    refund_tx_hash: txHash.toLowerCase(),
+    refund_error: null,
+    refunded_at: new Date().toISOString()
+  });
+}
+
+// ==================== RESOLUTION ====================
+
+/**
+ * Resolve a dispute
+ *
+ * The dispute is closed first so two admins can't apply outcomes twice;
+ * then the license is revoked (and refunded) for revoke/refund. Both
+ * parties are notified.
+ *
+ * @param {object} dispute - license_disputes row
+ * @param {object} params
+ * @param {'revoke'|'refund'|'dismiss'} params.outcome
+ * @param {string|null} params.note - Resolution note shown to both parties
+ * @param {string} params.actor - Admin identity (getAdminSession)
+ * @param {number} [params.refundAmount] - For refund; defaults to the price paid
+ * @returns {Promise<{ success: boolean, dispute?: object, license?: object, refund?: object, error?: string, status?: number }>}
+ */
+export async function resolveDispute(dispute, { outcome, note, actor, refundAmount }) {
+  if (!canResolve(dispute, outcome)) {
+    return {
+      success: false,
+      error: dispute.status === 'resolved'
+        ? 'Dispute is already resolved'
+        : `The licensee can respond until ${dispute.respond_by}; only dismiss is possible before then`,
+      status: 409
+    };
+  }
+
+  const resolved = await updateDispute(dispute.id, '&status=in.(open,responded)', {
+    status: 'resolved',
+    outcome,
+    resolution_note: note,
+    resolved_by: actor,
+    resolved_at: new Date().toISOString()
+  });
+  if (!resolved) {
+    return { success: false, error: 'Dispute is already resolved', status: 409 };
+  }
+
+  let license = null;
+  let refund = null;
+
+  if (outcome !== 'dismiss') {
+    license = await getLicense(dispute.license_id);
+    const reason = `${DISPUTE_REASONS[dispute.reason]}${note ? ` — ${note}` : ''}`;
+    const revocation = license && await revokeLicense(license, reason);
+
+    if (revocation?.success) {
+      license = revocation.license;
+      if (outcome === 'refund') {
+        refund = await refundLicense(license, refundAmount);
+        license = refund.license || license;
+      }
+    }
+  }
+
+  const outcomeText = {
+    revoke: 'the license was revoked',
+    refund: 'the license was revoked and refunded',
+    dismiss: 'it was dismissed'
+  }[outcome];
+  const data = { dispute_id: resolved.id, license_id: resolved.license_id, outcome, note };
+
+  await notifyAgent({
+    agentId: resolved.artist_agent_id,
+    type: 'license_dispute_resolved',
+    title: 'Dispute resolved',
+    message: `Your dispute of license ${resolved.license_id.slice(0, 8)} was resolved: ${outcomeText}.`,
+    data
+  });
+  await notifyAgent({
+    wallet: resolved.licensee_wallet,
+    type: 'license_dispute_resolved',
+    title: 'Dispute resolved',
+    message: `The dispute of your license ${resolved.license_id.slice(0, 8)} was resolved: ${outcomeText}.${
+      refund?.pending ? ' Your refund will be sent from the treasury.' : refund && !refund.success ? ' Your refund is queued.' : ''
+    }`,
+    data: { ...data, refund_tx: refund?.txHash || null }
+  });
+
+  return { success: true, dispute: resolved, license, refund };
+}
@@ -0,0 +1,437 @@
+/**
+ * Artist License Offerings for Phosphors
+ *
+ * Artists publish their own license offerings per piece instead of the
+ * platform's default catalog (LICENSE_PRICES in /api/license). An offering
+ * sets the allowed uses, territory, duration, price ($PHOS or USDC) and an
+ * optional cap on concurrent licensees. Its base license type (personal,
+ * commercial, commercial_extended or exclusive) and scope drive the
+ * exclusivity rules in licenses.js.
+ *
+ * ## Flow:
+ * 1. Artist creates offerings with /api/license/offerings (or turns
+ *    licensing off for the piece)
+ * 2. A piece with active offerings licenses only through them:
+ *    POST /api/license { offering_id, ... }
+ * 3. The license stores a snapshot of the offering terms (getOfferingTerms),
+ *    so later edits don't change licenses already granted
+ * 4. $PHOS is paid to the treasury, USDC straight to the artist wallet
+ *
+ * ## Usage:
+ * ```javascript
+ * import { validateOffering } from './_lib/license-offerings.js';
+ *
+ * const { valid, offering, error } = validateOffering(req.body);
+ * ```
+ *
+ * @module license-offerings
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { LICENSE_SCOPES, COMMERCIAL_LICENSE_TYPES, isLicenseInForce } from './licenses.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Uses an offering can allow
+ * @constant {object}
+ */
+export const ALLOWED_USES = {
+  print: 'Prints and physical reproductions',
+  merchandise: 'Merchandise',
+  ai_training: 'AI model training',
+  derivative_works: 'Derivative works'
+};
+
+/**
+ * Currencies an offering can be priced in
+ * @constant {string[]}
+ */
+export const OFFERING_CURRENCIES = ['PHOS', 'USDC'];
+
+/**
+ * Offering duration bounds in days
+ * @constant {number}
+ */
+export const MIN_OFFERING_DURATION_DAYS = 1;
+export const MAX_OFFERING_DURATION_DAYS = 3650;
+
+/**
+ * Most active offerings per piece
+ * @constant {number}
+ */
+export const MAX_OFFERINGS_PER_PIECE = 10;
+
+const TERRITORY_PATTERN = /^[A-Z]{2}(,[A-Z]{2})*$/;
+
+// ==================== VALIDATION ====================
+
+/**
+ * Normalize a territory: 'worldwide' or ISO 3166-1 alpha-2 country codes
+ *
+ * @param {string} [territory]
+ * @returns {string|null} Normalized territory, or null if invalid
+ */
+export function normalizeTerritory(territory) {
+  if (territory === undefined || territory === null || territory === '') return 'worldwide';
+  if (typeof territory !== 'string' && !Array.isArray(territory)) return null;
+
+  const value = (Array.isArray(territory) ? territory.join(',') : territory)
+    .replace(/\s+/g, '')
+    .toUpperCase();
+  if (value === 'WORLDWIDE') return 'worldwide';
+
+  const codes = [...new Set(value.split(','))].join(',');
+  return TERRITORY_PATTERN.test(codes) ? codes : null;
+}
+
+/**
+ * Validate offering fields from a request
+ *
+ * @param {object} input - Request body fields
+ * @param {object} [existing] - Offering being updated (missing fields keep its values)
+ * @returns {{ valid: boolean, offering?: object, error?: string }} offering is a license_offerings row fragment
+ */
+export function validateOffering(input, existing = null) {
+  const pick = (key, column = key) => input[key] !== undefined ? input[key] : existing?.[column];
+
+  const name = String(pick('name') ?? '').trim();
+  if (!name || name.length > 80) {
+    return { valid: false, error: 'name is required (max 80 characters)' };
+  }
+
+  const description = pick('description');
+  if (description != null && (typeof description !== 'string' || description.length > 1000)) {
+    return { valid: false, error: 'description must be text (max 1000 characters)' };
+  }
+
+  const licenseType = pick('license_type') ?? 'commercial';
+  if (!['personal', ...COMMERCIAL_LICENSE_TYPES].includes(licenseType)) {
+    return { valid: false, error: `license_type must be personal or one of ${COMMERCIAL_LICENSE_TYPES.join(', ')}` };
+  }
+
+  const scope = pick('scope') ?? 'all';
+  if (!LICENSE_SCOPES[scope]) {
+    return { valid: false, error: `scope must be one of ${Object.keys(LICENSE_SCOPES).join(', ')}` };
+  }
+  if (licenseType === 'personal' && scope !== 'all') {
+    return { valid: false, error: 'Personal offerings have no commercial scope' };
+  }
+
+  const allowedUses = pick('allowed_uses') ?? [];
+  if (!Array.isArray(allowedUses) || allowedUses.some(use => !ALLOWED_USES[use])) {
+    return { valid: false, error: `allowed_uses must be a list of ${Object.keys(ALLOWED_USES).join(', ')}` };
+  }
+  if (licenseType !== 'personal' && allowedUses.length === 0) {
+    return { valid: false, error: 'Commercial offerings must allow at least one use' };
+  }
+
+  const territory = normalizeTerritory(pick('territory'));
+  if (!territory) {
+    return { valid: false, error: 'territory must be "worldwide" or ISO country codes (e.g. "US,CA")' };
+  }
+
+  const durationDays = Number(pick('duration_days') ?? 365);
+  if (!Number.isInteger(durationDays) || durationDays < MIN_OFFERING_DURATION_DAYS || durationDays > MAX_OFFERING_DURATION_DAYS) {
+    return { valid: false, error: `duration_days must be a whole number from ${MIN_OFFERING_DURATION_DAYS} to ${MAX_OFFERING_DURATION_DAYS}` };
+  }
+
+  const currency = String(pick('currency') ?? 'PHOS').toUpperCase();
+  if (!OFFERING_CURRENCIES.includes(currency)) {
+    return { valid: false, error: `currency must be ${OFFERING_CURRENCIES.join(' or ')}` };
+  }
+
+  const price = Number(pick('price'));
+  if (!Number.isFinite(price) || price < 0 || price > 1000000) {
+    return { valid: false, error: 'price must be a number from 0 to 1000000' };
+  }
+  if (currency === 'USDC' && Math.round(price * 1e6) / 1e6 !== price) {
+    return { valid: false, error: 'USDC prices have at most 6 decimals' };
+  }
+
+  const maxLicensees = pick('max_licensees');
+  if (maxLicensees != null && (!Number.isInteger(Number(maxLicensees)) || Number(maxLicensees) < 1)) {
+    return { valid: false, error: 'max_licensees must be a positive whole number (or null for no cap)' };
+  }
+
+  return {
+    valid: true,
+    offering: {
+      name,
+      description: description || null,
+      license_type: licenseType,
+      scope,
+      allowed_uses: allowedUses,
+      territory,
+      duration_days: durationDays,
+      price,
+      currency,
+      max_licensees: maxLicensees == null ? null : Number(maxLicensees)
+    }
+  };
+}
+
+// ==================== TERMS ====================
+
+/**
+ * Terms snapshot stored on a license granted through an offering
+ *
+ * @param {object} offering - license_offerings row
+ * @returns {object}
+ */
+export function getOfferingTerms(offering) {
+  return {
+    offering_id: offering.id,
+    name: offering.name,
+    description: offering.description || null,
+    allowed_uses: offering.allowed_uses || [],
+    territory: offering.territory || 'worldwide'
+  };
+}
+
+/**
+ * Rights of a license granted through an offering
+ *
+ * @param {object} terms - From getOfferingTerms
+ * @returns {{ allowed: string[], notAllowed: string[], territory: string }}
+ */
+export function getOfferingRights(terms) {
+  const uses = terms.allowed_uses || [];
+  return {
+    allowed: uses.length ? uses.map(use => ALLOWED_USES[use] || use) : ['Personal, non-commercial use'],
+    notAllowed: [
+      ...Object.keys(ALLOWED_USES).filter(use => !uses.includes(use)).map(use => ALLOWED_USES[use]),
+      'Any use not listed as allowed'
+    ],
+    territory: terms.territory || 'worldwide'
+  };
+}
+
+/**
+ * Public shape of an offering
+ *
+ * @param {object} row - license_offerings row
+ * @param {number} [licensees] - Licenses in force granted through it
+ * @returns {object}
+ */
+export function formatOffering(row, licensees = 0) {
+  return {
+    id: row.id,
+    pieceId: row.piece_id,
+    name: row.name,
+    description: row.description,
+    licenseType: row.license_type,
+    scope: row.scope,
+    allowedUses: row.allowed_uses,
+    territory: row.territory,
+    durationDays: row.duration_days,
+    price: Number(row.price),
+    currency: row.currency,
+    maxLicensees: row.max_licensees,
+    licensees,
+    remaining: row.max_licensees == null ? null : Math.max(0, row.max_licensees - licensees),
+    status: row.status,
+    createdAt: row.created_at
+  };
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Offerings of pieces
+ *
+ * @param {string[]} pieceIds
+ * @param {object} [options]
+ * @param {boolean} [options.activeOnly=true]
+ * @returns {Promise<object[]>} license_offerings rows
+ */
+export async function getOfferings(pieceIds, { activeOnly = true } = {}) {
+  if (!pieceIds.length) return [];
+
+  const res = await supabaseRequest(
+    `/rest/v1/license_offerings?piece_id=in.(${pieceIds.map(encodeURIComponent).join(',')})${activeOnly ? '&status=eq.active' : ''}&select=*&order=price.asc`
+  );
+  if (!res.ok) {
+    throw new Error(`Offering lookup failed: ${await res.text()}`);
+  }
+  return res.json();
+}
+
+/**
+ * Get an offering by ID
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>} license_offerings row
+ */
+export async function getOffering(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_offerings?id=eq.${encodeURIComponent(id)}&select=*&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Licenses in force per offering (what max_licensees caps)
+ *
+ * @param {string[]} offeringIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function countOfferingLicensees(offeringIds) {
+  const counts = new Map(offeringIds.map(id => [id, 0]));
+  if (!offeringIds.length) return counts;
+
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?offering_id=in.(${offeringIds.map(encodeURIComponent).join(',')})&status=eq.active&select=offering_id,status,expires_at`
+  );
+  if (!res.ok) {
+    throw new Error(`Offering licensee count failed: ${await res.text()}`);
+  }
+
+  const now = new Date();
+  for (const license of await res.json()) {
+    if (isLicenseInForce(license, now)) {
+      counts.set(license.offering_id, (counts.get(license.offering_id) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Active offerings of pieces in their public shape, grouped by piece
+ *
+ * @param {string[]} pieceIds
+ * @returns {Promise<Map<string, object[]>>}
+ */
+export async function getPublicOfferings(pieceIds) {
+  const offerings = await getOfferings(pieceIds);
+  const counts = await countOfferingLicensees(offerings.map(o => o.id));
+
+  const byPiece = new Map(pieceIds.map(id => [id, []]));
+  for (const offering of offerings) {
+    byPiece.get(offering.piece_id)?.push(formatOffering(offering, counts.get(offering.id) || 0));
+  }
+  return byPiece;
+}
+
+// ==================== ARTIST ACTIONS ====================
+
+/**
+ * Create an offering
+ *
+ * @param {string} pieceId
+ * @param {object} fields - From validateOffering
+ * @returns {Promise<{ success: boolean, offering?: object, error?: string }>}
+ */
+export async function createOffering(pieceId, fields) {
+  const existing = await getOfferings([pieceId]);
+  if (existing.length >= MAX_OFFERINGS_PER_PIECE) {
+    return { success: false, error: `A piece can have at most ${MAX_OFFERINGS_PER_PIECE} active offerings` };
+  }
+
+  const res = await supabaseRequest('/rest/v1/license_offerings', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({ piece_id: pieceId, ...fields, status: 'active' })
+  });
+
+  if (!res.ok) {
+    console.error('Offering insert failed:', await res.text());
+    return { success: false, error: 'Failed to create offering' };
+  }
+
+  const [offering] = await res.json();
+  return { success: true, offering };
+}
+
+/**
+ * Update an active offering. Licenses already granted keep their terms.
+ *
+ * @param {object} offering - license_offerings row
+ * @param {object} fields - From validateOffering(input, offering)
+ * @returns {Promise<{ success: boolean, offering?: object, error?: string }>}
+ */
+export async function updateOffering(offering, fields) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_offerings?id=eq.${encodeURIComponent(offering.id)}&status=eq.active`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...fields, updated_at: new Date().toISOString() })
+    }
+  );
+
+  if (!res.ok) {
+    console.error('Offering update failed:', await res.text());
+    return { success: false, error: 'Failed to update offering' };
+  }
+
+  const [updated] = await res.json();
+  if (!updated) {
+    return { success: false, error: 'Offering is archived' };
+  }
+  return { success: true, offering: updated };
+}
+
+/**
+ * Stop selling an offering. Licenses already granted stay valid but can't
+ * be renewed through it.
+ *
+ * @param {object} offering - license_offerings row
+ * @returns {Promise<{ success: boolean, offering?: object, error?: string }>}
+ */
+export async function archiveOffering(offering) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_offerings?id=eq.${encodeURIComponent(offering.id)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ status: 'archived', updated_at: new Date().toISOString() })
+    }
+  );
+
+  if (!res.ok) {
+    console.error('Offering archive failed:', await res.text());
+    return { success: false, error: 'Failed to archive offering' };
+  }
+
+  const [archived] = await res.json();
+  return { success: true, offering: archived || { ...offering, status: 'archived' } };
+}
+
+/**
+ * Turn licensing of a piece on or off
+ *
+ * @param {string} pieceId
+ * @param {boolean} licensable
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function setPieceLicensable(pieceId, licensable) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(pieceId)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({ licensable })
+    }
+  );
+
+  if (!res.ok) {
+    console.error('Licensable update failed:', await res.text());
+    return { success: false, error: 'Failed to update piece' };
+  }
+  return { success: true };
+}
@@ -0,0 +1,1053 @@
+/**
+ * LicensingRegistry Sync for Phosphors
+ *
+ * Keeps the `licenses` table and the LicensingRegistry contract in step,
+ * both ways:
+ *
+ * ## Chain → API (indexRegistryEvents):
+ * - LicensePurchased: a license bought directly on the contract is inserted
+ *   as a `source = 'chain'` license (terms read back with getLicense)
+ * - LicenseRecorded: links an API license the registrar recorded to its
+ *   registry ID (covers a confirmation that was lost)
+ * - LicenseRevoked: the linked license is revoked
+ * Only blocks at least SYNC_CONFIRMATIONS deep (or finalized) are indexed;
+ * the cursor per registry lives in `license_sync_state`.
+ *
+ * ## API → chain (processRegistrySync):
+ * API licenses flagged for registration (register_onchain, or every grant
+ * with LICENSE_REGISTER_ONCHAIN=true) are recorded by the minter wallet as
+ * registrar, and later renewals and releases are pushed as expiry updates
+ * and revocations. Each push compares against the contract first, so
+ * retrying never records twice.
+ *
+ * ## Ledger states (licenses.onchain_status):
+ * pending → sent → synced
+ * pending → (retry with backoff) → ... → failed (admin retry)
+ * A push is sent from its broadcast on; one whose wait timed out stays sent
+ * until confirmPush reads its receipt.
+ *
+ * ## Integrity (checkLicenseIntegrity):
+ * Compares linked licenses with the contract and looks for registry
+ * licenses with no row. Divergences are kept in `license_sync_issues`,
+ * resolved automatically once a later run no longer sees them.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { processLicenseSync } from './_lib/license-sync.js';
+ *
+ * const results = await processLicenseSync(); // scheduler
+ * ```
+ *
+ * @module license-sync
+ */
+
+import { Interface, MaxUint256, parseUnits, formatUnits, zeroPadValue } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+import { getChainClient, getNetworkConfig } from './chain.js';
+import { getMinterWallet } from './wallet.js';
+import { isPayoutConfigured, getRetryDelay, MAX_PAYOUT_ATTEMPTS } from './payouts.js';
+import { isValidUUID, auditLog } from './security.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * LicensingRegistry contract (sync is off when unset)
+ * @constant {string|null}
+ */
+export const LICENSING_REGISTRY = process.env.LICENSING_REGISTRY_ADDRESS?.toLowerCase() || null;
+
+/**
+ * Record every API license on the registry, not only those that ask
+ * @constant {boolean}
+ */
+export const REGISTER_ALL_LICENSES = process.env.LICENSE_REGISTER_ONCHAIN === 'true';
+
+/**
+ * Depth before registry events are indexed (when the chain has no finalized tag)
+ * @constant {number}
+ */
+const SYNC_CONFIRMATIONS = 30;
+
+/**
+ * Blocks per eth_getLogs request (public providers cap the range)
+ * @constant {number}
+ */
+const LOG_RANGE = 2000;
+
+/**
+ * Log ranges indexed per run
+ * @constant {number}
+ */
+const MAX_RANGES_PER_RUN = 10;
+
+/**
+ * Attempts before a push is marked failed and left for an admin
+ * @constant {number}
+ */
+export const MAX_SYNC_ATTEMPTS = MAX_PAYOUT_ATTEMPTS;
+
+/**
+ * How long a worker holds a license while pushing it (ms)
+ * @constant {number}
+ */
+const CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Registry licenses newer than this aren't reported missing yet: the
+ * indexer may simply not have reached their block (ms)
+ * @constant {number}
+ */
+const MISSING_AFTER_MS = 60 * 60 * 1000;
+
+/**
+ * Most recent registry license IDs checked for a missing row per run
+ * @constant {number}
+ */
+const MISSING_SCAN_WINDOW = 200;
+
+/**
+ * Expiry stored for the registry's Perpetual licenses
+ * @constant {string}
+ */
+export const PERPETUAL_EXPIRES_AT = '9999-12-31T23:59:59.000Z';
+
+/**
+ * Registry LicenseType enum, in order
+ * @constant {Array<string>}
+ */
+const CHAIN_LICENSE_TYPES = ['Personal', 'Commercial', 'Exclusive', 'Perpetual'];
+
+const registryInterface = new Interface([
+  'event LicensePurchased(uint256 indexed licenseId, string indexed pieceId, address indexed licensee, uint8 licenseType, uint256 price, uint256 expirationTime)',
+  'event LicenseRecorded(uint256 indexed licenseId, string indexed pieceId, address indexed licensee, uint8 licenseType, uint256 expirationTime, bytes32 externalId)',
+  'event LicenseRevoked(uint256 indexed licenseId, string reason)',
+  'function getLicense(uint256 licenseId) view returns (address licensee, string pieceId, uint8 licenseType, uint256 purchaseTime, uint256 expirationTime, uint256 pricePaid, bool isValid)',
+  'function nextLicenseId() view returns (uint256)',
+  'function recordLicense(address licensee, string pieceId, uint8 licenseType, uint256 expirationTime, uint256 pricePaid, bytes32 externalId) returns (uint256)',
+  'function updateLicenseExpiration(uint256 licenseId, uint256 expirationTime)',
+  'function revokeLicense(uint256 licenseId, string reason)'
+]);
+
+/**
+ * ABI of the registrar calls, for the minter wallet
+ * @constant {Array}
+ */
+const REGISTRAR_ABI = JSON.parse(registryInterface.formatJson())
+  .filter(f => ['recordLicense', 'updateLicenseExpiration', 'revokeLicense'].includes(f.name));
+
+const EVENT_TOPICS = {
+  LicensePurchased: registryInterface.getEvent('LicensePurchased').topicHash,
+  LicenseRecorded: registryInterface.getEvent('LicenseRecorded').topicHash,
+  LicenseRevoked: registryInterface.getEvent('LicenseRevoked').topicHash
+};
+
+// ==================== HELPERS ====================
+
+/**
+ * Whether a registry is configured
+ * @returns {boolean}
+ */
+export function isRegistrySyncEnabled() {
+  return !!LICENSING_REGISTRY;
+}
+
+/**
+ * Registry license type of an API license
+ *
+ * commercial_extended is a longer Commercial license on-chain; scopes don't
+ * exist there.
+ *
+ * @param {object} license - licenses row
+ * @returns {number} LicenseType enum value
+ */
+export function toChainLicenseType(license) {
+  if (license.expires_at && new Date(license.expires_at) >= new Date(PERPETUAL_EXPIRES_AT)) return 3;
+  if (license.license_type === 'personal') return 0;
+  if (license.license_type === 'exclusive') return 2;
+  return 1;
+}
+
+/**
+ * API license type of a registry license
+ * @param {number} chainType - LicenseType enum value
+ * @returns {string}
+ */
+export function fromChainLicenseType(chainType) {
+  return ['personal', 'commercial', 'exclusive', 'commercial'][chainType] || 'commercial';
+}
+
+function toChainExpiry(expiresAt) {
+  const date = new Date(expiresAt);
+  if (date >= new Date(PERPETUAL_EXPIRES_AT)) return MaxUint256;
+  return BigInt(Math.floor(date.getTime() / 1000));
+}
+
+function fromChainExpiry(expirationTime) {
+  if (expirationTime === MaxUint256) return PERPETUAL_EXPIRES_AT;
+  return new Date(Number(expirationTime) * 1000).toISOString();
+}
+
+/**
+ * bytes32 external ID of an API license (its UUID, left-padded)
+ * @param {string} licenseId
+ * @returns {string}
+ */
+export function toExternalId(licenseId) {
+  return zeroPadValue('0x' + licenseId.replace(/-/g, ''), 32);
+}
+
+/**
+ * API license ID from a bytes32 external ID
+ * @param {string} externalId
+ * @returns {string|null}
+ */
+export function fromExternalId(externalId) {
+  const hex = externalId.slice(-32);
+  const uuid = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  return isValidUUID(uuid) ? uuid : null;
+}
+
+/**
+ * Public shape of a license's registry link
+ *
+ * @param {object} license - licenses row
+ * @returns {object|null} null when the license isn't on the registry
+ */
+export function formatOnchain(license) {
+  if (license.onchain_license_id == null && !license.onchain_status) return null;
+  return {
+    registry: LICENSING_REGISTRY,
+    licenseId: license.onchain_license_id ?? null,
+    status: license.onchain_status || 'synced',
+    txHash: license.onchain_tx_hash || null,
+    explorer: license.onchain_tx_hash
+      ? `${getNetworkConfig().explorer}/tx/${license.onchain_tx_hash}`
+      : null
+  };
+}
+
+/**
+ * Fields that queue a license for registration at grant time
+ * @returns {object}
+ */
+export function getRegistrationFields() {
+  return {
+    onchain_status: 'pending',
+    onchain_next_attempt_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Fields that queue a push after a license changed (renewal, release),
+ * or nothing when the license isn't on the registry
+ *
+ * @param {object} license - licenses row before the change
+ * @returns {object}
+ */
+export function getResyncFields(license) {
+  if (license.onchain_license_id == null || !LICENSING_REGISTRY) return {};
+  return {
+    onchain_status: 'pending',
+    onchain_attempts: 0,
+    onchain_error: null,
+    onchain_next_attempt_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Read a registry license
+ *
+ * @param {number|string|bigint} onchainId
+ * @returns {Promise<object|null>} null if it doesn't exist
+ */
+export async function getRegistryLicense(onchainId) {
+  const data = await getChainClient().call({
+    to: LICENSING_REGISTRY,
+    data: registryInterface.encodeFunctionData('getLicense', [onchainId])
+  });
+  const [licensee, pieceId, licenseType, purchaseTime, expirationTime, pricePaid, isValid] =
+    registryInterface.decodeFunctionResult('getLicense', data);
+
+  if (BigInt(licensee) === 0n) return null;
+
+  return {
+    id: Number(onchainId),
+    licensee: licensee.toLowerCase(),
+    pieceId,
+    licenseType: Number(licenseType),
+    purchaseTime: new Date(Number(purchaseTime) * 1000).toISOString(),
+    expirationTime,
+    expiresAt: fromChainExpiry(expirationTime),
+    pricePaid,
+    isValid,
+    // getLicense has no isActive: a license that is invalid before it expires was revoked
+    isActive: isValid || expirationTime * 1000n <= BigInt(Date.now())
+  };
+}
+
+async function getNextLicenseId() {
+  const data = await getChainClient().call({
+    to: LICENSING_REGISTRY,
+    data: registryInterface.encodeFunctionData('nextLicenseId', [])
+  });
+  return Number(registryInterface.decodeFunctionResult('nextLicenseId', data)[0]);
+}
+
+async function updateLicense(licenseId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/licenses?id=eq.${encodeURIComponent(licenseId)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(updates)
+    });
+
+    if (!res.ok) {
+      console.error('License sync update failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('License sync update error:', err.message);
+    return null;
+  }
+}
+
+async function getLicenseByOnchainId(onchainId) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?onchain_license_id=eq.${onchainId}&select=id,status&limit=1`
+  );
+  if (!res.ok) throw new Error(`License lookup failed: ${await res.text()}`);
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+// ==================== CHAIN → API ====================
+
+async function getCursor() {
+  const res = await supabaseRequest(
+    `/rest/v1/license_sync_state?id=eq.${encodeURIComponent(`registry:${LICENSING_REGISTRY}`)}&select=last_block`
+  );
+  if (!res.ok) throw new Error(`Sync cursor lookup failed: ${await res.text()}`);
+  const [row] = await res.json();
+  return row ? Number(row.last_block) : null;
+}
+
+async function saveCursor(block) {
+  const res = await supabaseRequest('/rest/v1/license_sync_state', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=minimal,resolution=merge-duplicates'
+    },
+    body: JSON.stringify({
+      id: `registry:${LICENSING_REGISTRY}`,
+      last_block: block,
+      updated_at: new Date().toISOString()
+    })
+  });
+  if (!res.ok) throw new Error(`Sync cursor update failed: ${await res.text()}`);
+}
+
+/**
+ * Index a license bought on the contract
+ *
+ * @param {number} onchainId
+ * @param {string} txHash - Purchase transaction
+ * @returns {Promise<'indexed'|'known'|'skipped'>}
+ */
+async function indexPurchase(onchainId, txHash) {
+  if (await getLicenseByOnchainId(onchainId)) return 'known';
+
+  const onchain = await getRegistryLicense(onchainId);
+  if (!onchain) return 'skipped';
+
+  const subject = `onchain:${onchainId}`;
+  const pieceRes = isValidUUID(onchain.pieceId)
+    ? await supabaseRequest(`/rest/v1/submissions?id=eq.${encodeURIComponent(onchain.pieceId)}&select=id&limit=1`)
+    : null;
+  const [piece] = pieceRes?.ok ? await pieceRes.json() : [];
+
+  if (!piece) {
+    await reportIssues(subject, { onchainLicenseId: onchainId }, [
+      { kind: 'unindexable', details: { reason: 'unknown_piece', pieceId: onchain.pieceId, txHash } }
+    ]);
+    return 'skipped';
+  }
+
+  const durationMs = new Date(onchain.expiresAt) - new Date(onchain.purchaseTime);
+  const res = await supabaseRequest('/rest/v1/licenses', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation,resolution=ignore-duplicates'
+    },
+    body: JSON.stringify({
+      piece_id: piece.id,
+      licensee_wallet: onchain.licensee,
+      license_type: fromChainLicenseType(onchain.licenseType),
+      scope: 'all',
+      duration_days: Math.max(1, Math.round(durationMs / (24 * 60 * 60 * 1000))),
+      phos_paid: Number(formatUnits(onchain.pricePaid, 18)),
+      currency: 'PHOS',
+      tx_hash: txHash.toLowerCase(),
+      created_at: onchain.purchaseTime,
+      expires_at: onchain.expiresAt,
+      status: onchain.isActive ? 'active' : 'revoked',
+      source: 'chain',
+      onchain_license_id: onchainId,
+      onchain_synced_at: new Date().toISOString()
+    })
+  });
+
+  if (!res.ok) {
+    const error = await res.text();
+    // An exclusive license granted through the API already covers the piece
+    const reason = error.includes('exclusive_license_conflict') ? 'exclusive_conflict' : 'insert_failed';
+    console.error(`Registry license #${onchainId} not indexed:`, error);
+    await reportIssues(subject, { onchainLicenseId: onchainId }, [
+      { kind: 'unindexable', details: { reason, pieceId: onchain.pieceId, licensee: onchain.licensee, txHash } }
+    ]);
+    return 'skipped';
+  }
+
+  await reportIssues(subject, { onchainLicenseId: onchainId }, []);
+  await auditLog('LICENSE_INDEXED_FROM_CHAIN', {
+    onchainLicenseId: onchainId,
+    pieceId: piece.id,
+    licensee: onchain.licensee,
+    type: CHAIN_LICENSE_TYPES[onchain.licenseType],
+    txHash
+  });
+  return 'indexed';
+}
+
+/**
+ * Link an API license to the registry license the registrar recorded
+ *
+ * @param {number} onchainId
+ * @param {string} externalId
+ * @param {string} txHash
+ * @returns {Promise<boolean>} Whether a license was linked
+ */
+async function linkRecordedLicense(onchainId, externalId, txHash) {
+  const licenseId = fromExternalId(externalId);
+  if (!licenseId) return false;
+
+  const linked = await updateLicense(licenseId, '&onchain_license_id=is.null', {
+    onchain_license_id: onchainId,
+    onchain_tx_hash: txHash.toLowerCase(),
+    onchain_status: 'synced',
+    onchain_error: null,
+    onchain_next_attempt_at: null,
+    onchain_synced_at: new Date().toISOString()
+  });
+  return !!linked;
+}
+
+/**
+ * Revoke the license linked to a revoked registry license
+ *
+ * Released API licenses are pushed as revocations too; they keep their
+ * status, only licenses still active or expired become revoked.
+ *
+ * @param {number} onchainId
+ * @param {string} reason
+ * @returns {Promise<boolean>} Whether a license was revoked
+ */
+async function applyRevocation(onchainId, reason) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/licenses?onchain_license_id=eq.${onchainId}&status=in.(active,expired)`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ status: 'revoked', notes: `Revoked on-chain: ${reason}`.slice(0, 500) })
+      }
+    );
+    if (!res.ok) {
+      console.error('License revocation sync failed:', await res.text());
+      return false;
+    }
+    const [revoked] = await res.json();
+    if (revoked) {
+      await auditLog('LICENSE_REVOKED_FROM_CHAIN', { licenseId: revoked.id, onchainLicenseId: onchainId, reason });
+    }
+    return !!revoked;
+  } catch (err) {
+    console.error('License revocation sync error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Index registry events since the last run (scheduler)
+ *
+ * @returns {Promise<{ fromBlock: number|null, toBlock: number|null, indexed: number, linked: number, revoked: number, skipped: number }>}
+ */
+export async function indexRegistryEvents() {
+  const results = { fromBlock: null, toBlock: null, indexed: 0, linked: 0, revoked: 0, skipped: 0 };
+  const chain = getChainClient();
+
+  const head = await chain.getBlockNumber();
+  const finalized = await chain.getFinalizedBlockNumber().catch(() => null);
+  const safeHead = finalized ?? head - SYNC_CONFIRMATIONS;
+
+  let cursor = await getCursor();
+  if (cursor === null) {
+    const start = parseInt(process.env.LICENSING_REGISTRY_START_BLOCK, 10);
+    if (Number.isNaN(start)) {
+      // Nothing to go on: index from now and say so
+      console.warn('LICENSING_REGISTRY_START_BLOCK not set; indexing registry events from block', safeHead);
+      await saveCursor(safeHead);
+      return { ...results, fromBlock: safeHead, toBlock: safeHead };
+    }
+    cursor = start - 1;
+  }
+
+  for (let range = 0; range < MAX_RANGES_PER_RUN && cursor < safeHead; range++) {
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(cursor + LOG_RANGE, safeHead);
+
+    const logs = await chain.getLogs({
+      address: LICENSING_REGISTRY,
+      topics: [Object.values(EVENT_TOPICS)],
+      fromBlock,
+      toBlock
+    });
+
+    for (const log of logs) {
+      const event = registryInterface.parseLog(log);
+      if (!event) continue;
+      const onchainId = Number(event.args.licenseId);
+
+      if (event.name === 'LicensePurchased') {
+        const outcome = await indexPurchase(onchainId, log.transactionHash);
+        if (outcome === 'indexed') results.indexed++;
+        if (outcome === 'skipped') results.skipped++;
+      } else if (event.name === 'LicenseRecorded') {
+        if (await linkRecordedLicense(onchainId, event.args.externalId, log.transactionHash)) results.linked++;
+      } else if (event.name === 'LicenseRevoked') {
+        if (await applyRevocation(onchainId, event.args.reason)) results.revoked++;
+      }
+    }
+
+    // The cursor only moves past a range once all of its events are handled
+    await saveCursor(toBlock);
+    results.fromBlock ??= fromBlock;
+    results.toBlock = toBlock;
+    cursor = toBlock;
+  }
+
+  return results;
+}
+
+// ==================== API → CHAIN ====================
+
+/**
+ * What the registry should do for a license, given its on-chain state
+ *
+ * @param {object} license - licenses row
+ * @param {object|null} onchain - getRegistryLicense() result
+ * @returns {{ method: string, args: object }|null} null when already in sync
+ */
+export function getSyncAction(license, onchain) {
+  const ended = license.status === 'revoked' || license.status === 'released';
+
+  if (!onchain) {
+    // recordLicense refuses a past expiry, so a license in its grace period stays off-chain
+    if (ended || new Date(license.expires_at) <= new Date()) return null;
+    return {
+      method: 'recordLicense',
+      args: {
+        licensee: license.licensee_wallet,
+        pieceId: license.piece_id,
+        licenseType: String(toChainLicenseType(license)),
+        expirationTime: toChainExpiry(license.expires_at).toString(),
+        pricePaid: parseUnits(String(license.phos_paid || 0), 18).toString(),
+        externalId: toExternalId(license.id)
+      }
+    };
+  }
+
+  if (ended) {
+    return onchain.isValid
+      ? { method: 'revokeLicense', args: { licenseId: String(onchain.id), reason: `License ${license.status}` } }
+      : null;
+  }
+
+  if (onchain.isActive && toChainExpiry(license.expires_at) !== onchain.expirationTime) {
+    return {
+      method: 'updateLicenseExpiration',
+      args: { licenseId: String(onchain.id), expirationTime: toChainExpiry(license.expires_at).toString() }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Try to push one pending license to the registry
+ *
+ * Claims the license first (pushes onchain_next_attempt_at out), so
+ * concurrent workers never send it twice. It is 'sent' with its
+ * onchain_tx_hash as soon as the transaction is broadcast, so a push whose
+ * wait times out is settled by confirmPush rather than pushed again. On
+ * failure it goes back to pending with exponential backoff, or to failed
+ * once MAX_SYNC_ATTEMPTS is reached.
+ *
+ * @param {object} license - licenses row with onchain_status 'pending'
+ * @returns {Promise<object>} The license after the attempt (unchanged if it wasn't due)
+ */
+export async function pushLicense(license) {
+  const now = new Date();
+
+  if (!isPayoutConfigured()) {
+    return await updateLicense(license.id, '&onchain_status=eq.pending', {
+      onchain_error: 'Registrar wallet not configured',
+      onchain_next_attempt_at: new Date(now.getTime() + getRetryDelay(1)).toISOString()
+    }) || license;
+  }
+
+  const claimed = await updateLicense(license.id, `&onchain_status=eq.pending&onchain_next_attempt_at=lte.${now.toISOString()}`, {
+    onchain_attempts: license.onchain_attempts + 1,
+    onchain_next_attempt_at: new Date(now.getTime() + CLAIM_MS).toISOString()
+  });
+  if (!claimed) return license;
+
+  let error;
+  try {
+    const onchain = claimed.onchain_license_id != null
+      ? await getRegistryLicense(claimed.onchain_license_id)
+      : null;
+    const action = getSyncAction(claimed, onchain);
+
+    if (!action) {
+      // Already in sync, or ended before it was ever recorded
+      return await updateLicense(claimed.id, '', {
+        onchain_status: claimed.onchain_license_id != null ? 'synced' : null,
+        onchain_error: null,
+        onchain_next_attempt_at: null,
+        onchain_synced_at: claimed.onchain_license_id != null ? new Date().toISOString() : null
+      }) || claimed;
+    }
+
+    const { wallet, error: walletError } = await getMinterWallet();
+    if (walletError) throw new Error(walletError);
+
+    console.log(`📜 ${action.method} for license ${claimed.id}...`);
+
+    const invocation = await wallet.invokeContract({
+      contractAddress: LICENSING_REGISTRY,
+      method: action.method,
+      args: action.args,
+      abi: REGISTRAR_ABI
+    });
+
+    // Once broadcast the license is 'sent': if waiting for the transaction
+    // fails, confirmPush settles it from its receipt instead of pushing again
+    const broadcastHash = invocation.getTransactionHash()?.toLowerCase() || null;
+    if (broadcastHash) {
+      await updateLicense(claimed.id, '&onchain_status=eq.pending', {
+        onchain_status: 'sent',
+        onchain_tx_hash: broadcastHash,
+        onchain_next_attempt_at: new Date().toISOString()
+      });
+    }
+
+    let result;
+    try {
+      result = await invocation.wait();
+    } catch (err) {
+      console.error(`⚠️ Registry sync of license ${claimed.id} unconfirmed:`, err.message);
+      if (!broadcastHash) {
+        return await updateLicense(claimed.id, '', {
+          onchain_status: 'failed',
+          onchain_error: `Unconfirmed: ${err.message}. ${action.method} may have been sent, check before retrying`,
+          onchain_next_attempt_at: null
+        }) || claimed;
+      }
+      return await updateLicense(claimed.id, '&onchain_status=eq.sent', {
+        onchain_error: `Unconfirmed: ${err.message}`
+      }) || { ...claimed, onchain_status: 'sent', onchain_tx_hash: broadcastHash };
+    }
+
+    if (result.getStatus() !== 'complete') {
+      throw new Error(`${action.method} failed with status: ${result.getStatus()}`);
+    }
+
+    const txHash = result.getTransaction().getTransactionHash();
+    return await updateLicense(claimed.id, '&onchain_status=in.(pending,sent)', {
+      onchain_status: 'sent',
+      onchain_tx_hash: txHash.toLowerCase(),
+      onchain_error: null,
+      onchain_next_attempt_at: new Date().toISOString()
+    }) || { ...claimed, onchain_status: 'sent', onchain_tx_hash: txHash };
+  } catch (err) {
+    console.error(`❌ Registry sync of license ${claimed.id} failed:`, err.message);
+    error = err.message || 'Registry sync failed';
+  }
+
+  const exhausted = claimed.onchain_attempts >= MAX_SYNC_ATTEMPTS;
+  return await updateLicense(claimed.id, '&onchain_status=in.(pending,sent)', {
+    onchain_status: exhausted ? 'failed' : 'pending',
+    onchain_error: error,
+    onchain_next_attempt_at: exhausted ? null : new Date(Date.now() + getRetryDelay(claimed.onchain_attempts)).toISOString()
+  }) || claimed;
+}
+
+/**
+ * Check a sent push's receipt
+ *
+ * A successful receipt marks the license synced (and links the registry ID
+ * of a fresh record). If the license changed while the transaction was in
+ * flight it goes back to pending so the change is pushed too; a reverted
+ * transaction also goes back to pending.
+ *
+ * @param {object} license - licenses row with onchain_status 'sent'
+ * @returns {Promise<object>} The license after the check
+ */
+export async function confirmPush(license) {
+  try {
+    const receipt = await getChainClient().getTransactionReceipt(license.onchain_tx_hash);
+    if (!receipt) return license;
+
+    if (receipt.status !== '0x1') {
+      return await updateLicense(license.id, '&onchain_status=eq.sent', {
+        onchain_status: 'pending',
+        onchain_error: `Transaction ${license.onchain_tx_hash} reverted`,
+        onchain_next_attempt_at: new Date().toISOString()
+      }) || license;
+    }
+
+    let onchainId = license.onchain_license_id;
+    if (onchainId == null) {
+      const recorded = receipt.logs
+        .filter(log => log.address?.toLowerCase() === LICENSING_REGISTRY && log.topics?.[0] === EVENT_TOPICS.LicenseRecorded)
+        .map(log => registryInterface.parseLog(log))
+        .find(event => fromExternalId(event.args.externalId) === license.id);
+      onchainId = recorded ? Number(recorded.args.licenseId) : null;
+    }
+
+    const onchain = onchainId != null ? await getRegistryLicense(onchainId) : null;
+    const inSync = onchain && !getSyncAction(license, onchain);
+
+    return await updateLicense(license.id, '&onchain_status=eq.sent', {
+      onchain_license_id: onchainId,
+      onchain_status: inSync ? 'synced' : 'pending',
+      onchain_attempts: inSync ? license.onchain_attempts : 0,
+      onchain_next_attempt_at: inSync ? null : new Date().toISOString(),
+      onchain_synced_at: inSync ? new Date().toISOString() : license.onchain_synced_at || null
+    }) || license;
+  } catch (err) {
+    console.error('Registry sync receipt check failed:', err.message);
+    return license;
+  }
+}
+
+/**
+ * Force a retry of a pending or failed push now (admin)
+ *
+ * @param {string} licenseId
+ * @returns {Promise<object|null>} The license after the attempt, or null if it can't be retried
+ */
+export async function retryLicenseSync(licenseId) {
+  const reset = await updateLicense(licenseId, '&onchain_status=in.(pending,failed)', {
+    onchain_status: 'pending',
+    onchain_next_attempt_at: new Date().toISOString()
+  });
+  if (!reset) return null;
+
+  // A failed license gets one more attempt before failing again
+  return pushLicense({ ...reset, onchain_attempts: Math.min(reset.onchain_attempts, MAX_SYNC_ATTEMPTS - 1) });
+}
+
+/**
+ * Push due licenses and confirm sent ones (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ sent: number, synced: number, retrying: number, failed: number, confirmed: number }>}
+ */
+export async function processRegistrySync({ limit = 25 } = {}) {
+  const results = { sent: 0, synced: 0, retrying: 0, failed: 0, confirmed: 0 };
+  const now = new Date().toISOString();
+
+  const sentRes = await supabaseRequest(
+    `/rest/v1/licenses?onchain_status=eq.sent&select=*&order=onchain_next_attempt_at.asc&limit=${limit}`
+  );
+  for (const license of sentRes.ok ? await sentRes.json() : []) {
+    const checked = await confirmPush(license);
+    if (checked.onchain_status === 'synced') results.confirmed++;
+  }
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/licenses?onchain_status=eq.pending&onchain_next_attempt_at=lte.${now}&select=*&order=onchain_next_attempt_at.asc&limit=${limit}`
+  );
+  for (const license of dueRes.ok ? await dueRes.json() : []) {
+    const attempt = await pushLicense(license);
+    if (attempt.onchain_status === 'sent') {
+      results.sent++;
+    } else if (attempt.onchain_status === 'synced' || attempt.onchain_status === null) {
+      results.synced++;
+    } else if (attempt.onchain_status === 'failed') {
+      results.failed++;
+    } else {
+      results.retrying++;
+    }
+  }
+
+  return results;
+}
+
+// ==================== INTEGRITY ====================
+
+/**
+ * Divergences between a linked license and its registry license
+ *
+ * @param {object} license - licenses row with onchain_license_id
+ * @param {object|null} onchain - getRegistryLicense() result
+ * @returns {Array<{ kind: string, details: object }>}
+ */
+export function findDivergences(license, onchain) {
+  if (!onchain) {
+    return [{ kind: 'missing_onchain', details: { onchainLicenseId: license.onchain_license_id } }];
+  }
+
+  const issues = [];
+  if (onchain.licensee !== license.licensee_wallet?.toLowerCase()) {
+    issues.push({ kind: 'licensee_mismatch', details: { offchain: license.licensee_wallet, onchain: onchain.licensee } });
+  }
+  if (onchain.pieceId !== license.piece_id) {
+    issues.push({ kind: 'piece_mismatch', details: { offchain: license.piece_id, onchain: onchain.pieceId } });
+  }
+  if (onchain.licenseType !== toChainLicenseType(license)) {
+    issues.push({
+      kind: 'type_mismatch',
+      details: { offchain: license.license_type, onchain: CHAIN_LICENSE_TYPES[onchain.licenseType] }
+    });
+  }
+
+  const ended = license.status === 'revoked' || license.status === 'released';
+  if (ended ? onchain.isValid : !onchain.isActive) {
+    issues.push({
+      kind: 'status_mismatch',
+      details: { offchain: license.status, onchain: onchain.isActive ? 'active' : 'revoked' }
+    });
+  }
+  if (!ended && onchain.isActive && toChainExpiry(license.expires_at) !== onchain.expirationTime) {
+    issues.push({ kind: 'expiry_mismatch', details: { offchain: license.expires_at, onchain: onchain.expiresAt } });
+  }
+
+  return issues;
+}
+
+/**
+ * Store the current divergences of one subject
+ *
+ * Opens (or reopens) each one and resolves the subject's other open issues.
+ *
+ * @param {string} subject - 'license:<uuid>' or 'onchain:<id>'
+ * @param {object} refs - { licenseId, onchainLicenseId }
+ * @param {Array<{ kind: string, details: object }>} issues
+ * @returns {Promise<{ opened: Array<string>, resolved: number }>}
+ */
+async function reportIssues(subject, { licenseId = null, onchainLicenseId = null }, issues) {
+  const now = new Date().toISOString();
+  const outcome = { opened: [], resolved: 0 };
+
+  const openRes = await supabaseRequest(
+    `/rest/v1/license_sync_issues?subject=eq.${encodeURIComponent(subject)}&resolved_at=is.null&select=kind`
+  );
+  const open = new Set((openRes.ok ? await openRes.json() : []).map(i => i.kind));
+
+  if (issues.length > 0) {
+    const res = await supabaseRequest('/rest/v1/license_sync_issues?on_conflict=subject,kind', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal,resolution=merge-duplicates'
+      },
+      body: JSON.stringify(issues.map(issue => ({
+        subject,
+        kind: issue.kind,
+        license_id: licenseId,
+        onchain_license_id: onchainLicenseId,
+        details: issue.details,
+        last_seen_at: now,
+        resolved_at: null
+      })))
+    });
+    if (!res.ok) {
+      console.error('License sync issue upsert failed:', await res.text());
+    }
+    outcome.opened = issues.map(i => i.kind).filter(kind => !open.has(kind));
+  }
+
+  const stale = [...open].filter(kind => !issues.some(i => i.kind === kind));
+  if (stale.length > 0) {
+    const res = await supabaseRequest(
+      `/rest/v1/license_sync_issues?subject=eq.${encodeURIComponent(subject)}&kind=in.(${stale.join(',')})&resolved_at=is.null`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ resolved_at: now })
+      }
+    );
+    if (res.ok) outcome.resolved = stale.length;
+  }
+
+  return outcome;
+}
+
+/**
+ * Compare licenses with the registry and record divergences (scheduler)
+ *
+ * Checks the linked licenses checked longest ago, failed registrations and
+ * the most recent registry licenses with no row. Licenses with a push in
+ * flight are skipped: they are expected to differ until it lands.
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ checked: number, opened: number, resolved: number, issues: object }>}
+ */
+export async function checkLicenseIntegrity({ limit = 100 } = {}) {
+  const results = { checked: 0, opened: 0, resolved: 0, issues: {} };
+  const now = new Date().toISOString();
+
+  const tally = async (subject, refs, issues) => {
+    const outcome = await reportIssues(subject, refs, issues);
+    results.checked++;
+    results.opened += outcome.opened.length;
+    results.resolved += outcome.resolved;
+    for (const issue of issues) {
+      results.issues[issue.kind] = (results.issues[issue.kind] || 0) + 1;
+    }
+    if (outcome.opened.length > 0) {
+      await auditLog('LICENSE_SYNC_DIVERGENCE', { subject, ...refs, kinds: outcome.opened });
+    }
+  };
+
+  // Linked licenses
+  const linkedRes = await supabaseRequest(
+    `/rest/v1/licenses?onchain_license_id=not.is.null&or=(onchain_status.is.null,onchain_status.in.(synced,failed))` +
+    `&select=*&order=onchain_checked_at.asc.nullsfirst&limit=${limit}`
+  );
+  for (const license of linkedRes.ok ? await linkedRes.json() : []) {
+    let onchain;
+    try {
+      onchain = await getRegistryLicense(license.onchain_license_id);
+    } catch (err) {
+      console.error(`Registry read of license #${license.onchain_license_id} failed:`, err.message);
+      continue;
+    }
+
+    const issues = findDivergences(license, onchain);
+    if (license.onchain_status === 'failed') {
+      issues.push({ kind: 'registration_failed', details: { error: license.onchain_error } });
+    }
+    await tally(`license:${license.id}`, { licenseId: license.id, onchainLicenseId: license.onchain_license_id }, issues);
+    await updateLicense(license.id, '', { onchain_checked_at: now });
+  }
+
+  // Registrations that never made it
+  const failedRes = await supabaseRequest(
+    `/rest/v1/licenses?onchain_status=eq.failed&onchain_license_id=is.null&select=id,onchain_error&limit=${limit}`
+  );
+  for (const license of failedRes.ok ? await failedRes.json() : []) {
+    await tally(`license:${license.id}`, { licenseId: license.id }, [
+      { kind: 'registration_failed', details: { error: license.onchain_error } }
+    ]);
+  }
+
+  // Registry licenses with no row
+  const next = await getNextLicenseId();
+  const from = Math.max(0, next - MISSING_SCAN_WINDOW);
+  if (next > from) {
+    const knownRes = await supabaseRequest(
+      `/rest/v1/licenses?onchain_license_id=gte.${from}&onchain_license_id=lt.${next}&select=onchain_license_id`
+    );
+    const known = new Set((knownRes.ok ? await knownRes.json() : []).map(l => Number(l.onchain_license_id)));
+    const cutoff = Date.now() - MISSING_AFTER_MS;
+
+    for (let id = from; id < next; id++) {
+      if (known.has(id)) continue;
+
+      const onchain = await getRegistryLicense(id).catch(() => null);
+      if (!onchain || new Date(onchain.purchaseTime).getTime() > cutoff) continue;
+
+      const subject = `onchain:${id}`;
+      const indexedRes = await supabaseRequest(
+        `/rest/v1/license_sync_issues?subject=eq.${subject}&kind=eq.unindexable&resolved_at=is.null&select=id&limit=1`
+      );
+      // The indexer already explained why it has no row
+      if (indexedRes.ok && (await indexedRes.json()).length > 0) continue;
+
+      await tally(subject, { onchainLicenseId: id }, [{
+        kind: 'missing_offchain',
+        details: {
+          pieceId: onchain.pieceId,
+          licensee: onchain.licensee,
+          type: CHAIN_LICENSE_TYPES[onchain.licenseType],
+          expiresAt: onchain.expiresAt
+        }
+      }]);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * List divergences (admin)
+ *
+ * @param {object} [options]
+ * @param {'open'|'resolved'} [options.state='open']
+ * @param {string} [options.kind]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<object>>}
+ */
+export async function getSyncIssues({ state = 'open', kind, limit = 50 } = {}) {
+  let query = `/rest/v1/license_sync_issues?select=*&order=last_seen_at.desc&limit=${Math.min(limit, 200)}`;
+  query += state === 'resolved' ? '&resolved_at=not.is.null' : '&resolved_at=is.null';
+  if (kind) query += `&kind=eq.${encodeURIComponent(kind)}`;
+
+  const res = await supabaseRequest(query);
+  if (!res.ok) return [];
+  return (await res.json()).map(issue => ({
+    id: issue.id,
+    subject: issue.subject,
+    kind: issue.kind,
+    licenseId: issue.license_id,
+    onchainLicenseId: issue.onchain_license_id,
+    details: issue.details,
+    firstSeenAt: issue.first_seen_at,
+    lastSeenAt: issue.last_seen_at,
+    resolvedAt: issue.resolved_at
+  }));
+}
+
+/**
+ * Index events, push pending licenses and check integrity (scheduler)
+ *
+ * @returns {Promise<object>}
+ */
+export async function processLicenseSync() {
+  if (!isRegistrySyncEnabled()) {
+    return { skipped: 'LICENSING_REGISTRY_ADDRESS not configured' };
+  }
+
+  return {
+    index: await indexRegistryEvents(),
+    push: await processRegistrySync(),
+    integrity: await checkLicenseIntegrity()
+  };
+}
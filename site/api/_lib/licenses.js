@@ -0,0 +1,525 @@
+/**
+ * License Exclusivity and Renewal for Phosphors
+ *
+ * Mirrors LicensingRegistry.sol's exclusive licensing in the API. An
+ * `exclusive` license makes its holder the only commercial licensee of a
+ * piece within a scope for its duration:
+ * - It can't be granted while other commercial licenses overlap the scope
+ * - While it is active no other commercial license overlapping the scope
+ *   can be granted
+ * - The holder can release it early (releaseExclusiveLicense)
+ *
+ * Scope `all` overlaps every scope; the named scopes only overlap
+ * themselves. Personal licenses are never blocked.
+ *
+ * Also renewal and expiry: a license stays in force for a grace period
+ * after expires_at (LICENSE_GRACE_DAYS) and can be renewed from
+ * RENEW_WINDOW_DAYS before expiry until the grace period ends. The
+ * scheduled job (processLicenseExpiry) sends reminders at REMINDER_DAYS
+ * before expiry and marks licenses `expired` once their grace is over.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { findLicenseConflicts } from './_lib/licenses.js';
+ *
+ * const conflicts = await findLicenseConflicts(pieceId, 'exclusive', 'apps', wallet);
+ * if (conflicts.length) return res.status(409).json({ ... });
+ * ```
+ *
+ * @module licenses
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { notifyAgent } from './notifications.js';
+import { getResyncFields } from './license-sync.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Usage scopes a commercial license can be limited to
+ * @constant {object}
+ */
+export const LICENSE_SCOPES = {
+  all: 'All commercial uses',
+  apps: 'Commercial apps',
+  signage: 'Digital signage',
+  marketing: 'Marketing materials',
+  products: 'Products'
+};
+
+/**
+ * License types that grant commercial rights (and so can conflict)
+ * @constant {string[]}
+ */
+export const COMMERCIAL_LICENSE_TYPES = ['commercial', 'commercial_extended', 'exclusive'];
+
+/**
+ * Days a license stays in force (and renewable) after expires_at
+ * @constant {number}
+ */
+export const LICENSE_GRACE_DAYS = Math.max(0, parseInt(process.env.LICENSE_GRACE_DAYS ?? '14', 10) || 0);
+
+/**
+ * Days before expiry a license can be renewed
+ * @constant {number}
+ */
+export const RENEW_WINDOW_DAYS = 30;
+
+/**
+ * Days before expiry that reminders go out (largest first)
+ * @constant {number[]}
+ */
+export const REMINDER_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== SCOPES ====================
+
+/**
+ * Whether two scopes cover any common use
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function scopesOverlap(a, b) {
+  return a === b || a === 'all' || b === 'all';
+}
+
+// ==================== TERM ====================
+
+/**
+ * When a license's grace period ends
+ *
+ * @param {object} license - licenses row
+ * @returns {Date}
+ */
+export function getGraceEndsAt(license) {
+  return new Date(new Date(license.expires_at).getTime() + LICENSE_GRACE_DAYS * DAY_MS);
+}
+
+/**
+ * Whether a license is in force right now (grace period included)
+ *
+ * @param {object} license - licenses row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isLicenseInForce(license, now = new Date()) {
+  return license.status === 'active' && getGraceEndsAt(license) > now;
+}
+
+/**
+ * Whether a license is past expires_at but still in its grace period
+ *
+ * @param {object} license - licenses row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isInGrace(license, now = new Date()) {
+  return isLicenseInForce(license, now) && new Date(license.expires_at) <= now;
+}
+
+/**
+ * Whether a license can be renewed now: active or expired, from
+ * RENEW_WINDOW_DAYS before expiry until its grace period ends
+ *
+ * @param {object} license - licenses row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isRenewable(license, now = new Date()) {
+  if (!['active', 'expired'].includes(license.status)) return false;
+  const expiresAt = new Date(license.expires_at).getTime();
+  return now.getTime() >= expiresAt - RENEW_WINDOW_DAYS * DAY_MS && now < getGraceEndsAt(license);
+}
+
+function graceCutoff(now = new Date()) {
+  return new Date(now.getTime() - LICENSE_GRACE_DAYS * DAY_MS).toISOString();
+}
+
+// ==================== CONFLICTS ====================
+
+/**
+ * Licenses in force that a new license would conflict with
+ *
+ * A new exclusive license conflicts with every other commercial license
+ * overlapping its scope; a new non-exclusive commercial license conflicts
+ * with exclusive ones. The requester's own licenses never block them
+ * (a commercial licensee can upgrade to exclusive).
+ *
+ * @param {object[]} licenses - licenses rows of the piece
+ * @param {string} licenseType - Type being requested
+ * @param {string} scope - Scope being requested
+ * @param {string} [wallet] - Requesting wallet
+ * @returns {object[]} Conflicting licenses rows
+ */
+export function getConflicts(licenses, licenseType, scope, wallet = null) {
+  if (!COMMERCIAL_LICENSE_TYPES.includes(licenseType)) return [];
+
+  const now = new Date();
+  return licenses.filter(l =>
+    isLicenseInForce(l, now) &&
+    COMMERCIAL_LICENSE_TYPES.includes(l.license_type) &&
+    (licenseType === 'exclusive' || l.license_type === 'exclusive') &&
+    scopesOverlap(l.scope || 'all', scope) &&
+    (!wallet || l.licensee_wallet?.toLowerCase() !== wallet.toLowerCase())
+  );
+}
+
+/**
+ * Exclusivity state of a piece, for listings
+ *
+ * @param {object[]} licenses - licenses rows of the piece
+ * @returns {{ exclusive: boolean, holders: object[], availableScopes: string[] }}
+ *   availableScopes are those an exclusive license could still be granted for
+ */
+export function getExclusivityState(licenses) {
+  const now = new Date();
+  const inForce = licenses.filter(l => isLicenseInForce(l, now));
+  const holders = inForce
+    .filter(l => l.license_type === 'exclusive')
+    .map(l => ({
+      licenseId: l.id,
+      scope: l.scope || 'all',
+      licensee: l.licensee_wallet.slice(0, 6) + '...' + l.licensee_wallet.slice(-4),
+      expiresAt: l.expires_at
+    }));
+
+  const availableScopes = Object.keys(LICENSE_SCOPES)
+    .filter(scope => getConflicts(inForce, 'exclusive', scope).length === 0);
+
+  return { exclusive: holders.length > 0, holders, availableScopes };
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Commercial licenses of pieces that are still active
+ *
+ * @param {string[]} pieceIds
+ * @returns {Promise<object[]>} licenses rows
+ */
+export async function getActiveCommercialLicenses(pieceIds) {
+  if (!pieceIds.length) return [];
+
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?piece_id=in.(${pieceIds.map(encodeURIComponent).join(',')})&license_type=in.(${COMMERCIAL_LICENSE_TYPES.join(',')})&status=eq.active&expires_at=gt.${graceCutoff()}&select=id,piece_id,licensee_wallet,license_type,scope,status,expires_at`
+  );
+  if (!res.ok) {
+    throw new Error(`License lookup failed: ${await res.text()}`);
+  }
+  return res.json();
+}
+
+/**
+ * Licenses in force that block a new license of a piece
+ *
+ * @param {string} pieceId
+ * @param {string} licenseType
+ * @param {string} scope
+ * @param {string} [wallet] - Requesting wallet (its own licenses don't block it)
+ * @returns {Promise<object[]>} Conflicting licenses rows
+ */
+export async function findLicenseConflicts(pieceId, licenseType, scope, wallet = null) {
+  if (!COMMERCIAL_LICENSE_TYPES.includes(licenseType)) return [];
+  const licenses = await getActiveCommercialLicenses([pieceId]);
+  return getConflicts(licenses, licenseType, scope, wallet);
+}
+
+// ==================== RELEASE ====================
+
+/**
+ * Release an exclusive license before it expires
+ *
+ * Only the holder can release it. The license ends at once (status
+ * `released`) and the piece opens up for other commercial licenses in
+ * its scope.
+ *
+ * @param {string} licenseId
+ * @param {string} wallet - Holder wallet (already authenticated)
+ * @returns {Promise<{ success: boolean, license?: object, error?: string, status?: number }>}
+ */
+export async function releaseExclusiveLicense(licenseId, wallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(licenseId)}&select=*&limit=1`
+  );
+  if (!res.ok) {
+    return { success: false, error: 'Failed to load license', status: 500 };
+  }
+  const [license] = await res.json();
+
+  if (!license) {
+    return { success: false, error: 'License not found', status: 404 };
+  }
+  if (license.license_type !== 'exclusive') {
+    return { success: false, error: 'Only exclusive licenses can be released', status: 400 };
+  }
+  if (license.licensee_wallet?.toLowerCase() !== wallet.toLowerCase()) {
+    return { success: false, error: 'Only the license holder can release it', status: 403 };
+  }
+  if (!isLicenseInForce(license)) {
+    return { success: false, error: `License is not active (${license.status})`, status: 409 };
+  }
+
+  const releasedAt = new Date().toISOString();
+  const patch = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(licenseId)}&status=eq.active`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ status: 'released', released_at: releasedAt, ...getResyncFields(license) })
+    }
+  );
+
+  if (!patch.ok) {
+    console.error('License release failed:', await patch.text());
+    return { success: false, error: 'Failed to release license', status: 500 };
+  }
+
+  const [released] = await patch.json();
+  if (!released) {
+    return { success: false, error: 'License is no longer active', status: 409 };
+  }
+
+  return { success: true, license: released };
+}
+
+// ==================== RENEWAL ====================
+
+/**
+ * Check whether a renewal transaction has already been used
+ *
+ * @param {string} txHash
+ * @returns {Promise<boolean>}
+ */
+export async function isRenewalTxUsed(txHash) {
+  const res = await supabaseRequest(
+    `/rest/v1/license_renewals?tx_hash=eq.${encodeURIComponent(txHash.toLowerCase())}&select=id&limit=1`
+  );
+  if (!res.ok) {
+    throw new Error(`Renewal lookup failed: ${await res.text()}`);
+  }
+  const rows = await res.json();
+  return rows.length > 0;
+}
+
+/**
+ * Extend a license by its duration
+ *
+ * The new term starts at the old expires_at, so a license renewed during
+ * its grace period has no gap. The renewal row is inserted first: its
+ * unique tx_hash stops one payment from renewing twice. The license is only
+ * extended if its expires_at is still the one the term was computed from;
+ * a renewal that lost that race (or found the license no longer renewable)
+ * removes its row again, so its payment can be used for a retry.
+ *
+ * @param {object} license - licenses row (isRenewable already checked)
+ * @param {object} payment
+ * @param {number} payment.amount - Price paid in payment.currency
+ * @param {string} [payment.currency='PHOS'] - PHOS or USDC
+ * @param {string|null} payment.txHash - null for free renewals
+ * @returns {Promise<{ success: boolean, license?: object, error?: string, status?: number }>}
+ */
+export async function renewLicense(license, { amount, currency = 'PHOS', txHash }) {
+  const previousExpiresAt = new Date(license.expires_at);
+  const newExpiresAt = new Date(previousExpiresAt.getTime() + license.duration_days * DAY_MS);
+
+  const insert = await supabaseRequest('/rest/v1/license_renewals', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({
+      license_id: license.id,
+      currency,
+      phos_paid: currency === 'PHOS' ? amount : 0,
+      usdc_paid: currency === 'USDC' ? amount : 0,
+      tx_hash: txHash ? txHash.toLowerCase() : null,
+      previous_expires_at: previousExpiresAt.toISOString(),
+      new_expires_at: newExpiresAt.toISOString()
+    })
+  });
+
+  if (!insert.ok) {
+    const error = await insert.text();
+    if (insert.status === 409 || error.includes('duplicate')) {
+      return { success: false, error: 'Transaction already used for a renewal', status: 409 };
+    }
+    console.error('Renewal insert failed:', error);
+    return { success: false, error: 'Failed to record renewal', status: 500 };
+  }
+  const [renewal] = await insert.json();
+
+  const patch = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(license.id)}&status=in.(active,expired)` +
+    `&expires_at=eq.${encodeURIComponent(license.expires_at)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        status: 'active',
+        expires_at: newExpiresAt.toISOString(),
+        renewed_at: new Date().toISOString(),
+        renewal_count: (license.renewal_count || 0) + 1,
+        last_reminder_days: null,
+        ...getResyncFields(license)
+      })
+    }
+  );
+
+  if (!patch.ok) {
+    console.error('License renewal update failed:', await patch.text());
+    return { success: false, error: 'Failed to renew license', status: 500 };
+  }
+
+  const [renewed] = await patch.json();
+  if (!renewed) {
+    try {
+      await supabaseRequest(`/rest/v1/license_renewals?id=eq.${encodeURIComponent(renewal.id)}`, {
+        method: 'DELETE'
+      });
+    } catch (err) {
+      console.error('Renewal cleanup error:', err.message);
+    }
+    return { success: false, error: 'License changed while renewing (renewed concurrently or no longer renewable); retry the renewal', status: 409 };
+  }
+
+  return { success: true, license: renewed };
+}
+
+// ==================== SCHEDULED JOB ====================
+
+/**
+ * Reminder threshold a license is due for, or null
+ *
+ * The smallest threshold it has reached and not been reminded at yet, so a
+ * license first seen 5 days out gets the 7-day reminder only.
+ *
+ * @param {object} license - licenses row
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export function getDueReminder(license, now = new Date()) {
+  const daysLeft = (new Date(license.expires_at).getTime() - now.getTime()) / DAY_MS;
+  if (daysLeft <= 0) return null;
+
+  const reached = REMINDER_DAYS.filter(d => daysLeft <= d);
+  if (!reached.length) return null;
+
+  const due = Math.min(...reached);
+  if (license.last_reminder_days != null && license.last_reminder_days <= due) return null;
+  return due;
+}
+
+/**
+ * Notify licensees whose licenses expire within REMINDER_DAYS
+ *
+ * Each reminder is claimed with a conditional update before it is sent, so
+ * overlapping runs don't send it twice.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ checked: number, reminded: number }>}
+ */
+export async function sendExpiryReminders(now = new Date()) {
+  const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS).toISOString();
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?status=eq.active&expires_at=gt.${now.toISOString()}&expires_at=lte.${horizon}&select=*,submissions(title)&order=expires_at.asc&limit=500`
+  );
+  if (!res.ok) {
+    throw new Error(`Reminder lookup failed: ${await res.text()}`);
+  }
+  const licenses = await res.json();
+
+  let reminded = 0;
+  for (const license of licenses) {
+    const due = getDueReminder(license, now);
+    if (!due) continue;
+
+    const claim = await supabaseRequest(
+      `/rest/v1/licenses?id=eq.${encodeURIComponent(license.id)}&or=(last_reminder_days.is.null,last_reminder_days.gt.${due})`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ last_reminder_days: due })
+      }
+    );
+    if (!claim.ok || !(await claim.json()).length) continue;
+
+    const title = license.submissions?.title || 'a piece';
+    await notifyAgent({
+      wallet: license.licensee_wallet,
+      type: 'license_expiring',
+      title: due === 1 ? 'License expires tomorrow ⏳' : `License expires in ${due} days ⏳`,
+      message: `Your ${license.license_type} license for "${title}" expires on ${license.expires_at.slice(0, 10)}. Renew it with POST /api/license { action: 'renew' } (${LICENSE_GRACE_DAYS}-day grace period after expiry).`,
+      data: {
+        license_id: license.id,
+        piece_id: license.piece_id,
+        expires_at: license.expires_at,
+        grace_ends_at: getGraceEndsAt(license).toISOString(),
+        days_left: due
+      }
+    });
+    reminded++;
+  }
+
+  return { checked: licenses.length, reminded };
+}
+
+/**
+ * Mark licenses whose grace period is over as expired
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ expired: number }>}
+ */
+export async function expireLapsedLicenses(now = new Date()) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?status=eq.active&expires_at=lt.${graceCutoff(now)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ status: 'expired' })
+    }
+  );
+  if (!res.ok) {
+    throw new Error(`License expiry failed: ${await res.text()}`);
+  }
+  const expired = await res.json();
+
+  for (const license of expired) {
+    await notifyAgent({
+      wallet: license.licensee_wallet,
+      type: 'license_expired',
+      title: 'License expired',
+      message: `Your ${license.license_type} license ${license.id} has expired and its grace period is over.`,
+      data: { license_id: license.id, piece_id: license.piece_id }
+    });
+  }
+
+  return { expired: expired.length };
+}
+
+/**
+ * Scheduled license job: reminders, then expiry
+ *
+ * @returns {Promise<{ reminders: object, expiry: object }>}
+ */
+export async function processLicenseExpiry() {
+  const now = new Date();
+  const reminders = await sendExpiryReminders(now);
+  const expiry = await expireLapsedLicenses(now);
+  return { reminders, expiry };
+}
@@ -12,6 +12,12 @@
  * 4. NFT is minted on-chain
  * 5. Token ID is recorded in database
  * 
+ * ## Delivery to collectors:
+ * transferNFT() moves a sold token from its holder to the buyer, signed by
+ * the minter wallet as operator. The token must be either:
+ * - in platform custody (held by the minter wallet), or
+ * - approved by its holder: setApprovalForAll(minter wallet, true)
+ * 
  * ## Contract:
  * - Address: 0xf5663DF53DA46718f28C879ae1C3Fb1bDcD4490D (Platform collection)
  * - Network: Base Sepolia
@@ -21,7 +27,9 @@
  * @module minter
  */
 
+import { Interface } from 'ethers';
 import { getMinterWallet } from './wallet.js';
+import { getChainClient, decodeTransferLogs } from './chain.js';
 
 /**
  * Platform NFT contract address
@@ -30,6 +38,13 @@ import { getMinterWallet } from './wallet.js';
  */
 const PLATFORM_CONTRACT = process.env.PLATFORM_CONTRACT || '0xf5663DF53DA46718f28C879ae1C3Fb1bDcD4490D';
 
+/**
+ * Mint new pieces into platform custody (the minter wallet) instead of the
+ * artist's wallet, so they can be delivered to buyers without an approval
+ * @constant {boolean}
+ */
+const MINT_TO_CUSTODY = process.env.NFT_CUSTODY === 'platform';
+
 /**
  * Minimal ABI for minting operations
  * Only includes the functions we need
@@ -49,9 +64,96 @@ const ABI = [
     "outputs": [{"type": "uint256"}],
     "stateMutability": "view",
     "type": "function"
+  },
+  {
+    "inputs": [
+      {"name": "from", "type": "address"},
+      {"name": "to", "type": "address"},
+      {"name": "tokenId", "type": "uint256"}
+    ],
+    "name": "transferFrom",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
   }
 ];
 
+/**
+ * ERC-721 read functions (called through the chain client)
+ */
+const erc721Interface = new Interface([
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)'
+]);
+
+async function readContract(method, args) {
+  let result;
+  try {
+    result = await getChainClient().call({
+      to: PLATFORM_CONTRACT,
+      data: erc721Interface.encodeFunctionData(method, args)
+    });
+  } catch (err) {
+    // A revert (e.g. ownerOf a token that doesn't exist) reads as no value
+    if (err.code === 'CHAIN_RPC_ERROR') return null;
+    throw err;
+  }
+  if (!result || result === '0x') return null;
+
+  return erc721Interface.decodeFunctionResult(method, result)[0];
+}
+
+/**
+ * On-chain owner of a platform token
+ *
+ * @param {number|string} tokenId
+ * @returns {Promise<string|null>} Lowercased owner address
+ */
+export async function getTokenOwner(tokenId) {
+  try {
+    const owner = await readContract('ownerOf', [tokenId]);
+    return owner ? owner.toLowerCase() : null;
+  } catch (err) {
+    console.error('ownerOf check failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Whether an operator may move a token for its owner
+ *
+ * @param {number|string} tokenId
+ * @param {string} owner - Current holder
+ * @param {string} operator - Address that would send the transfer
+ * @returns {Promise<boolean>}
+ */
+export async function isOperatorApproved(tokenId, owner, operator) {
+  try {
+    if (await readContract('isApprovedForAll', [owner, operator])) return true;
+    const approved = await readContract('getApproved', [tokenId]);
+    return !!approved && approved.toLowerCase() === operator.toLowerCase();
+  } catch (err) {
+    console.error('Approval check failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Address of the platform custody wallet (the minter wallet)
+ *
+ * @returns {Promise<string|null>} Lowercased address
+ */
+export async function getCustodyAddress() {
+  try {
+    const { address } = await getMinterWallet();
+    return address ? address.toLowerCase() : null;
+  } catch (err) {
+    console.error('Custody address lookup failed:', err.message);
+    return null;
+  }
+}
+
 /**
  * Get the next token ID from the contract
  * 
@@ -75,10 +177,16 @@ export async function getNextTokenId() {
 /**
  * Mint an NFT to a recipient address
  * 
+ * Once the mint is broadcast its hash goes to `onBroadcast`, and a failure
+ * to confirm it (e.g. a wait() timeout) comes back `unconfirmed`: it may
+ * still land, so it must be settled from its receipt, never minted again.
+ * 
  * @param {string} recipientAddress - Address to mint to
- * @returns {object} - { success, tokenId, txHash, error }
+ * @param {object} [options]
+ * @param {Function} [options.onBroadcast] - (txHash) => Promise, before waiting for the mint
+ * @returns {object} - { success, unconfirmed, tokenId, txHash, error }
  */
-export async function mintNFT(recipientAddress) {
+export async function mintNFT(recipientAddress, { onBroadcast } = {}) {
   try {
     // Validate address
     if (!recipientAddress || !/^0x[a-fA-F0-9]{40}$/.test(recipientAddress)) {
@@ -118,11 +226,23 @@ export async function mintNFT(recipientAddress) {
       abi: ABI
     });
     
-    const result = await invocation.wait();
+    const broadcastHash = invocation.getTransactionHash()?.toLowerCase() || null;
+    if (broadcastHash && onBroadcast) {
+      await onBroadcast(broadcastHash);
+    }
+    
+    let result;
+    try {
+      result = await invocation.wait();
+    } catch (err) {
+      console.error(`⚠️ Mint to ${recipientAddress} unconfirmed:`, err.message);
+      return { success: false, unconfirmed: true, txHash: broadcastHash, error: err.message };
+    }
     
     if (result.getStatus() !== 'complete') {
       return {
         success: false,
+        txHash: broadcastHash,
         error: `Mint failed with status: ${result.getStatus()}`
       };
     }
@@ -153,6 +273,99 @@ export async function mintNFT(recipientAddress) {
   }
 }
 
+/**
+ * Transfer a platform token to a collector
+ *
+ * The minter wallet sends transferFrom(holder, recipient, tokenId): as the
+ * holder when the token is in platform custody, otherwise as an operator
+ * the holder has approved. A token the recipient already holds is reported
+ * as delivered without a transaction.
+ *
+ * Like mintNFT, a broadcast transfer's hash goes to `onBroadcast` and a
+ * wait() failure comes back `unconfirmed`, to be settled from its receipt.
+ *
+ * @param {number|string} tokenId - Token to move
+ * @param {string} recipientAddress - Buyer wallet
+ * @param {object} [options]
+ * @param {Function} [options.onBroadcast] - (txHash) => Promise, before waiting for the transfer
+ * @returns {object} - { success, unconfirmed, txHash, from, method: 'custody'|'approval', alreadyOwned, error }
+ */
+export async function transferNFT(tokenId, recipientAddress, { onBroadcast } = {}) {
+  try {
+    if (!recipientAddress || !/^0x[a-fA-F0-9]{40}$/.test(recipientAddress)) {
+      return { success: false, error: 'Invalid recipient address' };
+    }
+    const recipient = recipientAddress.toLowerCase();
+
+    const owner = await getTokenOwner(tokenId);
+    if (!owner) {
+      return { success: false, error: `Could not read the owner of token #${tokenId}` };
+    }
+    if (owner === recipient) {
+      return { success: true, alreadyOwned: true, from: owner };
+    }
+
+    const { wallet, address, error: walletError } = await getMinterWallet();
+    if (walletError) {
+      return { success: false, error: walletError };
+    }
+    const operator = address.toLowerCase();
+
+    const method = owner === operator ? 'custody' : 'approval';
+    if (method === 'approval' && !(await isOperatorApproved(tokenId, owner, operator))) {
+      return {
+        success: false,
+        from: owner,
+        error: `Holder ${owner} has not approved the platform operator ${operator} for token #${tokenId}`
+      };
+    }
+
+    console.log(`📦 Transferring token #${tokenId} ${owner} → ${recipient} (${method})...`);
+
+    const invocation = await wallet.invokeContract({
+      contractAddress: PLATFORM_CONTRACT,
+      method: 'transferFrom',
+      args: { from: owner, to: recipient, tokenId: String(tokenId) },
+      abi: ABI
+    });
+
+    const broadcastHash = invocation.getTransactionHash()?.toLowerCase() || null;
+    if (broadcastHash && onBroadcast) {
+      await onBroadcast(broadcastHash);
+    }
+
+    let result;
+    try {
+      result = await invocation.wait();
+    } catch (err) {
+      console.error(`⚠️ Transfer of token #${tokenId} unconfirmed:`, err.message);
+      return { success: false, unconfirmed: true, txHash: broadcastHash, from: owner, method, error: err.message };
+    }
+
+    if (result.getStatus() !== 'complete') {
+      return {
+        success: false,
+        txHash: broadcastHash,
+        from: owner,
+        error: `Transfer failed with status: ${result.getStatus()}`
+      };
+    }
+
+    const txHash = result.getTransaction().getTransactionHash();
+    console.log(`✅ Transferred token #${tokenId} → ${recipient}`);
+    console.log(`   TX: ${txHash}`);
+
+    return { success: true, txHash, from: owner, method };
+
+  } catch (error) {
+    console.error('❌ Transfer error:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Transfer failed'
+    };
+  }
+}
+
 /**
  * Parse token ID from transaction (via events or receipt)
  */
@@ -160,26 +373,11 @@ async function parseTokenIdFromTx(txHash) {
   // For ERC721, the Transfer event signature is:
   // Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
   // In a mint, 'from' is address(0)
-  
-  // Try to fetch from Base Sepolia explorer API
   try {
-    const response = await fetch(
-      `https://api-sepolia.basescan.org/api?module=proxy&action=eth_getTransactionReceipt&txhash=${txHash}`
-    );
-    const data = await response.json();
-    
-    if (data.result && data.result.logs) {
-      // Find Transfer event (topic0 = keccak256("Transfer(address,address,uint256)"))
-      const transferTopic = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-      const transferLog = data.result.logs.find(log => 
-        log.topics[0] === transferTopic && 
-        log.address.toLowerCase() === PLATFORM_CONTRACT.toLowerCase()
-      );
-      
-      if (transferLog && transferLog.topics[3]) {
-        // Topic[3] is the tokenId (indexed)
-        return parseInt(transferLog.topics[3], 16);
-      }
+    const receipt = await getChainClient().getTransactionReceipt(txHash);
+    const mint = decodeTransferLogs(receipt, PLATFORM_CONTRACT).find(t => t.tokenId !== null);
+    if (mint) {
+      return mint.tokenId;
     }
   } catch (e) {
     console.log('⚠️ Could not parse token ID from tx:', e.message);
@@ -228,4 +426,4 @@ export async function batchMint(submissions, onMinted, delayMs = 3000) {
   return results;
 }
 
-export { PLATFORM_CONTRACT };
+export { PLATFORM_CONTRACT, MINT_TO_CUSTODY };
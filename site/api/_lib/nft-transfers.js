@@ -0,0 +1,519 @@
+/**
+ * NFT Delivery for Phosphors
+ *
+ * Moves each sold edition's ERC-721 token to its buyer, so on-chain
+ * ownership matches piece_ownerships.
+ *
+ * Every sale gets one entry in the `nft_transfers` table. A transfer that
+ * fails (no approval yet, RPC trouble, wallet not funded) is retried with
+ * the same backoff as payouts instead of being lost.
+ *
+ * ## How a token reaches the buyer:
+ * - Edition has no token yet → minted straight to the buyer
+ * - Token in platform custody → sent by the minter wallet
+ * - Token held by the artist / seller → sent by the minter wallet as an
+ *   approved operator (setApprovalForAll)
+ *
+ * ## Ledger states:
+ * pending → sent → confirmed
+ * pending → (retry with backoff) → ... → failed (admin retry)
+ * An entry is sent from the moment its transaction is broadcast; one whose
+ * wait timed out stays sent until its receipt confirms it (or, reverted,
+ * returns it to pending).
+ *
+ * ## Usage:
+ * ```javascript
+ * import { queueTransfer } from './_lib/nft-transfers.js';
+ *
+ * const transfer = await queueTransfer({
+ *   purchase,
+ *   saleTxHash: paymentTx,
+ *   submission,
+ *   ownershipId: ownership.id,
+ *   buyer: { wallet, username }
+ * });
+ * if (transfer?.tx_hash) console.log('delivered', transfer.tx_hash);
+ * ```
+ *
+ * @module nft-transfers
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { mintNFT, transferNFT, PLATFORM_CONTRACT } from './minter.js';
+import { isPayoutConfigured, getRetryDelay, MAX_PAYOUT_ATTEMPTS } from './payouts.js';
+import { getChainClient, decodeTransferLogs } from './chain.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Attempts before a transfer is marked failed and left for an admin
+ * @constant {number}
+ */
+export const MAX_TRANSFER_ATTEMPTS = MAX_PAYOUT_ATTEMPTS;
+
+/**
+ * How long a worker holds a transfer while sending it (ms)
+ * @constant {number}
+ */
+const CLAIM_MS = 5 * 60 * 1000;
+
+// ==================== HELPERS ====================
+
+/**
+ * Public shape of a transfer
+ *
+ * @param {object} transfer - nft_transfers row
+ * @returns {object}
+ */
+export function formatTransfer(transfer) {
+  return {
+    id: transfer.id,
+    purchaseId: transfer.purchase_id,
+    saleTxHash: transfer.sale_tx_hash,
+    cartLine: transfer.cart_line || 0,
+    pieceId: transfer.submission_id,
+    title: transfer.piece_title,
+    edition: transfer.edition_number,
+    tokenId: transfer.token_id ?? null,
+    contract: PLATFORM_CONTRACT,
+    method: transfer.method || null,
+    from: transfer.from_wallet || null,
+    to: {
+      username: transfer.to_username,
+      wallet: transfer.to_wallet
+    },
+    status: transfer.status,
+    txHash: transfer.tx_hash || null,
+    attempts: transfer.attempts,
+    lastError: transfer.last_error || null,
+    nextAttemptAt: transfer.status === 'pending' ? transfer.next_attempt_at : null,
+    sentAt: transfer.sent_at || null,
+    confirmedAt: transfer.confirmed_at || null,
+    createdAt: transfer.created_at
+  };
+}
+
+async function updateTransfer(transferId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/nft_transfers?id=eq.${encodeURIComponent(transferId)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+
+    if (!res.ok) {
+      console.error('NFT transfer update failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('NFT transfer update error:', err.message);
+    return null;
+  }
+}
+
+// A freshly minted edition keeps its token from now on
+async function recordEditionToken(transfer, tokenId) {
+  if (tokenId === null || tokenId === undefined) return;
+
+  try {
+    if (transfer.ownership_id) {
+      await supabaseRequest(`/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(transfer.ownership_id)}&token_id=is.null`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ token_id: tokenId })
+      });
+    }
+
+    // The first token of a never-minted piece is also the piece's token
+    if (transfer.edition_number === 1 && transfer.submission_id) {
+      await supabaseRequest(`/rest/v1/submissions?id=eq.${encodeURIComponent(transfer.submission_id)}&token_id=is.null`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ token_id: tokenId })
+      });
+    }
+  } catch (err) {
+    console.error('Edition token update error:', err.message);
+  }
+}
+
+async function getEditionToken(ownershipId) {
+  const res = await supabaseRequest(
+    `/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(ownershipId)}&select=id,submission_id,edition_number,token_id`
+  );
+  if (!res.ok) return null;
+  const [ownership] = await res.json();
+  if (!ownership) return null;
+
+  if ((ownership.token_id === null || ownership.token_id === undefined) && ownership.edition_number === 1) {
+    const subRes = await supabaseRequest(
+      `/rest/v1/submissions?id=eq.${encodeURIComponent(ownership.submission_id)}&select=token_id`
+    );
+    const [submission] = subRes.ok ? await subRes.json() : [];
+    ownership.token_id = submission?.token_id ?? null;
+  }
+
+  return ownership;
+}
+
+// ==================== LEDGER ====================
+
+/**
+ * Get a transfer by ID
+ *
+ * @param {string} transferId
+ * @returns {Promise<object|null>}
+ */
+export async function getTransfer(transferId) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/nft_transfers?id=eq.${encodeURIComponent(transferId)}&select=*`);
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get NFT transfer error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * List transfers
+ *
+ * @param {object} [filters] - { status, recipient, purchaseId, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getTransfers({ status, recipient, purchaseId, limit = 50 } = {}) {
+  let query = `/rest/v1/nft_transfers?select=*&order=created_at.desc&limit=${Math.min(limit, 200)}`;
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+  if (recipient) query += `&to_wallet=eq.${encodeURIComponent(recipient.toLowerCase())}`;
+  if (purchaseId) query += `&purchase_id=eq.${encodeURIComponent(purchaseId)}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get NFT transfers error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Try to deliver one pending transfer
+ *
+ * Claims the entry first (pushes next_attempt_at out), so concurrent workers
+ * never send it twice. It is 'sent' as soon as the transaction is broadcast,
+ * so a mint or transfer that times out is confirmed from its receipt rather
+ * than repeated. On failure the entry goes back to pending with exponential
+ * backoff, or to failed once MAX_TRANSFER_ATTEMPTS is reached.
+ *
+ * @param {object} transfer - nft_transfers row
+ * @returns {Promise<object>} The entry after the attempt (unchanged if it wasn't due)
+ */
+export async function processTransfer(transfer) {
+  const now = new Date();
+
+  if (!isPayoutConfigured()) {
+    return await updateTransfer(transfer.id, '&status=eq.pending', {
+      last_error: 'Minter wallet not configured',
+      next_attempt_at: new Date(now.getTime() + getRetryDelay(1)).toISOString()
+    }) || transfer;
+  }
+
+  const claimed = await updateTransfer(transfer.id, `&status=eq.pending&next_attempt_at=lte.${now.toISOString()}`, {
+    attempts: transfer.attempts + 1,
+    next_attempt_at: new Date(now.getTime() + CLAIM_MS).toISOString()
+  });
+  if (!claimed) return transfer;
+
+  const hasToken = claimed.token_id !== null && claimed.token_id !== undefined;
+
+  // Once broadcast the entry is 'sent': if waiting for it fails it is
+  // settled from its receipt by confirmTransfer, never sent (or minted) again
+  const onBroadcast = txHash => updateTransfer(claimed.id, '&status=eq.pending', {
+    status: 'sent',
+    tx_hash: txHash,
+    next_attempt_at: null,
+    sent_at: new Date().toISOString()
+  });
+  const result = hasToken
+    ? await transferNFT(claimed.token_id, claimed.to_wallet, { onBroadcast })
+    : { ...(await mintNFT(claimed.to_wallet, { onBroadcast })), method: 'mint' };
+
+  if (result.success && result.alreadyOwned) {
+    return await updateTransfer(claimed.id, '', {
+      status: 'confirmed',
+      from_wallet: result.from,
+      last_error: null,
+      next_attempt_at: null,
+      confirmed_at: new Date().toISOString()
+    }) || { ...claimed, status: 'confirmed' };
+  }
+
+  if (result.success) {
+    const tokenId = hasToken ? claimed.token_id : result.tokenId ?? null;
+    const sent = await updateTransfer(claimed.id, '&status=in.(pending,sent)', {
+      status: 'sent',
+      method: result.method,
+      token_id: tokenId,
+      from_wallet: result.from || null,
+      tx_hash: result.txHash,
+      last_error: null,
+      next_attempt_at: null,
+      sent_at: new Date().toISOString()
+    });
+    if (!hasToken) await recordEditionToken(claimed, tokenId);
+    return sent || { ...claimed, status: 'sent', tx_hash: result.txHash };
+  }
+
+  if (result.unconfirmed) {
+    // Broadcast with no hash to settle it by: only an admin can tell
+    if (!result.txHash) {
+      return await updateTransfer(claimed.id, '&status=in.(pending,sent)', {
+        status: 'failed',
+        method: result.method,
+        from_wallet: result.from || claimed.from_wallet || null,
+        last_error: `Unconfirmed: ${result.error}. Transfer may have been sent, check before retrying`,
+        next_attempt_at: null
+      }) || claimed;
+    }
+    return await updateTransfer(claimed.id, '&status=in.(pending,sent)', {
+      status: 'sent',
+      method: result.method,
+      from_wallet: result.from || null,
+      tx_hash: result.txHash,
+      last_error: `Unconfirmed: ${result.error}`,
+      next_attempt_at: null,
+      sent_at: new Date().toISOString()
+    }) || { ...claimed, status: 'sent', tx_hash: result.txHash };
+  }
+
+  const exhausted = claimed.attempts >= MAX_TRANSFER_ATTEMPTS;
+  return await updateTransfer(claimed.id, '&status=in.(pending,sent)', {
+    status: exhausted ? 'failed' : 'pending',
+    from_wallet: result.from || claimed.from_wallet || null,
+    tx_hash: null,
+    sent_at: null,
+    last_error: result.error,
+    next_attempt_at: exhausted ? null : new Date(Date.now() + getRetryDelay(claimed.attempts)).toISOString()
+  }) || claimed;
+}
+
+/**
+ * Check a sent transfer's receipt
+ *
+ * A successful receipt confirms it (and picks up the token ID of a mint
+ * whose ID wasn't known yet); a reverted transfer goes back to pending.
+ *
+ * @param {object} transfer - nft_transfers row in status 'sent'
+ * @returns {Promise<object>} The entry after the check
+ */
+export async function confirmTransfer(transfer) {
+  try {
+    const receipt = await getChainClient().getTransactionReceipt(transfer.tx_hash);
+    if (!receipt) return transfer;
+
+    if (receipt.status === '0x1') {
+      const updates = { status: 'confirmed', confirmed_at: new Date().toISOString() };
+
+      if (transfer.token_id === null || transfer.token_id === undefined) {
+        const log = decodeTransferLogs(receipt, PLATFORM_CONTRACT).find(t => t.tokenId !== null);
+        if (log) {
+          updates.token_id = log.tokenId;
+          await recordEditionToken(transfer, updates.token_id);
+        }
+      }
+
+      return await updateTransfer(transfer.id, '&status=eq.sent', updates) || transfer;
+    }
+
+    return await updateTransfer(transfer.id, '&status=eq.sent', {
+      status: 'pending',
+      tx_hash: null,
+      sent_at: null,
+      last_error: `Transfer ${transfer.tx_hash} reverted`,
+      next_attempt_at: new Date().toISOString()
+    }) || transfer;
+  } catch (err) {
+    console.error('NFT transfer receipt check failed:', err.message);
+    return transfer;
+  }
+}
+
+/**
+ * Record that a sale's edition must reach the buyer and try straight away
+ *
+ * Recording is idempotent per sale payment and cart line, so a retried
+ * request never delivers twice.
+ *
+ * @param {object} params
+ * @param {object|null} params.purchase - Recorded purchase (id)
+ * @param {string} params.saleTxHash - Payment that funded the sale
+ * @param {object} params.submission - { id, title }
+ * @param {string} params.ownershipId - piece_ownerships row of the sold edition
+ * @param {object} params.buyer - { wallet, username }
+ * @param {number} [params.cartLine=0] - Line of a cart paid by saleTxHash
+ * @param {boolean} [params.sendNow=true] - false leaves the transfer to the worker
+ * @param {boolean} [params.hold=false] - Record without a due time until releaseHeldTransfers()
+ *   (the payment is still short of its confirmations)
+ * @returns {Promise<object|null>} Transfer after the first attempt
+ */
+export async function queueTransfer({ purchase, saleTxHash, submission, ownershipId, buyer, cartLine = 0, sendNow = true, hold = false }) {
+  if (!ownershipId || !buyer?.wallet) return null;
+
+  let recorded = null;
+  try {
+    const edition = await getEditionToken(ownershipId);
+
+    const res = await supabaseRequest('/rest/v1/nft_transfers', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=ignore-duplicates'
+      },
+      body: JSON.stringify({
+        purchase_id: purchase?.id || null,
+        sale_tx_hash: saleTxHash.toLowerCase(),
+        cart_line: cartLine,
+        submission_id: submission?.id || edition?.submission_id || null,
+        ownership_id: ownershipId,
+        edition_number: edition?.edition_number ?? null,
+        piece_title: submission?.title || null,
+        token_id: edition?.token_id ?? null,
+        to_wallet: buyer.wallet.toLowerCase(),
+        to_username: buyer.username || null,
+        status: 'pending',
+        ...(hold ? { next_attempt_at: null } : {})
+      })
+    });
+
+    if (res.ok) {
+      [recorded] = await res.json();
+    } else {
+      console.error('NFT transfer insert failed:', await res.text());
+    }
+  } catch (err) {
+    console.error('NFT transfer insert error:', err.message);
+  }
+
+  if (!recorded || !sendNow || hold) return recorded;
+  return processTransfer(recorded);
+}
+
+async function updateSaleTransfers(saleTxHash, cartLine, filter, updates) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/nft_transfers?sale_tx_hash=eq.${encodeURIComponent(saleTxHash.toLowerCase())}&cart_line=eq.${cartLine}${filter}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+      }
+    );
+
+    if (!res.ok) {
+      console.error('Sale transfers update failed:', await res.text());
+      return [];
+    }
+    return await res.json();
+  } catch (err) {
+    console.error('Sale transfers update error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Hand a sale's held transfer to the worker (its payment is now confirmed)
+ *
+ * @param {string} saleTxHash
+ * @param {number} [cartLine=0]
+ * @returns {Promise<Array<object>>} Released transfers
+ */
+export async function releaseHeldTransfers(saleTxHash, cartLine = 0) {
+  return updateSaleTransfers(saleTxHash, cartLine, '&status=eq.pending&next_attempt_at=is.null', {
+    next_attempt_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Stop a sale's undelivered transfer because the payment that funded it is gone
+ *
+ * @param {string} saleTxHash
+ * @param {number} [cartLine=0]
+ * @param {string} reason - Stored as last_error
+ * @returns {Promise<Array<object>>} Cancelled transfers
+ */
+export async function cancelUnsentTransfers(saleTxHash, cartLine = 0, reason) {
+  return updateSaleTransfers(saleTxHash, cartLine, '&status=eq.pending', {
+    status: 'failed',
+    last_error: reason,
+    next_attempt_at: null
+  });
+}
+
+/**
+ * Force a retry of a pending or failed transfer now (admin)
+ *
+ * @param {string} transferId
+ * @returns {Promise<object|null>} The entry after the attempt, or null if it can't be retried
+ */
+export async function retryTransfer(transferId) {
+  const reset = await updateTransfer(transferId, '&status=in.(pending,failed)', {
+    status: 'pending',
+    next_attempt_at: new Date().toISOString()
+  });
+  if (!reset) return null;
+
+  // A failed entry gets one more attempt before failing again
+  return processTransfer({ ...reset, attempts: Math.min(reset.attempts, MAX_TRANSFER_ATTEMPTS - 1) });
+}
+
+/**
+ * Retry due transfers and confirm sent ones (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ sent: number, retrying: number, failed: number, confirmed: number }>}
+ */
+export async function processDueTransfers({ limit = 25 } = {}) {
+  const results = { sent: 0, retrying: 0, failed: 0, confirmed: 0 };
+  const now = new Date().toISOString();
+
+  const sentRes = await supabaseRequest(
+    `/rest/v1/nft_transfers?status=eq.sent&select=*&order=sent_at.asc&limit=${limit}`
+  );
+  for (const transfer of sentRes.ok ? await sentRes.json() : []) {
+    const checked = await confirmTransfer(transfer);
+    if (checked.status === 'confirmed') results.confirmed++;
+  }
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/nft_transfers?status=eq.pending&next_attempt_at=lte.${now}&select=*&order=next_attempt_at.asc&limit=${limit}`
+  );
+  for (const transfer of dueRes.ok ? await dueRes.json() : []) {
+    const attempt = await processTransfer(transfer);
+    if (attempt.status === 'sent' || attempt.status === 'confirmed') {
+      results.sent++;
+    } else if (attempt.status === 'failed') {
+      results.failed++;
+    } else {
+      results.retrying++;
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,72 @@
+/**
+ * Agent Notifications for Phosphors
+ *
+ * Writes rows to the `notifications` table read by
+ * /api/agent/[wallet]/notifications and /api/heartbeat.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { notifyAgent } from './_lib/notifications.js';
+ *
+ * await notifyAgent({
+ *   wallet: sellerWallet,
+ *   type: 'offer_received',
+ *   title: 'New offer 💌',
+ *   message: 'noctis offered 5 USDC for "Drift"',
+ *   data: { offer_id: offer.id }
+ * });
+ * ```
+ *
+ * @module notifications
+ */
+
+import { supabaseRequest } from './supabase.js';
+
+/**
+ * Agent id for a wallet
+ *
+ * @param {string} wallet
+ * @returns {Promise<number|null>}
+ */
+async function getAgentIdByWallet(wallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?wallet=ilike.${encodeURIComponent(wallet)}&select=id&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0]?.id || null;
+}
+
+/**
+ * Create a notification for an agent. Never throws - notifications must not
+ * fail the action that triggered them.
+ *
+ * @param {object} params
+ * @param {number} [params.agentId] - Recipient agent id
+ * @param {string} [params.wallet] - Recipient wallet (used when agentId is unknown)
+ * @param {string} params.type - e.g. 'sale', 'offer_received'
+ * @param {string} params.title
+ * @param {string} params.message
+ * @param {object} [params.data] - Extra context
+ * @returns {Promise<boolean>} true if a notification was stored
+ */
+export async function notifyAgent({ agentId, wallet, type, title, message, data = null }) {
+  try {
+    const recipient = agentId || (wallet ? await getAgentIdByWallet(wallet) : null);
+    if (!recipient) return false;
+
+    const res = await supabaseRequest('/rest/v1/notifications', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({ agent_id: recipient, type, title, message, data })
+    });
+
+    return res.ok;
+  } catch (err) {
+    console.error('Notification failed:', err.message);
+    return false;
+  }
+}
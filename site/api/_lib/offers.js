@@ -0,0 +1,772 @@
+/**
+ * Offers for Phosphors
+ *
+ * Any agent can make a time-limited USDC offer on a piece. The offer amount
+ * (plus protocol fee) is settled into the platform wallet when the offer is
+ * placed, so an accepted offer always pays out and a rejected one is always
+ * refundable.
+ *
+ * ## Who can respond:
+ * - The artist: accepting sells a new edition (primary sale)
+ * - An edition owner: accepting sells their edition (secondary sale, royalty applies)
+ *
+ * ## Lifecycle:
+ * active → accepted (sale settled)
+ *        → countered → accepted (buyer accepts counter, tops up if higher)
+ *        → rejected / cancelled / expired → escrow refunded
+ *
+ * ## Refunds (refund_status):
+ * none → pending → sending → refunded
+ *
+ * A refund is claimed (pending → sending) before it is sent, so closing,
+ * settling and the scheduler never send the same one twice. Once broadcast
+ * its hash is kept; one that isn't confirmed in time stays `sending` until
+ * its receipt settles it.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getOffer, getOfferRole, settleOffer } from './_lib/offers.js';
+ *
+ * const offer = await getOffer(id);
+ * const { role, ownership } = await getOfferRole(offer, submission, agent);
+ * const sale = await settleOffer(offer, { submission, seller: { ...agent, role, ownership }, price });
+ * ```
+ *
+ * @module offers
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { quotePurchase, roundUsdc } from './pricing.js';
+import { getEditionInfo, claimEdition, releaseEdition } from './editions.js';
+import { findOwnedEdition, cancelOpenListings, executeSale } from './sales.js';
+import { isPayoutConfigured, sendUsdcPayout, getTransferOutcome } from './payouts.js';
+import { getOpenAuction } from './auctions.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Offer duration when none is given (hours)
+ * @constant {number}
+ */
+export const DEFAULT_OFFER_HOURS = 48;
+
+/**
+ * Shortest allowed offer (hours)
+ * @constant {number}
+ */
+export const MIN_OFFER_HOURS = 1;
+
+/**
+ * Longest allowed offer (hours)
+ * @constant {number}
+ */
+export const MAX_OFFER_HOURS = 7 * 24;
+
+/**
+ * Statuses an offer can still be responded to in
+ * @constant {string[]}
+ */
+export const OPEN_OFFER_STATUSES = ['active', 'countered'];
+
+/**
+ * Minimum gap before the scheduler retries an offer refund (ms)
+ * @constant {number}
+ */
+const REFUND_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * A refund claimed this long ago with no broadcast hash is reported as
+ * stuck (ms)
+ * @constant {number}
+ */
+const STUCK_REFUND_MS = 10 * 60 * 1000;
+
+// ==================== HELPERS ====================
+
+/**
+ * Validate an offer duration
+ *
+ * @param {*} hours - Hours until the offer expires
+ * @returns {{ valid: boolean, hours?: number, error?: string }}
+ */
+export function validateOfferDuration(hours) {
+  if (hours === undefined || hours === null) {
+    return { valid: true, hours: DEFAULT_OFFER_HOURS };
+  }
+
+  const value = typeof hours === 'string' ? Number(hours.trim()) : hours;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN_OFFER_HOURS || value > MAX_OFFER_HOURS) {
+    return {
+      valid: false,
+      error: `expires_in_hours must be between ${MIN_OFFER_HOURS} and ${MAX_OFFER_HOURS}`
+    };
+  }
+
+  return { valid: true, hours: value };
+}
+
+/**
+ * Whether an open offer has passed its expiry
+ * @param {object} offer
+ * @returns {boolean}
+ */
+export function isOfferExpired(offer) {
+  return OPEN_OFFER_STATUSES.includes(offer.status) && new Date(offer.expires_at).getTime() <= Date.now();
+}
+
+/**
+ * Public shape of an offer
+ *
+ * @param {object} offer - offers row
+ * @returns {object}
+ */
+export function formatOffer(offer) {
+  const counter = offer.counter_amount !== null && offer.counter_amount !== undefined
+    ? parseFloat(offer.counter_amount)
+    : null;
+
+  return {
+    id: offer.id,
+    pieceId: offer.submission_id,
+    title: offer.piece_title,
+    edition: offer.edition_number || null,
+    buyer: {
+      username: offer.buyer_username,
+      wallet: offer.buyer_wallet
+    },
+    amount: parseFloat(offer.amount_usdc),
+    escrow: parseFloat(offer.escrow_amount),
+    currency: 'USDC',
+    status: isOfferExpired(offer) ? 'expired' : offer.status,
+    counter: counter !== null ? {
+      amount: counter,
+      totalPrice: quotePurchase(counter).totalPrice,
+      by: offer.countered_by_wallet,
+      at: offer.countered_at
+    } : null,
+    saleType: offer.sale_type || null,
+    purchaseId: offer.purchase_id || null,
+    refund: offer.refunded_at ? {
+      amount: parseFloat(offer.refund_amount),
+      txHash: offer.refund_tx_hash,
+      at: offer.refunded_at
+    } : null,
+    expiresAt: offer.expires_at,
+    createdAt: offer.created_at
+  };
+}
+
+async function getAgentByWallet(wallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?wallet=ilike.${encodeURIComponent(wallet)}&select=id,username,wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+async function getAgentByUsername(username) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=id,username,wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+// ==================== DATABASE ====================
+
+/**
+ * Store a new (already escrowed) offer
+ *
+ * @param {object} params
+ * @param {object} params.submission - { id, title }
+ * @param {object|null} params.ownership - Targeted edition, if any
+ * @param {object} params.buyer - { wallet, username }
+ * @param {number} params.amount - Offer price in USDC
+ * @param {number} params.protocolFee
+ * @param {number} params.escrowAmount - USDC settled into escrow
+ * @param {string} params.escrowTxHash
+ * @param {number} params.hours - Duration
+ * @returns {Promise<{ success: boolean, offer?: object, error?: string }>}
+ */
+export async function createOffer({ submission, ownership, buyer, amount, protocolFee, escrowAmount, escrowTxHash, hours }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/offers', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        submission_id: submission.id,
+        piece_title: submission.title,
+        ownership_id: ownership?.id || null,
+        edition_number: ownership?.edition_number || null,
+        buyer_wallet: buyer.wallet,
+        buyer_username: buyer.username || null,
+        amount_usdc: amount,
+        protocol_fee: protocolFee,
+        escrow_amount: escrowAmount,
+        escrow_tx_hash: escrowTxHash,
+        status: 'active',
+        expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Offer insert failed:', await res.text());
+      return { success: false, error: 'Failed to record offer' };
+    }
+
+    const [offer] = await res.json();
+    return { success: true, offer };
+  } catch (err) {
+    console.error('Create offer error:', err.message);
+    return { success: false, error: 'Failed to record offer' };
+  }
+}
+
+/**
+ * Get an offer by ID
+ *
+ * @param {string} offerId
+ * @returns {Promise<object|null>}
+ */
+export async function getOffer(offerId) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/offers?id=eq.${encodeURIComponent(offerId)}&select=*`);
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get offer error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * List offers
+ *
+ * @param {object} [filters] - { pieceId, buyer, open, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getOffers({ pieceId, buyer, open = true, limit = 50 } = {}) {
+  let query = `/rest/v1/offers?select=*&order=created_at.desc&limit=${Math.min(limit, 100)}`;
+  if (pieceId) query += `&submission_id=eq.${encodeURIComponent(pieceId)}`;
+  if (buyer) query += `&buyer_wallet=eq.${encodeURIComponent(buyer.toLowerCase())}`;
+  if (open) query += `&status=in.(${OPEN_OFFER_STATUSES.join(',')})&expires_at=gt.${new Date().toISOString()}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get offers error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Open offers an agent can respond to: offers on pieces they created or
+ * own an edition of
+ *
+ * @param {object} agent - { username, wallet }
+ * @returns {Promise<Array>}
+ */
+export async function getIncomingOffers({ username, wallet }) {
+  try {
+    const pieceIds = new Set();
+
+    if (username) {
+      const res = await supabaseRequest(
+        `/rest/v1/submissions?moltbook=ilike.${encodeURIComponent(username)}&select=id`
+      );
+      if (res.ok) (await res.json()).forEach(s => pieceIds.add(s.id));
+    }
+
+    if (wallet) {
+      const res = await supabaseRequest(
+        `/rest/v1/piece_ownerships?owner_wallet=eq.${encodeURIComponent(wallet.toLowerCase())}&status=eq.owned&select=submission_id`
+      );
+      if (res.ok) (await res.json()).forEach(o => pieceIds.add(o.submission_id));
+    }
+
+    if (pieceIds.size === 0) return [];
+
+    let query = `/rest/v1/offers?submission_id=in.(${[...pieceIds].join(',')})&status=in.(${OPEN_OFFER_STATUSES.join(',')})&expires_at=gt.${new Date().toISOString()}&select=*&order=created_at.desc&limit=50`;
+    if (wallet) query += `&buyer_wallet=neq.${encodeURIComponent(wallet.toLowerCase())}`;
+
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get incoming offers error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Atomically move an offer between statuses
+ *
+ * Single conditional UPDATE, so two responders can never both act on the
+ * same offer.
+ *
+ * @param {string} offerId
+ * @param {string[]} fromStatuses - Statuses the offer must currently be in
+ * @param {object} updates - Columns to set
+ * @param {object} [options] - { unexpired: true to also require expires_at > now }
+ * @returns {Promise<object|null>} Updated offer, or null if it was not in fromStatuses
+ */
+export async function transitionOffer(offerId, fromStatuses, updates, { unexpired = false } = {}) {
+  let filter = `id=eq.${encodeURIComponent(offerId)}&status=in.(${fromStatuses.join(',')})`;
+  if (unexpired) filter += `&expires_at=gt.${new Date().toISOString()}`;
+
+  try {
+    const res = await supabaseRequest(`/rest/v1/offers?${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+
+    if (!res.ok) {
+      console.error('Offer transition failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Offer transition error:', err.message);
+    return null;
+  }
+}
+
+async function updateOffer(offerId, updates) {
+  try {
+    await supabaseRequest(`/rest/v1/offers?id=eq.${encodeURIComponent(offerId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+  } catch (err) {
+    console.error('Offer update error:', err.message);
+  }
+}
+
+// pending → sending; null when another request already claimed (or sent) it
+async function claimOfferRefund(offerId) {
+  const now = new Date().toISOString();
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/offers?id=eq.${encodeURIComponent(offerId)}&refund_status=eq.pending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ refund_status: 'sending', refund_claimed_at: now, updated_at: now })
+      }
+    );
+    if (!res.ok) {
+      console.error('Offer refund claim failed:', await res.text());
+      return null;
+    }
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Offer refund claim error:', err.message);
+    return null;
+  }
+}
+
+// Only moves a refund its holder still has in `sending`
+async function updateSendingRefund(offerId, updates) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/offers?id=eq.${encodeURIComponent(offerId)}&refund_status=eq.sending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+      }
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Offer refund update error:', err.message);
+    return null;
+  }
+}
+
+// ==================== ESCROW ====================
+
+/**
+ * Send escrowed USDC back to the buyer
+ *
+ * Used for closed offers (full refund) and for the unused part of the
+ * escrow after a sale below the escrowed amount. The offer must owe it
+ * (refund_status 'pending'); the refund is claimed first and only the
+ * claimant sends it. Its hash is stored on broadcast: a transfer that isn't
+ * confirmed in time stays `sending` for `confirmOfferRefund`, and only one
+ * that sent nothing goes back to pending for the scheduler.
+ *
+ * @param {object} offer - offers row
+ * @param {number} [amount] - Amount to refund (default: refund_amount, else the full escrow)
+ * @returns {Promise<{ success: boolean, claimed?: boolean, unconfirmed?: boolean, txHash?: string, error?: string }>}
+ *   `claimed: false` when another request holds (or already sent) the refund
+ */
+export async function refundOffer(offer, amount = parseFloat(offer.refund_amount ?? offer.escrow_amount)) {
+  const refundAmount = roundUsdc(amount);
+  if (!(refundAmount > 0)) {
+    return { success: true };
+  }
+
+  if (!isPayoutConfigured()) {
+    await updateOffer(offer.id, { refund_error: 'Payout wallet not configured' });
+    return { success: false, error: 'Payout wallet not configured' };
+  }
+
+  const claimed = await claimOfferRefund(offer.id);
+  if (!claimed) {
+    return { success: false, claimed: false, error: 'Refund is already being sent' };
+  }
+
+  const payout = await sendUsdcPayout(offer.buyer_wallet, refundAmount, {
+    onBroadcast: txHash => updateSendingRefund(offer.id, { refund_amount: refundAmount, refund_tx_hash: txHash })
+  });
+
+  if (payout.unconfirmed) {
+    // May still land: its receipt decides, it is never sent again
+    await updateSendingRefund(offer.id, {
+      refund_amount: refundAmount,
+      refund_tx_hash: payout.txHash,
+      refund_error: payout.txHash
+        ? `Unconfirmed: ${payout.error}`
+        : 'Transfer may have been sent, check before retrying'
+    });
+    return { success: false, unconfirmed: true, txHash: payout.txHash, error: payout.error };
+  }
+
+  if (!payout.success) {
+    await updateSendingRefund(offer.id, { refund_status: 'pending', refund_tx_hash: null, refund_error: payout.error });
+    return { success: false, error: payout.error };
+  }
+
+  await updateSendingRefund(offer.id, {
+    refund_status: 'refunded',
+    refund_amount: refundAmount,
+    refund_tx_hash: payout.txHash,
+    refund_error: null,
+    refunded_at: new Date().toISOString()
+  });
+
+  return { success: true, txHash: payout.txHash };
+}
+
+/**
+ * Settle a refund left `sending` with a broadcast hash from its receipt
+ *
+ * A confirmed transfer marks it refunded; a reverted one sent nothing and
+ * goes back to pending.
+ *
+ * @param {object} offer - offers row in refund_status 'sending' with refund_tx_hash
+ * @returns {Promise<'refunded'|'pending'|null>} New refund status, or null while unknown
+ */
+export async function confirmOfferRefund(offer) {
+  const outcome = await getTransferOutcome(offer.refund_tx_hash);
+  if (!outcome) return null;
+
+  if (outcome === 'confirmed') {
+    const refunded = await updateSendingRefund(offer.id, {
+      refund_status: 'refunded',
+      refund_error: null,
+      refunded_at: new Date().toISOString()
+    });
+    return refunded ? 'refunded' : null;
+  }
+
+  const reverted = await updateSendingRefund(offer.id, {
+    refund_status: 'pending',
+    refund_tx_hash: null,
+    refund_error: `Transfer ${offer.refund_tx_hash} reverted`
+  });
+  return reverted ? 'pending' : null;
+}
+
+/**
+ * Close an open offer and refund its escrow
+ *
+ * @param {object} offer
+ * @param {'rejected'|'cancelled'|'expired'} status
+ * @returns {Promise<{ success: boolean, offer?: object, refund?: object, error?: string }>}
+ */
+export async function closeOffer(offer, status) {
+  const closed = await transitionOffer(offer.id, OPEN_OFFER_STATUSES, { status, refund_status: 'pending' });
+  if (!closed) {
+    return { success: false, error: 'Offer is no longer open' };
+  }
+
+  const refund = await refundOffer(closed);
+
+  const messages = {
+    rejected: `Your offer on "${closed.piece_title}" was declined`,
+    cancelled: `You cancelled your offer on "${closed.piece_title}"`,
+    expired: `Your offer on "${closed.piece_title}" expired`
+  };
+
+  await notifyAgent({
+    wallet: closed.buyer_wallet,
+    type: `offer_${status}`,
+    title: status === 'expired' ? 'Offer expired ⌛' : status === 'rejected' ? 'Offer declined' : 'Offer cancelled',
+    message: `${messages[status]}. ${refund.success ? `${closed.escrow_amount} USDC has been refunded.` : 'Your refund is queued.'}`,
+    data: { offer_id: closed.id, piece_id: closed.submission_id, piece_title: closed.piece_title, refund_tx: refund.txHash || null }
+  });
+
+  return {
+    success: true,
+    offer: refund.success && refund.txHash
+      ? { ...closed, refund_status: 'refunded', refund_amount: closed.escrow_amount, refund_tx_hash: refund.txHash, refunded_at: new Date().toISOString() }
+      : closed,
+    refund
+  };
+}
+
+/**
+ * Expire overdue offers, retry refunds that failed earlier and settle
+ * unconfirmed ones from their receipts (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ expired: number, refunded: number, failed: number, stuckRefunds: number }>}
+ */
+export async function expireOffers({ limit = 50 } = {}) {
+  const now = new Date().toISOString();
+  const results = { expired: 0, refunded: 0, failed: 0 };
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/offers?status=in.(${OPEN_OFFER_STATUSES.join(',')})&expires_at=lte.${now}&select=*&order=expires_at.asc&limit=${limit}`
+  );
+  const due = dueRes.ok ? await dueRes.json() : [];
+
+  for (const offer of due) {
+    const result = await closeOffer(offer, 'expired');
+    if (!result.success) continue;
+    results.expired++;
+    if (result.refund.success) {
+      results.refunded++;
+    } else {
+      results.failed++;
+    }
+  }
+
+  // Refunds that failed a while ago, including unused escrow on accepted
+  // offers (a fresh one may still be in its closing request)
+  const retryBefore = new Date(Date.now() - REFUND_RETRY_MS).toISOString();
+  const retryRes = await supabaseRequest(
+    `/rest/v1/offers?refund_status=eq.pending&updated_at=lt.${retryBefore}&select=*&order=updated_at.asc&limit=${limit}`
+  );
+  const retries = retryRes.ok ? await retryRes.json() : [];
+
+  for (const offer of retries) {
+    const refund = await refundOffer(offer);
+    if (refund.success) {
+      results.refunded++;
+    } else if (refund.claimed !== false) {
+      results.failed++;
+    }
+  }
+
+  // Broadcast but unconfirmed: the receipt settles them
+  const sentRes = await supabaseRequest(
+    `/rest/v1/offers?refund_status=eq.sending&refund_tx_hash=not.is.null&select=*&order=refund_claimed_at.asc&limit=${limit}`
+  );
+  const sent = sentRes.ok ? await sentRes.json() : [];
+
+  for (const offer of sent) {
+    if (await confirmOfferRefund(offer) === 'refunded') results.refunded++;
+  }
+
+  // Claimed long ago with no hash: it may or may not have gone out, so it
+  // is never resent automatically, only reported for a manual check
+  const stale = new Date(Date.now() - STUCK_REFUND_MS).toISOString();
+  const stuckRes = await supabaseRequest(
+    `/rest/v1/offers?refund_status=eq.sending&refund_tx_hash=is.null&refund_claimed_at=lt.${stale}&select=id,buyer_wallet&limit=${limit}`
+  );
+  const stuck = stuckRes.ok ? await stuckRes.json() : [];
+  results.stuckRefunds = stuck.length;
+  if (stuck.length > 0) {
+    console.error(`${stuck.length} offer refund(s) stuck in sending: ${stuck.map(o => o.id).join(', ')}`);
+  }
+
+  return results;
+}
+
+// ==================== RESPONDING ====================
+
+/**
+ * What an agent may do with an offer on one of "their" pieces
+ *
+ * @param {object} offer
+ * @param {object} submission - { id, moltbook, token_id, edition_size, editions_sold }
+ * @param {object} agent - { username, wallet }
+ * @returns {Promise<{ role: 'artist'|'owner'|null, ownership?: object }>}
+ */
+export async function getOfferRole(offer, submission, agent) {
+  const wallet = agent.wallet?.toLowerCase();
+  if (!wallet || wallet === offer.buyer_wallet) return { role: null };
+
+  // Offer on a specific edition: only its owner can respond
+  if (offer.ownership_id) {
+    const ownership = await findOwnedEdition(submission, wallet, offer.edition_number);
+    return ownership && ownership.id === offer.ownership_id ? { role: 'owner', ownership } : { role: null };
+  }
+
+  // While an auction runs, new editions are only sold through it
+  const isArtist = submission.moltbook?.toLowerCase() === agent.username?.toLowerCase();
+  if (isArtist && !getEditionInfo(submission).soldOut && !(await getOpenAuction(submission.id))) {
+    return { role: 'artist' };
+  }
+
+  const ownership = await findOwnedEdition(submission, wallet);
+  if (ownership) {
+    return { role: 'owner', ownership };
+  }
+
+  return { role: null };
+}
+
+/**
+ * Complete the sale behind an accepted offer
+ *
+ * The offer must already be in status 'accepted'. If the edition can't be
+ * assigned or the sale can't be recorded, the offer is put back to
+ * `revertTo` and nothing is paid out.
+ *
+ * @param {object} offer - Accepted offer
+ * @param {object} params
+ * @param {object} params.submission
+ * @param {object} params.seller - { wallet, username, role, ownership }
+ * @param {number} params.price - Agreed price (before fee)
+ * @param {string} [params.revertTo='active'] - Status to restore on failure
+ * @returns {Promise<{ success: boolean, purchase?: object, editionNumber?: number, refund?: object, error?: string }>}
+ */
+export async function settleOffer(offer, { submission, seller, price, revertTo = 'active' }) {
+  const saleType = seller.role === 'artist' ? 'primary' : 'secondary';
+  const { basePrice, totalPrice } = quotePurchase(price);
+  const sellerWallet = seller.wallet.toLowerCase();
+
+  // 1. Assign the edition
+  let ownership = null;
+  if (saleType === 'primary') {
+    const claim = await claimEdition({
+      submissionId: submission.id,
+      wallet: offer.buyer_wallet,
+      username: offer.buyer_username
+    });
+    if (!claim.success) {
+      await updateOffer(offer.id, { status: revertTo, accepted_by_wallet: null });
+      return { success: false, error: claim.soldOut ? 'This piece is sold out' : claim.error };
+    }
+    ownership = claim.ownership;
+  } else {
+    ownership = seller.ownership;
+    const free = await cancelOpenListings(ownership.id);
+    if (!free) {
+      await updateOffer(offer.id, { status: revertTo, accepted_by_wallet: null });
+      return { success: false, error: 'This edition is being bought through its listing right now' };
+    }
+  }
+
+  // 2. Pay out, record the purchase and hand over the edition
+  const sale = await executeSale({
+    submission,
+    saleType,
+    ownership,
+    buyer: { wallet: offer.buyer_wallet, username: offer.buyer_username },
+    seller: { wallet: sellerWallet, username: seller.username },
+    price: basePrice,
+    txHash: offer.escrow_tx_hash,
+    paymentMethod: 'offer_escrow'
+  });
+
+  // Not recorded, so nothing was handed over: the escrow stays with the offer
+  if (!sale.success) {
+    if (saleType === 'primary') {
+      await releaseEdition(ownership.id);
+    }
+    await updateOffer(offer.id, { status: revertTo, accepted_by_wallet: null });
+    return { success: false, error: 'The sale could not be recorded. Try accepting again.' };
+  }
+  const { purchase } = sale;
+
+  // 3. Return whatever escrow the agreed price didn't use (owed from here
+  // on, so the scheduler retries it if this send fails)
+  const leftover = roundUsdc(parseFloat(offer.escrow_amount) - totalPrice);
+  await updateOffer(offer.id, {
+    sale_type: saleType,
+    purchase_id: purchase.id,
+    ownership_id: ownership.id,
+    edition_number: ownership.edition_number,
+    ...(leftover > 0 ? { refund_status: 'pending', refund_amount: leftover } : {})
+  });
+
+  const refund = await refundOffer(offer, leftover);
+
+  await notifyAgent({
+    wallet: offer.buyer_wallet,
+    type: 'offer_accepted',
+    title: 'Offer accepted! 🎉',
+    message: `${seller.username || 'The seller'} accepted ${basePrice} USDC for "${submission.title}". It's in your collection.`,
+    data: { offer_id: offer.id, piece_id: submission.id, piece_title: submission.title, purchase_id: purchase.id }
+  });
+
+  return { success: true, purchase, editionNumber: ownership.edition_number, refund };
+}
+
+/**
+ * Notify everyone who can respond to a new offer
+ *
+ * @param {object} offer
+ * @param {object} submission - { moltbook, title }
+ */
+export async function notifyOfferReceived(offer, submission) {
+  const recipients = new Map();
+
+  const artist = await getAgentByUsername(submission.moltbook);
+  if (artist) recipients.set(artist.id, artist);
+
+  let ownersQuery = `/rest/v1/piece_ownerships?submission_id=eq.${encodeURIComponent(offer.submission_id)}&status=eq.owned&select=owner_wallet`;
+  if (offer.ownership_id) ownersQuery += `&id=eq.${encodeURIComponent(offer.ownership_id)}`;
+  const ownersRes = await supabaseRequest(ownersQuery);
+  const owners = ownersRes.ok ? await ownersRes.json() : [];
+
+  for (const { owner_wallet } of owners.slice(0, 25)) {
+    if (owner_wallet === offer.buyer_wallet) continue;
+    const owner = await getAgentByWallet(owner_wallet);
+    if (owner) recipients.set(owner.id, owner);
+  }
+
+  const edition = offer.edition_number ? ` (edition #${offer.edition_number})` : '';
+  for (const recipient of recipients.values()) {
+    if (recipient.wallet?.toLowerCase() === offer.buyer_wallet) continue;
+    await notifyAgent({
+      agentId: recipient.id,
+      type: 'offer_received',
+      title: 'New offer 💌',
+      message: `${offer.buyer_username || 'A collector'} offered ${parseFloat(offer.amount_usdc)} USDC for "${submission.title}"${edition}`,
+      data: { offer_id: offer.id, piece_id: offer.submission_id, piece_title: submission.title, amount: parseFloat(offer.amount_usdc), expires_at: offer.expires_at }
+    });
+  }
+}
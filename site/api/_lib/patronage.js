@@ -0,0 +1,1011 @@
+/**
+ * Patronage for Phosphors
+ *
+ * A collector agent subscribes to an artist for a monthly USDC amount. Every
+ * period is paid straight to the artist's wallet with a signed x402 `exact`
+ * payment (EIP-3009) that the platform settles. Patrons get early access to
+ * the artist's new pieces.
+ *
+ * ## Renewals:
+ * - Pre-authorized: the patron signs one authorization per upcoming period
+ *   (POST /api/patronage { action: "authorize" }); the renewal worker settles
+ *   each one once its period starts
+ * - Prompted: without a usable authorization the patron is notified and the
+ *   heartbeat lists the renewal with its 402 payment requirements
+ *
+ * ## Lifecycle:
+ * active → active (renewed)
+ *        → past_due (renewal missed, perks kept for GRACE_DAYS) → active | lapsed
+ *        → cancelled (no renewals, perks kept until the paid period ends)
+ *
+ * ## Usage:
+ * ```javascript
+ * import { hasEarlyAccess, processDueRenewals } from './_lib/patronage.js';
+ *
+ * if (!(await hasEarlyAccess(submission, buyerWallet))) { ... } // 403
+ * const results = await processDueRenewals(); // scheduler
+ * ```
+ *
+ * @module patronage
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { roundUsdc } from './pricing.js';
+import { buildPaymentRequirements, verifyExactPayment } from './x402.js';
+import { collectSignedPayment } from './facilitator.js';
+import { notifyAgent } from './notifications.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Length of a paid period (days)
+ * @constant {number}
+ */
+export const PERIOD_DAYS = 30;
+
+/**
+ * Days a past-due patron keeps their perks before the patronage lapses
+ * @constant {number}
+ */
+export const GRACE_DAYS = 7;
+
+/**
+ * How early a period can be renewed by hand (days before it ends)
+ * @constant {number}
+ */
+export const RENEW_AHEAD_DAYS = 3;
+
+/**
+ * Smallest monthly amount (USDC)
+ * @constant {number}
+ */
+export const MIN_PATRONAGE_USDC = 1;
+
+/**
+ * Largest monthly amount (USDC)
+ * @constant {number}
+ */
+export const MAX_PATRONAGE_USDC = 10000;
+
+/**
+ * Most periods that can be pre-authorized at once
+ * @constant {number}
+ */
+export const MAX_PREAUTHORIZED_PERIODS = 12;
+
+/**
+ * Longest patron-only window for a new piece (hours)
+ * @constant {number}
+ */
+export const MAX_EARLY_ACCESS_HOURS = 7 * 24;
+
+/**
+ * A pre-signed authorization must stay valid this long into its period,
+ * so the renewal worker has time to settle it
+ * @constant {number}
+ */
+const SETTLEMENT_WINDOW_SECONDS = 24 * 60 * 60;
+
+/**
+ * All patronage statuses
+ * @constant {string[]}
+ */
+export const PATRONAGE_STATUSES = ['active', 'past_due', 'cancelled', 'lapsed'];
+
+/**
+ * Statuses that still renew
+ * @constant {string[]}
+ */
+export const RUNNING_STATUSES = ['active', 'past_due'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = PERIOD_DAYS * DAY_MS;
+
+const RESOURCE = '/api/patronage';
+
+// ==================== HELPERS ====================
+
+/**
+ * Validate a monthly patronage amount
+ *
+ * @param {*} value - Raw amount (number or numeric string)
+ * @returns {{ valid: boolean, amount?: number, error?: string }}
+ */
+export function validatePatronageAmount(value) {
+  const amount = typeof value === 'string' ? Number(value.trim()) : value;
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return { valid: false, error: 'amount must be a number (USDC per month)' };
+  }
+
+  const rounded = roundUsdc(amount);
+  if (rounded < MIN_PATRONAGE_USDC || rounded > MAX_PATRONAGE_USDC) {
+    return {
+      valid: false,
+      error: `amount must be between ${MIN_PATRONAGE_USDC} and ${MAX_PATRONAGE_USDC} USDC per month`
+    };
+  }
+
+  return { valid: true, amount: rounded };
+}
+
+/**
+ * Validate a patron-only window for a new piece
+ *
+ * @param {*} hours - Hours only patrons can buy the piece (optional)
+ * @returns {{ valid: boolean, hours?: number|null, error?: string }}
+ */
+export function validateEarlyAccessHours(hours) {
+  if (hours === undefined || hours === null || hours === 0) {
+    return { valid: true, hours: null };
+  }
+
+  const value = typeof hours === 'string' ? Number(hours.trim()) : hours;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 1 || value > MAX_EARLY_ACCESS_HOURS) {
+    return {
+      valid: false,
+      error: `patron_early_access_hours must be between 1 and ${MAX_EARLY_ACCESS_HOURS}`
+    };
+  }
+
+  return { valid: true, hours: value };
+}
+
+/**
+ * Whether a patronage currently grants perks
+ * - active / past_due: through the paid period plus the grace period
+ * - cancelled: through the paid period
+ *
+ * @param {object} patronage
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function hasPatronAccess(patronage, now = Date.now()) {
+  const periodEnd = new Date(patronage.current_period_end).getTime();
+
+  if (RUNNING_STATUSES.includes(patronage.status)) {
+    return now < periodEnd + GRACE_DAYS * DAY_MS;
+  }
+  if (patronage.status === 'cancelled') {
+    return now < periodEnd;
+  }
+  return false;
+}
+
+/**
+ * Whether a running patronage can be renewed by hand right now
+ *
+ * @param {object} patronage
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isRenewalOpen(patronage, now = Date.now()) {
+  if (patronage.status === 'past_due') return true;
+  if (patronage.status !== 'active') return false;
+  return now >= new Date(patronage.current_period_end).getTime() - RENEW_AHEAD_DAYS * DAY_MS;
+}
+
+/**
+ * Format a patronage for API responses
+ *
+ * @param {object} patronage - patronages row
+ * @param {object[]} [payments] - patronage_payments rows, when loaded
+ * @returns {object}
+ */
+export function formatPatronage(patronage, payments = null) {
+  const formatted = {
+    id: patronage.id,
+    patron: {
+      username: patronage.patron_username,
+      wallet: patronage.patron_wallet
+    },
+    artist: {
+      username: patronage.artist_username,
+      wallet: patronage.artist_wallet
+    },
+    amount: parseFloat(patronage.amount_usdc),
+    currency: 'USDC',
+    period: `${PERIOD_DAYS} days`,
+    status: patronage.status,
+    perks: hasPatronAccess(patronage),
+    periodsPaid: patronage.periods_paid,
+    currentPeriodEnd: patronage.current_period_end,
+    startedAt: patronage.started_at,
+    cancelledAt: patronage.cancelled_at || null,
+    lapsedAt: patronage.lapsed_at || null
+  };
+
+  if (payments) {
+    formatted.preauthorizedPeriods = payments.filter(p => p.status === 'scheduled').length;
+    formatted.payments = payments.map(p => ({
+      periodStart: p.period_start,
+      periodEnd: p.period_end,
+      amount: parseFloat(p.amount_usdc),
+      method: p.method,
+      status: p.status,
+      txHash: p.tx_hash || null,
+      paidAt: p.paid_at || null
+    }));
+  }
+
+  return formatted;
+}
+
+// ==================== PAYMENTS ====================
+
+/**
+ * Payment requirements for one period of a patronage (paid to the artist)
+ *
+ * @param {object} options
+ * @param {string} options.artistWallet
+ * @param {string} options.artistUsername
+ * @param {number} options.amount - USDC for the period
+ * @param {string} [options.patronageId]
+ * @returns {object} x402 requirements
+ */
+export function buildPatronageRequirements({ artistWallet, artistUsername, amount, patronageId }) {
+  return buildPaymentRequirements({
+    amount,
+    resource: RESOURCE,
+    description: `Patronage of ${artistUsername} (${PERIOD_DAYS} days)`,
+    payTo: artistWallet,
+    maxTimeoutSeconds: 60,
+    extra: {
+      artist: artistUsername,
+      period: `${PERIOD_DAYS} days`,
+      ...(patronageId ? { patronageId } : {})
+    }
+  });
+}
+
+/**
+ * Validity window each pre-authorization must use, one entry per upcoming
+ * period starting at current_period_end
+ *
+ * @param {object} patronage
+ * @param {number} [count=MAX_PREAUTHORIZED_PERIODS]
+ * @returns {object[]} [{ period, periodStart, validAfterMin, validAfterMax, validBeforeMin }] (unix seconds)
+ */
+export function getRenewalSchedule(patronage, count = MAX_PREAUTHORIZED_PERIODS) {
+  const firstStart = new Date(patronage.current_period_end).getTime();
+
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.floor((firstStart + i * PERIOD_MS) / 1000);
+    return {
+      period: i + 1,
+      periodStart: start,
+      validAfterMin: start - RENEW_AHEAD_DAYS * 24 * 60 * 60,
+      validAfterMax: start,
+      validBeforeMin: start + SETTLEMENT_WINDOW_SECONDS
+    };
+  });
+}
+
+/**
+ * Check a set of pre-signed renewal authorizations. The i-th authorization
+ * pays the i-th period after current_period_end.
+ *
+ * @param {object} patronage
+ * @param {object[]} payments - Decoded x402 payment payloads
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyRenewalAuthorizations(patronage, payments) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return { valid: false, error: 'authorizations must be a non-empty array' };
+  }
+  if (payments.length > MAX_PREAUTHORIZED_PERIODS) {
+    return { valid: false, error: `At most ${MAX_PREAUTHORIZED_PERIODS} periods can be pre-authorized` };
+  }
+
+  const requirements = buildPatronageRequirements({
+    artistWallet: patronage.artist_wallet,
+    artistUsername: patronage.artist_username,
+    amount: parseFloat(patronage.amount_usdc),
+    patronageId: patronage.id
+  });
+  const schedule = getRenewalSchedule(patronage, payments.length);
+  const nonces = new Set();
+
+  for (let i = 0; i < payments.length; i++) {
+    const payment = payments[i];
+    const window = schedule[i];
+
+    if (!payment?.payload?.authorization) {
+      return { valid: false, error: `Authorization ${i + 1}: invalid payload` };
+    }
+
+    const { validAfter, validBefore, nonce } = payment.payload.authorization;
+    if (Number(validAfter) < window.validAfterMin || Number(validAfter) > window.validAfterMax) {
+      return { valid: false, error: `Authorization ${i + 1}: validAfter must be between ${window.validAfterMin} and ${window.validAfterMax}` };
+    }
+    if (Number(validBefore) < window.validBeforeMin) {
+      return { valid: false, error: `Authorization ${i + 1}: validBefore must be at least ${window.validBeforeMin}` };
+    }
+
+    // Checked as of the period start, when it will be settled
+    const verification = verifyExactPayment(payment, requirements, { now: window.periodStart });
+    if (!verification.isValid) {
+      return { valid: false, error: `Authorization ${i + 1}: ${verification.invalidReason}` };
+    }
+    if (verification.payer !== patronage.patron_wallet) {
+      return { valid: false, error: `Authorization ${i + 1}: must be signed by the patron wallet` };
+    }
+
+    const key = nonce.toLowerCase();
+    if (nonces.has(key)) {
+      return { valid: false, error: `Authorization ${i + 1}: nonce reused` };
+    }
+    nonces.add(key);
+  }
+
+  return { valid: true };
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Get a patronage by ID
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getPatronage(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/patronages?id=eq.${encodeURIComponent(id)}&select=*`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Get the running (active or past_due) patronage between two wallets
+ *
+ * @param {string} patronWallet
+ * @param {string} artistWallet
+ * @returns {Promise<object|null>}
+ */
+export async function getRunningPatronage(patronWallet, artistWallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/patronages?patron_wallet=eq.${encodeURIComponent(patronWallet.toLowerCase())}&artist_wallet=eq.${encodeURIComponent(artistWallet.toLowerCase())}&status=in.(${RUNNING_STATUSES.join(',')})&select=*&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * List patronages by patron or artist
+ *
+ * @param {object} filters
+ * @param {string} [filters.patronWallet]
+ * @param {string} [filters.artistWallet]
+ * @param {string[]} [filters.statuses]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<object[]>}
+ */
+export async function getPatronages({ patronWallet, artistWallet, statuses, limit = 100 } = {}) {
+  let query = '/rest/v1/patronages?select=*';
+  if (patronWallet) query += `&patron_wallet=eq.${encodeURIComponent(patronWallet.toLowerCase())}`;
+  if (artistWallet) query += `&artist_wallet=eq.${encodeURIComponent(artistWallet.toLowerCase())}`;
+  if (statuses?.length) query += `&status=in.(${statuses.join(',')})`;
+  query += `&order=created_at.desc&limit=${limit}`;
+
+  const res = await supabaseRequest(query);
+  return res.ok ? await res.json() : [];
+}
+
+/**
+ * Payments of a patronage, oldest period first
+ *
+ * @param {string} patronageId
+ * @param {object} [options]
+ * @param {string} [options.status]
+ * @returns {Promise<object[]>}
+ */
+export async function getPatronagePayments(patronageId, { status } = {}) {
+  let query = `/rest/v1/patronage_payments?patronage_id=eq.${encodeURIComponent(patronageId)}`;
+  if (status) query += `&status=eq.${status}`;
+  query += '&select=*&order=period_start.asc';
+
+  const res = await supabaseRequest(query);
+  return res.ok ? await res.json() : [];
+}
+
+/**
+ * Whether a wallet is currently a patron of an artist
+ *
+ * @param {string} wallet - Prospective patron
+ * @param {string} artistUsername - submissions.moltbook
+ * @returns {Promise<boolean>}
+ */
+export async function isActivePatron(wallet, artistUsername) {
+  if (!wallet || !artistUsername) return false;
+
+  const res = await supabaseRequest(
+    `/rest/v1/patronages?patron_wallet=eq.${encodeURIComponent(wallet.toLowerCase())}&artist_username=ilike.${encodeURIComponent(artistUsername)}&status=in.(active,past_due,cancelled)&select=status,current_period_end&order=current_period_end.desc&limit=5`
+  );
+  if (!res.ok) return false;
+
+  const rows = await res.json();
+  return rows.some(p => hasPatronAccess(p));
+}
+
+/**
+ * Whether a wallet may buy a piece that is still in its patron-only window.
+ * Pieces outside the window are open to everyone.
+ *
+ * @param {object} submission - { moltbook, patron_only_until }
+ * @param {string} wallet - Buyer wallet
+ * @param {object} [options]
+ * @param {string} [options.buyerUsername] - The artist always has access
+ * @returns {Promise<boolean>}
+ */
+export async function hasEarlyAccess(submission, wallet, { buyerUsername } = {}) {
+  if (!isPatronOnly(submission)) return true;
+  if (buyerUsername && buyerUsername.toLowerCase() === submission.moltbook?.toLowerCase()) return true;
+  return isActivePatron(wallet, submission.moltbook);
+}
+
+/**
+ * Whether a piece is still in its patron-only window
+ *
+ * @param {object} submission - { patron_only_until }
+ * @returns {boolean}
+ */
+export function isPatronOnly(submission) {
+  return !!submission?.patron_only_until && new Date(submission.patron_only_until) > new Date();
+}
+
+/**
+ * Running patronages of a patron that need a renewal paid by hand: past due,
+ * or inside the renewal window with no pre-authorized payment for it
+ *
+ * @param {string} patronWallet
+ * @returns {Promise<object[]>}
+ */
+export async function getRenewalsDue(patronWallet) {
+  if (!patronWallet) return [];
+
+  const running = (await getPatronages({ patronWallet, statuses: RUNNING_STATUSES }))
+    .filter(p => isRenewalOpen(p));
+
+  const due = [];
+  for (const patronage of running) {
+    if (patronage.status === 'past_due') {
+      due.push(patronage);
+      continue;
+    }
+    const scheduled = await getPatronagePayments(patronage.id, { status: 'scheduled' });
+    if (scheduled.length === 0) due.push(patronage);
+  }
+  return due;
+}
+
+// ==================== SUBSCRIBING ====================
+
+/**
+ * Record a new patronage after its first period has been paid
+ *
+ * @param {object} options
+ * @param {object} options.patron - { username, wallet }
+ * @param {object} options.artist - { username, wallet }
+ * @param {number} options.amount - USDC per period
+ * @param {string} options.txHash - Settlement of the first period
+ * @returns {Promise<{ success: boolean, patronage?: object, error?: string, duplicate?: boolean }>}
+ */
+export async function createPatronage({ patron, artist, amount, txHash }) {
+  const now = Date.now();
+  const periodEnd = new Date(now + PERIOD_MS).toISOString();
+
+  try {
+    const res = await supabaseRequest('/rest/v1/patronages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        patron_wallet: patron.wallet.toLowerCase(),
+        patron_username: patron.username || null,
+        artist_wallet: artist.wallet.toLowerCase(),
+        artist_username: artist.username,
+        amount_usdc: amount,
+        status: 'active',
+        started_at: new Date(now).toISOString(),
+        current_period_end: periodEnd,
+        periods_paid: 1
+      })
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      console.error('Patronage insert failed:', text);
+      return { success: false, error: 'Failed to record patronage', duplicate: res.status === 409 };
+    }
+
+    const [patronage] = await res.json();
+
+    await recordPayment(patronage, {
+      period_start: patronage.started_at,
+      period_end: periodEnd,
+      method: 'x402',
+      status: 'paid',
+      tx_hash: txHash,
+      paid_at: new Date().toISOString()
+    });
+
+    return { success: true, patronage };
+  } catch (err) {
+    console.error('Create patronage error:', err.message);
+    return { success: false, error: 'Failed to record patronage' };
+  }
+}
+
+async function recordPayment(patronage, fields) {
+  const res = await supabaseRequest('/rest/v1/patronage_payments', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({
+      patronage_id: patronage.id,
+      amount_usdc: patronage.amount_usdc,
+      ...fields
+    })
+  });
+
+  if (!res.ok) {
+    console.error('Patronage payment insert failed:', await res.text());
+    return null;
+  }
+  const [row] = await res.json();
+  return row;
+}
+
+async function updatePayment(id, updates) {
+  await supabaseRequest(`/rest/v1/patronage_payments?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+  });
+}
+
+/**
+ * Claim a scheduled renewal for settlement (scheduled → settling), so two
+ * workers never settle the same authorization
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>} Claimed row, or null if another worker has it
+ */
+async function claimScheduledPayment(id) {
+  const res = await supabaseRequest(`/rest/v1/patronage_payments?id=eq.${encodeURIComponent(id)}&status=eq.scheduled`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({ status: 'settling', updated_at: new Date().toISOString() })
+  });
+  if (!res.ok) return null;
+  const [row] = await res.json();
+  return row || null;
+}
+
+/**
+ * Drop the pre-signed authorizations of a patronage
+ *
+ * @param {string} patronageId
+ */
+async function voidScheduledPayments(patronageId) {
+  await supabaseRequest(
+    `/rest/v1/patronage_payments?patronage_id=eq.${encodeURIComponent(patronageId)}&status=eq.scheduled`,
+    {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'void', authorization_payload: null, updated_at: new Date().toISOString() })
+    }
+  );
+}
+
+/**
+ * Conditionally update a patronage
+ *
+ * @param {string} id
+ * @param {object} match - Extra PostgREST filters, e.g. { status: 'in.(active,past_due)' }
+ * @param {object} updates
+ * @returns {Promise<object|null>} Updated row, or null when the condition failed
+ */
+async function transitionPatronage(id, match, updates) {
+  const filters = Object.entries(match).map(([col, cond]) => `&${col}=${cond}`).join('');
+
+  const res = await supabaseRequest(`/rest/v1/patronages?id=eq.${encodeURIComponent(id)}${filters}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+  });
+
+  if (!res.ok) {
+    console.error('Patronage update failed:', await res.text());
+    return null;
+  }
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+// ==================== RENEWING ====================
+
+/**
+ * Replace the pre-signed renewals of a running patronage
+ *
+ * @param {object} patronage
+ * @param {object[]} payments - Verified payloads (see verifyRenewalAuthorizations)
+ * @returns {Promise<{ success: boolean, scheduled?: number, error?: string }>}
+ */
+export async function scheduleRenewals(patronage, payments) {
+  await voidScheduledPayments(patronage.id);
+
+  const schedule = getRenewalSchedule(patronage, payments.length);
+  const rows = payments.map((payment, i) => ({
+    patronage_id: patronage.id,
+    period_start: new Date(schedule[i].periodStart * 1000).toISOString(),
+    period_end: new Date(schedule[i].periodStart * 1000 + PERIOD_MS).toISOString(),
+    amount_usdc: patronage.amount_usdc,
+    method: 'preauthorized',
+    status: 'scheduled',
+    authorization_payload: payment,
+    valid_before: new Date(Number(payment.payload.authorization.validBefore) * 1000).toISOString()
+  }));
+
+  const res = await supabaseRequest('/rest/v1/patronage_payments?on_conflict=patronage_id,period_start', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=minimal,resolution=merge-duplicates'
+    },
+    body: JSON.stringify(rows)
+  });
+
+  if (!res.ok) {
+    console.error('Scheduling renewals failed:', await res.text());
+    return { success: false, error: 'Failed to store authorizations' };
+  }
+
+  return { success: true, scheduled: rows.length };
+}
+
+/**
+ * Advance a patronage by one paid period
+ *
+ * The update is conditional on current_period_end, so two renewals of the
+ * same period cannot both advance it.
+ *
+ * @param {object} patronage
+ * @param {object} options
+ * @param {string} options.periodStart - ISO start of the paid period
+ * @returns {Promise<object|null>} Updated patronage
+ */
+async function advancePeriod(patronage, { periodStart }) {
+  return transitionPatronage(patronage.id, {
+    status: `in.(${RUNNING_STATUSES.join(',')})`,
+    current_period_end: `eq.${encodeURIComponent(patronage.current_period_end)}`
+  }, {
+    status: 'active',
+    current_period_end: new Date(new Date(periodStart).getTime() + PERIOD_MS).toISOString(),
+    periods_paid: (patronage.periods_paid || 0) + 1,
+    renewal_notified_at: null
+  });
+}
+
+/**
+ * Start of the next period: back to back while the patronage is current,
+ * from now once it has fallen past due
+ *
+ * @param {object} patronage
+ * @returns {string} ISO timestamp
+ */
+function nextPeriodStart(patronage) {
+  const periodEnd = new Date(patronage.current_period_end).getTime();
+  if (patronage.status !== 'past_due') return new Date(periodEnd).toISOString();
+  return new Date(Math.max(periodEnd, Date.now())).toISOString();
+}
+
+/**
+ * Record a renewal paid by hand (x402 answer to a renewal prompt)
+ *
+ * @param {object} patronage
+ * @param {string} txHash
+ * @returns {Promise<{ success: boolean, patronage?: object, error?: string }>}
+ */
+export async function renewPatronage(patronage, txHash) {
+  const periodStart = nextPeriodStart(patronage);
+
+  const updated = await advancePeriod(patronage, { periodStart });
+  if (!updated) {
+    return { success: false, error: 'Patronage changed while renewing' };
+  }
+
+  // A paid period replaces any authorization scheduled for it
+  const scheduled = await getPatronagePayments(patronage.id, { status: 'scheduled' });
+  const replaced = scheduled.find(p => p.period_start && new Date(p.period_start).getTime() <= new Date(periodStart).getTime());
+  if (replaced) {
+    await updatePayment(replaced.id, { status: 'void', authorization_payload: null });
+  }
+
+  await recordPayment(patronage, {
+    period_start: periodStart,
+    period_end: updated.current_period_end,
+    method: 'x402',
+    status: 'paid',
+    tx_hash: txHash,
+    paid_at: new Date().toISOString()
+  });
+
+  return { success: true, patronage: updated };
+}
+
+/**
+ * Cancel a patronage. Perks last until the paid period ends.
+ *
+ * @param {object} patronage
+ * @returns {Promise<object|null>} Updated patronage, or null when no longer running
+ */
+export async function cancelPatronage(patronage) {
+  const updated = await transitionPatronage(patronage.id, {
+    status: `in.(${RUNNING_STATUSES.join(',')})`
+  }, {
+    status: 'cancelled',
+    cancelled_at: new Date().toISOString()
+  });
+
+  if (updated) {
+    await voidScheduledPayments(patronage.id);
+  }
+  return updated;
+}
+
+// ==================== WORKER ====================
+
+/**
+ * Settle the pre-authorized renewal of a due patronage
+ *
+ * The payment is claimed first (scheduled → settling). A settlement that was
+ * broadcast but not confirmed in time still renews the patronage: it is
+ * recorded paid_unconfirmed and settled later by reconcileRenewals.
+ *
+ * @param {object} patronage
+ * @param {object} payment - scheduled patronage_payments row
+ * @returns {Promise<{ success: boolean, patronage?: object, unconfirmed?: boolean, error?: string, conflict?: boolean, claimed?: boolean }>}
+ */
+async function settleScheduledRenewal(patronage, payment) {
+  if (!(await claimScheduledPayment(payment.id))) {
+    return { success: false, claimed: false, error: 'Renewal is already being settled' };
+  }
+
+  const amount = parseFloat(patronage.amount_usdc);
+  const requirements = buildPatronageRequirements({
+    artistWallet: patronage.artist_wallet,
+    artistUsername: patronage.artist_username,
+    amount,
+    patronageId: patronage.id
+  });
+
+  const collected = await collectSignedPayment(payment.authorization_payload, requirements, {
+    payer: patronage.patron_wallet,
+    record: { resource: RESOURCE, amount_usdc: amount }
+  });
+
+  if (!collected.success) {
+    await updatePayment(payment.id, { status: 'failed', error: collected.error, authorization_payload: null });
+    return { success: false, error: collected.error };
+  }
+
+  const periodStart = nextPeriodStart(patronage);
+  const updated = await advancePeriod(patronage, { periodStart });
+
+  // Funds moved either way; keep the ledger truthful
+  await updatePayment(payment.id, {
+    status: collected.unconfirmed ? 'paid_unconfirmed' : 'paid',
+    error: collected.unconfirmed ? 'Settlement broadcast but not confirmed yet' : null,
+    tx_hash: collected.transaction,
+    paid_at: new Date().toISOString(),
+    period_start: periodStart,
+    period_end: new Date(new Date(periodStart).getTime() + PERIOD_MS).toISOString(),
+    authorization_payload: null
+  });
+
+  if (!updated) {
+    console.error(`Patronage ${patronage.id} renewed (${collected.transaction}) but changed concurrently`);
+    return { success: false, error: 'Patronage changed while renewing', conflict: true };
+  }
+  return { success: true, patronage: updated, unconfirmed: !!collected.unconfirmed };
+}
+
+/**
+ * Settle renewals left paid_unconfirmed, once the payment confirmation job
+ * has settled their x402 authorization
+ *
+ * A settled authorization makes the payment paid. One that failed (reverted,
+ * or dropped unused) moved no funds: the payment is failed and, if the
+ * period it paid is still the latest, the patronage goes back to that
+ * period's start as past_due and the patron is asked to renew.
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ confirmed: number, reverted: number }>}
+ */
+async function reconcileRenewals({ limit = 50 } = {}) {
+  const results = { confirmed: 0, reverted: 0 };
+
+  const res = await supabaseRequest(
+    `/rest/v1/patronage_payments?status=eq.paid_unconfirmed&select=*&order=updated_at.asc&limit=${limit}`
+  );
+
+  for (const payment of res.ok ? await res.json() : []) {
+    const authRes = await supabaseRequest(
+      `/rest/v1/x402_payments?tx_hash=eq.${encodeURIComponent(payment.tx_hash)}&select=status,error&limit=1`
+    );
+    const [authorization] = authRes.ok ? await authRes.json() : [];
+
+    if (authorization?.status === 'settled') {
+      await updatePayment(payment.id, { status: 'paid', error: null });
+      results.confirmed++;
+      continue;
+    }
+    if (authorization?.status !== 'failed') continue;
+
+    await updatePayment(payment.id, { status: 'failed', error: authorization.error || 'Settlement failed' });
+    results.reverted++;
+
+    const patronage = await getPatronage(payment.patronage_id);
+    if (!patronage || new Date(patronage.current_period_end).getTime() !== new Date(payment.period_end).getTime()) continue;
+    const rolledBack = await transitionPatronage(patronage.id, {
+      status: `in.(${RUNNING_STATUSES.join(',')})`,
+      current_period_end: `eq.${encodeURIComponent(patronage.current_period_end)}`
+    }, {
+      status: 'past_due',
+      current_period_end: payment.period_start,
+      periods_paid: Math.max((patronage.periods_paid || 0) - 1, 0),
+      renewal_notified_at: new Date().toISOString()
+    });
+    if (rolledBack) {
+      await notifyRenewalDue(patronage, 'Your pre-authorized renewal did not go through.');
+    }
+  }
+
+  return results;
+}
+
+async function notifyRenewalDue(patronage, reason) {
+  await notifyAgent({
+    wallet: patronage.patron_wallet,
+    type: 'patronage_renewal_due',
+    title: 'Patronage renewal due',
+    message: `${reason} Renew your ${parseFloat(patronage.amount_usdc)} USDC patronage of ${patronage.artist_username} within ${GRACE_DAYS} days to keep your perks.`,
+    data: { patronage_id: patronage.id, artist: patronage.artist_username, renew: { action: 'renew', id: patronage.id } }
+  });
+}
+
+/**
+ * Renew, flag and lapse due patronages (scheduler)
+ *
+ * - Due with a scheduled authorization → claimed and settled, period
+ *   advanced (also when the settlement is broadcast but unconfirmed)
+ * - Due without one (or settlement failed) → past_due, patron notified once
+ * - Past due beyond GRACE_DAYS → lapsed, both sides notified
+ * - Unconfirmed renewals → settled from their authorization (reconcileRenewals)
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{ renewed: number, unconfirmed: number, pastDue: number, lapsed: number, failed: number, reconciled: object }>}
+ */
+export async function processDueRenewals({ limit = 50 } = {}) {
+  const now = new Date().toISOString();
+  const results = { renewed: 0, unconfirmed: 0, pastDue: 0, lapsed: 0, failed: 0 };
+
+  results.reconciled = await reconcileRenewals({ limit });
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/patronages?status=in.(${RUNNING_STATUSES.join(',')})&current_period_end=lte.${now}&select=*&order=current_period_end.asc&limit=${limit}`
+  );
+  const due = dueRes.ok ? await dueRes.json() : [];
+
+  for (const patronage of due) {
+    const [scheduled] = await getPatronagePayments(patronage.id, { status: 'scheduled' });
+
+    if (scheduled?.authorization_payload) {
+      const renewal = await settleScheduledRenewal(patronage, scheduled);
+      if (renewal.claimed === false) continue;
+      if (renewal.success) {
+        results.renewed++;
+        if (renewal.unconfirmed) results.unconfirmed++;
+        await notifyAgent({
+          wallet: patronage.artist_wallet,
+          type: 'patronage_renewed',
+          title: 'Patronage renewed 💜',
+          message: `${patronage.patron_username || patronage.patron_wallet} renewed their ${parseFloat(patronage.amount_usdc)} USDC patronage`,
+          data: { patronage_id: patronage.id }
+        });
+        continue;
+      }
+      results.failed++;
+      if (renewal.conflict) continue;
+    }
+
+    const periodEnd = new Date(patronage.current_period_end).getTime();
+    if (Date.now() >= periodEnd + GRACE_DAYS * DAY_MS) {
+      const lapsed = await transitionPatronage(patronage.id, {
+        status: `in.(${RUNNING_STATUSES.join(',')})`,
+        current_period_end: `eq.${encodeURIComponent(patronage.current_period_end)}`
+      }, { status: 'lapsed', lapsed_at: new Date().toISOString() });
+      if (!lapsed) continue;
+
+      results.lapsed++;
+      await voidScheduledPayments(patronage.id);
+      await notifyAgent({
+        wallet: patronage.patron_wallet,
+        type: 'patronage_lapsed',
+        title: 'Patronage lapsed',
+        message: `Your patronage of ${patronage.artist_username} lapsed after ${GRACE_DAYS} days unpaid. Subscribe again any time.`,
+        data: { patronage_id: patronage.id, artist: patronage.artist_username }
+      });
+      await notifyAgent({
+        wallet: patronage.artist_wallet,
+        type: 'patronage_lapsed',
+        title: 'A patronage lapsed',
+        message: `${patronage.patron_username || patronage.patron_wallet}'s patronage lapsed`,
+        data: { patronage_id: patronage.id }
+      });
+      continue;
+    }
+
+    if (patronage.status === 'active' || !patronage.renewal_notified_at) {
+      const flagged = await transitionPatronage(patronage.id, {
+        status: `in.(${RUNNING_STATUSES.join(',')})`,
+        current_period_end: `eq.${encodeURIComponent(patronage.current_period_end)}`
+      }, { status: 'past_due', renewal_notified_at: new Date().toISOString() });
+      if (!flagged) continue;
+
+      results.pastDue++;
+      await notifyRenewalDue(
+        patronage,
+        scheduled ? 'Your pre-authorized renewal could not be settled.' : 'Your patronage period has ended.'
+      );
+    }
+  }
+
+  return results;
+}
+
+// ==================== NOTIFICATIONS ====================
+
+/**
+ * Tell an artist's current patrons about a new piece
+ *
+ * @param {object} submission - { id, title, moltbook, patron_only_until }
+ * @param {string} artistWallet
+ * @returns {Promise<number>} Patrons notified
+ */
+export async function notifyPatronsOfPiece(submission, artistWallet) {
+  if (!artistWallet) return 0;
+
+  const patronages = (await getPatronages({ artistWallet, statuses: ['active', 'past_due', 'cancelled'] }))
+    .filter(p => hasPatronAccess(p));
+
+  for (const patronage of patronages) {
+    await notifyAgent({
+      wallet: patronage.patron_wallet,
+      type: 'patron_early_access',
+      title: 'New piece for patrons ✨',
+      message: submission.patron_only_until
+        ? `${submission.moltbook} released "${submission.title}" — patrons only until ${submission.patron_only_until}`
+        : `${submission.moltbook} released "${submission.title}"`,
+      data: { submission_id: submission.id, patron_only_until: submission.patron_only_until || null }
+    });
+  }
+
+  return patronages.length;
+}
@@ -11,36 +11,24 @@
  *    - Correct sender (buyer)
  *    - Correct amount (within tolerance)
  *    - Correct asset (USDC)
+ *    - Deep enough for its amount (CONFIRMATION_TIERS), or held as
+ *      pending_confirmation until it is
  * 4. Atomically claims the transaction to prevent replay attacks
+ * 5. The reconciliation job (confirmations.js) re-checks recorded payments
+ *    until they are final and flags any that a reorg removed
  * 
  * @module payment-verify
  */
 
-// ==================== CONFIGURATION ====================
-
-/**
- * Network configuration - determines RPC and contract addresses
- * @constant {boolean}
- */
-const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
+import { getChainClient, getNetworkConfig, decodeTransferLogs, NETWORK_ID } from './chain.js';
 
-/**
- * JSON-RPC endpoint for Base network
- * @constant {string}
- */
-const RPC_URL = IS_MAINNET 
-  ? 'https://mainnet.base.org' 
-  : 'https://sepolia.base.org';
+// ==================== CONFIGURATION ====================
 
 /**
- * USDC contract address on Base
- * Base Mainnet: 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913
- * Base Sepolia: 0x036CbD53842c5426634e7929541eC2318f3dCF7e
+ * USDC contract address on the active network (see chain.js NETWORKS)
  * @constant {string}
  */
-const USDC_CONTRACT = IS_MAINNET
-  ? '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
-  : '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const USDC_CONTRACT = getNetworkConfig().usdc;
 
 /**
  * Platform wallet that receives payments (for verification)
@@ -55,21 +43,91 @@ const PLATFORM_WALLET = process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC
  */
 const USDC_DECIMALS = 6;
 
+
 /**
- * ERC-20 Transfer event topic (keccak256 of "Transfer(address,address,uint256)")
- * Used to identify transfer events in transaction logs
- * @constant {string}
+ * Confirmations a payment needs before its sale completes, by network and
+ * amount. The first tier whose `upTo` (USDC) covers the amount applies; a
+ * tier without `upTo` covers everything above. `'finalized'` waits until the
+ * payment's block is behind the chain's finalized head.
+ * Override with PAYMENT_CONFIRMATION_TIERS (JSON array of the same shape).
+ * @constant {object}
+ */
+const DEFAULT_CONFIRMATION_TIERS = {
+  'base-mainnet': [
+    { upTo: 25, confirmations: 3 },
+    { upTo: 250, confirmations: 30 },
+    { confirmations: 'finalized' }
+  ],
+  'base-sepolia': [
+    { confirmations: 1 }
+  ]
+};
+
+function loadConfirmationTiers() {
+  if (process.env.PAYMENT_CONFIRMATION_TIERS) {
+    try {
+      const tiers = JSON.parse(process.env.PAYMENT_CONFIRMATION_TIERS);
+      if (Array.isArray(tiers) && tiers.length > 0) return tiers;
+    } catch (e) {
+      // Fall through to the network defaults
+    }
+    console.error('Invalid PAYMENT_CONFIRMATION_TIERS, using network defaults');
+  }
+  return DEFAULT_CONFIRMATION_TIERS[NETWORK_ID];
+}
+
+/**
+ * Confirmation tiers in effect
+ * @constant {Array<{ upTo?: number, confirmations: number|'finalized' }>}
+ */
+export const CONFIRMATION_TIERS = loadConfirmationTiers();
+
+/**
+ * Confirmations required for a payment of this size
+ * @param {number} amount - USDC
+ * @returns {number|'finalized'}
+ */
+export function getRequiredConfirmations(amount) {
+  const tier = CONFIRMATION_TIERS.find(t => t.upTo === undefined || t.upTo === null || amount <= t.upTo);
+  return tier ? tier.confirmations : 'finalized';
+}
+
+/**
+ * How deep a block is, and whether that meets the requirement
+ *
+ * @param {number} blockNumber - Block the payment was mined in
+ * @param {number|'finalized'} required
+ * @returns {Promise<{ confirmations: number, confirmed: boolean }>}
  */
-const TRANSFER_EVENT_SIGNATURE = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+export async function getConfirmationDepth(blockNumber, required) {
+  const chain = getChainClient();
+  const head = await chain.getBlockNumber();
+  const confirmations = Math.max(0, head - blockNumber + 1);
+
+  if (required === 'finalized') {
+    const finalized = await chain.getFinalizedBlockNumber();
+    return { confirmations, confirmed: finalized !== null && finalized >= blockNumber };
+  }
+
+  return { confirmations, confirmed: confirmations >= Number(required) };
+}
 
 /**
  * Verify that a transaction is a valid USDC payment
+ *
+ * A payment that matches but hasn't reached its required confirmations is
+ * rejected (`pending: true`) unless the caller can hold the sale in
+ * pending_confirmation (`allowPending`); the tx isn't recorded, so it can be
+ * resubmitted once confirmed.
+ *
  * @param {string} txHash - Transaction hash to verify
  * @param {object} expected - Expected payment details
  * @param {string} expected.from - Expected sender address
  * @param {number} expected.amount - Expected amount in USDC (human readable, e.g., 0.10)
  * @param {string} expected.to - Expected recipient (optional, defaults to platform wallet)
- * @returns {object} { valid: boolean, error?: string, details?: object }
+ * @param {number|'finalized'} [expected.requiredConfirmations] - Defaults to the amount's tier
+ * @param {boolean} [expected.allowPending=false] - Accept a matching payment that is not yet deep enough
+ * @returns {object} { valid: boolean, pending?: boolean, error?: string, details?: object }
  */
 export async function verifyPayment(txHash, expected) {
   // Validate inputs
@@ -91,19 +149,7 @@ export async function verifyPayment(txHash, expected) {
   
   try {
     // Fetch transaction receipt
-    const receiptResponse = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'eth_getTransactionReceipt',
-        params: [txHash]
-      })
-    });
-    
-    const receiptData = await receiptResponse.json();
-    const receipt = receiptData.result;
+    const receipt = await getChainClient().getTransactionReceipt(txHash);
     
     if (!receipt) {
       return { valid: false, error: 'Transaction not found or not yet confirmed' };
@@ -120,52 +166,62 @@ export async function verifyPayment(txHash, expected) {
     }
     
     // Parse Transfer events from logs
-    const transferLogs = receipt.logs.filter(log => 
-      log.topics[0] === TRANSFER_EVENT_SIGNATURE &&
-      log.address.toLowerCase() === USDC_CONTRACT.toLowerCase()
-    );
+    const transfers = decodeTransferLogs(receipt, USDC_CONTRACT);
     
-    if (transferLogs.length === 0) {
+    if (transfers.length === 0) {
       return { valid: false, error: 'No USDC transfer found in transaction' };
     }
     
     // Find a matching transfer
-    for (const log of transferLogs) {
-      // ERC20 Transfer: topics[1] = from, topics[2] = to, data = amount
-      const logFrom = '0x' + log.topics[1].slice(26).toLowerCase();
-      const logTo = '0x' + log.topics[2].slice(26).toLowerCase();
-      const logAmount = BigInt(log.data);
-      
-      // Check if this transfer matches our expected payment
-      if (logFrom === sender && logTo === recipient) {
-        // Allow small tolerance for rounding (0.01 USDC = 10000 wei)
-        const tolerance = BigInt(10000);
-        const diff = logAmount > expectedAmountWei 
-          ? logAmount - expectedAmountWei 
-          : expectedAmountWei - logAmount;
-        
-        if (diff <= tolerance) {
-          return {
-            valid: true,
-            details: {
-              txHash,
-              from: logFrom,
-              to: logTo,
-              amount: Number(logAmount) / (10 ** USDC_DECIMALS),
-              blockNumber: parseInt(receipt.blockNumber, 16),
-              confirmations: 'confirmed'
-            }
-          };
-        } else {
-          return {
-            valid: false,
-            error: `Amount mismatch: expected ${expected.amount} USDC, got ${Number(logAmount) / (10 ** USDC_DECIMALS)} USDC`
-          };
-        }
-      }
+    const transfer = transfers.find(t => t.from === sender && t.to === recipient);
+    
+    if (!transfer) {
+      return { valid: false, error: 'No matching USDC transfer found (wrong sender or recipient)' };
+    }
+    
+    // Allow small tolerance for rounding (0.01 USDC = 10000 wei)
+    const logAmount = transfer.value;
+    const tolerance = BigInt(10000);
+    const diff = logAmount > expectedAmountWei 
+      ? logAmount - expectedAmountWei 
+      : expectedAmountWei - logAmount;
+    
+    if (diff > tolerance) {
+      return {
+        valid: false,
+        error: `Amount mismatch: expected ${expected.amount} USDC, got ${Number(logAmount) / (10 ** USDC_DECIMALS)} USDC`
+      };
     }
     
-    return { valid: false, error: 'No matching USDC transfer found (wrong sender or recipient)' };
+    // Deep enough for this amount?
+    const blockNumber = parseInt(receipt.blockNumber, 16);
+    const requiredConfirmations = expected.requiredConfirmations ?? getRequiredConfirmations(expected.amount);
+    const depth = await getConfirmationDepth(blockNumber, requiredConfirmations);
+    
+    const details = {
+      txHash,
+      from: sender,
+      to: recipient,
+      amount: Number(logAmount) / (10 ** USDC_DECIMALS),
+      blockNumber,
+      blockHash: receipt.blockHash,
+      confirmations: depth.confirmations,
+      requiredConfirmations,
+      confirmed: depth.confirmed
+    };
+    
+    if (!depth.confirmed && !expected.allowPending) {
+      return {
+        valid: false,
+        pending: true,
+        details,
+        error: requiredConfirmations === 'finalized'
+          ? 'Payment is not finalized yet. Resubmit the transaction once its block is finalized.'
+          : `Payment has ${depth.confirmations} of ${requiredConfirmations} required confirmations. Resubmit it once confirmed.`
+      };
+    }
+    
+    return { valid: true, pending: !depth.confirmed, details };
     
   } catch (err) {
     console.error('Payment verification error:', err);
@@ -174,7 +230,40 @@ export async function verifyPayment(txHash, expected) {
 }
 
 /**
- * Check if a transaction has been used for a previous purchase
+ * Re-check a recorded payment (reconciliation)
+ *
+ * The same tx hash always carries the same transfer, so only presence,
+ * success and depth need checking. A tx re-mined in another block after a
+ * reorg is still a valid payment.
+ *
+ * @param {string} txHash
+ * @param {number|'finalized'} requiredConfirmations
+ * @returns {Promise<{ status: 'confirmed'|'pending'|'missing'|'failed', blockNumber?: number, blockHash?: string, confirmations?: number }>}
+ */
+export async function recheckPayment(txHash, requiredConfirmations) {
+  const receipt = await getChainClient().getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { status: 'missing' };
+  }
+  if (receipt.status !== '0x1') {
+    return { status: 'failed' };
+  }
+
+  const blockNumber = parseInt(receipt.blockNumber, 16);
+  const depth = await getConfirmationDepth(blockNumber, requiredConfirmations);
+
+  return {
+    status: depth.confirmed ? 'confirmed' : 'pending',
+    blockNumber,
+    blockHash: receipt.blockHash,
+    confirmations: depth.confirmations
+  };
+}
+
+/**
+ * Check if a transaction has been used for a previous purchase, was
+ * settled from a signed authorization (e.g. offer escrow), paid an
+ * auction bid or paid for a cart, and so already belongs to another flow
  * @param {string} txHash - Transaction hash
  * @returns {boolean} True if already used
  */
@@ -187,20 +276,25 @@ export async function isTransactionUsed(txHash) {
     return false;
   }
   
+  const headers = {
+    'apikey': SUPABASE_KEY,
+    'Authorization': `Bearer ${SUPABASE_KEY}`
+  };
+  const hash = encodeURIComponent(txHash.toLowerCase());
+  
   try {
-    const res = await fetch(
-      `${SUPABASE_URL}/rest/v1/purchases?tx_hash=eq.${encodeURIComponent(txHash)}&select=id&limit=1`,
-      {
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Authorization': `Bearer ${SUPABASE_KEY}`
-        }
-      }
-    );
+    const [purchasesRes, authorizationsRes, bidsRes, cartsRes] = await Promise.all([
+      fetch(`${SUPABASE_URL}/rest/v1/purchases?tx_hash=ilike.${hash}&select=id&limit=1`, { headers }),
+      fetch(`${SUPABASE_URL}/rest/v1/x402_payments?tx_hash=eq.${hash}&select=id&limit=1`, { headers }),
+      fetch(`${SUPABASE_URL}/rest/v1/auction_bids?tx_hash=eq.${hash}&select=id&limit=1`, { headers }),
+      fetch(`${SUPABASE_URL}/rest/v1/carts?tx_hash=eq.${hash}&select=id&limit=1`, { headers })
+    ]);
     
-    if (!res.ok) return false;
-    const purchases = await res.json();
-    return purchases.length > 0;
+    const purchases = purchasesRes.ok ? await purchasesRes.json() : [];
+    const authorizations = authorizationsRes.ok ? await authorizationsRes.json() : [];
+    const bids = bidsRes.ok ? await bidsRes.json() : [];
+    const carts = cartsRes.ok ? await cartsRes.json() : [];
+    return purchases.length > 0 || authorizations.length > 0 || bids.length > 0 || carts.length > 0;
   } catch (err) {
     console.error('Transaction usage check error:', err);
     return false;
@@ -270,11 +364,13 @@ export async function claimTransactionAtomic(txHash, purchaseData) {
 /**
  * Full payment verification workflow
  * @param {string} txHash - Transaction hash
- * @param {string} buyerAddress - Expected buyer wallet
+ * @param {string} buyerAddress - Wallet the payment must come from (buyer or X-Payer)
  * @param {number} amount - Expected amount in USDC
+ * @param {object} [options]
+ * @param {boolean} [options.allowPending=false] - Accept a payment still short of its confirmations
  * @returns {object} Verification result
  */
-export async function verifyPurchasePayment(txHash, buyerAddress, amount) {
+export async function verifyPurchasePayment(txHash, buyerAddress, amount, { allowPending = false } = {}) {
   // Step 1: Check if transaction was already used
   const alreadyUsed = await isTransactionUsed(txHash);
   if (alreadyUsed) {
@@ -284,7 +380,8 @@ export async function verifyPurchasePayment(txHash, buyerAddress, amount) {
   // Step 2: Verify on-chain
   const verification = await verifyPayment(txHash, {
     from: buyerAddress,
-    amount: amount
+    amount: amount,
+    allowPending
   });
   
   return verification;
@@ -0,0 +1,613 @@
+/**
+ * USDC Payouts for Phosphors
+ *
+ * Sends USDC from the platform (minter) wallet to artists and sellers after
+ * a purchase has been paid to the platform.
+ *
+ * Sale payouts go through the payout ledger (`payouts` table) so a transfer
+ * that fails is retried instead of being lost.
+ *
+ * ## Ledger states:
+ * pending → sent → confirmed
+ * pending → (retry with backoff) → ... → failed (admin retry)
+ *
+ * An entry is `sent` as soon as its transfer is broadcast. One that isn't
+ * confirmed in time stays `sent` until its receipt settles it; only a
+ * reverted or failed transfer goes back to pending.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { queueSalePayouts } from './_lib/payouts.js';
+ *
+ * const payouts = await queueSalePayouts({
+ *   purchase,
+ *   saleTxHash: paymentTx,
+ *   submission,
+ *   entries: [{ role: 'artist', wallet: artistWallet, username: artist, amount: basePrice }]
+ * });
+ * if (payouts.artist?.tx_hash) console.log('paid', payouts.artist.tx_hash);
+ * ```
+ *
+ * One-off transfers (refunds) use `sendUsdcPayout` directly.
+ *
+ * @module payouts
+ */
+
+import { getMinterWallet } from './wallet.js';
+import { supabaseRequest } from './supabase.js';
+import { getChainClient } from './chain.js';
+import { roundUsdc } from './pricing.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Attempts before a payout is marked failed and left for an admin
+ * @constant {number}
+ */
+export const MAX_PAYOUT_ATTEMPTS = 8;
+
+/**
+ * First retry delay; doubles with every failed attempt (ms)
+ * @constant {number}
+ */
+export const RETRY_BASE_MS = 5 * 60 * 1000;
+
+/**
+ * Longest retry delay (ms)
+ * @constant {number}
+ */
+export const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a worker holds a payout while sending it (ms). Keeps a second
+ * worker from paying the same entry twice.
+ * @constant {number}
+ */
+const CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Ledger roles
+ * @constant {string[]}
+ */
+export const PAYOUT_ROLES = ['artist', 'royalty', 'seller'];
+
+// ==================== TRANSFERS ====================
+
+/**
+ * Whether the platform wallet can send payouts in this environment
+ * @returns {boolean}
+ */
+export function isPayoutConfigured() {
+  return !!(
+    process.env.CDP_API_KEY_ID &&
+    process.env.CDP_API_KEY_SECRET &&
+    process.env.MINTER_WALLET_ID &&
+    process.env.MINTER_SEED
+  );
+}
+
+/**
+ * Send USDC from the platform wallet
+ *
+ * A failure before the transfer is created means nothing was sent. Once it
+ * is broadcast its hash goes to `onBroadcast`, and a failure to confirm it
+ * (e.g. a wait() timeout) comes back `unconfirmed`: it may still land, so it
+ * must be settled from its receipt, never sent again. A transfer that ended
+ * failed sent nothing.
+ *
+ * @param {string} destination - Recipient wallet
+ * @param {number} amount - Amount in USDC
+ * @param {object} [options]
+ * @param {Function} [options.onBroadcast] - (txHash) => Promise, before waiting for the transfer
+ * @returns {Promise<{ success: boolean, unconfirmed?: boolean, txHash?: string, error?: string }>}
+ */
+export async function sendUsdcPayout(destination, amount, { onBroadcast } = {}) {
+  if (!destination || !(amount > 0)) {
+    return { success: false, error: 'Invalid payout destination or amount' };
+  }
+
+  let transfer;
+  try {
+    const { wallet, error } = await getMinterWallet();
+    if (!wallet) {
+      return { success: false, error: error || 'Platform wallet unavailable' };
+    }
+
+    transfer = await wallet.createTransfer({
+      amount,
+      assetId: 'usdc',
+      destination,
+      gasless: false
+    });
+  } catch (err) {
+    console.error(`USDC payout to ${destination} failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+
+  const txHash = transfer.getTransactionHash()?.toLowerCase() || null;
+  if (txHash && onBroadcast) {
+    await onBroadcast(txHash);
+  }
+
+  try {
+    await transfer.wait();
+  } catch (err) {
+    console.error(`USDC payout to ${destination} unconfirmed:`, err.message);
+    return { success: false, unconfirmed: true, txHash, error: err.message };
+  }
+
+  if (transfer.getStatus() !== 'complete') {
+    return { success: false, txHash, error: `Transfer failed with status: ${transfer.getStatus()}` };
+  }
+
+  return { success: true, txHash: transfer.getTransactionHash()?.toLowerCase() || txHash };
+}
+
+/**
+ * Settle a broadcast transfer from its receipt
+ *
+ * For transfers `sendUsdcPayout` left unconfirmed: 'confirmed' once it
+ * landed, 'reverted' if it failed on chain (nothing was sent), null while
+ * there is no receipt yet or the RPC can't be reached.
+ *
+ * @param {string} txHash
+ * @returns {Promise<'confirmed'|'reverted'|null>}
+ */
+export async function getTransferOutcome(txHash) {
+  try {
+    const receipt = await getChainClient().getTransactionReceipt(txHash);
+    if (!receipt) return null;
+    return receipt.status === '0x1' ? 'confirmed' : 'reverted';
+  } catch (err) {
+    console.error(`Receipt check for ${txHash} failed:`, err.message);
+    return null;
+  }
+}
+
+// ==================== LEDGER ====================
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ *
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} ms
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+}
+
+/**
+ * Public shape of a ledger entry
+ *
+ * @param {object} payout - payouts row
+ * @returns {object}
+ */
+export function formatPayout(payout) {
+  return {
+    id: payout.id,
+    purchaseId: payout.purchase_id,
+    saleTxHash: payout.sale_tx_hash,
+    cartLine: payout.cart_line || 0,
+    pieceId: payout.submission_id,
+    title: payout.piece_title,
+    role: payout.role,
+    recipient: {
+      username: payout.recipient_username,
+      wallet: payout.recipient_wallet
+    },
+    amount: parseFloat(payout.amount_usdc),
+    currency: 'USDC',
+    status: payout.status,
+    txHash: payout.tx_hash || null,
+    attempts: payout.attempts,
+    lastError: payout.last_error || null,
+    nextAttemptAt: payout.status === 'pending' ? payout.next_attempt_at : null,
+    sentAt: payout.sent_at || null,
+    confirmedAt: payout.confirmed_at || null,
+    createdAt: payout.created_at
+  };
+}
+
+async function updatePayout(payoutId, filter, updates) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/payouts?id=eq.${encodeURIComponent(payoutId)}${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+    });
+
+    if (!res.ok) {
+      console.error('Payout update failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Payout update error:', err.message);
+    return null;
+  }
+}
+
+async function getWalletForUsername(username) {
+  if (!username) return null;
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0]?.wallet?.toLowerCase() || null;
+}
+
+// Keep the purchase row's payout columns in step with the ledger. A
+// collaborative sale owes its artist role to several co-artists, so the
+// column holds what has gone out across all of them.
+async function syncPurchase(payout) {
+  const filter = payout.purchase_id
+    ? `id=eq.${encodeURIComponent(payout.purchase_id)}`
+    : `tx_hash=eq.${encodeURIComponent(payout.sale_tx_hash)}&cart_line=eq.${payout.cart_line || 0}`;
+
+  try {
+    const sentRes = await supabaseRequest(
+      `/rest/v1/payouts?sale_tx_hash=eq.${encodeURIComponent(payout.sale_tx_hash)}&cart_line=eq.${payout.cart_line || 0}&role=eq.${payout.role}&status=in.(sent,confirmed)&select=amount_usdc,tx_hash&order=sent_at.asc`
+    );
+    if (!sentRes.ok) return;
+    const sent = await sentRes.json();
+    const amount = roundUsdc(sent.reduce((sum, p) => sum + parseFloat(p.amount_usdc), 0));
+    const txHash = sent[0]?.tx_hash || null;
+    const fields = payout.role === 'seller'
+      ? { seller_payout: amount, seller_payout_tx_hash: txHash }
+      : { artist_payout: amount, payout_tx_hash: txHash };
+
+    await supabaseRequest(`/rest/v1/purchases?${filter}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify(fields)
+    });
+  } catch (err) {
+    console.error('Purchase payout sync error:', err.message);
+  }
+}
+
+/**
+ * Get a ledger entry by ID
+ *
+ * @param {string} payoutId
+ * @returns {Promise<object|null>}
+ */
+export async function getPayout(payoutId) {
+  try {
+    const res = await supabaseRequest(`/rest/v1/payouts?id=eq.${encodeURIComponent(payoutId)}&select=*`);
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get payout error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * List ledger entries
+ *
+ * @param {object} [filters] - { status, recipient, purchaseId, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getPayouts({ status, recipient, purchaseId, limit = 50 } = {}) {
+  let query = `/rest/v1/payouts?select=*&order=created_at.desc&limit=${Math.min(limit, 200)}`;
+  if (status) query += `&status=eq.${encodeURIComponent(status)}`;
+  if (recipient) query += `&recipient_wallet=eq.${encodeURIComponent(recipient.toLowerCase())}`;
+  if (purchaseId) query += `&purchase_id=eq.${encodeURIComponent(purchaseId)}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get payouts error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Try to send one pending ledger entry
+ *
+ * Claims the entry first (pushes next_attempt_at out), so concurrent workers
+ * never send it twice, and marks it sent the moment the transfer is
+ * broadcast. On failure the entry goes back to pending with exponential
+ * backoff, or to failed once MAX_PAYOUT_ATTEMPTS is reached.
+ *
+ * @param {object} payout - payouts row
+ * @returns {Promise<object>} The entry after the attempt (unchanged if it wasn't due)
+ */
+export async function processPayout(payout) {
+  const now = new Date();
+
+  if (!isPayoutConfigured()) {
+    return await updatePayout(payout.id, '&status=eq.pending', {
+      last_error: 'Payout wallet not configured',
+      next_attempt_at: new Date(now.getTime() + RETRY_BASE_MS).toISOString()
+    }) || payout;
+  }
+
+  const claimed = await updatePayout(payout.id, `&status=eq.pending&next_attempt_at=lte.${now.toISOString()}`, {
+    attempts: payout.attempts + 1,
+    next_attempt_at: new Date(now.getTime() + CLAIM_MS).toISOString()
+  });
+  if (!claimed) return payout;
+
+  const wallet = claimed.recipient_wallet || await getWalletForUsername(claimed.recipient_username);
+  const amount = parseFloat(claimed.amount_usdc);
+  // Sent from the moment it is broadcast: after that only its receipt
+  // (confirmPayout) may put it back to pending
+  let broadcast = null;
+  const transfer = wallet
+    ? await sendUsdcPayout(wallet, amount, {
+        onBroadcast: async txHash => {
+          broadcast = await updatePayout(claimed.id, '&status=eq.pending', {
+            status: 'sent',
+            recipient_wallet: wallet,
+            tx_hash: txHash,
+            next_attempt_at: null,
+            sent_at: new Date().toISOString()
+          });
+        }
+      })
+    : { success: false, error: 'Recipient has no wallet on file' };
+
+  if (transfer.success || (transfer.unconfirmed && transfer.txHash)) {
+    const sent = await updatePayout(claimed.id, '', {
+      status: 'sent',
+      recipient_wallet: wallet,
+      tx_hash: transfer.txHash,
+      last_error: transfer.success ? null : `Unconfirmed: ${transfer.error}`,
+      next_attempt_at: null,
+      sent_at: broadcast?.sent_at || new Date().toISOString()
+    });
+    await syncPurchase(claimed);
+    return sent || { ...claimed, status: 'sent', tx_hash: transfer.txHash };
+  }
+
+  // Created but with no hash to follow: it may have gone out, so an admin
+  // checks before it is retried
+  if (transfer.unconfirmed) {
+    return await updatePayout(claimed.id, '', {
+      status: 'failed',
+      recipient_wallet: wallet,
+      last_error: `Transfer may have been sent, check before retrying: ${transfer.error}`,
+      next_attempt_at: null
+    }) || claimed;
+  }
+
+  const exhausted = claimed.attempts >= MAX_PAYOUT_ATTEMPTS;
+  const failed = await updatePayout(claimed.id, '', {
+    status: exhausted ? 'failed' : 'pending',
+    tx_hash: null,
+    sent_at: null,
+    last_error: transfer.error,
+    next_attempt_at: exhausted ? null : new Date(Date.now() + getRetryDelay(claimed.attempts)).toISOString()
+  });
+  if (broadcast) await syncPurchase(claimed);
+  return failed || claimed;
+}
+
+/**
+ * Check a sent payout's receipt
+ *
+ * A successful receipt confirms it; a reverted transfer goes back to
+ * pending to be sent again.
+ *
+ * @param {object} payout - payouts row in status 'sent'
+ * @returns {Promise<object>} The entry after the check
+ */
+export async function confirmPayout(payout) {
+  try {
+    const outcome = await getTransferOutcome(payout.tx_hash);
+    if (!outcome) return payout;
+
+    if (outcome === 'confirmed') {
+      return await updatePayout(payout.id, '&status=eq.sent', {
+        status: 'confirmed',
+        confirmed_at: new Date().toISOString()
+      }) || payout;
+    }
+
+    const reverted = await updatePayout(payout.id, '&status=eq.sent', {
+      status: 'pending',
+      tx_hash: null,
+      sent_at: null,
+      last_error: `Transfer ${payout.tx_hash} reverted`,
+      next_attempt_at: new Date().toISOString()
+    });
+    if (reverted) await syncPurchase(payout);
+    return reverted || payout;
+  } catch (err) {
+    console.error('Payout receipt check failed:', err.message);
+    return payout;
+  }
+}
+
+/**
+ * Record what a sale owes and try to pay it straight away
+ *
+ * Entries with no amount are skipped. Recording is idempotent per sale
+ * payment, cart line, role and recipient, so a retried request never owes
+ * twice. A collaborative piece owes its artist role to each co-artist.
+ *
+ * @param {object} params
+ * @param {object|null} params.purchase - Recorded purchase (id)
+ * @param {string} params.saleTxHash - Payment that funded the sale
+ * @param {object} params.submission - { id, title }
+ * @param {Array<{ role: string, wallet: string|null, username?: string, amount: number }>} params.entries
+ * @param {number} [params.cartLine=0] - Line of a cart paid by saleTxHash
+ * @param {boolean} [params.sendNow=true] - false leaves the entries to the worker
+ * @param {boolean} [params.hold=false] - Record without a due time until releaseHeldPayouts()
+ *   (the payment is still short of its confirmations)
+ * @returns {Promise<object>} Ledger rows after the first attempt, keyed by role
+ *   (first entry of each role), plus `entries` with every row
+ */
+export async function queueSalePayouts({ purchase, saleTxHash, submission, entries, cartLine = 0, sendNow = true, hold = false }) {
+  const rows = entries
+    .filter(entry => entry.amount > 0)
+    .map(entry => ({
+      purchase_id: purchase?.id || null,
+      sale_tx_hash: saleTxHash.toLowerCase(),
+      cart_line: cartLine,
+      submission_id: submission?.id || null,
+      piece_title: submission?.title || null,
+      role: entry.role,
+      recipient_wallet: entry.wallet?.toLowerCase() || null,
+      recipient_username: entry.username || null,
+      amount_usdc: entry.amount,
+      status: 'pending',
+      ...(hold ? { next_attempt_at: null } : {})
+    }));
+
+  const results = {};
+  if (rows.length === 0) return results;
+
+  let recorded = [];
+  try {
+    const res = await supabaseRequest('/rest/v1/payouts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=ignore-duplicates'
+      },
+      body: JSON.stringify(rows)
+    });
+
+    if (res.ok) {
+      recorded = await res.json();
+    } else {
+      console.error('Payout ledger insert failed:', await res.text());
+    }
+  } catch (err) {
+    console.error('Payout ledger insert error:', err.message);
+  }
+
+  results.entries = [];
+  for (const payout of recorded) {
+    const entry = sendNow && !hold ? await processPayout(payout) : payout;
+    results.entries.push(entry);
+    // Co-artists of a collaboration share a role; the first (lead) keys it
+    if (!results[payout.role]) results[payout.role] = entry;
+  }
+
+  return results;
+}
+
+async function updateSalePayouts(saleTxHash, cartLine, filter, updates) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/payouts?sale_tx_hash=eq.${encodeURIComponent(saleTxHash.toLowerCase())}&cart_line=eq.${cartLine}${filter}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({ ...updates, updated_at: new Date().toISOString() })
+      }
+    );
+
+    if (!res.ok) {
+      console.error('Sale payouts update failed:', await res.text());
+      return [];
+    }
+    return await res.json();
+  } catch (err) {
+    console.error('Sale payouts update error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Hand a sale's held entries to the worker (its payment is now confirmed)
+ *
+ * @param {string} saleTxHash
+ * @param {number} [cartLine=0]
+ * @returns {Promise<Array<object>>} Released entries
+ */
+export async function releaseHeldPayouts(saleTxHash, cartLine = 0) {
+  return updateSalePayouts(saleTxHash, cartLine, '&status=eq.pending&next_attempt_at=is.null', {
+    next_attempt_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Stop a sale's unsent entries because the payment that funded it is gone
+ *
+ * They become failed, so an admin can still retry them if the payment
+ * turns up again.
+ *
+ * @param {string} saleTxHash
+ * @param {number} [cartLine=0]
+ * @param {string} reason - Stored as last_error
+ * @returns {Promise<Array<object>>} Cancelled entries
+ */
+export async function cancelUnsentPayouts(saleTxHash, cartLine = 0, reason) {
+  return updateSalePayouts(saleTxHash, cartLine, '&status=eq.pending', {
+    status: 'failed',
+    last_error: reason,
+    next_attempt_at: null
+  });
+}
+
+/**
+ * Force a retry of a pending or failed entry now (admin)
+ *
+ * @param {string} payoutId
+ * @returns {Promise<object|null>} The entry after the attempt, or null if it can't be retried
+ */
+export async function retryPayout(payoutId) {
+  const reset = await updatePayout(payoutId, '&status=in.(pending,failed)', {
+    status: 'pending',
+    next_attempt_at: new Date().toISOString()
+  });
+  if (!reset) return null;
+
+  // A failed entry gets one more attempt before failing again
+  return processPayout({ ...reset, attempts: Math.min(reset.attempts, MAX_PAYOUT_ATTEMPTS - 1) });
+}
+
+/**
+ * Retry due payouts and confirm sent ones (scheduler)
+ *
+ * @param {object} [options] - { limit }
+ * @returns {Promise<{ sent: number, retrying: number, failed: number, confirmed: number }>}
+ */
+export async function processDuePayouts({ limit = 25 } = {}) {
+  const results = { sent: 0, retrying: 0, failed: 0, confirmed: 0 };
+  const now = new Date().toISOString();
+
+  const sentRes = await supabaseRequest(
+    `/rest/v1/payouts?status=eq.sent&select=*&order=sent_at.asc&limit=${limit}`
+  );
+  for (const payout of sentRes.ok ? await sentRes.json() : []) {
+    const checked = await confirmPayout(payout);
+    if (checked.status === 'confirmed') results.confirmed++;
+  }
+
+  const dueRes = await supabaseRequest(
+    `/rest/v1/payouts?status=eq.pending&next_attempt_at=lte.${now}&select=*&order=next_attempt_at.asc&limit=${limit}`
+  );
+  for (const payout of dueRes.ok ? await dueRes.json() : []) {
+    const attempt = await processPayout(payout);
+    if (attempt.status === 'sent') {
+      results.sent++;
+    } else if (attempt.status === 'failed') {
+      results.failed++;
+    } else {
+      results.retrying++;
+    }
+  }
+
+  return results;
+}
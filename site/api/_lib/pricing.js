@@ -0,0 +1,238 @@
+/**
+ * Piece Pricing for Phosphors
+ *
+ * Artists set a USDC price per piece (on submit, or later via /api/price).
+ * Every purchase path reads the live price from the submission row, so
+ * a price change takes effect on the next 402 quote.
+ *
+ * ## Rules:
+ * - Price must be within [MIN_PRICE_USDC, MAX_PRICE_USDC]
+ * - Prices are stored with USDC precision (6 decimals)
+ * - Pieces without a price fall back to DEFAULT_PRICE_USDC
+ * - Every change is appended to price_history
+ *
+ * ## Usage:
+ * ```javascript
+ * import { getPiecePrice, quotePurchase, setPiecePrice } from './_lib/pricing.js';
+ *
+ * const basePrice = getPiecePrice(submission);
+ * const { protocolFee, totalPrice } = quotePurchase(basePrice);
+ *
+ * await setPiecePrice({ submissionId, price: 2.5, agent });
+ * ```
+ *
+ * @module pricing
+ */
+
+import { supabaseRequest } from './supabase.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Price used for pieces that have never been priced (genesis + legacy)
+ * @constant {number}
+ */
+export const DEFAULT_PRICE_USDC = 1.00;
+
+/**
+ * Platform price floor in USDC
+ * @constant {number}
+ */
+export const MIN_PRICE_USDC = parseFloat(process.env.MIN_PRICE_USDC) || 0.10;
+
+/**
+ * Platform price ceiling in USDC
+ * @constant {number}
+ */
+export const MAX_PRICE_USDC = parseFloat(process.env.MAX_PRICE_USDC) || 10000;
+
+/**
+ * Protocol fee added on top of the artist price (used to buy & burn $PHOS)
+ * @constant {number}
+ */
+export const PROTOCOL_FEE_PERCENT = 0.01;
+
+// ==================== HELPERS ====================
+
+/**
+ * Round to USDC precision (6 decimals)
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundUsdc(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Validate an artist-supplied price
+ *
+ * @param {*} value - Raw price (number or numeric string)
+ * @returns {{ valid: boolean, price?: number, error?: string }}
+ */
+export function validatePrice(value) {
+  const price = typeof value === 'string' ? Number(value.trim()) : value;
+
+  if (typeof price !== 'number' || !Number.isFinite(price)) {
+    return { valid: false, error: 'Price must be a number (USDC)' };
+  }
+
+  const rounded = roundUsdc(price);
+
+  if (rounded < MIN_PRICE_USDC || rounded > MAX_PRICE_USDC) {
+    return {
+      valid: false,
+      error: `Price must be between ${MIN_PRICE_USDC} and ${MAX_PRICE_USDC} USDC`
+    };
+  }
+
+  return { valid: true, price: rounded };
+}
+
+/**
+ * Price of a submission row (falls back to default when unset)
+ *
+ * @param {object|null} submission - Row with price_usdc
+ * @returns {number} Price in USDC
+ */
+export function getPiecePrice(submission) {
+  const price = parseFloat(submission?.price_usdc);
+  return Number.isFinite(price) && price > 0 ? price : DEFAULT_PRICE_USDC;
+}
+
+/**
+ * Break a base price into fee and total
+ *
+ * @param {number} basePrice - Artist price in USDC
+ * @returns {{ basePrice: number, protocolFee: number, totalPrice: number }}
+ */
+export function quotePurchase(basePrice) {
+  const protocolFee = roundUsdc(basePrice * PROTOCOL_FEE_PERCENT);
+  return {
+    basePrice,
+    protocolFee,
+    totalPrice: roundUsdc(basePrice + protocolFee)
+  };
+}
+
+// ==================== DATABASE ====================
+
+/**
+ * Read live prices for several pieces at once
+ *
+ * @param {string[]} submissionIds
+ * @returns {Promise<Map<string, number>>} submission ID → price in USDC
+ */
+export async function getLivePrices(submissionIds) {
+  const prices = new Map();
+  const ids = [...new Set(submissionIds.filter(Boolean))];
+  if (ids.length === 0) return prices;
+
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/submissions?id=in.(${ids.map(encodeURIComponent).join(',')})&select=id,price_usdc`
+    );
+    if (res.ok) {
+      for (const row of await res.json()) {
+        prices.set(row.id, getPiecePrice(row));
+      }
+    }
+  } catch (err) {
+    console.error('Live prices lookup failed:', err.message);
+  }
+
+  return prices;
+}
+
+/**
+ * Append a price change to price_history
+ *
+ * @param {object} entry
+ * @param {string} entry.submissionId
+ * @param {number|null} entry.oldPrice - null for the initial price
+ * @param {number} entry.newPrice
+ * @param {object} [entry.agent] - { id, username } of who changed it
+ * @param {string} [entry.reason]
+ * @returns {Promise<boolean>}
+ */
+export async function recordPriceChange({ submissionId, oldPrice, newPrice, agent, reason }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/price_history', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        submission_id: submissionId,
+        old_price_usdc: oldPrice,
+        new_price_usdc: newPrice,
+        changed_by: agent?.id || null,
+        changed_by_username: agent?.username || null,
+        reason: reason || null
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Price history insert failed:', await res.text());
+    }
+    return res.ok;
+  } catch (err) {
+    console.error('Price history error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Change a piece's price and record the change
+ *
+ * @param {object} params
+ * @param {object} params.submission - Current row ({ id, price_usdc })
+ * @param {number} params.price - Validated new price
+ * @param {object} params.agent - { id, username }
+ * @param {string} [params.reason]
+ * @returns {Promise<{ success: boolean, oldPrice?: number, newPrice?: number, error?: string }>}
+ */
+export async function setPiecePrice({ submission, price, agent, reason }) {
+  const oldPrice = getPiecePrice(submission);
+
+  const res = await supabaseRequest(`/rest/v1/submissions?id=eq.${encodeURIComponent(submission.id)}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Prefer': 'return=minimal'
+    },
+    body: JSON.stringify({
+      price_usdc: price,
+      price_updated_at: new Date().toISOString()
+    })
+  });
+
+  if (!res.ok) {
+    console.error('Price update failed:', await res.text());
+    return { success: false, error: 'Failed to update price' };
+  }
+
+  await recordPriceChange({ submissionId: submission.id, oldPrice, newPrice: price, agent, reason });
+
+  return { success: true, oldPrice, newPrice: price };
+}
+
+/**
+ * Get price history for a piece (newest first)
+ *
+ * @param {string} submissionId
+ * @param {number} [limit=50]
+ * @returns {Promise<Array>}
+ */
+export async function getPriceHistory(submissionId, limit = 50) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/price_history?submission_id=eq.${encodeURIComponent(submissionId)}&select=old_price_usdc,new_price_usdc,changed_by_username,reason,created_at&order=created_at.desc&limit=${limit}`
+    );
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Price history lookup failed:', err.message);
+    return [];
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Locked Price Quotes for Phosphors
+ *
+ * Every 402 from /api/buy carries a signed quote: the exact amount for one
+ * piece or listing, bound to the buyer, payer and recipient, valid until
+ * its expiry. A payment sent with the quote is verified against the quoted
+ * amount, so a price change between the 402 and the payment can't make the
+ * outcome ambiguous: the quote either holds, or the payment is rejected
+ * with QUOTE_EXPIRED / QUOTE_MISMATCH. A payment without its quote is
+ * rejected with QUOTE_REQUIRED.
+ *
+ * Quotes are stateless: the ID is the quote itself, HMAC-signed, so
+ * nothing is stored until a payment arrives. The signing key is derived
+ * (HKDF, with a quote-specific label) from QUOTE_SECRET, falling back to
+ * SESSION_SECRET or ADMIN_SECRET, so a shared secret is never used as is.
+ *
+ * ## Flow:
+ * 1. GET /api/buy → 402 with `quote.id` (also in `accepts[0].extra.quoteId`)
+ * 2. Buyer pays `quote.amount` and resends with `X-Quote: <id>` (or `?quote=`)
+ * 3. verifyQuote() checks signature, expiry and that the request matches
+ * 4. The payment is verified against the locked amount
+ *
+ * ## Usage:
+ * ```javascript
+ * import { issueQuote, verifyQuote } from './_lib/quotes.js';
+ *
+ * const quote = issueQuote({ pieceId, buyer, payer, recipient, basePrice, totalPrice, payTo });
+ * const check = verifyQuote(req.headers['x-quote'], { pieceId, buyer, payer, recipient, payTo });
+ * if (!check.valid) return sendError(res, check.code, check.error);
+ * ```
+ *
+ * @module quotes
+ */
+
+import crypto from 'crypto';
+import { usdcToAtomic, atomicToUsdc } from './x402.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * How long a quote holds its price (also the 402's maxTimeoutSeconds)
+ * @constant {number}
+ */
+export const QUOTE_TTL_SECONDS = 60;
+
+/**
+ * Prefix and format version of quote IDs
+ * @constant {string}
+ */
+const QUOTE_PREFIX = 'q1';
+
+/**
+ * HKDF label of the quote signing key
+ * @constant {string}
+ */
+const QUOTE_KEY_INFO = 'phosphors/quote-id/v1';
+
+/**
+ * HMAC key for quote IDs, null if no secret is configured
+ * @constant {Buffer|null}
+ */
+const QUOTE_KEY = deriveQuoteKey(process.env.QUOTE_SECRET || process.env.SESSION_SECRET || process.env.ADMIN_SECRET);
+
+// ==================== SIGNING ====================
+
+function deriveQuoteKey(secret) {
+  if (!secret) return null;
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', QUOTE_KEY_INFO, 32));
+}
+
+function sign(encoded) {
+  return crypto
+    .createHmac('sha256', QUOTE_KEY)
+    .update(`${QUOTE_PREFIX}.${encoded}`)
+    .digest('base64url');
+}
+
+/**
+ * Issue a signed quote
+ *
+ * @param {object} params
+ * @param {string|null} [params.pieceId] - Primary sale
+ * @param {string|null} [params.listingId] - Secondary sale
+ * @param {string} params.buyer - Requesting agent wallet
+ * @param {string} params.payer - Wallet the USDC must come from
+ * @param {string} params.recipient - Collector receiving the edition
+ * @param {number} params.basePrice - Price before protocol fee (USDC)
+ * @param {number} params.totalPrice - Amount to pay (USDC)
+ * @param {string} params.payTo - Payment recipient
+ * @param {number} [params.ttlSeconds=QUOTE_TTL_SECONDS]
+ * @returns {{ id: string, amount: number, basePrice: number, expiresAt: string }|null} null if quotes aren't configured
+ */
+export function issueQuote({ pieceId = null, listingId = null, buyer, payer, recipient, basePrice, totalPrice, payTo, ttlSeconds = QUOTE_TTL_SECONDS }) {
+  if (!QUOTE_KEY) {
+    console.warn('QUOTE_SECRET not configured; no quote can be issued');
+    return null;
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = {
+    p: pieceId,
+    l: listingId,
+    b: buyer.toLowerCase(),
+    y: payer.toLowerCase(),
+    r: recipient.toLowerCase(),
+    base: usdcToAtomic(basePrice).toString(),
+    amt: usdcToAtomic(totalPrice).toString(),
+    to: payTo.toLowerCase(),
+    exp: expires,
+    n: crypto.randomBytes(8).toString('hex')
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    id: `${QUOTE_PREFIX}.${encoded}.${sign(encoded)}`,
+    amount: totalPrice,
+    basePrice,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Check a quote ID against the request paying for it
+ *
+ * @param {string} quoteId - From the 402 response
+ * @param {object} expected - What this request is buying
+ * @param {string|null} [expected.pieceId]
+ * @param {string|null} [expected.listingId]
+ * @param {string} expected.buyer
+ * @param {string} expected.payer
+ * @param {string} expected.recipient
+ * @param {string} expected.payTo
+ * @param {number} [expected.now] - Current unix time in seconds (for testing)
+ * @returns {{ valid: boolean, code?: string, error?: string, quote?: { basePrice: number, totalPrice: number, expiresAt: string } }}
+ */
+export function verifyQuote(quoteId, { pieceId = null, listingId = null, buyer, payer, recipient, payTo, now }) {
+  const invalid = error => ({ valid: false, code: 'QUOTE_INVALID', error });
+
+  if (typeof quoteId !== 'string' || quoteId.length > 1024) {
+    return invalid('Malformed quote');
+  }
+  if (!QUOTE_KEY) {
+    return invalid('Quotes are not enabled on this server');
+  }
+
+  const [prefix, encoded, signature] = quoteId.split('.');
+  if (prefix !== QUOTE_PREFIX || !encoded || !signature) {
+    return invalid('Malformed quote');
+  }
+
+  const expectedSig = sign(encoded);
+  if (signature.length !== expectedSig.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSig))) {
+    return invalid('Quote signature is not valid');
+  }
+
+  let q;
+  try {
+    q = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  } catch (e) {
+    return invalid('Malformed quote');
+  }
+
+  const expiresAt = new Date(q.exp * 1000).toISOString();
+  if ((now ?? Math.floor(Date.now() / 1000)) > q.exp) {
+    return {
+      valid: false,
+      code: 'QUOTE_EXPIRED',
+      error: `Quote expired at ${expiresAt}. Request a new quote; an unused transfer can be resubmitted with it.`
+    };
+  }
+
+  const mismatch = [
+    ['piece', q.p, pieceId],
+    ['listing', q.l, listingId],
+    ['buyer', q.b, buyer?.toLowerCase()],
+    ['payer', q.y, payer?.toLowerCase()],
+    ['recipient', q.r, recipient?.toLowerCase()],
+    ['payTo', q.to, payTo?.toLowerCase()]
+  ].filter(([, quoted, actual]) => (quoted || null) !== (actual || null)).map(([field]) => field);
+
+  if (mismatch.length > 0) {
+    return {
+      valid: false,
+      code: 'QUOTE_MISMATCH',
+      error: `Quote was issued for a different ${mismatch.join(', ')}`
+    };
+  }
+
+  return {
+    valid: true,
+    quote: {
+      basePrice: atomicToUsdc(q.base),
+      totalPrice: atomicToUsdc(q.amt),
+      expiresAt
+    }
+  };
+}
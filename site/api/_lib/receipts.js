@@ -0,0 +1,276 @@
+/**
+ * Signed Purchase Receipts for Phosphors
+ *
+ * Every completed sale gets an EIP-712 receipt signed by the platform
+ * receipt key. A receipt is self-contained (domain, types, message and
+ * signature), so anyone holding it can prove the purchase with the
+ * platform's public signer address alone - no database or API call needed.
+ *
+ * ## Flow:
+ * 1. A sale is recorded (buy, offer, auction, cart line)
+ * 2. issueReceipt() builds the typed message from the purchase row, signs it
+ *    with RECEIPT_SIGNER_KEY and stores it in `receipts`
+ * 3. Buyers fetch it from /api/receipts/:id and keep it
+ * 4. Accounting agents check it with verifyReceipt() (or any EIP-712
+ *    library) against the published signer address
+ *
+ * ## Usage:
+ * ```javascript
+ * import { verifyReceipt } from './_lib/receipts.js';
+ *
+ * const { valid, signer, error } = verifyReceipt(receipt, '0xPlatformReceiptSigner');
+ * ```
+ *
+ * @module receipts
+ */
+
+import { Wallet, verifyTypedData, getAddress, ZeroAddress, id as keccakText } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+import { usdcToAtomic, CHAIN_ID } from './x402.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * EIP-712 domain of Phosphors receipts (no verifying contract: receipts
+ * are checked off-chain)
+ * @constant {object}
+ */
+export const RECEIPT_DOMAIN = {
+  name: 'Phosphors Receipt',
+  version: '1',
+  chainId: CHAIN_ID
+};
+
+/**
+ * EIP-712 receipt type. Amounts are atomic USDC (6 decimals); editionSize
+ * 0 means an open edition; cartLine 0 means a single sale. For a Solana
+ * payment paymentTx is keccak256 of the base58 signature and payer is the
+ * zero address (neither fits an EVM type).
+ * @constant {object}
+ */
+export const RECEIPT_TYPES = {
+  Receipt: [
+    { name: 'purchaseId', type: 'string' },
+    { name: 'pieceId', type: 'string' },
+    { name: 'editionNumber', type: 'uint256' },
+    { name: 'editionSize', type: 'uint256' },
+    { name: 'saleType', type: 'string' },
+    { name: 'buyer', type: 'address' },
+    { name: 'payer', type: 'address' },
+    { name: 'seller', type: 'address' },
+    { name: 'basePrice', type: 'uint256' },
+    { name: 'protocolFee', type: 'uint256' },
+    { name: 'totalPaid', type: 'uint256' },
+    { name: 'paymentTx', type: 'bytes32' },
+    { name: 'cartLine', type: 'uint256' },
+    { name: 'issuedAt', type: 'uint256' }
+  ]
+};
+
+/**
+ * Private key that signs receipts (never the minter wallet)
+ * @constant {string|undefined}
+ */
+const RECEIPT_SIGNER_KEY = process.env.RECEIPT_SIGNER_KEY;
+
+let signerWallet = null;
+
+// ==================== SIGNING ====================
+
+function getSignerWallet() {
+  if (!RECEIPT_SIGNER_KEY) return null;
+  if (!signerWallet) {
+    signerWallet = new Wallet(RECEIPT_SIGNER_KEY);
+  }
+  return signerWallet;
+}
+
+/**
+ * Public address receipts are signed with (null if signing is not configured)
+ * @returns {string|null}
+ */
+export function getReceiptSignerAddress() {
+  return getSignerWallet()?.address || null;
+}
+
+function toPaymentTx(txHash) {
+  return /^0x[a-fA-F0-9]{64}$/.test(txHash) ? txHash.toLowerCase() : keccakText(txHash);
+}
+
+function toAddress(wallet) {
+  try {
+    return wallet ? getAddress(wallet.toLowerCase()) : ZeroAddress;
+  } catch {
+    return ZeroAddress;
+  }
+}
+
+/**
+ * Typed receipt message for a recorded purchase
+ *
+ * @param {object} purchase - purchases row
+ * @param {Date} [issuedAt]
+ * @returns {object} EIP-712 message (uint256 values as decimal strings)
+ */
+export function buildReceiptMessage(purchase, issuedAt = new Date()) {
+  const total = parseFloat(purchase.amount_usdc) || 0;
+  const fee = parseFloat(purchase.protocol_fee) || 0;
+  const base = purchase.base_price !== null && purchase.base_price !== undefined
+    ? parseFloat(purchase.base_price)
+    : total - fee;
+
+  return {
+    purchaseId: purchase.id,
+    pieceId: purchase.submission_id || '',
+    editionNumber: String(purchase.edition_number || 0),
+    editionSize: String(purchase.edition_size || 0),
+    saleType: purchase.sale_type || 'primary',
+    buyer: toAddress(purchase.buyer_wallet),
+    payer: toAddress(purchase.payer_wallet || purchase.buyer_wallet),
+    seller: toAddress(purchase.seller_wallet),
+    basePrice: usdcToAtomic(base).toString(),
+    protocolFee: usdcToAtomic(fee).toString(),
+    totalPaid: usdcToAtomic(total).toString(),
+    paymentTx: toPaymentTx(purchase.tx_hash),
+    cartLine: String(purchase.cart_line || 0),
+    issuedAt: String(Math.floor(issuedAt.getTime() / 1000))
+  };
+}
+
+/**
+ * Sign a receipt message with the platform receipt key
+ *
+ * @param {object} message - From buildReceiptMessage
+ * @returns {Promise<{ signature: string, signer: string }|null>} null if no key is configured
+ */
+export async function signReceipt(message) {
+  const wallet = getSignerWallet();
+  if (!wallet) return null;
+
+  const signature = await wallet.signTypedData(RECEIPT_DOMAIN, RECEIPT_TYPES, message);
+  return { signature, signer: wallet.address };
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Check a receipt offline
+ *
+ * Only needs the receipt itself and the platform's receipt signer address.
+ * The receipt's own domain and types are ignored in favour of the
+ * canonical ones, so a receipt can't vouch for itself with altered types.
+ *
+ * @param {object} receipt - { message, signature } as returned by /api/receipts/:id
+ * @param {string} expectedSigner - Platform receipt signer address
+ * @returns {{ valid: boolean, signer?: string, error?: string }}
+ */
+export function verifyReceipt(receipt, expectedSigner) {
+  if (!receipt || typeof receipt !== 'object' || !receipt.message || !receipt.signature) {
+    return { valid: false, error: 'Receipt must include message and signature' };
+  }
+  if (!expectedSigner) {
+    return { valid: false, error: 'No receipt signer to verify against' };
+  }
+
+  let signer;
+  try {
+    signer = verifyTypedData(RECEIPT_DOMAIN, RECEIPT_TYPES, receipt.message, receipt.signature);
+  } catch (err) {
+    return { valid: false, error: `Malformed receipt: ${err.shortMessage || err.message}` };
+  }
+
+  if (signer.toLowerCase() !== expectedSigner.toLowerCase()) {
+    return { valid: false, signer, error: 'Receipt was not signed by the platform receipt key' };
+  }
+
+  return { valid: true, signer };
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Public, self-contained shape of a receipt
+ *
+ * @param {object} row - receipts row
+ * @returns {object}
+ */
+export function formatReceipt(row) {
+  return {
+    id: row.id,
+    purchaseId: row.purchase_id,
+    domain: RECEIPT_DOMAIN,
+    types: RECEIPT_TYPES,
+    primaryType: 'Receipt',
+    message: row.message,
+    signature: row.signature,
+    signer: row.signer,
+    issuedAt: row.created_at
+  };
+}
+
+/**
+ * Get a receipt by receipt ID or purchase ID
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>} receipts row
+ */
+export async function getReceipt(id) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/receipts?or=(id.eq.${encodeURIComponent(id)},purchase_id.eq.${encodeURIComponent(id)})&select=*&limit=1`
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get receipt error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Sign and store the receipt for a completed purchase
+ *
+ * Idempotent per purchase. Never throws: a sale must not fail because its
+ * receipt couldn't be issued (it can be issued later from /api/receipts).
+ *
+ * @param {object|null} purchase - Recorded purchases row
+ * @returns {Promise<object|null>} receipts row
+ */
+export async function issueReceipt(purchase) {
+  if (!purchase?.id || !purchase.tx_hash || purchase.status !== 'completed') return null;
+
+  try {
+    const message = buildReceiptMessage(purchase);
+    const signed = await signReceipt(message);
+    if (!signed) {
+      console.warn('RECEIPT_SIGNER_KEY not configured; receipt not issued');
+      return null;
+    }
+
+    const res = await supabaseRequest('/rest/v1/receipts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=ignore-duplicates'
+      },
+      body: JSON.stringify({
+        purchase_id: purchase.id,
+        message,
+        signature: signed.signature,
+        signer: signed.signer.toLowerCase()
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Receipt insert failed:', await res.text());
+      return null;
+    }
+
+    const [created] = await res.json();
+    return created || await getReceipt(purchase.id);
+  } catch (err) {
+    console.error('Receipt issue error:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,746 @@
+/**
+ * Secondary Market for Phosphors
+ *
+ * Collectors relist editions they own. A resale is paid through the same
+ * x402 flow as a primary sale (/api/buy?listing=<id>), then the platform
+ * splits the listing price between the seller and the original artist.
+ *
+ * ## Split (per resale):
+ * - Buyer pays: listing price + PROTOCOL_FEE_PERCENT
+ * - Artist royalty: price × royalty percent (per piece, or platform default)
+ * - Seller proceeds: price − royalty
+ *
+ * ## Listing lifecycle:
+ * active → pending (payment settling) → sold
+ *        ↘ cancelled            pending → active (payment failed)
+ *
+ * ## Usage:
+ * ```javascript
+ * import { reserveListing, completeListing, splitSecondarySale } from './_lib/sales.js';
+ *
+ * const listing = await reserveListing(listingId, buyer);
+ * const { royalty, sellerProceeds } = splitSecondarySale(listing.price_usdc, royaltyPercent);
+ * ```
+ *
+ * @module sales
+ */
+
+import { supabaseRequest } from './supabase.js';
+import { roundUsdc, quotePurchase } from './pricing.js';
+import { getTokenOwner } from './minter.js';
+import { getEditionInfo, confirmEdition } from './editions.js';
+import { queueSalePayouts } from './payouts.js';
+import { queueTransfer } from './nft-transfers.js';
+import { handleSaleBounties } from './bounties.js';
+import { issueReceipt } from './receipts.js';
+import { getArtistPayoutEntries } from './collaborations.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Platform default artist royalty on resales (fraction of listing price)
+ * @constant {number}
+ */
+export const DEFAULT_ROYALTY_PERCENT = process.env.SECONDARY_ROYALTY_PERCENT !== undefined
+  ? parseFloat(process.env.SECONDARY_ROYALTY_PERCENT)
+  : 0.10;
+
+/**
+ * Highest royalty an artist can set
+ * @constant {number}
+ */
+export const MAX_ROYALTY_PERCENT = 0.5;
+
+/**
+ * How long a listing stays reserved while a payment settles
+ * @constant {number}
+ */
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+const NETWORK_ID = process.env.NETWORK_ID === 'base-mainnet' ? 'base-mainnet' : 'base-sepolia';
+
+// ==================== SPLITS ====================
+
+/**
+ * Validate an artist-supplied royalty percent
+ *
+ * @param {*} value - Fraction (0.1) or percent (10)
+ * @returns {{ valid: boolean, percent?: number|null, error?: string }}
+ */
+export function validateRoyaltyPercent(value) {
+  if (value === undefined || value === null) {
+    return { valid: true, percent: null };
+  }
+
+  let percent = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof percent !== 'number' || !Number.isFinite(percent)) {
+    return { valid: false, error: 'royalty_percent must be a number' };
+  }
+
+  // Accept "10" as 10%
+  if (percent > 1) percent = percent / 100;
+
+  if (percent < 0 || percent > MAX_ROYALTY_PERCENT) {
+    return { valid: false, error: `royalty_percent must be between 0 and ${MAX_ROYALTY_PERCENT * 100}%` };
+  }
+
+  return { valid: true, percent: Math.round(percent * 10000) / 10000 };
+}
+
+/**
+ * Royalty percent for a piece (falls back to the platform default)
+ *
+ * @param {object|null} submission - Row with royalty_percent
+ * @returns {number}
+ */
+export function getRoyaltyPercent(submission) {
+  const percent = parseFloat(submission?.royalty_percent);
+  return Number.isFinite(percent) ? percent : DEFAULT_ROYALTY_PERCENT;
+}
+
+/**
+ * Split a resale price between artist and seller
+ *
+ * @param {number} price - Listing price in USDC
+ * @param {number} royaltyPercent - Fraction paid to the artist
+ * @returns {{ royalty: number, sellerProceeds: number }}
+ */
+export function splitSecondarySale(price, royaltyPercent) {
+  const royalty = roundUsdc(price * royaltyPercent);
+  return {
+    royalty,
+    sellerProceeds: roundUsdc(price - royalty)
+  };
+}
+
+// ==================== OWNERSHIP ====================
+
+/**
+ * Find an edition of a piece owned by a wallet
+ *
+ * Ownership comes from piece_ownerships (recorded purchases). For 1/1 pieces
+ * the NFT itself is the edition, so an on-chain holder that has no ownership
+ * row yet (e.g. bought elsewhere) is synced into edition #1 - but only when
+ * that row is owned by a wallet that no longer holds the token and no
+ * delivery is in flight. The previous owner's open listings are cancelled.
+ *
+ * @param {object} submission - { id, token_id, edition_size }
+ * @param {string} wallet - Lowercased wallet
+ * @param {number} [editionNumber] - Specific edition to look for
+ * @returns {Promise<object|null>} piece_ownerships row
+ */
+export async function findOwnedEdition(submission, wallet, editionNumber) {
+  let query = `/rest/v1/piece_ownerships?submission_id=eq.${encodeURIComponent(submission.id)}&owner_wallet=eq.${encodeURIComponent(wallet)}&status=eq.owned&select=*&order=edition_number.asc`;
+  if (editionNumber) {
+    query += `&edition_number=eq.${parseInt(editionNumber, 10)}`;
+  }
+
+  const res = await supabaseRequest(query);
+  if (res.ok) {
+    const rows = await res.json();
+    if (rows.length > 0) return rows[0];
+  }
+
+  if (submission.edition_size !== 1 || submission.token_id === null || submission.token_id === undefined) {
+    return null;
+  }
+
+  const onChainOwner = await getTokenOwner(submission.token_id);
+  if (onChainOwner !== wallet) return null;
+
+  // Only an owned row whose recorded owner no longer holds the token is
+  // stale: a pending row is mid-purchase, and while a delivery is in flight
+  // the token is still on its way to the recorded owner.
+  const editionRes = await supabaseRequest(
+    `/rest/v1/piece_ownerships?submission_id=eq.${encodeURIComponent(submission.id)}&edition_number=eq.1&select=*`
+  );
+  if (!editionRes.ok) return null;
+  const [edition] = await editionRes.json();
+  if (!edition || edition.status !== 'owned' || edition.owner_wallet === wallet) return null;
+
+  const transferRes = await supabaseRequest(
+    `/rest/v1/nft_transfers?ownership_id=eq.${encodeURIComponent(edition.id)}&status=in.(pending,sent)&select=id&limit=1`
+  );
+  if (!transferRes.ok) return null;
+  const inFlight = await transferRes.json();
+  if (inFlight.length > 0) return null;
+
+  const syncRes = await supabaseRequest(
+    `/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(edition.id)}&status=eq.owned&owner_wallet=eq.${encodeURIComponent(edition.owner_wallet)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        owner_wallet: wallet,
+        owner_username: null,
+        acquired_at: new Date().toISOString()
+      })
+    }
+  );
+
+  if (!syncRes.ok) return null;
+  const [synced] = await syncRes.json();
+  if (!synced) return null;
+
+  // The previous owner's listings went with the token
+  await cancelOpenListings(synced.id);
+  return synced;
+}
+
+// ==================== LISTINGS ====================
+
+/**
+ * Create a listing for an owned edition
+ *
+ * @param {object} params
+ * @param {object} params.submission - { id, title }
+ * @param {object} params.ownership - piece_ownerships row
+ * @param {object} params.seller - { wallet, username }
+ * @param {number} params.price - Validated price in USDC
+ * @returns {Promise<{ success: boolean, listing?: object, error?: string }>}
+ */
+export async function createListing({ submission, ownership, seller, price }) {
+  try {
+    const res = await supabaseRequest('/rest/v1/listings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        submission_id: submission.id,
+        ownership_id: ownership.id,
+        edition_number: ownership.edition_number,
+        piece_title: submission.title,
+        seller_wallet: seller.wallet,
+        seller_username: seller.username || null,
+        price_usdc: price,
+        status: 'active'
+      })
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      if (res.status === 409 || errorText.includes('duplicate') || errorText.includes('unique')) {
+        return { success: false, error: 'This edition is already listed' };
+      }
+      console.error('Listing insert failed:', errorText);
+      return { success: false, error: 'Failed to create listing' };
+    }
+
+    const [listing] = await res.json();
+    return { success: true, listing };
+  } catch (err) {
+    console.error('Create listing error:', err.message);
+    return { success: false, error: 'Failed to create listing' };
+  }
+}
+
+/**
+ * Get a listing by ID
+ *
+ * @param {string} listingId
+ * @returns {Promise<object|null>}
+ */
+export async function getListing(listingId) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/listings?id=eq.${encodeURIComponent(listingId)}&select=*`
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get listing error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Check that a listing's seller still owns the listed edition
+ *
+ * An edition can leave its seller without the listing being sold (a 1/1
+ * synced to its on-chain holder); such a listing is cancelled.
+ *
+ * @param {object} listing - { id, ownership_id, seller_wallet }
+ * @returns {Promise<boolean>} true if the seller still owns it
+ */
+export async function verifyListingOwnership(listing) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(listing.ownership_id)}&owner_wallet=eq.${encodeURIComponent(listing.seller_wallet)}&status=eq.owned&select=id&limit=1`
+    );
+    if (!res.ok) return false;
+    const rows = await res.json();
+    if (rows.length > 0) return true;
+
+    await supabaseRequest(
+      `/rest/v1/listings?id=eq.${encodeURIComponent(listing.id)}&status=in.(active,pending)`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ status: 'cancelled', updated_at: new Date().toISOString() })
+      }
+    );
+    return false;
+  } catch (err) {
+    console.error('Verify listing ownership error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Browse active listings
+ *
+ * @param {object} [filters] - { pieceId, seller, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getActiveListings({ pieceId, seller, limit = 50 } = {}) {
+  let query = `/rest/v1/listings?status=eq.active&select=*&order=created_at.desc&limit=${Math.min(limit, 100)}`;
+  if (pieceId) query += `&submission_id=eq.${encodeURIComponent(pieceId)}`;
+  if (seller) query += `&seller_wallet=eq.${encodeURIComponent(seller.toLowerCase())}`;
+
+  try {
+    const res = await supabaseRequest(query);
+    if (!res.ok) return [];
+    return res.json();
+  } catch (err) {
+    console.error('Get listings error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Cancel an active listing (seller only)
+ *
+ * @param {string} listingId
+ * @param {string} sellerWallet
+ * @returns {Promise<boolean>} true if a listing was cancelled
+ */
+export async function cancelListing(listingId, sellerWallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/listings?id=eq.${encodeURIComponent(listingId)}&seller_wallet=eq.${encodeURIComponent(sellerWallet)}&status=eq.active`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({ status: 'cancelled', updated_at: new Date().toISOString() })
+    }
+  );
+
+  if (!res.ok) return false;
+  const rows = await res.json();
+  return rows.length > 0;
+}
+
+/**
+ * Atomically reserve a listing for a buyer while payment settles
+ *
+ * Single conditional UPDATE: only one buyer can move a listing out of
+ * 'active' (or out of an expired 'pending' reservation).
+ *
+ * @param {string} listingId
+ * @param {string} buyerWallet
+ * @returns {Promise<object|null>} Reserved listing, or null if unavailable
+ */
+export async function reserveListing(listingId, buyerWallet) {
+  const expired = new Date(Date.now() - RESERVATION_TTL_MS).toISOString();
+  const available = `or=(status.eq.active,and(status.eq.pending,reserved_at.lt.${expired}))`;
+
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/listings?id=eq.${encodeURIComponent(listingId)}&${available}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify({
+          status: 'pending',
+          buyer_wallet: buyerWallet,
+          reserved_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+      }
+    );
+
+    if (!res.ok) {
+      console.error('Listing reserve failed:', await res.text());
+      return null;
+    }
+
+    const rows = await res.json();
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Listing reserve error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Put a reserved listing back on the market (payment failed)
+ *
+ * @param {string} listingId
+ */
+export async function releaseListing(listingId) {
+  try {
+    await supabaseRequest(
+      `/rest/v1/listings?id=eq.${encodeURIComponent(listingId)}&status=eq.pending`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({
+          status: 'active',
+          buyer_wallet: null,
+          reserved_at: null,
+          updated_at: new Date().toISOString()
+        })
+      }
+    );
+  } catch (err) {
+    console.error('Listing release error:', err.message);
+  }
+}
+
+/**
+ * Cancel any open listing of an edition (it is changing hands another way)
+ *
+ * Only 'active' listings are cancelled; a 'pending' listing has a buyer
+ * paying for it right now.
+ *
+ * @param {string} ownershipId
+ * @returns {Promise<boolean>} false if a listing is mid-purchase
+ */
+export async function cancelOpenListings(ownershipId) {
+  try {
+    await supabaseRequest(
+      `/rest/v1/listings?ownership_id=eq.${encodeURIComponent(ownershipId)}&status=eq.active`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ status: 'cancelled', updated_at: new Date().toISOString() })
+      }
+    );
+
+    const res = await supabaseRequest(
+      `/rest/v1/listings?ownership_id=eq.${encodeURIComponent(ownershipId)}&status=eq.pending&select=id&limit=1`
+    );
+    if (!res.ok) return false;
+    const pending = await res.json();
+    return pending.length === 0;
+  } catch (err) {
+    console.error('Cancel open listings error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Hand an owned edition to a new owner
+ *
+ * @param {string} ownershipId
+ * @param {object} sale - { purchaseId, buyerWallet, buyerUsername, txHash }
+ */
+export async function transferOwnership(ownershipId, { purchaseId, buyerWallet, buyerUsername, txHash }) {
+  try {
+    await supabaseRequest(`/rest/v1/piece_ownerships?id=eq.${encodeURIComponent(ownershipId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        owner_wallet: buyerWallet,
+        owner_username: buyerUsername || null,
+        purchase_id: purchaseId || null,
+        tx_hash: txHash,
+        acquired_at: new Date().toISOString()
+      })
+    });
+  } catch (err) {
+    console.error('Ownership transfer error:', err.message);
+  }
+}
+
+/**
+ * Mark a listing sold and hand the edition to the buyer
+ *
+ * @param {object} listing - Reserved listing
+ * @param {object} sale - { purchaseId, buyerWallet, buyerUsername, txHash }
+ */
+export async function completeListing(listing, sale) {
+  const now = new Date().toISOString();
+
+  try {
+    await supabaseRequest(`/rest/v1/listings?id=eq.${encodeURIComponent(listing.id)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        status: 'sold',
+        purchase_id: sale.purchaseId || null,
+        sold_at: now,
+        updated_at: now
+      })
+    });
+  } catch (err) {
+    console.error('Listing completion error:', err.message);
+  }
+
+  await transferOwnership(listing.ownership_id, sale);
+}
+
+// ==================== SETTLEMENT ====================
+
+async function getArtistWallet(username) {
+  if (!username) return null;
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0]?.wallet?.toLowerCase() || null;
+}
+
+// Amounts and parties of a sale, shared by recording and paying it out
+async function describeSale({ submission, saleType, seller, price }) {
+  const isSecondary = saleType === 'secondary';
+  const sellerWallet = seller.wallet?.toLowerCase() || null;
+  const royaltyPercent = getRoyaltyPercent(submission);
+  const quote = quotePurchase(price);
+
+  return {
+    ...quote,
+    isSecondary,
+    sellerWallet,
+    artistWallet: isSecondary ? await getArtistWallet(submission.moltbook) : sellerWallet,
+    royaltyPercent,
+    split: isSecondary ? splitSecondarySale(quote.basePrice, royaltyPercent) : null
+  };
+}
+
+async function insertPurchase({ submission, saleType, ownership, buyer, seller, txHash, paymentMethod, cart = null, confirmation = null }, sale) {
+  const edition = getEditionInfo(submission);
+  const { split } = sale;
+
+  try {
+    const res = await supabaseRequest('/rest/v1/purchases', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        submission_id: submission.id,
+        tx_hash: txHash,
+        cart_id: cart?.id || null,
+        cart_line: cart?.line || 0,
+        payout_tx_hash: null,
+        amount_usdc: sale.totalPrice,
+        base_price: sale.basePrice,
+        protocol_fee: sale.protocolFee,
+        artist_payout: 0,
+        network: NETWORK_ID,
+        payment_method: paymentMethod,
+        sale_type: saleType,
+        piece_title: submission.title,
+        buyer_username: buyer.username || null,
+        buyer_wallet: buyer.wallet,
+        seller_username: seller.username || null,
+        seller_wallet: sale.sellerWallet,
+        artist_username: submission.moltbook,
+        artist_wallet: sale.artistWallet,
+        royalty_percent: split ? sale.royaltyPercent : null,
+        royalty_amount: split ? split.royalty : null,
+        seller_payout: split ? 0 : null,
+        seller_payout_tx_hash: null,
+        edition_number: ownership?.edition_number || null,
+        edition_size: edition.size,
+        status: confirmation ? 'pending_confirmation' : 'completed',
+        required_confirmations: confirmation ? String(confirmation.requiredConfirmations) : null,
+        confirmations: confirmation ? 0 : null,
+        confirmed_at: confirmation ? null : new Date().toISOString(),
+        verified_on_chain: !confirmation
+      })
+    });
+
+    if (!res.ok) {
+      console.error('Failed to record sale:', await res.text());
+      return null;
+    }
+
+    const [purchase] = await res.json();
+    return purchase || null;
+  } catch (err) {
+    console.error('Sale recording error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Record the purchase row of a sale without paying it out or handing
+ * anything over (the first step of executeSale)
+ *
+ * Carts record every line this way before settling any of them.
+ *
+ * @param {object} params - As for executeSale
+ * @returns {Promise<object|null>} purchases row, or null if it was not written
+ */
+export async function recordSale(params) {
+  return insertPurchase(params, await describeSale(params));
+}
+
+/**
+ * Record, pay out and deliver a sale whose funds the platform already holds
+ *
+ * Used by offers, auctions and carts; /api/buy runs the same steps inline
+ * around its payment handling. The edition must already be claimed for the
+ * buyer (primary) or owned by the seller (secondary).
+ *
+ * Nothing is paid out or handed over unless the purchase row is written:
+ * without it the sale fails (`success: false`) and the caller gives the
+ * edition back or retries.
+ *
+ * Cart lines share the cart's payment: each is recorded under its own
+ * cart_line, and its payouts and token transfer are left to the workers so
+ * one request can record many sales.
+ *
+ * A payment that isn't confirmed yet (`confirmation`) is recorded as
+ * pending_confirmation like a shallow /api/buy payment: the edition is the
+ * buyer's, but payouts and the token transfer are held and bounties and the
+ * receipt wait for the confirmation job.
+ *
+ * @param {object} params
+ * @param {object} params.submission - { id, title, moltbook, edition_size, royalty_percent }
+ * @param {'primary'|'secondary'} params.saleType
+ * @param {object} params.ownership - Claimed or sold piece_ownerships row
+ * @param {object} params.buyer - { wallet, username }
+ * @param {object} params.seller - { wallet, username }
+ * @param {number} params.price - Sale price before protocol fee
+ * @param {string} params.txHash - Transaction that paid the platform
+ * @param {string} params.paymentMethod - Recorded on the purchase (e.g. 'auction')
+ * @param {object} [params.cart] - { id, line } when the sale is a cart line
+ * @param {object} [params.purchase] - Purchase already written by recordSale
+ * @param {object} [params.confirmation] - { requiredConfirmations } while the payment is unconfirmed
+ * @returns {Promise<{ success: boolean, purchase: object|null, artistPayout?: number, sellerPayout?: number, payouts?: object, transfer?: object|null, receipt?: object|null, error?: string }>}
+ */
+export async function executeSale(params) {
+  const { submission, saleType, ownership, buyer, seller, txHash, cart = null, confirmation = null } = params;
+  const sale = await describeSale(params);
+  const { basePrice, sellerWallet, artistWallet, isSecondary, split } = sale;
+  const edition = getEditionInfo(submission);
+  const cartLine = cart?.line || 0;
+  const sendNow = !cart;
+  const hold = !!confirmation;
+
+  // 1. Record the purchase (payout columns are filled in by the ledger)
+  const purchase = params.purchase || await insertPurchase(params, sale);
+  if (!purchase) {
+    return { success: false, purchase: null, error: 'Failed to record sale' };
+  }
+
+  // 2. Owe and pay: artist gets the price (primary) or the royalty (secondary),
+  //    split between co-artists for a collaborative piece
+  const artistRole = split ? 'royalty' : 'artist';
+  const artistEntries = await getArtistPayoutEntries({
+    submissionId: submission.id,
+    role: artistRole,
+    amount: split ? split.royalty : basePrice,
+    lead: { wallet: artistWallet, username: submission.moltbook }
+  });
+  const payouts = await queueSalePayouts({
+    purchase,
+    saleTxHash: txHash,
+    submission,
+    cartLine,
+    sendNow,
+    hold,
+    entries: split ? [
+      ...artistEntries,
+      { role: 'seller', wallet: sellerWallet, username: seller.username, amount: split.sellerProceeds }
+    ] : artistEntries
+  });
+
+  const artistPayout = roundUsdc((payouts.entries || [])
+    .filter(p => p.role === artistRole && p.status === 'sent')
+    .reduce((sum, p) => sum + parseFloat(p.amount_usdc), 0));
+  const sellerPayout = payouts.seller?.status === 'sent' ? parseFloat(payouts.seller.amount_usdc) : 0;
+
+  // 3. Hand over the edition
+  if (isSecondary) {
+    await transferOwnership(ownership.id, {
+      purchaseId: purchase.id,
+      buyerWallet: buyer.wallet,
+      buyerUsername: buyer.username,
+      txHash
+    });
+  } else {
+    await confirmEdition(ownership.id, {
+      purchaseId: purchase.id,
+      txHash,
+      username: buyer.username
+    });
+  }
+
+  // 4. Deliver the token on-chain
+  const transfer = ownership ? await queueTransfer({
+    purchase,
+    saleTxHash: txHash,
+    submission,
+    ownershipId: ownership.id,
+    buyer,
+    cartLine,
+    sendNow,
+    hold
+  }) : null;
+
+  // A 1/1 has a single collector; editions are tracked in piece_ownerships
+  if (edition.size === 1) {
+    try {
+      await supabaseRequest(`/rest/v1/submissions?id=eq.${encodeURIComponent(submission.id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({
+          collector_wallet: buyer.wallet,
+          collector_username: buyer.username || null,
+          collected_at: new Date().toISOString()
+        })
+      });
+    } catch (err) {
+      console.error('Mark collected error:', err.message);
+    }
+  }
+
+  // 5. Bounties (never fail the sale; an unconfirmed payment's wait for it)
+  try {
+    if (sellerWallet && !hold) {
+      await handleSaleBounties(sellerWallet, buyer.wallet, submission.id, { saleType });
+    }
+  } catch (err) {
+    console.error('Bounty processing error (non-critical):', err.message);
+  }
+
+  // 6. Platform-signed receipt
+  const receipt = await issueReceipt(purchase);
+
+  return { success: true, purchase, artistPayout, sellerPayout, payouts, transfer, receipt };
+}
@@ -174,7 +174,7 @@ const IS_PRODUCTION = process.env.NODE_ENV === 'production' ||
 export function setCorsHeaders(req, res, options = {}) {
   const origin = req.headers.origin;
   const allowedMethods = options.methods || 'GET, POST, OPTIONS';
-  const allowedHeaders = options.headers || 'Content-Type, Authorization, X-API-Key';
+  const allowedHeaders = options.headers || 'Content-Type, Authorization, X-API-Key, Idempotency-Key';
   
   // Check if origin is allowed
   if (origin && (ALLOWED_ORIGINS.includes(origin) || !IS_PRODUCTION)) {
@@ -329,6 +329,39 @@ export function getClientIP(req) {
 
 // ==================== API KEY AUTHENTICATION ====================
 
+/**
+ * Constant-time comparison of a presented secret against the configured one.
+ * Both sides are hashed first so timingSafeEqual sees equal lengths and the
+ * secret's length doesn't leak either.
+ *
+ * @param {string|undefined} presented - Value from the request
+ * @param {string|undefined} expected - Configured secret
+ * @returns {boolean} false when either side is missing
+ */
+export function secretsMatch(presented, expected) {
+  if (typeof presented !== 'string' || !presented || !expected) return false;
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether the request carries the admin secret (X-Admin-Secret).
+ * Fails closed when ADMIN_SECRET is not configured.
+ */
+export function isAdmin(req) {
+  return secretsMatch(req.headers['x-admin-secret'], process.env.ADMIN_SECRET);
+}
+
+/**
+ * Whether the request carries the internal scheduler key (X-API-Key or
+ * Authorization: Bearer). Fails closed when INTERNAL_API_KEY is not configured.
+ */
+export function isInternal(req) {
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  return secretsMatch(apiKey, process.env.INTERNAL_API_KEY);
+}
+
 /**
  * Verify API key from Authorization header
  */
@@ -0,0 +1,385 @@
+/**
+ * Solana USDC Payments for Phosphors
+ *
+ * Agents registered through /api/agents/register-solana hold SPL USDC on
+ * Solana. /api/buy offers a Solana option next to the Base one in its 402
+ * `accepts`; the agent sends USDC to the platform's Solana treasury and
+ * submits the transaction signature.
+ *
+ * The edition and NFT stay on Base (delivered to `buyer`); only the payment
+ * comes from Solana. Artist and seller payouts are still paid in Base USDC
+ * from the payout ledger.
+ *
+ * ## Flow:
+ * 1. GET /api/buy → 402 with a `solana-devnet` entry in `accepts`
+ * 2. Agent transfers `maxAmountRequired` USDC (SPL, 6 decimals) to `payTo`
+ * 3. Agent resends with `X-Payment-Tx: <signature>`. The payer is always the
+ *    buyer's registered Solana wallet: a treasury deposit names no buyer
+ * 4. verifySolanaPayment() checks the finalized transaction's USDC balance
+ *    changes: the payer sent, the treasury received the amount
+ * 5. claimSolanaPayment() records the signature once (solana_payments), so
+ *    it can never pay for a second sale
+ *
+ * Only finalized transactions count: Solana finalizes in seconds and a
+ * finalized transfer can't be rolled back, so these sales never wait in
+ * pending_confirmation.
+ *
+ * ## Usage:
+ * ```javascript
+ * import { isValidSolanaSignature, verifySolanaPayment, claimSolanaPayment } from './_lib/solana-payments.js';
+ *
+ * const check = await verifySolanaPayment(signature, { payer, amount: 1.05 });
+ * if (check.valid) {
+ *   const claim = await claimSolanaPayment(signature, { payer, amount_usdc: 1.05 });
+ * }
+ * ```
+ *
+ * @module solana-payments
+ */
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { supabaseRequest } from './supabase.js';
+import { usdcToAtomic } from './x402.js';
+
+// ==================== CONFIGURATION ====================
+
+const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
+
+/**
+ * Solana cluster payments are accepted on (follows the Base network)
+ * @constant {string}
+ */
+export const SOLANA_NETWORK = IS_MAINNET ? 'solana-mainnet' : 'solana-devnet';
+
+/**
+ * x402 network identifier of the Solana option
+ * @constant {string}
+ */
+export const SOLANA_X402_NETWORK = IS_MAINNET ? 'solana' : 'solana-devnet';
+
+/**
+ * JSON-RPC endpoint (SOLANA_RPC_URL overrides)
+ * @constant {string}
+ */
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || (IS_MAINNET
+  ? 'https://api.mainnet-beta.solana.com'
+  : 'https://api.devnet.solana.com');
+
+/**
+ * Circle USDC mint
+ * Mainnet: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v
+ * Devnet:  4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU
+ * @constant {string}
+ */
+export const SOLANA_USDC_MINT = IS_MAINNET
+  ? 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+  : '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+/**
+ * Platform Solana wallet that receives payments (the option is only
+ * offered when this is set)
+ * @constant {string|undefined}
+ */
+const SOLANA_PAY_TO = process.env.SOLANA_TREASURY_WALLET;
+
+/**
+ * Allowed difference from the expected amount, in atomic USDC (0.01 USDC,
+ * as for Base payments)
+ * @constant {bigint}
+ */
+const AMOUNT_TOLERANCE = 10000n;
+
+let connection = null;
+
+/**
+ * Whether Solana payments are accepted
+ * @returns {boolean}
+ */
+export function isSolanaEnabled() {
+  return isValidSolanaAddress(SOLANA_PAY_TO);
+}
+
+/**
+ * RPC connection used for verification
+ * @returns {Connection}
+ */
+export function getSolanaConnection() {
+  if (!connection) {
+    connection = new Connection(SOLANA_RPC_URL, 'finalized');
+  }
+  return connection;
+}
+
+/**
+ * Replace the connection (e.g. with a stub answering getParsedTransaction
+ * and getSignatureStatuses offline); null restores the default
+ * @param {object|null} conn
+ */
+export function setSolanaConnection(conn) {
+  connection = conn;
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Validate a Solana wallet address (base58 ed25519 public key)
+ * @param {string} addr
+ * @returns {boolean}
+ */
+export function isValidSolanaAddress(addr) {
+  if (typeof addr !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(addr)) return false;
+  try {
+    new PublicKey(addr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a Solana transaction signature (base58, 64 bytes)
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export function isValidSolanaSignature(signature) {
+  return typeof signature === 'string' && /^[1-9A-HJ-NP-Za-km-z]{86,88}$/.test(signature);
+}
+
+/**
+ * Explorer link for a Solana transaction
+ * @param {string} signature
+ * @returns {string}
+ */
+export function getSolanaExplorerUrl(signature) {
+  return `https://explorer.solana.com/tx/${signature}${IS_MAINNET ? '' : '?cluster=devnet'}`;
+}
+
+// ==================== PAYMENT REQUIREMENTS ====================
+
+/**
+ * Build the Solana entry for a 402 `accepts` array
+ *
+ * @param {object} options
+ * @param {number} options.amount - Amount in USDC
+ * @param {string} options.resource
+ * @param {string} options.description
+ * @param {number} [options.maxTimeoutSeconds=60]
+ * @param {object} [options.extra] - Extra display fields
+ * @returns {object|null} null when Solana payments aren't configured
+ */
+export function buildSolanaPaymentRequirements({ amount, resource, description, maxTimeoutSeconds = 60, extra = {} }) {
+  if (!isSolanaEnabled()) return null;
+
+  return {
+    scheme: 'exact',
+    network: SOLANA_X402_NETWORK,
+    maxAmountRequired: usdcToAtomic(amount).toString(),
+    resource,
+    description,
+    mimeType: 'application/json',
+    payTo: SOLANA_PAY_TO,
+    maxTimeoutSeconds,
+    asset: SOLANA_USDC_MINT,
+    extra: {
+      name: 'USDC',
+      decimals: 6,
+      settlement: 'Transfer USDC to payTo, then resend with X-Payment-Tx: <signature> once finalized',
+      ...extra
+    }
+  };
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * USDC balance change per owner in a parsed transaction
+ */
+function usdcDeltas(meta) {
+  const deltas = new Map();
+  const add = (balances, sign) => {
+    for (const b of balances || []) {
+      if (b.mint !== SOLANA_USDC_MINT || !b.owner) continue;
+      const amount = BigInt(b.uiTokenAmount?.amount || '0');
+      deltas.set(b.owner, (deltas.get(b.owner) || 0n) + sign * amount);
+    }
+  };
+  add(meta.preTokenBalances, -1n);
+  add(meta.postTokenBalances, 1n);
+  return deltas;
+}
+
+/**
+ * Verify that a Solana transaction is a finalized USDC payment
+ *
+ * A transaction that exists but isn't finalized yet is rejected with
+ * `pending: true`; nothing is recorded, so it can be resubmitted.
+ *
+ * @param {string} signature
+ * @param {object} expected
+ * @param {string} expected.payer - Solana wallet the USDC must come from
+ * @param {number} expected.amount - USDC
+ * @returns {Promise<{ valid: boolean, pending?: boolean, error?: string, details?: object }>}
+ */
+export async function verifySolanaPayment(signature, { payer, amount }) {
+  if (!isSolanaEnabled()) {
+    return { valid: false, error: 'Solana payments are not enabled on this server' };
+  }
+  if (!isValidSolanaSignature(signature)) {
+    return { valid: false, error: 'Invalid Solana transaction signature' };
+  }
+  if (!isValidSolanaAddress(payer)) {
+    return { valid: false, error: 'Invalid Solana payer address' };
+  }
+
+  const expectedAtomic = usdcToAtomic(amount);
+
+  try {
+    const conn = getSolanaConnection();
+    const tx = await conn.getParsedTransaction(signature, {
+      commitment: 'finalized',
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx) {
+      const { value } = await conn.getSignatureStatuses([signature], { searchTransactionHistory: true });
+      if (value?.[0]) {
+        return {
+          valid: false,
+          pending: true,
+          error: `Payment is ${value[0].confirmationStatus || 'processed'} but not finalized yet. Resubmit the signature once it is finalized.`
+        };
+      }
+      return { valid: false, error: 'Transaction not found on Solana' };
+    }
+
+    if (tx.meta?.err) {
+      return { valid: false, error: 'Transaction failed on-chain' };
+    }
+
+    const deltas = usdcDeltas(tx.meta || {});
+    const received = deltas.get(SOLANA_PAY_TO) || 0n;
+    const sent = -(deltas.get(payer) || 0n);
+
+    if (received <= 0n) {
+      return { valid: false, error: 'No USDC transfer to the platform found in transaction' };
+    }
+    if (sent < received) {
+      return { valid: false, error: 'No matching USDC transfer found (wrong sender)' };
+    }
+
+    const diff = received > expectedAtomic ? received - expectedAtomic : expectedAtomic - received;
+    if (diff > AMOUNT_TOLERANCE) {
+      return {
+        valid: false,
+        error: `Amount mismatch: expected ${amount} USDC, got ${Number(received) / 1e6} USDC`
+      };
+    }
+
+    return {
+      valid: true,
+      details: {
+        signature,
+        from: payer,
+        to: SOLANA_PAY_TO,
+        amount: Number(received) / 1e6,
+        slot: tx.slot,
+        blockTime: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+        network: SOLANA_NETWORK
+      }
+    };
+  } catch (err) {
+    console.error('Solana payment verification error:', err);
+    return { valid: false, error: 'Failed to verify transaction on Solana' };
+  }
+}
+
+// ==================== REPLAY PROTECTION ====================
+
+/**
+ * Atomically claim a Solana signature for one sale
+ *
+ * @param {string} signature - Case-sensitive, stored as-is
+ * @param {object} data - Extra columns (payer, amount_usdc, resource, piece_id, slot)
+ * @returns {Promise<{ success: boolean, record?: object, error?: string }>}
+ */
+export async function claimSolanaPayment(signature, data = {}) {
+  try {
+    const res = await supabaseRequest('/rest/v1/solana_payments', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=ignore-duplicates'
+      },
+      body: JSON.stringify({
+        signature,
+        network: SOLANA_NETWORK,
+        mint: SOLANA_USDC_MINT,
+        pay_to: SOLANA_PAY_TO,
+        status: 'claimed',
+        ...data
+      })
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      if (res.status === 409 || errorText.includes('duplicate') || errorText.includes('unique')) {
+        return { success: false, error: 'Transaction already used for a previous purchase' };
+      }
+      console.error('Solana payment claim failed:', errorText);
+      return { success: false, error: 'Failed to claim Solana payment' };
+    }
+
+    const records = await res.json();
+    if (!records || records.length === 0) {
+      return { success: false, error: 'Transaction already used for a previous purchase' };
+    }
+
+    return { success: true, record: records[0] };
+  } catch (err) {
+    console.error('Solana payment claim error:', err);
+    return { success: false, error: 'Failed to claim Solana payment' };
+  }
+}
+
+/**
+ * Update a claimed Solana payment (status: used | refund_due)
+ *
+ * @param {string} id
+ * @param {object} updates
+ */
+export async function updateSolanaPayment(id, updates) {
+  try {
+    await supabaseRequest(`/rest/v1/solana_payments?id=eq.${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+    });
+  } catch (err) {
+    console.error('Solana payment update error:', err.message);
+  }
+}
+
+/**
+ * Solana wallet an agent registered (via /api/agents/register-solana)
+ *
+ * @param {string} evmWallet - Agent's Base wallet
+ * @returns {Promise<string|null>}
+ */
+export async function getAgentSolanaWallet(evmWallet) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/agents?wallet=ilike.${encodeURIComponent(evmWallet)}&select=solana_wallet&limit=1`
+    );
+    const rows = res.ok ? await res.json() : [];
+    return rows[0]?.solana_wallet || null;
+  } catch (err) {
+    console.error('Solana wallet lookup error:', err.message);
+    return null;
+  }
+}
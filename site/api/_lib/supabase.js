@@ -11,6 +11,25 @@
  * - funding_log: Wallet funding history
  * - licenses: Art licensing records
  * - bounty_events: Reward events
+ * - bounty_payouts: $PHOS transfers paying bounty events, one per wallet batch
+ * - price_history: Piece price changes
+ * - piece_ownerships: Edition ownership (one row per edition)
+ * - listings: Secondary market resale listings
+ * - offers: Escrowed USDC offers on pieces
+ * - auctions / auction_bids: English and Dutch auctions and their paid bids
+ * - payouts: Payout ledger (what each sale owes artists and sellers)
+ * - nft_transfers: On-chain delivery of sold editions to buyers
+ * - idempotency_keys: Stored responses replayed for Idempotency-Key retries
+ * - carts: Multi-piece checkouts paid with one USDC payment (and their refunds)
+ * - receipts: Platform-signed EIP-712 receipts of completed purchases
+ * - submission_collaborators: Co-artists of collaborative pieces and their revenue shares
+ * - patronages / patronage_payments: Monthly artist patronage and its paid or pre-authorized periods
+ * - license_certificates: Platform-signed EIP-712 license certificates (optionally artist-countersigned)
+ * - license_renewals: Paid (or free personal) renewals extending a license by its duration
+ * - license_offerings: Artist-defined license terms and pricing per piece
+ * - license_sync_state / license_sync_issues: LicensingRegistry indexer cursors and divergences
+ * - license_disputes: Artist disputes against licenses, licensee responses and admin outcomes
+ * - admin_sessions: Hashed admin session tokens from /api/auth/admin
  * - referrals: Referral tracking
  * - notifications: Agent notifications
  * 
@@ -8,7 +8,7 @@
  * ## Features:
  * - Create new wallets for agents during registration
  * - Import existing wallets from seed data
- * - Get platform wallets (minter, funder) for operations
+ * - Get platform wallets (minter, funder, rewards) for operations
  * - Check wallet balances
  * 
  * ## Security:
@@ -155,6 +155,20 @@ export async function getFunderWallet() {
   return importWallet({ walletId, seed });
 }
 
+/**
+ * Get rewards wallet for $PHOS bounty payouts
+ */
+export async function getRewardsWallet() {
+  const walletId = process.env.REWARDS_WALLET_ID;
+  const seed = process.env.REWARDS_SEED;
+  
+  if (!walletId || !seed) {
+    throw new Error('Rewards wallet not configured (REWARDS_WALLET_ID, REWARDS_SEED)');
+  }
+  
+  return importWallet({ walletId, seed });
+}
+
 /**
  * Check wallet balance
  * 
@@ -0,0 +1,386 @@
+/**
+ * x402 "exact" Scheme Helpers for Phosphors
+ *
+ * Implements the EVM flavour of the x402 `exact` payment scheme, where the
+ * buyer signs an EIP-3009 `transferWithAuthorization` for USDC instead of
+ * broadcasting a transfer themselves. The platform (or a facilitator) then
+ * submits the authorization on-chain and pays the gas.
+ *
+ * ## Flow:
+ * 1. Client requests a resource and receives a 402 with `accepts` requirements
+ * 2. Client signs a TransferWithAuthorization (EIP-712) for the exact amount
+ * 3. Client retries with the base64 payload in `X-PAYMENT` / `Payment-Signature`
+ * 4. Server verifies signature, amount, recipient, nonce and validity window
+ * 5. Server claims the nonce and settles through a facilitator (see facilitator.js)
+ *
+ * ## Payment payload (base64 JSON):
+ * ```json
+ * {
+ *   "x402Version": 1,
+ *   "scheme": "exact",
+ *   "network": "base-sepolia",
+ *   "payload": {
+ *     "signature": "0x...",
+ *     "authorization": {
+ *       "from": "0x...", "to": "0x...", "value": "1010000",
+ *       "validAfter": "0", "validBefore": "1767225600", "nonce": "0x...32 bytes"
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * @module x402
+ */
+
+import { verifyTypedData } from 'ethers';
+import { supabaseRequest } from './supabase.js';
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Network configuration - determines chain ID and USDC domain
+ * @constant {boolean}
+ */
+const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
+
+/**
+ * x402 protocol version we speak
+ * @constant {number}
+ */
+export const X402_VERSION = 1;
+
+/**
+ * Network identifiers accepted for the current deployment.
+ * x402 v1 uses short names, newer clients send CAIP-2 identifiers.
+ * @constant {string[]}
+ */
+const ACCEPTED_NETWORKS = IS_MAINNET
+  ? ['base', 'base-mainnet', 'eip155:8453']
+  : ['base-sepolia', 'eip155:84532'];
+
+/**
+ * Canonical network name advertised in payment requirements
+ * @constant {string}
+ */
+export const X402_NETWORK = IS_MAINNET ? 'base' : 'base-sepolia';
+
+/**
+ * EVM chain ID for the EIP-712 domain
+ * @constant {number}
+ */
+const CHAIN_ID = IS_MAINNET ? 8453 : 84532;
+
+/**
+ * USDC contract address on Base
+ * @constant {string}
+ */
+export const USDC_ADDRESS = IS_MAINNET
+  ? '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+  : '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+
+/**
+ * EIP-712 domain name/version of the USDC contract (FiatTokenV2).
+ * Base mainnet reports "USD Coin", Base Sepolia reports "USDC".
+ * @constant {object}
+ */
+export const USDC_EIP712 = {
+  name: IS_MAINNET ? 'USD Coin' : 'USDC',
+  version: '2'
+};
+
+/**
+ * USDC uses 6 decimal places
+ * @constant {number}
+ */
+const USDC_DECIMALS = 6;
+
+/**
+ * Seconds of headroom required before `validBefore`, so the authorization
+ * cannot expire while the settlement transaction is being mined
+ * @constant {number}
+ */
+const VALIDITY_BUFFER_SECONDS = 6;
+
+/**
+ * EIP-3009 TransferWithAuthorization typed data definition
+ * @constant {object}
+ */
+const AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// ==================== AMOUNTS ====================
+
+/**
+ * Convert a human readable USDC amount to atomic units
+ * @param {number} amount - e.g. 1.01
+ * @returns {bigint} e.g. 1010000n
+ */
+export function usdcToAtomic(amount) {
+  return BigInt(Math.round(amount * (10 ** USDC_DECIMALS)));
+}
+
+/**
+ * Convert atomic USDC units to a human readable number
+ * @param {bigint|string} atomic
+ * @returns {number}
+ */
+export function atomicToUsdc(atomic) {
+  return Number(BigInt(atomic)) / (10 ** USDC_DECIMALS);
+}
+
+// ==================== REQUIREMENTS ====================
+
+/**
+ * Build an x402 `exact` payment requirements entry for the `accepts` array
+ *
+ * @param {object} options
+ * @param {number} options.amount - Amount in USDC (human readable)
+ * @param {string} options.resource - Resource path being paid for
+ * @param {string} options.description - Human readable description
+ * @param {string} options.payTo - Recipient address
+ * @param {number} [options.maxTimeoutSeconds=60] - Max time to settle
+ * @param {object} [options.extra] - Extra display fields
+ * @returns {object} Payment requirements
+ */
+export function buildPaymentRequirements({
+  amount,
+  resource,
+  description,
+  payTo,
+  maxTimeoutSeconds = 60,
+  extra = {}
+}) {
+  return {
+    scheme: 'exact',
+    network: X402_NETWORK,
+    maxAmountRequired: usdcToAtomic(amount).toString(),
+    resource,
+    description,
+    mimeType: 'application/json',
+    payTo,
+    maxTimeoutSeconds,
+    asset: USDC_ADDRESS,
+    extra: {
+      name: USDC_EIP712.name,
+      version: USDC_EIP712.version,
+      ...extra
+    }
+  };
+}
+
+// ==================== PAYLOAD ENCODING ====================
+
+/**
+ * Decode a signed x402 payment header.
+ * Returns null when the header is missing or is not an EIP-3009 payload
+ * (e.g. the legacy `{ txHash }` form).
+ *
+ * @param {string} header - base64 encoded JSON
+ * @returns {object|null} Payment payload
+ */
+export function decodePaymentHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  try {
+    const payment = JSON.parse(Buffer.from(header, 'base64').toString());
+    if (!payment?.payload?.authorization || !payment?.payload?.signature) {
+      return null;
+    }
+    return payment;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Encode a settlement result for the `X-PAYMENT-RESPONSE` header
+ * @param {object} settlement - { success, transaction, network, payer }
+ * @returns {string} base64 JSON
+ */
+export function encodePaymentResponse(settlement) {
+  return Buffer.from(JSON.stringify({
+    success: settlement.success,
+    transaction: settlement.transaction || null,
+    network: settlement.network || X402_NETWORK,
+    payer: settlement.payer || null
+  })).toString('base64');
+}
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Verify a signed `exact` payment against payment requirements.
+ * Checks are purely off-chain: scheme, network, recipient, amount,
+ * validity window, nonce format and the EIP-712 signature.
+ *
+ * @param {object} payment - Decoded payment payload
+ * @param {object} requirements - Requirements from buildPaymentRequirements()
+ * @param {object} [options]
+ * @param {number} [options.now] - Current unix time in seconds (for testing)
+ * @returns {{ isValid: boolean, invalidReason?: string, payer?: string }}
+ */
+export function verifyExactPayment(payment, requirements, options = {}) {
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+
+  if (!payment || payment.scheme !== 'exact' || requirements.scheme !== 'exact') {
+    return { isValid: false, invalidReason: 'unsupported_scheme' };
+  }
+
+  if (!ACCEPTED_NETWORKS.includes(payment.network)) {
+    return { isValid: false, invalidReason: 'invalid_network' };
+  }
+
+  const { authorization, signature } = payment.payload || {};
+  if (!authorization || typeof signature !== 'string' || !/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+    return { isValid: false, invalidReason: 'invalid_payload' };
+  }
+
+  const { from, to, value, validAfter, validBefore, nonce } = authorization;
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(from || '') || !/^0x[a-fA-F0-9]{40}$/.test(to || '')) {
+    return { isValid: false, invalidReason: 'invalid_payload' };
+  }
+
+  if (!/^0x[a-fA-F0-9]{64}$/.test(nonce || '')) {
+    return { isValid: false, invalidReason: 'invalid_nonce' };
+  }
+
+  // Recipient must be the advertised payTo
+  if (to.toLowerCase() !== requirements.payTo.toLowerCase()) {
+    return { isValid: false, invalidReason: 'invalid_recipient', payer: from.toLowerCase() };
+  }
+
+  // Amount must cover the requirement
+  let atomicValue;
+  try {
+    atomicValue = BigInt(value);
+  } catch (e) {
+    return { isValid: false, invalidReason: 'invalid_payload' };
+  }
+
+  if (atomicValue < BigInt(requirements.maxAmountRequired)) {
+    return { isValid: false, invalidReason: 'insufficient_amount', payer: from.toLowerCase() };
+  }
+
+  // Validity window
+  if (Number(validAfter) > now) {
+    return { isValid: false, invalidReason: 'authorization_not_yet_valid', payer: from.toLowerCase() };
+  }
+
+  if (Number(validBefore) < now + VALIDITY_BUFFER_SECONDS) {
+    return { isValid: false, invalidReason: 'authorization_expired', payer: from.toLowerCase() };
+  }
+
+  // EIP-712 signature must recover to `from`
+  try {
+    const domain = {
+      name: requirements.extra?.name || USDC_EIP712.name,
+      version: requirements.extra?.version || USDC_EIP712.version,
+      chainId: CHAIN_ID,
+      verifyingContract: requirements.asset || USDC_ADDRESS
+    };
+
+    const recovered = verifyTypedData(domain, AUTHORIZATION_TYPES, {
+      from,
+      to,
+      value: atomicValue,
+      validAfter: BigInt(validAfter),
+      validBefore: BigInt(validBefore),
+      nonce
+    }, signature);
+
+    if (recovered.toLowerCase() !== from.toLowerCase()) {
+      return { isValid: false, invalidReason: 'invalid_signature', payer: from.toLowerCase() };
+    }
+  } catch (err) {
+    return { isValid: false, invalidReason: 'invalid_signature', payer: from.toLowerCase() };
+  }
+
+  return { isValid: true, payer: from.toLowerCase() };
+}
+
+// ==================== REPLAY PROTECTION ====================
+
+/**
+ * Atomically claim an authorization nonce before settling it.
+ * The (payer, nonce) pair is unique, so concurrent retries of the same
+ * signed payment cannot both reach settlement.
+ *
+ * @param {object} payment - Decoded payment payload
+ * @param {object} data - Extra columns (resource, amount_usdc, ...)
+ * @returns {object} { success: boolean, error?: string, record?: object }
+ */
+export async function claimAuthorization(payment, data = {}) {
+  const { from, nonce, value, validBefore } = payment.payload.authorization;
+
+  try {
+    const res = await supabaseRequest('/rest/v1/x402_payments', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation,resolution=ignore-duplicates'
+      },
+      body: JSON.stringify({
+        payer: from.toLowerCase(),
+        nonce: nonce.toLowerCase(),
+        value_atomic: String(value),
+        valid_before: new Date(Number(validBefore) * 1000).toISOString(),
+        network: payment.network,
+        status: 'settling',
+        ...data
+      })
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      if (res.status === 409 || errorText.includes('duplicate') || errorText.includes('unique')) {
+        return { success: false, error: 'Payment authorization already used' };
+      }
+      console.error('Authorization claim failed:', errorText);
+      return { success: false, error: 'Failed to claim payment authorization' };
+    }
+
+    const records = await res.json();
+    if (!records || records.length === 0) {
+      return { success: false, error: 'Payment authorization already used' };
+    }
+
+    return { success: true, record: records[0] };
+  } catch (err) {
+    console.error('Authorization claim error:', err);
+    return { success: false, error: 'Failed to claim payment authorization' };
+  }
+}
+
+/**
+ * Update a claimed authorization after settlement
+ * @param {string} id - x402_payments row id
+ * @param {object} updates - { status, tx_hash, error }
+ */
+export async function updateAuthorization(id, updates) {
+  try {
+    await supabaseRequest(`/rest/v1/x402_payments?id=eq.${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+    });
+  } catch (err) {
+    console.error('Authorization update error:', err.message);
+  }
+}
+
+export { AUTHORIZATION_TYPES, CHAIN_ID };
@@ -12,6 +12,7 @@
 
 import { checkRateLimit, getClientIP, rateLimitResponse } from './_lib/rate-limit.js';
 import { handleCors } from './_lib/security.js';
+import { formatEdition } from './_lib/editions.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -76,7 +77,7 @@ export default async function handler(req, res) {
     if (type === 'all' || type === 'purchase') {
       try {
         const purchases = await supabaseQuery(
-          `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,buyer_wallet,seller_username,seller_wallet,amount_usdc,artist_payout,payout_tx_hash,tx_hash,network&status=eq.completed&order=created_at.desc&limit=${limit}`
+          `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,buyer_wallet,seller_username,seller_wallet,amount_usdc,artist_payout,payout_tx_hash,edition_number,edition_size,tx_hash,network&status=eq.completed&order=created_at.desc&limit=${limit}`
         );
         
         for (const p of purchases) {
@@ -89,7 +90,8 @@ export default async function handler(req, res) {
             piece: {
               title: p.piece_title || 'Unknown',
               previewUrl: `/previews/${slug}.png`,
-              artUrl: `/art/${artistSlug}-${slug}.html`
+              artUrl: `/art/${artistSlug}-${slug}.html`,
+              edition: formatEdition(p.edition_number, p.edition_size)
             },
             buyer: {
               username: p.buyer_username || 'Anonymous',
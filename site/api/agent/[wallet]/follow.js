@@ -11,6 +11,7 @@
  */
 
 import { checkRateLimit, getClientIP, rateLimitResponse } from '../../_lib/rate-limit.js';
+import { handleIdempotency } from '../../_lib/idempotency.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -106,12 +107,16 @@ export default async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
+  if (req.method === 'POST' && await handleIdempotency(req, res, 'follow')) {
+    return;
+  }
+  
   const { wallet } = req.query;
   
   if (!wallet || !isValidAddress(wallet)) {
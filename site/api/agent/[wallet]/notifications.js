@@ -5,6 +5,7 @@
  * - Sale notifications (your art was collected)
  * - New art from artists you follow
  * - Purchase confirmations
+ * - Offers (received, countered, accepted, declined, expired)
  * - Weekly digests
  * 
  * POST /api/agent/[wallet]/notifications
@@ -187,6 +188,10 @@ export default async function handler(req, res) {
           ? `https://phosphors.xyz/art/${n.data?.piece_title?.toLowerCase().replace(/[^a-z0-9]/g, '-')}.html`
           : n.type === 'new_art'
           ? `https://phosphors.xyz/api/buy/${n.data?.piece_id}?buyer=${normalizedWallet}`
+          : n.type?.startsWith('offer_') && n.data?.offer_id
+          ? `https://phosphors.xyz/api/offers?id=${n.data.offer_id}`
+          : n.type?.startsWith('auction_') && n.data?.auction_id
+          ? `https://phosphors.xyz/api/auctions?id=${n.data.auction_id}`
           : null
       }));
       
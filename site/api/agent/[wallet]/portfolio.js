@@ -2,12 +2,16 @@
  * GET /api/agent/[wallet]/portfolio
  * 
  * Returns complete portfolio for an agent:
- * - Pieces they've collected (with purchase proofs)
- * - Pieces they've created (with sales history)
- * - Total collection value and earnings
+ * - Pieces they've collected (with purchase proofs and token delivery)
+ * - Pieces they've created or co-created (with sales history)
+ * - Total collection value (at live artist prices) and earnings
+ * - Resale proceeds and royalties from the secondary market
+ * - Payouts owed vs paid (from the payout ledger)
  */
 
 import { checkRateLimit, getClientIP, rateLimitResponse } from '../../_lib/rate-limit.js';
+import { getLivePrices, getPiecePrice } from '../../_lib/pricing.js';
+import { getEditionInfo, formatEdition } from '../../_lib/editions.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -86,54 +90,157 @@ export default async function handler(req, res) {
     
     const agent = agents?.[0] || null;
     
+    // Collaborative pieces this wallet is a confirmed co-artist of
+    const collaborations = await supabaseQuery(
+      `/rest/v1/submission_collaborators?wallet=eq.${encodeURIComponent(normalizedWallet)}&status=eq.confirmed&select=submission_id,share_percent,is_lead`
+    );
+    const collaborationsById = new Map((collaborations || []).map(c => [c.submission_id, c]));
+    const collaborationIds = [...collaborationsById.keys()];
+    
     // Get purchases (collected pieces)
     const purchases = await supabaseQuery(
-      `/rest/v1/purchases?buyer_wallet=ilike.${encodeURIComponent(normalizedWallet)}&select=id,piece_title,seller_username,seller_wallet,amount_usdc,tx_hash,created_at&order=created_at.desc`
+      `/rest/v1/purchases?buyer_wallet=ilike.${encodeURIComponent(normalizedWallet)}&status=eq.completed&select=id,submission_id,piece_title,seller_username,seller_wallet,artist_username,artist_wallet,sale_type,amount_usdc,edition_number,edition_size,tx_hash,cart_line,gift_from_wallet,gift_from_username,gift_message,gift_signer,created_at&order=created_at.desc`
+    );
+    
+    // Get on-chain deliveries of collected editions (purchase proofs)
+    const transfers = await supabaseQuery(
+      `/rest/v1/nft_transfers?to_wallet=eq.${encodeURIComponent(normalizedWallet)}&select=sale_tx_hash,cart_line,token_id,method,status,tx_hash,confirmed_at`
     );
+    // Cart lines share one payment, so a sale is its payment plus cart line
+    const transfersBySale = new Map((transfers || []).map(t => [`${t.sale_tx_hash}:${t.cart_line || 0}`, t]));
     
-    // Get sales (as artist)
+    // Get sales (as artist, or as a collector reselling, or of a collaboration)
+    const salesFilter = collaborationIds.length > 0
+      ? `or=(seller_wallet.ilike.${encodeURIComponent(normalizedWallet)},and(submission_id.in.(${collaborationIds.join(',')}),sale_type.eq.primary))`
+      : `seller_wallet=ilike.${encodeURIComponent(normalizedWallet)}`;
     const sales = await supabaseQuery(
-      `/rest/v1/purchases?seller_wallet=ilike.${encodeURIComponent(normalizedWallet)}&select=id,piece_title,buyer_username,buyer_wallet,amount_usdc,artist_payout,payout_tx_hash,created_at&order=created_at.desc`
+      `/rest/v1/purchases?${salesFilter}&status=eq.completed&select=id,submission_id,piece_title,buyer_username,buyer_wallet,amount_usdc,base_price,artist_payout,payout_tx_hash,sale_type,royalty_amount,seller_payout,edition_number,edition_size,created_at&order=created_at.desc`
+    );
+    
+    // Get royalties (resales of this agent's work by collectors)
+    const royaltiesFilter = collaborationIds.length > 0
+      ? `or=(artist_wallet.ilike.${encodeURIComponent(normalizedWallet)},submission_id.in.(${collaborationIds.join(',')}))`
+      : `artist_wallet=ilike.${encodeURIComponent(normalizedWallet)}`;
+    const royalties = await supabaseQuery(
+      `/rest/v1/purchases?${royaltiesFilter}&sale_type=eq.secondary&status=eq.completed&select=id,submission_id,royalty_amount,artist_payout,created_at`
     );
     
-    // Get created pieces (submissions by this agent's username)
+    // Get payout ledger entries (what the platform owes / has paid this wallet)
+    const payoutEntries = await supabaseQuery(
+      `/rest/v1/payouts?recipient_wallet=eq.${encodeURIComponent(normalizedWallet)}&select=id,purchase_id,piece_title,role,amount_usdc,status,tx_hash,attempts,last_error,next_attempt_at,created_at&order=created_at.desc`
+    );
+    
+    // Get created pieces (submissions by this agent's username, and collaborations)
     let createdPieces = [];
-    if (agent?.username) {
+    if (agent?.username || collaborationIds.length > 0) {
+      const createdFilter = !agent?.username
+        ? `id=in.(${collaborationIds.join(',')})`
+        : collaborationIds.length > 0
+          ? `or=(moltbook.ilike.${encodeURIComponent(agent.username)},id.in.(${collaborationIds.join(',')}))`
+          : `moltbook=ilike.${encodeURIComponent(agent.username)}`;
       createdPieces = await supabaseQuery(
-        `/rest/v1/submissions?moltbook=ilike.${encodeURIComponent(agent.username)}&status=eq.approved&select=id,title,description,preview_url,token_id,created_at,collector_username,collector_wallet,collected_at&order=created_at.desc`
+        `/rest/v1/submissions?${createdFilter}&status=eq.approved&select=id,moltbook,title,description,preview_url,token_id,price_usdc,edition_size,editions_sold,created_at,collector_username,collector_wallet,collected_at&order=created_at.desc`
       );
     }
     
+    // A collaboration's sales are split, so this wallet earned its ledger entries
+    const earnedFromLedger = new Map();
+    for (const p of payoutEntries || []) {
+      if (p.role === 'seller' || !p.purchase_id) continue;
+      earnedFromLedger.set(p.purchase_id, (earnedFromLedger.get(p.purchase_id) || 0) + parseFloat(p.amount_usdc || 0));
+    }
+    const saleEarnings = s => collaborationsById.has(s.submission_id)
+      ? earnedFromLedger.get(s.id) || 0
+      : parseFloat(s.artist_payout || s.amount_usdc || 0);
+    const royaltyEarnings = r => collaborationsById.has(r.submission_id)
+      ? earnedFromLedger.get(r.id) || 0
+      : parseFloat(r.royalty_amount || 0);
+    
     // Calculate stats
     const collectedCount = purchases?.length || 0;
     const createdCount = createdPieces?.length || 0;
-    const totalSpent = (purchases || []).reduce((sum, p) => sum + parseFloat(p.amount_usdc || 0), 0);
-    const totalEarned = (sales || []).reduce((sum, s) => sum + parseFloat(s.artist_payout || s.amount_usdc || 0), 0);
-    const salesCount = sales?.length || 0;
+    // Gifts were paid for by someone else
+    const totalSpent = (purchases || [])
+      .filter(p => !p.gift_from_wallet)
+      .reduce((sum, p) => sum + parseFloat(p.amount_usdc || 0), 0);
+    const primarySales = (sales || []).filter(s => s.sale_type !== 'secondary');
+    const resales = (sales || []).filter(s => s.sale_type === 'secondary');
+    const royaltiesEarned = (royalties || []).reduce((sum, r) => sum + royaltyEarnings(r), 0);
+    const resaleProceeds = resales.reduce(
+      (sum, s) => sum + parseFloat(s.seller_payout || (s.base_price - (s.royalty_amount || 0)) || 0),
+      0
+    );
+    const totalEarned = primarySales.reduce((sum, s) => sum + saleEarnings(s), 0)
+      + resaleProceeds
+      + royaltiesEarned;
+    const salesCount = primarySales.length;
+    
+    // Owed: pending or failed transfers. Paid: sent or confirmed.
+    const owedPayouts = (payoutEntries || []).filter(p => p.status === 'pending' || p.status === 'failed');
+    const payoutsOwed = owedPayouts.reduce((sum, p) => sum + parseFloat(p.amount_usdc || 0), 0);
+    const payoutsPaid = (payoutEntries || [])
+      .filter(p => p.status === 'sent' || p.status === 'confirmed')
+      .reduce((sum, p) => sum + parseFloat(p.amount_usdc || 0), 0);
+    
+    // Value the collection at current artist prices
+    const livePrices = await getLivePrices((purchases || []).map(p => p.submission_id));
+    const collectionValue = (purchases || []).reduce(
+      (sum, p) => sum + (livePrices.get(p.submission_id) ?? parseFloat(p.amount_usdc || 0)),
+      0
+    );
     
     // Format collected pieces
-    const collected = (purchases || []).map(p => ({
-      title: p.piece_title,
-      artist: {
-        username: p.seller_username || 'Unknown',
-        wallet: p.seller_wallet
-      },
-      price: p.amount_usdc,
-      collectedAt: p.created_at,
-      proof: {
-        txHash: p.tx_hash,
-        explorer: p.tx_hash ? `${BLOCK_EXPLORER}/tx/${p.tx_hash}` : null
-      },
-      preview: `/previews/${slugify(p.piece_title)}.png`,
-      viewUrl: `https://phosphors.xyz/art/${slugify(p.piece_title)}.html`
-    }));
+    const collected = (purchases || []).map(p => {
+      const transfer = p.tx_hash ? transfersBySale.get(`${p.tx_hash.toLowerCase()}:${p.cart_line || 0}`) : null;
+      return {
+        title: p.piece_title,
+        artist: {
+          username: p.artist_username || p.seller_username || 'Unknown',
+          wallet: p.artist_wallet || p.seller_wallet
+        },
+        saleType: p.sale_type || 'primary',
+        seller: p.sale_type === 'secondary' ? {
+          username: p.seller_username,
+          wallet: p.seller_wallet
+        } : undefined,
+        edition: formatEdition(p.edition_number, p.edition_size),
+        price: p.amount_usdc,
+        currentPrice: livePrices.get(p.submission_id) ?? null,
+        collectedAt: p.created_at,
+        gift: p.gift_from_wallet ? {
+          from: {
+            username: p.gift_from_username,
+            wallet: p.gift_from_wallet
+          },
+          message: p.gift_message,
+          signedBy: p.gift_signer
+        } : undefined,
+        proof: {
+          txHash: p.tx_hash,
+          explorer: p.tx_hash ? `${BLOCK_EXPLORER}/tx/${p.tx_hash}` : null,
+          transfer: transfer ? {
+            tokenId: transfer.token_id,
+            status: transfer.status,
+            method: transfer.method,
+            txHash: transfer.tx_hash,
+            explorer: transfer.tx_hash ? `${BLOCK_EXPLORER}/tx/${transfer.tx_hash}` : null,
+            confirmedAt: transfer.confirmed_at
+          } : null
+        },
+        preview: `/previews/${slugify(p.piece_title)}.png`,
+        viewUrl: `https://phosphors.xyz/art/${slugify(p.piece_title)}.html`
+      };
+    });
     
     // Format created pieces
     const created = (createdPieces || []).map(p => {
       // Find sales for this piece
-      const pieceSales = (sales || []).filter(s => 
+      const pieceSales = primarySales.filter(s => 
         s.piece_title?.toLowerCase() === p.title?.toLowerCase()
       );
+      const pieceRoyalties = (royalties || []).filter(r => r.submission_id === p.id);
+      const edition = getEditionInfo(p);
+      const collaboration = collaborationsById.get(p.id);
       
       return {
         id: p.id,
@@ -141,12 +248,28 @@ export default async function handler(req, res) {
         description: p.description,
         preview: p.preview_url || `/previews/${slugify(p.title)}.png`,
         tokenId: p.token_id,
+        price: getPiecePrice(p),
+        edition: {
+          size: edition.size,
+          sold: edition.sold,
+          remaining: edition.remaining,
+          label: edition.label,
+          soldOut: edition.soldOut
+        },
         createdAt: p.created_at,
         sales: pieceSales.length,
-        totalEarned: pieceSales.reduce((sum, s) => sum + parseFloat(s.artist_payout || s.amount_usdc || 0), 0).toFixed(2),
+        totalEarned: pieceSales.reduce((sum, s) => sum + saleEarnings(s), 0).toFixed(2),
+        resales: pieceRoyalties.length,
+        royaltiesEarned: pieceRoyalties.reduce((sum, r) => sum + royaltyEarnings(r), 0).toFixed(2),
+        collaboration: collaboration ? {
+          lead: p.moltbook,
+          isLead: collaboration.is_lead,
+          sharePercent: parseFloat(collaboration.share_percent)
+        } : undefined,
         collectors: pieceSales.map(s => ({
           username: s.buyer_username || 'Anonymous',
           wallet: s.buyer_wallet,
+          edition: formatEdition(s.edition_number, s.edition_size),
           when: s.created_at
         })),
         viewUrl: `https://phosphors.xyz/art/${slugify(p.title)}.html`,
@@ -193,11 +316,46 @@ export default async function handler(req, res) {
           collected: collectedCount,
           created: createdCount,
           sales: salesCount,
+          resales: resales.length,
           totalSpent: totalSpent.toFixed(2),
+          resaleProceeds: resaleProceeds.toFixed(2),
+          royaltiesEarned: royaltiesEarned.toFixed(2),
           totalEarned: totalEarned.toFixed(2),
+          payoutsOwed: payoutsOwed.toFixed(2),
+          payoutsPaid: payoutsPaid.toFixed(2),
+          collectionValue: collectionValue.toFixed(2),
+          unrealizedGain: (collectionValue - totalSpent).toFixed(2),
           netPosition: (totalEarned - totalSpent).toFixed(2)
         },
         balance,
+        payouts: {
+          owed: payoutsOwed.toFixed(2),
+          paid: payoutsPaid.toFixed(2),
+          outstanding: owedPayouts.map(p => ({
+            id: p.id,
+            purchaseId: p.purchase_id,
+            title: p.piece_title,
+            role: p.role,
+            amount: parseFloat(p.amount_usdc),
+            status: p.status,
+            attempts: p.attempts,
+            lastError: p.last_error,
+            nextAttemptAt: p.status === 'pending' ? p.next_attempt_at : null,
+            createdAt: p.created_at
+          })),
+          recent: (payoutEntries || [])
+            .filter(p => p.tx_hash)
+            .slice(0, 10)
+            .map(p => ({
+              id: p.id,
+              title: p.piece_title,
+              role: p.role,
+              amount: parseFloat(p.amount_usdc),
+              status: p.status,
+              txHash: p.tx_hash,
+              explorer: `${BLOCK_EXPLORER}/tx/${p.tx_hash}`
+            }))
+        },
         collected,
         created,
         meta: {
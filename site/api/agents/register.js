@@ -19,6 +19,7 @@ import {
   createBountyEvent 
 } from '../_lib/bounties.js';
 import { handleCors } from '../_lib/security.js';
+import { handleIdempotency } from '../_lib/idempotency.js';
 // Page generator disabled on serverless - pages created via build/manual process
 // import { generateArtistPage, deletePage } from '../_lib/page-generator.js';
 
@@ -88,7 +89,7 @@ class AtomicTransaction {
 
 export default async function handler(req, res) {
   // CORS with origin whitelist
-  if (handleCors(req, res, { methods: 'POST, OPTIONS', headers: 'Content-Type' })) {
+  if (handleCors(req, res, { methods: 'POST, OPTIONS', headers: 'Content-Type, Idempotency-Key' })) {
     return;
   }
   
@@ -96,6 +97,10 @@ export default async function handler(req, res) {
     return res.status(405).json({ success: false, error: { code: 'METHOD_NOT_ALLOWED', message: 'Use POST' } });
   }
   
+  if (await handleIdempotency(req, res, 'register')) {
+    return;
+  }
+  
   // Rate limiting
   const clientIP = getClientIP(req);
   const rateCheck = checkRateLimit(`register:${clientIP}`, RATE_LIMITS.register);
@@ -0,0 +1,472 @@
+/**
+ * /api/auctions
+ *
+ * Timed English and Dutch auctions for drops. Each auction sells one
+ * edition of a piece.
+ *
+ * GET  /api/auctions[?piece=<pieceId>][&artist=<username>][&status=active]
+ *   Auctions (public)
+ *
+ * GET  /api/auctions?id=<auctionId>
+ *   A single auction with its current price and bid history (public)
+ *
+ * POST /api/auctions
+ *   Headers: X-API-Key: ph_xxx (must be the artist)
+ *   Body (english): { "piece_id": "<pieceId>", "type": "english", "start_price": 5,
+ *                     "reserve_price": 20, "min_increment": 1, "extension_minutes": 10,
+ *                     "duration_hours": 24, "starts_at": "<ISO date>" }
+ *   Body (dutch):   { "piece_id": "<pieceId>", "type": "dutch", "start_price": 50,
+ *                     "end_price": 5, "decay": "linear" | "exponential", "duration_hours": 6 }
+ *
+ * POST /api/auctions  { "action": "bid", "id": "<auctionId>", "amount": 12 }
+ *   Headers: X-API-Key: ph_xxx, X-Payment-Tx: 0x...
+ *   Send amount + protocol fee in USDC to the platform wallet first; without
+ *   X-Payment-Tx the endpoint answers 402 with what to pay. A Dutch quote
+ *   may omit amount (current price); the paid request repeats it.
+ *
+ * POST /api/auctions  { "action": "cancel", "id": "<auctionId>" }
+ *   Headers: X-API-Key: ph_xxx (artist, before the first bid)
+ *
+ * POST /api/auctions  { "action": "settle", "id": "<auctionId>" }
+ *   Settle an auction past its end (anyone; idempotent)
+ *
+ * POST /api/auctions  { "action": "settle" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY
+ *   Settle all due auctions and retry pending bid refunds (scheduler)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  verifyApiKey,
+  isValidPieceId,
+  isValidUUID,
+  isValidTxHash,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog,
+  isInternal
+} from './_lib/security.js';
+import { sendError } from './_lib/errors.js';
+import { quotePurchase, roundUsdc, PROTOCOL_FEE_PERCENT } from './_lib/pricing.js';
+import { getEditionInfo } from './_lib/editions.js';
+import { verifyPurchasePayment } from './_lib/payment-verify.js';
+import {
+  validateAuctionConfig,
+  getMinimumBid,
+  isAuctionOpen,
+  formatAuction,
+  createAuction,
+  getAuction,
+  getAuctions,
+  getOpenAuction,
+  getAuctionBids,
+  placeBid,
+  settleAuction,
+  settleDueAuctions,
+  cancelAuction
+} from './_lib/auctions.js';
+
+// Bids are paid to the platform wallet
+const PAY_TO = process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,token_id,edition_size,editions_sold`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+// ==================== ACTIONS ====================
+
+async function createDropAuction(res, { body, agent, wallet, clientIP }) {
+  const pieceId = body.piece_id || body.piece;
+  if (!pieceId || !isValidPieceId(pieceId)) {
+    return badRequest(res, 'Missing or invalid piece_id');
+  }
+
+  const check = validateAuctionConfig(body);
+  if (!check.valid) {
+    return badRequest(res, check.error);
+  }
+
+  const submission = await getSubmission(pieceId);
+  if (!submission || submission.status !== 'approved') {
+    return notFound(res, 'Piece not found');
+  }
+
+  if (submission.moltbook?.toLowerCase() !== agent.username?.toLowerCase()) {
+    return forbidden(res, 'Only the artist can auction this piece');
+  }
+
+  const edition = getEditionInfo(submission);
+  if (edition.soldOut) {
+    return sendError(res, 'SOLD_OUT', `All ${edition.size} editions of "${submission.title}" have been sold`);
+  }
+
+  if (await getOpenAuction(submission.id)) {
+    return sendError(res, 'AUCTION_IN_PROGRESS', 'This piece already has an auction running');
+  }
+
+  const result = await createAuction({
+    submission,
+    artist: { username: agent.username, wallet },
+    config: check.config
+  });
+
+  if (!result.success) {
+    return result.conflict
+      ? sendError(res, 'AUCTION_IN_PROGRESS', result.error)
+      : serverError(res, result.error);
+  }
+
+  await auditLog('AUCTION_CREATED', {
+    auctionId: result.auction.id,
+    pieceId: submission.id,
+    type: result.auction.type,
+    startPrice: check.config.start_price,
+    endsAt: check.config.ends_at,
+    artist: agent.username,
+    ip: clientIP
+  });
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      auction: formatAuction(result.auction),
+      message: `${result.auction.type === 'dutch' ? 'Dutch' : 'English'} auction of "${submission.title}" created`
+    }
+  });
+}
+
+async function bidOnAuction(req, res, { body, agent, wallet, clientIP }) {
+  const auction = await getAuction(body.id);
+  if (!auction) {
+    return notFound(res, 'Auction not found');
+  }
+
+  const paymentTx = req.headers['x-payment-tx'];
+  const minimum = getMinimumBid(auction);
+
+  // A Dutch quote defaults to the current price; the paid request must
+  // repeat the quoted amount since the price keeps falling
+  if (body.amount === undefined && (paymentTx || auction.type !== 'dutch')) {
+    return badRequest(res, 'amount is required');
+  }
+  const amount = body.amount !== undefined ? roundUsdc(Number(body.amount)) : minimum;
+  if (!(amount > 0)) {
+    return badRequest(res, 'amount must be a positive number');
+  }
+
+  const { totalPrice } = quotePurchase(amount);
+
+  // Quote: say what to pay. Once a transfer has been broadcast it is always
+  // recorded (and refunded if the bid can't stand), so these checks only
+  // apply before payment.
+  if (!paymentTx) {
+    if (!isAuctionOpen(auction)) {
+      return sendError(res, 'AUCTION_CLOSED');
+    }
+    if (auction.artist_wallet === wallet) {
+      return badRequest(res, 'You cannot bid on your own auction');
+    }
+    if (amount < minimum) {
+      return badRequest(res, `Bid must be at least ${minimum} USDC`);
+    }
+
+    return res.status(402).json({
+      success: false,
+      payment: {
+        amount: totalPrice,
+        currency: 'USDC',
+        payTo: PAY_TO,
+        bid: amount,
+        protocolFee: `${PROTOCOL_FEE_PERCENT * 100}%`,
+        header: 'X-Payment-Tx'
+      },
+      auction: formatAuction(auction),
+      error: 'Payment required to place this bid'
+    });
+  }
+
+  if (!isValidTxHash(paymentTx)) {
+    return badRequest(res, 'Invalid X-Payment-Tx hash');
+  }
+
+  const verification = await verifyPurchasePayment(paymentTx, wallet, totalPrice);
+  if (!verification.valid) {
+    await auditLog('PAYMENT_VERIFICATION_FAILED', {
+      purpose: 'auction_bid',
+      auctionId: auction.id,
+      payer: wallet,
+      txHash: paymentTx,
+      expectedAmount: totalPrice,
+      error: verification.error
+    });
+    return res.status(402).json({
+      success: false,
+      error: {
+        code: 'PAYMENT_INVALID',
+        message: `Bid payment rejected: ${verification.error}`
+      }
+    });
+  }
+
+  const result = await placeBid(auction, {
+    wallet,
+    username: agent.username,
+    amount,
+    paidAmount: totalPrice,
+    txHash: paymentTx
+  });
+
+  if (!result.success) {
+    await auditLog('AUCTION_BID_REJECTED', {
+      auctionId: auction.id,
+      bidder: agent.username,
+      amount,
+      txHash: paymentTx,
+      reason: result.error,
+      refunded: !!result.refund?.success,
+      ip: clientIP
+    });
+
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'BID_REJECTED',
+        message: `${result.error}. ${result.refund?.success ? 'Your payment has been refunded.' : 'Your refund is queued.'}`
+      },
+      refund: result.refund?.txHash ? { txHash: result.refund.txHash } : null
+    });
+  }
+
+  await auditLog('AUCTION_BID_PLACED', {
+    auctionId: auction.id,
+    bidId: result.bid.id,
+    bidder: agent.username,
+    amount,
+    txHash: paymentTx,
+    ip: clientIP
+  });
+
+  // Dutch: the first bid wins, settle right away
+  if (result.bid.status === 'won') {
+    const sale = await settleAuction(result.auction, { justWon: true });
+    return res.status(200).json({
+      success: true,
+      data: {
+        auction: formatAuction(sale.auction || result.auction),
+        won: true,
+        purchaseId: sale.purchase?.id || null,
+        refund: sale.refund?.txHash ? { txHash: sale.refund.txHash } : null,
+        message: `You won "${auction.piece_title}" for ${parseFloat((sale.auction || result.auction).highest_bid_amount)} USDC`
+      }
+    });
+  }
+
+  const updated = result.auction || auction;
+  return res.status(200).json({
+    success: true,
+    data: {
+      auction: formatAuction(updated),
+      leading: true,
+      message: updated.ends_at !== auction.ends_at
+        ? `You're the highest bidder at ${amount} USDC. The auction was extended to ${updated.ends_at}.`
+        : `You're the highest bidder at ${amount} USDC`
+    }
+  });
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Payment-Tx'
+  })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Browse auctions ====================
+  if (req.method === 'GET') {
+    const { id, piece, artist, status, limit } = req.query;
+
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid auction id');
+    }
+    if (piece && !isValidPieceId(piece)) {
+      return badRequest(res, 'Invalid piece id');
+    }
+    if (status && !['active', 'settling', 'settled', 'ended', 'cancelled'].includes(status)) {
+      return badRequest(res, 'Invalid status');
+    }
+
+    const rateCheck = checkRateLimit(`auctions:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      if (id) {
+        const auction = await getAuction(id);
+        if (!auction) {
+          return notFound(res, 'Auction not found');
+        }
+        const bids = await getAuctionBids(id);
+        return res.status(200).json({ success: true, data: formatAuction(auction, bids) });
+      }
+
+      const auctions = await getAuctions({
+        pieceId: piece,
+        artist: typeof artist === 'string' ? artist.slice(0, 50) : undefined,
+        status: status || 'active',
+        limit: parseInt(limit, 10) || 50
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          auctions: auctions.map(a => formatAuction(a)),
+          count: auctions.length
+        }
+      });
+    } catch (e) {
+      console.error('Auctions lookup error:', e);
+      return serverError(res, 'Failed to fetch auctions');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 4 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const action = body?.action || 'create';
+
+  if (body.id !== undefined && !isValidUUID(body.id)) {
+    return badRequest(res, 'Invalid auction id');
+  }
+  if ((action === 'bid' || action === 'cancel') && !body.id) {
+    return badRequest(res, 'Missing auction id');
+  }
+
+  // ==================== POST: Settle ====================
+  if (action === 'settle') {
+    try {
+      if (!body.id) {
+        if (!isInternal(req)) {
+          return unauthorized(res, 'Invalid API key');
+        }
+
+        const results = await settleDueAuctions();
+        return res.status(200).json({ success: true, data: results });
+      }
+
+      const rateCheck = checkRateLimit(`auctions:${clientIP}`, RATE_LIMITS.standard);
+      if (!rateCheck.allowed) {
+        return rateLimitResponse(res, rateCheck.resetAt);
+      }
+
+      const auction = await getAuction(body.id);
+      if (!auction) {
+        return notFound(res, 'Auction not found');
+      }
+
+      const result = await settleAuction(auction);
+      if (!result.success) {
+        return badRequest(res, result.error);
+      }
+
+      await auditLog('AUCTION_SETTLED', {
+        auctionId: auction.id,
+        sold: result.sold,
+        winner: result.sold ? result.auction.highest_bidder_wallet : null,
+        price: result.sold ? parseFloat(result.auction.highest_bid_amount) : null,
+        reason: result.reason,
+        ip: clientIP
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          auction: formatAuction(result.auction),
+          sold: result.sold,
+          purchaseId: result.purchase?.id || null,
+          message: result.sold ? 'Auction settled' : `Auction ended without a sale: ${result.reason}`
+        }
+      });
+    } catch (e) {
+      console.error('Auction settle error:', e);
+      return serverError(res, 'Failed to settle auction');
+    }
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+  if (!agent.wallet) {
+    return badRequest(res, 'Your agent has no wallet on file');
+  }
+  const wallet = agent.wallet.toLowerCase();
+
+  const rateCheck = checkRateLimit(`auctions:${agent.id}`, action === 'bid' ? RATE_LIMITS.buy : RATE_LIMITS.submit);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  try {
+    if (action === 'create') {
+      return await createDropAuction(res, { body, agent, wallet, clientIP });
+    }
+
+    if (action === 'bid') {
+      return await bidOnAuction(req, res, { body, agent, wallet, clientIP });
+    }
+
+    if (action !== 'cancel') {
+      return badRequest(res, 'action must be create, bid, cancel or settle');
+    }
+
+    // ==================== POST: Cancel ====================
+    const auction = await getAuction(body.id);
+    if (!auction) {
+      return notFound(res, 'Auction not found');
+    }
+    if (auction.artist_wallet !== wallet) {
+      return forbidden(res, 'Only the artist can cancel this auction');
+    }
+
+    const cancelled = await cancelAuction(auction);
+    if (!cancelled) {
+      return sendError(res, 'AUCTION_CLOSED', 'Auctions can only be cancelled while open and before the first bid');
+    }
+
+    await auditLog('AUCTION_CANCELLED', { auctionId: auction.id, artist: agent.username, ip: clientIP });
+
+    return res.status(200).json({
+      success: true,
+      data: { auction: formatAuction(cancelled) }
+    });
+  } catch (e) {
+    console.error('Auction action error:', e);
+    return serverError(res, 'Failed to process auction');
+  }
+}
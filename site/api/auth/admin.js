@@ -7,36 +7,24 @@
 // - Login attempt logging with timestamps
 // - Rate limiting
 // - Constant-time password comparison
-// - Consider: Supabase session storage for multi-instance deployments
+// - Sessions shared across instances via admin_sessions (_lib/admin-sessions.js)
 
 import crypto from 'crypto';
 import { checkRateLimit, getClientIP, rateLimitResponse } from '../_lib/rate-limit.js';
 import { handleCors, auditLog } from '../_lib/security.js';
-import { supabaseRequest } from '../_lib/supabase.js';
+import { SESSION_TTL_MS, createAdminSession, verifyAdminSession } from '../_lib/admin-sessions.js';
 
 // Rate limit: 5 login attempts per 15 minutes
 const AUTH_RATE_LIMIT = { limit: 5, windowMs: 15 * 60 * 1000 };
 
-// In-memory session store (for serverless, consider using Supabase for persistence)
-// TODO: For multi-instance/production, migrate to Supabase sessions table
-const sessions = new Map();
-const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-
 // Login attempt tracking (for security audit)
 const loginAttempts = new Map();
 const MAX_TRACKED_ATTEMPTS = 100;
 
-// Clean expired sessions and old login attempts periodically
+// Clean old login attempts periodically
 setInterval(() => {
   const now = Date.now();
   
-  // Clean sessions
-  for (const [token, data] of sessions.entries()) {
-    if (now - data.createdAt > SESSION_TTL_MS) {
-      sessions.delete(token);
-    }
-  }
-  
   // Clean old login attempts (keep last 24h)
   for (const [ip, attempts] of loginAttempts.entries()) {
     const recentAttempts = attempts.filter(a => now - a.timestamp < 24 * 60 * 60 * 1000);
@@ -131,34 +119,6 @@ function getLoginAttempts(clientIP) {
   return loginAttempts.get(clientIP) || [];
 }
 
-/**
- * Store session in Supabase (optional - for multi-instance deployments)
- * Creates admin_sessions table if using Supabase for sessions
- */
-async function storeSessionSupabase(token, data) {
-  try {
-    await supabaseRequest('/rest/v1/admin_sessions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Prefer': 'return=minimal' },
-      body: JSON.stringify({
-        token_hash: crypto.createHash('sha256').update(token).digest('hex'),
-        ip: data.ip,
-        created_at: new Date(data.createdAt).toISOString(),
-        expires_at: new Date(data.createdAt + SESSION_TTL_MS).toISOString()
-      })
-    });
-    return true;
-  } catch (err) {
-    // Table might not exist - fall back to memory
-    console.log('Supabase session storage not available, using memory');
-    return false;
-  }
-}
-
-function generateSessionToken() {
-  return crypto.randomBytes(32).toString('base64url');
-}
-
 export default async function handler(req, res) {
   // CORS with origin whitelist
   if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
@@ -186,11 +146,9 @@ export default async function handler(req, res) {
       });
     }
     
-    const token = authHeader.slice(7);
-    const session = sessions.get(token);
+    const session = await verifyAdminSession(authHeader.slice(7));
     
-    if (!session || Date.now() - session.createdAt > SESSION_TTL_MS) {
-      sessions.delete(token);
+    if (!session) {
       return res.status(401).json({
         success: false,
         error: { code: 'SESSION_EXPIRED', message: 'Session expired or invalid' }
@@ -199,7 +157,7 @@ export default async function handler(req, res) {
     
     return res.status(200).json({
       success: true,
-      data: { valid: true, expiresIn: SESSION_TTL_MS - (Date.now() - session.createdAt) }
+      data: { valid: true, expiresIn: session.expiresIn }
     });
   }
   
@@ -273,13 +231,8 @@ export default async function handler(req, res) {
       });
     }
     
-    // Create session
-    const token = generateSessionToken();
-    const sessionData = { createdAt: Date.now(), ip: clientIP };
-    sessions.set(token, sessionData);
-    
-    // Optionally store in Supabase for multi-instance persistence
-    await storeSessionSupabase(token, sessionData);
+    // Create session (memory + admin_sessions for multi-instance persistence)
+    const { token } = await createAdminSession(clientIP);
     
     // Log successful login
     logLoginAttempt(clientIP, true);
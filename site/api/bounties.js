@@ -1,9 +1,24 @@
 // Bounties API for Phosphors
-// GET /api/bounties?wallet=xxx — Get bounties for a wallet
+// GET /api/bounties?wallet=xxx — Get bounties for a wallet (each event with its payout status)
 // POST /api/bounties/check — Check for milestone bounties (internal/cron)
+// POST /api/bounties { action: 'pay', dry_run? } — Pay pending bounties in $PHOS (internal/cron or admin)
+// POST /api/bounties { action: 'retry_payout', event_id } — Re-queue a failed bounty (admin)
+// POST /api/bounties { action: 'resolve_payout', payout_id, tx_hash? } — Settle a stuck payout (admin)
 
 import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
-import { handleCors, isValidAddress, normalizeAddress, badRequest, serverError } from './_lib/security.js';
+import {
+  handleCors,
+  isValidAddress,
+  isValidUUID,
+  isValidTxHash,
+  normalizeAddress,
+  badRequest,
+  notFound,
+  serverError,
+  auditLog,
+  isInternal
+} from './_lib/security.js';
+import { getAdminSession } from './_lib/admin-sessions.js';
 import {
   BOUNTY_AMOUNTS,
   getPendingBounties,
@@ -13,11 +28,26 @@ import {
   getReferralLeaderboard,
   checkMilestoneBounties
 } from './_lib/bounties.js';
+import {
+  DAILY_EMISSION_CAP,
+  DRY_RUN,
+  getPayoutStatus,
+  processBountyPayouts,
+  retryBountyEvent,
+  resolveStuckPayout
+} from './_lib/bounty-payouts.js';
 import { supabaseRequest } from './_lib/supabase.js';
 
+function withPayout(event) {
+  return { ...event, payout: getPayoutStatus(event) };
+}
+
 export default async function handler(req, res) {
   // CORS
-  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
     return;
   }
   
@@ -78,19 +108,23 @@ async function handleGet(req, res) {
     const paidTotal = history
       .filter(b => b.status === 'paid')
       .reduce((sum, b) => sum + parseFloat(b.phos_amount), 0);
+    const failedTotal = history
+      .filter(b => b.status === 'failed')
+      .reduce((sum, b) => sum + parseFloat(b.phos_amount), 0);
     
     response.wallet = {
       address: normalizedWallet,
       pending: {
         count: pending.length,
         total_phos: pendingTotal,
-        events: pending
+        events: pending.map(withPayout)
       },
       history: {
         count: history.length,
         total_earned: totalEarned,
         total_paid: paidTotal,
-        events: history
+        total_failed: failedTotal,
+        events: history.map(withPayout)
       }
     };
     
@@ -125,6 +159,7 @@ async function handleGet(req, res) {
   
   // Include bounty amounts reference
   response.bounty_amounts = BOUNTY_AMOUNTS;
+  response.payouts = { daily_cap: DAILY_EMISSION_CAP, dry_run: DRY_RUN };
   
   return res.status(200).json(response);
 }
@@ -135,25 +170,37 @@ async function handleGet(req, res) {
  * Body: { wallet?: string } — optional, check specific wallet or all
  */
 async function handlePost(req, res) {
-  // Check for internal API key - ALWAYS required for POST
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  const internalKey = process.env.INTERNAL_API_KEY;
+  const { wallet, action } = req.body || {};
+  
+  // Admin payout actions
+  if (action === 'retry_payout' || action === 'resolve_payout') {
+    const admin = await getAdminSession(req);
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        error: { code: 'UNAUTHORIZED', message: 'Admin session required' }
+      });
+    }
+    return action === 'retry_payout' ? retryPayout(req, res, admin) : resolvePayout(req, res, admin);
+  }
   
-  // Fail closed: if INTERNAL_API_KEY is not configured, deny all POST access
-  if (!internalKey || apiKey !== internalKey) {
+  // Check for internal API key - ALWAYS required for other POSTs (admins may also pay)
+  if (!isInternal(req) && !(action === 'pay' && await getAdminSession(req))) {
     return res.status(401).json({
       success: false,
       error: { code: 'UNAUTHORIZED', message: 'Invalid API key' }
     });
   }
   
-  const { wallet, action } = req.body || {};
-  
   // Route by action
   if (action === 'check_milestones') {
     return checkAllMilestones(req, res, wallet);
   }
   
+  if (action === 'pay') {
+    return payBounties(req, res);
+  }
+  
   // Default: check milestones for specified wallet
   if (wallet) {
     if (!isValidAddress(wallet)) {
@@ -231,3 +278,92 @@ async function checkAllMilestones(req, res, specificWallet = null) {
     return serverError(res, 'Failed to check milestones');
   }
 }
+
+/**
+ * Pay pending bounties within today's emission cap
+ * Body: { dry_run?: boolean } — plan only (also forced by BOUNTY_PAYOUT_DRY_RUN)
+ */
+async function payBounties(req, res) {
+  const { dry_run } = req.body || {};
+  if (dry_run !== undefined && typeof dry_run !== 'boolean') {
+    return badRequest(res, 'dry_run must be true or false');
+  }
+  
+  try {
+    const results = await processBountyPayouts({ dryRun: DRY_RUN || dry_run === true });
+    
+    return res.status(200).json({
+      success: true,
+      ...results,
+      message: results.dryRun
+        ? `Dry run: ${results.batches.length} payouts planned`
+        : `Paid ${results.paid} of ${results.batches.length} payouts`
+    });
+  } catch (err) {
+    console.error('Bounty payout error:', err);
+    return serverError(res, 'Failed to pay bounties');
+  }
+}
+
+/**
+ * Put a failed bounty event back in the payout queue
+ * Body: { event_id }
+ */
+async function retryPayout(req, res, admin) {
+  const { event_id } = req.body || {};
+  if (!event_id || !isValidUUID(event_id)) {
+    return badRequest(res, 'Valid event_id is required');
+  }
+  
+  try {
+    const event = await retryBountyEvent(event_id);
+    if (!event) {
+      return notFound(res, 'No failed bounty event with this id');
+    }
+    
+    await auditLog('BOUNTY_PAYOUT_RETRIED', {
+      eventId: event.id,
+      wallet: event.wallet_address,
+      admin: admin.actor
+    });
+    
+    return res.status(200).json({ success: true, event: withPayout(event) });
+  } catch (err) {
+    console.error('Bounty payout retry error:', err);
+    return serverError(res, 'Failed to retry bounty payout');
+  }
+}
+
+/**
+ * Settle a payout stuck in `sending`
+ * Body: { payout_id, tx_hash? } — tx_hash if the transfer went out, none if it didn't
+ */
+async function resolvePayout(req, res, admin) {
+  const { payout_id, tx_hash } = req.body || {};
+  if (!payout_id || !isValidUUID(payout_id)) {
+    return badRequest(res, 'Valid payout_id is required');
+  }
+  if (tx_hash !== undefined && !isValidTxHash(tx_hash)) {
+    return badRequest(res, 'Invalid tx_hash');
+  }
+  
+  try {
+    const payout = await resolveStuckPayout(payout_id, tx_hash || null);
+    if (!payout) {
+      return notFound(res, 'No sending bounty payout with this id');
+    }
+    
+    await auditLog('BOUNTY_PAYOUT_RESOLVED', {
+      payoutId: payout.id,
+      wallet: payout.wallet_address,
+      status: payout.status,
+      txHash: tx_hash || null,
+      admin: admin.actor
+    });
+    
+    return res.status(200).json({ success: true, payout });
+  } catch (err) {
+    console.error('Bounty payout resolve error:', err);
+    return serverError(res, 'Failed to resolve bounty payout');
+  }
+}
@@ -11,7 +11,7 @@
  */
 
 import { Coinbase, Wallet } from '@coinbase/coinbase-sdk';
-import { auditLog, getClientIP } from './_lib/security.js';
+import { auditLog, getClientIP, isAdmin } from './_lib/security.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
@@ -94,12 +94,8 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
   
-  // Auth check - MUST have ADMIN_SECRET set and matching
-  const adminSecret = req.headers['x-admin-secret'];
-  const expectedSecret = process.env.ADMIN_SECRET;
-  
-  // Fail closed: if ADMIN_SECRET is not configured, deny all access
-  if (!expectedSecret || adminSecret !== expectedSecret) {
+  // Auth check - MUST have ADMIN_SECRET set and matching (fails closed)
+  if (!isAdmin(req)) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   
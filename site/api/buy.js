@@ -1,11 +1,12 @@
-import { Coinbase, Wallet } from '@coinbase/coinbase-sdk';
 import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
-import { verifyPurchasePayment } from './_lib/payment-verify.js';
+import { verifyPurchasePayment, claimTransactionAtomic, getRequiredConfirmations } from './_lib/payment-verify.js';
 import { 
   handleCors, 
   isValidAddress, 
   isValidTxHash, 
   isValidPieceId,
+  isValidUUID,
+  isValidUsername,
   normalizeAddress,
   badRequest,
   serverError,
@@ -14,40 +15,74 @@ import {
   getClientIP as getIP
 } from './_lib/security.js';
 import { handleSaleBounties } from './_lib/bounties.js';
+import {
+  buildPaymentRequirements,
+  decodePaymentHeader,
+  encodePaymentResponse,
+  claimAuthorization,
+  updateAuthorization,
+  X402_VERSION
+} from './_lib/x402.js';
+import { getFacilitator } from './_lib/facilitator.js';
+import { getPiecePrice, quotePurchase, roundUsdc, PROTOCOL_FEE_PERCENT } from './_lib/pricing.js';
+import { getEditionInfo, claimEdition, confirmEdition, releaseEdition, formatEdition } from './_lib/editions.js';
+import { sendError } from './_lib/errors.js';
+import { handleIdempotency } from './_lib/idempotency.js';
+import { queueSalePayouts } from './_lib/payouts.js';
+import { getArtistPayoutEntries, formatPayoutSplits } from './_lib/collaborations.js';
+import { queueTransfer, formatTransfer } from './_lib/nft-transfers.js';
+import { getOpenAuction } from './_lib/auctions.js';
+import { hasEarlyAccess } from './_lib/patronage.js';
+import {
+  resolveRecipient,
+  validateGiftMessage,
+  buildGiftMessage,
+  buildPayerMessage,
+  validatePayerSignature,
+  notifyGiftRecipient
+} from './_lib/gifts.js';
+import { issueReceipt, formatReceipt } from './_lib/receipts.js';
+import { issueQuote, verifyQuote, QUOTE_TTL_SECONDS } from './_lib/quotes.js';
+import {
+  buildSolanaPaymentRequirements,
+  verifySolanaPayment,
+  claimSolanaPayment,
+  updateSolanaPayment,
+  getAgentSolanaWallet,
+  getSolanaExplorerUrl,
+  isValidSolanaAddress,
+  isValidSolanaSignature,
+  SOLANA_NETWORK
+} from './_lib/solana-payments.js';
+import {
+  getListing,
+  verifyListingOwnership,
+  reserveListing,
+  releaseListing,
+  completeListing,
+  getRoyaltyPercent,
+  splitSecondarySale
+} from './_lib/sales.js';
 
 // Network configuration
 const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
 const NETWORK_ID = IS_MAINNET ? 'base-mainnet' : 'base-sepolia';
-const NETWORK_CAIP2 = IS_MAINNET ? 'eip155:8453' : 'eip155:84532';
 const BLOCK_EXPLORER = IS_MAINNET ? 'https://basescan.org' : 'https://sepolia.basescan.org';
 
-// x402 payment configuration
-const FACILITATOR_URL = 'https://x402.org/facilitator';
+// x402 payment configuration (settlement backend lives in _lib/facilitator.js)
 const PAY_TO = process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
 
-// Revenue split (artist gets 100% of base price)
+// Revenue split (artist gets 100% of base price on primary sales;
+// resales split the price between seller and artist royalty - see _lib/sales.js)
 const ARTIST_SHARE = 1.0;
 
-// Protocol fee (1% on top - used to buy & burn $PHOS)
-const PROTOCOL_FEE_PERCENT = 0.01;
+// Protocol fee (PROTOCOL_FEE_PERCENT on top - used to buy & burn $PHOS)
 const TREASURY_WALLET = process.env.TREASURY_WALLET || PAY_TO; // Fee collection wallet
 
 // Supabase config
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
 
-// Art prices in USDC (numeric for verification)
-const PRICES = {
-  genesis: 1.00,
-  platform: 1.00
-};
-
-// Price display strings
-const PRICE_DISPLAY = {
-  genesis: '$1.00',
-  platform: '$1.00'
-};
-
 async function supabaseQuery(path, options = {}) {
   const res = await fetch(`${SUPABASE_URL}${path}`, {
     ...options,
@@ -73,7 +108,7 @@ async function getArtistWallet(artistUsername) {
 async function getSubmissionInfo(pieceId) {
   // Try to find by ID
   const res = await supabaseQuery(
-    `/rest/v1/submissions?id=eq.${encodeURIComponent(pieceId)}&select=id,title,moltbook,status`
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(pieceId)}&select=id,title,moltbook,status,price_usdc,edition_size,editions_sold,royalty_percent,patron_only_until`
   );
   const submissions = await res.json();
   return submissions[0] || null;
@@ -89,9 +124,36 @@ async function recordPurchase(data) {
     
     if (!res.ok) {
       console.error('Failed to record purchase:', await res.text());
+      return null;
     }
+    
+    const [created] = await res.json();
+    return created || null;
   } catch (err) {
     console.error('Purchase recording error:', err.message);
+    return null;
+  }
+}
+
+// Fill in a purchase row claimed by claimTransactionAtomic
+async function updatePurchase(purchaseId, data) {
+  try {
+    const res = await supabaseQuery(`/rest/v1/purchases?id=eq.${encodeURIComponent(purchaseId)}`, {
+      method: 'PATCH',
+      headers: { 'Prefer': 'return=representation' },
+      body: JSON.stringify(data)
+    });
+    
+    if (!res.ok) {
+      console.error('Failed to update purchase:', await res.text());
+      return null;
+    }
+    
+    const [updated] = await res.json();
+    return updated || null;
+  } catch (err) {
+    console.error('Purchase update error:', err.message);
+    return null;
   }
 }
 
@@ -137,14 +199,23 @@ export default async function handler(req, res) {
   // CORS with whitelist
   if (handleCors(req, res, { 
     methods: 'GET, OPTIONS',
-    headers: 'Content-Type, Payment-Signature, Authorization, X-Payment-Tx, X-Payer, X-Payment'
+    headers: 'Content-Type, Payment-Signature, Authorization, X-Payment-Tx, X-Payer, X-Payer-Signature, X-Payment, X-Quote, Idempotency-Key'
   })) {
     return;
   }
   
-  const { id, buyer } = req.query;
+  // Retries with the same Idempotency-Key get the first response back
+  if (await handleIdempotency(req, res, 'buy')) {
+    return;
+  }
+  
+  const { buyer, listing: listingId, recipient, recipient_username: recipientUsernameParam } = req.query;
+  
+  if (listingId && !isValidUUID(listingId)) {
+    return badRequest(res, 'Invalid listing id');
+  }
   
-  if (!id || !isValidPieceId(id)) {
+  if (!listingId && (!req.query.id || !isValidPieceId(req.query.id))) {
     return badRequest(res, 'Missing or invalid piece id');
   }
   
@@ -152,8 +223,27 @@ export default async function handler(req, res) {
     return badRequest(res, 'Missing or invalid buyer address');
   }
   
-  // Normalize buyer address
+  if (recipient && !isValidAddress(recipient)) {
+    return badRequest(res, 'Invalid recipient address');
+  }
+  
+  if (recipientUsernameParam && (recipient || !isValidUsername(recipientUsernameParam))) {
+    return badRequest(res, recipient ? 'Use recipient or recipient_username, not both' : 'Invalid recipient_username');
+  }
+  
+  // Funds may come from another wallet than the buyer's (e.g. an agent
+  // treasury, or the agent's Solana wallet when paying on Solana)
+  const payerHeader = req.headers['x-payer'];
+  const solanaPayerHeader = isValidSolanaAddress(payerHeader);
+  if (payerHeader && !isValidAddress(payerHeader) && !solanaPayerHeader) {
+    return badRequest(res, 'Invalid X-Payer address');
+  }
+  
+  // Normalize buyer address (Solana addresses are case-sensitive)
   const normalizedBuyer = normalizeAddress(buyer);
+  const normalizedPayer = payerHeader
+    ? (solanaPayerHeader ? payerHeader : normalizeAddress(payerHeader))
+    : normalizedBuyer;
   
   // Rate limiting
   const clientIP = getClientIP(req);
@@ -165,25 +255,55 @@ export default async function handler(req, res) {
     return rateLimitResponse(res, rateCheck.resetAt);
   }
   
+  // The new collector: the buyer, or whoever they are buying for
+  let collector = { wallet: normalizedBuyer, username: null };
+  if (recipient || recipientUsernameParam) {
+    const resolved = await resolveRecipient({ wallet: recipient, username: recipientUsernameParam });
+    if (!resolved.success) {
+      return sendError(res, 'AGENT_NOT_FOUND', resolved.error);
+    }
+    collector = { wallet: resolved.wallet, username: resolved.username };
+  }
+  const isGift = collector.wallet !== normalizedBuyer;
+  
+  // Secondary sale: the listing decides piece, seller and price
+  let listing = null;
+  if (listingId) {
+    listing = await getListing(listingId);
+    
+    if (!listing || listing.status === 'sold' || listing.status === 'cancelled') {
+      return sendError(res, 'LISTING_UNAVAILABLE');
+    }
+    
+    if (!(await verifyListingOwnership(listing))) {
+      return sendError(res, 'LISTING_UNAVAILABLE');
+    }
+    
+    if (listing.seller_wallet === normalizedBuyer) {
+      return badRequest(res, 'You cannot buy your own listing');
+    }
+    
+    if (listing.seller_wallet === collector.wallet) {
+      return badRequest(res, 'The recipient already owns this edition');
+    }
+  }
+  
+  const isSecondary = !!listing;
+  const saleType = isSecondary ? 'secondary' : 'primary';
+  const id = isSecondary ? listing.submission_id : req.query.id;
+  
   // Get submission info
   const submission = await getSubmissionInfo(id);
   const artistUsername = submission?.moltbook || 'Unknown';
   const pieceTitle = submission?.title || id;
   
-  // Determine price (numeric for verification)
-  const isGenesis = id.startsWith('genesis-');
-  const basePrice = isGenesis ? PRICES.genesis : PRICES.platform;
-  const protocolFee = Math.round(basePrice * PROTOCOL_FEE_PERCENT * 1000000) / 1000000; // Round to 6 decimals (USDC precision)
-  const totalPrice = basePrice + protocolFee;
-  const priceDisplay = `$${totalPrice.toFixed(4)}`;
+  // Signed x402 payment (EIP-3009 transferWithAuthorization) - preferred, gasless for buyer
+  const signedPayment = decodePaymentHeader(req.headers['payment-signature'] || req.headers['x-payment']);
   
-  // Check for payment TX in headers (simple payment verification)
-  // Accept multiple header formats for compatibility
+  // Legacy flow: buyer broadcasts a USDC transfer and sends the tx hash
   let paymentTx = req.headers['x-payment-tx'];
-  const payerAddress = req.headers['x-payer'];
-  
   // Also check X-Payment header (base64 encoded JSON with txHash)
-  if (!paymentTx && req.headers['x-payment']) {
+  if (!paymentTx && !signedPayment && req.headers['x-payment']) {
     try {
       const decoded = JSON.parse(Buffer.from(req.headers['x-payment'], 'base64').toString());
       paymentTx = decoded.txHash || decoded.tx_hash || decoded.hash;
@@ -193,16 +313,120 @@ export default async function handler(req, res) {
     }
   }
   
+  // A base58 signature instead of a tx hash pays from Solana
+  const solanaSignature = isValidSolanaSignature(paymentTx) ? paymentTx : null;
+  
   // Validate transaction hash format if provided
-  if (paymentTx && !isValidTxHash(paymentTx)) {
+  if (paymentTx && !isValidTxHash(paymentTx) && !solanaSignature) {
     return res.status(400).json({ 
       error: 'Invalid payment transaction hash format',
-      expected: '0x followed by 64 hex characters'
+      expected: '0x followed by 64 hex characters, or a base58 Solana transaction signature'
     });
   }
   
+  // A payment must come back with the quote from its 402 and is held to the
+  // quoted price, never to whatever the live price is by the time it arrives
+  const quoteId = req.query.quote || req.headers['x-quote'];
+  const quoteTarget = {
+    pieceId: isSecondary ? null : id,
+    listingId: listing?.id || null,
+    buyer: normalizedBuyer,
+    payer: normalizedPayer,
+    recipient: collector.wallet,
+    payTo: PAY_TO
+  };
+  let lockedQuote = null;
+  if (paymentTx || signedPayment) {
+    const quoteCheck = quoteId
+      ? verifyQuote(quoteId, quoteTarget)
+      : {
+          valid: false,
+          code: 'QUOTE_REQUIRED',
+          error: 'Send the quote from the 402 response with the payment (X-Quote header or ?quote=)'
+        };
+    if (!quoteCheck.valid) {
+      await auditLog('QUOTE_REJECTED', {
+        buyer: normalizedBuyer,
+        pieceId: id,
+        listingId: listing?.id,
+        code: quoteCheck.code,
+        error: quoteCheck.error,
+        ip: clientIP
+      });
+      return sendError(res, quoteCheck.code, quoteCheck.error);
+    }
+    lockedQuote = quoteCheck.quote;
+  }
+  
+  // Quoted price, else (402) the live artist-set price or the collector's listing price
+  const { basePrice, protocolFee, totalPrice } = lockedQuote
+    ? {
+        basePrice: lockedQuote.basePrice,
+        protocolFee: roundUsdc(lockedQuote.totalPrice - lockedQuote.basePrice),
+        totalPrice: lockedQuote.totalPrice
+      }
+    : quotePurchase(isSecondary ? parseFloat(listing.price_usdc) : getPiecePrice(submission));
+  const priceDisplay = `$${totalPrice.toFixed(4)}`;
+  const edition = getEditionInfo(submission);
+  const royaltyPercent = getRoyaltyPercent(submission);
+  const resaleSplit = isSecondary ? splitSecondarySale(basePrice, royaltyPercent) : null;
+  
+  const resource = (isSecondary
+    ? `/api/buy?listing=${encodeURIComponent(listing.id)}&buyer=${encodeURIComponent(normalizedBuyer)}`
+    : `/api/buy?id=${encodeURIComponent(id)}&buyer=${encodeURIComponent(normalizedBuyer)}`)
+    + (isGift ? `&recipient=${encodeURIComponent(collector.wallet)}` : '');
+  
+  // Optional gift message, signed by the buyer or payer to prove who sent it
+  const giftTarget = isSecondary ? { listingId: listing.id } : { pieceId: id };
+  const gift = validateGiftMessage({
+    message: req.query.gift_message,
+    signature: req.query.gift_signature,
+    target: giftTarget,
+    recipient: collector.wallet,
+    signers: [normalizedBuyer, normalizedPayer]
+  });
+  if (!gift.valid) {
+    return badRequest(res, gift.error);
+  }
+  if (gift.message && !isGift) {
+    return badRequest(res, 'gift_message needs a recipient other than the buyer');
+  }
+  const paymentRequirements = buildPaymentRequirements({
+    amount: totalPrice,
+    resource,
+    description: isSecondary
+      ? `Purchase "${pieceTitle}" by ${artistUsername} from ${listing.seller_username || 'a collector'}`
+      : `Purchase "${pieceTitle}" by ${artistUsername}`,
+    payTo: PAY_TO,
+    maxTimeoutSeconds: QUOTE_TTL_SECONDS,
+    extra: {
+      pieceId: id,
+      artist: artistUsername,
+      saleType,
+      ...(isSecondary ? {
+        listingId: listing.id,
+        seller: listing.seller_username || listing.seller_wallet,
+        artistRoyalty: `${royaltyPercent * 100}%`
+      } : {
+        artistShare: '100%'
+      }),
+      protocolFee: `${PROTOCOL_FEE_PERCENT * 100}%`,
+      feeNote: 'Protocol fee used to buy & burn $PHOS'
+    }
+  });
+  
+  // Same price payable in SPL USDC on Solana (when a Solana treasury is configured)
+  const solanaRequirements = buildSolanaPaymentRequirements({
+    amount: totalPrice,
+    resource,
+    description: paymentRequirements.description,
+    maxTimeoutSeconds: QUOTE_TTL_SECONDS,
+    extra: { pieceId: id, saleType, ...(isSecondary ? { listingId: listing.id } : {}) }
+  });
+  const accepts = solanaRequirements ? [paymentRequirements, solanaRequirements] : [paymentRequirements];
+  
   // CSRF validation for payment submission (session key is buyer address)
-  if (paymentTx) {
+  if (paymentTx || signedPayment) {
     const csrfResult = validateCsrf(req, normalizedBuyer);
     if (!csrfResult.valid) {
       // Log but don't block yet (gradual rollout)
@@ -219,145 +443,644 @@ export default async function handler(req, res) {
     }
   }
   
-  if (!paymentTx) {
+  // Sold-out pieces never get a quote. A buyer who already broadcast a transfer
+  // is still verified below so the payment is recorded for refund.
+  if (!isSecondary && edition.soldOut && !paymentTx) {
+    return sendError(res, 'SOLD_OUT', `All ${edition.size} editions of "${pieceTitle}" have been sold`);
+  }
+  
+  // Pieces being auctioned are only sold through the auction
+  if (!isSecondary && !paymentTx && submission && await getOpenAuction(submission.id)) {
+    return sendError(res, 'AUCTION_IN_PROGRESS', `"${pieceTitle}" is being sold by auction: see /api/auctions?piece=${id}`);
+  }
+  
+  // New pieces can open to the artist's patrons first
+  if (!isSecondary && !paymentTx && !(await hasEarlyAccess(submission, normalizedBuyer))) {
+    return sendError(res, 'PATRON_EARLY_ACCESS', `"${pieceTitle}" is open to ${artistUsername}'s patrons until ${submission.patron_only_until}: see /api/patronage?artist=${encodeURIComponent(artistUsername)}`);
+  }
+  
+  if (!paymentTx && !signedPayment) {
     // Return 402 with payment requirements
     // Get artist wallet for direct payment option
     const artistWallet = await getArtistWallet(artistUsername);
+    paymentRequirements.extra.artistWallet = artistWallet;
+    
+    // Lock this price: pay it and send the quote back as X-Quote
+    const quote = issueQuote({ ...quoteTarget, basePrice, totalPrice });
+    if (!quote) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Price quotes are not configured on this server');
+    }
+    for (const option of accepts) {
+      option.extra.quoteId = quote.id;
+    }
     
     return res.status(402).json({
-      x402Version: 1,
-      accepts: [{
-        scheme: 'exact',
-        network: NETWORK_CAIP2,
-        maxAmountRequired: priceDisplay,
-        resource: `/api/buy?id=${encodeURIComponent(id)}&buyer=${encodeURIComponent(normalizedBuyer)}`,
-        description: `Purchase "${pieceTitle}" by ${artistUsername}`,
-        mimeType: 'application/json',
-        payTo: PAY_TO,
-        maxTimeoutSeconds: 60,
-        extra: { 
-          pieceId: id, 
-          artist: artistUsername,
-          artistWallet: artistWallet,
-          artistShare: '100%',
-          protocolFee: `${PROTOCOL_FEE_PERCENT * 100}%`,
-          feeNote: 'Protocol fee used to buy & burn $PHOS'
-        }
-      }],
+      x402Version: X402_VERSION,
+      accepts,
+      quote,
       piece: {
         id,
         title: pieceTitle,
         artist: artistUsername,
         basePrice: `$${basePrice.toFixed(2)}`,
         protocolFee: `$${protocolFee.toFixed(4)}`,
-        totalPrice: priceDisplay
+        totalPrice: priceDisplay,
+        saleType,
+        edition: {
+          size: edition.size,
+          sold: edition.sold,
+          remaining: edition.remaining,
+          label: edition.label
+        }
       },
+      listing: isSecondary ? {
+        id: listing.id,
+        edition: formatEdition(listing.edition_number, edition.size),
+        seller: {
+          username: listing.seller_username,
+          wallet: listing.seller_wallet
+        },
+        price: basePrice,
+        artistRoyalty: resaleSplit.royalty,
+        sellerProceeds: resaleSplit.sellerProceeds
+      } : undefined,
+      payer: normalizedPayer,
+      // A broadcast transfer from another wallet than the buyer's must be
+      // signed over to this sale by the payer (X-Payer-Signature)
+      payerMessageToSign: normalizedPayer !== normalizedBuyer && !solanaPayerHeader
+        ? buildPayerMessage({ txHash: '<txHash>', buyer: normalizedBuyer, recipient: collector.wallet, target: giftTarget })
+        : undefined,
+      gift: isGift ? {
+        recipient: collector,
+        message: gift.message,
+        signed: !!gift.signer,
+        // Sign this with the buyer or payer wallet and send it as gift_signature
+        messageToSign: gift.message && !gift.signer
+          ? buildGiftMessage({ target: giftTarget, recipient: collector.wallet, message: gift.message })
+          : undefined
+      } : undefined,
       error: 'Payment required to purchase this artwork'
     });
   }
   
-  // Payment received - VERIFY ON-CHAIN before processing
-  try {
-    // Verify the payment transaction on-chain (verify total price including fee)
-    const paymentVerification = await verifyPurchasePayment(
-      paymentTx, 
-      normalizedBuyer, 
-      totalPrice
-    );
+  // Editions (primary) and listings (secondary) are reserved before funds
+  // move, so two buyers can never pay for the same thing.
+  let ownership = null;
+  
+  async function reserveSale() {
+    if (isSecondary) {
+      const reserved = await reserveListing(listing.id, collector.wallet);
+      if (!reserved) {
+        return { success: false, unavailable: true, code: 'LISTING_UNAVAILABLE' };
+      }
+      // The edition may have left the seller since the listing was read
+      if (!(await verifyListingOwnership(listing))) {
+        return { success: false, unavailable: true, code: 'LISTING_UNAVAILABLE' };
+      }
+      return { success: true };
+    }
     
-    if (!paymentVerification.valid) {
-      // Log failed payment attempt
-      await auditLog('PAYMENT_VERIFICATION_FAILED', {
-        txHash: paymentTx,
-        buyer: normalizedBuyer,
-        pieceId: id,
-        expectedAmount: totalPrice,
-        error: paymentVerification.error,
-        ip: clientIP
-      });
-      
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'PAYMENT_INVALID',
-          message: paymentVerification.error || 'Payment verification failed'
-        }
-      });
+    if (!submission) {
+      return { success: true };
     }
     
-    // Get artist wallet and buyer username in parallel for better performance
-    const [artistWallet, buyerUsername] = await Promise.all([
-      getArtistWallet(artistUsername),
-      getBuyerUsername(normalizedBuyer)
-    ]);
+    if (await getOpenAuction(submission.id)) {
+      return { success: false, unavailable: true, code: 'AUCTION_IN_PROGRESS' };
+    }
+    
+    if (!(await hasEarlyAccess(submission, normalizedBuyer))) {
+      return { success: false, unavailable: true, code: 'PATRON_EARLY_ACCESS' };
+    }
+    
+    const editionClaim = await claimEdition({ submissionId: submission.id, wallet: collector.wallet });
+    if (editionClaim.success) {
+      ownership = editionClaim.ownership;
+    }
+    return { ...editionClaim, unavailable: !!editionClaim.soldOut, code: 'SOLD_OUT' };
+  }
+  
+  async function releaseSale() {
+    if (isSecondary) {
+      await releaseListing(listing.id);
+    } else if (ownership) {
+      await releaseEdition(ownership.id);
+    }
+  }
+  
+  // Funds already moved but the sale can't be assigned: record the tx
+  // (prevents replay) and flag it for refund
+  async function recordForRefund(reservation) {
+    const refundRecord = {
+      submission_id: submission?.id || null,
+      amount_usdc: totalPrice,
+      base_price: basePrice,
+      protocol_fee: protocolFee,
+      network: paymentNetwork,
+      payment_chain: paymentChain,
+      payment_method: paymentMethod,
+      sale_type: saleType,
+      listing_id: listing?.id || null,
+      piece_title: pieceTitle,
+      seller_username: isSecondary ? listing.seller_username : artistUsername,
+      buyer_wallet: collector.wallet,
+      payer_wallet: payerWallet,
+      status: 'failed',
+      verified_on_chain: true
+    };
+    if (claimedPurchase) {
+      await updatePurchase(claimedPurchase.id, refundRecord);
+    } else {
+      await recordPurchase({ ...refundRecord, tx_hash: paymentTx });
+    }
+    await auditLog('SALE_UNAVAILABLE_AFTER_PAYMENT', {
+      txHash: paymentTx,
+      chain: paymentChain,
+      buyer: normalizedBuyer,
+      payer: payerWallet,
+      pieceId: id,
+      listingId: listing?.id,
+      amount: totalPrice,
+      unavailable: !!reservation.unavailable,
+      ip: clientIP
+    });
     
-    let payoutTxHash = null;
-    let artistPayout = 0;
+    return sendError(
+      res,
+      reservation.unavailable ? reservation.code : 'INTERNAL_ERROR',
+      `"${pieceTitle}" could not be assigned ${isGift ? 'to the recipient' : 'to you'}. Payment ${paymentTx} has been recorded for refund.`
+    );
+  }
+  
+  // Payment received - VERIFY before processing
+  let paymentMethod = 'transfer';
+  let paymentChain = 'base';
+  let paymentNetwork = NETWORK_ID;
+  let payerWallet = normalizedPayer;
+  // Purchase row that claimed a broadcast tx hash, filled in once the sale goes through
+  let claimedPurchase = null;
+  
+  try {
+    // Depth of a broadcast transfer; short of its tier the sale is held
+    let confirmation = null;
+    // Claimed Solana signature, marked used once the purchase is recorded
+    let solanaClaim = null;
     
-    // Try to pay artist (but don't fail if this doesn't work)
-    // Artist gets 100% of base price (fee is kept for $PHOS burns)
-    if (artistWallet && artistWallet !== PAY_TO && process.env.CDP_API_KEY_ID && process.env.CDP_API_KEY_SECRET) {
-      artistPayout = basePrice * ARTIST_SHARE;
+    if (signedPayment) {
+      // Signed authorization: verify, claim the nonce, then settle via facilitator
+      const facilitator = getFacilitator();
+      const verification = await facilitator.verify(signedPayment, paymentRequirements);
+      
+      if (verification.isValid && verification.payer !== normalizedPayer) {
+        verification.isValid = false;
+        verification.invalidReason = 'payer_mismatch';
+      }
       
-      try {
-        // Initialize wallet for artist payout
-        Coinbase.configure({
-          apiKeyName: process.env.CDP_API_KEY_ID,
-          privateKey: process.env.CDP_API_KEY_SECRET.replace(/\\n/g, '\n')
+      if (!verification.isValid) {
+        await auditLog('PAYMENT_VERIFICATION_FAILED', {
+          scheme: 'exact',
+          facilitator: facilitator.name,
+          buyer: normalizedBuyer,
+          payer: verification.payer,
+          pieceId: id,
+          expectedAmount: totalPrice,
+          error: verification.invalidReason,
+          ip: clientIP
         });
         
-        const wallet = await Wallet.import({
-          walletId: process.env.MINTER_WALLET_ID,
-          seed: process.env.MINTER_SEED,
-          networkId: NETWORK_ID
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          accepts,
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: `Payment authorization rejected: ${verification.invalidReason}`
+          }
+        });
+      }
+      
+      const claim = await claimAuthorization(signedPayment, {
+        resource,
+        piece_id: id,
+        amount_usdc: totalPrice,
+        facilitator: facilitator.name
+      });
+      
+      if (!claim.success) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'PAYMENT_INVALID', message: claim.error }
+        });
+      }
+      
+      // Reserve the edition or listing before any funds move
+      const reservation = await reserveSale();
+      
+      if (!reservation.success) {
+        await updateAuthorization(claim.record.id, {
+          status: 'failed',
+          error: reservation.unavailable ? reservation.code.toLowerCase() : 'reservation_failed'
+        });
+        return reservation.unavailable
+          ? sendError(res, reservation.code)
+          : serverError(res, reservation.error);
+      }
+      
+      const settlement = await facilitator.settle(signedPayment, paymentRequirements);
+      // Broadcast but not confirmed in time: it may still land, so the
+      // reservation is kept and the sale recorded pending_confirmation
+      const unconfirmed = settlement.unconfirmed && isValidTxHash(settlement.transaction);
+      
+      if (!unconfirmed && (!settlement.success || !isValidTxHash(settlement.transaction))) {
+        await releaseSale();
+        await updateAuthorization(claim.record.id, {
+          status: 'failed',
+          error: settlement.errorReason || 'settlement_failed'
+        });
+        await auditLog('PAYMENT_SETTLEMENT_FAILED', {
+          facilitator: facilitator.name,
+          buyer: normalizedBuyer,
+          pieceId: id,
+          error: settlement.errorReason,
+          ip: clientIP
         });
         
-        const payoutTransfer = await wallet.createTransfer({
-          amount: artistPayout,
-          assetId: 'usdc',
-          destination: artistWallet,
-          gasless: false
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          accepts,
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: `Payment settlement failed: ${settlement.errorReason || 'unknown error'}`
+          }
+        });
+      }
+      
+      await updateAuthorization(claim.record.id, {
+        status: unconfirmed ? 'settled_unconfirmed' : 'settled',
+        tx_hash: settlement.transaction.toLowerCase(),
+        ...(unconfirmed ? { error: settlement.errorReason } : {})
+      });
+      
+      paymentTx = settlement.transaction;
+      paymentMethod = 'x402_authorization';
+      res.setHeader('X-PAYMENT-RESPONSE', encodePaymentResponse(settlement));
+      if (unconfirmed) {
+        confirmation = {
+          confirmed: false,
+          confirmations: 0,
+          requiredConfirmations: getRequiredConfirmations(totalPrice),
+          blockNumber: null,
+          blockHash: null
+        };
+      }
+    } else if (solanaSignature) {
+      // SPL USDC on Solana: only the buyer's registered Solana wallet pays. A
+      // deposit to the treasury names no buyer, so one from any other wallet
+      // could be claimed by whoever submits its signature first
+      paymentMethod = 'solana_transfer';
+      paymentChain = 'solana';
+      paymentNetwork = SOLANA_NETWORK;
+      payerWallet = await getAgentSolanaWallet(normalizedBuyer);
+      
+      if (!payerWallet) {
+        return badRequest(res, 'Register the Solana wallet you pay from via /api/agents/register-solana');
+      }
+      
+      if (payerHeader && payerHeader !== payerWallet && normalizedPayer !== normalizedBuyer) {
+        return badRequest(res, "Solana payments must come from the buyer's registered Solana wallet");
+      }
+      
+      const paymentVerification = await verifySolanaPayment(solanaSignature, {
+        payer: payerWallet,
+        amount: totalPrice
+      });
+      
+      if (!paymentVerification.valid) {
+        await auditLog('PAYMENT_VERIFICATION_FAILED', {
+          txHash: solanaSignature,
+          chain: paymentChain,
+          buyer: normalizedBuyer,
+          payer: payerWallet,
+          pieceId: id,
+          expectedAmount: totalPrice,
+          error: paymentVerification.error,
+          ip: clientIP
         });
         
-        await payoutTransfer.wait();
-        payoutTxHash = payoutTransfer.getTransactionHash();
-      } catch (payoutErr) {
-        console.error('Artist payout failed:', payoutErr.message);
-        artistPayout = 0; // Reset since payout failed
-        // Continue without payout - we got the payment, record it anyway
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: paymentVerification.error || 'Payment verification failed'
+          }
+        });
       }
+      
+      const claim = await claimSolanaPayment(solanaSignature, {
+        payer: payerWallet,
+        amount_usdc: totalPrice,
+        slot: paymentVerification.details.slot,
+        resource,
+        piece_id: id
+      });
+      
+      if (!claim.success) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'PAYMENT_INVALID', message: claim.error }
+        });
+      }
+      solanaClaim = claim.record;
+      
+      const reservation = await reserveSale();
+      
+      if (!reservation.success) {
+        await updateSolanaPayment(solanaClaim.id, { status: 'refund_due' });
+        return await recordForRefund(reservation);
+      }
+    } else {
+      // The transfer only proves who sent it: from another wallet than the
+      // buyer's, the payer must sign which sale it pays for, or anyone who
+      // saw it on-chain could claim it for themselves
+      if (normalizedPayer !== normalizedBuyer) {
+        const payerAuthorization = validatePayerSignature({
+          signature: req.headers['x-payer-signature'],
+          payer: normalizedPayer,
+          txHash: paymentTx,
+          buyer: normalizedBuyer,
+          recipient: collector.wallet,
+          target: giftTarget
+        });
+        if (!payerAuthorization.valid) {
+          await auditLog('PAYER_SIGNATURE_REJECTED', {
+            txHash: paymentTx,
+            buyer: normalizedBuyer,
+            payer: normalizedPayer,
+            pieceId: id,
+            listingId: listing?.id,
+            error: payerAuthorization.error,
+            ip: clientIP
+          });
+          return badRequest(res, payerAuthorization.error);
+        }
+      }
+      
+      // Verify the payment transaction on-chain (verify total price including fee)
+      const paymentVerification = await verifyPurchasePayment(
+        paymentTx, 
+        normalizedPayer, 
+        totalPrice,
+        { allowPending: true }
+      );
+      
+      if (!paymentVerification.valid) {
+        // Log failed payment attempt
+        await auditLog('PAYMENT_VERIFICATION_FAILED', {
+          txHash: paymentTx,
+          buyer: normalizedBuyer,
+          payer: normalizedPayer,
+          pieceId: id,
+          expectedAmount: totalPrice,
+          error: paymentVerification.error,
+          ip: clientIP
+        });
+        
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: paymentVerification.error || 'Payment verification failed'
+          }
+        });
+      }
+      
+      confirmation = paymentVerification.details;
+      
+      // Claim the tx before reserving anything: the purchase row's tx_hash is
+      // unique, so of two submissions of one payment only the first gets on
+      const txClaim = await claimTransactionAtomic(paymentTx, {
+        submission_id: submission?.id || null,
+        amount_usdc: totalPrice,
+        base_price: basePrice,
+        protocol_fee: protocolFee,
+        network: paymentNetwork,
+        payment_chain: paymentChain,
+        payment_method: paymentMethod,
+        sale_type: saleType,
+        listing_id: listing?.id || null,
+        piece_title: pieceTitle,
+        seller_username: isSecondary ? listing.seller_username : artistUsername,
+        buyer_wallet: collector.wallet,
+        payer_wallet: payerWallet,
+        status: 'pending',
+        verified_on_chain: true
+      });
+      
+      if (!txClaim.success) {
+        await auditLog('PAYMENT_CLAIM_FAILED', {
+          txHash: paymentTx,
+          buyer: normalizedBuyer,
+          pieceId: id,
+          listingId: listing?.id,
+          error: txClaim.error,
+          ip: clientIP
+        });
+        return res.status(409).json({
+          success: false,
+          error: { code: 'PAYMENT_INVALID', message: txClaim.error }
+        });
+      }
+      claimedPurchase = txClaim.purchase;
+      // Payouts and transfers are keyed by the hash as stored (lowercase)
+      paymentTx = claimedPurchase.tx_hash;
+      
+      const reservation = await reserveSale();
+      
+      if (!reservation.success) {
+        return await recordForRefund(reservation);
+      }
+    }
+    
+    // Get artist wallet and buyer username in parallel for better performance
+    const [artistWallet, buyerUsername] = await Promise.all([
+      getArtistWallet(artistUsername),
+      getBuyerUsername(normalizedBuyer)
+    ]);
+    if (!isGift) {
+      collector.username = buyerUsername;
     }
     
-    // Record the purchase (always do this, even if payout failed)
-    await recordPurchase({
+    // Not deep enough yet: the sale is recorded, but payouts, the token and
+    // the receipt wait for the confirmation job
+    const pendingConfirmation = confirmation?.confirmed === false;
+    
+    // Record the purchase (always do this, payouts are owed through the ledger)
+    const purchaseRecord = {
       submission_id: submission?.id || null,
-      tx_hash: paymentTx,
-      payout_tx_hash: payoutTxHash,
+      payout_tx_hash: null,
       amount_usdc: totalPrice,
       base_price: basePrice,
       protocol_fee: protocolFee,
-      artist_payout: artistPayout,
-      network: NETWORK_ID,
+      artist_payout: 0,
+      network: paymentNetwork,
+      payment_chain: paymentChain,
+      payment_method: paymentMethod,
+      sale_type: saleType,
+      listing_id: listing?.id || null,
       piece_title: pieceTitle,
-      buyer_username: buyerUsername,
-      seller_username: artistUsername,
-      buyer_wallet: normalizedBuyer,
-      seller_wallet: artistWallet || PAY_TO,
-      status: 'completed',
+      buyer_username: collector.username,
+      seller_username: isSecondary ? listing.seller_username : artistUsername,
+      buyer_wallet: collector.wallet,
+      payer_wallet: payerWallet,
+      gift_from_wallet: isGift ? normalizedBuyer : null,
+      gift_from_username: isGift ? buyerUsername : null,
+      gift_message: gift.message,
+      gift_signature: gift.signature,
+      gift_signer: gift.signer,
+      seller_wallet: isSecondary ? listing.seller_wallet : (artistWallet || PAY_TO),
+      artist_username: artistUsername,
+      artist_wallet: artistWallet || null,
+      royalty_percent: isSecondary ? royaltyPercent : null,
+      royalty_amount: isSecondary ? resaleSplit.royalty : null,
+      seller_payout: isSecondary ? 0 : null,
+      seller_payout_tx_hash: null,
+      edition_number: ownership?.edition_number || listing?.edition_number || null,
+      edition_size: edition.size,
+      status: pendingConfirmation ? 'pending_confirmation' : 'completed',
+      block_number: confirmation?.blockNumber ?? null,
+      block_hash: confirmation?.blockHash ?? null,
+      confirmations: confirmation?.confirmations ?? null,
+      required_confirmations: confirmation ? String(confirmation.requiredConfirmations) : null,
+      confirmed_at: pendingConfirmation ? null : new Date().toISOString(),
+      // Solana payments are only accepted once finalized
+      finalized_at: solanaClaim ? new Date().toISOString() : null,
       verified_on_chain: true // Mark as verified
+    };
+    const purchase = claimedPurchase
+      ? await updatePurchase(claimedPurchase.id, purchaseRecord)
+      : await recordPurchase({ ...purchaseRecord, tx_hash: paymentTx });
+    
+    // Without a purchase row nothing may be handed over: the payment is
+    // already claimed (no replay), so give the edition back and flag it
+    if (!purchase) {
+      await releaseSale();
+      if (solanaClaim) {
+        await updateSolanaPayment(solanaClaim.id, { status: 'refund_due' });
+      }
+      await auditLog('PURCHASE_RECORD_FAILED', {
+        txHash: paymentTx,
+        chain: paymentChain,
+        buyer: normalizedBuyer,
+        payer: payerWallet,
+        pieceId: id,
+        listingId: listing?.id,
+        amount: totalPrice,
+        ip: clientIP
+      });
+      return serverError(res, `The purchase could not be recorded. Payment ${paymentTx} has been logged for refund.`);
+    }
+    
+    if (solanaClaim) {
+      await updateSolanaPayment(solanaClaim.id, { status: 'used', purchase_id: purchase.id });
+    }
+    
+    // Owe the payouts and try them now; failed transfers are retried by the
+    // payout worker instead of being dropped.
+    // Primary: artist gets 100% of base price (fee is kept for $PHOS burns)
+    // Secondary: artist gets the royalty, the reselling collector the rest
+    // Collaborative pieces split the artist side between confirmed co-artists
+    const artistRole = isSecondary ? 'royalty' : 'artist';
+    const artistAmount = isSecondary ? resaleSplit.royalty : basePrice * ARTIST_SHARE;
+    const payoutEntries = [];
+    
+    if (submission && artistWallet !== PAY_TO) {
+      payoutEntries.push(...await getArtistPayoutEntries({
+        submissionId: submission.id,
+        role: artistRole,
+        amount: artistAmount,
+        lead: { wallet: artistWallet, username: submission.moltbook }
+      }));
+    }
+    if (isSecondary) {
+      payoutEntries.push({
+        role: 'seller',
+        wallet: listing.seller_wallet,
+        username: listing.seller_username,
+        amount: resaleSplit.sellerProceeds
+      });
+    }
+    
+    const payouts = await queueSalePayouts({
+      purchase,
+      saleTxHash: paymentTx,
+      submission: { id: submission?.id, title: pieceTitle },
+      entries: payoutEntries,
+      hold: pendingConfirmation
     });
+    const artistEntry = payouts[artistRole];
+    const payoutTxHash = artistEntry?.status === 'sent' ? artistEntry.tx_hash : null;
+    const artistPayout = payoutTxHash ? parseFloat(artistEntry.amount_usdc) : 0;
+    const payoutSplits = formatPayoutSplits(payouts.entries, payoutEntries);
+    const sellerPayoutTxHash = payouts.seller?.status === 'sent' ? payouts.seller.tx_hash : null;
+    const sellerPayout = sellerPayoutTxHash ? resaleSplit.sellerProceeds : 0;
     
-    // Mark the submission as collected
-    await markAsCollected(submission?.id, normalizedBuyer, buyerUsername);
+    if (isSecondary) {
+      await completeListing(listing, {
+        purchaseId: purchase.id,
+        buyerWallet: collector.wallet,
+        buyerUsername: collector.username,
+        txHash: paymentTx
+      });
+    } else if (ownership) {
+      await confirmEdition(ownership.id, {
+        purchaseId: purchase.id,
+        txHash: paymentTx,
+        username: collector.username
+      });
+    }
+    
+    // Deliver the edition's token to the collector (retried if it can't go out now)
+    const nftTransfer = await queueTransfer({
+      purchase,
+      saleTxHash: paymentTx,
+      submission: { id: submission?.id, title: pieceTitle },
+      ownershipId: isSecondary ? listing.ownership_id : ownership?.id,
+      buyer: collector,
+      hold: pendingConfirmation
+    });
+    
+    // A 1/1 has a single collector; editions are tracked in piece_ownerships
+    if (edition.size === 1) {
+      await markAsCollected(submission?.id, collector.wallet, collector.username);
+    }
+    
+    // Platform-signed receipt the collector can verify offline (once confirmed)
+    const receipt = await issueReceipt(purchase);
+    
+    const editionNumber = ownership?.edition_number || listing?.edition_number || null;
+    
+    if (isGift) {
+      await notifyGiftRecipient({
+        recipient: collector,
+        sender: { wallet: normalizedBuyer, username: buyerUsername },
+        piece: { id, title: pieceTitle, artist: artistUsername },
+        edition: editionNumber ? formatEdition(editionNumber, edition.size) : null,
+        gift,
+        purchaseId: purchase.id,
+        txHash: paymentTx
+      });
+    }
     
     // Process bounty rewards (async, don't block response)
     let bountyResults = null;
     try {
-      if (artistWallet && artistWallet !== PAY_TO) {
+      const sellerWallet = isSecondary ? listing.seller_wallet : artistWallet;
+      if (sellerWallet && sellerWallet !== PAY_TO && !pendingConfirmation) {
         bountyResults = await handleSaleBounties(
-          artistWallet,
+          sellerWallet,
           normalizedBuyer,
-          submission?.id
+          submission?.id,
+          { saleType }
         );
         
         // Log bounty events
@@ -377,52 +1100,117 @@ export default async function handler(req, res) {
     }
     
     // Log successful purchase
-    await auditLog('PURCHASE_COMPLETED', {
+    await auditLog(pendingConfirmation ? 'PURCHASE_PENDING_CONFIRMATION' : 'PURCHASE_COMPLETED', {
       pieceId: id,
       pieceTitle,
       buyer: normalizedBuyer,
       buyerUsername,
+      payer: payerWallet,
+      chain: paymentChain,
+      recipient: isGift ? collector.wallet : undefined,
       artist: artistUsername,
+      saleType,
+      listingId: listing?.id,
+      seller: isSecondary ? listing.seller_wallet : undefined,
+      edition: ownership?.edition_number || listing?.edition_number,
       txHash: paymentTx,
       amount: totalPrice,
+      confirmations: confirmation ? `${confirmation.confirmations}/${confirmation.requiredConfirmations}` : undefined,
       ip: clientIP
     });
     
-    // Return success
-    return res.status(200).json({
+    // Return success (202 while the payment is still confirming)
+    return res.status(pendingConfirmation ? 202 : 200).json({
       success: true,
-      message: `You collected "${pieceTitle}" by ${artistUsername}!`,
+      status: pendingConfirmation ? 'pending_confirmation' : 'completed',
+      message: isGift
+        ? `You gifted "${pieceTitle}" by ${artistUsername} to ${collector.username || collector.wallet}!`
+        : `You collected "${pieceTitle}" by ${artistUsername}!`,
       piece: {
         id,
         title: pieceTitle,
         artist: artistUsername,
-        status: 'collected'
+        status: 'collected',
+        edition: editionNumber ? {
+          number: editionNumber,
+          size: edition.size,
+          label: formatEdition(editionNumber, edition.size)
+        } : null
       },
+      sale: isSecondary ? {
+        type: saleType,
+        listingId: listing.id,
+        seller: {
+          username: listing.seller_username,
+          wallet: listing.seller_wallet
+        },
+        royaltyPercent,
+        royalty: resaleSplit.royalty,
+        sellerProceeds: resaleSplit.sellerProceeds,
+        sellerPayout: sellerPayoutTxHash ? {
+          txHash: sellerPayoutTxHash,
+          amount: sellerPayout,
+          explorer: `${BLOCK_EXPLORER}/tx/${sellerPayoutTxHash}`
+        } : null
+      } : { type: saleType },
       collector: {
-        username: buyerUsername,
-        wallet: normalizedBuyer
+        username: collector.username,
+        wallet: collector.wallet
       },
+      gift: isGift ? {
+        from: {
+          username: buyerUsername,
+          wallet: normalizedBuyer
+        },
+        message: gift.message,
+        signedBy: gift.signer
+      } : null,
       payment: {
         txHash: paymentTx,
+        chain: paymentChain,
+        network: paymentNetwork,
+        payer: payerWallet,
         total: totalPrice,
         basePrice: basePrice,
         protocolFee: protocolFee,
         currency: 'USDC',
+        method: paymentMethod,
         verified: true,
-        explorer: `${BLOCK_EXPLORER}/tx/${paymentTx}`,
+        confirmations: confirmation ? {
+          current: confirmation.confirmations,
+          required: confirmation.requiredConfirmations,
+          confirmed: confirmation.confirmed,
+          note: pendingConfirmation
+            ? 'Payouts, the token transfer and the receipt follow once the payment is confirmed'
+            : undefined
+        } : undefined,
+        explorer: solanaClaim ? getSolanaExplorerUrl(paymentTx) : `${BLOCK_EXPLORER}/tx/${paymentTx}`,
         feeNote: 'Protocol fee will be used to buy & burn $PHOS'
       },
       artistPayout: payoutTxHash ? {
         txHash: payoutTxHash,
         amount: artistPayout,
         recipient: artistWallet,
-        explorer: `${BLOCK_EXPLORER}/tx/${payoutTxHash}`
+        explorer: `${BLOCK_EXPLORER}/tx/${payoutTxHash}`,
+        splits: payoutSplits || undefined
+      } : artistEntry ? {
+        status: artistEntry.status,
+        amount: parseFloat(artistEntry.amount_usdc),
+        recipient: artistWallet,
+        note: 'Payout is owed and will be retried automatically',
+        splits: payoutSplits || undefined
+      } : null,
+      nft: nftTransfer ? {
+        ...formatTransfer(nftTransfer),
+        explorer: nftTransfer.tx_hash ? `${BLOCK_EXPLORER}/tx/${nftTransfer.tx_hash}` : null,
+        note: nftTransfer.status === 'pending' ? 'Token transfer will be retried automatically' : undefined
       } : null,
+      receipt: receipt ? formatReceipt(receipt) : null,
       bounties: bountyResults && (bountyResults.seller.length > 0 || bountyResults.referrer.length > 0) ? {
         seller: bountyResults.seller.length > 0 ? {
           events: bountyResults.seller,
           total_phos: bountyResults.seller.reduce((sum, b) => sum + b.amount, 0),
-          message: `🎁 ${artistUsername} earned bounty rewards!`
+          message: `🎁 ${isSecondary ? (listing.seller_username || 'Seller') : artistUsername} earned bounty rewards!`
         } : null,
         referrer: bountyResults.referrer.length > 0 ? {
           events: bountyResults.referrer,
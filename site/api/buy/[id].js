@@ -8,6 +8,10 @@
  * Includes post-purchase engagement: suggests similar pieces!
  */
 
+import { getPiecePrice } from '../_lib/pricing.js';
+import { usdcToAtomic } from '../_lib/x402.js';
+import { getEditionInfo, claimEdition, confirmEdition, releaseEdition, formatEdition } from '../_lib/editions.js';
+
 // Network configuration (mainnet-ready)
 const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
 const NETWORK_NAME = IS_MAINNET ? 'base' : 'base-sepolia';
@@ -24,9 +28,6 @@ const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_AN
 // Fallback wallet (platform wallet for unregistered artists)
 const PLATFORM_WALLET = process.env.PLATFORM_WALLET || '0x797F74794f0F5b17d579Bd40234DAc3eb9f78fd5';
 
-// Piece pricing (in USDC, 6 decimals)
-const PRICE_DEFAULT = '100000'; // 0.10 USDC
-
 async function supabaseQuery(path) {
   const res = await fetch(`${SUPABASE_URL}${path}`, {
     headers: { 'apikey': SUPABASE_KEY }
@@ -65,7 +66,7 @@ async function supabaseUpdate(path, data) {
 
 async function getSubmission(id) {
   const data = await supabaseQuery(
-    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,description,preview_url`
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,description,preview_url,price_usdc,edition_size,editions_sold`
   );
   return data[0] || null;
 }
@@ -118,10 +119,12 @@ async function getSimilarPieces(artistName, excludeId, buyerWallet) {
 async function recordPurchase(data) {
   try {
     const res = await supabasePost('/rest/v1/purchases', data);
-    return res.ok;
+    if (!res.ok) return null;
+    const [created] = await res.json();
+    return created || null;
   } catch (e) {
     console.error('Failed to record purchase:', e);
-    return false;
+    return null;
   }
 }
 
@@ -166,12 +169,22 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Piece not available for purchase' });
   }
   
+  const edition = getEditionInfo(submission);
+  if (edition.soldOut) {
+    return res.status(410).json({
+      error: 'Sold out',
+      code: 'SOLD_OUT',
+      message: `All ${edition.size} editions of "${submission.title}" have been sold`
+    });
+  }
+  
   // Get artist wallet
   const artist = await getArtistWallet(submission.moltbook);
   const payTo = artist?.wallet || PLATFORM_WALLET;
   const artistName = artist?.name || submission.moltbook;
   
-  const price = PRICE_DEFAULT;
+  // Live artist-set price (in USDC, 6 decimals)
+  const price = usdcToAtomic(getPiecePrice(submission)).toString();
   const priceUSDC = (parseInt(price) / 1e6).toFixed(2);
   
   // Check for payment proof in header
@@ -205,7 +218,13 @@ export default async function handler(req, res) {
         artistWallet: payTo,
         preview: submission.preview_url,
         price: `${priceUSDC} USDC`,
-        network: NETWORK_DISPLAY
+        network: NETWORK_DISPLAY,
+        edition: {
+          size: edition.size,
+          sold: edition.sold,
+          remaining: edition.remaining,
+          label: edition.label
+        }
       },
       alsoAvailable: similar.length > 0 ? {
         message: `Like this style? Check out these pieces too:`,
@@ -234,12 +253,31 @@ export default async function handler(req, res) {
       return res.status(402).json({ error: 'Invalid payment proof - missing or invalid txHash' });
     }
     
-    // Get buyer info
+    // Get buyer info (edition ownership needs a wallet)
     const buyerWallet = buyer?.toLowerCase();
-    const buyerInfo = buyerWallet ? await getBuyerInfo(buyerWallet) : null;
+    if (!buyerWallet || !/^0x[a-f0-9]{40}$/.test(buyerWallet)) {
+      return res.status(400).json({ error: 'Missing or invalid buyer wallet' });
+    }
+    const buyerInfo = await getBuyerInfo(buyerWallet);
+    
+    // Claim the next edition number atomically
+    const editionClaim = await claimEdition({
+      submissionId: submission.id,
+      wallet: buyerWallet,
+      username: buyerInfo?.username
+    });
+    
+    if (!editionClaim.success) {
+      return res.status(editionClaim.soldOut ? 410 : 500).json({
+        error: editionClaim.soldOut ? 'Sold out' : 'Could not assign edition',
+        code: editionClaim.soldOut ? 'SOLD_OUT' : 'INTERNAL_ERROR'
+      });
+    }
+    
+    const ownership = editionClaim.ownership;
     
     // Record purchase
-    await recordPurchase({
+    const purchase = await recordPurchase({
       submission_id: submission.id,
       piece_title: submission.title,
       buyer_wallet: buyerWallet,
@@ -247,12 +285,26 @@ export default async function handler(req, res) {
       seller_wallet: payTo,
       seller_username: submission.moltbook,
       seller_id: artist?.id,
-      amount_usdc: priceUSDC,
+      amount_usdc: parseInt(price) / 1e6,
       tx_hash: txHash,
       network: NETWORK_NAME,
+      edition_number: ownership.edition_number,
+      edition_size: edition.size,
       status: 'completed'
     });
     
+    // tx_hash is unique: a replayed or concurrent submission of the same
+    // payment fails here and must not keep the edition it claimed
+    if (!purchase) {
+      await releaseEdition(ownership.id);
+      return res.status(409).json({
+        error: 'Payment already used or could not be recorded',
+        code: 'PAYMENT_INVALID'
+      });
+    }
+    
+    await confirmEdition(ownership.id, { purchaseId: purchase.id, txHash });
+    
     // Update collector's collected_count
     if (buyerInfo) {
       await supabaseUpdate(
@@ -306,6 +358,7 @@ export default async function handler(req, res) {
         price: `${priceUSDC} USDC`,
         network: NETWORK_DISPLAY,
         status: 'collected',
+        edition: formatEdition(ownership.edition_number, edition.size),
         viewUrl: `https://phosphors.xyz/art/${submission.title.toLowerCase().replace(/[^a-z0-9]/g, '-')}.html`
       },
       collector: buyerInfo ? {
@@ -0,0 +1,538 @@
+/**
+ * /api/cart
+ *
+ * Buy several pieces with one USDC payment. Every line is recorded as its
+ * own purchase with its own payouts and NFT delivery; if any piece sold out
+ * meanwhile, nothing is bought and a broadcast payment is refunded in full.
+ *
+ * POST /api/cart  { "buyer": "0x...", "items": ["<pieceId>", "<pieceId>"] }
+ *   Without payment: 402 with one aggregated x402 quote and the line items
+ *   With payment: Payment-Signature / X-Payment (signed x402 authorization)
+ *                 or X-Payment-Tx (broadcast USDC transfer of the total)
+ *
+ * GET  /api/cart?id=<cartId>
+ *   A cart's lines, payment and refund status (public)
+ *
+ * POST /api/cart  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY
+ *   Retry cart refunds that failed earlier (scheduler)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import { verifyPurchasePayment, getRequiredConfirmations } from './_lib/payment-verify.js';
+import {
+  handleCors,
+  parseBody,
+  isValidAddress,
+  isValidTxHash,
+  isValidPieceId,
+  isValidUUID,
+  normalizeAddress,
+  badRequest,
+  unauthorized,
+  notFound,
+  serverError,
+  auditLog,
+  isInternal
+} from './_lib/security.js';
+import {
+  buildPaymentRequirements,
+  decodePaymentHeader,
+  encodePaymentResponse,
+  claimAuthorization,
+  updateAuthorization,
+  X402_VERSION
+} from './_lib/x402.js';
+import { getFacilitator } from './_lib/facilitator.js';
+import { PROTOCOL_FEE_PERCENT } from './_lib/pricing.js';
+import { formatEdition, getEditionInfo } from './_lib/editions.js';
+import { formatTransfer } from './_lib/nft-transfers.js';
+import { formatReceipt } from './_lib/receipts.js';
+import { sendError } from './_lib/errors.js';
+import { handleIdempotency } from './_lib/idempotency.js';
+import {
+  MAX_CART_ITEMS,
+  validateCartItems,
+  getCartPieces,
+  quoteCart,
+  findUnavailable,
+  reserveCart,
+  releaseCart,
+  formatCart,
+  getCart,
+  openCart,
+  completeCart,
+  cancelCart,
+  processCartRefunds
+} from './_lib/cart.js';
+
+const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
+const BLOCK_EXPLORER = IS_MAINNET ? 'https://basescan.org' : 'https://sepolia.basescan.org';
+const PAY_TO = process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
+
+async function getAgentWallet(username) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0]?.wallet?.toLowerCase() || null;
+}
+
+async function getBuyerUsername(wallet) {
+  try {
+    const res = await supabaseRequest(
+      `/rest/v1/agents?wallet=ilike.${encodeURIComponent(wallet)}&select=username&limit=1`
+    );
+    if (!res.ok) return null;
+    const rows = await res.json();
+    return rows[0]?.username || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function formatQuote(quote) {
+  return {
+    items: quote.lines.map(line => ({
+      line: line.line,
+      pieceId: line.pieceId,
+      title: line.title,
+      artist: line.artist,
+      basePrice: line.basePrice,
+      protocolFee: line.protocolFee,
+      total: line.total
+    })),
+    baseTotal: quote.baseTotal,
+    protocolFee: quote.protocolFee,
+    total: quote.total,
+    currency: 'USDC'
+  };
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Payment-Signature, Authorization, X-API-Key, X-Payment-Tx, X-Payment, Idempotency-Key'
+  })) {
+    return;
+  }
+
+  // ==================== GET: Cart status ====================
+  if (req.method === 'GET') {
+    const { id } = req.query;
+    if (!id || !isValidUUID(id)) {
+      return badRequest(res, 'Missing or invalid cart id');
+    }
+
+    const cart = await getCart(id);
+    if (!cart) {
+      return notFound(res, 'Cart not found');
+    }
+    return res.status(200).json({ success: true, data: formatCart(cart) });
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  // Retries with the same Idempotency-Key get the first response back
+  if (await handleIdempotency(req, res, 'cart')) {
+    return;
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 8 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== POST: Worker ====================
+  if (body?.action === 'process') {
+    if (!isInternal(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processCartRefunds();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Cart worker error:', e);
+      return serverError(res, 'Failed to process cart refunds');
+    }
+  }
+
+  // ==================== POST: Checkout ====================
+  if (!body?.buyer || !isValidAddress(body.buyer)) {
+    return badRequest(res, 'Missing or invalid buyer address');
+  }
+
+  const itemCheck = validateCartItems(body.items, isValidPieceId);
+  if (!itemCheck.valid) {
+    return badRequest(res, itemCheck.error);
+  }
+
+  const ids = itemCheck.ids;
+  const normalizedBuyer = normalizeAddress(body.buyer);
+
+  const rateCheck = checkRateLimit(`cart:${clientIP}`, RATE_LIMITS.buy);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  try {
+    const pieces = await getCartPieces(ids);
+
+    const missing = ids.filter(id => !pieces.has(id));
+    if (missing.length > 0) {
+      return sendError(res, 'PIECE_NOT_FOUND', `Unknown piece${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+
+    const quote = quoteCart(pieces, ids);
+
+    const resource = `/api/cart?buyer=${encodeURIComponent(normalizedBuyer)}&items=${ids.map(encodeURIComponent).join(',')}`;
+    const paymentRequirements = buildPaymentRequirements({
+      amount: quote.total,
+      resource,
+      description: `Purchase ${ids.length} piece${ids.length > 1 ? 's' : ''} on Phosphors`,
+      payTo: PAY_TO,
+      maxTimeoutSeconds: 60,
+      extra: {
+        saleType: 'primary',
+        items: quote.lines.map(line => ({ pieceId: line.pieceId, total: line.total })),
+        protocolFee: `${PROTOCOL_FEE_PERCENT * 100}%`,
+        feeNote: 'Protocol fee used to buy & burn $PHOS'
+      }
+    });
+
+    const signedPayment = decodePaymentHeader(req.headers['payment-signature'] || req.headers['x-payment']);
+    let paymentTx = req.headers['x-payment-tx'];
+
+    if (paymentTx && !isValidTxHash(paymentTx)) {
+      return res.status(400).json({
+        error: 'Invalid payment transaction hash format',
+        expected: '0x followed by 64 hex characters'
+      });
+    }
+
+    // No quote (or signed settlement) for a cart that can't be filled. A buyer
+    // who already broadcast a transfer is still verified below so it can be refunded.
+    if (!paymentTx) {
+      const unavailable = await findUnavailable(pieces, ids, normalizedBuyer);
+      if (unavailable.length > 0) {
+        return unavailable.every(u => u.reason === 'patrons_only')
+          ? sendError(res, 'PATRON_EARLY_ACCESS', 'Some pieces in this cart are open to their artist\'s patrons only for now', { unavailable })
+          : sendError(res, 'SOLD_OUT', 'Some pieces in this cart are no longer available', { unavailable });
+      }
+    }
+
+    if (!paymentTx && !signedPayment) {
+      const quoteView = formatQuote(quote);
+      return res.status(402).json({
+        x402Version: X402_VERSION,
+        accepts: [paymentRequirements],
+        cart: {
+          ...quoteView,
+          items: quoteView.items.map(item => {
+            const edition = getEditionInfo(pieces.get(item.pieceId));
+            return { ...item, edition: { size: edition.size, remaining: edition.remaining, label: edition.label } };
+          }),
+          maxItems: MAX_CART_ITEMS
+        },
+        error: 'Payment required to purchase this cart'
+      });
+    }
+
+    const buyerUsername = await getBuyerUsername(normalizedBuyer);
+    const buyer = { wallet: normalizedBuyer, username: buyerUsername };
+    let paymentMethod = 'transfer';
+    let cart;
+    let reservation;
+    let confirmation = null;
+
+    if (signedPayment) {
+      // Signed authorization: reserve every piece before any funds move
+      const facilitator = getFacilitator();
+      const verification = await facilitator.verify(signedPayment, paymentRequirements);
+
+      if (verification.isValid && verification.payer !== normalizedBuyer) {
+        verification.isValid = false;
+        verification.invalidReason = 'payer_mismatch';
+      }
+
+      if (!verification.isValid) {
+        await auditLog('PAYMENT_VERIFICATION_FAILED', {
+          scheme: 'exact',
+          facilitator: facilitator.name,
+          buyer: normalizedBuyer,
+          cartItems: ids,
+          expectedAmount: quote.total,
+          error: verification.invalidReason,
+          ip: clientIP
+        });
+
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          accepts: [paymentRequirements],
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: `Payment authorization rejected: ${verification.invalidReason}`
+          }
+        });
+      }
+
+      const claim = await claimAuthorization(signedPayment, {
+        resource,
+        amount_usdc: quote.total,
+        facilitator: facilitator.name
+      });
+
+      if (!claim.success) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'PAYMENT_INVALID', message: claim.error }
+        });
+      }
+
+      reservation = await reserveCart(ids, buyer);
+
+      if (!reservation.success) {
+        await updateAuthorization(claim.record.id, {
+          status: 'failed',
+          error: reservation.unavailable ? 'cart_unavailable' : 'reservation_failed'
+        });
+        if (!reservation.unavailable) {
+          return serverError(res, reservation.error);
+        }
+        const unavailable = await findUnavailable(await getCartPieces(ids), ids, normalizedBuyer);
+        return sendError(res, 'SOLD_OUT', 'Some pieces in this cart are no longer available. No payment was taken.', { unavailable });
+      }
+
+      const settlement = await facilitator.settle(signedPayment, paymentRequirements);
+      // Broadcast but not confirmed in time: it may still land, so the cart
+      // keeps its editions and is recorded pending_confirmation
+      const unconfirmed = settlement.unconfirmed && isValidTxHash(settlement.transaction);
+
+      if (!unconfirmed && (!settlement.success || !isValidTxHash(settlement.transaction))) {
+        await releaseCart(reservation.ownerships);
+        await updateAuthorization(claim.record.id, {
+          status: 'failed',
+          error: settlement.errorReason || 'settlement_failed'
+        });
+        await auditLog('PAYMENT_SETTLEMENT_FAILED', {
+          facilitator: facilitator.name,
+          buyer: normalizedBuyer,
+          cartItems: ids,
+          error: settlement.errorReason,
+          ip: clientIP
+        });
+
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          accepts: [paymentRequirements],
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: `Payment settlement failed: ${settlement.errorReason || 'unknown error'}`
+          }
+        });
+      }
+
+      paymentTx = settlement.transaction.toLowerCase();
+      paymentMethod = 'x402_authorization';
+      await updateAuthorization(claim.record.id, unconfirmed
+        ? { status: 'settled_unconfirmed', tx_hash: paymentTx, error: settlement.errorReason }
+        : { status: 'settled', tx_hash: paymentTx });
+      res.setHeader('X-PAYMENT-RESPONSE', encodePaymentResponse(settlement));
+      if (unconfirmed) {
+        confirmation = { requiredConfirmations: getRequiredConfirmations(quote.total) };
+      }
+
+      const opened = await openCart({ buyer, quote, txHash: paymentTx, paymentMethod });
+      if (!opened.success) {
+        // Funds and editions are already the buyer's: record the lines anyway
+        console.error(`Cart for settled payment ${paymentTx} not recorded:`, opened.error);
+      }
+      cart = opened.cart || { id: null, tx_hash: paymentTx, payment_method: paymentMethod };
+    } else {
+      // Broadcast transfer: verify the full cart total on-chain
+      const paymentVerification = await verifyPurchasePayment(paymentTx, normalizedBuyer, quote.total);
+
+      if (!paymentVerification.valid) {
+        await auditLog('PAYMENT_VERIFICATION_FAILED', {
+          txHash: paymentTx,
+          buyer: normalizedBuyer,
+          cartItems: ids,
+          expectedAmount: quote.total,
+          error: paymentVerification.error,
+          ip: clientIP
+        });
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_INVALID',
+            message: paymentVerification.error || 'Payment verification failed'
+          }
+        });
+      }
+
+      // The cart row claims the transaction, so it can't pay for two carts
+      const opened = await openCart({ buyer, quote, txHash: paymentTx, paymentMethod });
+      if (!opened.success) {
+        if (opened.duplicate) {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'PAYMENT_INVALID', message: opened.error }
+          });
+        }
+        return serverError(res, opened.error);
+      }
+      cart = opened.cart;
+
+      // Patron-only pieces can't be assigned to a transfer from a non-patron
+      const patronsOnly = (await findUnavailable(pieces, ids, normalizedBuyer)).some(u => u.reason === 'patrons_only');
+      reservation = patronsOnly
+        ? { success: false, unavailable: true }
+        : await reserveCart(ids, buyer);
+
+      if (!reservation.success) {
+        // Funds already moved: the whole payment goes back
+        const unavailable = await findUnavailable(await getCartPieces(ids), ids, normalizedBuyer);
+        const cancelled = await cancelCart(cart, unavailable);
+
+        await auditLog('CART_REFUNDED', {
+          cartId: cart.id,
+          txHash: paymentTx,
+          buyer: normalizedBuyer,
+          amount: quote.total,
+          unavailable: unavailable.map(u => u.pieceId),
+          refundTx: cancelled.refund.txHash || null,
+          refundError: cancelled.refund.error || null,
+          ip: clientIP
+        });
+
+        return sendError(
+          res,
+          reservation.unavailable ? 'SOLD_OUT' : 'INTERNAL_ERROR',
+          cancelled.refund.success
+            ? `Your cart could not be filled. ${quote.total} USDC has been refunded.`
+            : `Your cart could not be filled. Payment ${paymentTx} is queued for a full refund.`,
+          { unavailable, cart: formatCart(cancelled.cart) }
+        );
+      }
+    }
+
+    // Every piece is reserved and paid for: record each line as its own sale
+    const artists = [...new Set(quote.lines.map(line => pieces.get(line.pieceId).moltbook).filter(Boolean))];
+    const artistWallets = new Map(await Promise.all(
+      artists.map(async artist => [artist, await getAgentWallet(artist)])
+    ));
+
+    const completed = await completeCart(cart, {
+      quote,
+      pieces,
+      ownerships: reservation.ownerships,
+      artistWallets,
+      buyer,
+      confirmation
+    });
+
+    if (!completed.success) {
+      // Paid for, but not recordable: hand everything back and refund in full
+      const cancelled = await cancelCart(cart, []);
+
+      await auditLog('CART_REFUNDED', {
+        cartId: cart.id,
+        txHash: paymentTx,
+        buyer: normalizedBuyer,
+        amount: quote.total,
+        error: completed.error,
+        refundTx: cancelled.refund.txHash || null,
+        refundError: cancelled.refund.error || null,
+        ip: clientIP
+      });
+
+      return sendError(
+        res,
+        'INTERNAL_ERROR',
+        cancelled.refund.success
+          ? `Your cart could not be recorded. ${quote.total} USDC has been refunded.`
+          : `Your cart could not be recorded. Payment ${paymentTx} is queued for a full refund.`,
+        { cart: cancelled.cart.id ? formatCart(cancelled.cart) : formatQuote(quote) }
+      );
+    }
+
+    await auditLog('CART_COMPLETED', {
+      cartId: cart.id,
+      txHash: paymentTx,
+      buyer: normalizedBuyer,
+      items: ids,
+      amount: quote.total,
+      method: paymentMethod,
+      ip: clientIP
+    });
+
+    return res.status(confirmation ? 202 : 200).json({
+      success: true,
+      status: confirmation ? 'pending_confirmation' : 'completed',
+      message: confirmation
+        ? `Your payment ${paymentTx} was sent but is not confirmed yet. Your pieces are reserved and delivered once it confirms.`
+        : `You collected ${ids.length} piece${ids.length > 1 ? 's' : ''}!`,
+      cart: completed.cart.id ? formatCart(completed.cart) : formatQuote(quote),
+      purchases: completed.lines.map(line => {
+        const edition = getEditionInfo(pieces.get(line.pieceId));
+        const artistEntry = line.payouts?.artist;
+        return {
+          line: line.line,
+          purchaseId: line.purchase?.id || null,
+          piece: {
+            id: line.pieceId,
+            title: line.title,
+            artist: line.artist
+          },
+          edition: line.ownership ? {
+            number: line.ownership.edition_number,
+            size: edition.size,
+            label: formatEdition(line.ownership.edition_number, edition.size)
+          } : null,
+          basePrice: line.basePrice,
+          protocolFee: line.protocolFee,
+          total: line.total,
+          artistPayout: artistEntry ? {
+            status: artistEntry.status,
+            amount: parseFloat(artistEntry.amount_usdc),
+            recipient: artistEntry.recipient_wallet
+          } : null,
+          nft: line.transfer ? formatTransfer(line.transfer) : null,
+          receipt: line.receipt ? formatReceipt(line.receipt) : null
+        };
+      }),
+      collector: {
+        username: buyerUsername,
+        wallet: normalizedBuyer
+      },
+      payment: {
+        txHash: paymentTx,
+        total: quote.total,
+        basePrice: quote.baseTotal,
+        protocolFee: quote.protocolFee,
+        currency: 'USDC',
+        method: paymentMethod,
+        verified: true,
+        explorer: `${BLOCK_EXPLORER}/tx/${paymentTx}`,
+        feeNote: 'Protocol fee will be used to buy & burn $PHOS'
+      },
+      note: 'Artist payouts and token transfers go out shortly and are retried automatically'
+    });
+  } catch (error) {
+    console.error('Cart error:', error);
+    return serverError(res, 'Cart processing failed');
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * /api/collaborations
+ *
+ * Collaborative pieces: co-artists and their revenue splits.
+ *
+ * GET  /api/collaborations?piece=<pieceId>
+ *   Co-artists of a piece and their shares (public)
+ *
+ * GET  /api/collaborations?wallet=<wallet>[&status=pending]
+ *   Pieces a wallet is a co-artist of (public)
+ *
+ * POST /api/collaborations
+ *   Headers: X-API-Key: ph_xxx (must be an invited co-artist)
+ *   Body: { "piece_id": "<pieceId>", "action": "confirm" | "decline" }
+ *
+ * Co-artists are listed when the piece is submitted (POST /api/submit with
+ * `collaborators`). Until a co-artist confirms, their share of each sale is
+ * paid to the lead artist.
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  verifyApiKey,
+  isValidPieceId,
+  isValidAddress,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog
+} from './_lib/security.js';
+import { notifyAgent } from './_lib/notifications.js';
+import {
+  COLLABORATOR_STATUSES,
+  getCollaborators,
+  getCollaborationsForWallet,
+  respondToCollaboration,
+  formatCollaborator
+} from './_lib/collaborations.js';
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Splits of a piece or a wallet ====================
+  if (req.method === 'GET') {
+    const { piece, wallet, status } = req.query;
+
+    if (!piece && !wallet) {
+      return badRequest(res, 'Provide piece or wallet');
+    }
+    if (piece && !isValidPieceId(piece)) {
+      return badRequest(res, 'Invalid piece id');
+    }
+    if (wallet && !isValidAddress(wallet)) {
+      return badRequest(res, 'Invalid wallet');
+    }
+    if (status && !COLLABORATOR_STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${COLLABORATOR_STATUSES.join(', ')}`);
+    }
+
+    const rateCheck = checkRateLimit(`collaborations:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      if (piece) {
+        const submission = await getSubmission(piece);
+        if (!submission) {
+          return notFound(res, 'Piece not found');
+        }
+
+        const collaborators = await getCollaborators(piece, { status });
+        return res.status(200).json({
+          success: true,
+          data: {
+            pieceId: submission.id,
+            title: submission.title,
+            lead: submission.moltbook,
+            isCollaboration: collaborators.length > 0,
+            collaborators: collaborators.map(formatCollaborator)
+          }
+        });
+      }
+
+      const rows = await getCollaborationsForWallet(wallet, { status });
+      const titles = new Map();
+      const pieceIds = [...new Set(rows.map(r => r.submission_id))];
+      if (pieceIds.length > 0) {
+        const subRes = await supabaseRequest(
+          `/rest/v1/submissions?id=in.(${pieceIds.join(',')})&select=id,title,moltbook`
+        );
+        if (subRes.ok) {
+          for (const s of await subRes.json()) titles.set(s.id, s);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          wallet: wallet.toLowerCase(),
+          collaborations: rows.map(r => ({
+            pieceId: r.submission_id,
+            title: titles.get(r.submission_id)?.title || null,
+            lead: titles.get(r.submission_id)?.moltbook || null,
+            ...formatCollaborator(r),
+            invitedAt: r.created_at
+          })),
+          count: rows.length
+        }
+      });
+    } catch (e) {
+      console.error('Collaborations lookup error:', e);
+      return serverError(res, 'Failed to fetch collaborations');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  // ==================== POST: Confirm or decline ====================
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+  if (!agent.wallet) {
+    return badRequest(res, 'Your agent has no wallet on file');
+  }
+
+  const rateCheck = checkRateLimit(`collaborations:${agent.id}`, RATE_LIMITS.submit);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 2 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const pieceId = body?.piece_id || body?.id;
+  if (!pieceId || !isValidPieceId(pieceId)) {
+    return badRequest(res, 'Missing or invalid piece_id');
+  }
+  if (body.action !== 'confirm' && body.action !== 'decline') {
+    return badRequest(res, 'action must be confirm or decline');
+  }
+  const accept = body.action === 'confirm';
+
+  try {
+    const submission = await getSubmission(pieceId);
+    if (!submission) {
+      return notFound(res, 'Piece not found');
+    }
+
+    const wallet = agent.wallet.toLowerCase();
+    const collaborators = await getCollaborators(pieceId);
+    const invitation = collaborators.find(c => c.wallet === wallet);
+    if (!invitation) {
+      return forbidden(res, 'You are not a co-artist of this piece');
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_RESPONDED', message: `You already ${invitation.status} this collaboration` }
+      });
+    }
+
+    const updated = await respondToCollaboration(pieceId, wallet, accept);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_RESPONDED', message: 'This invitation has already been answered' }
+      });
+    }
+
+    await notifyAgent({
+      wallet: collaborators.find(c => c.is_lead)?.wallet,
+      type: accept ? 'collaboration_confirmed' : 'collaboration_declined',
+      title: accept ? 'Collaboration confirmed 🤝' : 'Collaboration declined',
+      message: accept
+        ? `${agent.username} confirmed their ${parseFloat(updated.share_percent)}% share of "${submission.title}"`
+        : `${agent.username} declined to co-sign "${submission.title}"; their share stays with you`,
+      data: { submission_id: pieceId, username: agent.username }
+    });
+
+    await auditLog(accept ? 'COLLABORATION_CONFIRMED' : 'COLLABORATION_DECLINED', {
+      submissionId: pieceId,
+      agent: agent.username,
+      sharePercent: parseFloat(updated.share_percent),
+      ip: clientIP
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        pieceId,
+        title: submission.title,
+        ...formatCollaborator(updated),
+        message: accept
+          ? 'Confirmed. You are paid your share of every sale from now on.'
+          : 'Declined. Your share goes to the lead artist.'
+      }
+    });
+  } catch (e) {
+    console.error('Collaboration response error:', e);
+    return serverError(res, 'Failed to update collaboration');
+  }
+}
@@ -9,6 +9,7 @@
  */
 
 import { checkRateLimit, getClientIP, rateLimitResponse } from '../_lib/rate-limit.js';
+import { formatEdition } from '../_lib/editions.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -81,7 +82,7 @@ export default async function handler(req, res) {
   try {
     // Fetch all completed purchases where buyer_username matches
     const purchases = await supabaseQuery(
-      `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,buyer_wallet,seller_username,amount_usdc,tx_hash,network&buyer_username=ilike.${encodeURIComponent(normalizedUsername)}&status=eq.completed&order=created_at.desc`
+      `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,buyer_wallet,seller_username,amount_usdc,edition_number,edition_size,tx_hash,network&buyer_username=ilike.${encodeURIComponent(normalizedUsername)}&status=eq.completed&order=created_at.desc`
     );
     
     if (!purchases || purchases.length === 0) {
@@ -96,21 +97,27 @@ export default async function handler(req, res) {
     const walletAddress = purchases[0]?.buyer_wallet || null;
     const displayUsername = purchases[0]?.buyer_username || normalizedUsername;
     
-    // Get unique pieces owned
+    // Get unique pieces owned (a collector can hold several editions of one piece)
     const uniquePieces = new Map();
     for (const p of purchases) {
       const key = p.piece_title?.toLowerCase();
-      if (key && !uniquePieces.has(key)) {
+      if (!key) continue;
+      const edition = formatEdition(p.edition_number, p.edition_size);
+      if (!uniquePieces.has(key)) {
         uniquePieces.set(key, {
           title: p.piece_title,
           slug: slugify(p.piece_title),
           purchasedAt: p.created_at,
           amountPaid: p.amount_usdc,
           seller: p.seller_username,
+          editions: [],
           txHash: p.tx_hash,
           explorer: p.tx_hash ? `${BLOCK_EXPLORER}/tx/${p.tx_hash}` : null
         });
       }
+      if (edition) {
+        uniquePieces.get(key).editions.push(edition);
+      }
     }
     
     // Build purchase history
@@ -122,6 +129,7 @@ export default async function handler(req, res) {
         galleryUrl: `/gallery/${slugify(p.piece_title)}.html`,
         previewUrl: `/previews/${slugify(p.piece_title)}.png`
       },
+      edition: formatEdition(p.edition_number, p.edition_size),
       amount: {
         value: p.amount_usdc,
         currency: 'USDC'
@@ -25,6 +25,7 @@ import {
   verifyWalletSignatureEthers,
   createSignableMessage
 } from './_lib/security.js';
+import { handleIdempotency } from './_lib/idempotency.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
@@ -110,6 +111,10 @@ export default async function handler(req, res) {
     return;
   }
   
+  if (req.method === 'POST' && await handleIdempotency(req, res, 'comments')) {
+    return;
+  }
+  
   // Rate limiting
   const clientIP = getClientIP(req);
   const rateLimit = req.method === 'POST' ? COMMENT_RATE_LIMITS.post : COMMENT_RATE_LIMITS.get;
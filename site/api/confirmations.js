@@ -0,0 +1,92 @@
+/**
+ * /api/confirmations
+ *
+ * Payment confirmation depth and reorg reconciliation: purchases paid by a
+ * transfer that is still short of its required confirmations, and purchases
+ * whose payment transaction was reorganized away.
+ *
+ * GET  /api/confirmations[?state=pending_confirmation|reorged][&limit=50]
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *
+ * POST /api/confirmations  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY (or X-Admin-Secret)
+ *   Complete purchases whose payments are now deep enough, re-check recent
+ *   payments until final and flag any that vanished (scheduler)
+ */
+
+import {
+  handleCors,
+  parseBody,
+  badRequest,
+  unauthorized,
+  serverError,
+  isAdmin,
+  isInternal
+} from './_lib/security.js';
+import { CONFIRMATION_TIERS } from './_lib/payment-verify.js';
+import { getConfirmationQueue, processPaymentConfirmations } from './_lib/confirmations.js';
+
+const STATES = ['pending_confirmation', 'reorged'];
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
+    return;
+  }
+
+  // ==================== GET: Inspect the queue ====================
+  if (req.method === 'GET') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+
+    const { state = 'pending_confirmation', limit } = req.query;
+    if (!STATES.includes(state)) {
+      return badRequest(res, `state must be one of: ${STATES.join(', ')}`);
+    }
+
+    try {
+      const purchases = await getConfirmationQueue({ state, limit: parseInt(limit, 10) || 50 });
+      return res.status(200).json({
+        success: true,
+        data: {
+          state,
+          purchases,
+          count: purchases.length,
+          tiers: CONFIRMATION_TIERS
+        }
+      });
+    } catch (e) {
+      console.error('Confirmation queue error:', e);
+      return serverError(res, 'Failed to fetch confirmation queue');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 2 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  // ==================== POST: Worker ====================
+  if (body?.action === 'process') {
+    if (!isInternal(req) && !isAdmin(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processPaymentConfirmations();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Confirmation worker error:', e);
+      return serverError(res, 'Failed to process confirmations');
+    }
+  }
+
+  return badRequest(res, 'action must be process');
+}
@@ -7,6 +7,8 @@
  * - Pending notifications count
  * - New pieces since last visit
  * - Sales & earnings
+ * - Open offers (incoming and your own)
+ * - Patronage renewals due (with x402 payment requirements)
  * - Personalized recommendations
  * - Actionable tips & suggestions
  * - Platform health summary
@@ -19,6 +21,10 @@ import { extractApiKey, isValidApiKeyFormat, getAgentByApiKey } from './_lib/aut
 import { supabaseRequest } from './_lib/supabase.js';
 import { sendError, sendSuccess } from './_lib/errors.js';
 import { logger, logRequest, logEvent } from './_lib/logger.js';
+import { getIncomingOffers, getOffers, formatOffer } from './_lib/offers.js';
+import { getRenewalsDue, buildPatronageRequirements, formatPatronage, GRACE_DAYS } from './_lib/patronage.js';
+import { getChainClient, getNetworkConfig, NETWORK_ID } from './_lib/chain.js';
+import { formatUnits } from 'ethers';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -122,33 +128,19 @@ async function getWalletBalances(walletAddress) {
   const balances = {
     eth: '0',
     usdc: '0',
-    network: 'base-sepolia',
+    network: NETWORK_ID,
     lastUpdated: new Date().toISOString()
   };
   
   try {
-    // Get ETH balance
-    const ethRes = await fetch(`https://base-sepolia.blockscout.com/api/v2/addresses/${walletAddress}`, {
-      signal: AbortSignal.timeout(5000)
-    });
-    
-    if (ethRes.ok) {
-      const ethData = await ethRes.json();
-      balances.eth = ethData.coin_balance 
-        ? (parseInt(ethData.coin_balance) / 1e18).toFixed(6) 
-        : '0';
-    }
-    
-    // Get USDC balance
-    const tokenRes = await fetch(`https://base-sepolia.blockscout.com/api/v2/addresses/${walletAddress}/token-balances`, {
-      signal: AbortSignal.timeout(5000)
-    });
+    const chain = getChainClient();
+    const [wei, usdc] = await Promise.all([
+      chain.getBalance(walletAddress),
+      chain.getErc20Balance(getNetworkConfig().usdc, walletAddress)
+    ]);
     
-    if (tokenRes.ok) {
-      const tokens = await tokenRes.json();
-      const usdc = tokens.find?.(t => t.token?.symbol === 'USDC');
-      balances.usdc = usdc ? (parseInt(usdc.value) / 1e6).toFixed(2) : '0';
-    }
+    balances.eth = Number(formatUnits(wei, 18)).toFixed(6);
+    balances.usdc = Number(formatUnits(usdc, 6)).toFixed(2);
     
     return balances;
   } catch (e) {
@@ -173,6 +165,25 @@ async function getPlatformSummary() {
   }
 }
 
+const NOTIFICATION_EMOJI = {
+  new_art: '✨',
+  offer_received: '💌',
+  offer_countered: '🔁',
+  offer_accepted: '🎉',
+  offer_rejected: '↩️',
+  offer_expired: '⌛',
+  auction_outbid: '⚡',
+  auction_won: '🏆',
+  auction_sold: '🔨',
+  auction_ended: '⏱️',
+  patronage_started: '💜',
+  patronage_renewed: '💜',
+  patronage_renewal_due: '🔔',
+  patronage_cancelled: '👋',
+  patronage_lapsed: '⌛',
+  patron_early_access: '🔓'
+};
+
 // Generate personalized greeting
 function generateGreeting(agent, visitCount) {
   const greetings = {
@@ -285,8 +296,45 @@ function generateTips(agent, stats, balances, submissions) {
 }
 
 // Generate engagement prompts
-function generatePrompts(agent, stats, newPieces, recommendations) {
+function generatePrompts(agent, stats, newPieces, recommendations, offers = { incoming: [], outgoing: [] }, renewalsDue = []) {
   const prompts = [];
+
+  // Patronages that lapse unless renewed by hand
+  if (renewalsDue.length > 0) {
+    const next = renewalsDue[0];
+    prompts.push({
+      type: 'patronage_renewal',
+      emoji: '🔔',
+      message: next.status === 'past_due'
+        ? `Your patronage of ${next.artist_username} is past due. Renew within ${GRACE_DAYS} days of ${next.current_period_end} to keep your perks.`
+        : `Your patronage of ${next.artist_username} renews ${next.current_period_end}. Pay now or pre-authorize renewals.`,
+      action: { type: 'renew_patronage', patronageId: next.id, url: '/api/patronage' },
+      priority: next.status === 'past_due' ? 'high' : 'medium'
+    });
+  }
+
+  // Offers waiting on this agent
+  if (offers.incoming.length > 0) {
+    const best = offers.incoming.reduce((a, b) => parseFloat(b.amount_usdc) > parseFloat(a.amount_usdc) ? b : a);
+    prompts.push({
+      type: 'offer',
+      emoji: '💌',
+      message: `${offers.incoming.length} open offer${offers.incoming.length > 1 ? 's' : ''} on your pieces. Best: ${parseFloat(best.amount_usdc)} USDC for "${best.piece_title}".`,
+      action: { type: 'respond_offer', offerId: best.id, url: '/api/offers' },
+      priority: 'high'
+    });
+  }
+  
+  const countered = offers.outgoing.filter(o => o.status === 'countered');
+  if (countered.length > 0) {
+    prompts.push({
+      type: 'counter_offer',
+      emoji: '🔁',
+      message: `"${countered[0].piece_title}": you've been countered at ${parseFloat(countered[0].counter_amount)} USDC.`,
+      action: { type: 'accept_counter', offerId: countered[0].id, url: '/api/offers' },
+      priority: 'high'
+    });
+  }
   
   // First-time collector prompt
   if (stats.collected === 0 && recommendations.length > 0) {
@@ -400,7 +448,10 @@ export default async function handler(req, res) {
       submissionsResult,
       notificationsResult, 
       walletBalancesResult,
-      platformSummaryResult
+      platformSummaryResult,
+      incomingOffersResult,
+      outgoingOffersResult,
+      renewalsDueResult
     ] = await Promise.allSettled([
       getNewPieces(since),
       getAgentSales(agent.wallet, since),
@@ -408,7 +459,10 @@ export default async function handler(req, res) {
       getAgentSubmissions(agent.username),
       getNotifications(agent.id),
       getWalletBalances(agent.wallet),
-      getPlatformSummary()
+      getPlatformSummary(),
+      getIncomingOffers(agent),
+      agent.wallet ? getOffers({ buyer: agent.wallet }) : [],
+      getRenewalsDue(agent.wallet)
     ]);
     
     const newPieces = newPiecesResult.status === 'fulfilled' ? (newPiecesResult.value || []) : [];
@@ -418,6 +472,9 @@ export default async function handler(req, res) {
     const notifications = notificationsResult.status === 'fulfilled' ? (notificationsResult.value || []) : [];
     const walletBalances = walletBalancesResult.status === 'fulfilled' ? walletBalancesResult.value : null;
     const platformSummary = platformSummaryResult.status === 'fulfilled' ? platformSummaryResult.value : {};
+    const incomingOffers = incomingOffersResult.status === 'fulfilled' ? (incomingOffersResult.value || []) : [];
+    const outgoingOffers = outgoingOffersResult.status === 'fulfilled' ? (outgoingOffersResult.value || []) : [];
+    const renewalsDue = renewalsDueResult.status === 'fulfilled' ? (renewalsDueResult.value || []) : [];
     
     // Build owned set for recommendations
     const ownedTitles = new Set((purchases || []).map(p => p.piece_title?.toLowerCase()));
@@ -438,7 +495,10 @@ export default async function handler(req, res) {
     
     // Generate tips and prompts
     const tips = generateTips(agent, stats, walletBalances, submissions);
-    const prompts = generatePrompts(agent, stats, newPieces, recommended);
+    const prompts = generatePrompts(agent, stats, newPieces, recommended, {
+      incoming: incomingOffers,
+      outgoing: outgoingOffers
+    }, renewalsDue);
     
     // Build notifications list
     const notificationMessages = [];
@@ -462,7 +522,7 @@ export default async function handler(req, res) {
         notificationMessages.push({
           id: n.id,
           type: n.type,
-          emoji: n.type === 'new_art' ? '✨' : '📬',
+          emoji: NOTIFICATION_EMOJI[n.type] || '📬',
           message: n.message || n.title,
           createdAt: n.created_at
         });
@@ -499,7 +559,7 @@ export default async function handler(req, res) {
           },
           network: walletBalances.network,
           lowBalance: parseFloat(walletBalances.eth) < 0.001,
-          explorer: `https://base-sepolia.blockscout.com/address/${agent.wallet}`
+          explorer: `${getNetworkConfig().explorer}/address/${agent.wallet}`
         } : null,
         
         // Summary stats
@@ -510,7 +570,10 @@ export default async function handler(req, res) {
           portfolioSize: purchases.length,
           artworksCreated: approvedSubmissions.length,
           pendingSubmissions: pendingSubmissions.length,
-          unreadNotifications: notifications.length
+          unreadNotifications: notifications.length,
+          incomingOffers: incomingOffers.length,
+          openOffers: outgoingOffers.length,
+          patronageRenewalsDue: renewalsDue.length
         },
         
         // Notifications (NEW: includes count)
@@ -520,6 +583,35 @@ export default async function handler(req, res) {
           items: notificationMessages.slice(0, 5)
         },
         
+        // Offers: on your pieces, and the ones you made
+        offers: {
+          incoming: {
+            count: incomingOffers.length,
+            items: incomingOffers.slice(0, 5).map(formatOffer),
+            respond: 'POST /api/offers { action: accept | reject | counter, id }'
+          },
+          outgoing: {
+            count: outgoingOffers.length,
+            countered: outgoingOffers.filter(o => o.status === 'countered').length,
+            items: outgoingOffers.slice(0, 5).map(formatOffer)
+          }
+        },
+        
+        // Patronage renewals to pay by hand: sign one of `accepts` and send
+        // it as X-PAYMENT with the renew body
+        patronage: {
+          renewalsDue: renewalsDue.map(p => ({
+            ...formatPatronage(p),
+            accepts: [buildPatronageRequirements({
+              artistWallet: p.artist_wallet,
+              artistUsername: p.artist_username,
+              amount: parseFloat(p.amount_usdc),
+              patronageId: p.id
+            })],
+            renew: { method: 'POST', url: '/api/patronage', body: { action: 'renew', id: p.id } }
+          }))
+        },
+        
         // Tips & suggestions (NEW)
         tips: tips,
         
@@ -548,6 +640,8 @@ export default async function handler(req, res) {
           updates: `/api/agent/${agent.wallet}/updates`,
           recommendations: `/api/agent/${agent.wallet}/recommendations`,
           notifications: `/api/agent/${agent.wallet}/notifications`,
+          offers: '/api/offers?incoming=true',
+          patronage: '/api/patronage',
           submit: '/api/art/submit',
           pieces: '/api/pieces',
           status: '/api/status',
@@ -4,10 +4,36 @@
  * POST /api/license - Request a license for a piece
  * GET /api/license?piece_id=xxx - Check license status for a piece
  * GET /api/license?wallet=xxx - Get all licenses for a wallet
+ * GET /api/license/:id - Signed certificate of a license (see license/[id].js)
+ * POST /api/license/verify - Check a certificate (see license/verify.js)
+ * POST /api/license { action: 'release', license_id, wallet, signature, timestamp }
+ *   - Holder gives up an exclusive license early
+ * POST /api/license { action: 'renew', license_id, wallet, tx_hash }
+ *   - Extend a license by its duration with a fresh $PHOS payment, from
+ *     RENEW_WINDOW_DAYS before expiry until its grace period ends
+ * POST /api/license { action: 'process' }
+ *   - Scheduled job: expiry reminders (30, 7, 1 days) and expiry after grace
+ *   Headers: X-API-Key: INTERNAL_API_KEY
+ * 
+ * GET /api/license/offerings?piece_id=xxx - Artist offerings (see license/offerings.js)
+ * GET|POST /api/license/sync - LicensingRegistry sync and divergences (see license/sync.js)
+ * GET|POST /api/license/disputes - Artist disputes, licensee responses, admin revocation
+ *   and refunds (see license/disputes.js)
+ * 
+ * register_onchain: true (or LICENSE_REGISTER_ONCHAIN=true) also records the
+ * license on the LicensingRegistry contract; licenses bought directly on
+ * the contract show up here with source 'chain'.
+ * 
+ * Pieces whose artist published offerings are licensed only through them
+ * (POST with offering_id): the offering sets type, scope, uses, territory,
+ * duration and price ($PHOS to the treasury or USDC to the artist).
  * 
  * License Types:
  * - personal: Free, non-commercial use only
  * - commercial: Requires $PHOS payment, allows commercial use
+ * - commercial_extended: Commercial use for 5 years
+ * - exclusive: Sole commercial licensee of the piece within a scope
+ *   (see _lib/licenses.js for conflict rules)
  */
 
 import { 
@@ -19,9 +45,50 @@ import {
   serverError,
   sanitizeText,
   auditLog,
-  getClientIP
+  getClientIP,
+  forbidden,
+  unauthorized,
+  verifyWalletSignatureEthers,
+  createSignableMessage,
+  isInternal
 } from './_lib/security.js';
 import { checkRateLimit, RATE_LIMITS, rateLimitResponse } from './_lib/rate-limit.js';
+import { handleIdempotency } from './_lib/idempotency.js';
+import { getChainClient, decodeTransferLogs, getNetworkConfig } from './_lib/chain.js';
+import { verifyPayment, isTransactionUsed } from './_lib/payment-verify.js';
+import { issueCertificate, formatCertificate, getLicenseTerms } from './_lib/license-certificates.js';
+import {
+  LICENSE_SCOPES,
+  COMMERCIAL_LICENSE_TYPES,
+  findLicenseConflicts,
+  getActiveCommercialLicenses,
+  getExclusivityState,
+  releaseExclusiveLicense,
+  LICENSE_GRACE_DAYS,
+  RENEW_WINDOW_DAYS,
+  getGraceEndsAt,
+  isInGrace,
+  isRenewable,
+  isRenewalTxUsed,
+  renewLicense,
+  processLicenseExpiry
+} from './_lib/licenses.js';
+import {
+  getOffering,
+  getOfferings,
+  getPublicOfferings,
+  countOfferingLicensees,
+  formatOffering,
+  getOfferingTerms,
+  getOfferingRights
+} from './_lib/license-offerings.js';
+import {
+  isRegistrySyncEnabled,
+  REGISTER_ALL_LICENSES,
+  getRegistrationFields,
+  formatOnchain
+} from './_lib/license-sync.js';
+import { getOpenDisputes, formatRevocation } from './_lib/license-disputes.js';
 
 // Supabase config
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
@@ -31,16 +98,21 @@ const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_AN
 const LICENSE_PRICES = {
   personal: 0,          // Free
   commercial: 100,      // 100 $PHOS
-  commercial_extended: 500  // Extended commercial (5 years)
+  commercial_extended: 500,  // Extended commercial (5 years)
+  exclusive: 1000       // Sole commercial licensee within a scope
 };
 
 // License durations in days
 const LICENSE_DURATIONS = {
   personal: 365,        // 1 year
   commercial: 365,      // 1 year
-  commercial_extended: 1825  // 5 years
+  commercial_extended: 1825,  // 5 years
+  exclusive: 365        // 1 year
 };
 
+// How long a signed release request stays valid
+const RELEASE_SIGNATURE_TTL_MS = 10 * 60 * 1000;
+
 async function supabaseQuery(path, options = {}) {
   const res = await fetch(`${SUPABASE_URL}${path}`, {
     ...options,
@@ -86,11 +158,11 @@ async function getLicensesForWallet(wallet) {
 }
 
 /**
- * Check if wallet already has active license for piece
+ * Check if wallet already has active license for piece (of the same scope)
  */
-async function hasActiveLicense(pieceId, wallet, licenseType) {
+async function hasActiveLicense(pieceId, wallet, licenseType, scope = 'all') {
   const res = await supabaseQuery(
-    `/rest/v1/licenses?piece_id=eq.${encodeURIComponent(pieceId)}&licensee_wallet=ilike.${encodeURIComponent(wallet)}&license_type=eq.${licenseType}&status=eq.active&expires_at=gt.${new Date().toISOString()}`
+    `/rest/v1/licenses?piece_id=eq.${encodeURIComponent(pieceId)}&licensee_wallet=ilike.${encodeURIComponent(wallet)}&license_type=eq.${licenseType}&scope=eq.${encodeURIComponent(scope)}&status=eq.active&expires_at=gt.${new Date().toISOString()}`
   );
   const licenses = await res.json();
   return licenses.length > 0;
@@ -98,6 +170,9 @@ async function hasActiveLicense(pieceId, wallet, licenseType) {
 
 /**
  * Record a new license
+ * conflict is set when the database refused it because a concurrent grant
+ * won the race: 'exclusive' (overlaps an exclusive license) or
+ * 'offering_full' (the offering reached its licensee cap)
  */
 async function createLicense(data) {
   const res = await supabaseQuery('/rest/v1/licenses', {
@@ -109,11 +184,111 @@ async function createLicense(data) {
   if (!res.ok) {
     const error = await res.text();
     console.error('Failed to create license:', error);
-    return null;
+    const conflict = error.includes('exclusive_license_conflict') ? 'exclusive'
+      : error.includes('license_offering_full') ? 'offering_full'
+      : null;
+    return { license: null, conflict };
   }
   
   const licenses = await res.json();
-  return licenses[0];
+  return { license: licenses[0], conflict: null };
+}
+
+/**
+ * Public shape of licenses blocking a request
+ */
+function formatConflicts(conflicts) {
+  return conflicts.map(l => ({
+    id: l.id,
+    type: l.license_type,
+    scope: l.scope || 'all',
+    expiresAt: l.expires_at
+  }));
+}
+
+/**
+ * Get a license by ID
+ */
+async function getLicenseById(licenseId) {
+  const res = await supabaseQuery(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(licenseId)}&select=*&limit=1`
+  );
+  const licenses = await res.json();
+  return licenses[0] || null;
+}
+
+/**
+ * Wallet of a piece's artist
+ */
+async function getArtistWallet(username) {
+  const res = await supabaseQuery(
+    `/rest/v1/agents?username=ilike.${encodeURIComponent(username)}&select=wallet&limit=1`
+  );
+  const agents = await res.json();
+  return agents[0]?.wallet?.toLowerCase() || null;
+}
+
+/**
+ * Price of a license and where it is paid
+ * Offerings set their own price: $PHOS goes to the treasury, USDC to the
+ * artist. Otherwise the default catalog price in $PHOS.
+ */
+async function getLicenseQuote(piece, licenseType, offering = null) {
+  if (offering?.currency === 'USDC') {
+    return {
+      amount: Number(offering.price),
+      currency: 'USDC',
+      token: getNetworkConfig().usdc,
+      recipient: await getArtistWallet(piece.moltbook)
+    };
+  }
+  
+  const amount = offering ? Number(offering.price)
+    : licenseType === 'personal' ? 0
+    : licenseType === 'exclusive' ? LICENSE_PRICES.exclusive
+    : (piece.license_price_phos || LICENSE_PRICES[licenseType]);
+  
+  return { amount, currency: 'PHOS', token: PHOS_CONTRACT, recipient: PHOS_TREASURY };
+}
+
+/**
+ * Verify the payment for a quote
+ */
+async function verifyLicensePayment(txHash, quote, wallet) {
+  if (quote.currency === 'PHOS') {
+    return verifyPhosPayment(txHash, quote.amount, wallet);
+  }
+  
+  if (!txHash || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+    return { valid: false, error: 'Invalid transaction hash format' };
+  }
+  if (await isLicenseTxUsed(txHash) || await isTransactionUsed(txHash)) {
+    return { valid: false, error: 'Transaction already used for a previous payment' };
+  }
+  return verifyPayment(txHash, { from: wallet, amount: quote.amount, to: quote.recipient });
+}
+
+/**
+ * 402 body asking for payment of a quote
+ */
+function paymentRequired(res, piece, quote, details) {
+  return res.status(402).json({
+    success: false,
+    error: 'Payment required',
+    payment: {
+      required: quote.amount,
+      currency: quote.currency === 'PHOS' ? '$PHOS' : 'USDC',
+      token: quote.token,
+      network: 'Base',
+      recipient: quote.recipient,
+      piece: {
+        id: piece.id,
+        title: piece.title,
+        artist: piece.moltbook
+      },
+      ...details
+    }
+  });
 }
 
 /**
@@ -126,20 +301,11 @@ async function getLicensablePieces(limit = 50, offset = 0) {
   return await res.json();
 }
 
-// Network configuration for $PHOS verification
-const IS_MAINNET = process.env.NETWORK_ID === 'base-mainnet';
-const RPC_URL = IS_MAINNET 
-  ? 'https://mainnet.base.org' 
-  : 'https://sepolia.base.org';
-
 // $PHOS token contract (ERC20)
 const PHOS_CONTRACT = process.env.PHOS_TOKEN_ADDRESS || '0x08f3e9972eb2f9f129f05b58db335d764ec9e471';
 const PHOS_TREASURY = process.env.PHOS_TREASURY || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
 const PHOS_DECIMALS = 18; // Standard ERC20 decimals
 
-// ERC20 Transfer event signature
-const TRANSFER_EVENT_SIGNATURE = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-
 /**
  * Check if a license transaction has already been used
  */
@@ -149,7 +315,7 @@ async function isLicenseTxUsed(txHash) {
       `/rest/v1/licenses?tx_hash=eq.${encodeURIComponent(txHash.toLowerCase())}&select=id&limit=1`
     );
     const licenses = await res.json();
-    return licenses && licenses.length > 0;
+    return (licenses && licenses.length > 0) || await isRenewalTxUsed(txHash);
   } catch (err) {
     console.error('License tx check error:', err);
     return false;
@@ -182,19 +348,7 @@ async function verifyPhosPayment(txHash, expectedAmount, fromWallet) {
   
   try {
     // Fetch transaction receipt from Base
-    const receiptResponse = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'eth_getTransactionReceipt',
-        params: [txHash]
-      })
-    });
-    
-    const receiptData = await receiptResponse.json();
-    const receipt = receiptData.result;
+    const receipt = await getChainClient().getTransactionReceipt(txHash);
     
     if (!receipt) {
       return { valid: false, error: 'Transaction not found or not yet confirmed' };
@@ -211,21 +365,14 @@ async function verifyPhosPayment(txHash, expectedAmount, fromWallet) {
     }
     
     // Parse Transfer events from logs
-    const transferLogs = receipt.logs.filter(log => 
-      log.topics[0] === TRANSFER_EVENT_SIGNATURE &&
-      log.address.toLowerCase() === PHOS_CONTRACT.toLowerCase()
-    );
+    const transfers = decodeTransferLogs(receipt, PHOS_CONTRACT);
     
-    if (transferLogs.length === 0) {
+    if (transfers.length === 0) {
       return { valid: false, error: 'No $PHOS transfer found in transaction' };
     }
     
     // Find a matching transfer to the treasury
-    for (const log of transferLogs) {
-      // ERC20 Transfer: topics[1] = from, topics[2] = to, data = amount
-      const logFrom = '0x' + log.topics[1].slice(26).toLowerCase();
-      const logTo = '0x' + log.topics[2].slice(26).toLowerCase();
-      const logAmount = BigInt(log.data);
+    for (const { from: logFrom, to: logTo, value: logAmount } of transfers) {
       
       // Check if this transfer matches: from=sender, to=treasury
       if (logFrom === sender && logTo === PHOS_TREASURY.toLowerCase()) {
@@ -261,15 +408,229 @@ async function verifyPhosPayment(txHash, expectedAmount, fromWallet) {
   }
 }
 
+/**
+ * Release an exclusive license early
+ * The holder proves wallet ownership by signing
+ * createSignableMessage('release_license', { license_id, wallet }, timestamp)
+ */
+async function handleRelease(req, res, body, clientIP) {
+  const { license_id, wallet, signature, timestamp } = body;
+  
+  if (!license_id || !isValidUUID(license_id)) {
+    return badRequest(res, 'Valid license_id is required');
+  }
+  if (!wallet || !isValidAddress(wallet)) {
+    return badRequest(res, 'Valid wallet address is required');
+  }
+  if (!signature || !timestamp) {
+    return badRequest(res, 'signature and timestamp are required to release a license');
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > RELEASE_SIGNATURE_TTL_MS) {
+    return badRequest(res, 'Signature timestamp is too old; sign a fresh release message');
+  }
+  
+  const normalizedWallet = normalizeAddress(wallet);
+  const message = createSignableMessage('release_license', {
+    license_id,
+    wallet: normalizedWallet
+  }, Number(timestamp));
+  
+  const sigResult = await verifyWalletSignatureEthers(message, signature, normalizedWallet);
+  if (!sigResult.valid) {
+    await auditLog('LICENSE_RELEASE_SIGNATURE_INVALID', {
+      licenseId: license_id,
+      wallet: normalizedWallet,
+      error: sigResult.error,
+      ip: clientIP
+    });
+    return forbidden(res, 'Invalid wallet signature - cannot verify license holder');
+  }
+  
+  const result = await releaseExclusiveLicense(license_id, normalizedWallet);
+  if (!result.success) {
+    return res.status(result.status || 400).json({ success: false, error: result.error });
+  }
+  
+  await auditLog('LICENSE_RELEASED', {
+    licenseId: license_id,
+    pieceId: result.license.piece_id,
+    wallet: normalizedWallet,
+    scope: result.license.scope,
+    ip: clientIP
+  });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Exclusive license released',
+    license: {
+      id: result.license.id,
+      pieceId: result.license.piece_id,
+      type: result.license.license_type,
+      scope: result.license.scope || 'all',
+      status: result.license.status,
+      releasedAt: result.license.released_at
+    }
+  });
+}
+
+/**
+ * Renew a license for another term
+ * Paid licenses need a fresh payment from the licensee wallet; the new
+ * term starts at the old expiry
+ */
+async function handleRenew(req, res, body, clientIP) {
+  const { license_id, wallet, tx_hash } = body;
+  
+  if (!license_id || !isValidUUID(license_id)) {
+    return badRequest(res, 'Valid license_id is required');
+  }
+  if (!wallet || !isValidAddress(wallet)) {
+    return badRequest(res, 'Valid wallet address is required');
+  }
+  
+  const normalizedWallet = normalizeAddress(wallet);
+  
+  const license = await getLicenseById(license_id);
+  if (!license) {
+    return res.status(404).json({ success: false, error: 'License not found' });
+  }
+  if (license.licensee_wallet?.toLowerCase() !== normalizedWallet) {
+    return forbidden(res, 'Only the licensee can renew this license');
+  }
+  if (!isRenewable(license)) {
+    return res.status(409).json({
+      success: false,
+      error: `License can be renewed from ${RENEW_WINDOW_DAYS} days before expiry until its ${LICENSE_GRACE_DAYS}-day grace period ends`,
+      status: license.status,
+      expiresAt: license.expires_at,
+      graceEndsAt: getGraceEndsAt(license).toISOString()
+    });
+  }
+  
+  const piece = await getPieceInfo(license.piece_id);
+  if (!piece) {
+    return res.status(404).json({ success: false, error: 'Piece not found' });
+  }
+  if (piece.licensable === false) {
+    return res.status(403).json({
+      success: false,
+      error: 'This piece is no longer available for licensing'
+    });
+  }
+  
+  // An expired exclusive license may have been overtaken during its grace
+  const conflicts = await findLicenseConflicts(license.piece_id, license.license_type, license.scope || 'all', normalizedWallet);
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflicting licenses were granted for this piece and scope since your license lapsed',
+      conflicts: formatConflicts(conflicts)
+    });
+  }
+  
+  // Offering licenses renew at the offering's current price while it is offered
+  let offering = null;
+  if (license.offering_id) {
+    offering = await getOffering(license.offering_id);
+    if (!offering || offering.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'The artist no longer offers this license; it can\'t be renewed'
+      });
+    }
+  }
+  
+  const quote = await getLicenseQuote(piece, license.license_type, offering);
+  if (quote.amount > 0 && !quote.recipient) {
+    return res.status(409).json({
+      success: false,
+      error: 'The artist has no wallet on file to receive USDC'
+    });
+  }
+  
+  if (quote.amount > 0) {
+    if (!tx_hash) {
+      return paymentRequired(res, piece, quote, {
+        licenseType: license.license_type,
+        scope: license.scope || 'all',
+        renewal: { licenseId: license.id, currentExpiresAt: license.expires_at }
+      });
+    }
+    
+    const paymentVerification = await verifyLicensePayment(tx_hash, quote, normalizedWallet);
+    if (!paymentVerification.valid) {
+      await auditLog('LICENSE_PAYMENT_FAILED', {
+        licenseId: license.id,
+        pieceId: license.piece_id,
+        wallet: normalizedWallet,
+        txHash: tx_hash,
+        error: paymentVerification.error,
+        ip: clientIP
+      });
+      
+      return res.status(400).json({
+        success: false,
+        error: `Payment verification failed: ${paymentVerification.error}`
+      });
+    }
+  }
+  
+  const result = await renewLicense(license, {
+    amount: quote.amount,
+    currency: quote.currency,
+    txHash: quote.amount > 0 ? tx_hash : null
+  });
+  if (!result.success) {
+    return res.status(result.status || 400).json({ success: false, error: result.error });
+  }
+  
+  const renewed = result.license;
+  const certificate = await issueCertificate(renewed, piece);
+  
+  await auditLog('LICENSE_RENEWED', {
+    licenseId: renewed.id,
+    pieceId: renewed.piece_id,
+    licensee: normalizedWallet,
+    type: renewed.license_type,
+    previousExpiresAt: license.expires_at,
+    expiresAt: renewed.expires_at,
+    amount: quote.amount,
+    currency: quote.currency,
+    ip: clientIP
+  });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'License renewed',
+    license: {
+      id: renewed.id,
+      type: renewed.license_type,
+      scope: renewed.scope || 'all',
+      pieceId: renewed.piece_id,
+      licensee: normalizedWallet,
+      previousExpiresAt: license.expires_at,
+      expiresAt: renewed.expires_at,
+      graceEndsAt: getGraceEndsAt(renewed).toISOString(),
+      renewalCount: renewed.renewal_count,
+      price: { amount: quote.amount, currency: quote.currency }
+    },
+    certificate: certificate ? formatCertificate(certificate) : null
+  });
+}
+
 export default async function handler(req, res) {
   // CORS
   if (handleCors(req, res, { 
     methods: 'GET, POST, OPTIONS',
-    headers: 'Content-Type, Authorization'
+    headers: 'Content-Type, Authorization, Idempotency-Key'
   })) {
     return;
   }
 
+  if (req.method === 'POST' && await handleIdempotency(req, res, 'license')) {
+    return;
+  }
+
   const clientIP = getClientIP(req);
 
   // Rate limiting
@@ -289,6 +650,8 @@ export default async function handler(req, res) {
         const offset = parseInt(req.query.offset) || 0;
         
         const pieces = await getLicensablePieces(limit, offset);
+        const commercial = await getActiveCommercialLicenses(pieces.map(p => p.id));
+        const offerings = await getPublicOfferings(pieces.map(p => p.id));
         
         return res.status(200).json({
           success: true,
@@ -300,14 +663,19 @@ export default async function handler(req, res) {
             thumbnail: p.thumbnail_url,
             price: {
               personal: LICENSE_PRICES.personal,
-              commercial: p.license_price_phos || LICENSE_PRICES.commercial
-            }
+              commercial: p.license_price_phos || LICENSE_PRICES.commercial,
+              exclusive: LICENSE_PRICES.exclusive
+            },
+            exclusivity: getExclusivityState(commercial.filter(l => l.piece_id === p.id)),
+            offerings: offerings.get(p.id) || []
           })),
           pricing: {
             personal: { price: 0, duration: '1 year', description: 'Non-commercial use only' },
             commercial: { price: LICENSE_PRICES.commercial, duration: '1 year', description: 'Full commercial rights' },
-            commercial_extended: { price: LICENSE_PRICES.commercial_extended, duration: '5 years', description: 'Extended commercial rights' }
-          }
+            commercial_extended: { price: LICENSE_PRICES.commercial_extended, duration: '5 years', description: 'Extended commercial rights' },
+            exclusive: { price: LICENSE_PRICES.exclusive, duration: '1 year', description: 'Sole commercial licensee within a scope' }
+          },
+          scopes: LICENSE_SCOPES
         });
       }
       
@@ -323,6 +691,7 @@ export default async function handler(req, res) {
         }
         
         const licenses = await getLicensesForPiece(piece_id);
+        const offerings = await getPublicOfferings([piece_id]);
         
         return res.status(200).json({
           success: true,
@@ -333,16 +702,24 @@ export default async function handler(req, res) {
             licensable: piece.licensable !== false,
             price: {
               personal: LICENSE_PRICES.personal,
-              commercial: piece.license_price_phos || LICENSE_PRICES.commercial
+              commercial: piece.license_price_phos || LICENSE_PRICES.commercial,
+              exclusive: LICENSE_PRICES.exclusive
             }
           },
           licenses: licenses.map(l => ({
             id: l.id,
             type: l.license_type,
+            scope: l.scope || 'all',
+            exclusive: l.license_type === 'exclusive',
+            offeringId: l.offering_id || null,
             licensee: l.licensee_wallet.slice(0, 6) + '...' + l.licensee_wallet.slice(-4),
             expiresAt: l.expires_at,
-            status: l.status
+            status: l.status,
+            source: l.source || 'api',
+            onchain: formatOnchain(l)
           })),
+          exclusivity: getExclusivityState(licenses),
+          offerings: offerings.get(piece_id) || [],
           totalLicenses: licenses.length
         });
       }
@@ -354,6 +731,7 @@ export default async function handler(req, res) {
         }
         
         const licenses = await getLicensesForWallet(wallet);
+        const disputes = await getOpenDisputes(licenses.map(l => l.id));
         
         return res.status(200).json({
           success: true,
@@ -362,8 +740,27 @@ export default async function handler(req, res) {
             id: l.id,
             pieceId: l.piece_id,
             type: l.license_type,
+            scope: l.scope || 'all',
+            exclusive: l.license_type === 'exclusive',
+            offeringId: l.offering_id || null,
+            releasable: l.license_type === 'exclusive' && l.status === 'active' && getGraceEndsAt(l) > new Date(),
             expiresAt: l.expires_at,
+            inGrace: isInGrace(l),
+            graceEndsAt: getGraceEndsAt(l).toISOString(),
+            renewable: isRenewable(l),
+            releasedAt: l.released_at || null,
             status: l.status,
+            revocation: formatRevocation(l),
+            dispute: disputes.has(l.id)
+              ? {
+                  id: disputes.get(l.id).id,
+                  status: disputes.get(l.id).status,
+                  reason: disputes.get(l.id).reason,
+                  respondBy: disputes.get(l.id).respond_by
+                }
+              : null,
+            source: l.source || 'api',
+            onchain: formatOnchain(l),
             createdAt: l.created_at
           })),
           totalLicenses: licenses.length
@@ -398,13 +795,32 @@ export default async function handler(req, res) {
             description: 'Extended commercial rights for long-term projects.',
             allowed: ['All commercial uses', 'Multi-year campaigns', 'Enterprise deployments'],
             notAllowed: ['Resale as standalone art', 'NFT minting']
+          },
+          exclusive: {
+            price: LICENSE_PRICES.exclusive,
+            currency: '$PHOS',
+            duration: '1 year',
+            description: 'Exclusive commercial rights. No other commercial licenses are granted for the piece within your scope while it is active.',
+            allowed: getLicenseTerms('exclusive').allowed,
+            notAllowed: getLicenseTerms('exclusive').notAllowed
           }
         },
+        scopes: LICENSE_SCOPES,
+        renewal: {
+          windowDays: RENEW_WINDOW_DAYS,
+          graceDays: LICENSE_GRACE_DAYS,
+          reminderDays: [30, 7, 1]
+        },
         endpoints: {
           list: 'GET /api/license?list=true',
           checkPiece: 'GET /api/license?piece_id={id}',
           checkWallet: 'GET /api/license?wallet={address}',
-          request: 'POST /api/license'
+          request: 'POST /api/license',
+          release: 'POST /api/license { action: \'release\' }',
+          renew: 'POST /api/license { action: \'renew\' }',
+          certificate: 'GET /api/license/{id}',
+          offerings: 'GET /api/license/offerings?piece_id={id}',
+          verify: 'POST /api/license/verify'
         }
       });
     }
@@ -413,11 +829,29 @@ export default async function handler(req, res) {
     if (req.method === 'POST') {
       const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
       
+      if (body?.action === 'release') {
+        return handleRelease(req, res, body, clientIP);
+      }
+      
+      if (body?.action === 'renew') {
+        return handleRenew(req, res, body, clientIP);
+      }
+      
+      if (body?.action === 'process') {
+        if (!isInternal(req)) {
+          return unauthorized(res, 'Invalid API key');
+        }
+        
+        const results = await processLicenseExpiry();
+        return res.status(200).json({ success: true, data: results });
+      }
+      
       const { 
         piece_id, 
         wallet, 
-        license_type = 'personal',
+        offering_id,
         tx_hash,
+        register_onchain,
         name,
         email,
         use_case
@@ -432,9 +866,42 @@ export default async function handler(req, res) {
         return badRequest(res, 'Valid wallet address is required');
       }
       
-      if (!['personal', 'commercial', 'commercial_extended'].includes(license_type)) {
-        return badRequest(res, 'Invalid license_type. Use: personal, commercial, or commercial_extended');
+      // An artist offering sets the type and scope
+      let offering = null;
+      if (offering_id !== undefined) {
+        if (!isValidUUID(offering_id)) {
+          return badRequest(res, 'Invalid offering_id');
+        }
+        offering = await getOffering(offering_id);
+        if (!offering || offering.piece_id !== piece_id || offering.status !== 'active') {
+          return res.status(404).json({
+            success: false,
+            error: 'Offering not found or no longer available for this piece'
+          });
+        }
+      }
+      
+      const license_type = offering ? offering.license_type : (body.license_type ?? 'personal');
+      const scope = offering ? offering.scope : (body.scope ?? 'all');
+      
+      if (!['personal', ...COMMERCIAL_LICENSE_TYPES].includes(license_type)) {
+        return badRequest(res, 'Invalid license_type. Use: personal, commercial, commercial_extended, or exclusive');
+      }
+      
+      if (!LICENSE_SCOPES[scope]) {
+        return badRequest(res, `Invalid scope. Use: ${Object.keys(LICENSE_SCOPES).join(', ')}`);
+      }
+      if (license_type === 'personal' && scope !== 'all') {
+        return badRequest(res, 'Personal licenses have no commercial scope');
+      }
+      
+      if (register_onchain !== undefined && typeof register_onchain !== 'boolean') {
+        return badRequest(res, 'register_onchain must be true or false');
+      }
+      if (register_onchain && !isRegistrySyncEnabled()) {
+        return badRequest(res, 'On-chain registration is not available');
       }
+      const registerOnchain = isRegistrySyncEnabled() && (register_onchain ?? REGISTER_ALL_LICENSES);
       
       const normalizedWallet = normalizeAddress(wallet);
       
@@ -451,42 +918,70 @@ export default async function handler(req, res) {
         });
       }
       
+      // Artist offerings replace the default catalog
+      if (!offering) {
+        const offerings = await getOfferings([piece_id]);
+        if (offerings.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'This piece is licensed through its artist\'s offerings. Pass one of them as offering_id.',
+            offerings: offerings.map(o => formatOffering(o))
+          });
+        }
+      }
+      
+      if (offering?.max_licensees != null) {
+        const counts = await countOfferingLicensees([offering.id]);
+        if (counts.get(offering.id) >= offering.max_licensees) {
+          return res.status(409).json({
+            success: false,
+            error: 'This offering has reached its licensee cap'
+          });
+        }
+      }
+      
       // Check for existing active license
-      const existingLicense = await hasActiveLicense(piece_id, normalizedWallet, license_type);
+      const existingLicense = await hasActiveLicense(piece_id, normalizedWallet, license_type, scope);
       if (existingLicense) {
         return res.status(409).json({
           success: false,
-          error: 'You already have an active license of this type for this piece'
+          error: 'You already have an active license of this type and scope for this piece'
+        });
+      }
+      
+      // Exclusivity: refuse before taking payment
+      const conflicts = await findLicenseConflicts(piece_id, license_type, scope, normalizedWallet);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: license_type === 'exclusive'
+            ? 'Other commercial licenses are active for this piece and scope'
+            : 'An exclusive license is active for this piece and scope',
+          conflicts: formatConflicts(conflicts)
         });
       }
       
       // Determine price
-      const requiredPhos = license_type === 'personal' ? 0 : 
-        (piece.license_price_phos || LICENSE_PRICES[license_type]);
+      const quote = await getLicenseQuote(piece, license_type, offering);
+      if (quote.amount > 0 && !quote.recipient) {
+        return res.status(409).json({
+          success: false,
+          error: 'The artist has no wallet on file to receive USDC'
+        });
+      }
       
-      // For commercial licenses, require payment
-      if (license_type !== 'personal') {
+      // Paid licenses require payment
+      if (quote.amount > 0) {
         if (!tx_hash) {
-          return res.status(402).json({
-            success: false,
-            error: 'Payment required',
-            payment: {
-              required: requiredPhos,
-              currency: '$PHOS',
-              token: '0x08f3e9972eb2f9f129f05b58db335d764ec9e471',
-              network: 'Base',
-              recipient: process.env.PHOS_TREASURY || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281',
-              piece: {
-                id: piece.id,
-                title: piece.title,
-                artist: piece.moltbook
-              }
-            }
+          return paymentRequired(res, piece, quote, {
+            licenseType: license_type,
+            scope,
+            offeringId: offering?.id
           });
         }
         
         // Verify payment
-        const paymentVerification = await verifyPhosPayment(tx_hash, requiredPhos, normalizedWallet);
+        const paymentVerification = await verifyLicensePayment(tx_hash, quote, normalizedWallet);
         if (!paymentVerification.valid) {
           await auditLog('LICENSE_PAYMENT_FAILED', {
             pieceId: piece_id,
@@ -504,23 +999,52 @@ export default async function handler(req, res) {
       }
       
       // Create the license
-      const license = await createLicense({
+      const { license, conflict } = await createLicense({
         piece_id,
         licensee_wallet: normalizedWallet,
         licensee_name: sanitizeText(name, 100),
         licensee_email: sanitizeText(email, 100),
         license_type,
-        duration_days: LICENSE_DURATIONS[license_type],
-        phos_paid: requiredPhos,
-        tx_hash: tx_hash || null,
+        scope,
+        duration_days: offering ? offering.duration_days : LICENSE_DURATIONS[license_type],
+        phos_paid: quote.currency === 'PHOS' ? quote.amount : 0,
+        usdc_equivalent: quote.currency === 'USDC' ? quote.amount : 0,
+        currency: quote.currency,
+        offering_id: offering?.id || null,
+        terms: offering ? getOfferingTerms(offering) : null,
+        tx_hash: quote.amount > 0 && tx_hash ? tx_hash.toLowerCase() : null,
         use_case: sanitizeText(use_case, 500),
-        status: 'active'
+        status: 'active',
+        ...(registerOnchain && getRegistrationFields())
       });
       
+      if (conflict) {
+        await auditLog('LICENSE_CONFLICT_AFTER_PAYMENT', {
+          pieceId: piece_id,
+          wallet: normalizedWallet,
+          type: license_type,
+          scope,
+          offeringId: offering?.id,
+          conflict,
+          txHash: tx_hash,
+          ip: clientIP
+        });
+        return res.status(409).json({
+          success: false,
+          error: conflict === 'offering_full'
+            ? 'The offering reached its licensee cap while your payment was verified. Contact support with your transaction hash for a refund.'
+            : 'A conflicting license was granted while your payment was verified. Contact support with your transaction hash for a refund.',
+          txHash: tx_hash || null
+        });
+      }
+      
       if (!license) {
         return serverError(res, 'Failed to create license');
       }
       
+      // Signed certificate (never blocks the license; GET /api/license/:id retries)
+      const certificate = await issueCertificate(license, piece);
+      
       // Log successful license
       await auditLog('LICENSE_CREATED', {
         licenseId: license.id,
@@ -529,16 +1053,26 @@ export default async function handler(req, res) {
         artist: piece.moltbook,
         licensee: normalizedWallet,
         type: license_type,
-        phosPaid: requiredPhos,
+        scope,
+        offeringId: offering?.id,
+        amount: quote.amount,
+        currency: quote.currency,
+        registerOnchain,
         ip: clientIP
       });
       
+      const rights = license.terms
+        ? getOfferingRights(license.terms)
+        : { allowed: getLicenseTerms(license_type).allowed, notAllowed: getLicenseTerms(license_type).notAllowed };
+      
       return res.status(201).json({
         success: true,
         message: `${license_type.charAt(0).toUpperCase() + license_type.slice(1)} license granted!`,
         license: {
           id: license.id,
           type: license.license_type,
+          scope: license.scope || scope,
+          exclusive: license.license_type === 'exclusive',
           piece: {
             id: piece.id,
             title: piece.title,
@@ -549,15 +1083,14 @@ export default async function handler(req, res) {
           createdAt: license.created_at,
           expiresAt: license.expires_at,
           durationDays: license.duration_days,
-          phosPaid: license.phos_paid
+          phosPaid: license.phos_paid,
+          price: { amount: quote.amount, currency: quote.currency },
+          offering: offering ? { id: offering.id, name: offering.name } : null,
+          onchain: formatOnchain(license)
         },
-        rights: license_type === 'personal' ? {
-          allowed: ['Personal displays', 'Non-commercial websites', 'Educational use'],
-          notAllowed: ['Commercial products', 'Advertising', 'Resale']
-        } : {
-          allowed: ['Commercial apps', 'Digital signage', 'Marketing materials', 'Products'],
-          notAllowed: ['Resale as standalone art', 'NFT minting']
-        }
+        rights,
+        certificate: certificate ? formatCertificate(certificate) : null,
+        certificateUrl: `/api/license/${license.id}`
       });
     }
     
@@ -0,0 +1,131 @@
+/**
+ * /api/license/:id
+ *
+ * GET  /api/license/:id
+ *   Platform-signed EIP-712 certificate of a license, by certificate ID or
+ *   license ID. Add ?format=html for a printable page (save it as PDF from
+ *   the browser). A license without a certificate yet (signing was down when
+ *   it was granted) gets one issued on first request.
+ *
+ * POST /api/license/:id  { "signature": "0x..." }
+ *   Artist countersignature: the artist signs the certificate's typed data
+ *   (domain, types and message from GET) with the wallet named in
+ *   message.artistWallet. The signature itself is the proof of identity.
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { supabaseRequest } from '../_lib/supabase.js';
+import { handleCors, isValidUUID, parseBody, badRequest, notFound, serverError, auditLog } from '../_lib/security.js';
+import {
+  getCertificate,
+  issueCertificate,
+  formatCertificate,
+  countersignCertificate,
+  getCertificateStatus,
+  renderCertificateHtml,
+  getLicenseSignerAddress
+} from '../_lib/license-certificates.js';
+
+async function getLicense(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(id)}&select=*&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+async function getPiece(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = checkRateLimit(`license-cert:${clientIP}`, RATE_LIMITS.standard);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { id } = req.query;
+  if (!id || !isValidUUID(id)) {
+    return badRequest(res, 'Invalid certificate or license id');
+  }
+
+  try {
+    let certificate = await getCertificate(id);
+    let license = certificate ? await getLicense(certificate.license_id) : await getLicense(id);
+
+    if (!certificate) {
+      if (!license) {
+        return notFound(res, 'License not found');
+      }
+      if (license.status !== 'active') {
+        return notFound(res, `License is ${license.status}; no certificate was issued`);
+      }
+      if (!getLicenseSignerAddress()) {
+        return serverError(res, 'License signing is not configured');
+      }
+      const piece = await getPiece(license.piece_id);
+      certificate = piece && await issueCertificate(license, piece);
+      if (!certificate) {
+        return serverError(res, 'Failed to issue certificate');
+      }
+    }
+
+    if (req.method === 'POST') {
+      const { data: body, error: parseError } = parseBody(req);
+      if (parseError) {
+        return badRequest(res, parseError);
+      }
+
+      const result = await countersignCertificate(certificate, body?.signature);
+      if (!result.success) {
+        return badRequest(res, result.error);
+      }
+
+      await auditLog('LICENSE_COUNTERSIGNED', {
+        licenseId: certificate.license_id,
+        artistWallet: result.certificate.artist_signer,
+        ip: clientIP
+      });
+
+      return res.status(200).json({ success: true, certificate: formatCertificate(result.certificate) });
+    }
+
+    const formatted = formatCertificate(certificate);
+    const status = getCertificateStatus(license, certificate.message);
+
+    if (req.query.format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderCertificateHtml(formatted, status));
+    }
+
+    return res.status(200).json({
+      success: true,
+      certificate: formatted,
+      status: status.status,
+      valid: status.valid,
+      reason: status.reason,
+      links: {
+        html: `/api/license/${certificate.license_id}?format=html`,
+        verify: '/api/license/verify'
+      }
+    });
+  } catch (e) {
+    console.error('License certificate error:', e);
+    return serverError(res, 'Failed to fetch certificate');
+  }
+}
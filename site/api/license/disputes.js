@@ -0,0 +1,526 @@
+/**
+ * /api/license/disputes
+ *
+ * Artists dispute misuse of a license of their piece; the licensee can
+ * respond; an admin revokes, refunds or dismisses (see
+ * _lib/license-disputes.js). Admin calls take an admin session
+ * (`Authorization: Bearer <token>` from /api/auth/admin) or X-Admin-Secret.
+ *
+ * GET  /api/license/disputes[?status=open|responded|resolved][&limit=50]
+ *   Admin: all disputes. Agent (X-API-Key): disputes it filed and
+ *   disputes against its wallet's licenses
+ *
+ * GET  /api/license/disputes?id=xxx
+ *   One dispute (admin, the artist or the licensee agent)
+ *
+ * POST /api/license/disputes
+ *   { "action": "file", "license_id", "reason", "description", "evidence": [{ "url", "description"? }] }
+ *     Headers: X-API-Key (artist of the piece)
+ *   { "action": "respond", "dispute_id", "wallet", "signature", "timestamp", "response", "evidence"? }
+ *     Licensee, signing createSignableMessage('respond_license_dispute', { dispute_id, wallet, response }, timestamp)
+ *   { "action": "resolve", "dispute_id", "outcome": "revoke|refund|dismiss", "note"?, "refund_amount"? }  (admin)
+ *   { "action": "revoke", "license_id", "reason", "refund"?: true, "refund_amount"? }  (admin, no dispute)
+ *   { "action": "retry_refund", "license_id", "tx_hash"? }  (admin)
+ *     Resend a failed USDC refund, settle a sent one from its receipt, or
+ *     record a refund paid by hand ($PHOS) with tx_hash
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { supabaseRequest } from '../_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  isValidUUID,
+  isValidAddress,
+  isValidTxHash,
+  normalizeAddress,
+  sanitizeText,
+  verifyApiKey,
+  verifyWalletSignatureEthers,
+  createSignableMessage,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog
+} from '../_lib/security.js';
+import { getAdminSession } from '../_lib/admin-sessions.js';
+import {
+  DISPUTE_REASONS,
+  DISPUTE_OUTCOMES,
+  validateEvidence,
+  getLicense,
+  getLicensePrice,
+  getDispute,
+  getDisputes,
+  getOpenDisputes,
+  fileDispute,
+  respondToDispute,
+  resolveDispute,
+  revokeLicense,
+  refundLicense,
+  confirmLicenseRefund,
+  recordRefund,
+  formatDispute,
+  formatRevocation
+} from '../_lib/license-disputes.js';
+
+const STATUSES = ['open', 'responded', 'resolved'];
+
+// How long a signed response stays valid
+const RESPONSE_SIGNATURE_TTL_MS = 10 * 60 * 1000;
+
+async function getPiece(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+function isArtist(piece, agent) {
+  return !!piece.moltbook && piece.moltbook.toLowerCase() === agent.username?.toLowerCase();
+}
+
+function isParty(dispute, agent) {
+  return dispute.artist === agent.username ||
+    (!!agent.wallet && agent.wallet.toLowerCase() === dispute.licensee_wallet);
+}
+
+// Optional refund amount: a positive number up to the price paid
+function parseRefundAmount(value, license) {
+  if (value == null) return { valid: true, amount: undefined };
+  const amount = Number(value);
+  const { amount: paid, currency } = getLicensePrice(license);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > paid) {
+    return { valid: false, error: `refund_amount must be more than 0 and at most the price paid (${paid} ${currency})` };
+  }
+  return { valid: true, amount };
+}
+
+function formatRefund(refund) {
+  if (!refund) return null;
+  return {
+    success: refund.success,
+    txHash: refund.txHash || null,
+    pending: !!refund.pending,
+    unconfirmed: !!refund.unconfirmed,
+    error: refund.error || null
+  };
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = checkRateLimit(`license-disputes:${clientIP}`, RATE_LIMITS.standard);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  // An admin session token is also a Bearer token; only fall back to API keys without one
+  const admin = await getAdminSession(req);
+
+  // ==================== GET ====================
+  if (req.method === 'GET') {
+    const { id, status, limit } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid dispute id');
+    }
+
+    let agent = null;
+    if (!admin) {
+      const authResult = await verifyApiKey(req);
+      if (!authResult.valid) {
+        return unauthorized(res, 'Admin session or API key required');
+      }
+      agent = authResult.agent;
+    }
+
+    try {
+      if (id) {
+        const dispute = await getDispute(id);
+        if (!dispute || (agent && !isParty(dispute, agent))) {
+          return notFound(res, 'Dispute not found');
+        }
+        return res.status(200).json({ success: true, dispute: formatDispute(dispute) });
+      }
+
+      const max = parseInt(limit, 10) || 50;
+      if (admin) {
+        const disputes = await getDisputes({ status, limit: max });
+        return res.status(200).json({
+          success: true,
+          disputes: disputes.map(formatDispute),
+          count: disputes.length
+        });
+      }
+
+      const [filed, received] = await Promise.all([
+        getDisputes({ status, artist: agent.username, limit: max }),
+        agent.wallet ? getDisputes({ status, wallet: agent.wallet, limit: max }) : []
+      ]);
+      return res.status(200).json({
+        success: true,
+        filed: filed.map(formatDispute),
+        received: received.map(formatDispute)
+      });
+    } catch (e) {
+      console.error('Dispute fetch error:', e);
+      return serverError(res, 'Failed to fetch disputes');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { data: body, error: parseError } = parseBody(req, 16 * 1024);
+  if (parseError) {
+    return badRequest(res, parseError);
+  }
+
+  const action = body?.action;
+
+  try {
+    // ==================== File (artist) ====================
+    if (action === 'file') {
+      const authResult = await verifyApiKey(req);
+      if (!authResult.valid) {
+        return unauthorized(res, authResult.error || 'Invalid API key');
+      }
+      const agent = authResult.agent;
+
+      const { license_id, reason } = body;
+      if (!license_id || !isValidUUID(license_id)) {
+        return badRequest(res, 'Valid license_id is required');
+      }
+      if (!DISPUTE_REASONS[reason]) {
+        return badRequest(res, `reason must be one of: ${Object.keys(DISPUTE_REASONS).join(', ')}`);
+      }
+      const description = sanitizeText(body.description, 2000);
+      if (!description || description.length < 20) {
+        return badRequest(res, 'description is required (20 to 2000 characters)');
+      }
+      const evidence = validateEvidence(body.evidence);
+      if (!evidence.valid) {
+        return badRequest(res, evidence.error);
+      }
+      if (evidence.evidence.length === 0) {
+        return badRequest(res, 'At least one evidence item is required');
+      }
+
+      const license = await getLicense(license_id);
+      if (!license) {
+        return notFound(res, 'License not found');
+      }
+      const piece = await getPiece(license.piece_id);
+      if (!piece || !isArtist(piece, agent)) {
+        return forbidden(res, 'Only the artist of the piece can dispute its licenses');
+      }
+
+      const result = await fileDispute({ license, piece, agent, reason, description, evidence: evidence.evidence });
+      if (!result.success) {
+        return res.status(result.status || 400).json({ success: false, error: result.error });
+      }
+
+      await auditLog('LICENSE_DISPUTE_FILED', {
+        disputeId: result.dispute.id,
+        licenseId: license.id,
+        pieceId: license.piece_id,
+        artist: agent.username,
+        licensee: license.licensee_wallet,
+        reason,
+        evidence: evidence.evidence.length,
+        ip: clientIP
+      });
+
+      return res.status(201).json({ success: true, dispute: formatDispute(result.dispute) });
+    }
+
+    // ==================== Respond (licensee) ====================
+    if (action === 'respond') {
+      const { dispute_id, wallet, signature, timestamp } = body;
+      if (!dispute_id || !isValidUUID(dispute_id)) {
+        return badRequest(res, 'Valid dispute_id is required');
+      }
+      if (!wallet || !isValidAddress(wallet)) {
+        return badRequest(res, 'Valid wallet address is required');
+      }
+      if (!signature || !timestamp) {
+        return badRequest(res, 'signature and timestamp are required to respond');
+      }
+      if (Math.abs(Date.now() - Number(timestamp)) > RESPONSE_SIGNATURE_TTL_MS) {
+        return badRequest(res, 'Signature timestamp is too old; sign a fresh response message');
+      }
+      const response = sanitizeText(body.response, 2000);
+      if (!response) {
+        return badRequest(res, 'response is required (max 2000 characters)');
+      }
+      const evidence = validateEvidence(body.evidence);
+      if (!evidence.valid) {
+        return badRequest(res, evidence.error);
+      }
+
+      const normalizedWallet = normalizeAddress(wallet);
+      const message = createSignableMessage('respond_license_dispute', {
+        dispute_id,
+        wallet: normalizedWallet,
+        response: body.response
+      }, Number(timestamp));
+
+      const sigResult = await verifyWalletSignatureEthers(message, signature, normalizedWallet);
+      if (!sigResult.valid) {
+        await auditLog('LICENSE_DISPUTE_SIGNATURE_INVALID', {
+          disputeId: dispute_id,
+          wallet: normalizedWallet,
+          error: sigResult.error,
+          ip: clientIP
+        });
+        return forbidden(res, 'Invalid wallet signature - cannot verify licensee');
+      }
+
+      const dispute = await getDispute(dispute_id);
+      if (!dispute) {
+        return notFound(res, 'Dispute not found');
+      }
+      if (dispute.licensee_wallet !== normalizedWallet) {
+        return forbidden(res, 'Only the licensee can respond to this dispute');
+      }
+
+      const result = await respondToDispute(dispute, { response, evidence: evidence.evidence });
+      if (!result.success) {
+        return res.status(result.status || 400).json({ success: false, error: result.error });
+      }
+
+      await auditLog('LICENSE_DISPUTE_RESPONDED', {
+        disputeId: dispute.id,
+        licenseId: dispute.license_id,
+        wallet: normalizedWallet,
+        evidence: evidence.evidence.length,
+        ip: clientIP
+      });
+
+      return res.status(200).json({ success: true, dispute: formatDispute(result.dispute) });
+    }
+
+    if (!['resolve', 'revoke', 'retry_refund'].includes(action)) {
+      return badRequest(res, 'action must be file, respond, resolve, revoke or retry_refund');
+    }
+
+    if (!admin) {
+      return unauthorized(res, 'Admin session required');
+    }
+
+    // ==================== Resolve (admin) ====================
+    if (action === 'resolve') {
+      const { dispute_id, outcome } = body;
+      if (!dispute_id || !isValidUUID(dispute_id)) {
+        return badRequest(res, 'Valid dispute_id is required');
+      }
+      if (!DISPUTE_OUTCOMES.includes(outcome)) {
+        return badRequest(res, `outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+      }
+
+      const dispute = await getDispute(dispute_id);
+      if (!dispute) {
+        return notFound(res, 'Dispute not found');
+      }
+
+      let refundAmount;
+      if (outcome === 'refund') {
+        const license = await getLicense(dispute.license_id);
+        const parsed = license ? parseRefundAmount(body.refund_amount, license) : { valid: true };
+        if (!parsed.valid) {
+          return badRequest(res, parsed.error);
+        }
+        refundAmount = parsed.amount;
+      }
+
+      const result = await resolveDispute(dispute, {
+        outcome,
+        note: sanitizeText(body.note, 1000),
+        actor: admin.actor,
+        refundAmount
+      });
+      if (!result.success) {
+        return res.status(result.status || 400).json({ success: false, error: result.error });
+      }
+
+      await auditLog('LICENSE_DISPUTE_RESOLVED', {
+        disputeId: dispute.id,
+        licenseId: dispute.license_id,
+        outcome,
+        admin: admin.actor,
+        licenseStatus: result.license?.status || null,
+        ip: clientIP
+      });
+      if (result.license?.status === 'revoked') {
+        await auditLog('LICENSE_REVOKED', {
+          licenseId: result.license.id,
+          disputeId: dispute.id,
+          reason: result.license.revocation_reason,
+          admin: admin.actor
+        });
+      }
+      if (result.refund) {
+        await auditLog(result.refund.success ? 'LICENSE_REFUNDED' : 'LICENSE_REFUND_FAILED', {
+          licenseId: dispute.license_id,
+          disputeId: dispute.id,
+          amount: result.license?.refund_amount,
+          currency: result.license?.refund_currency,
+          txHash: result.refund.txHash || null,
+          pending: !!result.refund.pending,
+          error: result.refund.error || null,
+          admin: admin.actor
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        dispute: formatDispute(result.dispute),
+        license: result.license
+          ? { id: result.license.id, status: result.license.status, revocation: formatRevocation(result.license) }
+          : null,
+        refund: formatRefund(result.refund)
+      });
+    }
+
+    const { license_id } = body;
+    if (!license_id || !isValidUUID(license_id)) {
+      return badRequest(res, 'Valid license_id is required');
+    }
+    const license = await getLicense(license_id);
+    if (!license) {
+      return notFound(res, 'License not found');
+    }
+
+    // ==================== Revoke (admin) ====================
+    if (action === 'revoke') {
+      const reason = sanitizeText(body.reason, 500);
+      if (!reason) {
+        return badRequest(res, 'reason is required');
+      }
+      if (body.refund !== undefined && typeof body.refund !== 'boolean') {
+        return badRequest(res, 'refund must be true or false');
+      }
+      const parsed = parseRefundAmount(body.refund_amount, license);
+      if (!parsed.valid) {
+        return badRequest(res, parsed.error);
+      }
+
+      const open = (await getOpenDisputes([license.id])).get(license.id);
+      if (open) {
+        return res.status(409).json({
+          success: false,
+          error: 'This license has an open dispute; resolve it instead',
+          disputeId: open.id
+        });
+      }
+
+      const revocation = await revokeLicense(license, reason);
+      if (!revocation.success) {
+        return res.status(revocation.status || 400).json({ success: false, error: revocation.error });
+      }
+
+      await auditLog('LICENSE_REVOKED', {
+        licenseId: license.id,
+        pieceId: license.piece_id,
+        licensee: license.licensee_wallet,
+        reason,
+        admin: admin.actor,
+        ip: clientIP
+      });
+
+      let revoked = revocation.license;
+      let refund = null;
+      if (body.refund) {
+        refund = await refundLicense(revoked, parsed.amount);
+        revoked = refund.license || revoked;
+
+        await auditLog(refund.success ? 'LICENSE_REFUNDED' : 'LICENSE_REFUND_FAILED', {
+          licenseId: license.id,
+          amount: revoked.refund_amount,
+          currency: revoked.refund_currency,
+          txHash: refund.txHash || null,
+          pending: !!refund.pending,
+          error: refund.error || null,
+          admin: admin.actor
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        license: { id: revoked.id, status: revoked.status, revocation: formatRevocation(revoked) },
+        refund: formatRefund(refund)
+      });
+    }
+
+    // ==================== Retry refund (admin) ====================
+    if (license.status !== 'revoked' || license.refund_amount == null) {
+      return res.status(409).json({ success: false, error: 'License has no refund to send' });
+    }
+    if (license.refunded_at) {
+      return res.status(409).json({ success: false, error: 'License was already refunded', txHash: license.refund_tx_hash });
+    }
+
+    const { tx_hash } = body;
+    if (tx_hash !== undefined && !isValidTxHash(tx_hash)) {
+      return badRequest(res, 'Invalid tx_hash');
+    }
+    if (!tx_hash && license.refund_currency !== 'USDC') {
+      return badRequest(res, '$PHOS refunds are paid from the treasury; record them with tx_hash');
+    }
+
+    // A claimed refund is never resent: one with a hash is settled from its
+    // receipt, one without may have gone out and is recorded by hand
+    if (!tx_hash && license.refund_status === 'sending' && !license.refund_tx_hash) {
+      return res.status(409).json({
+        success: false,
+        error: 'Refund may already have been sent. Check the platform wallet and record it with tx_hash.'
+      });
+    }
+
+    let refund;
+    if (tx_hash) {
+      const recorded = await recordRefund(license, tx_hash);
+      refund = recorded
+        ? { success: true, license: recorded, txHash: recorded.refund_tx_hash }
+        : { success: false, license, error: 'License was already refunded' };
+    } else if (license.refund_status === 'sending') {
+      refund = await confirmLicenseRefund(license);
+    } else {
+      refund = await refundLicense(license, parseFloat(license.refund_amount));
+    }
+
+    await auditLog(refund.success ? 'LICENSE_REFUNDED' : 'LICENSE_REFUND_FAILED', {
+      licenseId: license.id,
+      amount: license.refund_amount,
+      currency: license.refund_currency,
+      txHash: refund.txHash || null,
+      manual: !!tx_hash,
+      error: refund.error || null,
+      admin: admin.actor,
+      ip: clientIP
+    });
+
+    return res.status(refund.success ? 200 : refund.unconfirmed ? 202 : 502).json({
+      success: refund.success,
+      license: { id: license.id, status: 'revoked', revocation: formatRevocation(refund.license || license) },
+      refund: formatRefund(refund)
+    });
+  } catch (e) {
+    console.error('License dispute error:', e);
+    return serverError(res, 'Failed to process dispute request');
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * /api/license/offerings
+ *
+ * GET  /api/license/offerings?piece_id=xxx
+ *   Active license offerings of a piece, with licensees and remaining slots
+ *
+ * POST /api/license/offerings  (artist only)
+ *   Headers: X-API-Key: <your-api-key>
+ *   { "piece_id", "name", "description"?, "license_type"?, "scope"?, "allowed_uses",
+ *     "territory"?, "duration_days"?, "price", "currency"?, "max_licensees"? }
+ *     - Publish an offering (see _lib/license-offerings.js for the fields)
+ *   { "action": "update", "id", ...fields }   - Change an offering (granted licenses keep their terms)
+ *   { "action": "archive", "id" }             - Stop selling an offering
+ *   { "action": "set_licensable", "piece_id", "licensable": false }
+ *     - Turn licensing of the piece off (or back on)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { supabaseRequest } from '../_lib/supabase.js';
+import {
+  handleCors,
+  isValidUUID,
+  parseBody,
+  verifyApiKey,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog
+} from '../_lib/security.js';
+import {
+  validateOffering,
+  getOffering,
+  getPublicOfferings,
+  formatOffering,
+  createOffering,
+  updateOffering,
+  archiveOffering,
+  setPieceLicensable,
+  ALLOWED_USES,
+  OFFERING_CURRENCIES
+} from '../_lib/license-offerings.js';
+import { LICENSE_SCOPES } from '../_lib/licenses.js';
+
+async function getPiece(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,licensable&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+function isArtist(piece, agent) {
+  return !!piece.moltbook && piece.moltbook.toLowerCase() === agent.username?.toLowerCase();
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  if (req.method === 'GET') {
+    const rateCheck = checkRateLimit(`license-offerings:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    const { piece_id } = req.query;
+    if (!piece_id || !isValidUUID(piece_id)) {
+      return badRequest(res, 'Valid piece_id is required');
+    }
+
+    try {
+      const piece = await getPiece(piece_id);
+      if (!piece) {
+        return notFound(res, 'Piece not found');
+      }
+
+      const offerings = piece.licensable === false ? [] : (await getPublicOfferings([piece_id])).get(piece_id);
+
+      return res.status(200).json({
+        success: true,
+        piece: {
+          id: piece.id,
+          title: piece.title,
+          artist: piece.moltbook,
+          licensable: piece.licensable !== false
+        },
+        offerings,
+        fields: {
+          allowedUses: ALLOWED_USES,
+          scopes: LICENSE_SCOPES,
+          currencies: OFFERING_CURRENCIES
+        }
+      });
+    } catch (e) {
+      console.error('Offerings fetch error:', e);
+      return serverError(res, 'Failed to fetch offerings');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+  const agent = authResult.agent;
+
+  const rateCheck = checkRateLimit(`license-offerings:${agent.id}`, RATE_LIMITS.api);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { data: body, error: parseError } = parseBody(req);
+  if (parseError) {
+    return badRequest(res, parseError);
+  }
+
+  const action = body?.action || 'create';
+
+  try {
+    // ==================== Turn licensing on or off ====================
+    if (action === 'set_licensable') {
+      if (!body.piece_id || !isValidUUID(body.piece_id)) {
+        return badRequest(res, 'Valid piece_id is required');
+      }
+      if (typeof body.licensable !== 'boolean') {
+        return badRequest(res, 'licensable must be true or false');
+      }
+
+      const piece = await getPiece(body.piece_id);
+      if (!piece) {
+        return notFound(res, 'Piece not found');
+      }
+      if (!isArtist(piece, agent)) {
+        return forbidden(res, 'Only the artist can change licensing of this piece');
+      }
+
+      const result = await setPieceLicensable(piece.id, body.licensable);
+      if (!result.success) {
+        return serverError(res, result.error);
+      }
+
+      await auditLog('LICENSING_TOGGLED', {
+        pieceId: piece.id,
+        artist: agent.username,
+        licensable: body.licensable,
+        ip: clientIP
+      });
+
+      return res.status(200).json({
+        success: true,
+        piece: { id: piece.id, licensable: body.licensable },
+        message: body.licensable
+          ? 'Licensing enabled'
+          : 'Licensing disabled. Existing licenses stay valid until they expire, but none are granted or renewed.'
+      });
+    }
+
+    // ==================== Create ====================
+    if (action === 'create') {
+      if (!body.piece_id || !isValidUUID(body.piece_id)) {
+        return badRequest(res, 'Valid piece_id is required');
+      }
+
+      const piece = await getPiece(body.piece_id);
+      if (!piece) {
+        return notFound(res, 'Piece not found');
+      }
+      if (!isArtist(piece, agent)) {
+        return forbidden(res, 'Only the artist can publish offerings for this piece');
+      }
+
+      const validation = validateOffering(body);
+      if (!validation.valid) {
+        return badRequest(res, validation.error);
+      }
+      if (validation.offering.currency === 'USDC' && !agent.wallet) {
+        return badRequest(res, 'USDC offerings are paid to your wallet; add a wallet to your agent first');
+      }
+
+      const result = await createOffering(piece.id, validation.offering);
+      if (!result.success) {
+        return res.status(409).json({ success: false, error: result.error });
+      }
+
+      await auditLog('LICENSE_OFFERING_CREATED', {
+        offeringId: result.offering.id,
+        pieceId: piece.id,
+        artist: agent.username,
+        price: validation.offering.price,
+        currency: validation.offering.currency,
+        ip: clientIP
+      });
+
+      return res.status(201).json({
+        success: true,
+        offering: formatOffering(result.offering),
+        ...(piece.licensable === false && {
+          note: 'Licensing is disabled for this piece; enable it with action set_licensable to sell this offering'
+        })
+      });
+    }
+
+    if (!['update', 'archive'].includes(action)) {
+      return badRequest(res, 'action must be create, update, archive or set_licensable');
+    }
+
+    // ==================== Update / archive ====================
+    if (!body.id || !isValidUUID(body.id)) {
+      return badRequest(res, 'Valid offering id is required');
+    }
+
+    const offering = await getOffering(body.id);
+    if (!offering) {
+      return notFound(res, 'Offering not found');
+    }
+
+    const piece = await getPiece(offering.piece_id);
+    if (!piece || !isArtist(piece, agent)) {
+      return forbidden(res, 'Only the artist can change this offering');
+    }
+
+    if (action === 'archive') {
+      const result = await archiveOffering(offering);
+      if (!result.success) {
+        return serverError(res, result.error);
+      }
+
+      await auditLog('LICENSE_OFFERING_ARCHIVED', {
+        offeringId: offering.id,
+        pieceId: offering.piece_id,
+        artist: agent.username,
+        ip: clientIP
+      });
+
+      return res.status(200).json({ success: true, offering: formatOffering(result.offering) });
+    }
+
+    const validation = validateOffering(body, offering);
+    if (!validation.valid) {
+      return badRequest(res, validation.error);
+    }
+    if (validation.offering.currency === 'USDC' && !agent.wallet) {
+      return badRequest(res, 'USDC offerings are paid to your wallet; add a wallet to your agent first');
+    }
+
+    const result = await updateOffering(offering, validation.offering);
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    await auditLog('LICENSE_OFFERING_UPDATED', {
+      offeringId: offering.id,
+      pieceId: offering.piece_id,
+      artist: agent.username,
+      ip: clientIP
+    });
+
+    return res.status(200).json({ success: true, offering: formatOffering(result.offering) });
+  } catch (e) {
+    console.error('Offerings error:', e);
+    return serverError(res, 'Failed to update offerings');
+  }
+}
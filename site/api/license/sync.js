@@ -0,0 +1,142 @@
+/**
+ * /api/license/sync
+ *
+ * LicensingRegistry sync: licenses bought on the contract are indexed from
+ * its events, API licenses flagged for it are recorded on the contract,
+ * and an integrity check reports where the two disagree.
+ *
+ * GET  /api/license/sync[?state=open|resolved][&kind=expiry_mismatch][&limit=50]
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *   Divergences found by the integrity check
+ *
+ * POST /api/license/sync  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY (or X-Admin-Secret)
+ *   Index new registry events, push pending licenses, check integrity (scheduler)
+ *
+ * POST /api/license/sync  { "action": "retry", "license_id": "..." }
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *   Retry a pending or failed registration now
+ */
+
+import {
+  handleCors,
+  parseBody,
+  isValidUUID,
+  badRequest,
+  unauthorized,
+  notFound,
+  serverError,
+  auditLog,
+  isAdmin,
+  isInternal
+} from '../_lib/security.js';
+import {
+  LICENSING_REGISTRY,
+  REGISTER_ALL_LICENSES,
+  isRegistrySyncEnabled,
+  processLicenseSync,
+  retryLicenseSync,
+  getSyncIssues,
+  formatOnchain
+} from '../_lib/license-sync.js';
+
+const STATES = ['open', 'resolved'];
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
+    return;
+  }
+
+  // ==================== GET: Divergences ====================
+  if (req.method === 'GET') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+
+    const { state = 'open', kind, limit } = req.query;
+    if (!STATES.includes(state)) {
+      return badRequest(res, `state must be one of: ${STATES.join(', ')}`);
+    }
+
+    try {
+      const issues = await getSyncIssues({ state, kind, limit: parseInt(limit, 10) || 50 });
+      return res.status(200).json({
+        success: true,
+        data: {
+          registry: LICENSING_REGISTRY,
+          enabled: isRegistrySyncEnabled(),
+          registerAll: REGISTER_ALL_LICENSES,
+          state,
+          issues,
+          count: issues.length
+        }
+      });
+    } catch (e) {
+      console.error('License sync issues error:', e);
+      return serverError(res, 'Failed to fetch license sync issues');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 2 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  // ==================== POST: Worker ====================
+  if (body?.action === 'process') {
+    if (!isInternal(req) && !isAdmin(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processLicenseSync();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('License sync worker error:', e);
+      return serverError(res, 'Failed to sync licenses');
+    }
+  }
+
+  // ==================== POST: Admin retry ====================
+  if (body?.action === 'retry') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+    if (!isRegistrySyncEnabled()) {
+      return badRequest(res, 'LicensingRegistry sync is not configured');
+    }
+    if (!body.license_id || !isValidUUID(body.license_id)) {
+      return badRequest(res, 'Valid license_id is required');
+    }
+
+    try {
+      const license = await retryLicenseSync(body.license_id);
+      if (!license) {
+        return notFound(res, 'No pending or failed registration for this license');
+      }
+
+      await auditLog('LICENSE_SYNC_RETRIED', { licenseId: license.id, status: license.onchain_status });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          licenseId: license.id,
+          onchain: formatOnchain(license),
+          error: license.onchain_error || null
+        }
+      });
+    } catch (e) {
+      console.error('License sync retry error:', e);
+      return serverError(res, 'Failed to retry license sync');
+    }
+  }
+
+  return badRequest(res, 'action must be process or retry');
+}
@@ -0,0 +1,110 @@
+/**
+ * /api/license/verify
+ *
+ * GET  /api/license/verify
+ *   The platform license signer, EIP-712 domain and types - everything
+ *   needed to verify certificates offline with any EIP-712 library
+ *
+ * POST /api/license/verify  { "certificate": { "message": {...}, "signature": "0x...", "artistSignature"?: "0x..." } }
+ *   Check a certificate: `authentic` means the platform signed it (and the
+ *   artist, if countersigned); `valid` additionally means the license is
+ *   still active and this is its current certificate (the certificate
+ *   object from /api/license/:id can be posted as-is)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { supabaseRequest } from '../_lib/supabase.js';
+import { handleCors, parseBody, badRequest, serverError } from '../_lib/security.js';
+import {
+  CERTIFICATE_DOMAIN,
+  CERTIFICATE_TYPES,
+  getLicenseSignerAddress,
+  verifyCertificate,
+  getCertificateStatus
+} from '../_lib/license-certificates.js';
+
+async function getLicense(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/licenses?id=eq.${encodeURIComponent(id)}&select=*&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const signer = getLicenseSignerAddress();
+
+  if (req.method === 'GET') {
+    if (!signer) {
+      return serverError(res, 'License signing is not configured');
+    }
+    return res.status(200).json({
+      success: true,
+      signer,
+      domain: CERTIFICATE_DOMAIN,
+      types: CERTIFICATE_TYPES,
+      primaryType: 'License',
+      note: 'Times are unix seconds. Recover the EIP-712 signer and compare it to `signer`; an artistSignature must recover to message.artistWallet.'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = checkRateLimit(`license-verify:${clientIP}`, RATE_LIMITS.standard);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { data: body, error: parseError } = parseBody(req);
+  if (parseError) {
+    return badRequest(res, parseError);
+  }
+
+  const certificate = body?.certificate || body;
+  if (!certificate?.message || !certificate?.signature) {
+    return badRequest(res, 'certificate with message and signature is required');
+  }
+  if (!signer) {
+    return serverError(res, 'License signing is not configured');
+  }
+
+  const result = verifyCertificate(certificate, signer);
+  if (!result.valid) {
+    return res.status(200).json({
+      success: true,
+      authentic: false,
+      valid: false,
+      signer: result.signer || null,
+      expectedSigner: signer,
+      error: result.error
+    });
+  }
+
+  try {
+    const license = await getLicense(certificate.message.licenseId);
+    const status = getCertificateStatus(license, certificate.message);
+
+    return res.status(200).json({
+      success: true,
+      authentic: true,
+      valid: status.valid,
+      status: status.status,
+      reason: status.reason,
+      signer: result.signer,
+      expectedSigner: signer,
+      artistSigned: result.artistSigned,
+      license: certificate.message
+    });
+  } catch (e) {
+    console.error('License verify error:', e);
+    return serverError(res, 'Failed to check license status');
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * /api/listings
+ *
+ * Secondary market: collectors resell editions they own.
+ *
+ * GET  /api/listings[?piece=<pieceId>][&seller=<wallet>][&limit=50]
+ *   Active listings (public)
+ *
+ * GET  /api/listings?id=<listingId>
+ *   A single listing with its price split (public)
+ *
+ * POST /api/listings
+ *   Headers: X-API-Key: ph_xxx (must own the edition)
+ *   Body: { "piece_id": "<pieceId>", "price": 25, "edition": 3 }
+ *
+ * DELETE /api/listings?id=<listingId>
+ *   Headers: X-API-Key: ph_xxx (must be the seller)
+ *
+ * Listings are bought through the normal x402 flow:
+ *   GET /api/buy?listing=<listingId>&buyer=<wallet>
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  verifyApiKey,
+  isValidPieceId,
+  isValidUUID,
+  isValidAddress,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog
+} from './_lib/security.js';
+import { validatePrice, quotePurchase } from './_lib/pricing.js';
+import { formatEdition } from './_lib/editions.js';
+import {
+  findOwnedEdition,
+  createListing,
+  getListing,
+  getActiveListings,
+  cancelListing,
+  getRoyaltyPercent,
+  splitSecondarySale
+} from './_lib/sales.js';
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,token_id,edition_size,royalty_percent`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+function formatListing(listing, submission) {
+  const price = parseFloat(listing.price_usdc);
+  const royaltyPercent = getRoyaltyPercent(submission);
+  const { royalty, sellerProceeds } = splitSecondarySale(price, royaltyPercent);
+  const editionSize = submission?.edition_size ? parseInt(submission.edition_size, 10) : null;
+
+  return {
+    id: listing.id,
+    pieceId: listing.submission_id,
+    title: listing.piece_title,
+    artist: submission?.moltbook || null,
+    edition: formatEdition(listing.edition_number, editionSize),
+    seller: {
+      username: listing.seller_username,
+      wallet: listing.seller_wallet
+    },
+    price,
+    totalPrice: quotePurchase(price).totalPrice,
+    royaltyPercent,
+    artistRoyalty: royalty,
+    sellerProceeds,
+    currency: 'USDC',
+    status: listing.status,
+    createdAt: listing.created_at,
+    buyUrl: `/api/buy?listing=${listing.id}&buyer=<your_wallet>`
+  };
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, DELETE, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Browse listings ====================
+  if (req.method === 'GET') {
+    const { id, piece, seller, limit } = req.query;
+
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid listing id');
+    }
+    if (piece && !isValidPieceId(piece)) {
+      return badRequest(res, 'Invalid piece id');
+    }
+    if (seller && !isValidAddress(seller)) {
+      return badRequest(res, 'Invalid seller wallet');
+    }
+
+    const rateCheck = checkRateLimit(`listings:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      if (id) {
+        const listing = await getListing(id);
+        if (!listing) {
+          return notFound(res, 'Listing not found');
+        }
+        const submission = await getSubmission(listing.submission_id);
+        return res.status(200).json({ success: true, data: formatListing(listing, submission) });
+      }
+
+      const listings = await getActiveListings({
+        pieceId: piece,
+        seller,
+        limit: parseInt(limit, 10) || 50
+      });
+
+      // Royalty and edition size come from the pieces
+      const submissions = new Map();
+      const pieceIds = [...new Set(listings.map(l => l.submission_id))];
+      if (pieceIds.length > 0) {
+        const subRes = await supabaseRequest(
+          `/rest/v1/submissions?id=in.(${pieceIds.join(',')})&select=id,moltbook,edition_size,royalty_percent`
+        );
+        if (subRes.ok) {
+          for (const s of await subRes.json()) submissions.set(s.id, s);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          listings: listings.map(l => formatListing(l, submissions.get(l.submission_id))),
+          count: listings.length
+        }
+      });
+    } catch (e) {
+      console.error('Listings lookup error:', e);
+      return serverError(res, 'Failed to fetch listings');
+    }
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return badRequest(res, 'Use GET, POST or DELETE method');
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+  if (!agent.wallet) {
+    return badRequest(res, 'Your agent has no wallet on file');
+  }
+  const sellerWallet = agent.wallet.toLowerCase();
+
+  const rateCheck = checkRateLimit(`listings:${agent.id}`, RATE_LIMITS.submit);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  // ==================== DELETE: Cancel listing ====================
+  if (req.method === 'DELETE') {
+    const { id } = req.query;
+    if (!id || !isValidUUID(id)) {
+      return badRequest(res, 'Missing or invalid listing id');
+    }
+
+    try {
+      const listing = await getListing(id);
+      if (!listing) {
+        return notFound(res, 'Listing not found');
+      }
+      if (listing.seller_wallet !== sellerWallet) {
+        return forbidden(res, 'Only the seller can cancel this listing');
+      }
+
+      const cancelled = await cancelListing(id, sellerWallet);
+      if (!cancelled) {
+        return badRequest(res, `Listing is ${listing.status} and can no longer be cancelled`);
+      }
+
+      await auditLog('LISTING_CANCELLED', {
+        listingId: id,
+        seller: agent.username,
+        ip: clientIP
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { id, status: 'cancelled' }
+      });
+    } catch (e) {
+      console.error('Listing cancel error:', e);
+      return serverError(res, 'Failed to cancel listing');
+    }
+  }
+
+  // ==================== POST: Create listing ====================
+  const { data: body, error: bodyError } = parseBody(req, 4 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const pieceId = body?.piece_id || body?.id;
+  if (!pieceId || !isValidPieceId(pieceId)) {
+    return badRequest(res, 'Missing or invalid piece_id');
+  }
+
+  const priceCheck = validatePrice(body.price);
+  if (!priceCheck.valid) {
+    return badRequest(res, priceCheck.error);
+  }
+
+  const editionNumber = body.edition !== undefined ? parseInt(body.edition, 10) : undefined;
+  if (editionNumber !== undefined && !(editionNumber > 0)) {
+    return badRequest(res, 'edition must be a positive integer');
+  }
+
+  try {
+    const submission = await getSubmission(pieceId);
+    if (!submission) {
+      return notFound(res, 'Piece not found');
+    }
+
+    const ownership = await findOwnedEdition(submission, sellerWallet, editionNumber);
+    if (!ownership) {
+      return forbidden(res, editionNumber
+        ? `You do not own edition #${editionNumber} of this piece`
+        : 'You do not own an edition of this piece');
+    }
+
+    const result = await createListing({
+      submission,
+      ownership,
+      seller: { wallet: sellerWallet, username: agent.username },
+      price: priceCheck.price
+    });
+
+    if (!result.success) {
+      return badRequest(res, result.error);
+    }
+
+    await auditLog('LISTING_CREATED', {
+      listingId: result.listing.id,
+      submissionId: submission.id,
+      edition: ownership.edition_number,
+      seller: agent.username,
+      price: priceCheck.price,
+      ip: clientIP
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: formatListing(result.listing, submission)
+    });
+  } catch (e) {
+    console.error('Listing create error:', e);
+    return serverError(res, 'Failed to create listing');
+  }
+}
@@ -6,7 +6,9 @@
  * 
  * Response format:
  *   nodes: [{ id, username, totalBought, totalSold, isActive }]
- *   edges: [{ source, target, amount, count, transactions }]
+ *   edges: [{ source, target, amount, count, primaryCount, secondaryCount, transactions }]
+ *
+ * Secondary sales (collector resales) link the buyer to the reselling collector.
  */
 
 import { checkRateLimit, getClientIP, rateLimitResponse } from './_lib/rate-limit.js';
@@ -61,7 +63,7 @@ export default async function handler(req, res) {
   try {
     // Fetch all completed purchases
     const purchases = await supabaseQuery(
-      `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,seller_username,amount_usdc,tx_hash&status=eq.completed&order=created_at.desc`
+      `/rest/v1/purchases?select=id,created_at,piece_title,buyer_username,seller_username,amount_usdc,tx_hash,sale_type&status=eq.completed&order=created_at.desc`
     );
     
     if (!purchases || purchases.length === 0) {
@@ -74,6 +76,7 @@ export default async function handler(req, res) {
             totalAgents: 0,
             totalTransactions: 0,
             totalVolume: 0,
+            secondaryVolume: 0,
             loopCount: 0
           }
         }
@@ -88,6 +91,7 @@ export default async function handler(req, res) {
       const buyer = p.buyer_username || 'Unknown';
       const seller = p.seller_username || 'Unknown';
       const amount = parseFloat(p.amount_usdc) || 0;
+      const saleType = p.sale_type || 'primary';
       
       // Update buyer node
       if (!nodeMap.has(buyer)) {
@@ -127,15 +131,23 @@ export default async function handler(req, res) {
           target: seller,
           amount: 0,
           count: 0,
+          primaryCount: 0,
+          secondaryCount: 0,
           transactions: []
         });
       }
       const edge = edgeMap.get(edgeKey);
       edge.amount += amount;
       edge.count++;
+      if (saleType === 'secondary') {
+        edge.secondaryCount++;
+      } else {
+        edge.primaryCount++;
+      }
       edge.transactions.push({
         piece: p.piece_title,
         amount: amount,
+        saleType,
         date: p.created_at,
         txHash: p.tx_hash,
         explorer: `${BLOCK_EXPLORER}/tx/${p.tx_hash}`
@@ -174,6 +186,9 @@ export default async function handler(req, res) {
     
     // Calculate total volume
     const totalVolume = edges.reduce((sum, e) => sum + e.amount, 0);
+    const secondaryVolume = purchases
+      .filter(p => p.sale_type === 'secondary')
+      .reduce((sum, p) => sum + (parseFloat(p.amount_usdc) || 0), 0);
     
     // Cache for 60 seconds
     res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=120');
@@ -187,6 +202,8 @@ export default async function handler(req, res) {
           totalAgents: nodes.length,
           totalTransactions: purchases.length,
           totalVolume: parseFloat(totalVolume.toFixed(2)),
+          secondaryVolume: parseFloat(secondaryVolume.toFixed(2)),
+          secondarySales: purchases.filter(p => p.sale_type === 'secondary').length,
           loopCount, // Number of bidirectional relationships
           activeAgents: nodes.filter(n => n.isActive).length
         }
@@ -0,0 +1,579 @@
+/**
+ * /api/offers
+ *
+ * Time-limited USDC offers on pieces. The offer is escrowed in the platform
+ * wallet via a signed x402 payment when it is placed.
+ *
+ * GET  /api/offers?piece=<pieceId> | ?buyer=<wallet> | ?id=<offerId>
+ *   Open offers (public)
+ *
+ * GET  /api/offers?incoming=true
+ *   Headers: X-API-Key: ph_xxx
+ *   Open offers on pieces you created or own
+ *
+ * POST /api/offers
+ *   Headers: X-API-Key: ph_xxx
+ *   Body (place):          { "piece_id": "<pieceId>", "amount": 5, "expires_in_hours": 48, "edition": 3 }
+ *   Body (respond):        { "action": "accept" | "reject" | "counter", "id": "<offerId>", "amount": 8 }
+ *   Body (buyer):          { "action": "accept_counter" | "cancel", "id": "<offerId>" }
+ *   Placing an offer (or accepting a higher counter) answers 402 until an
+ *   X-PAYMENT header with the escrow authorization is sent.
+ *
+ * POST /api/offers  { "action": "expire" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY
+ *   Expire overdue offers and retry pending refunds (scheduler)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  verifyApiKey,
+  isValidPieceId,
+  isValidUUID,
+  isValidAddress,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog,
+  isInternal
+} from './_lib/security.js';
+import { sendError } from './_lib/errors.js';
+import { validatePrice, quotePurchase, roundUsdc, PROTOCOL_FEE_PERCENT } from './_lib/pricing.js';
+import { buildPaymentRequirements, decodePaymentHeader, encodePaymentResponse, X402_VERSION } from './_lib/x402.js';
+import { collectSignedPayment } from './_lib/facilitator.js';
+import { isPayoutConfigured, sendUsdcPayout } from './_lib/payouts.js';
+import { notifyAgent } from './_lib/notifications.js';
+import {
+  validateOfferDuration,
+  isOfferExpired,
+  formatOffer,
+  createOffer,
+  getOffer,
+  getOffers,
+  getIncomingOffers,
+  transitionOffer,
+  closeOffer,
+  expireOffers,
+  getOfferRole,
+  settleOffer,
+  notifyOfferReceived
+} from './_lib/offers.js';
+
+// Escrow is held by the platform wallet
+const PAY_TO = process.env.MINTER_WALLET || '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,token_id,edition_size,editions_sold,royalty_percent`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+async function getOwnershipByEdition(submissionId, editionNumber) {
+  const res = await supabaseRequest(
+    `/rest/v1/piece_ownerships?submission_id=eq.${encodeURIComponent(submissionId)}&edition_number=eq.${editionNumber}&status=eq.owned&select=*`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+async function getAgentByWallet(wallet) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?wallet=ilike.${encodeURIComponent(wallet)}&select=id,username,wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Collect a signed escrow payment, or answer 402 with what to sign
+ *
+ * @returns {Promise<{ transaction?: string, responded?: boolean }>}
+ */
+async function collectEscrow(req, res, { amount, resource, description, payer, extra, pieceId }) {
+  const requirements = buildPaymentRequirements({
+    amount,
+    resource,
+    description,
+    payTo: PAY_TO,
+    maxTimeoutSeconds: 60,
+    extra: {
+      ...extra,
+      protocolFee: `${PROTOCOL_FEE_PERCENT * 100}%`,
+      escrow: 'Held by the platform until the offer is accepted, or refunded'
+    }
+  });
+
+  const payment = decodePaymentHeader(req.headers['payment-signature'] || req.headers['x-payment']);
+
+  if (!payment) {
+    res.status(402).json({
+      x402Version: X402_VERSION,
+      accepts: [requirements],
+      escrow: { amount, currency: 'USDC', payTo: PAY_TO },
+      error: 'Escrow payment required'
+    });
+    return { responded: true };
+  }
+
+  const collected = await collectSignedPayment(payment, requirements, {
+    payer,
+    record: { resource, piece_id: pieceId, amount_usdc: amount }
+  });
+
+  if (!collected.success) {
+    await auditLog('PAYMENT_VERIFICATION_FAILED', {
+      scheme: 'exact',
+      purpose: 'offer_escrow',
+      payer,
+      pieceId,
+      expectedAmount: amount,
+      error: collected.error
+    });
+
+    res.status(collected.stage === 'claim' ? 409 : 402).json({
+      x402Version: X402_VERSION,
+      accepts: [requirements],
+      success: false,
+      error: {
+        code: 'PAYMENT_INVALID',
+        message: `Escrow payment rejected: ${collected.error}`
+      }
+    });
+    return { responded: true };
+  }
+
+  res.setHeader('X-PAYMENT-RESPONSE', encodePaymentResponse(collected.settlement));
+  return { transaction: collected.transaction };
+}
+
+// ==================== ACTIONS ====================
+
+async function placeOffer(req, res, { body, agent, wallet, clientIP }) {
+  const pieceId = body.piece_id || body.piece;
+  if (!pieceId || !isValidPieceId(pieceId)) {
+    return badRequest(res, 'Missing or invalid piece_id');
+  }
+
+  const priceCheck = validatePrice(body.amount);
+  if (!priceCheck.valid) {
+    return badRequest(res, priceCheck.error.replace(/^Price/, 'Amount'));
+  }
+
+  const duration = validateOfferDuration(body.expires_in_hours);
+  if (!duration.valid) {
+    return badRequest(res, duration.error);
+  }
+
+  const editionNumber = body.edition !== undefined ? parseInt(body.edition, 10) : null;
+  if (body.edition !== undefined && !(editionNumber > 0)) {
+    return badRequest(res, 'edition must be a positive integer');
+  }
+
+  const submission = await getSubmission(pieceId);
+  if (!submission || submission.status !== 'approved') {
+    return notFound(res, 'Piece not found');
+  }
+
+  if (submission.moltbook?.toLowerCase() === agent.username?.toLowerCase()) {
+    return badRequest(res, 'You cannot make an offer on your own piece');
+  }
+
+  let ownership = null;
+  if (editionNumber) {
+    ownership = await getOwnershipByEdition(submission.id, editionNumber);
+    if (!ownership) {
+      return notFound(res, `Edition #${editionNumber} has no owner yet`);
+    }
+    if (ownership.owner_wallet === wallet) {
+      return badRequest(res, 'You already own this edition');
+    }
+  }
+
+  const { basePrice, protocolFee, totalPrice } = quotePurchase(priceCheck.price);
+
+  const escrow = await collectEscrow(req, res, {
+    amount: totalPrice,
+    resource: `/api/offers?piece=${encodeURIComponent(submission.id)}&buyer=${encodeURIComponent(wallet)}`,
+    description: `Offer ${basePrice} USDC for "${submission.title}" by ${submission.moltbook}`,
+    payer: wallet,
+    pieceId: submission.id,
+    extra: {
+      pieceId: submission.id,
+      offer: basePrice,
+      edition: editionNumber,
+      expiresInHours: duration.hours
+    }
+  });
+  if (escrow.responded) return;
+
+  const result = await createOffer({
+    submission,
+    ownership,
+    buyer: { wallet, username: agent.username },
+    amount: basePrice,
+    protocolFee,
+    escrowAmount: totalPrice,
+    escrowTxHash: escrow.transaction,
+    hours: duration.hours
+  });
+
+  if (!result.success) {
+    // Funds are already in escrow: send them straight back
+    const refund = isPayoutConfigured() ? await sendUsdcPayout(wallet, totalPrice) : { success: false };
+    await auditLog('OFFER_RECORD_FAILED', {
+      pieceId: submission.id,
+      buyer: wallet,
+      escrowTx: escrow.transaction,
+      refunded: refund.success,
+      ip: clientIP
+    });
+    return serverError(res, refund.success
+      ? 'Failed to record offer. Your escrow has been refunded.'
+      : `Failed to record offer. Escrow ${escrow.transaction} has been flagged for refund.`);
+  }
+
+  await notifyOfferReceived(result.offer, submission);
+
+  await auditLog('OFFER_PLACED', {
+    offerId: result.offer.id,
+    pieceId: submission.id,
+    buyer: agent.username,
+    amount: basePrice,
+    escrowTx: escrow.transaction,
+    ip: clientIP
+  });
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      offer: formatOffer(result.offer),
+      message: `Offer of ${basePrice} USDC placed on "${submission.title}". ${totalPrice} USDC is held in escrow until it is accepted or expires.`
+    }
+  });
+}
+
+async function respondToOffer(req, res, { body, agent, wallet, action, clientIP }) {
+  const offer = await getOffer(body.id);
+  if (!offer) {
+    return notFound(res, 'Offer not found');
+  }
+
+  const submission = await getSubmission(offer.submission_id);
+  if (!submission) {
+    return notFound(res, 'Piece not found');
+  }
+
+  // Buyer side: cancel, accept a counter
+  if (action === 'cancel' || action === 'accept_counter') {
+    if (offer.buyer_wallet !== wallet) {
+      return forbidden(res, 'Only the buyer can do this');
+    }
+
+    if (action === 'cancel') {
+      const result = await closeOffer(offer, 'cancelled');
+      if (!result.success) {
+        return sendError(res, 'OFFER_CLOSED');
+      }
+      await auditLog('OFFER_CANCELLED', { offerId: offer.id, buyer: agent.username, ip: clientIP });
+      return res.status(200).json({
+        success: true,
+        data: { offer: formatOffer(result.offer) }
+      });
+    }
+
+    if (offer.status !== 'countered' || isOfferExpired(offer)) {
+      return sendError(res, 'OFFER_CLOSED', 'There is no open counter-offer to accept');
+    }
+
+    const counterer = await getAgentByWallet(offer.countered_by_wallet);
+    const { role, ownership } = counterer
+      ? await getOfferRole(offer, submission, counterer)
+      : { role: null };
+    if (!role) {
+      return sendError(res, 'OFFER_CLOSED', 'The counter-offer can no longer be honored');
+    }
+
+    const counterAmount = parseFloat(offer.counter_amount);
+    const counterTotal = quotePurchase(counterAmount).totalPrice;
+    const escrowed = parseFloat(offer.escrow_amount);
+    const updates = { status: 'accepted', accepted_by_wallet: counterer.wallet.toLowerCase() };
+
+    // A higher counter needs the difference added to escrow first
+    if (counterTotal > escrowed) {
+      const topUp = roundUsdc(counterTotal - escrowed);
+      const escrow = await collectEscrow(req, res, {
+        amount: topUp,
+        resource: `/api/offers?id=${encodeURIComponent(offer.id)}&action=accept_counter`,
+        description: `Top up offer on "${submission.title}" to ${counterAmount} USDC`,
+        payer: wallet,
+        pieceId: submission.id,
+        extra: { offerId: offer.id, counter: counterAmount, alreadyEscrowed: escrowed }
+      });
+      if (escrow.responded) return;
+
+      updates.escrow_amount = roundUsdc(escrowed + topUp);
+      updates.topup_tx_hash = escrow.transaction;
+    }
+
+    const accepted = await transitionOffer(offer.id, ['countered'], updates, { unexpired: true });
+    if (!accepted) {
+      if (updates.topup_tx_hash && isPayoutConfigured()) {
+        await sendUsdcPayout(wallet, roundUsdc(updates.escrow_amount - escrowed));
+      }
+      return sendError(res, 'OFFER_CLOSED');
+    }
+
+    return finishSale(res, accepted, {
+      submission,
+      seller: { ...counterer, role, ownership },
+      price: counterAmount,
+      revertTo: 'countered',
+      agent,
+      clientIP
+    });
+  }
+
+  // Seller side: artist or edition owner
+  const { role, ownership } = await getOfferRole(offer, submission, agent);
+  if (!role) {
+    return forbidden(res, 'Only the artist or an owner of this piece can respond to offers on it');
+  }
+
+  if (action === 'reject') {
+    const result = await closeOffer(offer, 'rejected');
+    if (!result.success) {
+      return sendError(res, 'OFFER_CLOSED');
+    }
+    await auditLog('OFFER_REJECTED', { offerId: offer.id, by: agent.username, ip: clientIP });
+    return res.status(200).json({
+      success: true,
+      data: { offer: formatOffer(result.offer) }
+    });
+  }
+
+  if (action === 'counter') {
+    const priceCheck = validatePrice(body.amount);
+    if (!priceCheck.valid) {
+      return badRequest(res, priceCheck.error.replace(/^Price/, 'Amount'));
+    }
+    if (priceCheck.price === parseFloat(offer.amount_usdc)) {
+      return badRequest(res, 'A counter-offer must differ from the offer; accept it instead');
+    }
+
+    const countered = await transitionOffer(offer.id, ['active'], {
+      status: 'countered',
+      counter_amount: priceCheck.price,
+      countered_by_wallet: wallet,
+      countered_at: new Date().toISOString()
+    }, { unexpired: true });
+    if (!countered) {
+      return sendError(res, 'OFFER_CLOSED');
+    }
+
+    await notifyAgent({
+      wallet: offer.buyer_wallet,
+      type: 'offer_countered',
+      title: 'Counter-offer received 🔁',
+      message: `${agent.username} countered your ${parseFloat(offer.amount_usdc)} USDC offer on "${submission.title}" with ${priceCheck.price} USDC`,
+      data: { offer_id: offer.id, piece_id: submission.id, piece_title: submission.title, counter: priceCheck.price }
+    });
+
+    await auditLog('OFFER_COUNTERED', { offerId: offer.id, by: agent.username, amount: priceCheck.price, ip: clientIP });
+
+    return res.status(200).json({
+      success: true,
+      data: { offer: formatOffer(countered) }
+    });
+  }
+
+  // accept
+  const accepted = await transitionOffer(offer.id, ['active'], {
+    status: 'accepted',
+    accepted_by_wallet: wallet
+  }, { unexpired: true });
+  if (!accepted) {
+    return sendError(res, 'OFFER_CLOSED');
+  }
+
+  return finishSale(res, accepted, {
+    submission,
+    seller: { ...agent, wallet, role, ownership },
+    price: parseFloat(offer.amount_usdc),
+    revertTo: 'active',
+    agent,
+    clientIP
+  });
+}
+
+async function finishSale(res, offer, { submission, seller, price, revertTo, agent, clientIP }) {
+  const sale = await settleOffer(offer, { submission, seller, price, revertTo });
+
+  if (!sale.success) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'OFFER_CLOSED', message: sale.error }
+    });
+  }
+
+  await auditLog('OFFER_ACCEPTED', {
+    offerId: offer.id,
+    pieceId: submission.id,
+    buyer: offer.buyer_wallet,
+    seller: seller.wallet,
+    role: seller.role,
+    price,
+    by: agent.username,
+    ip: clientIP
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      offer: formatOffer({ ...offer, sale_type: seller.role === 'artist' ? 'primary' : 'secondary', purchase_id: sale.purchase?.id }),
+      sale: {
+        purchaseId: sale.purchase?.id || null,
+        type: seller.role === 'artist' ? 'primary' : 'secondary',
+        price,
+        edition: sale.editionNumber,
+        refund: sale.refund?.txHash ? { txHash: sale.refund.txHash } : null
+      },
+      message: `Sold "${submission.title}" for ${price} USDC`
+    }
+  });
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Browse offers ====================
+  if (req.method === 'GET') {
+    const { id, piece, buyer, incoming } = req.query;
+
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid offer id');
+    }
+    if (piece && !isValidPieceId(piece)) {
+      return badRequest(res, 'Invalid piece id');
+    }
+    if (buyer && !isValidAddress(buyer)) {
+      return badRequest(res, 'Invalid buyer wallet');
+    }
+
+    const rateCheck = checkRateLimit(`offers:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      if (id) {
+        const offer = await getOffer(id);
+        if (!offer) {
+          return notFound(res, 'Offer not found');
+        }
+        return res.status(200).json({ success: true, data: formatOffer(offer) });
+      }
+
+      let offers;
+      if (incoming === 'true' || incoming === '1') {
+        const authResult = await verifyApiKey(req);
+        if (!authResult.valid) {
+          return unauthorized(res, authResult.error || 'Invalid API key');
+        }
+        offers = await getIncomingOffers(authResult.agent);
+      } else {
+        if (!piece && !buyer) {
+          return badRequest(res, 'Provide piece, buyer, id or incoming=true');
+        }
+        offers = await getOffers({ pieceId: piece, buyer });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          offers: offers.map(formatOffer),
+          count: offers.length
+        }
+      });
+    } catch (e) {
+      console.error('Offers lookup error:', e);
+      return serverError(res, 'Failed to fetch offers');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 4 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const action = body?.action || 'place';
+
+  // ==================== POST: Expire (internal scheduler) ====================
+  if (action === 'expire') {
+    if (!isInternal(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await expireOffers();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Offer expiry error:', e);
+      return serverError(res, 'Failed to expire offers');
+    }
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+  if (!agent.wallet) {
+    return badRequest(res, 'Your agent has no wallet on file');
+  }
+  const wallet = agent.wallet.toLowerCase();
+
+  const rateCheck = checkRateLimit(`offers:${agent.id}`, RATE_LIMITS.buy);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  try {
+    if (action === 'place') {
+      return await placeOffer(req, res, { body, agent, wallet, clientIP });
+    }
+
+    if (!['accept', 'reject', 'counter', 'accept_counter', 'cancel'].includes(action)) {
+      return badRequest(res, 'action must be place, accept, reject, counter, accept_counter or cancel');
+    }
+
+    if (!body.id || !isValidUUID(body.id)) {
+      return badRequest(res, 'Missing or invalid offer id');
+    }
+
+    return await respondToOffer(req, res, { body, agent, wallet, action, clientIP });
+  } catch (e) {
+    console.error('Offer action error:', e);
+    return serverError(res, 'Failed to process offer');
+  }
+}
@@ -0,0 +1,542 @@
+/**
+ * /api/patronage
+ *
+ * Monthly USDC patronage of artists. Every period is paid straight to the
+ * artist's wallet; patrons get early access to the artist's new pieces.
+ *
+ * GET  /api/patronage?artist=<username|wallet>
+ *   The artist's current patrons (public)
+ *
+ * GET  /api/patronage
+ *   Headers: X-API-Key: ph_xxx
+ *   Your patronages, as patron and as artist
+ *
+ * POST /api/patronage
+ *   Headers: X-API-Key: ph_xxx
+ *   Body (subscribe): { "artist": "<username>", "amount": 5 }
+ *   Body (renew):     { "action": "renew", "id": "<patronageId>" }
+ *   Subscribing and renewing answer 402 until an X-PAYMENT header pays the
+ *   period to the artist.
+ *   Body (authorize): { "action": "authorize", "id": "<patronageId>", "authorizations": ["<base64 x402 payment>", ...] }
+ *   Pre-signs upcoming periods; the i-th authorization pays the i-th period
+ *   after currentPeriodEnd (see renewal.schedule in GET /api/patronage).
+ *   Body (cancel):    { "action": "cancel", "id": "<patronageId>" }
+ *
+ * POST /api/patronage  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY
+ *   Settle due pre-authorized renewals, flag and lapse unpaid ones (scheduler)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  verifyApiKey,
+  isValidUUID,
+  isValidAddress,
+  isValidUsername,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog,
+  isInternal
+} from './_lib/security.js';
+import { roundUsdc } from './_lib/pricing.js';
+import { decodePaymentHeader, encodePaymentResponse, X402_VERSION } from './_lib/x402.js';
+import { collectSignedPayment } from './_lib/facilitator.js';
+import { notifyAgent } from './_lib/notifications.js';
+import {
+  PERIOD_DAYS,
+  GRACE_DAYS,
+  RENEW_AHEAD_DAYS,
+  MAX_PREAUTHORIZED_PERIODS,
+  RUNNING_STATUSES,
+  validatePatronageAmount,
+  hasPatronAccess,
+  isRenewalOpen,
+  formatPatronage,
+  buildPatronageRequirements,
+  getRenewalSchedule,
+  verifyRenewalAuthorizations,
+  getPatronage,
+  getRunningPatronage,
+  getPatronages,
+  getPatronagePayments,
+  createPatronage,
+  scheduleRenewals,
+  renewPatronage,
+  cancelPatronage,
+  processDueRenewals
+} from './_lib/patronage.js';
+
+async function getAgent(filter) {
+  const res = await supabaseRequest(
+    `/rest/v1/agents?${filter}&select=id,username,wallet&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+/**
+ * Collect a signed payment for one period, or answer 402 with what to sign
+ *
+ * @returns {Promise<{ transaction?: string, responded?: boolean }>}
+ */
+async function collectPeriod(req, res, { artist, amount, payer, patronageId, purpose }) {
+  const requirements = buildPatronageRequirements({
+    artistWallet: artist.wallet,
+    artistUsername: artist.username,
+    amount,
+    patronageId
+  });
+
+  const payment = decodePaymentHeader(req.headers['payment-signature'] || req.headers['x-payment']);
+
+  if (!payment) {
+    res.status(402).json({
+      x402Version: X402_VERSION,
+      accepts: [requirements],
+      patronage: { artist: artist.username, amount, currency: 'USDC', period: `${PERIOD_DAYS} days`, payTo: artist.wallet },
+      error: 'Patronage payment required'
+    });
+    return { responded: true };
+  }
+
+  const collected = await collectSignedPayment(payment, requirements, {
+    payer,
+    record: { resource: requirements.resource, amount_usdc: amount }
+  });
+
+  if (!collected.success) {
+    await auditLog('PAYMENT_VERIFICATION_FAILED', {
+      scheme: 'exact',
+      purpose,
+      payer,
+      artist: artist.username,
+      expectedAmount: amount,
+      error: collected.error
+    });
+
+    res.status(collected.stage === 'claim' ? 409 : 402).json({
+      x402Version: X402_VERSION,
+      accepts: [requirements],
+      success: false,
+      error: {
+        code: 'PAYMENT_INVALID',
+        message: `Patronage payment rejected: ${collected.error}`
+      }
+    });
+    return { responded: true };
+  }
+
+  res.setHeader('X-PAYMENT-RESPONSE', encodePaymentResponse(collected.settlement));
+  return { transaction: collected.transaction };
+}
+
+function renewalInfo(patronage) {
+  if (!RUNNING_STATUSES.includes(patronage.status)) return null;
+
+  return {
+    renewOpen: isRenewalOpen(patronage),
+    renewFrom: new Date(new Date(patronage.current_period_end).getTime() - RENEW_AHEAD_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    graceEndsAt: new Date(new Date(patronage.current_period_end).getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    requirements: buildPatronageRequirements({
+      artistWallet: patronage.artist_wallet,
+      artistUsername: patronage.artist_username,
+      amount: parseFloat(patronage.amount_usdc),
+      patronageId: patronage.id
+    }),
+    schedule: getRenewalSchedule(patronage)
+  };
+}
+
+// ==================== ACTIONS ====================
+
+async function subscribe(req, res, { body, agent, wallet, clientIP }) {
+  const artistName = body.artist;
+  if (!artistName || typeof artistName !== 'string' || !isValidUsername(artistName)) {
+    return badRequest(res, 'Missing or invalid artist username');
+  }
+
+  const amountCheck = validatePatronageAmount(body.amount);
+  if (!amountCheck.valid) {
+    return badRequest(res, amountCheck.error);
+  }
+  const amount = amountCheck.amount;
+
+  const artist = await getAgent(`username=ilike.${encodeURIComponent(artistName)}`);
+  if (!artist) {
+    return notFound(res, 'Artist not found');
+  }
+  if (!artist.wallet || !isValidAddress(artist.wallet)) {
+    return badRequest(res, 'Artist has no wallet on file');
+  }
+  if (artist.wallet.toLowerCase() === wallet) {
+    return badRequest(res, 'You cannot be your own patron');
+  }
+
+  const existing = await getRunningPatronage(wallet, artist.wallet);
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'PATRONAGE_EXISTS',
+        message: `You are already a patron of ${artist.username}`,
+        patronageId: existing.id
+      }
+    });
+  }
+
+  const payment = await collectPeriod(req, res, { artist, amount, payer: wallet, purpose: 'patronage' });
+  if (payment.responded) return;
+
+  const created = await createPatronage({ patron: agent, artist, amount, txHash: payment.transaction });
+  if (!created.success) {
+    // First period already reached the artist
+    console.error(`Patronage paid (${payment.transaction}) but not recorded for ${wallet} → ${artist.wallet}`);
+    await auditLog('PATRONAGE_RECORD_FAILED', {
+      patron: agent.username,
+      artist: artist.username,
+      txHash: payment.transaction,
+      ip: clientIP
+    });
+    return res.status(created.duplicate ? 409 : 500).json({
+      success: false,
+      error: {
+        code: created.duplicate ? 'PATRONAGE_EXISTS' : 'DB_INSERT_FAILED',
+        message: 'Payment settled but the patronage could not be recorded. Contact support with the transaction hash.',
+        txHash: payment.transaction
+      }
+    });
+  }
+
+  const patronage = created.patronage;
+
+  await notifyAgent({
+    wallet: artist.wallet,
+    type: 'patronage_started',
+    title: 'New patron 💜',
+    message: `${agent.username} became your patron at ${amount} USDC per month`,
+    data: { patronage_id: patronage.id, patron: agent.username }
+  });
+
+  await auditLog('PATRONAGE_STARTED', {
+    patronageId: patronage.id,
+    patron: agent.username,
+    artist: artist.username,
+    amount,
+    txHash: payment.transaction,
+    ip: clientIP
+  });
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      ...formatPatronage(patronage),
+      txHash: payment.transaction,
+      renewal: renewalInfo(patronage),
+      message: `You are now a patron of ${artist.username}. Pre-authorize renewals with action "authorize", or renew when prompted.`
+    }
+  });
+}
+
+async function renew(req, res, { patronage, agent, wallet, clientIP }) {
+  if (!RUNNING_STATUSES.includes(patronage.status)) {
+    return badRequest(res, `Patronage is ${patronage.status}; subscribe again instead`);
+  }
+  if (!isRenewalOpen(patronage)) {
+    return badRequest(res, `Renewal opens ${RENEW_AHEAD_DAYS} days before ${patronage.current_period_end}`);
+  }
+
+  const amount = parseFloat(patronage.amount_usdc);
+  const payment = await collectPeriod(req, res, {
+    artist: { username: patronage.artist_username, wallet: patronage.artist_wallet },
+    amount,
+    payer: wallet,
+    patronageId: patronage.id,
+    purpose: 'patronage_renewal'
+  });
+  if (payment.responded) return;
+
+  const renewed = await renewPatronage(patronage, payment.transaction);
+  if (!renewed.success) {
+    console.error(`Patronage renewal paid (${payment.transaction}) but not recorded for ${patronage.id}`);
+    await auditLog('PATRONAGE_RECORD_FAILED', {
+      patronageId: patronage.id,
+      patron: agent.username,
+      txHash: payment.transaction,
+      ip: clientIP
+    });
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'INVALID_STATE',
+        message: 'Payment settled but the patronage changed while renewing. Contact support with the transaction hash.',
+        txHash: payment.transaction
+      }
+    });
+  }
+
+  await notifyAgent({
+    wallet: patronage.artist_wallet,
+    type: 'patronage_renewed',
+    title: 'Patronage renewed 💜',
+    message: `${agent.username} renewed their ${amount} USDC patronage`,
+    data: { patronage_id: patronage.id }
+  });
+
+  await auditLog('PATRONAGE_RENEWED', {
+    patronageId: patronage.id,
+    patron: agent.username,
+    amount,
+    txHash: payment.transaction,
+    ip: clientIP
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...formatPatronage(renewed.patronage),
+      txHash: payment.transaction,
+      message: `Renewed through ${renewed.patronage.current_period_end}`
+    }
+  });
+}
+
+async function authorize(req, res, { body, patronage, agent, clientIP }) {
+  if (!RUNNING_STATUSES.includes(patronage.status)) {
+    return badRequest(res, `Patronage is ${patronage.status}`);
+  }
+  if (!Array.isArray(body.authorizations) || body.authorizations.length === 0) {
+    return badRequest(res, 'authorizations must be a non-empty array of base64 x402 payments');
+  }
+  if (body.authorizations.length > MAX_PREAUTHORIZED_PERIODS) {
+    return badRequest(res, `At most ${MAX_PREAUTHORIZED_PERIODS} periods can be pre-authorized`);
+  }
+
+  const payments = body.authorizations.map(decodePaymentHeader);
+  const check = verifyRenewalAuthorizations(patronage, payments);
+  if (!check.valid) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'PAYMENT_INVALID', message: check.error },
+      renewal: renewalInfo(patronage)
+    });
+  }
+
+  const scheduled = await scheduleRenewals(patronage, payments);
+  if (!scheduled.success) {
+    return serverError(res, scheduled.error);
+  }
+
+  await auditLog('PATRONAGE_AUTHORIZED', {
+    patronageId: patronage.id,
+    patron: agent.username,
+    periods: scheduled.scheduled,
+    ip: clientIP
+  });
+
+  const rows = await getPatronagePayments(patronage.id);
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...formatPatronage(patronage, rows),
+      message: `${scheduled.scheduled} renewal${scheduled.scheduled === 1 ? '' : 's'} pre-authorized`
+    }
+  });
+}
+
+async function cancel(req, res, { patronage, agent, clientIP }) {
+  const cancelled = await cancelPatronage(patronage);
+  if (!cancelled) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'INVALID_STATE', message: `Patronage is already ${patronage.status}` }
+    });
+  }
+
+  await notifyAgent({
+    wallet: patronage.artist_wallet,
+    type: 'patronage_cancelled',
+    title: 'Patronage cancelled',
+    message: `${agent.username} cancelled their patronage (perks last until ${patronage.current_period_end})`,
+    data: { patronage_id: patronage.id }
+  });
+
+  await auditLog('PATRONAGE_CANCELLED', {
+    patronageId: patronage.id,
+    patron: agent.username,
+    ip: clientIP
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...formatPatronage(cancelled),
+      message: `Cancelled. Your perks last until ${cancelled.current_period_end}.`
+    }
+  });
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Patron list / my patronages ====================
+  if (req.method === 'GET') {
+    const { artist } = req.query;
+
+    if (artist && !isValidAddress(artist) && !isValidUsername(artist)) {
+      return badRequest(res, 'Invalid artist');
+    }
+
+    const rateCheck = checkRateLimit(`patronage:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      if (artist) {
+        const agent = isValidAddress(artist)
+          ? await getAgent(`wallet=ilike.${encodeURIComponent(artist)}`)
+          : await getAgent(`username=ilike.${encodeURIComponent(artist)}`);
+        if (!agent?.wallet) {
+          return notFound(res, 'Artist not found');
+        }
+
+        const patrons = (await getPatronages({ artistWallet: agent.wallet, statuses: ['active', 'past_due', 'cancelled'] }))
+          .filter(p => hasPatronAccess(p));
+        const renewing = patrons.filter(p => RUNNING_STATUSES.includes(p.status));
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            artist: { username: agent.username, wallet: agent.wallet },
+            patrons: patrons.map(p => ({
+              id: p.id,
+              username: p.patron_username,
+              wallet: p.patron_wallet,
+              amount: parseFloat(p.amount_usdc),
+              status: p.status,
+              since: p.started_at,
+              currentPeriodEnd: p.current_period_end
+            })),
+            count: patrons.length,
+            monthlyTotal: roundUsdc(renewing.reduce((sum, p) => sum + parseFloat(p.amount_usdc), 0)),
+            currency: 'USDC'
+          }
+        });
+      }
+
+      const authResult = await verifyApiKey(req);
+      if (!authResult.valid) {
+        return unauthorized(res, authResult.error || 'Provide artist, or an API key to list your patronages');
+      }
+      const wallet = authResult.agent.wallet;
+      if (!wallet) {
+        return badRequest(res, 'Your agent has no wallet on file');
+      }
+
+      const [asPatron, asArtist] = await Promise.all([
+        getPatronages({ patronWallet: wallet }),
+        getPatronages({ artistWallet: wallet })
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          asPatron: asPatron.map(p => ({ ...formatPatronage(p), renewal: renewalInfo(p) })),
+          asArtist: asArtist.map(p => formatPatronage(p))
+        }
+      });
+    } catch (e) {
+      console.error('Patronage lookup error:', e);
+      return serverError(res, 'Failed to fetch patronages');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 64 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const action = body?.action || 'subscribe';
+
+  // ==================== POST: Process (internal scheduler) ====================
+  if (action === 'process') {
+    if (!isInternal(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processDueRenewals();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Patronage worker error:', e);
+      return serverError(res, 'Failed to process renewals');
+    }
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+  if (!agent.wallet) {
+    return badRequest(res, 'Your agent has no wallet on file');
+  }
+  const wallet = agent.wallet.toLowerCase();
+
+  const rateCheck = checkRateLimit(`patronage:${agent.id}`, RATE_LIMITS.buy);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  try {
+    if (action === 'subscribe') {
+      return await subscribe(req, res, { body, agent, wallet, clientIP });
+    }
+
+    if (!['renew', 'authorize', 'cancel'].includes(action)) {
+      return badRequest(res, 'action must be subscribe, renew, authorize or cancel');
+    }
+
+    if (!body.id || !isValidUUID(body.id)) {
+      return badRequest(res, 'Missing or invalid patronage id');
+    }
+
+    const patronage = await getPatronage(body.id);
+    if (!patronage) {
+      return notFound(res, 'Patronage not found');
+    }
+    if (patronage.patron_wallet !== wallet) {
+      return forbidden(res, 'This is not your patronage');
+    }
+
+    if (action === 'renew') {
+      return await renew(req, res, { patronage, agent, wallet, clientIP });
+    }
+    if (action === 'authorize') {
+      return await authorize(req, res, { body, patronage, agent, clientIP });
+    }
+    return await cancel(req, res, { patronage, agent, clientIP });
+  } catch (e) {
+    console.error('Patronage action error:', e);
+    return serverError(res, 'Failed to process patronage');
+  }
+}
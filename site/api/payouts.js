@@ -0,0 +1,171 @@
+/**
+ * /api/payouts
+ *
+ * Payout ledger: what the platform owes artists and sellers for each sale
+ * and where each transfer stands (pending → sent → confirmed, or failed).
+ *
+ * GET  /api/payouts[?status=failed][&recipient=<wallet>][&purchase=<purchaseId>][&limit=50]
+ * GET  /api/payouts?id=<payoutId>
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *
+ * POST /api/payouts  { "action": "retry", "id": "<payoutId>" }
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *   Force a retry of a pending or failed payout now
+ *
+ * POST /api/payouts  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY (or X-Admin-Secret)
+ *   Retry due payouts with backoff and confirm sent ones (scheduler)
+ */
+
+import { getClientIP } from './_lib/rate-limit.js';
+import {
+  handleCors,
+  parseBody,
+  isValidUUID,
+  isValidAddress,
+  badRequest,
+  unauthorized,
+  notFound,
+  serverError,
+  auditLog,
+  isAdmin,
+  isInternal
+} from './_lib/security.js';
+import {
+  formatPayout,
+  getPayout,
+  getPayouts,
+  retryPayout,
+  processDuePayouts
+} from './_lib/payouts.js';
+
+const STATUSES = ['pending', 'sent', 'confirmed', 'failed'];
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Inspect the ledger ====================
+  if (req.method === 'GET') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+
+    const { id, status, recipient, purchase, limit } = req.query;
+
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid payout id');
+    }
+    if (status && !STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (recipient && !isValidAddress(recipient)) {
+      return badRequest(res, 'Invalid recipient wallet');
+    }
+    if (purchase && !isValidUUID(purchase)) {
+      return badRequest(res, 'Invalid purchase id');
+    }
+
+    try {
+      if (id) {
+        const payout = await getPayout(id);
+        if (!payout) {
+          return notFound(res, 'Payout not found');
+        }
+        return res.status(200).json({ success: true, data: formatPayout(payout) });
+      }
+
+      const payouts = await getPayouts({
+        status,
+        recipient,
+        purchaseId: purchase,
+        limit: parseInt(limit, 10) || 50
+      });
+
+      const totals = {};
+      for (const p of payouts) {
+        totals[p.status] = Math.round(((totals[p.status] || 0) + parseFloat(p.amount_usdc)) * 1e6) / 1e6;
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          payouts: payouts.map(formatPayout),
+          count: payouts.length,
+          totals
+        }
+      });
+    } catch (e) {
+      console.error('Payout lookup error:', e);
+      return serverError(res, 'Failed to fetch payouts');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 2 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  // ==================== POST: Worker ====================
+  if (body?.action === 'process') {
+    if (!isInternal(req) && !isAdmin(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processDuePayouts();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Payout worker error:', e);
+      return serverError(res, 'Failed to process payouts');
+    }
+  }
+
+  // ==================== POST: Force retry ====================
+  if (body?.action === 'retry') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+    if (!body.id || !isValidUUID(body.id)) {
+      return badRequest(res, 'Missing or invalid payout id');
+    }
+
+    try {
+      const payout = await getPayout(body.id);
+      if (!payout) {
+        return notFound(res, 'Payout not found');
+      }
+
+      const attempt = await retryPayout(body.id);
+      if (!attempt) {
+        return badRequest(res, `Payout is ${payout.status}; only pending or failed payouts can be retried`);
+      }
+
+      await auditLog('PAYOUT_FORCE_RETRY', {
+        payoutId: body.id,
+        recipient: payout.recipient_wallet,
+        amount: parseFloat(payout.amount_usdc),
+        result: attempt.status,
+        txHash: attempt.tx_hash || null,
+        ip: clientIP
+      });
+
+      return res.status(200).json({ success: true, data: formatPayout(attempt) });
+    } catch (e) {
+      console.error('Payout retry error:', e);
+      return serverError(res, 'Failed to retry payout');
+    }
+  }
+
+  return badRequest(res, 'action must be retry or process');
+}
@@ -10,6 +10,9 @@
 
 import { sendError, sendSuccess } from './_lib/errors.js';
 import { logger, logRequest } from './_lib/logger.js';
+import { getPiecePrice } from './_lib/pricing.js';
+import { getEditionInfo } from './_lib/editions.js';
+import { isPatronOnly } from './_lib/patronage.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
@@ -35,7 +38,7 @@ export default async function handler(req, res) {
   const { slug, limit = 50 } = req.query;
 
   try {
-    let url = `${SUPABASE_URL}/rest/v1/submissions?status=eq.approved&select=id,title,description,url,token_id,preview_url,moltbook,submitted_at&order=submitted_at.desc`;
+    let url = `${SUPABASE_URL}/rest/v1/submissions?status=eq.approved&select=id,title,description,url,token_id,preview_url,moltbook,price_usdc,edition_size,editions_sold,patron_only_until,submitted_at&order=submitted_at.desc`;
     
     if (slug) {
       url += `&id=eq.${encodeURIComponent(slug)}`;
@@ -75,6 +78,9 @@ export default async function handler(req, res) {
           tokenId: pieces[0].token_id,
           preview: pieces[0].preview_url,
           artist: { username: pieces[0].moltbook },
+          price: getPiecePrice(pieces[0]),
+          edition: getEditionInfo(pieces[0]),
+          patronsOnlyUntil: isPatronOnly(pieces[0]) ? pieces[0].patron_only_until : null,
           submittedAt: pieces[0].submitted_at
         }
       });
@@ -92,6 +98,9 @@ export default async function handler(req, res) {
         tokenId: p.token_id,
         preview: p.preview_url,
         artist: { username: p.moltbook },
+        price: getPiecePrice(p),
+        edition: getEditionInfo(p),
+        patronsOnlyUntil: isPatronOnly(p) ? p.patron_only_until : null,
         submittedAt: p.submitted_at
       }))
     });
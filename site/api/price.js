@@ -0,0 +1,184 @@
+/**
+ * /api/price
+ *
+ * Artist-set piece pricing.
+ *
+ * GET  /api/price?id=<pieceId>
+ *   Current price, platform limits and price history (public)
+ *
+ * POST /api/price
+ *   Headers: X-API-Key: ph_xxx (must be the piece's artist)
+ *   Body: { "id": "<pieceId>", "price": 2.5, "reason": "optional note" }
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
+import { supabaseRequest } from './_lib/supabase.js';
+import {
+  handleCors,
+  parseBody,
+  sanitizeString,
+  verifyApiKey,
+  isValidPieceId,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  serverError,
+  auditLog
+} from './_lib/security.js';
+import {
+  validatePrice,
+  getPiecePrice,
+  quotePurchase,
+  setPiecePrice,
+  getPriceHistory,
+  MIN_PRICE_USDC,
+  MAX_PRICE_USDC
+} from './_lib/pricing.js';
+
+async function getSubmission(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/submissions?id=eq.${encodeURIComponent(id)}&select=id,title,moltbook,status,price_usdc,price_updated_at`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Current price + history ====================
+  if (req.method === 'GET') {
+    const { id } = req.query;
+
+    if (!id || !isValidPieceId(id)) {
+      return badRequest(res, 'Missing or invalid piece id');
+    }
+
+    const rateCheck = checkRateLimit(`price:${clientIP}`, RATE_LIMITS.standard);
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(res, rateCheck.resetAt);
+    }
+
+    try {
+      const submission = await getSubmission(id);
+      if (!submission) {
+        return notFound(res, 'Piece not found');
+      }
+
+      const { basePrice, protocolFee, totalPrice } = quotePurchase(getPiecePrice(submission));
+      const history = await getPriceHistory(id);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          id: submission.id,
+          title: submission.title,
+          artist: submission.moltbook,
+          price: basePrice,
+          protocolFee,
+          totalPrice,
+          currency: 'USDC',
+          updatedAt: submission.price_updated_at,
+          limits: { min: MIN_PRICE_USDC, max: MAX_PRICE_USDC },
+          history: history.map(h => ({
+            from: h.old_price_usdc !== null ? parseFloat(h.old_price_usdc) : null,
+            to: parseFloat(h.new_price_usdc),
+            by: h.changed_by_username,
+            reason: h.reason,
+            at: h.created_at
+          }))
+        }
+      });
+    } catch (e) {
+      console.error('Price lookup error:', e);
+      return serverError(res, 'Failed to fetch price');
+    }
+  }
+
+  // ==================== POST: Update price ====================
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 4 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  const authResult = await verifyApiKey(req);
+  if (!authResult.valid) {
+    return unauthorized(res, authResult.error || 'Invalid API key');
+  }
+
+  const agent = authResult.agent;
+
+  const rateCheck = checkRateLimit(`price:${agent.id}`, RATE_LIMITS.submit);
+  res.setHeader('X-RateLimit-Remaining', rateCheck.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateCheck.resetAt / 1000));
+
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const id = body?.id || body?.piece_id;
+  if (!id || !isValidPieceId(id)) {
+    return badRequest(res, 'Missing or invalid piece id');
+  }
+
+  const priceCheck = validatePrice(body.price);
+  if (!priceCheck.valid) {
+    return badRequest(res, priceCheck.error);
+  }
+
+  try {
+    const submission = await getSubmission(id);
+    if (!submission) {
+      return notFound(res, 'Piece not found');
+    }
+
+    if (submission.moltbook?.toLowerCase() !== agent.username?.toLowerCase()) {
+      return forbidden(res, 'Only the artist can change this price');
+    }
+
+    const result = await setPiecePrice({
+      submission,
+      price: priceCheck.price,
+      agent,
+      reason: sanitizeString(body.reason, 200) || null
+    });
+
+    if (!result.success) {
+      return serverError(res, result.error);
+    }
+
+    await auditLog('PRICE_UPDATED', {
+      submissionId: submission.id,
+      agent: agent.username,
+      oldPrice: result.oldPrice,
+      newPrice: result.newPrice,
+      ip: clientIP
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        id: submission.id,
+        title: submission.title,
+        oldPrice: result.oldPrice,
+        price: result.newPrice,
+        totalPrice: quotePurchase(result.newPrice).totalPrice,
+        currency: 'USDC',
+        message: `Price updated to ${result.newPrice} USDC`
+      }
+    });
+  } catch (e) {
+    console.error('Price update error:', e);
+    return serverError(res, 'Failed to update price');
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * GET /api/receipts/:id
+ *
+ * Platform-signed EIP-712 receipt of a purchase, by receipt ID or purchase ID.
+ * The receipt is self-contained: check it offline against the signer from
+ * GET /api/receipts/verify, or POST it there.
+ *
+ * A completed purchase without a receipt yet (signing was down at sale time)
+ * gets one issued on first request.
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { supabaseRequest } from '../_lib/supabase.js';
+import { handleCors, isValidUUID, badRequest, notFound, serverError } from '../_lib/security.js';
+import { getReceipt, issueReceipt, formatReceipt, getReceiptSignerAddress } from '../_lib/receipts.js';
+
+async function getCompletedPurchase(id) {
+  const res = await supabaseRequest(
+    `/rest/v1/purchases?id=eq.${encodeURIComponent(id)}&status=eq.completed&select=*&limit=1`
+  );
+  if (!res.ok) return null;
+  const rows = await res.json();
+  return rows[0] || null;
+}
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = checkRateLimit(`receipts:${clientIP}`, RATE_LIMITS.standard);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { id } = req.query;
+  if (!id || !isValidUUID(id)) {
+    return badRequest(res, 'Invalid receipt or purchase id');
+  }
+
+  try {
+    let receipt = await getReceipt(id);
+
+    if (!receipt) {
+      const purchase = await getCompletedPurchase(id);
+      if (!purchase) {
+        return notFound(res, 'Receipt not found');
+      }
+      if (!getReceiptSignerAddress()) {
+        return serverError(res, 'Receipt signing is not configured');
+      }
+      receipt = await issueReceipt(purchase);
+      if (!receipt) {
+        return serverError(res, 'Failed to issue receipt');
+      }
+    }
+
+    return res.status(200).json({ success: true, receipt: formatReceipt(receipt) });
+  } catch (e) {
+    console.error('Receipt fetch error:', e);
+    return serverError(res, 'Failed to fetch receipt');
+  }
+}
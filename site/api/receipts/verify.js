@@ -0,0 +1,71 @@
+/**
+ * /api/receipts/verify
+ *
+ * GET  /api/receipts/verify
+ *   The platform receipt signer, EIP-712 domain and types - everything
+ *   needed to verify receipts offline with any EIP-712 library
+ *
+ * POST /api/receipts/verify  { "receipt": { "message": {...}, "signature": "0x..." } }
+ *   Check a receipt's signature against the platform signer (the receipt
+ *   object from /api/receipts/:id can be posted as-is)
+ */
+
+import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from '../_lib/rate-limit.js';
+import { handleCors, parseBody, badRequest, serverError } from '../_lib/security.js';
+import { RECEIPT_DOMAIN, RECEIPT_TYPES, getReceiptSignerAddress, verifyReceipt } from '../_lib/receipts.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  const signer = getReceiptSignerAddress();
+
+  if (req.method === 'GET') {
+    if (!signer) {
+      return serverError(res, 'Receipt signing is not configured');
+    }
+    return res.status(200).json({
+      success: true,
+      signer,
+      domain: RECEIPT_DOMAIN,
+      types: RECEIPT_TYPES,
+      primaryType: 'Receipt',
+      note: 'Amounts are atomic USDC (6 decimals). Recover the EIP-712 signer and compare it to `signer`.'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = checkRateLimit(`receipts-verify:${clientIP}`, RATE_LIMITS.standard);
+  if (!rateCheck.allowed) {
+    return rateLimitResponse(res, rateCheck.resetAt);
+  }
+
+  const { data: body, error: parseError } = parseBody(req);
+  if (parseError) {
+    return badRequest(res, parseError);
+  }
+
+  const receipt = body?.receipt || body;
+  if (!receipt?.message || !receipt?.signature) {
+    return badRequest(res, 'receipt with message and signature is required');
+  }
+  if (!signer) {
+    return serverError(res, 'Receipt signing is not configured');
+  }
+
+  const result = verifyReceipt(receipt, signer);
+
+  return res.status(200).json({
+    success: true,
+    valid: result.valid,
+    signer: result.signer || null,
+    expectedSigner: signer,
+    error: result.error,
+    receipt: result.valid ? receipt.message : undefined
+  });
+}
@@ -7,8 +7,11 @@
 
 import { checkRateLimit, getClientIP, rateLimitResponse, RATE_LIMITS } from './_lib/rate-limit.js';
 import { queryAgents, supabaseRequest } from './_lib/supabase.js';
-import { mintNFT } from './_lib/minter.js';
+import { mintNFT, getCustodyAddress, MINT_TO_CUSTODY } from './_lib/minter.js';
 import { generateArtPage, deletePage } from './_lib/page-generator.js';
+import { validatePrice, recordPriceChange, DEFAULT_PRICE_USDC } from './_lib/pricing.js';
+import { validateEditionSize } from './_lib/editions.js';
+import { validateRoyaltyPercent, getRoyaltyPercent } from './_lib/sales.js';
 import {
   handleCors,
   parseBody,
@@ -22,6 +25,9 @@ import {
   validateCsrf,
   generateCsrfToken
 } from './_lib/security.js';
+import { handleIdempotency } from './_lib/idempotency.js';
+import { resolveCollaborators, recordCollaborators, formatCollaborator } from './_lib/collaborations.js';
+import { validateEarlyAccessHours, notifyPatronsOfPiece } from './_lib/patronage.js';
 
 // URL sanitization
 function sanitizeUrl(url, maxLength = 1000) {
@@ -86,6 +92,10 @@ export default async function handler(req, res) {
     return badRequest(res, 'Use POST method');
   }
   
+  if (await handleIdempotency(req, res, 'submit')) {
+    return;
+  }
+  
   // Parse body with size limit
   const { data: body, error: bodyError } = parseBody(req, 50 * 1024);
   if (bodyError) {
@@ -158,6 +168,40 @@ export default async function handler(req, res) {
     return badRequest(res, 'art_url is required and must be a valid HTTP(S) URL');
   }
   
+  // Optional artist-set price in USDC (defaults to platform price)
+  let price = DEFAULT_PRICE_USDC;
+  if (body.price !== undefined && body.price !== null) {
+    const priceCheck = validatePrice(body.price);
+    if (!priceCheck.valid) {
+      return badRequest(res, priceCheck.error);
+    }
+    price = priceCheck.price;
+  }
+  
+  // Optional edition size: 1 (1/1), N, or 'open' (default)
+  const editionCheck = validateEditionSize(body.edition_size);
+  if (!editionCheck.valid) {
+    return badRequest(res, editionCheck.error);
+  }
+  
+  // Optional resale royalty (fraction or percent, default: platform royalty)
+  const royaltyCheck = validateRoyaltyPercent(body.royalty_percent);
+  if (!royaltyCheck.valid) {
+    return badRequest(res, royaltyCheck.error);
+  }
+  
+  // Optional co-artists with revenue shares (must add up to 100, submitter included)
+  const collabCheck = await resolveCollaborators(body.collaborators, fullAgent);
+  if (!collabCheck.valid) {
+    return badRequest(res, collabCheck.error);
+  }
+  
+  // Optional patron-only window: the artist's patrons can buy first
+  const earlyAccessCheck = validateEarlyAccessHours(body.patron_early_access_hours);
+  if (!earlyAccessCheck.valid) {
+    return badRequest(res, earlyAccessCheck.error);
+  }
+  
   // Validate URL is from phosphors.xyz
   try {
     const urlObj = new URL(art_url);
@@ -194,8 +238,10 @@ export default async function handler(req, res) {
     // ═══════════════════════════════════════════════════════════════
     // STEP 2: Mint NFT on-chain
     // ═══════════════════════════════════════════════════════════════
+    // With platform custody the token waits in the minter wallet until it is sold
+    const mintTo = (MINT_TO_CUSTODY && await getCustodyAddress()) || fullAgent.wallet;
     console.log(`⛓️ [${fullAgent.username}] Minting NFT...`);
-    const mintResult = await mintNFT(fullAgent.wallet);
+    const mintResult = await mintNFT(mintTo);
     
     if (!mintResult.success) {
       return res.status(500).json({
@@ -261,6 +307,13 @@ export default async function handler(req, res) {
       token_id: mintResult.tokenId,
       tx_hash: mintResult.txHash,
       page_url: pageResult.path,
+      price_usdc: price,
+      price_updated_at: new Date().toISOString(),
+      edition_size: editionCheck.size,
+      royalty_percent: royaltyCheck.percent,
+      patron_only_until: earlyAccessCheck.hours
+        ? new Date(Date.now() + earlyAccessCheck.hours * 60 * 60 * 1000).toISOString()
+        : null,
       submitted_at: new Date().toISOString(),
       approved_at: new Date().toISOString()
     };
@@ -306,6 +359,42 @@ export default async function handler(req, res) {
       });
     });
     
+    // Co-artists are part of the piece: without them the submission is rolled back
+    let collaborators = null;
+    if (collabCheck.collaborators) {
+      const collabResult = await recordCollaborators(created, collabCheck.collaborators);
+      if (!collabResult.success) {
+        console.error(`❌ [${fullAgent.username}] Collaborator insert failed:`, collabResult.error);
+        await txn.rollback();
+        
+        await auditLog('COLLABORATORS_INSERT_FAILED', {
+          agent: fullAgent.username,
+          title,
+          tokenId: mintResult.tokenId,
+          error: collabResult.error
+        });
+        
+        return res.status(500).json({
+          success: false,
+          error: { code: 'DB_INSERT_FAILED', message: 'Failed to save collaborators' },
+          partial: {
+            tokenId: mintResult.tokenId,
+            txHash: mintResult.txHash
+          }
+        });
+      }
+      collaborators = collabResult.collaborators;
+    }
+    
+    // Initial price is the first price_history entry (non-critical)
+    await recordPriceChange({
+      submissionId: created.id,
+      oldPrice: null,
+      newPrice: price,
+      agent: fullAgent,
+      reason: 'initial'
+    });
+    
     // ═══════════════════════════════════════════════════════════════
     // STEP 5: Update agent stats
     // ═══════════════════════════════════════════════════════════════
@@ -321,6 +410,9 @@ export default async function handler(req, res) {
       console.log(`⚠️ [${fullAgent.username}] Failed to update stats (non-critical)`);
     }
     
+    // Patrons hear about new pieces first (non-critical)
+    const patronsNotified = await notifyPatronsOfPiece(created, fullAgent.wallet).catch(() => 0);
+    
     // ═══════════════════════════════════════════════════════════════
     // SUCCESS!
     // ═══════════════════════════════════════════════════════════════
@@ -330,6 +422,7 @@ export default async function handler(req, res) {
       title,
       tokenId: mintResult.tokenId,
       txHash: mintResult.txHash,
+      collaborators: collaborators ? collaborators.map(c => `${c.username}:${c.share_percent}`) : undefined,
       ip: clientIP
     });
     
@@ -344,9 +437,17 @@ export default async function handler(req, res) {
         status: 'approved',
         token_id: mintResult.tokenId,
         tx_hash: mintResult.txHash,
+        price_usdc: price,
+        edition_size: editionCheck.size,
+        royalty_percent: getRoyaltyPercent({ royalty_percent: royaltyCheck.percent }),
+        collaborators: collaborators ? collaborators.map(formatCollaborator) : undefined,
+        patron_only_until: created.patron_only_until || undefined,
+        patrons_notified: patronsNotified,
         page_url: `https://phosphors.xyz${pageResult.path}`,
         submitted_at: created.submitted_at,
-        message: '🎨 Art submitted, minted, and live! Your piece is now in the gallery.'
+        message: collaborators
+          ? '🎨 Art submitted, minted, and live! Co-artists have been asked to confirm their shares.'
+          : '🎨 Art submitted, minted, and live! Your piece is now in the gallery.'
       }
     });
     
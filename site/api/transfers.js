@@ -0,0 +1,171 @@
+/**
+ * /api/transfers
+ *
+ * NFT delivery: each sold edition's token on its way to the buyer
+ * (pending → sent → confirmed, or failed).
+ *
+ * GET  /api/transfers[?status=failed][&recipient=<wallet>][&purchase=<purchaseId>][&limit=50]
+ * GET  /api/transfers?id=<transferId>
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *
+ * POST /api/transfers  { "action": "retry", "id": "<transferId>" }
+ *   Headers: X-Admin-Secret: ADMIN_SECRET
+ *   Force a retry of a pending or failed transfer now
+ *
+ * POST /api/transfers  { "action": "process" }
+ *   Headers: X-API-Key: INTERNAL_API_KEY (or X-Admin-Secret)
+ *   Retry due transfers with backoff and confirm sent ones (scheduler)
+ */
+
+import { getClientIP } from './_lib/rate-limit.js';
+import {
+  handleCors,
+  parseBody,
+  isValidUUID,
+  isValidAddress,
+  badRequest,
+  unauthorized,
+  notFound,
+  serverError,
+  auditLog,
+  isAdmin,
+  isInternal
+} from './_lib/security.js';
+import {
+  formatTransfer,
+  getTransfer,
+  getTransfers,
+  retryTransfer,
+  processDueTransfers
+} from './_lib/nft-transfers.js';
+
+const STATUSES = ['pending', 'sent', 'confirmed', 'failed'];
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-API-Key, X-Admin-Secret'
+  })) {
+    return;
+  }
+
+  const clientIP = getClientIP(req);
+
+  // ==================== GET: Inspect the ledger ====================
+  if (req.method === 'GET') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+
+    const { id, status, recipient, purchase, limit } = req.query;
+
+    if (id && !isValidUUID(id)) {
+      return badRequest(res, 'Invalid transfer id');
+    }
+    if (status && !STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (recipient && !isValidAddress(recipient)) {
+      return badRequest(res, 'Invalid recipient wallet');
+    }
+    if (purchase && !isValidUUID(purchase)) {
+      return badRequest(res, 'Invalid purchase id');
+    }
+
+    try {
+      if (id) {
+        const transfer = await getTransfer(id);
+        if (!transfer) {
+          return notFound(res, 'Transfer not found');
+        }
+        return res.status(200).json({ success: true, data: formatTransfer(transfer) });
+      }
+
+      const transfers = await getTransfers({
+        status,
+        recipient,
+        purchaseId: purchase,
+        limit: parseInt(limit, 10) || 50
+      });
+
+      const counts = {};
+      for (const t of transfers) {
+        counts[t.status] = (counts[t.status] || 0) + 1;
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          transfers: transfers.map(formatTransfer),
+          count: transfers.length,
+          counts
+        }
+      });
+    } catch (e) {
+      console.error('Transfer lookup error:', e);
+      return serverError(res, 'Failed to fetch transfers');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return badRequest(res, 'Use GET or POST method');
+  }
+
+  const { data: body, error: bodyError } = parseBody(req, 2 * 1024);
+  if (bodyError) {
+    return badRequest(res, bodyError);
+  }
+
+  // ==================== POST: Worker ====================
+  if (body?.action === 'process') {
+    if (!isInternal(req) && !isAdmin(req)) {
+      return unauthorized(res, 'Invalid API key');
+    }
+
+    try {
+      const results = await processDueTransfers();
+      return res.status(200).json({ success: true, data: results });
+    } catch (e) {
+      console.error('Transfer worker error:', e);
+      return serverError(res, 'Failed to process transfers');
+    }
+  }
+
+  // ==================== POST: Force retry ====================
+  if (body?.action === 'retry') {
+    if (!isAdmin(req)) {
+      return unauthorized(res, 'Admin secret required');
+    }
+    if (!body.id || !isValidUUID(body.id)) {
+      return badRequest(res, 'Missing or invalid transfer id');
+    }
+
+    try {
+      const transfer = await getTransfer(body.id);
+      if (!transfer) {
+        return notFound(res, 'Transfer not found');
+      }
+
+      const attempt = await retryTransfer(body.id);
+      if (!attempt) {
+        return badRequest(res, `Transfer is ${transfer.status}; only pending or failed transfers can be retried`);
+      }
+
+      await auditLog('NFT_TRANSFER_FORCE_RETRY', {
+        transferId: body.id,
+        recipient: transfer.to_wallet,
+        tokenId: transfer.token_id,
+        result: attempt.status,
+        txHash: attempt.tx_hash || null,
+        ip: clientIP
+      });
+
+      return res.status(200).json({ success: true, data: formatTransfer(attempt) });
+    } catch (e) {
+      console.error('Transfer retry error:', e);
+      return serverError(res, 'Failed to retry transfer');
+    }
+  }
+
+  return badRequest(res, 'action must be retry or process');
+}
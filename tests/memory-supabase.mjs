@@ -0,0 +1,193 @@
+/**
+ * In-memory Supabase (PostgREST) for offline tests
+ *
+ * Answers the REST calls the API makes through `fetch` from plain arrays:
+ * eq / neq / is / in / lt / lte / gt / gte / ilike / not / or filters,
+ * order and limit, inserts with `on_conflict` and the ignore / merge
+ * duplicate preferences, PATCH and DELETE. Column defaults and RPCs come
+ * from the handlers passed in. Any URL that isn't a Supabase REST call is
+ * refused, so a test that reaches for the network fails loudly.
+ *
+ * Usage:
+ *   const db = createMemorySupabase({ submissions: [...] }, {
+ *     unique: { purchases: 'tx_hash,cart_line' },
+ *     defaults: { payouts: () => ({ attempts: 0, next_attempt_at: new Date().toISOString() }) },
+ *     rpc: { claim_edition: (args, db) => [...] }
+ *   });
+ *   globalThis.fetch = db.fetch;
+ */
+
+export function createMemorySupabase(tables = {}, { unique = {}, defaults = {}, rpc = {} } = {}) {
+  let seq = 0;
+  const uuid = () => `00000000-0000-4000-8000-${String(++seq).padStart(12, '0')}`;
+
+  function table(name) {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  }
+
+  // Split "a.eq.1,or(b.eq.2,c.eq.3)" on top-level commas
+  function splitTopLevel(str) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of str) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  function compare(value, arg) {
+    return typeof value === 'number' ? value - Number(arg) : String(value).localeCompare(arg);
+  }
+
+  function test(row, column, expr) {
+    const value = row[column];
+    const dot = expr.indexOf('.');
+    const op = expr.slice(0, dot);
+    const arg = expr.slice(dot + 1);
+
+    switch (op) {
+      case 'eq': return value != null && String(value) === arg;
+      case 'neq': return value == null || String(value) !== arg;
+      case 'is': return arg === 'null' ? value == null : String(value) === arg;
+      case 'not': return !test(row, column, arg);
+      case 'in': return value != null && arg.slice(1, -1).split(',').includes(String(value));
+      case 'lt': return value != null && compare(value, arg) < 0;
+      case 'lte': return value != null && compare(value, arg) <= 0;
+      case 'gt': return value != null && compare(value, arg) > 0;
+      case 'gte': return value != null && compare(value, arg) >= 0;
+      case 'ilike': {
+        const pattern = new RegExp(`^${arg.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*')}$`, 'i');
+        return value != null && pattern.test(String(value));
+      }
+      default:
+        throw new Error(`Memory Supabase: unsupported filter ${op}`);
+    }
+  }
+
+  // One condition of an or=(...) list: "col.op.value", "and(...)" or "or(...)"
+  function testCondition(row, condition) {
+    for (const logic of ['and', 'or']) {
+      if (condition.startsWith(`${logic}(`)) {
+        const parts = splitTopLevel(condition.slice(logic.length + 1, -1));
+        return logic === 'and'
+          ? parts.every(part => testCondition(row, part))
+          : parts.some(part => testCondition(row, part));
+      }
+    }
+    const dot = condition.indexOf('.');
+    return test(row, condition.slice(0, dot), condition.slice(dot + 1));
+  }
+
+  function matches(row, params) {
+    for (const [key, value] of params) {
+      if (['select', 'order', 'limit', 'offset', 'on_conflict'].includes(key)) continue;
+      if (key === 'or' || key === 'and') {
+        if (!testCondition(row, `${key}${value}`)) return false;
+        continue;
+      }
+      if (!test(row, key, value)) return false;
+    }
+    return true;
+  }
+
+  function sortRows(rows, order) {
+    if (!order) return rows;
+    const [column, direction] = order.split(',')[0].split('.');
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => sign * String(a[column] ?? '').localeCompare(String(b[column] ?? '')));
+  }
+
+  const respond = (body, status = 200) => ({
+    ok: status < 300,
+    status,
+    headers: new Headers({ 'content-type': 'application/json' }),
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  });
+
+  function insert(name, item, { onConflict, prefer }) {
+    const rows = table(name);
+    const columns = (onConflict || unique[name] || 'id').split(',');
+    const existing = rows.find(row => columns.every(c => item[c] !== undefined && String(row[c]) === String(item[c])));
+
+    if (existing) {
+      if (prefer.includes('merge-duplicates')) return Object.assign(existing, item);
+      if (prefer.includes('ignore-duplicates')) return null;
+      const error = new Error('duplicate key value violates unique constraint');
+      error.status = 409;
+      throw error;
+    }
+
+    const row = { id: uuid(), created_at: new Date().toISOString(), ...defaults[name]?.(), ...item };
+    rows.push(row);
+    return row;
+  }
+
+  async function fetch(url, options = {}) {
+    const parsed = new URL(url);
+    if (!parsed.pathname.startsWith('/rest/v1/')) {
+      throw new Error(`Offline test: refused request to ${url}`);
+    }
+
+    const name = parsed.pathname.slice('/rest/v1/'.length);
+    const params = [...parsed.searchParams.entries()];
+    const method = options.method || 'GET';
+    const headers = options.headers || {};
+    const prefer = headers.Prefer || headers.prefer || '';
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    if (name.startsWith('rpc/')) {
+      const handler = rpc[name.slice(4)];
+      if (!handler) return respond({ message: `function ${name.slice(4)} not found` }, 404);
+      return respond(await handler(body || {}, db));
+    }
+
+    if (method === 'GET') {
+      let rows = sortRows(table(name).filter(row => matches(row, params)), parsed.searchParams.get('order'));
+      const offset = Number(parsed.searchParams.get('offset') || 0);
+      const limit = parsed.searchParams.get('limit');
+      rows = rows.slice(offset, limit ? offset + Number(limit) : undefined);
+      return respond(rows);
+    }
+
+    if (method === 'POST') {
+      const created = [];
+      try {
+        for (const item of Array.isArray(body) ? body : [body]) {
+          const row = insert(name, item, { onConflict: parsed.searchParams.get('on_conflict'), prefer });
+          if (row) created.push(row);
+        }
+      } catch (err) {
+        return respond({ code: '23505', message: err.message }, err.status || 400);
+      }
+      return respond(prefer.includes('return=minimal') ? null : created, 201);
+    }
+
+    if (method === 'PATCH') {
+      const hit = table(name).filter(row => matches(row, params));
+      hit.forEach(row => Object.assign(row, body));
+      return respond(prefer.includes('return=minimal') ? null : hit);
+    }
+
+    if (method === 'DELETE') {
+      const hit = table(name).filter(row => matches(row, params));
+      tables[name] = table(name).filter(row => !hit.includes(row));
+      return respond(hit);
+    }
+
+    return respond({ message: `Unsupported method ${method}` }, 405);
+  }
+
+  const db = { fetch, tables, table, uuid };
+  return db;
+}
@@ -0,0 +1,77 @@
+/**
+ * In-memory CDP wallets for offline tests
+ *
+ * Replaces `Wallet.import` in the Coinbase SDK so the platform wallets
+ * (minter, rewards) send through a memory chain: createTransfer becomes a
+ * USDC transfer, invokeContract a contract call. Each send can be scripted
+ * to confirm, to be broadcast and then time out in wait(), to fail on chain,
+ * or to be rejected before anything is broadcast.
+ *
+ * Usage:
+ *   const wallets = installMemoryWallets(sdk, chain);
+ *   wallets.next('timeout');   // next send: broadcast, then wait() throws
+ *   wallets.sent;              // every broadcast { destination, amount, txHash, outcome }
+ */
+
+const PLATFORM = '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
+
+/**
+ * @param {object} sdk - The @coinbase/coinbase-sdk module the API imports
+ * @param {object} chain - From createMemoryChain()
+ * @param {object} [options]
+ * @param {string} [options.address] - Address every platform wallet sends from
+ * @param {Function} [options.onInvoke] - ({ contractAddress, method, args }, success) => txHash,
+ *   to fabricate contract calls (defaults to a bare transaction)
+ */
+export function installMemoryWallets(sdk, chain, { address = PLATFORM, onInvoke } = {}) {
+  const outcomes = [];
+  const sent = [];
+
+  function operation(txHash, outcome) {
+    let status = 'broadcast';
+    return {
+      getTransactionHash: () => txHash,
+      getStatus: () => status,
+      getTransaction: () => ({ getTransactionHash: () => txHash }),
+      async wait() {
+        if (outcome === 'timeout') throw new Error('Transfer timed out');
+        status = outcome === 'failed' ? 'failed' : 'complete';
+        return this;
+      }
+    };
+  }
+
+  function send(record, broadcast) {
+    const outcome = outcomes.shift() || 'complete';
+    if (outcome === 'reject') throw new Error('Transfer rejected before broadcast');
+    const txHash = broadcast(outcome !== 'failed');
+    sent.push({ ...record, txHash, outcome });
+    return operation(txHash, outcome);
+  }
+
+  const wallet = {
+    getDefaultAddress: async () => ({ getId: () => address }),
+    async createTransfer({ amount, destination }) {
+      return send({ destination: destination.toLowerCase(), amount }, success => chain.transferErc20({
+        from: address,
+        to: destination,
+        amount: BigInt(Math.round(amount * 1e6)),
+        success
+      }));
+    },
+    async invokeContract(call) {
+      return send({ contract: call.contractAddress, method: call.method, args: call.args }, success => onInvoke
+        ? onInvoke(call, success)
+        : chain.addTransaction({ from: address, to: call.contractAddress, success }));
+    }
+  };
+
+  sdk.Coinbase.configure = () => {};
+  sdk.Wallet.import = async () => wallet;
+
+  return {
+    wallet,
+    sent,
+    next: (...scripted) => outcomes.push(...scripted)
+  };
+}
@@ -6,16 +6,41 @@
  * Usage:
  *   node tests/run-all-tests.mjs           # Run all tests
  *   node tests/run-all-tests.mjs --quick   # Run quick validation tests only
+ *   node tests/run-all-tests.mjs --offline # Run the offline suites only
  */
 
 import 'dotenv/config';
 import { runTests as runRegistrationTests } from './test-agent-registration.mjs';
 import { runTests as runSubmissionTests } from './test-piece-submission.mjs';
 import { runTests as runE2ETests } from './test-e2e-flow.mjs';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
 
 const API_BASE = process.env.API_BASE || 'https://phosphors.xyz';
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://afcnnalweuwgauzijefs.supabase.co';
 
+// The offline suites replace env, fetch and the CDP SDK for the whole process
+// (in-memory Supabase, chain and wallets), so each runs in a process of its own
+const OFFLINE_SUITES = [
+  { key: 'memoryChain', name: 'Memory Chain Payments', file: 'test-memory-chain.mjs' },
+  { key: 'payouts', name: 'Payouts & Refunds', file: 'test-payouts.mjs' }
+];
+
+function runOfflineSuite(file) {
+  const run = spawnSync(process.execPath, [fileURLToPath(new URL(file, import.meta.url))], {
+    encoding: 'utf8',
+    timeout: 5 * 60 * 1000
+  });
+  process.stdout.write(run.stdout || '');
+  process.stderr.write(run.stderr || '');
+
+  const total = /Total: (\d+) \| Passed: (\d+) \| Failed: (\d+)/.exec(run.stdout || '');
+  if (!total) {
+    return { passed: 0, failed: 1, error: run.error?.message || `exited with code ${run.status}` };
+  }
+  return { passed: Number(total[2]), failed: Number(total[3]) || (run.status === 0 ? 0 : 1) };
+}
+
 async function quickHealthCheck() {
   console.log('🏥 Quick Health Check...');
   
@@ -66,6 +91,7 @@ async function checkSupabaseConnection() {
 async function main() {
   const args = process.argv.slice(2);
   const quickMode = args.includes('--quick');
+  const offlineOnly = args.includes('--offline');
   
   console.log(`
 ╔═══════════════════════════════════════════════════════════════════════════╗
@@ -85,76 +111,96 @@ async function main() {
   console.log(`📋 Test Configuration:`);
   console.log(`   API Base: ${API_BASE}`);
   console.log(`   Supabase: ${SUPABASE_URL}`);
-  console.log(`   Mode: ${quickMode ? 'Quick' : 'Full'}`);
+  console.log(`   Mode: ${offlineOnly ? 'Offline' : quickMode ? 'Quick' : 'Full'}`);
   console.log(`   Time: ${new Date().toISOString()}`);
   console.log('');
   
-  // Pre-flight checks
-  console.log('═══════════════════════════════════════════════════════════════════════════');
-  console.log('  PRE-FLIGHT CHECKS');
-  console.log('═══════════════════════════════════════════════════════════════════════════\n');
-  
-  const supabaseOk = await checkSupabaseConnection();
-  if (!supabaseOk) {
-    console.log('\n❌ Cannot proceed: Supabase connection failed');
-    console.log('   Check SUPABASE_SERVICE_KEY environment variable');
-    process.exit(1);
-  }
-  
-  const healthOk = await quickHealthCheck();
-  if (!healthOk && !args.includes('--force')) {
-    console.log('\n⚠️  Platform health is critical. Run with --force to proceed anyway.');
-    process.exit(1);
-  }
-  
-  console.log('');
-  
-  // Run test suites
   const allResults = {
     registration: null,
     submission: null,
     e2e: null
   };
   
+  // Offline suites (no network needed)
+  console.log('═══════════════════════════════════════════════════════════════════════════');
+  console.log('  OFFLINE SUITES');
   console.log('═══════════════════════════════════════════════════════════════════════════');
-  console.log('  RUNNING TEST SUITES');
-  console.log('═══════════════════════════════════════════════════════════════════════════\n');
-  
-  // Registration tests
-  console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
-  console.log('│  SUITE 1: Agent Registration Tests                                      │');
-  console.log('└─────────────────────────────────────────────────────────────────────────┘');
   
-  try {
-    allResults.registration = await runRegistrationTests();
-  } catch (e) {
-    console.error('Registration tests failed:', e);
-    allResults.registration = { passed: 0, failed: 1, error: e.message };
+  for (const suite of OFFLINE_SUITES) {
+    console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
+    console.log(`│  ${`OFFLINE: ${suite.name} Tests`.padEnd(71)}│`);
+    console.log('└─────────────────────────────────────────────────────────────────────────┘');
+    
+    allResults[suite.key] = runOfflineSuite(suite.file);
+    if (allResults[suite.key].error) {
+      console.error(`${suite.name} tests failed:`, allResults[suite.key].error);
+    }
   }
   
-  // Submission tests
-  console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
-  console.log('│  SUITE 2: Piece Submission Tests                                        │');
-  console.log('└─────────────────────────────────────────────────────────────────────────┘');
+  console.log('');
   
-  try {
-    allResults.submission = await runSubmissionTests();
-  } catch (e) {
-    console.error('Submission tests failed:', e);
-    allResults.submission = { passed: 0, failed: 1, error: e.message };
-  }
+  if (!offlineOnly) {
+    // Pre-flight checks
+    console.log('═══════════════════════════════════════════════════════════════════════════');
+    console.log('  PRE-FLIGHT CHECKS');
+    console.log('═══════════════════════════════════════════════════════════════════════════\n');
+  
+    const supabaseOk = await checkSupabaseConnection();
+    if (!supabaseOk) {
+      console.log('\n❌ Cannot proceed: Supabase connection failed');
+      console.log('   Check SUPABASE_SERVICE_KEY environment variable');
+      process.exit(1);
+    }
+  
+    const healthOk = await quickHealthCheck();
+    if (!healthOk && !args.includes('--force')) {
+      console.log('\n⚠️  Platform health is critical. Run with --force to proceed anyway.');
+      process.exit(1);
+    }
   
-  // E2E tests (skip in quick mode)
-  if (!quickMode) {
+    console.log('');
+  
+    // Run test suites
+    console.log('═══════════════════════════════════════════════════════════════════════════');
+    console.log('  RUNNING TEST SUITES');
+    console.log('═══════════════════════════════════════════════════════════════════════════\n');
+  
+    // Registration tests
     console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
-    console.log('│  SUITE 3: End-to-End Flow Tests                                        │');
+    console.log('│  SUITE 1: Agent Registration Tests                                      │');
     console.log('└─────────────────────────────────────────────────────────────────────────┘');
-    
+  
     try {
-      allResults.e2e = await runE2ETests();
+      allResults.registration = await runRegistrationTests();
     } catch (e) {
-      console.error('E2E tests failed:', e);
-      allResults.e2e = { passed: 0, failed: 1, error: e.message };
+      console.error('Registration tests failed:', e);
+      allResults.registration = { passed: 0, failed: 1, error: e.message };
+    }
+  
+    // Submission tests
+    console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
+    console.log('│  SUITE 2: Piece Submission Tests                                        │');
+    console.log('└─────────────────────────────────────────────────────────────────────────┘');
+  
+    try {
+      allResults.submission = await runSubmissionTests();
+    } catch (e) {
+      console.error('Submission tests failed:', e);
+      allResults.submission = { passed: 0, failed: 1, error: e.message };
+    }
+  
+    // E2E tests (skip in quick mode)
+    if (!quickMode) {
+      console.log('\n┌─────────────────────────────────────────────────────────────────────────┐');
+      console.log('│  SUITE 3: End-to-End Flow Tests                                        │');
+      console.log('└─────────────────────────────────────────────────────────────────────────┘');
+    
+      try {
+        allResults.e2e = await runE2ETests();
+      } catch (e) {
+        console.error('E2E tests failed:', e);
+        allResults.e2e = { passed: 0, failed: 1, error: e.message };
+      }
     }
   }
   
@@ -169,7 +215,8 @@ async function main() {
   const suites = [
     { name: 'Registration', results: allResults.registration },
     { name: 'Submission', results: allResults.submission },
-    { name: 'E2E Flow', results: allResults.e2e }
+    { name: 'E2E Flow', results: allResults.e2e },
+    ...OFFLINE_SUITES.map(suite => ({ name: suite.name, results: allResults[suite.key] }))
   ];
   
   for (const suite of suites) {
@@ -178,7 +225,7 @@ async function main() {
       console.log(`  ${icon} ${suite.name}: ${suite.results.passed} passed, ${suite.results.failed} failed`);
       totalPassed += suite.results.passed;
       totalFailed += suite.results.failed;
-    } else if (!quickMode || suite.name !== 'E2E Flow') {
+    } else if (offlineOnly || !quickMode || suite.name !== 'E2E Flow') {
       console.log(`  ⏭️ ${suite.name}: Skipped`);
     }
   }
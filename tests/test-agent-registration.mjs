@@ -394,12 +394,14 @@ async function runTests() {
   return { passed, failed, results };
 }
 
-// Run if called directly
-runTests()
-  .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
-  .catch(e => {
-    console.error('Test runner error:', e);
-    process.exit(1);
-  });
+// Run if called directly (run-all-tests imports it)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runTests()
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch(e => {
+      console.error('Test runner error:', e);
+      process.exit(1);
+    });
+}
 
 export { runTests };
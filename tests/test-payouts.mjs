@@ -0,0 +1,663 @@
+/**
+ * Test: Payouts and Refunds on the Memory Chain (offline)
+ *
+ * Sends sale payouts through createMemoryChain(), an in-memory Supabase and
+ * in-memory CDP wallets - no RPC, database or network access. Every money
+ * path must survive a transfer that was broadcast but not confirmed in time
+ * (wait() timeout) without sending it again:
+ * 1. A payout is marked sent with its hash and confirmed from the receipt
+ * 2. A timed-out payout stays sent and is settled, never resent
+ * 3. A transfer that failed goes back to pending with backoff
+ * 4. Offer refunds are claimed once, settled from their receipts and
+ *    retried after a backoff (unused escrow on accepted offers included)
+ * 5. Cart refunds are claimed once and settled from their receipts
+ * 6. Auction bid refunds keep their hash after a timeout and are settled
+ *    from the receipt; only a refund that sent nothing goes back to pending
+ * 7. License refunds are claimed once and a timed-out one is settled from
+ *    its receipt on an admin retry
+ * 8. A signed (x402) settlement that times out after its broadcast is
+ *    collected as unconfirmed and settled from its receipt
+ * 9. A mint that times out after its broadcast stays sent and is confirmed
+ *    (token ID included) from its receipt, never minted again
+ * 10. A license registry push that times out stays sent and is synced from
+ *     its receipt, never recorded twice
+ * 11. Two renewals of one license extend it once; the loser's payment is
+ *     left unused for a retry
+ * 12. A pre-authorized patronage renewal is claimed once; one that times out
+ *     after its broadcast renews the period and is settled later
+ *
+ * Run with: node tests/test-payouts.mjs
+ */
+
+import { register, createRequire } from 'node:module';
+import { createMemorySupabase } from './memory-supabase.mjs';
+import { installMemoryWallets } from './memory-wallet.mjs';
+
+// site/ is CommonJS for its build scripts, but the API modules are ESM
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function load(url, context, next) {
+    return next(url, url.includes('/site/api/') ? { ...context, format: 'module' } : context);
+  }
+`)}`);
+
+// Read at import time by the API modules
+process.env.SUPABASE_SERVICE_KEY = 'offline-test-key';
+process.env.SESSION_SECRET = 'offline-test-session-secret';
+process.env.CDP_API_KEY_ID = 'offline';
+process.env.CDP_API_KEY_SECRET = 'offline';
+process.env.MINTER_WALLET_ID = 'offline-minter';
+process.env.MINTER_SEED = 'offline';
+process.env.LICENSING_REGISTRY_ADDRESS = '0x' + 'e5'.repeat(20);
+
+const siteRequire = createRequire(new URL('../site/package.json', import.meta.url));
+const sdk = siteRequire('@coinbase/coinbase-sdk');
+const { Wallet, Interface } = siteRequire('ethers');
+const { createMemoryChain, setChainClient } = await import('../site/api/_lib/chain.js');
+const { queueSalePayouts, processDuePayouts } = await import('../site/api/_lib/payouts.js');
+const { closeOffer, refundOffer, expireOffers } = await import('../site/api/_lib/offers.js');
+const { refundCart, processCartRefunds } = await import('../site/api/_lib/cart.js');
+const { refundBid, settleDueAuctions } = await import('../site/api/_lib/auctions.js');
+const { refundLicense, confirmLicenseRefund } = await import('../site/api/_lib/license-disputes.js');
+const { createLocalFacilitator, setFacilitator, collectSignedPayment, reconcileSettlements } = await import('../site/api/_lib/facilitator.js');
+const { queueTransfer, processDueTransfers } = await import('../site/api/_lib/nft-transfers.js');
+const { PLATFORM_CONTRACT } = await import('../site/api/_lib/minter.js');
+const { renewLicense } = await import('../site/api/_lib/licenses.js');
+const { processDueRenewals, buildPatronageRequirements } = await import('../site/api/_lib/patronage.js');
+const { processRegistrySync, toExternalId, LICENSING_REGISTRY } = await import('../site/api/_lib/license-sync.js');
+const { buildPaymentRequirements, AUTHORIZATION_TYPES, CHAIN_ID, USDC_ADDRESS, X402_NETWORK } = await import('../site/api/_lib/x402.js');
+
+const ARTIST_WALLET = '0x' + 'a1'.repeat(20);
+const SALE_TX = '0x' + '5a'.repeat(32);
+const BUYER_WALLET = '0x' + 'b2'.repeat(20);
+const PLATFORM_WALLET = '0xc27b70A5B583C6E3fF90CcDC4577cC4f1f598281';
+
+let chain;
+let db;
+let wallets;
+
+function setup() {
+  chain = createMemoryChain({ network: 'base-sepolia' });
+  setChainClient(chain);
+  wallets = installMemoryWallets(sdk, chain);
+  db = createMemorySupabase({}, {
+    unique: { payouts: 'sale_tx_hash,cart_line,role,recipient_wallet', x402_payments: 'payer,nonce' },
+    defaults: {
+      payouts: () => ({ status: 'pending', attempts: 0, cart_line: 0, next_attempt_at: new Date().toISOString() }),
+      nft_transfers: () => ({ attempts: 0, next_attempt_at: new Date().toISOString() })
+    }
+  });
+  globalThis.fetch = db.fetch;
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function runTest(testName, fn) {
+  console.log(`\n📋 Test: ${testName}`);
+  setup();
+  try {
+    await fn();
+    console.log('✅ PASSED');
+    return { passed: true, testName };
+  } catch (err) {
+    console.log(`❌ FAILED: ${err.message}`);
+    return { passed: false, testName, error: err.message };
+  }
+}
+
+function queueArtistPayout() {
+  return queueSalePayouts({
+    purchase: null,
+    saleTxHash: SALE_TX,
+    submission: { id: 'piece-1', title: 'Offline Glow' },
+    entries: [{ role: 'artist', wallet: ARTIST_WALLET, username: 'noctis', amount: 2 }]
+  });
+}
+
+// Let every scheduled retry fall due
+function makeDue(rows) {
+  for (const row of rows) {
+    if (row.next_attempt_at) row.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  }
+}
+
+async function test_payout_sent_and_confirmed() {
+  return runTest('Payout is sent and confirmed from its receipt', async () => {
+    const { artist } = await queueArtistPayout();
+    check(artist.status === 'sent' && artist.tx_hash === wallets.sent[0].txHash, 'Payout should be sent with its hash');
+
+    const run = await processDuePayouts();
+    check(run.confirmed === 1, 'Worker should confirm it from the receipt');
+    check(db.tables.payouts[0].status === 'confirmed', 'Payout should be confirmed');
+    check(wallets.sent.length === 1, 'Exactly one transfer should go out');
+  });
+}
+
+async function test_payout_timeout_not_resent() {
+  return runTest('Timed-out payout stays sent and is never resent', async () => {
+    wallets.next('timeout');
+    const { artist } = await queueArtistPayout();
+    const [payout] = db.tables.payouts;
+
+    check(artist.status === 'sent', `Payout should stay sent, got ${artist.status}`);
+    check(payout.tx_hash === wallets.sent[0].txHash, 'Broadcast hash should be stored');
+    check(/Unconfirmed/.test(payout.last_error), 'Payout should note it is unconfirmed');
+
+    makeDue(db.tables.payouts);
+    await processDuePayouts();
+    check(wallets.sent.length === 1, 'A timed-out payout must not be sent again');
+    check(payout.status === 'confirmed', 'Receipt should settle it');
+  });
+}
+
+async function test_payout_failed_transfer_retried() {
+  return runTest('Failed transfer goes back to pending', async () => {
+    wallets.next('failed');
+    const { artist } = await queueArtistPayout();
+
+    check(artist.status === 'pending' && !artist.tx_hash, 'A failed transfer should go back to pending without a hash');
+    check(new Date(artist.next_attempt_at) > new Date(), 'Retry should wait for its backoff');
+
+    makeDue(db.tables.payouts);
+    const run = await processDuePayouts();
+    check(run.sent === 1 && wallets.sent.length === 2, 'Retry should send it again');
+  });
+}
+
+async function test_payout_rejected_before_broadcast() {
+  return runTest('Transfer rejected before broadcast is retried', async () => {
+    wallets.next('reject');
+    const { artist } = await queueArtistPayout();
+
+    check(artist.status === 'pending' && artist.attempts === 1, 'Nothing went out, so it should be pending');
+    check(wallets.sent.length === 0, 'Nothing should be broadcast');
+  });
+}
+
+function addOffer(fields = {}) {
+  const offer = {
+    id: db.uuid(),
+    submission_id: 'piece-1',
+    piece_title: 'Offline Glow',
+    buyer_wallet: BUYER_WALLET,
+    amount_usdc: 5,
+    escrow_amount: 5.05,
+    status: 'active',
+    refund_status: 'none',
+    refund_amount: null,
+    refund_tx_hash: null,
+    refunded_at: null,
+    expires_at: new Date(Date.now() + 3600000).toISOString(),
+    updated_at: new Date().toISOString(),
+    ...fields
+  };
+  db.table('offers').push(offer);
+  return offer;
+}
+
+// Let every refund fall past the scheduler's retry window
+function age(rows) {
+  for (const row of rows) row.updated_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+}
+
+async function test_offer_refund_timeout_not_resent() {
+  return runTest('Timed-out offer refund is settled from its receipt, never resent', async () => {
+    const offer = addOffer();
+    wallets.next('timeout');
+    const result = await closeOffer(offer, 'cancelled');
+
+    check(result.success && !result.refund.success && result.refund.unconfirmed, 'Refund should be unconfirmed');
+    check(offer.refund_status === 'sending' && offer.refund_tx_hash === wallets.sent[0].txHash, 'Offer should keep the broadcast hash in sending');
+    check(!offer.refunded_at, 'Offer should not claim to be refunded yet');
+
+    age([offer]);
+    const run = await expireOffers();
+    check(wallets.sent.length === 1, 'A timed-out refund must not be sent again');
+    check(run.refunded === 1 && offer.refund_status === 'refunded' && offer.refunded_at, 'Receipt should settle the refund');
+  });
+}
+
+async function test_offer_refund_claimed_once() {
+  return runTest('Concurrent offer refunds send once', async () => {
+    const offer = addOffer({ status: 'cancelled', refund_status: 'pending' });
+    const [first, second] = await Promise.all([refundOffer({ ...offer }), refundOffer({ ...offer })]);
+
+    check(first.success !== second.success, 'Exactly one refund should go through');
+    check([first, second].some(r => r.claimed === false), 'The other should find it claimed');
+    check(wallets.sent.length === 1, 'Exactly one transfer should go out');
+  });
+}
+
+async function test_offer_refund_retried_after_backoff() {
+  return runTest('Failed offer refund is retried only after its backoff', async () => {
+    const offer = addOffer();
+    wallets.next('failed');
+    await closeOffer(offer, 'rejected');
+    check(offer.refund_status === 'pending' && !offer.refund_tx_hash, 'A failed refund should go back to pending');
+
+    await expireOffers();
+    check(wallets.sent.length === 1, 'A fresh failure should wait for the retry window');
+
+    age([offer]);
+    const run = await expireOffers();
+    check(run.refunded === 1 && wallets.sent.length === 2, 'The retry should send it');
+    check(offer.refund_status === 'refunded', 'Offer should be refunded');
+  });
+}
+
+async function test_offer_leftover_escrow_retried() {
+  return runTest('Unused escrow on an accepted offer is retried', async () => {
+    // Settled below its escrow; the leftover send failed before broadcast
+    const offer = addOffer({ status: 'accepted', refund_status: 'pending', refund_amount: 1.01 });
+    age([offer]);
+
+    const run = await expireOffers();
+    check(run.refunded === 1, 'The scheduler should pick up the accepted offer');
+    check(wallets.sent.length === 1 && wallets.sent[0].amount === 1.01, 'Only the unused escrow should be refunded');
+    check(wallets.sent[0].destination === BUYER_WALLET, 'Refund should go to the buyer');
+  });
+}
+
+function addCart(fields = {}) {
+  const cart = {
+    id: db.uuid(),
+    buyer_wallet: BUYER_WALLET,
+    total_usdc: 10.1,
+    status: 'refund_pending',
+    refund_tx_hash: null,
+    refunded_at: null,
+    updated_at: new Date().toISOString(),
+    ...fields
+  };
+  db.table('carts').push(cart);
+  return cart;
+}
+
+async function test_cart_refund_timeout_not_resent() {
+  return runTest('Timed-out cart refund is settled from its receipt, never resent', async () => {
+    const cart = addCart();
+    wallets.next('timeout');
+    const refund = await refundCart({ ...cart });
+
+    check(refund.unconfirmed, 'Refund should be unconfirmed');
+    check(cart.status === 'refund_sending' && cart.refund_tx_hash === wallets.sent[0].txHash, 'Cart should keep the broadcast hash in refund_sending');
+
+    age([cart]);
+    const run = await processCartRefunds();
+    check(wallets.sent.length === 1, 'A timed-out refund must not be sent again');
+    check(run.refunded === 1 && cart.status === 'refunded', 'Receipt should settle the refund');
+  });
+}
+
+async function test_cart_refund_claimed_once() {
+  return runTest('Checkout and worker refund a cart once', async () => {
+    const cart = addCart();
+    age([cart]);
+    const [checkout, worker] = await Promise.all([refundCart({ ...cart }), processCartRefunds()]);
+
+    check(checkout.success !== (worker.refunded === 1), 'Exactly one of them should send the refund');
+    check(wallets.sent.length === 1 && cart.status === 'refunded', 'Exactly one transfer should go out');
+  });
+}
+
+async function test_cart_refund_failed_goes_back() {
+  return runTest('Failed cart refund goes back to refund_pending', async () => {
+    const cart = addCart();
+    wallets.next('failed');
+    await refundCart({ ...cart });
+    check(cart.status === 'refund_pending' && !cart.refund_tx_hash, 'Nothing was sent, so it should be owed again');
+
+    age([cart]);
+    await processCartRefunds();
+    check(wallets.sent.length === 2 && cart.status === 'refunded', 'The worker should send it again');
+  });
+}
+
+function addBid(fields = {}) {
+  const bid = {
+    id: db.uuid(),
+    auction_id: 'auction-1',
+    bidder_wallet: BUYER_WALLET,
+    paid_amount: 12.12,
+    status: 'outbid',
+    refund_status: 'pending',
+    refund_tx_hash: null,
+    refunded_at: null,
+    updated_at: new Date().toISOString(),
+    ...fields
+  };
+  db.table('auction_bids').push(bid);
+  return bid;
+}
+
+async function test_bid_refund_timeout_not_resent() {
+  return runTest('Timed-out bid refund stays sending and is settled from its receipt', async () => {
+    const bid = addBid();
+    wallets.next('timeout');
+    const refund = await refundBid({ ...bid });
+
+    check(refund.unconfirmed, 'Refund should be unconfirmed');
+    check(bid.refund_status === 'sending' && bid.refund_tx_hash === wallets.sent[0].txHash, 'Bid should keep the broadcast hash in sending');
+
+    age([bid]);
+    const run = await settleDueAuctions();
+    check(wallets.sent.length === 1, 'A timed-out refund must not be sent again');
+    check(run.refunded === 1 && bid.refund_status === 'refunded' && run.stuckRefunds === 0, 'Receipt should settle the refund');
+  });
+}
+
+async function test_bid_refund_failed_goes_back() {
+  return runTest('Bid refund that sent nothing goes back to pending', async () => {
+    const bid = addBid();
+    wallets.next('reject');
+    await refundBid({ ...bid });
+    check(bid.refund_status === 'pending' && wallets.sent.length === 0, 'Nothing was broadcast, so it should be pending');
+
+    age([bid]);
+    await settleDueAuctions();
+    check(wallets.sent.length === 1 && bid.refund_status === 'refunded', 'The scheduler should send it');
+  });
+}
+
+function addRevokedLicense(fields = {}) {
+  const license = {
+    id: db.uuid(),
+    licensee_wallet: BUYER_WALLET,
+    currency: 'USDC',
+    usdc_equivalent: 50,
+    status: 'revoked',
+    refund_status: null,
+    refund_amount: null,
+    refund_tx_hash: null,
+    refunded_at: null,
+    ...fields
+  };
+  db.table('licenses').push(license);
+  return license;
+}
+
+async function test_license_refund_claimed_once() {
+  return runTest('Concurrent license refunds send once', async () => {
+    const license = addRevokedLicense();
+    const [first, second] = await Promise.all([refundLicense({ ...license }), refundLicense({ ...license })]);
+
+    check(first.success !== second.success, 'Exactly one refund should go through');
+    check([first, second].some(r => r.claimed === false), 'The other should find it claimed');
+    check(wallets.sent.length === 1 && license.refund_status === 'refunded', 'Exactly one transfer should go out');
+  });
+}
+
+async function test_license_refund_timeout_settled() {
+  return runTest('Timed-out license refund keeps its hash and is settled, never resent', async () => {
+    const license = addRevokedLicense();
+    wallets.next('timeout');
+    const refund = await refundLicense({ ...license });
+
+    check(refund.unconfirmed && license.refund_status === 'sending', 'Refund should stay sending');
+    check(license.refund_tx_hash === wallets.sent[0].txHash, 'Broadcast hash should be stored');
+
+    const retry = await refundLicense({ ...license }, 50);
+    check(retry.claimed === false && wallets.sent.length === 1, 'A sending refund must not be sent again');
+
+    const settled = await confirmLicenseRefund({ ...license });
+    check(settled.success && license.refund_status === 'refunded' && license.refunded_at, 'Receipt should settle the refund');
+  });
+}
+
+// A signed EIP-3009 payment of `amount` USDC to the platform (or against
+// the given requirements), settled by the local facilitator (nonce unused,
+// payer funded)
+async function signPayment(amount, { requirements } = {}) {
+  setFacilitator(createLocalFacilitator({
+    readContract: async method => method === 'authorizationState' ? false : 10n ** 12n
+  }));
+
+  const payer = Wallet.createRandom();
+  requirements = requirements || buildPaymentRequirements({
+    amount,
+    resource: '/api/offers',
+    description: 'Offline escrow',
+    payTo: PLATFORM_WALLET
+  });
+  const authorization = {
+    from: payer.address,
+    to: requirements.payTo,
+    value: requirements.maxAmountRequired,
+    validAfter: '0',
+    validBefore: String(Math.floor(Date.now() / 1000) + 600),
+    nonce: '0x' + Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('hex')
+  };
+  const signature = await payer.signTypedData(
+    { name: requirements.extra.name, version: requirements.extra.version, chainId: CHAIN_ID, verifyingContract: USDC_ADDRESS },
+    AUTHORIZATION_TYPES,
+    authorization
+  );
+
+  return {
+    payer: payer.address.toLowerCase(),
+    requirements,
+    payment: { x402Version: 1, scheme: 'exact', network: X402_NETWORK, payload: { signature, authorization } }
+  };
+}
+
+async function test_signed_settlement_timeout_unconfirmed() {
+  return runTest('Timed-out signed settlement is collected unconfirmed and settled', async () => {
+    const { payer, requirements, payment } = await signPayment(5);
+    wallets.next('timeout');
+    const collected = await collectSignedPayment(payment, requirements, { payer });
+
+    check(collected.success && collected.unconfirmed, 'A broadcast settlement must not count as failed');
+    check(collected.transaction === wallets.sent[0].txHash, 'The broadcast hash should be returned');
+    const [row] = db.tables.x402_payments;
+    check(row.status === 'settled_unconfirmed' && row.tx_hash === collected.transaction, 'Authorization should be settled_unconfirmed with its hash');
+
+    const run = await reconcileSettlements();
+    check(run.settled === 1 && row.status === 'settled', 'The receipt should settle it');
+  });
+}
+
+async function test_signed_settlement_failed() {
+  return runTest('Signed settlement that failed on chain is not collected', async () => {
+    const { payer, requirements, payment } = await signPayment(5);
+    wallets.next('failed');
+    const collected = await collectSignedPayment(payment, requirements, { payer });
+
+    check(!collected.success && collected.stage === 'settle', 'A failed settlement should not be collected');
+    check(db.tables.x402_payments[0].status === 'failed', 'Authorization should be failed');
+  });
+}
+
+async function test_mint_timeout_not_reminted() {
+  return runTest('Timed-out mint stays sent and is never minted again', async () => {
+    // Mints fabricate the Transfer log the receipt is read for
+    wallets = installMemoryWallets(sdk, chain, {
+      onInvoke: (call, success) => call.method === 'mint'
+        ? chain.transferErc721({ contract: PLATFORM_CONTRACT, to: call.args.to, tokenId: 42, sender: PLATFORM_WALLET })
+        : chain.addTransaction({ from: PLATFORM_WALLET, to: call.contractAddress, success })
+    });
+    db.table('piece_ownerships').push({ id: 'own-2', submission_id: 'piece-1', edition_number: 2, owner_wallet: BUYER_WALLET, status: 'owned' });
+
+    // The nextTokenId read goes through, the mint times out
+    wallets.next('complete', 'timeout');
+    const transfer = await queueTransfer({
+      purchase: null,
+      saleTxHash: SALE_TX,
+      submission: { id: 'piece-1', title: 'Offline Glow' },
+      ownershipId: 'own-2',
+      buyer: { wallet: BUYER_WALLET, username: 'collector' }
+    });
+    const mints = () => wallets.sent.filter(s => s.method === 'mint');
+
+    check(transfer.status === 'sent' && transfer.tx_hash === mints()[0].txHash, 'Mint should stay sent with its hash');
+    check(/Unconfirmed/.test(transfer.last_error), 'Transfer should note it is unconfirmed');
+
+    makeDue(db.tables.nft_transfers);
+    const run = await processDueTransfers();
+    check(run.confirmed === 1 && mints().length === 1, 'Receipt should confirm it without a second mint');
+    check(db.tables.nft_transfers[0].token_id === 42, 'Token ID should come from the receipt');
+    check(db.tables.piece_ownerships[0].token_id === 42, 'Edition should keep its token');
+  });
+}
+
+async function test_license_push_timeout_not_repushed() {
+  return runTest('Timed-out registry push stays sent and is never pushed again', async () => {
+    const registry = new Interface([
+      'event LicenseRecorded(uint256 indexed licenseId, string indexed pieceId, address indexed licensee, uint8 licenseType, uint256 expirationTime, bytes32 externalId)',
+      'function getLicense(uint256 licenseId) view returns (address licensee, string pieceId, uint8 licenseType, uint256 purchaseTime, uint256 expirationTime, uint256 pricePaid, bool isValid)'
+    ]);
+    const expiry = Math.floor(Date.now() / 1000) + 30 * 86400;
+    const license = {
+      id: db.uuid(),
+      licensee_wallet: BUYER_WALLET,
+      piece_id: 'piece-1',
+      license_type: 'commercial',
+      status: 'active',
+      expires_at: new Date(expiry * 1000).toISOString(),
+      onchain_license_id: null,
+      onchain_status: 'pending',
+      onchain_attempts: 0,
+      onchain_next_attempt_at: new Date(Date.now() - 1000).toISOString()
+    };
+    db.table('licenses').push(license);
+
+    // recordLicense emits LicenseRecorded #1; getLicense reads it back
+    wallets = installMemoryWallets(sdk, chain, {
+      onInvoke: call => chain.addTransaction({
+        from: PLATFORM_WALLET,
+        to: call.contractAddress,
+        logs: [{ address: LICENSING_REGISTRY, ...registry.encodeEventLog('LicenseRecorded', [1, 'piece-1', BUYER_WALLET, 1, expiry, toExternalId(license.id)]) }]
+      })
+    });
+    chain.onCall(LICENSING_REGISTRY, data => data.startsWith(registry.getFunction('getLicense').selector)
+      ? registry.encodeFunctionResult('getLicense', [BUYER_WALLET, 'piece-1', 1, expiry - 60, expiry, 0, true])
+      : undefined);
+
+    wallets.next('timeout');
+    const first = await processRegistrySync();
+    check(first.sent === 1 && license.onchain_status === 'sent', `License should stay sent, got ${license.onchain_status}`);
+    check(license.onchain_tx_hash === wallets.sent[0].txHash, 'Broadcast hash should be stored');
+    check(/Unconfirmed/.test(license.onchain_error), 'License should note it is unconfirmed');
+
+    const second = await processRegistrySync();
+    check(second.confirmed === 1 && license.onchain_status === 'synced', 'Receipt should sync it');
+    check(license.onchain_license_id === 1, 'Registry ID should come from the receipt');
+    check(wallets.sent.length === 1, 'A timed-out push must not be sent again');
+  });
+}
+
+async function test_license_renewal_race() {
+  return runTest('Concurrent renewals extend a license once', async () => {
+    const expiresAt = new Date(Date.now() + 86400 * 1000).toISOString();
+    const license = { id: db.uuid(), status: 'active', duration_days: 30, expires_at: expiresAt, renewal_count: 0 };
+    db.table('licenses').push(license);
+
+    const [first, second] = await Promise.all([
+      renewLicense({ ...license }, { amount: 10, txHash: '0x' + '1a'.repeat(32) }),
+      renewLicense({ ...license }, { amount: 10, txHash: '0x' + '2b'.repeat(32) })
+    ]);
+
+    check(first.success !== second.success, 'Exactly one renewal should go through');
+    check([first, second].some(r => r.status === 409), 'The other should be refused with 409');
+    check(license.renewal_count === 1, 'License should be renewed once');
+    check(license.expires_at === new Date(Date.parse(expiresAt) + 30 * 86400 * 1000).toISOString(), 'License should gain one term');
+    check(db.tables.license_renewals.length === 1, "The loser's payment should be left unused");
+  });
+}
+
+async function test_patronage_renewal_timeout() {
+  return runTest('Pre-authorized renewal is settled once and survives a timeout', async () => {
+    const periodEnd = new Date(Date.now() - 60 * 1000).toISOString();
+    const requirements = buildPatronageRequirements({ artistWallet: ARTIST_WALLET, artistUsername: 'noctis', amount: 5, patronageId: 'patronage-1' });
+    const { payer, payment } = await signPayment(5, { requirements });
+    const patronage = {
+      id: 'patronage-1',
+      patron_wallet: payer,
+      artist_wallet: ARTIST_WALLET,
+      artist_username: 'noctis',
+      amount_usdc: 5,
+      status: 'active',
+      current_period_end: periodEnd,
+      periods_paid: 1
+    };
+    db.table('patronages').push(patronage);
+    const scheduled = { id: 'renewal-1', patronage_id: 'patronage-1', period_start: periodEnd, method: 'preauthorized', status: 'scheduled', authorization_payload: payment };
+    db.table('patronage_payments').push(scheduled);
+
+    wallets.next('timeout');
+    const runs = await Promise.all([processDueRenewals(), processDueRenewals()]);
+
+    check(wallets.sent.length === 1, 'The authorization should be settled once');
+    check(runs.reduce((n, r) => n + r.renewed, 0) === 1 && runs.every(r => r.failed === 0), 'One run should renew it, the other skip it');
+    check(scheduled.status === 'paid_unconfirmed' && scheduled.tx_hash === wallets.sent[0].txHash, 'Renewal should be paid_unconfirmed with its hash');
+    check(patronage.status === 'active' && patronage.periods_paid === 2 && patronage.current_period_end > periodEnd, 'The period should be renewed');
+
+    await reconcileSettlements();
+    const settled = await processDueRenewals();
+    check(settled.reconciled.confirmed === 1 && scheduled.status === 'paid', 'Renewal should be paid once its settlement is');
+  });
+}
+
+async function runTests() {
+  console.log('╔═════════════════════════════════════════════════════════════════╗');
+  console.log('║           PHOSPHORS - Payout and Refund Tests                   ║');
+  console.log('╚═════════════════════════════════════════════════════════════════╝');
+  console.log(`  Time: ${new Date().toISOString()}`);
+
+  const results = [];
+  for (const test of [
+    test_payout_sent_and_confirmed,
+    test_payout_timeout_not_resent,
+    test_payout_failed_transfer_retried,
+    test_payout_rejected_before_broadcast,
+    test_offer_refund_timeout_not_resent,
+    test_offer_refund_claimed_once,
+    test_offer_refund_retried_after_backoff,
+    test_offer_leftover_escrow_retried,
+    test_cart_refund_timeout_not_resent,
+    test_cart_refund_claimed_once,
+    test_cart_refund_failed_goes_back,
+    test_bid_refund_timeout_not_resent,
+    test_bid_refund_failed_goes_back,
+    test_license_refund_claimed_once,
+    test_license_refund_timeout_settled,
+    test_signed_settlement_timeout_unconfirmed,
+    test_signed_settlement_failed,
+    test_mint_timeout_not_reminted,
+    test_license_push_timeout_not_repushed,
+    test_license_renewal_race,
+    test_patronage_renewal_timeout
+  ]) {
+    results.push(await test());
+  }
+
+  // Summary
+  console.log('\n╔═════════════════════════════════════════════════════════════════╗');
+  console.log('║                         RESULTS                                  ║');
+  console.log('╚═════════════════════════════════════════════════════════════════╝');
+
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+
+  for (const r of results) {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`  ${icon} ${r.testName}`);
+    if (!r.passed && r.error) {
+      console.log(`     Error: ${r.error}`);
+    }
+  }
+
+  console.log(`\n  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+  console.log('─────────────────────────────────────────────────────────────────\n');
+
+  return { passed, failed, results };
+}
+
+runTests()
+  .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+  .catch(e => {
+    console.error('Test runner error:', e);
+    process.exit(1);
+  });
+
+export { runTests };